@@ -0,0 +1,237 @@
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 23 / 10 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ *  Rastro de auditoría sobre registros financieros (ventas, cobranzas, CxC y saldos previos).
+ *  - registrarAuditoria(): helper que usan los controladores DENTRO de su transacción,
+ *    así el log se confirma o revierte junto con la operación auditada.
+ *  - snapshotVenta(): foto de venta + ítems + movimientos CxC para antes/después.
+ *  - GET /auditoria: consulta paginada filtrable por entidad, usuario, acción y fechas.
+ *
+ * Tema: Auditoría
+ * Capa: Backend - Controllers
+ */
+
+import dotenv from 'dotenv';
+import { Op } from 'sequelize';
+
+import {
+  AuditoriaLogModel,
+  AUDITORIA_ACCIONES,
+  AUDITORIA_ENTIDADES
+} from '../../Models/Auditoria/MD_TB_AuditoriaLog.js';
+import VentasModel from '../../Models/Ventas/MD_TB_Ventas.js';
+import VentasDetalleModel from '../../Models/Ventas/MD_TB_VentasDetalle.js';
+import CxcMovimientosModel from '../../Models/CuentasCorriente/MD_TB_CxcMovimientos.js';
+import { UserModel } from '../../Models/MD_TB_Users.js';
+import { nowMs } from '../../Utils/authoritativeTime.js';
+import { getUsuarioId } from '../Stock/CTS_TB_Stock.js';
+
+if (process.env.NODE_ENV !== 'production') {
+  dotenv.config();
+}
+
+const normInt = (v) => {
+  if (v === null || v === undefined || v === '') return NaN;
+  const n = Number(v);
+  return Number.isInteger(n) ? n : NaN;
+};
+
+const parsePagination = (req) => {
+  const page = Math.max(1, parseInt(req.query.page || '1', 10));
+  const limit = Math.min(
+    200,
+    Math.max(1, parseInt(req.query.limit || '50', 10))
+  );
+  const offset = (page - 1) * limit;
+  return { page, limit, offset };
+};
+
+// Instancia Sequelize / objeto → JSON plano (congela getters DECIMAL, fechas, etc.)
+export const snapshot = (v) => {
+  if (v === null || v === undefined) return null;
+  const plain = typeof v?.get === 'function' ? v.get({ plain: true }) : v;
+  return JSON.parse(JSON.stringify(plain));
+};
+
+// Venta + ítems + movimientos CxC originados por la venta
+export async function snapshotVenta(ventaId, transaction) {
+  const venta = await VentasModel.findByPk(ventaId, {
+    include: [
+      {
+        model: VentasDetalleModel,
+        as: 'items',
+        attributes: ['id', 'producto_id', 'cantidad', 'precio_unit', 'subtotal']
+      }
+    ],
+    transaction
+  });
+  if (!venta) return null;
+
+  const cxc = await CxcMovimientosModel.findAll({
+    where: { origen_tipo: 'venta', origen_id: ventaId },
+    transaction
+  });
+
+  return { ...snapshot(venta), cxc_movimientos: snapshot(cxc) };
+}
+
+/**
+ * Inserta una fila de auditoría.
+ * - req: se toma usuario (JWT / X-User-Id), método + ruta e IP. Opcional si viene usuario_id.
+ * - Debe llamarse con la misma transacción de la operación auditada.
+ */
+export async function registrarAuditoria(
+  {
+    req = null,
+    usuario_id = null,
+    accion,
+    entidad,
+    entidad_id = null,
+    antes = null,
+    despues = null
+  },
+  transaction
+) {
+  if (!AUDITORIA_ACCIONES.includes(accion)) {
+    throw new Error(`Acción de auditoría inválida: ${accion}`);
+  }
+  if (!AUDITORIA_ENTIDADES.includes(entidad)) {
+    throw new Error(`Entidad de auditoría inválida: ${entidad}`);
+  }
+
+  return AuditoriaLogModel.create(
+    {
+      usuario_id: usuario_id ?? (req ? getUsuarioId(req) : null),
+      accion,
+      entidad,
+      entidad_id: entidad_id ?? null,
+      antes: snapshot(antes),
+      despues: snapshot(despues),
+      ruta: req
+        ? `${req.method} ${req.originalUrl || req.url || ''}`.slice(0, 255)
+        : null,
+      ip: req?.ip ? String(req.ip).slice(0, 64) : null,
+      fecha: new Date(nowMs())
+    },
+    { transaction }
+  );
+}
+
+// ===============================
+// GET /auditoria
+// Query: entidad, entidad_id, usuario_id, accion, desde=YYYY-MM-DD, hasta=YYYY-MM-DD, page, limit
+// ===============================
+export const OBRS_Auditoria_CTS = async (req, res) => {
+  try {
+    const { page, limit, offset } = parsePagination(req);
+    const { entidad, entidad_id, usuario_id, accion, desde, hasta } =
+      req.query || {};
+
+    const where = {};
+
+    if (entidad) {
+      if (!AUDITORIA_ENTIDADES.includes(String(entidad))) {
+        return res.status(400).json({
+          code: 'BAD_REQUEST',
+          mensajeError: 'Entidad inválida.',
+          tips: [`Valores posibles: ${AUDITORIA_ENTIDADES.join(', ')}.`]
+        });
+      }
+      where.entidad = String(entidad);
+    }
+
+    if (accion) {
+      if (!AUDITORIA_ACCIONES.includes(String(accion))) {
+        return res.status(400).json({
+          code: 'BAD_REQUEST',
+          mensajeError: 'Acción inválida.',
+          tips: [`Valores posibles: ${AUDITORIA_ACCIONES.join(', ')}.`]
+        });
+      }
+      where.accion = String(accion);
+    }
+
+    if (entidad_id) {
+      const n = normInt(entidad_id);
+      if (!Number.isFinite(n)) {
+        return res.status(400).json({
+          code: 'BAD_REQUEST',
+          mensajeError: 'entidad_id debe ser numérico.'
+        });
+      }
+      where.entidad_id = n;
+    }
+
+    if (usuario_id) {
+      const n = normInt(usuario_id);
+      if (!Number.isFinite(n)) {
+        return res.status(400).json({
+          code: 'BAD_REQUEST',
+          mensajeError: 'usuario_id debe ser numérico.'
+        });
+      }
+      where.usuario_id = n;
+    }
+
+    if (desde || hasta) {
+      const d = desde ? new Date(`${desde}T00:00:00`) : null;
+      const h = hasta ? new Date(`${hasta}T23:59:59.999`) : null;
+      if ((d && isNaN(d.getTime())) || (h && isNaN(h.getTime()))) {
+        return res.status(400).json({
+          code: 'BAD_REQUEST',
+          mensajeError: 'Rango de fechas inválido (use YYYY-MM-DD).'
+        });
+      }
+      where.fecha = {
+        ...(d ? { [Op.gte]: d } : {}),
+        ...(h ? { [Op.lte]: h } : {})
+      };
+    }
+
+    const { rows, count } = await AuditoriaLogModel.findAndCountAll({
+      where,
+      limit,
+      offset
+    });
+
+    // Nombre del usuario (sin relación: el log sobrevive a la baja del usuario)
+    const uids = [
+      ...new Set(rows.map((r) => r.usuario_id).filter((v) => v != null))
+    ];
+    const usuarios = uids.length
+      ? await UserModel.findAll({
+          where: { id: uids },
+          attributes: ['id', 'nombre', 'email'],
+          raw: true
+        })
+      : [];
+    const usuariosMap = new Map(usuarios.map((u) => [u.id, u]));
+
+    const data = rows.map((r) => ({
+      ...r.get({ plain: true }),
+      usuario: usuariosMap.get(r.usuario_id) || null
+    }));
+
+    const totalPages = Math.max(1, Math.ceil(count / limit));
+    return res.json({
+      data,
+      meta: {
+        total: count,
+        page,
+        limit,
+        totalPages,
+        hasPrev: page > 1,
+        hasNext: page < totalPages
+      }
+    });
+  } catch (err) {
+    console.error('OBRS_Auditoria_CTS error:', err);
+    return res.status(500).json({
+      code: 'SERVER_ERROR',
+      mensajeError: 'No se pudo consultar la auditoría.'
+    });
+  }
+};
@@ -178,6 +178,8 @@ export const UR_Local_CTS = async (req, res) => {
       'horario_apertura',
       'horario_cierre',
       'printer_nombre',
+      'latitud',
+      'longitud',
       'estado'
     ];
 
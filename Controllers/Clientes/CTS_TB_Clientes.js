@@ -13,6 +13,7 @@
  * - POST   /clientes                      (crear + validar vendedor_preferido_id)
  * - PUT    /clientes/:id                  (editar + validar vendedor_preferido_id)
  * - PATCH  /clientes/:id/estado           (activar/desactivar)
+ * - PATCH  /clientes/:id/ubicacion        (lat/lng tomados desde el teléfono del chofer)
  * - DELETE /clientes/:id?hard=1           (baja lógica por defecto; hard=1 borra)
  *
  * Filtros en listado:
@@ -40,6 +41,19 @@ import { VendedoresModel } from '../../Models/Vendedores/MD_TB_Vendedores.js';
 import { RepartosModel } from '../../Models/Repartos/MD_TB_Repartos.js';
 import { RepartoClientesModel } from '../../Models/Repartos/MD_TB_RepartoClientes.js';
 
+// Benjamin Orellana - 08-11-2026 - Ubicación del cliente (optimización de recorrido)
+import { getUsuarioId } from '../Stock/CTS_TB_Stock.js';
+import { nowMs } from '../../Utils/authoritativeTime.js';
+import { tieneUbicacion } from '../../Utils/rutas.js';
+
+// Benjamin Orellana - 06-11-2026 - Condición frente al IVA (define la letra de la factura)
+const CONDICIONES_IVA = [
+  'consumidor_final',
+  'responsable_inscripto',
+  'monotributo',
+  'exento'
+];
+
 // ---------- Includes: geografía + vendedor preferido + repartos ----------
 const incFull = [
   {
@@ -257,7 +271,8 @@ async function obtenerNumeroRangoDisponible({
 // el numero_rango no puede reutilizarse si ya existe en otra fila, aunque esté inactiva.
 // Si el cliente ya tiene histórico en ese reparto, se reactiva esa misma fila.
 // Para clientes nuevos en el reparto, el número libre se calcula considerando todas las filas del reparto.
-async function asignarClienteAReparto({
+// Benjamin Orellana - 21-10-2026 - Se exporta para reutilizarlo en la importación masiva (POST /import/clientes).
+export async function asignarClienteAReparto({
   cliente_id,
   reparto_id,
   ciudad_id,
@@ -796,6 +811,7 @@ export const CR_Cliente_CTS = async (req, res) => {
       telefono,
       email,
       documento,
+      condicion_iva, // opcional, default 'consumidor_final'
       barrio_id,
       vendedor_preferido_id, // opcional
       estado, // 'activo' | 'inactivo'
@@ -864,6 +880,18 @@ export const CR_Cliente_CTS = async (req, res) => {
       ? String(estado).trim().toLowerCase()
       : 'activo';
 
+    if (
+      condicion_iva !== undefined &&
+      condicion_iva !== '' &&
+      !CONDICIONES_IVA.includes(String(condicion_iva))
+    ) {
+      if (!t.finished) await t.rollback();
+      return res.status(400).json({
+        code: 'BAD_REQUEST',
+        mensajeError: `condicion_iva inválida (use ${CONDICIONES_IVA.join(' | ')}).`
+      });
+    }
+
     // barrio_id opcional
     const barrioIdParsed = toNumOrNull(barrio_id);
 
@@ -897,6 +925,7 @@ export const CR_Cliente_CTS = async (req, res) => {
         telefono: telefonoTrim,
         email: emailTrim,
         documento: documentoTrim,
+        condicion_iva: condicion_iva ? String(condicion_iva) : 'consumidor_final',
 
         // Benjamin Orellana - 16-01-2026 - Persistimos ciudad_id como dato principal
         ciudad_id: ciudadParsed,
@@ -1145,6 +1174,7 @@ export const UR_Cliente_CTS = async (req, res) => {
       telefono,
       email,
       documento,
+      condicion_iva,
       barrio_id,
       vendedor_preferido_id, // opcional, permite null para desasignar
       estado,
@@ -1180,6 +1210,16 @@ export const UR_Cliente_CTS = async (req, res) => {
     if (telefono !== undefined) patch.telefono = toNull(trimStr(telefono));
     if (email !== undefined) patch.email = toNull(trimStr(email));
     if (documento !== undefined) patch.documento = toNull(trimStr(documento));
+    if (condicion_iva !== undefined) {
+      if (!CONDICIONES_IVA.includes(String(condicion_iva))) {
+        if (!t.finished) await t.rollback();
+        return res.status(400).json({
+          code: 'BAD_REQUEST',
+          mensajeError: `condicion_iva inválida (use ${CONDICIONES_IVA.join(' | ')}).`
+        });
+      }
+      patch.condicion_iva = String(condicion_iva);
+    }
 
     // Ciudad: si viene, validar numérica
     let ciudadFinal =
@@ -1426,6 +1466,84 @@ export const UR_Cliente_Estado_CTS = async (req, res) => {
   }
 };
 
+// ===============================
+// PATCH - /clientes/:id/ubicacion
+// body: { latitud, longitud, precision_m? }  (ambas null = borrar)
+// ===============================
+export const UR_Cliente_Ubicacion_CTS = async (req, res) => {
+  try {
+    const id = normInt(req.params.id);
+    if (!Number.isFinite(id)) {
+      return res
+        .status(400)
+        .json({ code: 'BAD_REQUEST', mensajeError: 'ID inválido.' });
+    }
+
+    const { latitud, longitud, precision_m } = req.body || {};
+    const borrar = latitud === null && longitud === null;
+    const punto = {
+      latitud: toNumOrNull(latitud),
+      longitud: toNumOrNull(longitud)
+    };
+
+    if (!borrar && !tieneUbicacion(punto)) {
+      return res.status(400).json({
+        code: 'BAD_REQUEST',
+        mensajeError:
+          'Coordenadas inválidas: latitud entre -90 y 90, longitud entre -180 y 180.'
+      });
+    }
+
+    const precision = toNumOrNull(precision_m);
+    if (precision !== null && precision < 0) {
+      return res.status(400).json({
+        code: 'BAD_REQUEST',
+        mensajeError: 'precision_m inválida.'
+      });
+    }
+
+    const cli = await ClientesModel.findByPk(id);
+    if (!cli)
+      return res
+        .status(404)
+        .json({ code: 'NOT_FOUND', mensajeError: 'Cliente no encontrado.' });
+
+    await cli.update(
+      borrar
+        ? {
+            latitud: null,
+            longitud: null,
+            ubicacion_precision_m: null,
+            ubicacion_at: null,
+            ubicacion_usuario_id: null
+          }
+        : {
+            latitud: punto.latitud,
+            longitud: punto.longitud,
+            ubicacion_precision_m:
+              precision === null ? null : Math.round(precision),
+            ubicacion_at: new Date(nowMs()),
+            ubicacion_usuario_id: getUsuarioId(req)
+          }
+    );
+
+    return res.json({
+      id: cli.id,
+      latitud: cli.latitud,
+      longitud: cli.longitud,
+      ubicacion_precision_m: cli.ubicacion_precision_m,
+      ubicacion_at: cli.ubicacion_at,
+      ubicacion_usuario_id: cli.ubicacion_usuario_id
+    });
+  } catch (err) {
+    console.error('UR_Cliente_Ubicacion_CTS error:', err);
+    return res.status(500).json({
+      code: 'SERVER_ERROR',
+      mensajeError: 'No se pudo guardar la ubicación.'
+    });
+  }
+};
+
 // ===============================
 // DELETE - DELETE /clientes/:id?hard=1
 // ===============================
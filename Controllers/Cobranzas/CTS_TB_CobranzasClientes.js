@@ -8,7 +8,7 @@
  *  - Listado paginado y filtrado de cobranzas.
  *  - Obtención de cobranza individual con detalle (aplicaciones).
  *  - Alta de cobranza con aplicaciones a ventas.
- *  - Baja de cobranza (hard delete, SOLO para correcciones).
+ *  - Baja de cobranza (hard delete, SOLO para correcciones; no si está en una liquidación vigente).
  *
  * Tema: Cobranzas / Cuentas Corrientes
  * Capa: Backend - Controllers
@@ -23,6 +23,20 @@ import { CobranzaAplicacionesModel } from '../../Models/Cobranzas/MD_TB_Cobranza
 import { ClientesModel } from '../../Models/Clientes/MD_TB_Clientes.js';
 import { VentasModel } from '../../Models/Ventas/MD_TB_Ventas.js';
 import { CxcMovimientosModel } from '../../Models/CuentasCorriente/MD_TB_CxcMovimientos.js';
+import { VendedoresLiquidacionesModel } from '../../Models/Vendedores/MD_TB_VendedoresLiquidaciones.js';
+import { VendedoresLiquidacionesDetalleModel } from '../../Models/Vendedores/MD_TB_VendedoresLiquidacionesDetalle.js';
+import {
+  registrarAuditoria,
+  snapshot
+} from '../Auditoria/CTS_TB_Auditoria.js';
+import {
+  resolverSesionAbierta,
+  registrarVisitaEnSesion,
+  responderErrorSesion
+} from '../Repartos/CTS_TB_RepartoSesiones.js';
+import { responderPeriodoCxcCerrado } from './CTS_TB_CxcCierres.js';
+import { getUsuarioId } from '../Stock/CTS_TB_Stock.js';
+import { obtenerNetoNotasPorVenta } from './CTS_TB_CxcNotas.js';
 
 if (process.env.NODE_ENV !== 'production') {
   dotenv.config();
@@ -63,12 +77,23 @@ const parseDate = (v) => {
 // ======================================================
 const moneyRound = (n) => Math.round(Number(n || 0) * 100) / 100;
 
-const getSaldoVenta = (ventaRow) => {
-  const total = Number(ventaRow?.total_neto ?? 0);
+// Benjamin Orellana - 13-11-2026 - El total exigible incluye el neto de notas
+// aprobadas de la venta (NC resta, ND suma), igual que la deuda por cliente
+const getTotalExigibleVenta = (ventaRow, netoNotas = 0) =>
+  moneyRound(Number(ventaRow?.total_neto ?? 0) + Number(netoNotas || 0));
+
+const getSaldoVenta = (ventaRow, netoNotas = 0) => {
   const aCuenta = Number(ventaRow?.monto_a_cuenta ?? 0);
-  return moneyRound(total - aCuenta);
+  return moneyRound(getTotalExigibleVenta(ventaRow, netoNotas) - aCuenta);
 };
 
+async function getNetoNotasVenta(venta_id, transaction) {
+  const neto = (await obtenerNetoNotasPorVenta([venta_id], transaction)).get(
+    Number(venta_id)
+  );
+  return neto || 0;
+}
+
 async function lockVentaForUpdate(venta_id, transaction) {
   return VentasModel.findByPk(venta_id, {
     transaction,
@@ -102,10 +127,16 @@ async function aplicarPagoFIFO({
     lock: transaction.LOCK.UPDATE
   });
 
+  const netoNotas = await obtenerNetoNotasPorVenta(
+    ventas.map((v) => v.id),
+    transaction
+  );
+
   for (const v of ventas) {
     if (restante <= 0) break;
 
-    const saldo = getSaldoVenta(v);
+    const notasVenta = netoNotas.get(Number(v.id)) || 0;
+    const saldo = getSaldoVenta(v, notasVenta);
     if (saldo <= 0) continue;
 
     const aplicar = moneyRound(Math.min(restante, saldo));
@@ -113,8 +144,8 @@ async function aplicarPagoFIFO({
 
     const nuevoACuenta = moneyRound(Number(v.monto_a_cuenta ?? 0) + aplicar);
 
-    // Seguridad por constraint: nunca exceder total_neto
-    if (nuevoACuenta - Number(v.total_neto ?? 0) > 0.01) {
+    // Seguridad por constraint: nunca exceder total_neto (+ neto de notas)
+    if (nuevoACuenta - getTotalExigibleVenta(v, notasVenta) > 0.01) {
       const e = new Error(
         `La aplicación excede el total de la venta #${v.id}.`
       );
@@ -297,7 +328,8 @@ export const CR_CobranzaCliente_CTS = async (req, res) => {
       fecha,
       total_cobrado,
       observaciones,
-      aplicaciones
+      aplicaciones,
+      reparto_sesion_id // Benjamin Orellana - 30-10-2026 - cobro en la calle dentro de una sesión de reparto
     } = req.body || {};
 
     const cliId = normInt(cliente_id);
@@ -320,6 +352,21 @@ export const CR_CobranzaCliente_CTS = async (req, res) => {
 
     const vendId = normOptInt(vendedor_id);
 
+    const sesionId = normOptInt(reparto_sesion_id);
+    if (
+      reparto_sesion_id !== undefined &&
+      reparto_sesion_id !== null &&
+      reparto_sesion_id !== '' &&
+      !sesionId
+    ) {
+      if (!t.finished) await t.rollback();
+      return res.status(400).json({
+        code: 'BAD_REQUEST',
+        mensajeError: 'reparto_sesion_id debe ser numérico.'
+      });
+    }
+    if (sesionId) await resolverSesionAbierta(sesionId, {}, t);
+
     // Validar que exista el cliente
     const cli = await ClientesModel.findByPk(cliId, { transaction: t });
     if (!cli) {
@@ -429,6 +476,7 @@ export const CR_CobranzaCliente_CTS = async (req, res) => {
       {
         cliente_id: cliId,
         vendedor_id: vendId,
+        reparto_sesion_id: sesionId,
         fecha: fechaCobro,
         total_cobrado: total,
         observaciones: observaciones?.trim() || null
@@ -550,7 +598,7 @@ export const CR_CobranzaCliente_CTS = async (req, res) => {
         });
       }
 
-      const saldo = getSaldoVenta(venta);
+      const saldo = getSaldoVenta(venta, await getNetoNotasVenta(venta_id, t));
       if (montoAplic - saldo > 0.01) {
         if (!t.finished) await t.rollback();
         return res.status(400).json({
@@ -655,6 +703,36 @@ export const CR_CobranzaCliente_CTS = async (req, res) => {
       { transaction: t }
     );
 
+    // Benjamin Orellana - 30-10-2026 - Check-in 'visitado' (no pisa un 'vendido' previo)
+    if (sesionId) {
+      await registrarVisitaEnSesion(
+        {
+          sesion_id: sesionId,
+          cliente_id: cliId,
+          resultado: 'visitado',
+          usuario_id: getUsuarioId(req)
+        },
+        t,
+        { soloSiNoExiste: true }
+      );
+    }
+
+    // Benjamin Orellana - 23-10-2026 - Auditoría del alta (cabecera + aplicaciones + CxC)
+    await registrarAuditoria(
+      {
+        req,
+        accion: 'crear',
+        entidad: 'cobranza',
+        entidad_id: nueva.id,
+        despues: await snapshotCobranza(nueva.id, t)
+      },
+      t
+    );
+
+    // Benjamin Orellana - 13-11-2026 - Hook del push offline (marca el registro de
+    // sync como aplicado) y de Idempotency-Key, dentro de esta misma transacción
+    if (req.antesDeCommit) await req.antesDeCommit(t, { id: nueva.id });
+
     await t.commit();
 
     const withAll = await CobranzasClientesModel.findByPk(nueva.id, {
@@ -669,6 +747,14 @@ export const CR_CobranzaCliente_CTS = async (req, res) => {
 
     console.error('CR_CobranzaCliente_CTS error:', err);
 
+    // Benjamin Orellana - 30-10-2026 - Sesión de reparto inexistente / cerrada
+    const errSesion = responderErrorSesion(res, err);
+    if (errSesion) return errSesion;
+
+    // Benjamin Orellana - 25-10-2026 - Movimiento CxC con fecha dentro de un mes cerrado
+    const errCierre = responderPeriodoCxcCerrado(res, err);
+    if (errCierre) return errCierre;
+
     if (
       err?.name === 'SequelizeValidationError' ||
       err?.name === 'ValidationError'
@@ -714,6 +800,9 @@ export const ER_CobranzaCliente_CTS = async (req, res) => {
       });
     }
 
+    // Benjamin Orellana - 23-10-2026 - Foto completa antes de borrar (auditoría)
+    const antes = await snapshotCobranza(id, t);
+
     // ======================================================
     // Benjamin Orellana - 17/01/2026
     // Revertir efectos en ventas.monto_a_cuenta antes de borrar
@@ -721,9 +810,42 @@ export const ER_CobranzaCliente_CTS = async (req, res) => {
     const apps = await CobranzaAplicacionesModel.findAll({
       where: { cobranza_id: id },
       transaction: t,
+      lock: t.LOCK.UPDATE,
       raw: true
     });
 
+    // Benjamin Orellana - 13-11-2026 - Las aplicaciones incluidas en una liquidación
+    // vigente (emitida o pagada) están congeladas en su detalle: no se borran.
+    if (apps.length) {
+      const liquidadas = await VendedoresLiquidacionesDetalleModel.findAll({
+        where: { aplicacion_id: { [Op.in]: apps.map((a) => a.id) } },
+        attributes: ['aplicacion_id', 'liquidacion_id'],
+        include: [
+          {
+            model: VendedoresLiquidacionesModel,
+            as: 'liquidacion',
+            attributes: ['id', 'estado'],
+            where: { estado: { [Op.ne]: 'anulada' } }
+          }
+        ],
+        transaction: t
+      });
+
+      if (liquidadas.length) {
+        if (!t.finished) await t.rollback();
+        return res.status(409).json({
+          code: 'COBRANZA_LIQUIDADA',
+          mensajeError:
+            'La cobranza está incluida en una liquidación de comisiones vigente. Anule la liquidación antes de eliminarla.',
+          meta: {
+            liquidaciones: [
+              ...new Set(liquidadas.map((d) => d.liquidacion_id))
+            ]
+          }
+        });
+      }
+    }
+
     for (const a of apps) {
       if (!a.venta_id) continue;
 
@@ -752,6 +874,25 @@ export const ER_CobranzaCliente_CTS = async (req, res) => {
     });
 
     await row.destroy({ transaction: t });
+
+    await registrarAuditoria(
+      { req, accion: 'eliminar', entidad: 'cobranza', entidad_id: id, antes },
+      t
+    );
+    // Cada movimiento CxC borrado queda trazable por su propio id
+    for (const mov of antes.cxc_movimientos) {
+      await registrarAuditoria(
+        {
+          req,
+          accion: 'eliminar',
+          entidad: 'cxc_movimiento',
+          entidad_id: mov.id,
+          antes: mov
+        },
+        t
+      );
+    }
+
     await t.commit();
 
     return res.json({
@@ -762,6 +903,10 @@ export const ER_CobranzaCliente_CTS = async (req, res) => {
     try {
       if (!t.finished) await t.rollback();
     } catch {}
+    // Benjamin Orellana - 25-10-2026 - Movimiento CxC con fecha dentro de un mes cerrado
+    const errCierre = responderPeriodoCxcCerrado(res, err);
+    if (errCierre) return errCierre;
+
     console.error('ER_CobranzaCliente_CTS error:', err);
     return res.status(500).json({
       code: 'SERVER_ERROR',
@@ -770,6 +915,27 @@ export const ER_CobranzaCliente_CTS = async (req, res) => {
   }
 };
 
+// ======================================================
+// Benjamin Orellana - 23-10-2026
+// Foto de la cobranza para auditoría: cabecera + aplicaciones + movimientos CxC
+// ======================================================
+async function snapshotCobranza(cobranzaId, transaction) {
+  const cab = await CobranzasClientesModel.findByPk(cobranzaId, { transaction });
+  const aplicaciones = await CobranzaAplicacionesModel.findAll({
+    where: { cobranza_id: cobranzaId },
+    transaction
+  });
+  const cxc = await CxcMovimientosModel.findAll({
+    where: { origen_tipo: 'cobranza', origen_id: cobranzaId },
+    transaction
+  });
+  return {
+    ...snapshot(cab),
+    aplicaciones: snapshot(aplicaciones),
+    cxc_movimientos: snapshot(cxc)
+  };
+}
+
 // ======================================================
 // Helper interno reutilizable
 //  - Registrar una cobranza "a cuenta" asociada a UNA venta
@@ -782,7 +948,8 @@ export async function registrarCobranzaACuentaPorVenta(
     fecha,
     montoACuenta,
     venta_id,
-    observacionesExtra
+    observacionesExtra,
+    reparto_sesion_id = null // Benjamin Orellana - 30-10-2026 - cobro dentro de una sesión de reparto
   },
   transaction
 ) {
@@ -807,6 +974,7 @@ export async function registrarCobranzaACuentaPorVenta(
     {
       cliente_id,
       vendedor_id: vendId,
+      reparto_sesion_id: normOptInt(reparto_sesion_id),
       fecha: fechaCobro,
       total_cobrado: total,
       observaciones:
@@ -853,7 +1021,10 @@ export async function registrarCobranzaACuentaPorVenta(
     throw e;
   }
 
-  const saldo = getSaldoVenta(venta);
+  const saldo = getSaldoVenta(
+    venta,
+    await getNetoNotasVenta(venta_id, transaction)
+  );
   if (total - saldo > 0.01) {
     const e = new Error('PAGO_SUPERA_SALDO_VENTA');
     e.status = 400;
@@ -0,0 +1,514 @@
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 25 / 10 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ *  Cierre mensual de Cuentas Corrientes (CxC).
+ *  - cerrarMesCxC(): congela por cliente saldo_inicial / debitos / creditos / saldo_final
+ *    del mes en cxc_saldos_mensuales y registra el período en cxc_cierres.
+ *  - Los cierres son correlativos (no se puede saltear un mes). El primero toma como
+ *    saldo inicial la suma de todos los movimientos anteriores.
+ *  - initBloqueoCierresCxC(): hooks sobre cxc_movimientos que rechazan altas, cambios
+ *    y bajas con fecha dentro de un mes cerrado (error PERIODO_CXC_CERRADO, 409).
+ *  - cierreAutomaticoCxC(): job node-cron (config/cxc.config.js).
+ *  - POST /cxc/cierres/:anio/:mes, GET /cxc/cierres, GET /cxc/cierres/:anio/:mes
+ *
+ * Tema: Cobranzas / Cuentas Corrientes
+ * Capa: Backend - Controllers
+ */
+
+import dotenv from 'dotenv';
+import db from '../../DataBase/db.js';
+
+import { CxcCierresModel } from '../../Models/CuentasCorriente/MD_TB_CxcCierres.js';
+import { CxcSaldosMensualesModel } from '../../Models/CuentasCorriente/MD_TB_CxcSaldosMensuales.js';
+import { CxcMovimientosModel } from '../../Models/CuentasCorriente/MD_TB_CxcMovimientos.js';
+import { ClientesModel } from '../../Models/Clientes/MD_TB_Clientes.js';
+import { cxcConfig } from '../../config/cxc.config.js';
+import { nowMs } from '../../Utils/authoritativeTime.js';
+import { getUsuarioId } from '../Stock/CTS_TB_Stock.js';
+
+if (process.env.NODE_ENV !== 'production') {
+  dotenv.config();
+}
+
+const moneyRound = (n) =>
+  Math.round((Number(n) + Number.EPSILON) * 100) / 100;
+
+const parsePagination = (req) => {
+  const page = Math.max(1, parseInt(req.query.page || '1', 10));
+  const limit = Math.min(
+    200,
+    Math.max(1, parseInt(req.query.limit || '50', 10))
+  );
+  const offset = (page - 1) * limit;
+  return { page, limit, offset };
+};
+
+const errorCxc = (code, status, meta) => {
+  const e = new Error(code);
+  e.status = status;
+  if (meta) e.meta = meta;
+  return e;
+};
+
+// Índice correlativo de período (para comparar año/mes)
+const idxPeriodo = ({ anio, mes }) => Number(anio) * 12 + (Number(mes) - 1);
+
+export const siguientePeriodo = ({ anio, mes }) =>
+  Number(mes) === 12
+    ? { anio: Number(anio) + 1, mes: 1 }
+    : { anio: Number(anio), mes: Number(mes) + 1 };
+
+// [inicio, fin) del mes en hora local (mismo criterio que los filtros desde/hasta)
+const rangoMes = (anio, mes) => ({
+  inicio: new Date(anio, mes - 1, 1, 0, 0, 0, 0),
+  fin: new Date(anio, mes, 1, 0, 0, 0, 0)
+});
+
+export async function obtenerUltimoCierreCxC(transaction) {
+  return CxcCierresModel.findOne({ transaction });
+}
+
+// Primer instante NO cerrado (null si nunca se cerró un mes)
+export const fechaCorteCxC = (cierre) => {
+  if (!cierre) return null;
+  const { anio, mes } = siguientePeriodo(cierre);
+  return rangoMes(anio, mes).inicio;
+};
+
+// Benjamin Orellana - 13-11-2026 - Lectura con lock compartido del último cierre:
+// un cierre en curso (FOR UPDATE + alta del nuevo cierre) espera a que commiteen los
+// movimientos ya validados, y los nuevos esperan al cierre y lo ven.
+export async function assertPeriodoCxcAbierto(fecha, transaction) {
+  if (!fecha) return;
+  const f = new Date(fecha);
+  if (Number.isNaN(f.getTime())) return; // lo rechaza la validación del modelo
+
+  const ultimo = await CxcCierresModel.findOne({
+    transaction,
+    ...(transaction ? { lock: transaction.LOCK.SHARE } : {})
+  });
+  const corte = fechaCorteCxC(ultimo);
+  if (corte && f < corte) {
+    throw errorCxc('PERIODO_CXC_CERRADO', 409, {
+      ultimo_cierre: { anio: ultimo.anio, mes: ultimo.mes },
+      fecha_minima: corte
+    });
+  }
+}
+
+export const mensajePeriodoCxcCerrado = (err) => {
+  const { anio, mes } = err.meta.ultimo_cierre;
+  return `La fecha cae en un período de cuenta corriente cerrado (cerrado hasta ${mes}/${anio}).`;
+};
+
+// Respuesta 409 para PERIODO_CXC_CERRADO (null si el error es otro)
+export const responderPeriodoCxcCerrado = (res, err) => {
+  if (err?.message !== 'PERIODO_CXC_CERRADO') return null;
+  return res.status(409).json({
+    code: 'PERIODO_CXC_CERRADO',
+    mensajeError: mensajePeriodoCxcCerrado(err),
+    meta: err.meta
+  });
+};
+
+// Fecha más antigua alcanzada por un update/destroy masivo
+async function fechaMinimaAfectada(where, transaction) {
+  const row = await CxcMovimientosModel.unscoped().findOne({
+    where,
+    attributes: ['fecha'],
+    order: [['fecha', 'ASC']],
+    transaction
+  });
+  return row?.fecha || null;
+}
+
+// ======================================================
+// Hooks: ningún camino (ventas, cobranzas, saldos previos, importación)
+// puede tocar movimientos de un mes cerrado.
+// ======================================================
+export function initBloqueoCierresCxC() {
+  const H = 'bloqueoCierreCxC';
+
+  CxcMovimientosModel.addHook('beforeCreate', H, (mov, options) =>
+    assertPeriodoCxcAbierto(mov.fecha, options.transaction)
+  );
+
+  CxcMovimientosModel.addHook('beforeBulkCreate', H, async (movs, options) => {
+    const fechas = movs
+      .map((m) => new Date(m.fecha).getTime())
+      .filter(Number.isFinite);
+    if (fechas.length) {
+      await assertPeriodoCxcAbierto(
+        new Date(Math.min(...fechas)),
+        options.transaction
+      );
+    }
+  });
+
+  CxcMovimientosModel.addHook('beforeUpdate', H, async (mov, options) => {
+    await assertPeriodoCxcAbierto(mov.previous('fecha'), options.transaction);
+    await assertPeriodoCxcAbierto(mov.fecha, options.transaction);
+  });
+
+  CxcMovimientosModel.addHook('beforeDestroy', H, (mov, options) =>
+    assertPeriodoCxcAbierto(mov.fecha, options.transaction)
+  );
+
+  CxcMovimientosModel.addHook('beforeBulkUpdate', H, async (options) => {
+    await assertPeriodoCxcAbierto(
+      await fechaMinimaAfectada(options.where, options.transaction),
+      options.transaction
+    );
+    if (options.attributes?.fecha) {
+      await assertPeriodoCxcAbierto(
+        options.attributes.fecha,
+        options.transaction
+      );
+    }
+  });
+
+  CxcMovimientosModel.addHook('beforeBulkDestroy', H, async (options) =>
+    assertPeriodoCxcAbierto(
+      await fechaMinimaAfectada(options.where, options.transaction),
+      options.transaction
+    )
+  );
+}
+
+/**
+ * Cierra un mes de CxC.
+ * Devuelve { cierre, clientes, saldo_total }.
+ * Errores: PERIODO_INVALIDO (400), PERIODO_NO_FINALIZADO (400),
+ *          PERIODO_YA_CERRADO (409), PERIODO_SALTEADO (409, meta.esperado).
+ */
+export async function cerrarMesCxC({
+  anio,
+  mes,
+  usuario_id = null,
+  origen = 'manual'
+}) {
+  const a = Number(anio);
+  const m = Number(mes);
+  if (
+    !Number.isInteger(a) ||
+    a < 2000 ||
+    a > 2100 ||
+    !Number.isInteger(m) ||
+    m < 1 ||
+    m > 12
+  ) {
+    throw errorCxc('PERIODO_INVALIDO', 400);
+  }
+
+  const { inicio, fin } = rangoMes(a, m);
+  if (fin.getTime() > nowMs()) {
+    throw errorCxc('PERIODO_NO_FINALIZADO', 400);
+  }
+
+  const t = await db.transaction();
+  try {
+    const ultimo = await CxcCierresModel.findOne({
+      transaction: t,
+      lock: t.LOCK.UPDATE
+    });
+
+    if (ultimo) {
+      if (idxPeriodo({ anio: a, mes: m }) <= idxPeriodo(ultimo)) {
+        throw errorCxc('PERIODO_YA_CERRADO', 409);
+      }
+      const esperado = siguientePeriodo(ultimo);
+      if (esperado.anio !== a || esperado.mes !== m) {
+        throw errorCxc('PERIODO_SALTEADO', 409, { esperado });
+      }
+    }
+
+    // Benjamin Orellana - 13-11-2026 - El cierre se da de alta ANTES de sumar: el
+    // INSERT espera a los movimientos que ya validaron el período (lock compartido en
+    // assertPeriodoCxcAbierto) y los que lleguen después lo encuentran y se rechazan.
+    // Así ningún movimiento del mes queda afuera del saldo congelado.
+    const cierreFecha = new Date(nowMs());
+    const cierre = await CxcCierresModel.create(
+      {
+        anio: a,
+        mes: m,
+        clientes: 0,
+        saldo_total: 0,
+        usuario_id,
+        origen,
+        cerrado_at: cierreFecha
+      },
+      { transaction: t }
+    );
+
+    // 1) Saldo inicial por cliente
+    const iniciales = new Map();
+    if (ultimo) {
+      const prev = await CxcSaldosMensualesModel.unscoped().findAll({
+        where: { anio: ultimo.anio, mes: ultimo.mes },
+        attributes: ['cliente_id', 'saldo_final'],
+        raw: true,
+        transaction: t
+      });
+      for (const r of prev) {
+        iniciales.set(Number(r.cliente_id), Number(r.saldo_final) || 0);
+      }
+    } else {
+      // Primer cierre: todo lo anterior al mes es saldo inicial
+      const [prev] = await db.query(
+        `
+        SELECT cliente_id,
+               ROUND(SUM(CASE WHEN signo = 1 THEN monto ELSE -monto END), 2) AS saldo
+        FROM cxc_movimientos
+        WHERE fecha < :inicio
+        GROUP BY cliente_id
+        `,
+        { replacements: { inicio }, transaction: t }
+      );
+      for (const r of prev) {
+        iniciales.set(Number(r.cliente_id), Number(r.saldo) || 0);
+      }
+    }
+
+    // 2) Movimientos del mes
+    const [movs] = await db.query(
+      `
+      SELECT cliente_id,
+             ROUND(SUM(CASE WHEN signo = 1 THEN monto ELSE 0 END), 2) AS debitos,
+             ROUND(SUM(CASE WHEN signo = -1 THEN monto ELSE 0 END), 2) AS creditos
+      FROM cxc_movimientos
+      WHERE fecha >= :inicio AND fecha < :fin
+      GROUP BY cliente_id
+      `,
+      { replacements: { inicio, fin }, transaction: t }
+    );
+    const delMes = new Map(
+      movs.map((r) => [
+        Number(r.cliente_id),
+        { debitos: Number(r.debitos) || 0, creditos: Number(r.creditos) || 0 }
+      ])
+    );
+
+    // 3) Filas por cliente (se omiten clientes sin saldo ni movimientos)
+    const clienteIds = new Set([...iniciales.keys(), ...delMes.keys()]);
+    const filas = [];
+    let saldoTotal = 0;
+
+    for (const cliente_id of clienteIds) {
+      const saldo_inicial = moneyRound(iniciales.get(cliente_id) || 0);
+      const { debitos = 0, creditos = 0 } = delMes.get(cliente_id) || {};
+      if (saldo_inicial === 0 && debitos === 0 && creditos === 0) continue;
+
+      const saldo_final = moneyRound(saldo_inicial + debitos - creditos);
+      saldoTotal += saldo_final;
+      filas.push({
+        cliente_id,
+        anio: a,
+        mes: m,
+        saldo_inicial,
+        debitos: moneyRound(debitos),
+        creditos: moneyRound(creditos),
+        saldo_final,
+        cierre_fecha: cierreFecha
+      });
+    }
+
+    if (filas.length) {
+      await CxcSaldosMensualesModel.bulkCreate(filas, { transaction: t });
+    }
+
+    await cierre.update(
+      { clientes: filas.length, saldo_total: moneyRound(saldoTotal) },
+      { transaction: t }
+    );
+
+    await t.commit();
+    return { cierre, clientes: filas.length, saldo_total: moneyRound(saldoTotal) };
+  } catch (err) {
+    try {
+      if (!t.finished) await t.rollback();
+    } catch {}
+    // Dos cierres simultáneos del mismo mes
+    if (err?.name === 'SequelizeUniqueConstraintError') {
+      throw errorCxc('PERIODO_YA_CERRADO', 409);
+    }
+    throw err;
+  }
+}
+
+// ======================================================
+// Job node-cron: cierra los meses pendientes hasta el mes anterior,
+// una vez pasados los días de gracia (app.js).
+// ======================================================
+export async function cierreAutomaticoCxC() {
+  try {
+    const ref = new Date(nowMs() - cxcConfig.diasGracia * 24 * 3600 * 1000);
+    // Mes anterior al de referencia (getMonth() es 0-based)
+    const objetivo =
+      ref.getMonth() === 0
+        ? { anio: ref.getFullYear() - 1, mes: 12 }
+        : { anio: ref.getFullYear(), mes: ref.getMonth() };
+
+    const ultimo = await obtenerUltimoCierreCxC();
+    let periodo = ultimo ? siguientePeriodo(ultimo) : objetivo;
+
+    while (idxPeriodo(periodo) <= idxPeriodo(objetivo)) {
+      const r = await cerrarMesCxC({ ...periodo, origen: 'automatico' });
+      console.log(
+        JSON.stringify({
+          msg: 'cxc_cierre_mensual',
+          anio: periodo.anio,
+          mes: periodo.mes,
+          clientes: r.clientes,
+          saldo_total: r.saldo_total
+        })
+      );
+      periodo = siguientePeriodo(periodo);
+    }
+  } catch (err) {
+    console.error('[CxC] error en cierre automático:', err);
+  }
+}
+
+// ===============================
+// POST /cxc/cierres/:anio/:mes
+// ===============================
+export const CR_CxcCierreMes_CTS = async (req, res) => {
+  try {
+    const r = await cerrarMesCxC({
+      anio: req.params.anio,
+      mes: req.params.mes,
+      usuario_id: getUsuarioId(req)
+    });
+
+    return res.status(201).json({
+      ok: true,
+      mensaje: `Mes ${r.cierre.mes}/${r.cierre.anio} cerrado (${r.clientes} cliente(s)).`,
+      data: r.cierre
+    });
+  } catch (err) {
+    if (err?.message === 'PERIODO_INVALIDO') {
+      return res.status(400).json({
+        code: 'BAD_REQUEST',
+        mensajeError: 'Período inválido (anio 2000-2100, mes 1-12).'
+      });
+    }
+    if (err?.message === 'PERIODO_NO_FINALIZADO') {
+      return res.status(400).json({
+        code: 'BAD_REQUEST',
+        mensajeError: 'No se puede cerrar un mes que todavía no terminó.'
+      });
+    }
+    if (err?.message === 'PERIODO_YA_CERRADO') {
+      return res.status(409).json({
+        code: 'PERIODO_YA_CERRADO',
+        mensajeError: 'El mes ya está cerrado.'
+      });
+    }
+    if (err?.message === 'PERIODO_SALTEADO') {
+      const { anio, mes } = err.meta.esperado;
+      return res.status(409).json({
+        code: 'PERIODO_SALTEADO',
+        mensajeError: 'Los cierres son correlativos: primero hay que cerrar el mes pendiente.',
+        tips: [`Próximo mes a cerrar: ${mes}/${anio}.`],
+        meta: err.meta
+      });
+    }
+
+    console.error('CR_CxcCierreMes_CTS error:', err);
+    return res.status(500).json({
+      code: 'SERVER_ERROR',
+      mensajeError: 'No se pudo cerrar el mes.'
+    });
+  }
+};
+
+// ===============================
+// GET /cxc/cierres  (períodos cerrados)
+// ===============================
+export const OBRS_CxcCierres_CTS = async (req, res) => {
+  try {
+    const { page, limit, offset } = parsePagination(req);
+    const { rows, count } = await CxcCierresModel.findAndCountAll({
+      limit,
+      offset
+    });
+
+    const totalPages = Math.max(1, Math.ceil(count / limit));
+    return res.json({
+      data: rows,
+      meta: {
+        total: count,
+        page,
+        limit,
+        totalPages,
+        hasPrev: page > 1,
+        hasNext: page < totalPages
+      }
+    });
+  } catch (err) {
+    console.error('OBRS_CxcCierres_CTS error:', err);
+    return res.status(500).json({
+      code: 'SERVER_ERROR',
+      mensajeError: 'No se pudieron listar los cierres.'
+    });
+  }
+};
+
+// ===============================
+// GET /cxc/cierres/:anio/:mes  (saldos congelados por cliente)
+// Query: cliente_id, page, limit
+// ===============================
+export const OBR_CxcCierreMes_CTS = async (req, res) => {
+  try {
+    const anio = Number(req.params.anio);
+    const mes = Number(req.params.mes);
+    const { page, limit, offset } = parsePagination(req);
+
+    const cierre = await CxcCierresModel.findOne({ where: { anio, mes } });
+    if (!cierre) {
+      return res.status(404).json({
+        code: 'NOT_FOUND',
+        mensajeError: 'El mes no está cerrado.'
+      });
+    }
+
+    const where = { anio, mes };
+    if (req.query.cliente_id) where.cliente_id = Number(req.query.cliente_id);
+
+    const { rows, count } = await CxcSaldosMensualesModel.findAndCountAll({
+      where,
+      include: [
+        {
+          model: ClientesModel,
+          as: 'cliente',
+          attributes: ['id', 'nombre', 'documento']
+        }
+      ],
+      limit,
+      offset
+    });
+
+    const totalPages = Math.max(1, Math.ceil(count / limit));
+    return res.json({
+      cierre,
+      data: rows,
+      meta: {
+        total: count,
+        page,
+        limit,
+        totalPages,
+        hasPrev: page > 1,
+        hasNext: page < totalPages
+      }
+    });
+  } catch (err) {
+    console.error('OBR_CxcCierreMes_CTS error:', err);
+    return res.status(500).json({
+      code: 'SERVER_ERROR',
+      mensajeError: 'No se pudo obtener el cierre.'
+    });
+  }
+};
@@ -6,6 +6,7 @@
  * Descripción:
  *  Endpoints de consulta de Cuentas Corrientes (CxC) por cliente.
  *  - Deuda detallada por cliente (ventas pendientes).
+ *  - Notas de crédito / débito aprobadas (por venta y sin venta).
  *
  * Tema: Cobranzas / Cuentas Corrientes
  * Capa: Backend - Controllers
@@ -19,6 +20,10 @@ import { ClientesModel } from '../../Models/Clientes/MD_TB_Clientes.js';
 import { VentasModel } from '../../Models/Ventas/MD_TB_Ventas.js';
 import { CobranzaAplicacionesModel } from '../../Models/Cobranzas/MD_TB_CobranzaAplicaciones.js';
 import { CobranzasClientesModel } from '../../Models/Cobranzas/MD_TB_CobranzasClientes.js';
+import {
+  obtenerNetoNotasPorVenta,
+  obtenerNotasSinVentaPorCliente
+} from './CTS_TB_CxcNotas.js';
 
 if (process.env.NODE_ENV !== 'production') {
   dotenv.config();
@@ -36,8 +41,10 @@ const normInt = (v) => {
 //   total_deuda: 10500.00,
 //   saldo_previo_total: 45000.00,
 //   saldos_previos: [ { id, fecha, monto, descripcion } ],
+//   notas_ajustes_total: -500.00,
+//   notas_ajustes: [ { id, comprobante, tipo, fecha, signo, monto, motivo } ],
 //   ventas_pendientes: [
-//     { id, fecha, tipo, total_venta, cobrado, saldo, dias_atraso }
+//     { id, fecha, tipo, total_venta, cobrado, notas_neto, saldo, dias_atraso }
 //   ]
 // }
 // ======================================================
@@ -144,6 +151,15 @@ export const OBR_CxcDeudaCliente_CTS = async (req, res) => {
       saldosPrevios.reduce((acc, r) => acc + Number(r.monto || 0), 0).toFixed(2)
     );
 
+    // ======================================================
+    // Benjamin Orellana - 26-10-2026
+    // 1.e) Notas / ajustes aprobados SIN venta: impactan en el saldo general
+    // ======================================================
+    const notasSinVenta = (await obtenerNotasSinVentaPorCliente([clienteId])).get(
+      clienteId
+    ) || { total: 0, notas: [] };
+    const notasAjustesTotal = Number(notasSinVenta.total.toFixed(2));
+
     // 2) Ventas fiadas / a cuenta confirmadas de ese cliente
     const ventas = await VentasModel.findAll({
       where: {
@@ -167,10 +183,12 @@ export const OBR_CxcDeudaCliente_CTS = async (req, res) => {
           telefono: cliente.telefono,
           email: cliente.email
         },
-        total_deuda: Number(saldoPrevioTotal.toFixed(2)),
+        total_deuda: Number((saldoPrevioTotal + notasAjustesTotal).toFixed(2)),
         // Benjamin Orellana - 25-02-2026
         saldo_previo_total: saldoPrevioTotal,
         saldos_previos: saldosPrevios,
+        notas_ajustes_total: notasAjustesTotal,
+        notas_ajustes: notasSinVenta.notas,
         ventas_pendientes: []
       });
     }
@@ -196,6 +214,9 @@ export const OBR_CxcDeudaCliente_CTS = async (req, res) => {
       mapApps[row.venta_id] = Number(row.total_aplicado) || 0;
     }
 
+    // Benjamin Orellana - 26-10-2026 - NC (-) / ND (+) aprobadas vinculadas a cada venta
+    const netoNotas = await obtenerNetoNotasPorVenta(ventasIds);
+
     const hoy = new Date();
     const ventasPendientes = [];
     let totalDeudaVentas = 0;
@@ -212,7 +233,9 @@ export const OBR_CxcDeudaCliente_CTS = async (req, res) => {
       const aplicadoApps = mapApps[v.id] || 0;
       const cobrado = Math.max(aCuentaVenta, aplicadoApps);
 
-      const saldo = Number((totalVenta - cobrado).toFixed(2));
+      const notas_neto = netoNotas.get(v.id) || 0;
+
+      const saldo = Number((totalVenta - cobrado + notas_neto).toFixed(2));
       if (saldo <= 0.01) continue;
 
       const fechaVenta = new Date(v.fecha);
@@ -228,6 +251,7 @@ export const OBR_CxcDeudaCliente_CTS = async (req, res) => {
         tipo: v.tipo,
         total_venta: totalVenta,
         cobrado,
+        notas_neto,
         saldo,
         dias_atraso
       });
@@ -240,8 +264,11 @@ export const OBR_CxcDeudaCliente_CTS = async (req, res) => {
     // ======================================================
     // Benjamin Orellana - 25-02-2026
     // Deuda total = ventas pendientes + saldo previo pendiente (neto)
+    // Benjamin Orellana - 26-10-2026 - + notas / ajustes sin venta
     // ======================================================
-    const totalDeuda = Number((totalDeudaVentas + saldoPrevioTotal).toFixed(2));
+    const totalDeuda = Number(
+      (totalDeudaVentas + saldoPrevioTotal + notasAjustesTotal).toFixed(2)
+    );
 
     return res.json({
       cliente: {
@@ -254,6 +281,8 @@ export const OBR_CxcDeudaCliente_CTS = async (req, res) => {
       total_deuda: totalDeuda,
       saldo_previo_total: saldoPrevioTotal,
       saldos_previos: saldosPrevios,
+      notas_ajustes_total: notasAjustesTotal,
+      notas_ajustes: notasSinVenta.notas,
       ventas_pendientes: ventasPendientes
     });
   } catch (err) {
@@ -0,0 +1,640 @@
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 26 / 10 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ *  Notas de crédito, notas de débito y ajustes manuales sobre la Cuenta Corriente.
+ *  - POST  /cxc/notas                 → alta en estado 'pendiente' (numerada por tipo).
+ *  - PATCH /cxc/notas/:id/aprobar     → socio aprueba: genera el movimiento en cxc_movimientos
+ *                                       (origen_tipo nota_credito / nota_debito / ajuste).
+ *  - PATCH /cxc/notas/:id/rechazar    → socio rechaza (la numeración se conserva).
+ *  - GET   /cxc/notas, GET /cxc/notas/:id
+ *  Una NC vinculada a una venta reduce su saldo pendiente (nunca por debajo de 0);
+ *  una ND vinculada lo aumenta. Sin venta, impactan en el saldo general del cliente.
+ *  Helpers exportados para la deuda por cliente y los reportes de deudores.
+ *
+ * Tema: Cobranzas / Cuentas Corrientes
+ * Capa: Backend - Controllers
+ */
+
+import dotenv from 'dotenv';
+import { Op } from 'sequelize';
+import db from '../../DataBase/db.js';
+
+import {
+  CxcNotasModel,
+  formatearComprobanteNota
+} from '../../Models/CuentasCorriente/MD_TB_CxcNotas.js';
+import { CxcMovimientosModel } from '../../Models/CuentasCorriente/MD_TB_CxcMovimientos.js';
+import { CobranzaAplicacionesModel } from '../../Models/Cobranzas/MD_TB_CobranzaAplicaciones.js';
+import { ClientesModel } from '../../Models/Clientes/MD_TB_Clientes.js';
+import { VentasModel } from '../../Models/Ventas/MD_TB_Ventas.js';
+import { nowMs } from '../../Utils/authoritativeTime.js';
+import { getUsuarioId } from '../Stock/CTS_TB_Stock.js';
+import { registrarAuditoria } from '../Auditoria/CTS_TB_Auditoria.js';
+import {
+  assertPeriodoCxcAbierto,
+  responderPeriodoCxcCerrado
+} from './CTS_TB_CxcCierres.js';
+
+if (process.env.NODE_ENV !== 'production') {
+  dotenv.config();
+}
+
+const TIPOS = ['nota_credito', 'nota_debito', 'ajuste'];
+
+const normInt = (v) => {
+  if (v === null || v === undefined || v === '') return NaN;
+  const n = Number(v);
+  return Number.isInteger(n) && n >= 0 ? n : NaN;
+};
+
+const moneyRound = (n) =>
+  Math.round((Number(n) + Number.EPSILON) * 100) / 100;
+
+const parsePagination = (req) => {
+  const page = Math.max(1, parseInt(req.query.page || '1', 10));
+  const limit = Math.min(
+    200,
+    Math.max(1, parseInt(req.query.limit || '50', 10))
+  );
+  const offset = (page - 1) * limit;
+  return { page, limit, offset };
+};
+
+const errorNota = (code, status, meta) => {
+  const e = new Error(code);
+  e.status = status;
+  if (meta) e.meta = meta;
+  return e;
+};
+
+const incCliente = {
+  model: ClientesModel,
+  as: 'cliente',
+  attributes: ['id', 'nombre', 'documento']
+};
+
+// ======================================================
+// Helpers exportados (deuda por cliente / reportes)
+// ======================================================
+
+/**
+ * Neto de notas APROBADAS vinculadas a ventas: Map venta_id → Σ(signo * monto).
+ * Negativo = la venta debe menos (NC); positivo = debe más (ND).
+ */
+export async function obtenerNetoNotasPorVenta(ventaIds, transaction) {
+  const ids = [...new Set((ventaIds || []).map(Number).filter(Boolean))];
+  const out = new Map();
+  if (!ids.length) return out;
+
+  const rows = await CxcNotasModel.unscoped().findAll({
+    where: { venta_id: { [Op.in]: ids }, estado: 'aprobada' },
+    attributes: [
+      'venta_id',
+      [db.literal('ROUND(SUM(signo * monto), 2)'), 'neto']
+    ],
+    group: ['venta_id'],
+    raw: true,
+    transaction
+  });
+  for (const r of rows) out.set(Number(r.venta_id), Number(r.neto) || 0);
+  return out;
+}
+
+/**
+ * Notas APROBADAS sin venta (ajustan el saldo general):
+ * Map cliente_id → { total (Σ signo * monto), notas: [...] }.
+ */
+export async function obtenerNotasSinVentaPorCliente(clienteIds, transaction) {
+  const where = { venta_id: null, estado: 'aprobada' };
+  if (clienteIds) where.cliente_id = { [Op.in]: clienteIds };
+
+  const rows = await CxcNotasModel.findAll({ where, transaction });
+  const out = new Map();
+  for (const n of rows) {
+    const cid = Number(n.cliente_id);
+    const acc = out.get(cid) || { total: 0, notas: [] };
+    acc.total = moneyRound(acc.total + n.signo * n.monto);
+    acc.notas.push({
+      id: n.id,
+      comprobante: n.comprobante,
+      tipo: n.tipo,
+      fecha: n.fecha,
+      signo: n.signo,
+      monto: n.monto,
+      motivo: n.motivo
+    });
+    out.set(cid, acc);
+  }
+  return out;
+}
+
+// Saldo pendiente de una venta (mismo criterio que la deuda por cliente + notas aprobadas)
+async function saldoPendienteVenta(venta, transaction) {
+  const apps = await CobranzaAplicacionesModel.unscoped().findOne({
+    where: { venta_id: venta.id },
+    attributes: [[db.fn('SUM', db.col('monto_aplicado')), 'total']],
+    raw: true,
+    transaction
+  });
+  const cobrado = Math.max(
+    Number(venta.monto_a_cuenta) || 0,
+    Number(apps?.total) || 0
+  );
+  const netoNotas =
+    (await obtenerNetoNotasPorVenta([venta.id], transaction)).get(venta.id) ||
+    0;
+  return moneyRound((Number(venta.total_neto) || 0) - cobrado + netoNotas);
+}
+
+// Venta vinculable: del cliente, confirmada y a crédito
+async function validarVentaNota({ venta_id, cliente_id }, transaction) {
+  // Lock compartido: serializa con la baja física de la venta (ER_Venta_CTS)
+  const venta = await VentasModel.findByPk(venta_id, {
+    transaction,
+    lock: transaction.LOCK.SHARE
+  });
+  if (!venta) throw errorNota('VENTA_NO_ENCONTRADA', 404);
+  if (Number(venta.cliente_id) !== Number(cliente_id)) {
+    throw errorNota('La venta no pertenece al cliente.', 400);
+  }
+  if (venta.estado !== 'confirmada') {
+    throw errorNota('La venta está anulada.', 400);
+  }
+  if (!['fiado', 'a_cuenta'].includes(String(venta.tipo))) {
+    throw errorNota('Solo se pueden vincular ventas fiadas o a cuenta.', 400);
+  }
+  return venta;
+}
+
+// La NC no puede dejar la venta con saldo negativo
+async function validarTopeNC(nota, venta, transaction) {
+  if (nota.tipo !== 'nota_credito' || !venta) return;
+  const saldo = await saldoPendienteVenta(venta, transaction);
+  if (Number(nota.monto) - saldo > 0.01) {
+    throw errorNota('NC_SUPERA_SALDO', 400, { saldo_venta: saldo });
+  }
+}
+
+const MAX_INTENTOS_NUMERACION = 3;
+
+// Índice único (tipo, numero) o deadlock de InnoDB al tomar el correlativo
+const esChoqueNumeracion = (err) =>
+  err?.name === 'SequelizeUniqueConstraintError' ||
+  err?.parent?.errno === 1213 ||
+  err?.parent?.code === 'ER_LOCK_DEADLOCK';
+
+const responderErrorNota = (res, err, fallback, ctx) => {
+  if (err?.message === 'NOT_FOUND') {
+    return res.status(404).json({
+      code: 'NOT_FOUND',
+      mensajeError: 'Nota no encontrada.'
+    });
+  }
+  if (err?.message === 'VENTA_NO_ENCONTRADA') {
+    return res.status(404).json({
+      code: 'NOT_FOUND',
+      mensajeError: 'Venta no encontrada.'
+    });
+  }
+  if (err?.message === 'CLIENTE_NO_ENCONTRADO') {
+    return res.status(404).json({
+      code: 'NOT_FOUND',
+      mensajeError: 'Cliente no encontrado.'
+    });
+  }
+  if (err?.message === 'NC_SUPERA_SALDO') {
+    return res.status(400).json({
+      code: 'BAD_REQUEST',
+      mensajeError: 'La nota de crédito supera el saldo pendiente de la venta.',
+      tips: [`Saldo pendiente actual: ${err.meta.saldo_venta}.`],
+      meta: err.meta
+    });
+  }
+  if (err?.message === 'NOTA_YA_RESUELTA') {
+    return res.status(409).json({
+      code: 'NOTA_YA_RESUELTA',
+      mensajeError: `La nota ya está ${err.meta.estado}.`
+    });
+  }
+  const errCierre = responderPeriodoCxcCerrado(res, err);
+  if (errCierre) return errCierre;
+  if (
+    err?.name === 'SequelizeValidationError' ||
+    err?.name === 'ValidationError'
+  ) {
+    return res.status(400).json({
+      code: 'MODEL_VALIDATION',
+      mensajeError: 'Hay campos inválidos en la nota.',
+      tips: (err.errors || []).map((e) => e.message)
+    });
+  }
+  if (err?.status === 400) {
+    return res.status(400).json({
+      code: 'BAD_REQUEST',
+      mensajeError: err.message
+    });
+  }
+
+  console.error(`${ctx} error:`, err);
+  return res.status(500).json({
+    code: 'SERVER_ERROR',
+    mensajeError: fallback
+  });
+};
+
+// ===============================
+// GET /cxc/notas
+// Query: cliente_id, venta_id, tipo, estado, desde, hasta, page, limit
+// ===============================
+export const OBRS_CxcNotas_CTS = async (req, res) => {
+  try {
+    const { page, limit, offset } = parsePagination(req);
+    const { cliente_id, venta_id, tipo, estado, desde, hasta } =
+      req.query || {};
+
+    const where = {};
+    if (cliente_id) where.cliente_id = normInt(cliente_id);
+    if (venta_id) where.venta_id = normInt(venta_id);
+    if (tipo && TIPOS.includes(String(tipo))) where.tipo = String(tipo);
+    if (estado && ['pendiente', 'aprobada', 'rechazada'].includes(String(estado))) {
+      where.estado = String(estado);
+    }
+    if (desde || hasta) {
+      where.fecha = {};
+      if (desde) where.fecha[Op.gte] = new Date(`${desde}T00:00:00`);
+      if (hasta) where.fecha[Op.lte] = new Date(`${hasta}T23:59:59`);
+    }
+
+    const { rows, count } = await CxcNotasModel.findAndCountAll({
+      where,
+      include: [incCliente],
+      limit,
+      offset
+    });
+
+    const totalPages = Math.max(1, Math.ceil(count / limit));
+    return res.json({
+      data: rows,
+      meta: {
+        total: count,
+        page,
+        limit,
+        totalPages,
+        hasPrev: page > 1,
+        hasNext: page < totalPages
+      }
+    });
+  } catch (err) {
+    console.error('OBRS_CxcNotas_CTS error:', err);
+    return res.status(500).json({
+      code: 'SERVER_ERROR',
+      mensajeError: 'No se pudieron listar las notas.'
+    });
+  }
+};
+
+// ===============================
+// GET /cxc/notas/:id
+// ===============================
+export const OBR_CxcNota_CTS = async (req, res) => {
+  try {
+    const id = normInt(req.params.id);
+    if (!Number.isFinite(id)) {
+      return res.status(400).json({
+        code: 'BAD_REQUEST',
+        mensajeError: 'ID inválido.'
+      });
+    }
+
+    const nota = await CxcNotasModel.findByPk(id, {
+      include: [
+        incCliente,
+        {
+          model: VentasModel,
+          as: 'venta',
+          attributes: ['id', 'fecha', 'tipo', 'total_neto', 'estado']
+        }
+      ]
+    });
+    if (!nota) {
+      return res.status(404).json({
+        code: 'NOT_FOUND',
+        mensajeError: 'Nota no encontrada.'
+      });
+    }
+    return res.json(nota);
+  } catch (err) {
+    console.error('OBR_CxcNota_CTS error:', err);
+    return res.status(500).json({
+      code: 'SERVER_ERROR',
+      mensajeError: 'No se pudo obtener la nota.'
+    });
+  }
+};
+
+// ===============================
+// POST /cxc/notas
+// body: { tipo, cliente_id, monto, motivo, venta_id?, fecha?, signo? (solo ajuste: 1 | -1) }
+// ===============================
+export const CR_CxcNota_CTS = async (req, res) => {
+  const { tipo, cliente_id, venta_id, monto, motivo, fecha, signo } =
+    req.body || {};
+
+  if (!TIPOS.includes(String(tipo))) {
+    return res.status(400).json({
+      code: 'BAD_REQUEST',
+      mensajeError: "tipo inválido (use 'nota_credito' | 'nota_debito' | 'ajuste')."
+    });
+  }
+
+  const cliId = normInt(cliente_id);
+  if (!Number.isFinite(cliId) || cliId <= 0) {
+    return res.status(400).json({
+      code: 'BAD_REQUEST',
+      mensajeError: 'cliente_id es obligatorio.'
+    });
+  }
+
+  const montoNum = moneyRound(monto);
+  if (!Number.isFinite(montoNum) || montoNum <= 0) {
+    return res.status(400).json({
+      code: 'BAD_REQUEST',
+      mensajeError: 'monto debe ser numérico y mayor a 0.'
+    });
+  }
+
+  if (!String(motivo || '').trim()) {
+    return res.status(400).json({
+      code: 'BAD_REQUEST',
+      mensajeError: 'El motivo es obligatorio.'
+    });
+  }
+
+  // NC siempre reduce, ND siempre aumenta; el ajuste declara su sentido
+  let signoFinal = tipo === 'nota_credito' ? -1 : 1;
+  if (tipo === 'ajuste') {
+    signoFinal = Number(signo);
+    if (![1, -1].includes(signoFinal)) {
+      return res.status(400).json({
+        code: 'BAD_REQUEST',
+        mensajeError: 'Para un ajuste indicá signo: 1 (aumenta deuda) o -1 (reduce deuda).'
+      });
+    }
+  }
+
+  const vtaId = venta_id ? normInt(venta_id) : null;
+  if (venta_id && !Number.isFinite(vtaId)) {
+    return res.status(400).json({
+      code: 'BAD_REQUEST',
+      mensajeError: 'venta_id inválido.'
+    });
+  }
+  if (vtaId && tipo === 'ajuste') {
+    return res.status(400).json({
+      code: 'BAD_REQUEST',
+      mensajeError: 'Los ajustes no se vinculan a ventas; usá una nota de crédito o débito.'
+    });
+  }
+
+  const fechaDT = fecha ? new Date(fecha) : new Date(nowMs());
+  if (Number.isNaN(fechaDT.getTime())) {
+    return res.status(400).json({
+      code: 'BAD_REQUEST',
+      mensajeError: 'Fecha inválida.'
+    });
+  }
+
+  // Benjamin Orellana - 13-11-2026 - Dos altas simultáneas del mismo tipo pueden chocar
+  // en el correlativo (índice único o deadlock sobre el hueco bloqueado): se reintenta.
+  for (let intento = 1; ; intento++) {
+    const t = await db.transaction();
+    try {
+      const cli = await ClientesModel.findByPk(cliId, { transaction: t });
+      if (!cli) throw errorNota('CLIENTE_NO_ENCONTRADO', 404);
+
+      // Aviso temprano: al aprobar se vuelve a validar (hook de cierres)
+      await assertPeriodoCxcAbierto(fechaDT, t);
+
+      const venta = vtaId
+        ? await validarVentaNota({ venta_id: vtaId, cliente_id: cliId }, t)
+        : null;
+      await validarTopeNC({ tipo, monto: montoNum }, venta, t);
+
+      // Correlativo por tipo (lock sobre el último número)
+      const ultima = await CxcNotasModel.unscoped().findOne({
+        where: { tipo },
+        attributes: ['id', 'numero'],
+        order: [['numero', 'DESC']],
+        transaction: t,
+        lock: t.LOCK.UPDATE
+      });
+
+      const nota = await CxcNotasModel.create(
+        {
+          tipo,
+          numero: Number(ultima?.numero || 0) + 1,
+          cliente_id: cliId,
+          venta_id: vtaId,
+          fecha: fechaDT,
+          signo: signoFinal,
+          monto: montoNum,
+          motivo: String(motivo).trim(),
+          estado: 'pendiente',
+          usuario_id: getUsuarioId(req)
+        },
+        { transaction: t }
+      );
+
+      await registrarAuditoria(
+        {
+          req,
+          accion: 'crear',
+          entidad: 'nota_cxc',
+          entidad_id: nota.id,
+          despues: nota
+        },
+        t
+      );
+
+      await t.commit();
+      return res.status(201).json(nota);
+    } catch (err) {
+      try {
+        if (!t.finished) await t.rollback();
+      } catch {}
+      if (esChoqueNumeracion(err)) {
+        if (intento < MAX_INTENTOS_NUMERACION) continue;
+        return res.status(409).json({
+          code: 'NUMERACION_OCUPADA',
+          mensajeError:
+            'Otra nota del mismo tipo se registró al mismo tiempo; reintente.'
+        });
+      }
+      return responderErrorNota(
+        res,
+        err,
+        'No se pudo registrar la nota.',
+        'CR_CxcNota_CTS'
+      );
+    }
+  }
+};
+
+// ===============================
+// PATCH /cxc/notas/:id/aprobar  (socio)
+// ===============================
+export const UR_CxcNota_Aprobar_CTS = async (req, res) => {
+  const id = normInt(req.params.id);
+  if (!Number.isFinite(id)) {
+    return res.status(400).json({
+      code: 'BAD_REQUEST',
+      mensajeError: 'ID inválido.'
+    });
+  }
+
+  const t = await db.transaction();
+  try {
+    const nota = await CxcNotasModel.findByPk(id, {
+      transaction: t,
+      lock: t.LOCK.UPDATE
+    });
+    if (!nota) throw errorNota('NOT_FOUND', 404);
+    if (nota.estado !== 'pendiente') {
+      throw errorNota('NOTA_YA_RESUELTA', 409, { estado: nota.estado });
+    }
+
+    const antes = nota.get({ plain: true });
+
+    // El saldo de la venta pudo cambiar desde el alta (cobranzas / otras notas)
+    if (nota.venta_id) {
+      const venta = await validarVentaNota(
+        { venta_id: nota.venta_id, cliente_id: nota.cliente_id },
+        t
+      );
+      await validarTopeNC(nota, venta, t);
+    }
+
+    const comprobante = formatearComprobanteNota(nota.tipo, nota.numero);
+    const mov = await CxcMovimientosModel.create(
+      {
+        cliente_id: nota.cliente_id,
+        fecha: nota.fecha,
+        signo: nota.signo,
+        monto: nota.monto,
+        origen_tipo: nota.tipo,
+        origen_id: nota.id,
+        descripcion: [
+          comprobante,
+          nota.venta_id ? `Venta #${nota.venta_id}` : null,
+          nota.motivo
+        ]
+          .filter(Boolean)
+          .join(' · ')
+          .slice(0, 255)
+      },
+      { transaction: t }
+    );
+
+    await nota.update(
+      {
+        estado: 'aprobada',
+        resuelto_por: getUsuarioId(req),
+        resuelto_at: new Date(nowMs()),
+        cxc_movimiento_id: mov.id
+      },
+      { transaction: t }
+    );
+
+    await registrarAuditoria(
+      {
+        req,
+        accion: 'modificar',
+        entidad: 'nota_cxc',
+        entidad_id: nota.id,
+        antes,
+        despues: nota
+      },
+      t
+    );
+
+    await t.commit();
+    return res.json(nota);
+  } catch (err) {
+    try {
+      if (!t.finished) await t.rollback();
+    } catch {}
+    return responderErrorNota(
+      res,
+      err,
+      'No se pudo aprobar la nota.',
+      'UR_CxcNota_Aprobar_CTS'
+    );
+  }
+};
+
+// ===============================
+// PATCH /cxc/notas/:id/rechazar  (socio)
+// body: { motivo_rechazo? }
+// ===============================
+export const UR_CxcNota_Rechazar_CTS = async (req, res) => {
+  const id = normInt(req.params.id);
+  if (!Number.isFinite(id)) {
+    return res.status(400).json({
+      code: 'BAD_REQUEST',
+      mensajeError: 'ID inválido.'
+    });
+  }
+
+  const t = await db.transaction();
+  try {
+    const nota = await CxcNotasModel.findByPk(id, {
+      transaction: t,
+      lock: t.LOCK.UPDATE
+    });
+    if (!nota) throw errorNota('NOT_FOUND', 404);
+    if (nota.estado !== 'pendiente') {
+      throw errorNota('NOTA_YA_RESUELTA', 409, { estado: nota.estado });
+    }
+
+    const antes = nota.get({ plain: true });
+
+    await nota.update(
+      {
+        estado: 'rechazada',
+        resuelto_por: getUsuarioId(req),
+        resuelto_at: new Date(nowMs()),
+        motivo_rechazo:
+          String(req.body?.motivo_rechazo || '').trim().slice(0, 255) || null
+      },
+      { transaction: t }
+    );
+
+    await registrarAuditoria(
+      {
+        req,
+        accion: 'anular',
+        entidad: 'nota_cxc',
+        entidad_id: nota.id,
+        antes,
+        despues: nota
+      },
+      t
+    );
+
+    await t.commit();
+    return res.json(nota);
+  } catch (err) {
+    try {
+      if (!t.finished) await t.rollback();
+    } catch {}
+    return responderErrorNota(
+      res,
+      err,
+      'No se pudo rechazar la nota.',
+      'UR_CxcNota_Rechazar_CTS'
+    );
+  }
+};
@@ -0,0 +1,664 @@
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 19 / 10 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ *  Libro de envases retornables (bidones 20L / sifones) por cliente.
+ *  - Movimientos: entregado / devuelto / perdido / deposito.
+ *  - Saldo en poder del cliente = entregado - devuelto - perdido.
+ *  - Los movimientos atados a ventas anuladas NO cuentan para el saldo.
+ *  - Un depósito manual se carga en la CxC del cliente (DEBE, origen 'envase_deposito').
+ *  - Helpers exportados para ventas (registro por línea, ajuste al editar ítems)
+ *    y reportes (saldos por cliente).
+ *
+ * Endpoints:
+ *  GET    /envases-movimientos
+ *  POST   /envases-movimientos
+ *  DELETE /envases-movimientos/:id
+ *  GET    /cxc/clientes/:id/envases
+ *
+ * Tema: Ventas / Envases
+ * Capa: Backend - Controllers
+ */
+
+import dotenv from 'dotenv';
+import { Op } from 'sequelize';
+import db from '../../DataBase/db.js';
+
+import { EnvasesMovimientosModel } from '../../Models/Envases/MD_TB_EnvasesMovimientos.js';
+import { ClientesModel } from '../../Models/Clientes/MD_TB_Clientes.js';
+import { ProductosModel } from '../../Models/Productos/MD_TB_Productos.js';
+import { VentasModel } from '../../Models/Ventas/MD_TB_Ventas.js';
+import { CxcMovimientosModel } from '../../Models/CuentasCorriente/MD_TB_CxcMovimientos.js';
+import { nowMs } from '../../Utils/authoritativeTime.js';
+import {
+  registrarAuditoria,
+  snapshot
+} from '../Auditoria/CTS_TB_Auditoria.js';
+import { responderPeriodoCxcCerrado } from '../Cobranzas/CTS_TB_CxcCierres.js';
+
+if (process.env.NODE_ENV !== 'production') {
+  dotenv.config();
+}
+
+const TIPOS = ['entregado', 'devuelto', 'perdido', 'deposito'];
+
+const normInt = (v) => {
+  if (v === null || v === undefined || v === '') return NaN;
+  const n = Number(v);
+  return Number.isInteger(n) && n >= 0 ? n : NaN;
+};
+
+const moneyRound = (n) => Math.round(Number(n) * 100) / 100;
+
+const parsePagination = (req) => {
+  const page = Math.max(1, parseInt(req.query.page || '1', 10));
+  const limit = Math.min(
+    200,
+    Math.max(1, parseInt(req.query.limit || '50', 10))
+  );
+  const offset = (page - 1) * limit;
+  return { page, limit, offset };
+};
+
+const parseDate = (v, endOfDay = false) => {
+  if (!v) return null;
+  const str = endOfDay ? `${v}T23:59:59` : `${v}T00:00:00`;
+  const d = new Date(str);
+  return Number.isNaN(d.getTime()) ? null : d;
+};
+
+// ======================================================
+// Helper: registrar envases por venta (llamado desde CR_Venta_CTS y
+// CR_VentasReparto_Masiva_CTS dentro de su transacción).
+// - lineas: líneas tal cual vinieron del front (mismo orden que detalles).
+// - detalles: filas creadas en ventas_detalle (con id).
+// Por cada línea de producto retornable:
+//   entregado = envases_entregados ?? cantidad
+//   devuelto  = envases_devueltos ?? 0
+// ======================================================
+export async function registrarEnvasesPorVenta(
+  { venta, lineas = [], detalles = [] },
+  transaction
+) {
+  if (!venta || !Array.isArray(detalles) || !detalles.length) return [];
+
+  const productoIds = [
+    ...new Set(detalles.map((d) => Number(d.producto_id)).filter(Boolean))
+  ];
+
+  const retornables = await ProductosModel.findAll({
+    where: { id: { [Op.in]: productoIds }, es_retornable: true },
+    attributes: ['id'],
+    transaction
+  });
+  const retornablesSet = new Set(retornables.map((p) => Number(p.id)));
+
+  // Validamos envases informados aunque el producto no sea retornable
+  const rows = [];
+  detalles.forEach((det, idx) => {
+    const ln = lineas[idx] || {};
+    const base = {
+      cliente_id: venta.cliente_id,
+      producto_id: det.producto_id,
+      venta_id: venta.id,
+      venta_detalle_id: det.id ?? null,
+      reparto_id: venta.reparto_id ?? null,
+      fecha: venta.fecha
+    };
+
+    const entregadosRaw = ln.envases_entregados;
+    const devueltosRaw = ln.envases_devueltos;
+
+    const entregados =
+      entregadosRaw === undefined || entregadosRaw === null || entregadosRaw === ''
+        ? Number(det.cantidad)
+        : normInt(entregadosRaw);
+    const devueltos =
+      devueltosRaw === undefined || devueltosRaw === null || devueltosRaw === ''
+        ? 0
+        : normInt(devueltosRaw);
+
+    if (!Number.isFinite(entregados) || !Number.isFinite(devueltos)) {
+      const e = new Error(
+        `Ítem #${idx + 1}: envases_entregados / envases_devueltos deben ser enteros >= 0.`
+      );
+      e.status = 400;
+      throw e;
+    }
+
+    if (!retornablesSet.has(Number(det.producto_id))) {
+      if (devueltos > 0) {
+        const e = new Error(
+          `Ítem #${idx + 1}: el producto no es retornable, no admite envases devueltos.`
+        );
+        e.status = 400;
+        throw e;
+      }
+      return;
+    }
+
+    if (entregados > 0) {
+      rows.push({ ...base, tipo: 'entregado', cantidad: entregados });
+    }
+    if (devueltos > 0) {
+      rows.push({ ...base, tipo: 'devuelto', cantidad: devueltos });
+    }
+  });
+
+  if (!rows.length) return [];
+
+  return EnvasesMovimientosModel.bulkCreate(rows, { transaction });
+}
+
+// ======================================================
+// Benjamin Orellana - 13-11-2026
+// Helpers: el libro acompaña los cambios de ítems de la venta
+// (CTS_TB_VentasDetalle, dentro de su transacción).
+// - anularEnvasesDeVenta: borra los movimientos generados por esos ítems
+//   (detalleIds = null → todos los de la venta, para el reemplazo total).
+// - resincronizarEnvasesDetalle: rehace los movimientos de un ítem editado.
+//   Sin envases_* en el body se conservan los anteriores mientras no cambie
+//   el producto (devueltos) o la cantidad (entregados); si no, default del alta.
+// ======================================================
+export async function anularEnvasesDeVenta(
+  { venta_id, detalleIds = null },
+  transaction
+) {
+  const where = { venta_id };
+  if (detalleIds) {
+    if (!detalleIds.length) return 0;
+    where.venta_detalle_id = { [Op.in]: detalleIds };
+  }
+  return EnvasesMovimientosModel.destroy({ where, transaction });
+}
+
+export async function resincronizarEnvasesDetalle(
+  { venta, detalle, anterior, linea = {} },
+  transaction
+) {
+  const previos = await EnvasesMovimientosModel.findAll({
+    where: { venta_id: venta.id, venta_detalle_id: detalle.id },
+    transaction
+  });
+  const suma = (tipo) =>
+    previos
+      .filter((m) => m.tipo === tipo)
+      .reduce((acc, m) => acc + Number(m.cantidad), 0);
+
+  const mismoProducto =
+    Number(anterior.producto_id) === Number(detalle.producto_id);
+  const mismaCantidad =
+    mismoProducto && Number(anterior.cantidad) === Number(detalle.cantidad);
+
+  const ln = {
+    envases_entregados:
+      linea.envases_entregados ??
+      (mismaCantidad ? suma('entregado') : undefined),
+    envases_devueltos:
+      linea.envases_devueltos ?? (mismoProducto ? suma('devuelto') : undefined)
+  };
+
+  if (previos.length) {
+    await EnvasesMovimientosModel.destroy({
+      where: { id: { [Op.in]: previos.map((m) => m.id) } },
+      transaction
+    });
+  }
+
+  return registrarEnvasesPorVenta(
+    { venta, lineas: [ln], detalles: [detalle] },
+    transaction
+  );
+}
+
+// ======================================================
+// Helper: saldos de envases por cliente (para reportes / CxC)
+// Devuelve Map(cliente_id → { total, por_producto: [{ producto_id, nombre, saldo }] })
+// Excluye movimientos de ventas anuladas.
+// ======================================================
+export async function obtenerSaldosEnvasesClientes(clienteIds = [], transaction) {
+  const ids = [...new Set((clienteIds || []).map(Number).filter(Boolean))];
+  const out = new Map();
+  if (!ids.length) return out;
+
+  const [rows] = await db.query(
+    `
+    SELECT
+      em.cliente_id,
+      em.producto_id,
+      p.nombre AS producto_nombre,
+      SUM(CASE em.tipo
+            WHEN 'entregado' THEN em.cantidad
+            WHEN 'devuelto' THEN -em.cantidad
+            WHEN 'perdido' THEN -em.cantidad
+            ELSE 0
+          END) AS saldo
+    FROM envases_movimientos em
+    JOIN productos p ON p.id = em.producto_id
+    LEFT JOIN ventas v ON v.id = em.venta_id
+    WHERE em.cliente_id IN (:ids)
+      AND (em.venta_id IS NULL OR v.estado <> 'anulada')
+    GROUP BY em.cliente_id, em.producto_id, p.nombre
+    ORDER BY em.cliente_id ASC, p.nombre ASC
+    `,
+    { replacements: { ids }, transaction }
+  );
+
+  for (const r of rows || []) {
+    const cliId = Number(r.cliente_id);
+    const saldo = Number(r.saldo) || 0;
+    const acc = out.get(cliId) || { total: 0, por_producto: [] };
+    if (saldo !== 0) {
+      acc.por_producto.push({
+        producto_id: Number(r.producto_id),
+        nombre: r.producto_nombre,
+        saldo
+      });
+      acc.total += saldo;
+    }
+    out.set(cliId, acc);
+  }
+
+  return out;
+}
+
+// ===============================
+// LIST - GET /envases-movimientos
+// Filtros: cliente_id, producto_id, venta_id, reparto_id, tipo, desde, hasta
+// ===============================
+export const OBRS_EnvasesMovimientos_CTS = async (req, res) => {
+  try {
+    const { page, limit, offset } = parsePagination(req);
+    const { cliente_id, producto_id, venta_id, reparto_id, tipo, desde, hasta } =
+      req.query || {};
+
+    const where = {};
+    if (cliente_id) where.cliente_id = normInt(cliente_id);
+    if (producto_id) where.producto_id = normInt(producto_id);
+    if (venta_id) where.venta_id = normInt(venta_id);
+    if (reparto_id) where.reparto_id = normInt(reparto_id);
+    if (tipo && TIPOS.includes(String(tipo))) where.tipo = String(tipo);
+
+    const dDesde = parseDate(desde);
+    const dHasta = parseDate(hasta, true);
+    if (dDesde || dHasta) {
+      where.fecha = {};
+      if (dDesde) where.fecha[Op.gte] = dDesde;
+      if (dHasta) where.fecha[Op.lte] = dHasta;
+    }
+
+    for (const k of ['cliente_id', 'producto_id', 'venta_id', 'reparto_id']) {
+      if (k in where && !Number.isFinite(where[k])) {
+        return res.status(400).json({
+          code: 'BAD_REQUEST',
+          mensajeError: `${k} inválido.`
+        });
+      }
+    }
+
+    const { rows, count } = await EnvasesMovimientosModel.findAndCountAll({
+      where,
+      include: [
+        { model: ClientesModel, as: 'cliente', attributes: ['id', 'nombre'] },
+        { model: ProductosModel, as: 'producto', attributes: ['id', 'nombre'] }
+      ],
+      limit,
+      offset
+    });
+
+    const totalPages = Math.max(1, Math.ceil(count / limit));
+    return res.json({
+      data: rows,
+      meta: {
+        total: count,
+        page,
+        limit,
+        totalPages,
+        hasPrev: page > 1,
+        hasNext: page < totalPages
+      }
+    });
+  } catch (err) {
+    console.error('OBRS_EnvasesMovimientos_CTS error:', err);
+    return res.status(500).json({
+      code: 'SERVER_ERROR',
+      mensajeError: 'No se pudieron listar los movimientos de envases.'
+    });
+  }
+};
+
+// ===============================
+// CREATE - POST /envases-movimientos
+// Movimiento manual (devolución fuera de venta, pérdida, depósito cobrado,
+// carga de envases en comodato previos al sistema).
+// Body: { cliente_id, producto_id, tipo, cantidad, monto?, fecha?, reparto_id?, observaciones? }
+// ===============================
+export const CR_EnvaseMovimiento_CTS = async (req, res) => {
+  const {
+    cliente_id,
+    producto_id,
+    tipo,
+    cantidad,
+    monto,
+    fecha,
+    reparto_id,
+    observaciones
+  } = req.body || {};
+
+  const cliId = normInt(cliente_id);
+  const prodId = normInt(producto_id);
+  const cant = cantidad === undefined || cantidad === '' ? 0 : normInt(cantidad);
+  const montoNum = moneyRound(Number(monto || 0));
+  const repId =
+    reparto_id === undefined || reparto_id === null || reparto_id === ''
+      ? null
+      : normInt(reparto_id);
+
+  if (!Number.isFinite(cliId) || !Number.isFinite(prodId)) {
+    return res.status(400).json({
+      code: 'BAD_REQUEST',
+      mensajeError: 'cliente_id y producto_id son obligatorios y numéricos.'
+    });
+  }
+  if (!TIPOS.includes(String(tipo))) {
+    return res.status(400).json({
+      code: 'BAD_REQUEST',
+      mensajeError: `tipo inválido. Valores permitidos: ${TIPOS.join(', ')}.`
+    });
+  }
+  if (!Number.isFinite(cant) || (tipo !== 'deposito' && cant <= 0)) {
+    return res.status(400).json({
+      code: 'BAD_REQUEST',
+      mensajeError: 'cantidad debe ser un entero > 0.'
+    });
+  }
+  if (!Number.isFinite(montoNum) || montoNum < 0) {
+    return res.status(400).json({
+      code: 'BAD_REQUEST',
+      mensajeError: 'monto debe ser numérico y >= 0.'
+    });
+  }
+  if (tipo === 'deposito' && !(montoNum > 0)) {
+    return res.status(400).json({
+      code: 'BAD_REQUEST',
+      mensajeError: 'Un depósito requiere monto > 0.'
+    });
+  }
+  if (repId !== null && !Number.isFinite(repId)) {
+    return res.status(400).json({
+      code: 'BAD_REQUEST',
+      mensajeError: 'reparto_id debe ser numérico.'
+    });
+  }
+
+  const fechaDT = fecha ? new Date(fecha) : new Date(nowMs());
+  if (isNaN(fechaDT.getTime())) {
+    return res.status(400).json({
+      code: 'BAD_REQUEST',
+      mensajeError: 'Fecha inválida.'
+    });
+  }
+
+  const t = await db.transaction();
+  try {
+    const cliente = await ClientesModel.findByPk(cliId, {
+      attributes: ['id'],
+      transaction: t
+    });
+    if (!cliente) {
+      await t.rollback();
+      return res.status(404).json({
+        code: 'NOT_FOUND',
+        mensajeError: 'Cliente no encontrado.'
+      });
+    }
+
+    const producto = await ProductosModel.findByPk(prodId, {
+      attributes: ['id', 'nombre', 'es_retornable'],
+      transaction: t
+    });
+    if (!producto) {
+      await t.rollback();
+      return res.status(404).json({
+        code: 'NOT_FOUND',
+        mensajeError: 'Producto no encontrado.'
+      });
+    }
+    if (!producto.es_retornable) {
+      await t.rollback();
+      return res.status(400).json({
+        code: 'BAD_REQUEST',
+        mensajeError: 'El producto no está marcado como retornable.',
+        tips: ['Marcá el producto con es_retornable = true desde Productos.']
+      });
+    }
+
+    const mov = await EnvasesMovimientosModel.create(
+      {
+        cliente_id: cliId,
+        producto_id: prodId,
+        venta_id: null,
+        venta_detalle_id: null,
+        reparto_id: repId,
+        fecha: fechaDT,
+        tipo: String(tipo),
+        cantidad: cant,
+        monto: montoNum,
+        observaciones: observaciones?.trim?.() || null
+      },
+      { transaction: t }
+    );
+
+    // Benjamin Orellana - 13-11-2026 - El depósito se cobra por CxC (DEBE)
+    const movCxc =
+      tipo === 'deposito'
+        ? await CxcMovimientosModel.create(
+            {
+              cliente_id: cliId,
+              fecha: fechaDT,
+              signo: 1,
+              monto: montoNum,
+              origen_tipo: 'envase_deposito',
+              origen_id: mov.id,
+              descripcion: [
+                `Depósito de envases · ${producto.nombre}`,
+                cant > 0 ? `${cant} u.` : null
+              ]
+                .filter(Boolean)
+                .join(' · ')
+                .slice(0, 255)
+            },
+            { transaction: t }
+          )
+        : null;
+
+    await registrarAuditoria(
+      {
+        req,
+        accion: 'crear',
+        entidad: 'envase_movimiento',
+        entidad_id: mov.id,
+        despues: { ...snapshot(mov), cxc_movimiento: snapshot(movCxc) }
+      },
+      t
+    );
+
+    await t.commit();
+    return res.status(201).json(mov);
+  } catch (err) {
+    try {
+      if (!t.finished) await t.rollback();
+    } catch {}
+    const errCierre = responderPeriodoCxcCerrado(res, err);
+    if (errCierre) return errCierre;
+    if (err?.name === 'SequelizeValidationError') {
+      return res.status(400).json({
+        code: 'MODEL_VALIDATION',
+        mensajeError: err.errors?.[0]?.message || 'Datos inválidos.'
+      });
+    }
+    console.error('CR_EnvaseMovimiento_CTS error:', err);
+    return res.status(500).json({
+      code: 'SERVER_ERROR',
+      mensajeError: 'No se pudo registrar el movimiento de envases.'
+    });
+  }
+};
+
+// ===============================
+// DELETE - DELETE /envases-movimientos/:id
+// Solo movimientos manuales: los generados por venta se corrigen anulando la venta
+// o editando sus ítems.
+// ===============================
+export const ER_EnvaseMovimiento_CTS = async (req, res) => {
+  const id = normInt(req.params.id);
+  if (!Number.isFinite(id)) {
+    return res.status(400).json({
+      code: 'BAD_REQUEST',
+      mensajeError: 'ID inválido.'
+    });
+  }
+
+  const t = await db.transaction();
+  try {
+    const mov = await EnvasesMovimientosModel.findByPk(id, {
+      transaction: t,
+      lock: t.LOCK.UPDATE
+    });
+    if (!mov) {
+      await t.rollback();
+      return res.status(404).json({
+        code: 'NOT_FOUND',
+        mensajeError: 'Movimiento no encontrado.'
+      });
+    }
+    if (mov.venta_id) {
+      await t.rollback();
+      return res.status(409).json({
+        code: 'CONFLICT',
+        mensajeError:
+          'El movimiento pertenece a una venta. Para revertirlo, anulá la venta.',
+        meta: { venta_id: mov.venta_id }
+      });
+    }
+
+    // Benjamin Orellana - 13-11-2026 - Un depósito manual arrastra su DEBE en CxC
+    const movCxc = await CxcMovimientosModel.findOne({
+      where: { origen_tipo: 'envase_deposito', origen_id: id },
+      transaction: t
+    });
+    if (movCxc) await movCxc.destroy({ transaction: t });
+
+    await mov.destroy({ transaction: t });
+
+    await registrarAuditoria(
+      {
+        req,
+        accion: 'eliminar',
+        entidad: 'envase_movimiento',
+        entidad_id: id,
+        antes: { ...snapshot(mov), cxc_movimiento: snapshot(movCxc) }
+      },
+      t
+    );
+    if (movCxc) {
+      await registrarAuditoria(
+        {
+          req,
+          accion: 'eliminar',
+          entidad: 'cxc_movimiento',
+          entidad_id: movCxc.id,
+          antes: movCxc
+        },
+        t
+      );
+    }
+
+    await t.commit();
+    return res.json({ ok: true, id });
+  } catch (err) {
+    try {
+      if (!t.finished) await t.rollback();
+    } catch {}
+    const errCierre = responderPeriodoCxcCerrado(res, err);
+    if (errCierre) return errCierre;
+    console.error('ER_EnvaseMovimiento_CTS error:', err);
+    return res.status(500).json({
+      code: 'SERVER_ERROR',
+      mensajeError: 'No se pudo eliminar el movimiento de envases.'
+    });
+  }
+};
+
+// ======================================================
+// GET /cxc/clientes/:id/envases
+// Devuelve:
+// {
+//   cliente: { id, nombre },
+//   total_envases: 4,
+//   por_producto: [ { producto_id, nombre, saldo } ],
+//   depositos_total: 12000.00,
+//   ultimos_movimientos: [ ... ]
+// }
+// ======================================================
+export const OBR_EnvasesSaldoCliente_CTS = async (req, res) => {
+  try {
+    const clienteId = normInt(req.params.id);
+    if (!Number.isFinite(clienteId)) {
+      return res.status(400).json({
+        code: 'BAD_REQUEST',
+        mensajeError: 'ID de cliente inválido.'
+      });
+    }
+
+    const cliente = await ClientesModel.findByPk(clienteId, {
+      attributes: ['id', 'nombre', 'documento', 'telefono']
+    });
+    if (!cliente) {
+      return res.status(404).json({
+        code: 'NOT_FOUND',
+        mensajeError: 'Cliente no encontrado.'
+      });
+    }
+
+    const saldos = await obtenerSaldosEnvasesClientes([clienteId]);
+    const saldo = saldos.get(clienteId) || { total: 0, por_producto: [] };
+
+    const [depRows] = await db.query(
+      `
+      SELECT COALESCE(SUM(em.monto), 0) AS total
+      FROM envases_movimientos em
+      LEFT JOIN ventas v ON v.id = em.venta_id
+      WHERE em.cliente_id = :clienteId
+        AND em.tipo = 'deposito'
+        AND (em.venta_id IS NULL OR v.estado <> 'anulada')
+      `,
+      { replacements: { clienteId } }
+    );
+
+    const ultimos = await EnvasesMovimientosModel.findAll({
+      where: { cliente_id: clienteId },
+      include: [
+        { model: ProductosModel, as: 'producto', attributes: ['id', 'nombre'] },
+        { model: VentasModel, as: 'venta', attributes: ['id', 'estado'] }
+      ],
+      limit: 20
+    });
+
+    return res.json({
+      cliente,
+      total_envases: saldo.total,
+      por_producto: saldo.por_producto,
+      depositos_total: Number(depRows?.[0]?.total || 0),
+      ultimos_movimientos: ultimos
+    });
+  } catch (err) {
+    console.error('OBR_EnvasesSaldoCliente_CTS error:', err);
+    return res.status(500).json({
+      code: 'SERVER_ERROR',
+      mensajeError: 'No se pudo obtener el saldo de envases del cliente.'
+    });
+  }
+};
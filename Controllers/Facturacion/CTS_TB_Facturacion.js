@@ -0,0 +1,758 @@
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 06 / 11 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ *  Factura electrónica (AFIP / ARCA - WSFEv1) de ventas confirmadas.
+ *  - POST /ventas/:id/facturar      → pide el CAE al adaptador configurado y guarda el comprobante.
+ *  - GET  /ventas/:id/comprobante   → comprobante emitido + URL del QR.
+ *  - GET  /ventas/:id/factura/pdf   → factura imprimible con CAE, vencimiento y QR (RG 4892).
+ *
+ *  Letra: emisor monotributo / exento → C; responsable inscripto → A si el cliente es RI o
+ *  monotributo (con CUIT), B en el resto. Los importes salen del desglose de IVA de la venta
+ *  (ventas_iva, neto_gravado, neto_no_gravado, iva_total): lo que se factura es exactamente
+ *  lo que muestra el libro IVA.
+ *
+ *  La numeración la da el web service (último autorizado + 1); el número se reserva con una
+ *  fila 'pendiente' antes de pedir el CAE, lo que evita que dos pedidos simultáneos tomen el
+ *  mismo número. Una venta facturada (o con factura pendiente) queda cerrada: no se edita ni
+ *  se anula (corresponde nota de crédito).
+ *
+ * Tema: Controladores - Facturación
+ * Capa: Backend
+ */
+
+import dotenv from 'dotenv';
+import bwipjs from 'bwip-js';
+import puppeteer from 'puppeteer';
+import db from '../../DataBase/db.js';
+
+import { VentasModel } from '../../Models/Ventas/MD_TB_Ventas.js';
+import { VentasDetalleModel } from '../../Models/Ventas/MD_TB_VentasDetalle.js';
+import { VentasIvaModel } from '../../Models/Ventas/MD_TB_VentasIva.js';
+import { VentasComprobantesModel } from '../../Models/Ventas/MD_TB_VentasComprobantes.js';
+import { ClientesModel } from '../../Models/Clientes/MD_TB_Clientes.js';
+import { ProductosModel } from '../../Models/Productos/MD_TB_Productos.js';
+import { facturacionConfig } from '../../config/facturacion.config.js';
+import { ivaConfig } from '../../config/iva.config.js';
+import {
+  getFacturacionAdapter,
+  CBTE_TIPO,
+  DOC_TIPO,
+  CONDICION_IVA_RECEPTOR,
+  ALICUOTA_ID
+} from '../../Utils/facturacion/index.js';
+import { nowMs } from '../../Utils/authoritativeTime.js';
+import { getUsuarioId } from '../Stock/CTS_TB_Stock.js';
+import { errorApi, responderError } from '../../Utils/errorApi.js';
+
+if (process.env.NODE_ENV !== 'production') {
+  dotenv.config();
+}
+
+/* ============================================================
+ * Helpers
+ * ============================================================ */
+
+const normInt = (v) => {
+  if (v === null || v === undefined || v === '') return NaN;
+  const n = Number(v);
+  return Number.isInteger(n) && n > 0 ? n : NaN;
+};
+
+const round2 = (n) => Math.round((Number(n) + Number.EPSILON) * 100) / 100;
+
+const pad2 = (n) => String(n).padStart(2, '0');
+
+const fechaIso = (ms) => {
+  const d = new Date(ms);
+  return `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())}`;
+};
+
+const fmtFecha = (iso) =>
+  String(iso).slice(0, 10).split('-').reverse().join('/');
+
+const numeroCompleto = (c) =>
+  `${String(c.punto_venta).padStart(5, '0')}-${String(c.numero).padStart(8, '0')}`;
+
+function moneyAR(n) {
+  return (Number(n) || 0).toLocaleString('es-AR', {
+    style: 'currency',
+    currency: 'ARS',
+    minimumFractionDigits: 2
+  });
+}
+
+const escapeHtml = (s) =>
+  String(s ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const CONDICION_IVA_LABEL = {
+  consumidor_final: 'Consumidor Final',
+  responsable_inscripto: 'IVA Responsable Inscripto',
+  monotributo: 'Responsable Monotributo',
+  exento: 'IVA Sujeto Exento'
+};
+
+// Dígito verificador de CUIT / CUIL (módulo 11)
+function cuitValido(cuit) {
+  if (!/^\d{11}$/.test(cuit)) return false;
+  const pesos = [5, 4, 3, 2, 7, 6, 5, 4, 3, 2];
+  const suma = pesos.reduce((acc, p, i) => acc + p * Number(cuit[i]), 0);
+  const resto = 11 - (suma % 11);
+  const dv = resto === 11 ? 0 : resto === 10 ? 9 : resto;
+  return dv === Number(cuit[10]);
+}
+
+function letraComprobante(condicionCliente) {
+  if (facturacionConfig.condicionIva !== 'responsable_inscripto') return 'C';
+  return ['responsable_inscripto', 'monotributo'].includes(condicionCliente)
+    ? 'A'
+    : 'B';
+}
+
+function resolverReceptor(cliente, letra) {
+  const doc = String(cliente.documento || '').replace(/\D/g, '');
+
+  if (doc.length === 11) {
+    if (!cuitValido(doc)) {
+      throw errorApi(
+        409,
+        'CLIENTE_CUIT_INVALIDO',
+        `El CUIT del cliente (${doc}) no es válido.`
+      );
+    }
+    return { docTipo: DOC_TIPO.CUIT, docNro: doc };
+  }
+  if (letra === 'A') {
+    throw errorApi(
+      409,
+      'CLIENTE_SIN_CUIT',
+      'Para emitir factura A el cliente debe tener CUIT cargado en documento.'
+    );
+  }
+  if (doc.length >= 7 && doc.length <= 8) {
+    return { docTipo: DOC_TIPO.DNI, docNro: doc };
+  }
+  return { docTipo: DOC_TIPO.SIN_IDENTIFICAR, docNro: '0' };
+}
+
+// Comprobante en el formato común a todos los adaptadores (ver Utils/facturacion)
+export function armarComprobante({ venta, cliente, alicuotas, fecha }) {
+  const condicion = cliente.condicion_iva || 'consumidor_final';
+  const letra = letraComprobante(condicion);
+  const receptor = resolverReceptor(cliente, letra);
+  const total = round2(venta.total_neto);
+
+  const base = {
+    letra,
+    cbteTipo: CBTE_TIPO[letra],
+    puntoVenta: facturacionConfig.puntoVenta,
+    fecha,
+    ...receptor,
+    condicionIva: condicion,
+    condicionIvaReceptorId: CONDICION_IVA_RECEPTOR[condicion],
+    impTotal: total
+  };
+
+  // Factura C: no discrimina IVA
+  if (letra === 'C') {
+    return { ...base, impNeto: total, impOpEx: 0, impIva: 0, iva: [] };
+  }
+
+  const iva = alicuotas.map((a) => {
+    const id = ALICUOTA_ID[Number(a.alicuota)];
+    if (!id) {
+      throw errorApi(
+        409,
+        'ALICUOTA_NO_SOPORTADA',
+        `La alícuota ${a.alicuota}% no tiene código en WSFEv1.`
+      );
+    }
+    return {
+      id,
+      alicuota: Number(a.alicuota),
+      baseImp: round2(a.neto_gravado),
+      importe: round2(a.iva)
+    };
+  });
+
+  return {
+    ...base,
+    impNeto: round2(venta.neto_gravado),
+    impOpEx: round2(venta.neto_no_gravado),
+    impIva: round2(venta.iva_total),
+    iva
+  };
+}
+
+// Datos del QR según la especificación de AFIP (RG 4892)
+export function urlQrComprobante(c) {
+  const datos = {
+    ver: 1,
+    fecha: c.fecha_emision,
+    cuit: Number(facturacionConfig.cuit) || 0,
+    ptoVta: c.punto_venta,
+    tipoCmp: c.cbte_tipo,
+    nroCmp: c.numero,
+    importe: Number(c.imp_total),
+    moneda: 'PES',
+    ctz: 1,
+    tipoDocRec: c.doc_tipo,
+    nroDocRec: Number(c.doc_nro),
+    tipoCodAut: 'E',
+    codAut: Number(c.cae)
+  };
+  return `https://www.afip.gob.ar/fe/qr/?p=${Buffer.from(
+    JSON.stringify(datos)
+  ).toString('base64')}`;
+}
+
+const comprobanteJson = (c) => ({
+  ...c.toJSON(),
+  numero_completo: numeroCompleto(c),
+  qr_url: urlQrComprobante(c)
+});
+
+// Una venta con comprobante emitido no se modifica ni se anula: corresponde nota de crédito
+export async function assertVentaNoFacturada(ventaId, transaction) {
+  const c = await VentasComprobantesModel.findOne({
+    where: { venta_id: ventaId },
+    attributes: ['id', 'letra', 'punto_venta', 'numero'],
+    transaction
+  });
+  if (c) {
+    const e = new Error('VENTA_FACTURADA');
+    e.status = 409;
+    e.msg = `La venta tiene la factura ${c.letra} ${numeroCompleto(c)} emitida; para revertirla corresponde una nota de crédito.`;
+    throw e;
+  }
+}
+
+export const responderVentaFacturada = (res, err) =>
+  res.status(409).json({ code: 'VENTA_FACTURADA', mensajeError: err.msg });
+
+/* ============================================================
+ * POST /ventas/:id/facturar
+ *
+ * Benjamin Orellana - 13-11-2026 - Sin transacción ni locks abiertos durante la llamada
+ * al web service:
+ *  1) Se reserva el número con una fila 'pendiente' en ventas_comprobantes (commit).
+ *     El UNIQUE (punto_venta, cbte_tipo, numero) hace de lock: un pedido a la vez.
+ *  2) Se pide el CAE.
+ *  3) Aprobado → la fila pasa a 'autorizado' con el CAE. Rechazado → se borra (el número
+ *     no se consumió). Error de red → queda 'pendiente' y se concilia en el reintento:
+ *     si AFIP no llegó a ese número se libera; si lo autorizó, queda registrado el número
+ *     para cargar el CAE (nunca solo en el log).
+ * ============================================================ */
+
+// Una fila 'pendiente' más vieja que esto es de un pedido que no terminó
+const pendienteVencida = (c) =>
+  new Date(c.created_at).getTime() <
+  nowMs() - 2 * facturacionConfig.timeoutMs;
+
+// Venta facturable + comprobante armado (sin número). Con transaction, bloquea la venta.
+async function prepararFactura(id, transaction) {
+  const venta = await VentasModel.findByPk(id, {
+    transaction,
+    ...(transaction ? { lock: transaction.LOCK.UPDATE } : {})
+  });
+  if (!venta) {
+    throw errorApi(404, 'NOT_FOUND', 'Venta no encontrada.');
+  }
+  if (venta.estado !== 'confirmada') {
+    throw errorApi(
+      409,
+      'VENTA_NO_CONFIRMADA',
+      'Solo se facturan ventas confirmadas.'
+    );
+  }
+
+  const previo = await VentasComprobantesModel.findOne({
+    where: { venta_id: id },
+    transaction
+  });
+  if (previo?.estado === 'autorizado') {
+    throw errorApi(
+      409,
+      'VENTA_YA_FACTURADA',
+      `La venta ya tiene la factura ${previo.letra} ${numeroCompleto(previo)}.`,
+      { comprobante: comprobanteJson(previo) }
+    );
+  }
+
+  if (venta.neto_gravado === null) {
+    throw errorApi(
+      409,
+      'VENTA_SIN_DESGLOSE_IVA',
+      'La venta no tiene desglose de IVA; recalcule el total antes de facturar.'
+    );
+  }
+  if (!(Number(venta.total_neto) > 0)) {
+    throw errorApi(
+      409,
+      'VENTA_SIN_IMPORTE',
+      'No se puede facturar una venta con total cero.'
+    );
+  }
+
+  const cliente = await ClientesModel.findByPk(venta.cliente_id, {
+    attributes: ['id', 'nombre', 'documento', 'condicion_iva'],
+    transaction
+  });
+  const alicuotas = await VentasIvaModel.findAll({
+    where: { venta_id: id },
+    order: [['alicuota', 'ASC']],
+    transaction
+  });
+
+  const cbte = armarComprobante({
+    venta,
+    cliente,
+    alicuotas,
+    fecha: fechaIso(nowMs())
+  });
+  return { venta, previo, cbte };
+}
+
+// Pendientes del punto de venta / tipo: libera las que AFIP nunca autorizó y
+// rechaza si hay un pedido en curso o un número autorizado sin CAE registrado.
+async function conciliarPendientes({ ventaId, cbte, ultimo }) {
+  const pendientes = await VentasComprobantesModel.findAll({
+    where: {
+      punto_venta: cbte.puntoVenta,
+      cbte_tipo: cbte.cbteTipo,
+      estado: 'pendiente'
+    }
+  });
+
+  for (const p of pendientes) {
+    if (!pendienteVencida(p)) {
+      throw errorApi(
+        409,
+        'FACTURACION_OCUPADA',
+        'Hay otra factura en curso para el mismo punto de venta; reintente.'
+      );
+    }
+    if (Number(p.numero) > ultimo) {
+      await VentasComprobantesModel.destroy({
+        where: { id: p.id, estado: 'pendiente' }
+      });
+    } else if (Number(p.venta_id) === ventaId) {
+      throw errorApi(
+        409,
+        'FACTURA_PENDIENTE_CAE',
+        `AFIP autorizó la factura ${p.letra} ${numeroCompleto(p)} pero el CAE no quedó registrado; cárguelo desde el web service antes de reintentar.`,
+        { comprobante: comprobanteJson(p) }
+      );
+    }
+  }
+}
+
+export const CR_Venta_Facturar_CTS = async (req, res) => {
+  const id = normInt(req.params.id);
+  if (!Number.isFinite(id)) {
+    return res.status(400).json({
+      code: 'BAD_REQUEST',
+      mensajeError: 'ID inválido.'
+    });
+  }
+
+  let pendiente = null;
+  let t;
+
+  try {
+    const adapter = getFacturacionAdapter();
+
+    // 1) Número: último autorizado + 1 (la consulta al WS va sin transacción)
+    const { cbte: borrador } = await prepararFactura(id, null);
+    const ultimo = await adapter.ultimoAutorizado({
+      puntoVenta: borrador.puntoVenta,
+      cbteTipo: borrador.cbteTipo
+    });
+    await conciliarPendientes({ ventaId: id, cbte: borrador, ultimo });
+
+    // 2) Reserva del número: fila 'pendiente' commiteada antes de pedir el CAE
+    t = await db.transaction();
+    const { previo, cbte } = await prepararFactura(id, t);
+    if (previo) {
+      throw errorApi(
+        409,
+        'FACTURACION_OCUPADA',
+        'La venta tiene una factura en curso; reintente.'
+      );
+    }
+    if (
+      cbte.cbteTipo !== borrador.cbteTipo ||
+      cbte.puntoVenta !== borrador.puntoVenta
+    ) {
+      throw errorApi(
+        409,
+        'FACTURACION_OCUPADA',
+        'La venta cambió mientras se facturaba; reintente.'
+      );
+    }
+    cbte.numero = ultimo + 1;
+
+    pendiente = await VentasComprobantesModel.create(
+      {
+        venta_id: id,
+        estado: 'pendiente',
+        letra: cbte.letra,
+        cbte_tipo: cbte.cbteTipo,
+        punto_venta: cbte.puntoVenta,
+        numero: cbte.numero,
+        fecha_emision: cbte.fecha,
+        doc_tipo: cbte.docTipo,
+        doc_nro: cbte.docNro,
+        condicion_iva_receptor: cbte.condicionIva,
+        imp_total: cbte.impTotal,
+        imp_neto: cbte.impNeto,
+        imp_op_ex: cbte.impOpEx,
+        imp_iva: cbte.impIva,
+        cae: null,
+        cae_vencimiento: null,
+        adapter: adapter.nombre,
+        ambiente: adapter.ambiente,
+        usuario_id: getUsuarioId(req),
+        created_at: new Date(nowMs())
+      },
+      { transaction: t }
+    );
+    await t.commit();
+
+    // 3) CAE (sin transacción abierta)
+    const r = await adapter.solicitarCae(cbte);
+    if (r.resultado !== 'A') {
+      // Rechazado: el número no se consumió
+      await VentasComprobantesModel.destroy({
+        where: { id: pendiente.id, estado: 'pendiente' }
+      });
+      pendiente = null;
+      throw errorApi(
+        422,
+        'FACTURA_RECHAZADA',
+        'El web service rechazó el comprobante.',
+        {
+          errores: r.errores,
+          observaciones: r.observaciones,
+          comprobante: cbte
+        }
+      );
+    }
+
+    try {
+      await pendiente.update({
+        estado: 'autorizado',
+        cae: r.cae,
+        cae_vencimiento: r.cae_vencimiento,
+        observaciones: r.observaciones.length ? r.observaciones : null
+      });
+    } catch (err) {
+      // El número ya está reservado en la fila 'pendiente'; el reintento lo informa
+      console.error(
+        'CR_Venta_Facturar_CTS CAE otorgado sin confirmar:',
+        JSON.stringify({ comprobante_id: pendiente.id, cae: r.cae }),
+        err
+      );
+      throw err;
+    }
+
+    return res.status(201).json(comprobanteJson(pendiente));
+  } catch (err) {
+    try {
+      if (t && !t.finished) await t.rollback();
+    } catch {}
+
+    // Dos pedidos tomaron el mismo número (o la misma venta)
+    if (err?.name === 'SequelizeUniqueConstraintError') {
+      return res.status(409).json({
+        code: 'FACTURACION_OCUPADA',
+        mensajeError:
+          'Hay otra factura en curso para el mismo punto de venta; reintente.'
+      });
+    }
+    if (err?.code === 'AFIP_ERROR' || err?.isAxiosError) {
+      console.error('CR_Venta_Facturar_CTS error:', err);
+      return res.status(502).json({
+        code: 'AFIP_ERROR',
+        mensajeError:
+          err.code === 'AFIP_ERROR'
+            ? err.message
+            : 'No se pudo conectar con el web service de facturación.',
+        ...(err.meta ? { meta: err.meta } : {}),
+        // El número queda reservado hasta conciliarlo en el próximo intento
+        ...(pendiente ? { comprobante_pendiente: comprobanteJson(pendiente) } : {})
+      });
+    }
+    return responderError(
+      res,
+      err,
+      'CR_Venta_Facturar_CTS',
+      'No se pudo facturar la venta.'
+    );
+  }
+};
+
+async function obtenerComprobanteDeVenta(req) {
+  const id = normInt(req.params.id);
+  if (!Number.isFinite(id)) {
+    throw errorApi(400, 'BAD_REQUEST', 'ID inválido.');
+  }
+  const comprobante = await VentasComprobantesModel.findOne({
+    where: { venta_id: id, estado: 'autorizado' }
+  });
+  if (!comprobante) {
+    throw errorApi(
+      404,
+      'NOT_FOUND',
+      'La venta no tiene comprobante fiscal emitido.'
+    );
+  }
+  return { id, comprobante };
+}
+
+/* ============================================================
+ * GET /ventas/:id/comprobante
+ * ============================================================ */
+export const OBR_Venta_Comprobante_CTS = async (req, res) => {
+  try {
+    const { comprobante } = await obtenerComprobanteDeVenta(req);
+    return res.json(comprobanteJson(comprobante));
+  } catch (err) {
+    return responderError(
+      res,
+      err,
+      'OBR_Venta_Comprobante_CTS',
+      'No se pudo obtener el comprobante.'
+    );
+  }
+};
+
+/* ============================================================
+ * Builder HTML de la factura
+ * ============================================================ */
+
+// Líneas a imprimir: en A van sin IVA (neto gravado), en B / C a precio final
+function lineasFactura(items, letra) {
+  return items.map((it) => {
+    const cantidad = Number(it.cantidad);
+    const alicuota = Number(it.iva_porcentaje ?? 0);
+    const factor = 1 + alicuota / 100;
+    const neto = Number(it.neto_gravado ?? it.importe_neto ?? it.subtotal);
+    const importe =
+      letra === 'A' ? neto : round2(neto + Number(it.iva_monto ?? 0));
+
+    let unitario = Number(it.precio_unit);
+    if (letra === 'A' && ivaConfig.preciosIncluyenIva) {
+      unitario = round2(unitario / factor);
+    } else if (letra !== 'A' && !ivaConfig.preciosIncluyenIva) {
+      unitario = round2(unitario * factor);
+    }
+
+    return {
+      descripcion: it.producto?.nombre || `Producto #${it.producto_id}`,
+      cantidad,
+      unitario,
+      alicuota,
+      bonificacion: Math.max(0, round2(unitario * cantidad - importe)),
+      importe
+    };
+  });
+}
+
+function buildFacturaHtml({ comprobante: c, venta, cliente, items, qrPng }) {
+  const discrimina = c.letra === 'A';
+  const lineas = lineasFactura(items, c.letra);
+  const emisor = facturacionConfig;
+  const ivaContenido = round2(c.imp_iva);
+
+  const filas = lineas
+    .map(
+      (l) => `
+        <tr>
+          <td>${escapeHtml(l.descripcion)}</td>
+          <td class="text-right">${l.cantidad}</td>
+          <td class="text-right">${moneyAR(l.unitario)}</td>
+          <td class="text-right">${l.bonificacion ? moneyAR(l.bonificacion) : '—'}</td>
+          ${discrimina ? `<td class="text-right">${l.alicuota}%</td>` : ''}
+          <td class="text-right">${moneyAR(l.importe)}</td>
+        </tr>`
+    )
+    .join('');
+
+  const totales = discrimina
+    ? `
+        <tr><td>Importe neto gravado</td><td class="text-right">${moneyAR(c.imp_neto)}</td></tr>
+        ${(venta.iva || [])
+          .map(
+            (a) =>
+              `<tr><td>IVA ${String(Number(a.alicuota)).replace('.', ',')}%</td><td class="text-right">${moneyAR(a.iva)}</td></tr>`
+          )
+          .join('')}
+        ${c.imp_op_ex ? `<tr><td>Importe exento</td><td class="text-right">${moneyAR(c.imp_op_ex)}</td></tr>` : ''}`
+    : '';
+
+  return `<!DOCTYPE html>
+<html lang="es">
+<head>
+  <meta charset="utf-8" />
+  <style>
+    body { font-family: Arial, Helvetica, sans-serif; font-size: 11px; color: #111; margin: 0; }
+    .cabecera { display: flex; border: 1px solid #333; position: relative; }
+    .cabecera > div { flex: 1; padding: 10px 14px; }
+    .cabecera > div + div { border-left: 1px solid #333; padding-left: 40px; }
+    .letra { position: absolute; left: 50%; top: 0; transform: translateX(-50%);
+      width: 46px; border: 1px solid #333; border-top: none; background: #fff; text-align: center; }
+    .letra b { display: block; font-size: 26px; }
+    .letra small { font-size: 8px; }
+    h1 { font-size: 16px; margin: 0 0 6px; }
+    .receptor { border: 1px solid #333; border-top: none; padding: 8px 14px; }
+    table { width: 100%; border-collapse: collapse; margin-top: 10px; }
+    th, td { padding: 4px 6px; border-bottom: 1px solid #ddd; }
+    th { background: #f0f0f0; text-align: left; }
+    .text-right { text-align: right; }
+    .totales { width: 45%; margin-left: auto; }
+    .totales tr:last-child td { font-weight: bold; font-size: 13px; border-top: 2px solid #333; }
+    .pie { display: flex; align-items: center; gap: 16px; margin-top: 18px; border-top: 1px solid #333; padding-top: 10px; }
+    .pie img { width: 110px; height: 110px; }
+    .muted { color: #666; }
+  </style>
+</head>
+<body>
+  <div class="cabecera">
+    <div class="letra"><b>${c.letra}</b><small>COD. ${String(c.cbte_tipo).padStart(3, '0')}</small></div>
+    <div>
+      <h1>${escapeHtml(emisor.razonSocial || 'Razón social')}</h1>
+      <div>${escapeHtml(emisor.domicilio)}</div>
+      <div>${escapeHtml(CONDICION_IVA_LABEL[emisor.condicionIva] || emisor.condicionIva)}</div>
+    </div>
+    <div>
+      <h1>FACTURA</h1>
+      <div>Punto de venta: ${String(c.punto_venta).padStart(5, '0')} &nbsp; Comp. Nro: ${String(c.numero).padStart(8, '0')}</div>
+      <div>Fecha de emisión: ${fmtFecha(c.fecha_emision)}</div>
+      <div>CUIT: ${escapeHtml(emisor.cuit)}</div>
+      <div>Ingresos Brutos: ${escapeHtml(emisor.iibb || '—')}</div>
+      <div>Inicio de actividades: ${escapeHtml(emisor.inicioActividades || '—')}</div>
+    </div>
+  </div>
+
+  <div class="receptor">
+    <div><b>${c.doc_tipo === DOC_TIPO.CUIT ? 'CUIT' : c.doc_tipo === DOC_TIPO.DNI ? 'DNI' : 'Doc.'}:</b> ${c.doc_tipo === DOC_TIPO.SIN_IDENTIFICAR ? '—' : escapeHtml(c.doc_nro)}
+      &nbsp; <b>Apellido y nombre / Razón social:</b> ${escapeHtml(cliente?.nombre)}</div>
+    <div><b>Condición frente al IVA:</b> ${escapeHtml(CONDICION_IVA_LABEL[c.condicion_iva_receptor] || c.condicion_iva_receptor)}
+      &nbsp; <b>Condición de venta:</b> ${venta.tipo === 'contado' ? 'Contado' : 'Cuenta corriente'}</div>
+    <div class="muted">Venta #${venta.id}</div>
+  </div>
+
+  <table>
+    <thead>
+      <tr>
+        <th>Producto</th>
+        <th class="text-right">Cantidad</th>
+        <th class="text-right">Precio unit.</th>
+        <th class="text-right">Bonif.</th>
+        ${discrimina ? '<th class="text-right">IVA</th>' : ''}
+        <th class="text-right">${discrimina ? 'Subtotal' : 'Subtotal c/IVA'}</th>
+      </tr>
+    </thead>
+    <tbody>${filas}</tbody>
+  </table>
+
+  <table class="totales">
+    ${totales}
+    <tr><td>Importe total</td><td class="text-right">${moneyAR(c.imp_total)}</td></tr>
+  </table>
+  ${
+    c.letra === 'B'
+      ? `<div class="muted text-right">Régimen de Transparencia Fiscal al Consumidor (Ley 27.743) — IVA contenido: ${moneyAR(ivaContenido)}</div>`
+      : ''
+  }
+
+  <div class="pie">
+    <img src="data:image/png;base64,${qrPng.toString('base64')}" alt="QR AFIP" />
+    <div>
+      <div><b>Comprobante autorizado</b></div>
+      <div>CAE: ${escapeHtml(c.cae)}</div>
+      <div>Vencimiento CAE: ${fmtFecha(c.cae_vencimiento)}</div>
+      ${c.adapter === 'fake' ? '<div class="muted">Emitido con el adaptador de prueba: sin validez fiscal.</div>' : ''}
+    </div>
+  </div>
+</body>
+</html>`;
+}
+
+/* ============================================================
+ * GET /ventas/:id/factura/pdf
+ * ============================================================ */
+export const OBR_Venta_FacturaPDF_CTS = async (req, res) => {
+  try {
+    const { id, comprobante } = await obtenerComprobanteDeVenta(req);
+
+    const venta = await VentasModel.findByPk(id, {
+      include: [{ model: VentasIvaModel, as: 'iva' }],
+      order: [[{ model: VentasIvaModel, as: 'iva' }, 'alicuota', 'ASC']]
+    });
+    const cliente = await ClientesModel.findByPk(venta.cliente_id, {
+      attributes: ['id', 'nombre', 'documento']
+    });
+    const items = await VentasDetalleModel.findAll({
+      where: { venta_id: id },
+      include: [
+        { model: ProductosModel, as: 'producto', attributes: ['id', 'nombre'] }
+      ],
+      order: [['id', 'ASC']]
+    });
+
+    const qrPng = await bwipjs.toBuffer({
+      bcid: 'qrcode',
+      text: urlQrComprobante(comprobante),
+      scale: 3
+    });
+
+    const html = buildFacturaHtml({
+      comprobante,
+      venta,
+      cliente,
+      items,
+      qrPng
+    });
+
+    const browser = await puppeteer.launch({
+      headless: 'new',
+      args: ['--no-sandbox', '--disable-setuid-sandbox']
+    });
+
+    let pdfBuffer;
+    try {
+      const page = await browser.newPage();
+      await page.setContent(html, { waitUntil: 'networkidle0' });
+
+      pdfBuffer = await page.pdf({
+        format: 'A4',
+        printBackground: true,
+        margin: { top: '10mm', bottom: '12mm', left: '10mm', right: '10mm' }
+      });
+    } finally {
+      await browser.close();
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader(
+      'Content-Disposition',
+      `inline; filename="factura-${comprobante.letra}-${numeroCompleto(comprobante)}.pdf"`
+    );
+    return res.send(pdfBuffer);
+  } catch (err) {
+    return responderError(
+      res,
+      err,
+      'OBR_Venta_FacturaPDF_CTS',
+      'No se pudo generar el PDF de la factura.'
+    );
+  }
+};
@@ -0,0 +1,310 @@
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 21 / 10 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ *  Importación genérica de archivos XLSX / CSV guiada por config/importConfig.js.
+ *  - POST /import/:entity            → dry-run (por defecto): valida todas las filas y devuelve
+ *                                      el reporte de errores por fila, SIN persistir.
+ *  - POST /import/:entity?commit=1   → importa. Si hay errores no persiste nada
+ *                                      (salvo ?omitir_errores=1: importa solo las filas válidas).
+ *  - GET  /import                    → entidades disponibles y columnas esperadas.
+ *
+ *  Cada fila corre dentro de un SAVEPOINT de la transacción general: así el dry-run
+ *  ejercita exactamente la misma lógica que el commit (FKs, UNIQUE, cupos de reparto)
+ *  y un error en una fila no contamina a las demás.
+ *
+ * Tema: Importación
+ * Capa: Backend - Controllers
+ */
+
+import dotenv from 'dotenv';
+import multer from 'multer';
+import XLSX from 'xlsx';
+import db from '../../DataBase/db.js';
+
+import importConfig from '../../config/importConfig.js';
+import { getUsuarioId } from '../Stock/CTS_TB_Stock.js';
+import { mensajePeriodoCxcCerrado } from '../Cobranzas/CTS_TB_CxcCierres.js';
+
+if (process.env.NODE_ENV !== 'production') {
+  dotenv.config();
+}
+
+const MAX_FILAS = 5000;
+const MAX_BYTES = 10 * 1024 * 1024;
+
+// Archivo en memoria (campo "archivo")
+const uploadArchivo = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_BYTES }
+}).single('archivo');
+
+// Middleware: errores de multer → respuesta JSON con el formato del resto de la API
+export const uploadImport = (req, res, next) =>
+  uploadArchivo(req, res, (err) => {
+    if (!err) return next();
+    return res.status(400).json({
+      code: 'BAD_REQUEST',
+      mensajeError:
+        err?.code === 'LIMIT_FILE_SIZE'
+          ? 'El archivo supera el tamaño máximo permitido (10 MB).'
+          : 'No se pudo recibir el archivo.'
+    });
+  });
+
+// "Dirección Calle" → "direccion_calle"
+const normHeader = (h) =>
+  String(h ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+
+// Códigos de error internos que ya usan los helpers reutilizados
+const MENSAJES_CODIGOS = {
+  REPARTO_NO_EXISTE: 'Reparto no encontrado.',
+  REPARTO_INACTIVO: 'El reparto está inactivo.',
+  REPARTO_CIUDAD_MISMATCH: 'El reparto no pertenece a la ciudad indicada.',
+  REPARTO_RANGO_INVALIDO: 'El reparto tiene un rango inválido configurado.',
+  CLIENTE_NO_ENCONTRADO: 'Cliente no encontrado.',
+  VENDEDOR_NO_ENCONTRADO: 'Vendedor no encontrado.',
+  VENDEDOR_INACTIVO: 'El vendedor está inactivo.'
+};
+
+const mapErroresFila = (err) => {
+  if (
+    err?.name === 'SequelizeValidationError' ||
+    err?.name === 'SequelizeUniqueConstraintError'
+  ) {
+    return (err.errors || []).map((e) => ({
+      campo: e.path || null,
+      mensaje: e.message
+    }));
+  }
+  if (err?.name === 'SequelizeForeignKeyConstraintError') {
+    return [
+      {
+        campo: err?.fields?.[0] || null,
+        mensaje: 'Referencia inexistente (clave foránea).'
+      }
+    ];
+  }
+  // Benjamin Orellana - 25-10-2026 - Fecha dentro de un mes de CxC cerrado
+  if (err?.message === 'PERIODO_CXC_CERRADO') {
+    return [{ campo: 'fecha', mensaje: mensajePeriodoCxcCerrado(err) }];
+  }
+  if (err?.status === 400 || err?.status === 404 || MENSAJES_CODIGOS[err?.message]) {
+    return [
+      { campo: null, mensaje: MENSAJES_CODIGOS[err.message] || err.message }
+    ];
+  }
+  // Error no esperado: lo dejamos visible pero sin stack
+  console.error('[IMPORT] error inesperado en fila:', err);
+  return [{ campo: null, mensaje: 'Error inesperado al procesar la fila.' }];
+};
+
+// Lee la primera hoja del archivo → filas con encabezados normalizados
+// CSV: se decodifica como UTF-8 (xlsx lo toma como latin1 si recibe el buffer crudo)
+const leerFilas = (buffer, nombreArchivo = '') => {
+  const esCsv = /\.csv$/i.test(String(nombreArchivo));
+  const wb = esCsv
+    ? XLSX.read(buffer.toString('utf8').replace(/^\uFEFF/, ''), {
+        type: 'string',
+        cellDates: true
+      })
+    : XLSX.read(buffer, { type: 'buffer', cellDates: true });
+  const sheetName = wb.SheetNames?.[0];
+  if (!sheetName) return { headers: [], filas: [] };
+
+  const ws = wb.Sheets[sheetName];
+  const raw = XLSX.utils.sheet_to_json(ws, {
+    defval: '',
+    raw: true,
+    blankrows: true // mantiene el número de fila real para el reporte
+  });
+
+  const filas = raw.map((r) => {
+    const out = {};
+    for (const [k, v] of Object.entries(r)) out[normHeader(k)] = v;
+    return out;
+  });
+
+  const headerRow = XLSX.utils.sheet_to_json(ws, { header: 1, range: 0 })[0] || [];
+  const headers = headerRow.map(normHeader).filter(Boolean);
+
+  return { headers, filas };
+};
+
+const filaVacia = (row) =>
+  Object.values(row).every((v) => v === '' || v === null || v === undefined);
+
+// ===============================
+// GET /import
+// ===============================
+export const OBRS_ImportEntidades_CTS = async (_req, res) => {
+  return res.json(
+    Object.entries(importConfig).map(([entidad, cfg]) => ({
+      entidad,
+      required: cfg.required || [],
+      optional: cfg.optional || []
+    }))
+  );
+};
+
+// ===============================
+// POST /import/:entity  (multipart, campo "archivo")
+// Query: commit=1, omitir_errores=1
+// ===============================
+export const CR_Import_CTS = async (req, res) => {
+  const entidad = String(req.params.entity || '').trim().toLowerCase();
+  const cfg = importConfig[entidad];
+
+  if (!cfg) {
+    return res.status(404).json({
+      code: 'NOT_FOUND',
+      mensajeError: `Entidad de importación desconocida: ${entidad}.`,
+      tips: [`Entidades disponibles: ${Object.keys(importConfig).join(', ')}.`]
+    });
+  }
+
+  if (!req.file?.buffer) {
+    return res.status(400).json({
+      code: 'BAD_REQUEST',
+      mensajeError: 'Adjuntá el archivo XLSX/CSV en el campo "archivo".'
+    });
+  }
+
+  const commit = String(req.query.commit || '') === '1';
+  const omitirErrores = String(req.query.omitir_errores || '') === '1';
+
+  let headers;
+  let filas;
+  try {
+    ({ headers, filas } = leerFilas(req.file.buffer, req.file.originalname));
+  } catch (err) {
+    return res.status(400).json({
+      code: 'BAD_REQUEST',
+      mensajeError: 'No se pudo leer el archivo. Verificá que sea XLSX o CSV válido.'
+    });
+  }
+
+  const faltantes = (cfg.required || []).filter((c) => !headers.includes(c));
+  if (faltantes.length) {
+    return res.status(400).json({
+      code: 'BAD_REQUEST',
+      mensajeError: `Faltan columnas obligatorias: ${faltantes.join(', ')}.`,
+      tips: [
+        `Obligatorias: ${cfg.required.join(', ')}.`,
+        `Opcionales: ${(cfg.optional || []).join(', ') || '—'}.`
+      ]
+    });
+  }
+
+  const conocidas = new Set([...(cfg.required || []), ...(cfg.optional || [])]);
+  const ignoradas = headers.filter((h) => !conocidas.has(h));
+
+  if (filas.length > MAX_FILAS) {
+    return res.status(400).json({
+      code: 'BAD_REQUEST',
+      mensajeError: `El archivo supera el máximo de ${MAX_FILAS} filas. Dividilo en partes.`
+    });
+  }
+
+  const errores = [];
+  const procesadas = [];
+  let vacias = 0;
+  const usuario_id = getUsuarioId(req); // auditoría de lo que se persiste
+
+  const t = await db.transaction();
+  try {
+    for (let i = 0; i < filas.length; i++) {
+      const row = filas[i];
+      const nroFila = i + 2; // fila 1 = encabezados
+
+      if (filaVacia(row)) {
+        vacias++;
+        continue;
+      }
+
+      const faltaValor = (cfg.required || []).filter(
+        (c) => String(row[c] ?? '').trim() === ''
+      );
+      if (faltaValor.length) {
+        errores.push({
+          fila: nroFila,
+          errores: faltaValor.map((c) => ({
+            campo: c,
+            mensaje: 'Valor obligatorio vacío.'
+          }))
+        });
+        continue;
+      }
+
+      try {
+        // SAVEPOINT por fila
+        const resultado = await db.transaction({ transaction: t }, async (sp) => {
+          const values = await cfg.transform(row, { transaction: sp });
+
+          if (cfg.model) {
+            const attrs = Object.keys(cfg.model.rawAttributes);
+            const soloModelo = Object.fromEntries(
+              Object.entries(values).filter(([k]) => attrs.includes(k))
+            );
+            await cfg.model.build(soloModelo).validate();
+          }
+
+          if (cfg.persist)
+            return cfg.persist(values, { transaction: sp, usuario_id });
+
+          const creado = await cfg.model.create(values, { transaction: sp });
+          return { id: creado.id };
+        });
+
+        procesadas.push({ fila: nroFila, ...(resultado || {}) });
+      } catch (err) {
+        errores.push({ fila: nroFila, errores: mapErroresFila(err) });
+      }
+    }
+
+    const persistir = commit && (errores.length === 0 || omitirErrores);
+
+    if (persistir) await t.commit();
+    else await t.rollback();
+
+    return res.status(persistir ? 201 : 200).json({
+      entidad,
+      modo: commit ? 'commit' : 'dry-run',
+      persistido: persistir,
+      resumen: {
+        total_filas: filas.length - vacias,
+        validas: procesadas.length,
+        con_errores: errores.length,
+        filas_vacias: vacias
+      },
+      columnas_ignoradas: ignoradas,
+      errores,
+      // En dry-run los ids son provisorios (la transacción se revierte)
+      filas_ok: persistir ? procesadas : procesadas.map(({ fila }) => ({ fila })),
+      ...(commit && !persistir
+        ? {
+            mensajeError:
+              'Hay filas con errores; no se importó nada. Corregí el archivo o usá omitir_errores=1.'
+          }
+        : {})
+    });
+  } catch (err) {
+    try {
+      if (!t.finished) await t.rollback();
+    } catch {}
+
+    console.error('CR_Import_CTS error:', err);
+    return res.status(500).json({
+      code: 'SERVER_ERROR',
+      mensajeError: 'No se pudo procesar la importación.'
+    });
+  }
+};
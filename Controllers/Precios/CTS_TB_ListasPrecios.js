@@ -0,0 +1,752 @@
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 02 / 11 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ *  ABM de listas de precios y precios especiales por cliente.
+ *  - GET    /listas-precios                       (?tipo=&estado=&q=&vigente_en=YYYY-MM-DD)
+ *  - GET    /listas-precios/:id                   (cabecera + precios vigentes)
+ *  - POST   /listas-precios
+ *  - PUT    /listas-precios/:id
+ *  - POST   /listas-precios/:id/items             ({ items:[{producto_id, precio}], vigente_desde? })
+ *  - DELETE /listas-precios/:id/items/:productoId (saca el producto de la lista desde ahora)
+ *  - GET    /clientes/:id/precios                 (lista asignada + precios especiales vigentes)
+ *  - POST   /clientes/:id/precios                 ({ producto_id, precio, vigente_desde?, motivo })
+ *  - DELETE /clientes/:id/precios/:productoId
+ *  - PATCH  /clientes/:id/lista-precios           ({ lista_precio_id | null })
+ *  Los precios nunca se pisan: cada cambio versiona (ver versionarPrecio).
+ *
+ * Tema: Precios
+ * Capa: Backend - Controllers/Precios
+ */
+
+import { Op } from 'sequelize';
+import db from '../../DataBase/db.js';
+
+import {
+  ListasPreciosModel,
+  LISTAS_PRECIOS_TIPOS
+} from '../../Models/Precios/MD_TB_ListasPrecios.js';
+import { ListasPreciosItemsModel } from '../../Models/Precios/MD_TB_ListasPreciosItems.js';
+import { ClientesPreciosModel } from '../../Models/Precios/MD_TB_ClientesPrecios.js';
+import { ProductosModel } from '../../Models/Productos/MD_TB_Productos.js';
+import { ClientesModel } from '../../Models/Clientes/MD_TB_Clientes.js';
+import { CiudadesModel } from '../../Models/Geografia/MD_TB_Ciudades.js';
+import { RepartosModel } from '../../Models/Repartos/MD_TB_Repartos.js';
+import { versionarPrecio, cerrarPrecio } from './CTS_TB_Precios.js';
+import { getUsuarioId } from '../Stock/CTS_TB_Stock.js';
+import { nowMs } from '../../Utils/authoritativeTime.js';
+
+const YMD_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+const normInt = (v) => {
+  const n = Number(v);
+  return Number.isInteger(n) && n > 0 ? n : NaN;
+};
+
+const parsePagination = (req) => {
+  const page = Math.max(1, parseInt(req.query.page || '1', 10));
+  const limit = Math.min(
+    200,
+    Math.max(1, parseInt(req.query.limit || '50', 10))
+  );
+  return { page, limit, offset: (page - 1) * limit };
+};
+
+const errorPrecios = (code, status, meta) => {
+  const e = new Error(code);
+  e.status = status;
+  if (meta) e.meta = meta;
+  return e;
+};
+
+// vigente_desde de un precio: ahora por defecto; nunca en el pasado (el historial no se reescribe)
+const parseDesde = (v) => {
+  const ahora = nowMs();
+  if (v === undefined || v === null || v === '') return new Date(ahora);
+  const d = YMD_RE.test(String(v))
+    ? new Date(`${v}T00:00:00`)
+    : new Date(String(v));
+  if (Number.isNaN(d.getTime())) throw errorPrecios('VIGENCIA_INVALIDA', 400);
+  // Tolerancia de 1 minuto para "ahora" enviado por el front
+  if (d.getTime() < ahora - 60000)
+    throw errorPrecios('VIGENCIA_RETROACTIVA', 400);
+  return d.getTime() < ahora ? new Date(ahora) : d;
+};
+
+const parsePrecio = (v, idx) => {
+  const n = Number(v);
+  if (
+    v === null ||
+    v === undefined ||
+    v === '' ||
+    !Number.isFinite(n) ||
+    n < 0
+  ) {
+    throw errorPrecios('PRECIO_INVALIDO', 400, { indice: idx });
+  }
+  return n;
+};
+
+function responderErrorPrecios(res, err, defaultMsg) {
+  switch (err?.message) {
+    case 'LISTA_NO_ENCONTRADA':
+      return res.status(404).json({
+        code: 'NOT_FOUND',
+        mensajeError: 'Lista de precios no encontrada.'
+      });
+    case 'CLIENTE_NO_ENCONTRADO':
+      return res.status(404).json({
+        code: 'NOT_FOUND',
+        mensajeError: 'Cliente no encontrado.'
+      });
+    case 'PRODUCTO_NO_ENCONTRADO':
+      return res.status(400).json({
+        code: 'BAD_REQUEST',
+        mensajeError: 'Hay productos que no existen.',
+        meta: err.meta
+      });
+    case 'PRECIO_INVALIDO':
+      return res.status(400).json({
+        code: 'BAD_REQUEST',
+        mensajeError: `Ítem #${(err.meta?.indice ?? 0) + 1}: precio debe ser numérico y >= 0.`
+      });
+    case 'VIGENCIA_INVALIDA':
+      return res.status(400).json({
+        code: 'BAD_REQUEST',
+        mensajeError: 'vigente_desde inválida.'
+      });
+    case 'VIGENCIA_RETROACTIVA':
+      return res.status(400).json({
+        code: 'BAD_REQUEST',
+        mensajeError:
+          'No se permiten precios retroactivos: vigente_desde debe ser hoy o posterior.'
+      });
+    case 'LISTA_AMBITO_INVALIDO':
+      return res.status(400).json({
+        code: 'BAD_REQUEST',
+        mensajeError: err.meta?.detalle || 'Ámbito de la lista inválido.'
+      });
+    default:
+      break;
+  }
+
+  if (err?.name === 'SequelizeValidationError') {
+    return res.status(400).json({
+      code: 'MODEL_VALIDATION',
+      mensajeError: 'Hay campos inválidos.',
+      tips: (err.errors || []).map((e) => e.message)
+    });
+  }
+
+  return res.status(500).json({
+    code: 'SERVER_ERROR',
+    mensajeError: defaultMsg
+  });
+}
+
+// tipo ciudad → ciudad_id obligatorio; tipo reparto → reparto_id obligatorio; resto sin ámbito
+async function normalizarAmbito({ tipo, ciudad_id, reparto_id }, t) {
+  if (!LISTAS_PRECIOS_TIPOS.includes(tipo)) {
+    throw errorPrecios('LISTA_AMBITO_INVALIDO', 400, {
+      detalle: `tipo inválido (use ${LISTAS_PRECIOS_TIPOS.join(' | ')}).`
+    });
+  }
+  if (tipo === 'ciudad') {
+    const id = normInt(ciudad_id);
+    const ciudad = Number.isFinite(id)
+      ? await CiudadesModel.findByPk(id, { transaction: t })
+      : null;
+    if (!ciudad) {
+      throw errorPrecios('LISTA_AMBITO_INVALIDO', 400, {
+        detalle: 'Una lista por ciudad requiere un ciudad_id existente.'
+      });
+    }
+    return { ciudad_id: id, reparto_id: null };
+  }
+  if (tipo === 'reparto') {
+    const id = normInt(reparto_id);
+    const rep = Number.isFinite(id)
+      ? await RepartosModel.findByPk(id, { transaction: t })
+      : null;
+    if (!rep) {
+      throw errorPrecios('LISTA_AMBITO_INVALIDO', 400, {
+        detalle: 'Una lista por reparto requiere un reparto_id existente.'
+      });
+    }
+    return { ciudad_id: null, reparto_id: id };
+  }
+  return { ciudad_id: null, reparto_id: null };
+}
+
+function normalizarVigencia(vigente_desde, vigente_hasta) {
+  const desde = vigente_desde ? String(vigente_desde) : null;
+  const hasta = vigente_hasta ? String(vigente_hasta) : null;
+  if (!desde || !YMD_RE.test(desde) || (hasta && !YMD_RE.test(hasta))) {
+    throw errorPrecios('LISTA_AMBITO_INVALIDO', 400, {
+      detalle: 'vigente_desde es obligatoria y las fechas van como YYYY-MM-DD.'
+    });
+  }
+  if (hasta && hasta < desde) {
+    throw errorPrecios('LISTA_AMBITO_INVALIDO', 400, {
+      detalle: 'vigente_hasta no puede ser anterior a vigente_desde.'
+    });
+  }
+  return { vigente_desde: desde, vigente_hasta: hasta };
+}
+
+async function assertProductosExisten(ids, t) {
+  const unicos = [...new Set(ids)];
+  const existentes = await ProductosModel.findAll({
+    where: { id: { [Op.in]: unicos } },
+    attributes: ['id'],
+    raw: true,
+    transaction: t
+  });
+  if (existentes.length !== unicos.length) {
+    const ok = new Set(existentes.map((p) => Number(p.id)));
+    throw errorPrecios('PRODUCTO_NO_ENCONTRADO', 400, {
+      producto_ids: unicos.filter((id) => !ok.has(id))
+    });
+  }
+}
+
+const incProducto = {
+  model: ProductosModel,
+  as: 'producto',
+  attributes: ['id', 'nombre', 'codigo_sku', 'pre_prod']
+};
+
+// ===============================
+// GET /listas-precios
+// ===============================
+export const OBRS_ListasPrecios_CTS = async (req, res) => {
+  try {
+    const { page, limit, offset } = parsePagination(req);
+    const { tipo, estado, q, vigente_en } = req.query || {};
+
+    const where = {};
+    if (LISTAS_PRECIOS_TIPOS.includes(String(tipo))) where.tipo = String(tipo);
+    if (['activa', 'inactiva'].includes(String(estado)))
+      where.estado = String(estado);
+    if (q) where.nombre = { [Op.like]: `%${String(q).trim()}%` };
+    if (vigente_en && YMD_RE.test(String(vigente_en))) {
+      where.vigente_desde = { [Op.lte]: String(vigente_en) };
+      where[Op.or] = [
+        { vigente_hasta: null },
+        { vigente_hasta: { [Op.gte]: String(vigente_en) } }
+      ];
+    }
+
+    const { rows, count } = await ListasPreciosModel.findAndCountAll({
+      where,
+      order: [
+        ['tipo', 'ASC'],
+        ['vigente_desde', 'DESC'],
+        ['id', 'DESC']
+      ],
+      limit,
+      offset
+    });
+
+    const totalPages = Math.max(1, Math.ceil(count / limit));
+    return res.json({
+      data: rows,
+      meta: {
+        total: count,
+        page,
+        limit,
+        totalPages,
+        hasPrev: page > 1,
+        hasNext: page < totalPages
+      }
+    });
+  } catch (err) {
+    console.error('OBRS_ListasPrecios_CTS error:', err);
+    return res.status(500).json({
+      code: 'SERVER_ERROR',
+      mensajeError: 'No se pudieron listar las listas de precios.'
+    });
+  }
+};
+
+// ===============================
+// GET /listas-precios/:id
+// ===============================
+export const OBR_ListaPrecios_CTS = async (req, res) => {
+  try {
+    const id = normInt(req.params.id);
+    if (!Number.isFinite(id)) {
+      return res.status(400).json({
+        code: 'BAD_REQUEST',
+        mensajeError: 'ID inválido.'
+      });
+    }
+
+    const lista = await ListasPreciosModel.findByPk(id);
+    if (!lista) throw errorPrecios('LISTA_NO_ENCONTRADA', 404);
+
+    const ahora = new Date(nowMs());
+    const items = await ListasPreciosItemsModel.findAll({
+      where: {
+        lista_id: id,
+        [Op.or]: [
+          { vigente_hasta: null },
+          { vigente_hasta: { [Op.gt]: ahora } }
+        ]
+      },
+      include: [incProducto],
+      order: [
+        ['producto_id', 'ASC'],
+        ['vigente_desde', 'ASC']
+      ]
+    });
+
+    // Vigentes hoy y cambios ya programados
+    const vigentes = [];
+    const programados = [];
+    for (const it of items) {
+      (new Date(it.vigente_desde) <= ahora ? vigentes : programados).push(it);
+    }
+
+    return res.json({ ...lista.toJSON(), items: vigentes, programados });
+  } catch (err) {
+    console.error('OBR_ListaPrecios_CTS error:', err);
+    return responderErrorPrecios(
+      res,
+      err,
+      'No se pudo obtener la lista de precios.'
+    );
+  }
+};
+
+// ===============================
+// POST /listas-precios
+// body: { nombre, tipo, ciudad_id?, reparto_id?, vigente_desde, vigente_hasta?, observaciones? }
+// ===============================
+export const CR_ListaPrecios_CTS = async (req, res) => {
+  try {
+    const {
+      nombre,
+      tipo,
+      ciudad_id,
+      reparto_id,
+      vigente_desde,
+      vigente_hasta,
+      observaciones
+    } = req.body || {};
+
+    if (!String(nombre || '').trim()) {
+      return res.status(400).json({
+        code: 'BAD_REQUEST',
+        mensajeError: 'El nombre es obligatorio.'
+      });
+    }
+
+    const ambito = await normalizarAmbito({
+      tipo: String(tipo || ''),
+      ciudad_id,
+      reparto_id
+    });
+    const vigencia = normalizarVigencia(vigente_desde, vigente_hasta);
+
+    const lista = await ListasPreciosModel.create({
+      nombre: String(nombre).trim(),
+      tipo: String(tipo),
+      ...ambito,
+      ...vigencia,
+      estado: 'activa',
+      observaciones: observaciones?.trim?.() || null
+    });
+
+    return res.status(201).json(lista);
+  } catch (err) {
+    console.error('CR_ListaPrecios_CTS error:', err);
+    return responderErrorPrecios(
+      res,
+      err,
+      'No se pudo crear la lista de precios.'
+    );
+  }
+};
+
+// ===============================
+// PUT /listas-precios/:id
+// ===============================
+export const UR_ListaPrecios_CTS = async (req, res) => {
+  try {
+    const id = normInt(req.params.id);
+    if (!Number.isFinite(id)) {
+      return res.status(400).json({
+        code: 'BAD_REQUEST',
+        mensajeError: 'ID inválido.'
+      });
+    }
+
+    const lista = await ListasPreciosModel.findByPk(id);
+    if (!lista) throw errorPrecios('LISTA_NO_ENCONTRADA', 404);
+
+    const body = req.body || {};
+    const tipo = body.tipo !== undefined ? String(body.tipo) : lista.tipo;
+    const ambito = await normalizarAmbito({
+      tipo,
+      ciudad_id:
+        body.ciudad_id !== undefined ? body.ciudad_id : lista.ciudad_id,
+      reparto_id:
+        body.reparto_id !== undefined ? body.reparto_id : lista.reparto_id
+    });
+    const vigencia = normalizarVigencia(
+      body.vigente_desde !== undefined
+        ? body.vigente_desde
+        : lista.vigente_desde,
+      body.vigente_hasta !== undefined
+        ? body.vigente_hasta
+        : lista.vigente_hasta
+    );
+
+    const payload = { tipo, ...ambito, ...vigencia };
+    if (body.nombre !== undefined) {
+      if (!String(body.nombre).trim()) {
+        return res.status(400).json({
+          code: 'BAD_REQUEST',
+          mensajeError: 'El nombre no puede quedar vacío.'
+        });
+      }
+      payload.nombre = String(body.nombre).trim();
+    }
+    if (body.estado !== undefined) {
+      if (!['activa', 'inactiva'].includes(String(body.estado))) {
+        return res.status(400).json({
+          code: 'BAD_REQUEST',
+          mensajeError: "estado inválido (use 'activa' | 'inactiva')."
+        });
+      }
+      payload.estado = String(body.estado);
+    }
+    if (body.observaciones !== undefined) {
+      payload.observaciones = body.observaciones?.trim?.() || null;
+    }
+
+    await lista.update(payload);
+    return res.json(lista);
+  } catch (err) {
+    console.error('UR_ListaPrecios_CTS error:', err);
+    return responderErrorPrecios(
+      res,
+      err,
+      'No se pudo actualizar la lista de precios.'
+    );
+  }
+};
+
+// ===============================
+// POST /listas-precios/:id/items
+// body: { items: [{ producto_id, precio }], vigente_desde? (default ahora) }
+// ===============================
+export const CR_ListaPreciosItems_CTS = async (req, res) => {
+  const id = normInt(req.params.id);
+  if (!Number.isFinite(id)) {
+    return res.status(400).json({
+      code: 'BAD_REQUEST',
+      mensajeError: 'ID inválido.'
+    });
+  }
+
+  const { items, vigente_desde } = req.body || {};
+  if (!Array.isArray(items) || items.length === 0) {
+    return res.status(400).json({
+      code: 'BAD_REQUEST',
+      mensajeError: 'items debe ser un array con al menos un producto.'
+    });
+  }
+
+  const t = await db.transaction();
+  try {
+    const desde = parseDesde(vigente_desde);
+
+    const lineas = items.map((it, idx) => {
+      const producto_id = normInt(it?.producto_id);
+      if (!Number.isFinite(producto_id)) {
+        throw errorPrecios('PRODUCTO_NO_ENCONTRADO', 400, { indice: idx });
+      }
+      return { producto_id, precio: parsePrecio(it.precio, idx) };
+    });
+
+    const lista = await ListasPreciosModel.findByPk(id, {
+      transaction: t,
+      lock: t.LOCK.UPDATE
+    });
+    if (!lista) throw errorPrecios('LISTA_NO_ENCONTRADA', 404);
+
+    await assertProductosExisten(
+      lineas.map((l) => l.producto_id),
+      t
+    );
+
+    const usuario_id = getUsuarioId(req);
+    const creados = [];
+    for (const ln of lineas) {
+      creados.push(
+        await versionarPrecio(
+          ListasPreciosItemsModel,
+          { lista_id: id, producto_id: ln.producto_id },
+          { precio: ln.precio, desde, usuario_id },
+          t
+        )
+      );
+    }
+
+    await t.commit();
+    return res
+      .status(201)
+      .json({ lista_id: id, vigente_desde: desde, data: creados });
+  } catch (err) {
+    try {
+      if (!t.finished) await t.rollback();
+    } catch {}
+    console.error('CR_ListaPreciosItems_CTS error:', err);
+    return responderErrorPrecios(
+      res,
+      err,
+      'No se pudieron cargar los precios.'
+    );
+  }
+};
+
+// ===============================
+// DELETE /listas-precios/:id/items/:productoId
+// ===============================
+export const ER_ListaPreciosItem_CTS = async (req, res) => {
+  const id = normInt(req.params.id);
+  const productoId = normInt(req.params.productoId);
+  if (!Number.isFinite(id) || !Number.isFinite(productoId)) {
+    return res.status(400).json({
+      code: 'BAD_REQUEST',
+      mensajeError: 'IDs inválidos.'
+    });
+  }
+
+  const t = await db.transaction();
+  try {
+    const n = await cerrarPrecio(
+      ListasPreciosItemsModel,
+      { lista_id: id, producto_id: productoId },
+      new Date(nowMs()),
+      t
+    );
+    await t.commit();
+
+    if (!n) {
+      return res.status(404).json({
+        code: 'NOT_FOUND',
+        mensajeError: 'El producto no tiene precio vigente en la lista.'
+      });
+    }
+    return res.status(204).send();
+  } catch (err) {
+    try {
+      if (!t.finished) await t.rollback();
+    } catch {}
+    console.error('ER_ListaPreciosItem_CTS error:', err);
+    return responderErrorPrecios(
+      res,
+      err,
+      'No se pudo quitar el producto de la lista.'
+    );
+  }
+};
+
+// ===============================
+// GET /clientes/:id/precios
+// ===============================
+export const OBRS_ClientePrecios_CTS = async (req, res) => {
+  try {
+    const clienteId = normInt(req.params.id);
+    if (!Number.isFinite(clienteId)) {
+      return res.status(400).json({
+        code: 'BAD_REQUEST',
+        mensajeError: 'ID inválido.'
+      });
+    }
+
+    const cliente = await ClientesModel.findByPk(clienteId, {
+      attributes: ['id', 'nombre', 'ciudad_id', 'lista_precio_id']
+    });
+    if (!cliente) throw errorPrecios('CLIENTE_NO_ENCONTRADO', 404);
+
+    const ahora = new Date(nowMs());
+    const [lista, especiales] = await Promise.all([
+      cliente.lista_precio_id
+        ? ListasPreciosModel.findByPk(cliente.lista_precio_id)
+        : null,
+      ClientesPreciosModel.findAll({
+        where: {
+          cliente_id: clienteId,
+          [Op.or]: [
+            { vigente_hasta: null },
+            { vigente_hasta: { [Op.gt]: ahora } }
+          ]
+        },
+        include: [incProducto],
+        order: [
+          ['producto_id', 'ASC'],
+          ['vigente_desde', 'ASC']
+        ]
+      })
+    ]);
+
+    return res.json({
+      cliente,
+      lista_asignada: lista,
+      precios_especiales: especiales
+    });
+  } catch (err) {
+    console.error('OBRS_ClientePrecios_CTS error:', err);
+    return responderErrorPrecios(
+      res,
+      err,
+      'No se pudieron obtener los precios del cliente.'
+    );
+  }
+};
+
+// ===============================
+// POST /clientes/:id/precios
+// body: { producto_id, precio, vigente_desde?, motivo? }
+// ===============================
+export const CR_ClientePrecio_CTS = async (req, res) => {
+  const clienteId = normInt(req.params.id);
+  const { producto_id, precio, vigente_desde, motivo } = req.body || {};
+  const productoId = normInt(producto_id);
+
+  if (!Number.isFinite(clienteId) || !Number.isFinite(productoId)) {
+    return res.status(400).json({
+      code: 'BAD_REQUEST',
+      mensajeError: 'ID de cliente y producto_id son obligatorios y numéricos.'
+    });
+  }
+
+  const t = await db.transaction();
+  try {
+    const precioNum = parsePrecio(precio, 0);
+    const desde = parseDesde(vigente_desde);
+
+    const cliente = await ClientesModel.findByPk(clienteId, { transaction: t });
+    if (!cliente) throw errorPrecios('CLIENTE_NO_ENCONTRADO', 404);
+    await assertProductosExisten([productoId], t);
+
+    const row = await versionarPrecio(
+      ClientesPreciosModel,
+      { cliente_id: clienteId, producto_id: productoId },
+      {
+        precio: precioNum,
+        desde,
+        usuario_id: getUsuarioId(req),
+        extra: {
+          motivo:
+            String(motivo || '')
+              .trim()
+              .slice(0, 255) || null
+        }
+      },
+      t
+    );
+
+    await t.commit();
+    return res.status(201).json(row);
+  } catch (err) {
+    try {
+      if (!t.finished) await t.rollback();
+    } catch {}
+    console.error('CR_ClientePrecio_CTS error:', err);
+    return responderErrorPrecios(
+      res,
+      err,
+      'No se pudo guardar el precio especial.'
+    );
+  }
+};
+
+// ===============================
+// DELETE /clientes/:id/precios/:productoId
+// ===============================
+export const ER_ClientePrecio_CTS = async (req, res) => {
+  const clienteId = normInt(req.params.id);
+  const productoId = normInt(req.params.productoId);
+  if (!Number.isFinite(clienteId) || !Number.isFinite(productoId)) {
+    return res.status(400).json({
+      code: 'BAD_REQUEST',
+      mensajeError: 'IDs inválidos.'
+    });
+  }
+
+  const t = await db.transaction();
+  try {
+    const n = await cerrarPrecio(
+      ClientesPreciosModel,
+      { cliente_id: clienteId, producto_id: productoId },
+      new Date(nowMs()),
+      t
+    );
+    await t.commit();
+
+    if (!n) {
+      return res.status(404).json({
+        code: 'NOT_FOUND',
+        mensajeError:
+          'El cliente no tiene precio especial vigente para ese producto.'
+      });
+    }
+    return res.status(204).send();
+  } catch (err) {
+    try {
+      if (!t.finished) await t.rollback();
+    } catch {}
+    console.error('ER_ClientePrecio_CTS error:', err);
+    return responderErrorPrecios(
+      res,
+      err,
+      'No se pudo quitar el precio especial.'
+    );
+  }
+};
+
+// ===============================
+// PATCH /clientes/:id/lista-precios
+// body: { lista_precio_id | null }
+// ===============================
+export const UR_ClienteListaPrecios_CTS = async (req, res) => {
+  try {
+    const clienteId = normInt(req.params.id);
+    if (!Number.isFinite(clienteId)) {
+      return res.status(400).json({
+        code: 'BAD_REQUEST',
+        mensajeError: 'ID inválido.'
+      });
+    }
+
+    const raw = req.body?.lista_precio_id;
+    let listaId = null;
+    if (raw !== null && raw !== undefined && raw !== '') {
+      listaId = normInt(raw);
+      const lista = Number.isFinite(listaId)
+        ? await ListasPreciosModel.findByPk(listaId)
+        : null;
+      if (!lista) throw errorPrecios('LISTA_NO_ENCONTRADA', 404);
+    }
+
+    const cliente = await ClientesModel.findByPk(clienteId);
+    if (!cliente) throw errorPrecios('CLIENTE_NO_ENCONTRADO', 404);
+
+    await cliente.update({ lista_precio_id: listaId });
+    return res.json({ id: cliente.id, lista_precio_id: listaId });
+  } catch (err) {
+    console.error('UR_ClienteListaPrecios_CTS error:', err);
+    return responderErrorPrecios(
+      res,
+      err,
+      'No se pudo asignar la lista al cliente.'
+    );
+  }
+};
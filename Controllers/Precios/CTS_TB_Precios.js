@@ -0,0 +1,611 @@
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 02 / 11 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ *  Resolución de precios por listas (la usan ventas, sync y los endpoints de consulta).
+ *  Orden de prioridad a una fecha dada:
+ *    1) cliente      → precio especial del cliente (clientes_precios)
+ *    2) lista_cliente→ lista asignada al cliente (clientes.lista_precio_id, ej. mayorista)
+ *    3) reparto      → lista tipo 'reparto' del reparto de la venta
+ *    4) ciudad       → lista tipo 'ciudad' de la ciudad del cliente
+ *    5) general      → lista tipo 'general'
+ *    6) producto     → productos.pre_prod (histórico vía productos_precios_historial)
+ *  Entre listas del mismo nivel gana la de vigente_desde más reciente.
+ *
+ *  Endpoints:
+ *  - GET /precios/resolver?producto_id=1,2&cliente_id=&reparto_id=&fecha=YYYY-MM-DD
+ *  - GET /productos/:id/precios-historial?cliente_id=&desde=&hasta=
+ *
+ * Tema: Precios
+ * Capa: Backend - Controllers/Precios
+ */
+
+import { Op } from 'sequelize';
+
+import { ListasPreciosModel } from '../../Models/Precios/MD_TB_ListasPrecios.js';
+import { ListasPreciosItemsModel } from '../../Models/Precios/MD_TB_ListasPreciosItems.js';
+import { ClientesPreciosModel } from '../../Models/Precios/MD_TB_ClientesPrecios.js';
+import { ProductosPreciosHistorialModel } from '../../Models/Precios/MD_TB_ProductosPreciosHistorial.js';
+import { ProductosModel } from '../../Models/Productos/MD_TB_Productos.js';
+import { ClientesModel } from '../../Models/Clientes/MD_TB_Clientes.js';
+import { preciosConfig } from '../../config/precios.config.js';
+import { nowMs } from '../../Utils/authoritativeTime.js';
+
+export const PRECIO_ORIGENES = [
+  'cliente',
+  'lista_cliente',
+  'reparto',
+  'ciudad',
+  'general',
+  'producto'
+];
+
+const moneyRound = (n) => Math.round((Number(n) + Number.EPSILON) * 100) / 100;
+
+const ymd = (d) =>
+  `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+
+const uniqIds = (arr) => [
+  ...new Set(
+    (arr || []).map(Number).filter((n) => Number.isInteger(n) && n > 0)
+  )
+];
+
+// Fila versionada vigente en 'fecha'
+const whereVigenteEn = (fecha) => ({
+  vigente_desde: { [Op.lte]: fecha },
+  [Op.or]: [{ vigente_hasta: null }, { vigente_hasta: { [Op.gt]: fecha } }]
+});
+
+/**
+ * Nueva versión de un precio (listas_precios_items / clientes_precios).
+ * - Las versiones programadas que arrancan en o después de 'desde' se reemplazan.
+ * - La versión que cubre 'desde' se cierra ahí.
+ * No se permiten fechas pasadas (el historial no se reescribe): lo valida quien llama.
+ */
+export async function versionarPrecio(
+  Model,
+  clave,
+  { precio, desde, usuario_id = null, extra = {} },
+  transaction
+) {
+  await Model.destroy({
+    where: { ...clave, vigente_desde: { [Op.gte]: desde } },
+    transaction
+  });
+  await Model.update(
+    { vigente_hasta: desde },
+    {
+      where: {
+        ...clave,
+        vigente_desde: { [Op.lt]: desde },
+        [Op.or]: [
+          { vigente_hasta: null },
+          { vigente_hasta: { [Op.gt]: desde } }
+        ]
+      },
+      transaction
+    }
+  );
+  return Model.create(
+    {
+      ...clave,
+      ...extra,
+      precio: moneyRound(precio),
+      vigente_desde: desde,
+      vigente_hasta: null,
+      usuario_id
+    },
+    { transaction }
+  );
+}
+
+// Cierra la versión vigente (y descarta las programadas) desde 'desde'
+export async function cerrarPrecio(Model, clave, desde, transaction) {
+  await Model.destroy({
+    where: { ...clave, vigente_desde: { [Op.gte]: desde } },
+    transaction
+  });
+  const [n] = await Model.update(
+    { vigente_hasta: desde },
+    {
+      where: {
+        ...clave,
+        vigente_desde: { [Op.lt]: desde },
+        [Op.or]: [
+          { vigente_hasta: null },
+          { vigente_hasta: { [Op.gt]: desde } }
+        ]
+      },
+      transaction
+    }
+  );
+  return n;
+}
+
+// Alta / cambio de productos.pre_prod (lo llaman CR_Producto_CTS / UR_Producto_CTS y la actualización masiva)
+export async function registrarHistorialPrecioProducto(
+  {
+    producto_id,
+    precio_anterior = null,
+    precio_nuevo,
+    usuario_id = null,
+    lote = null,
+    motivo = null
+  },
+  transaction
+) {
+  const ant = precio_anterior == null ? null : moneyRound(precio_anterior);
+  const nuevo = moneyRound(precio_nuevo);
+  if (ant !== null && Math.abs(ant - nuevo) < 0.005) return null;
+  return ProductosPreciosHistorialModel.create(
+    {
+      producto_id,
+      precio_anterior: ant,
+      precio_nuevo: nuevo,
+      usuario_id,
+      lote,
+      motivo,
+      created_at: new Date(nowMs())
+    },
+    { transaction }
+  );
+}
+
+/**
+ * Precarga listas, ítems, precios especiales y precio base para resolver
+ * en memoria muchos (producto, cliente) a una misma fecha.
+ * Devuelve { resolver(producto_id, cliente_id?) → { precio, origen, lista_precio_id } | null }.
+ */
+export async function cargarContextoPrecios(
+  { fecha = null, productoIds, clienteIds = [], reparto_id = null },
+  transaction
+) {
+  const fechaDT = fecha ? new Date(fecha) : new Date(nowMs());
+  const fechaYMD = ymd(fechaDT);
+  const prodIds = uniqIds(productoIds);
+  const cliIds = uniqIds(clienteIds);
+  const repId = Number(reparto_id) || null;
+
+  const clientes = cliIds.length
+    ? await ClientesModel.findAll({
+        where: { id: { [Op.in]: cliIds } },
+        attributes: ['id', 'ciudad_id', 'lista_precio_id'],
+        raw: true,
+        transaction
+      })
+    : [];
+  const clientesById = new Map(clientes.map((c) => [Number(c.id), c]));
+  const ciudadIds = uniqIds(clientes.map((c) => c.ciudad_id));
+  const listasAsignadas = uniqIds(clientes.map((c) => c.lista_precio_id));
+
+  // ---------- Listas vigentes que pueden aplicar ----------
+  const ambitos = [{ tipo: 'general' }];
+  if (repId) ambitos.push({ tipo: 'reparto', reparto_id: repId });
+  if (ciudadIds.length) {
+    ambitos.push({ tipo: 'ciudad', ciudad_id: { [Op.in]: ciudadIds } });
+  }
+  if (listasAsignadas.length)
+    ambitos.push({ id: { [Op.in]: listasAsignadas } });
+
+  const listas = prodIds.length
+    ? await ListasPreciosModel.findAll({
+        where: {
+          estado: 'activa',
+          vigente_desde: { [Op.lte]: fechaYMD },
+          [Op.and]: [
+            {
+              [Op.or]: [
+                { vigente_hasta: null },
+                { vigente_hasta: { [Op.gte]: fechaYMD } }
+              ]
+            },
+            { [Op.or]: ambitos }
+          ]
+        },
+        order: [
+          ['vigente_desde', 'DESC'],
+          ['id', 'DESC']
+        ],
+        raw: true,
+        transaction
+      })
+    : [];
+
+  const items = listas.length
+    ? await ListasPreciosItemsModel.findAll({
+        where: {
+          lista_id: { [Op.in]: listas.map((l) => l.id) },
+          producto_id: { [Op.in]: prodIds },
+          ...whereVigenteEn(fechaDT)
+        },
+        raw: true,
+        transaction
+      })
+    : [];
+  // lista_id → producto_id → precio
+  const precioEnLista = new Map();
+  for (const it of items) {
+    const k = Number(it.lista_id);
+    if (!precioEnLista.has(k)) precioEnLista.set(k, new Map());
+    precioEnLista.get(k).set(Number(it.producto_id), Number(it.precio));
+  }
+
+  // ---------- Precios especiales por cliente ----------
+  const especiales =
+    cliIds.length && prodIds.length
+      ? await ClientesPreciosModel.findAll({
+          where: {
+            cliente_id: { [Op.in]: cliIds },
+            producto_id: { [Op.in]: prodIds },
+            ...whereVigenteEn(fechaDT)
+          },
+          raw: true,
+          transaction
+        })
+      : [];
+  const especialPorCliente = new Map(
+    especiales.map((e) => [
+      `${e.cliente_id}:${e.producto_id}`,
+      Number(e.precio)
+    ])
+  );
+
+  // ---------- Precio base (pre_prod) a la fecha ----------
+  const productos = prodIds.length
+    ? await ProductosModel.findAll({
+        where: { id: { [Op.in]: prodIds } },
+        attributes: ['id', 'pre_prod'],
+        raw: true,
+        transaction
+      })
+    : [];
+  const basePorProducto = new Map(
+    productos.map((p) => [Number(p.id), Number(p.pre_prod || 0)])
+  );
+  // Cambios posteriores a la fecha: el precio_anterior del primero es el que regía
+  const cambiosPosteriores = prodIds.length
+    ? await ProductosPreciosHistorialModel.findAll({
+        where: {
+          producto_id: { [Op.in]: prodIds },
+          created_at: { [Op.gt]: fechaDT }
+        },
+        order: [
+          ['created_at', 'ASC'],
+          ['id', 'ASC']
+        ],
+        raw: true,
+        transaction
+      })
+    : [];
+  const vistos = new Set();
+  for (const h of cambiosPosteriores) {
+    const pid = Number(h.producto_id);
+    if (vistos.has(pid)) continue;
+    vistos.add(pid);
+    if (h.precio_anterior != null) {
+      basePorProducto.set(pid, Number(h.precio_anterior));
+    }
+  }
+
+  const primeraListaCon = (filtro, productoId) => {
+    for (const l of listas) {
+      if (!filtro(l)) continue;
+      const precio = precioEnLista.get(Number(l.id))?.get(productoId);
+      if (precio !== undefined)
+        return { precio, lista_precio_id: Number(l.id) };
+    }
+    return null;
+  };
+
+  const resolver = (producto_id, cliente_id = null) => {
+    const pid = Number(producto_id);
+    const cli = cliente_id ? clientesById.get(Number(cliente_id)) : null;
+
+    if (cli) {
+      const esp = especialPorCliente.get(`${cli.id}:${pid}`);
+      if (esp !== undefined) {
+        return { precio: esp, origen: 'cliente', lista_precio_id: null };
+      }
+      if (cli.lista_precio_id) {
+        const r = primeraListaCon(
+          (l) => Number(l.id) === Number(cli.lista_precio_id),
+          pid
+        );
+        if (r) return { ...r, origen: 'lista_cliente' };
+      }
+    }
+    if (repId) {
+      const r = primeraListaCon(
+        (l) => l.tipo === 'reparto' && Number(l.reparto_id) === repId,
+        pid
+      );
+      if (r) return { ...r, origen: 'reparto' };
+    }
+    if (cli?.ciudad_id) {
+      const r = primeraListaCon(
+        (l) =>
+          l.tipo === 'ciudad' && Number(l.ciudad_id) === Number(cli.ciudad_id),
+        pid
+      );
+      if (r) return { ...r, origen: 'ciudad' };
+    }
+    const gral = primeraListaCon((l) => l.tipo === 'general', pid);
+    if (gral) return { ...gral, origen: 'general' };
+
+    if (basePorProducto.has(pid)) {
+      return {
+        precio: basePorProducto.get(pid),
+        origen: 'producto',
+        lista_precio_id: null
+      };
+    }
+    return null;
+  };
+
+  return { fecha: fechaDT, resolver };
+}
+
+/**
+ * Resuelve el precio de cada línea de venta y controla el desvío.
+ * - precio_unit ausente → se usa el resuelto.
+ * - precio_unit enviado que se aleja más de preciosConfig.toleranciaPct:
+ *   'marcar' → precio_fuera_tolerancia = true; 'rechazar' → error 409 PRECIO_FUERA_TOLERANCIA.
+ * Devuelve las líneas con precio_lista / precio_origen / lista_precio_id / precio_fuera_tolerancia.
+ */
+export async function aplicarPreciosALineas(
+  lineas,
+  { cliente_id, reparto_id = null, fecha = null },
+  transaction
+) {
+  const ctx = await cargarContextoPrecios(
+    {
+      fecha,
+      productoIds: lineas.map((l) => l.producto_id),
+      clienteIds: cliente_id ? [cliente_id] : [],
+      reparto_id
+    },
+    transaction
+  );
+
+  const tol = Number(preciosConfig.toleranciaPct) || 0;
+  const fuera = [];
+
+  const salida = lineas.map((ln, idx) => {
+    const r = ctx.resolver(ln.producto_id, cliente_id);
+    const enviado =
+      ln.precio_unit === null || ln.precio_unit === undefined
+        ? null
+        : Number(ln.precio_unit);
+
+    if (enviado === null && !r) {
+      const e = new Error(
+        `Ítem #${idx + 1}: el producto no existe o no tiene precio.`
+      );
+      e.status = 400;
+      throw e;
+    }
+
+    const precio_lista = r ? moneyRound(r.precio) : null;
+    const precio_unit = enviado === null ? precio_lista : moneyRound(enviado);
+
+    // Sin precio de referencia (> 0) no hay desvío que medir
+    let desvio_pct = null;
+    if (precio_lista && precio_lista > 0) {
+      desvio_pct = moneyRound(
+        ((precio_unit - precio_lista) / precio_lista) * 100
+      );
+    }
+    const precio_fuera_tolerancia =
+      desvio_pct !== null && Math.abs(desvio_pct) - tol > 0.001;
+
+    if (precio_fuera_tolerancia) {
+      fuera.push({
+        indice: idx,
+        producto_id: Number(ln.producto_id),
+        precio_unit,
+        precio_lista,
+        precio_origen: r.origen,
+        desvio_pct
+      });
+    }
+
+    return {
+      ...ln,
+      precio_unit,
+      precio_lista,
+      precio_origen: r?.origen ?? null,
+      lista_precio_id: r?.lista_precio_id ?? null,
+      precio_fuera_tolerancia
+    };
+  });
+
+  if (fuera.length && preciosConfig.modoDesvio === 'rechazar') {
+    const e = new Error('PRECIO_FUERA_TOLERANCIA');
+    e.status = 409;
+    e.meta = { tolerancia_pct: tol, lineas: fuera };
+    throw e;
+  }
+
+  return salida;
+}
+
+// Respuesta común para el rechazo por desvío (ventas / ítems)
+export const responderPrecioFueraTolerancia = (res, err) =>
+  res.status(409).json({
+    code: 'PRECIO_FUERA_TOLERANCIA',
+    mensajeError: `Hay precios que se apartan más de ${err.meta.tolerancia_pct}% de la lista.`,
+    tips: err.meta.lineas.map(
+      (l) =>
+        `Ítem #${l.indice + 1}: ${l.precio_unit} vs lista ${l.precio_lista} (${l.desvio_pct}%)`
+    ),
+    meta: err.meta
+  });
+
+// ===============================
+// GET /precios/resolver
+// Query: producto_id (uno o varios separados por coma), cliente_id?, reparto_id?, fecha?
+// ===============================
+export const OBR_PreciosResolver_CTS = async (req, res) => {
+  try {
+    const { producto_id, cliente_id, reparto_id, fecha } = req.query || {};
+
+    const productoIds = uniqIds(String(producto_id || '').split(','));
+    if (!productoIds.length) {
+      return res.status(400).json({
+        code: 'BAD_REQUEST',
+        mensajeError:
+          'producto_id es obligatorio (uno o varios separados por coma).'
+      });
+    }
+
+    let fechaDT = null;
+    if (fecha) {
+      // YYYY-MM-DD = fin del día consultado
+      fechaDT = /^\d{4}-\d{2}-\d{2}$/.test(String(fecha))
+        ? new Date(`${fecha}T23:59:59`)
+        : new Date(String(fecha));
+      if (Number.isNaN(fechaDT.getTime())) {
+        return res.status(400).json({
+          code: 'BAD_REQUEST',
+          mensajeError: 'fecha inválida.'
+        });
+      }
+    }
+
+    const cliId = Number(cliente_id) || null;
+    const ctx = await cargarContextoPrecios({
+      fecha: fechaDT,
+      productoIds,
+      clienteIds: cliId ? [cliId] : [],
+      reparto_id
+    });
+
+    const data = productoIds.map((pid) => ({
+      producto_id: pid,
+      ...(ctx.resolver(pid, cliId) || {
+        precio: null,
+        origen: null,
+        lista_precio_id: null
+      })
+    }));
+
+    return res.json({
+      fecha: ctx.fecha,
+      cliente_id: cliId,
+      reparto_id: Number(reparto_id) || null,
+      data
+    });
+  } catch (err) {
+    console.error('OBR_PreciosResolver_CTS error:', err);
+    return res.status(500).json({
+      code: 'SERVER_ERROR',
+      mensajeError: 'No se pudo resolver el precio.'
+    });
+  }
+};
+
+// ===============================
+// GET /productos/:id/precios-historial
+// Query: cliente_id? (incluye sus precios especiales), desde?, hasta?
+// Cambios de precio base + versiones en listas (+ especiales del cliente), más reciente primero.
+// ===============================
+export const OBRS_ProductoPreciosHistorial_CTS = async (req, res) => {
+  try {
+    const productoId = Number(req.params.id);
+    if (!Number.isInteger(productoId) || productoId <= 0) {
+      return res.status(400).json({
+        code: 'BAD_REQUEST',
+        mensajeError: 'ID inválido.'
+      });
+    }
+
+    const { cliente_id, desde, hasta } = req.query || {};
+    const rango = {};
+    if (desde) rango[Op.gte] = new Date(`${desde}T00:00:00`);
+    if (hasta) rango[Op.lte] = new Date(`${hasta}T23:59:59`);
+    const conRango = (campo) =>
+      Object.getOwnPropertySymbols(rango).length ? { [campo]: rango } : {};
+
+    const producto = await ProductosModel.findByPk(productoId, {
+      attributes: ['id', 'nombre', 'codigo_sku', 'pre_prod']
+    });
+    if (!producto) {
+      return res.status(404).json({
+        code: 'NOT_FOUND',
+        mensajeError: 'Producto no encontrado.'
+      });
+    }
+
+    const [base, enListas, especiales] = await Promise.all([
+      ProductosPreciosHistorialModel.findAll({
+        where: { producto_id: productoId, ...conRango('created_at') },
+        raw: true
+      }),
+      ListasPreciosItemsModel.findAll({
+        where: { producto_id: productoId, ...conRango('vigente_desde') },
+        raw: true
+      }),
+      cliente_id
+        ? ClientesPreciosModel.findAll({
+            where: {
+              producto_id: productoId,
+              cliente_id: Number(cliente_id),
+              ...conRango('vigente_desde')
+            },
+            raw: true
+          })
+        : []
+    ]);
+
+    const listas = await ListasPreciosModel.findAll({
+      where: { id: { [Op.in]: uniqIds(enListas.map((i) => i.lista_id)) } },
+      attributes: ['id', 'nombre', 'tipo'],
+      raw: true
+    });
+    const listaById = new Map(listas.map((l) => [Number(l.id), l]));
+
+    const data = [
+      ...base.map((h) => ({
+        origen: 'producto',
+        fecha: h.created_at,
+        vigente_hasta: null,
+        precio: Number(h.precio_nuevo),
+        precio_anterior:
+          h.precio_anterior == null ? null : Number(h.precio_anterior),
+        lote: h.lote ?? null,
+        motivo: h.motivo ?? null,
+        usuario_id: h.usuario_id
+      })),
+      ...enListas.map((i) => ({
+        origen: 'lista',
+        lista_precio_id: Number(i.lista_id),
+        lista_nombre: listaById.get(Number(i.lista_id))?.nombre ?? null,
+        lista_tipo: listaById.get(Number(i.lista_id))?.tipo ?? null,
+        fecha: i.vigente_desde,
+        vigente_hasta: i.vigente_hasta,
+        precio: Number(i.precio),
+        usuario_id: i.usuario_id
+      })),
+      ...especiales.map((e) => ({
+        origen: 'cliente',
+        cliente_id: Number(e.cliente_id),
+        fecha: e.vigente_desde,
+        vigente_hasta: e.vigente_hasta,
+        precio: Number(e.precio),
+        motivo: e.motivo,
+        usuario_id: e.usuario_id
+      }))
+    ].sort((a, b) => new Date(b.fecha) - new Date(a.fecha));
+
+    return res.json({ producto, data });
+  } catch (err) {
+    console.error('OBRS_ProductoPreciosHistorial_CTS error:', err);
+    return res.status(500).json({
+      code: 'SERVER_ERROR',
+      mensajeError: 'No se pudo obtener el historial de precios.'
+    });
+  }
+};
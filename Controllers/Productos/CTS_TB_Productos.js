@@ -19,6 +19,8 @@
 import { ProductosModel } from '../../Models/Productos/MD_TB_Productos.js';
 import { Op } from 'sequelize';
 import db from '../../DataBase/db.js';
+import { registrarHistorialPrecioProducto } from '../Precios/CTS_TB_Precios.js';
+import { getUsuarioId } from '../Stock/CTS_TB_Stock.js';
 // ---------- Helpers útiles ----------
 
 // Quitar claves vacías ('', null, undefined) para no ensuciar updates
@@ -211,6 +213,7 @@ export const CR_Producto_CTS = async (req, res) => {
       'barra_ean13',
       'pre_prod',
       'iva_porcentaje',
+      'es_retornable',
       'estado',
       'notas'
     ];
@@ -226,7 +229,28 @@ export const CR_Producto_CTS = async (req, res) => {
     if (!('pack_cantidad' in payload))
       payload.pack_cantidad = payload.presentacion === 'pack' ? 12 : 1;
 
-    const creado = await ProductosModel.create(payload);
+    // Benjamin Orellana - 02-11-2026 - El precio inicial abre el historial de precios del producto
+    const t = await db.transaction();
+    let creado;
+    try {
+      creado = await ProductosModel.create(payload, { transaction: t });
+      if (creado.pre_prod != null) {
+        await registrarHistorialPrecioProducto(
+          {
+            producto_id: creado.id,
+            precio_nuevo: creado.pre_prod,
+            usuario_id: getUsuarioId(req)
+          },
+          t
+        );
+      }
+      await t.commit();
+    } catch (err) {
+      try {
+        if (!t.finished) await t.rollback();
+      } catch {}
+      throw err;
+    }
     return res.json({
       message: 'Producto creado correctamente',
       producto: creado
@@ -258,6 +282,7 @@ export const UR_Producto_CTS = async (req, res) => {
       'barra_ean13',
       'pre_prod',
       'iva_porcentaje',
+      'es_retornable',
       'estado',
       'notas'
     ];
@@ -267,10 +292,33 @@ export const UR_Producto_CTS = async (req, res) => {
     const payload = stripEmpty(base);
 
     // Acá no forzamos coherencias: dejamos que el modelo valide (y si pifia, devuelve el error prolijo)
-    const [updated] = await ProductosModel.update(payload, {
-      where: { id },
-      fields: Object.keys(payload)
-    });
+    // Benjamin Orellana - 02-11-2026 - Cambio de pre_prod queda en el historial (misma transacción)
+    const t = await db.transaction();
+    let updated;
+    try {
+      [updated] = await ProductosModel.update(payload, {
+        where: { id },
+        fields: Object.keys(payload),
+        transaction: t
+      });
+      if (updated === 1 && 'pre_prod' in payload) {
+        await registrarHistorialPrecioProducto(
+          {
+            producto_id: existente.id,
+            precio_anterior: existente.pre_prod,
+            precio_nuevo: payload.pre_prod,
+            usuario_id: getUsuarioId(req)
+          },
+          t
+        );
+      }
+      await t.commit();
+    } catch (err) {
+      try {
+        if (!t.finished) await t.rollback();
+      } catch {}
+      throw err;
+    }
 
     if (updated !== 1) {
       return res
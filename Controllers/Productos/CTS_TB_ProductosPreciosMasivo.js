@@ -0,0 +1,339 @@
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 03 / 11 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ *  Actualización masiva del precio base (productos.pre_prod).
+ *  - POST /productos/precios/masivo           → dry-run (por defecto): devuelve el diff sin tocar nada.
+ *  - POST /productos/precios/masivo?commit=1  → aplica todo o nada en una transacción y deja
+ *    una fila por producto en productos_precios_historial con el mismo UUID de lote.
+ *  - GET  /productos/precios/masivo/:lote     → qué cambió en un lote ya aplicado.
+ *
+ *  Body:
+ *  {
+ *    filtros:  { presentacion?, unidad_medida?, estado?, sku? ('BID-*' comodín; sin * = contiene) },
+ *    tipo:     'porcentaje' | 'fijo',
+ *    valor:    número (porcentaje: 10 = +10%, -5 = -5% | fijo: +150 / -20 por unidad),
+ *    redondeo: { multiplo?: 0.01 | 1 | 10 | 50 ..., modo?: 'cercano' | 'arriba' | 'abajo' },
+ *    motivo?:  texto (queda en el historial)
+ *  }
+ *
+ * Tema: Controladores - Productos
+ * Capa: Backend
+ */
+
+import crypto from 'node:crypto';
+import { Op } from 'sequelize';
+import db from '../../DataBase/db.js';
+
+import { ProductosModel } from '../../Models/Productos/MD_TB_Productos.js';
+import { ProductosPreciosHistorialModel } from '../../Models/Precios/MD_TB_ProductosPreciosHistorial.js';
+import { registrarHistorialPrecioProducto } from '../Precios/CTS_TB_Precios.js';
+import { getUsuarioId } from '../Stock/CTS_TB_Stock.js';
+
+const PRESENTACIONES = ['unidad', 'pack'];
+const UNIDADES = ['u', 'ml', 'l', 'g', 'kg'];
+const ESTADOS = ['activo', 'inactivo'];
+const TIPOS_AJUSTE = ['porcentaje', 'fijo'];
+const MODOS_REDONDEO = ['cercano', 'arriba', 'abajo'];
+
+const moneyRound = (n) => Math.round((Number(n) + Number.EPSILON) * 100) / 100;
+
+const errorMasivo = (mensaje, meta) => {
+  const e = new Error(mensaje);
+  e.status = 400;
+  if (meta) e.meta = meta;
+  return e;
+};
+
+// 'BID-*' → 'BID-%'; sin comodín busca "contiene". Escapa % y _ literales.
+const skuALike = (patron) => {
+  const limpio = String(patron)
+    .trim()
+    .replace(/[%_\\]/g, (c) => `\\${c}`);
+  return limpio.includes('*') ? limpio.replace(/\*/g, '%') : `%${limpio}%`;
+};
+
+function normalizarCriterio(body = {}) {
+  const filtros = body.filtros || {};
+  const where = {};
+
+  if (filtros.presentacion !== undefined && filtros.presentacion !== '') {
+    if (!PRESENTACIONES.includes(String(filtros.presentacion))) {
+      throw errorMasivo(
+        `presentacion inválida (use ${PRESENTACIONES.join(' | ')}).`
+      );
+    }
+    where.presentacion = String(filtros.presentacion);
+  }
+  if (filtros.unidad_medida !== undefined && filtros.unidad_medida !== '') {
+    if (!UNIDADES.includes(String(filtros.unidad_medida))) {
+      throw errorMasivo(
+        `unidad_medida inválida (use ${UNIDADES.join(' | ')}).`
+      );
+    }
+    where.unidad_medida = String(filtros.unidad_medida);
+  }
+  if (filtros.estado !== undefined && filtros.estado !== '') {
+    if (!ESTADOS.includes(String(filtros.estado))) {
+      throw errorMasivo(`estado inválido (use ${ESTADOS.join(' | ')}).`);
+    }
+    where.estado = String(filtros.estado);
+  }
+  if (filtros.sku !== undefined && String(filtros.sku).trim() !== '') {
+    where.codigo_sku = { [Op.like]: skuALike(filtros.sku) };
+  }
+  // Sin precio base no hay nada que ajustar
+  where.pre_prod = { [Op.ne]: null };
+
+  const tipo = String(body.tipo || '');
+  if (!TIPOS_AJUSTE.includes(tipo)) {
+    throw errorMasivo(`tipo inválido (use ${TIPOS_AJUSTE.join(' | ')}).`);
+  }
+  const valor = Number(body.valor);
+  if (
+    body.valor === undefined ||
+    body.valor === '' ||
+    !Number.isFinite(valor) ||
+    valor === 0
+  ) {
+    throw errorMasivo('valor debe ser numérico y distinto de 0.');
+  }
+  if (tipo === 'porcentaje' && valor <= -100) {
+    throw errorMasivo(
+      'Un porcentaje de -100 o menos deja los precios en cero o negativos.'
+    );
+  }
+
+  const redondeo = body.redondeo || {};
+  const multiplo =
+    redondeo.multiplo === undefined || redondeo.multiplo === ''
+      ? 0.01
+      : Number(redondeo.multiplo);
+  if (!Number.isFinite(multiplo) || multiplo < 0.01) {
+    throw errorMasivo('redondeo.multiplo debe ser >= 0.01.');
+  }
+  const modo = redondeo.modo ? String(redondeo.modo) : 'cercano';
+  if (!MODOS_REDONDEO.includes(modo)) {
+    throw errorMasivo(
+      `redondeo.modo inválido (use ${MODOS_REDONDEO.join(' | ')}).`
+    );
+  }
+
+  return {
+    where,
+    filtros,
+    tipo,
+    valor,
+    redondeo: { multiplo: moneyRound(multiplo), modo },
+    motivo:
+      String(body.motivo || '')
+        .trim()
+        .slice(0, 255) || null
+  };
+}
+
+// Trabaja en centavos para no arrastrar errores de coma flotante
+function redondear(precio, { multiplo, modo }) {
+  const cents = Math.round(precio * 100);
+  const paso = Math.round(multiplo * 100);
+  const f =
+    modo === 'arriba' ? Math.ceil : modo === 'abajo' ? Math.floor : Math.round;
+  return (f(cents / paso) * paso) / 100;
+}
+
+function calcularDiff(productos, criterio) {
+  const data = [];
+  const negativos = [];
+
+  for (const p of productos) {
+    const anterior = moneyRound(p.pre_prod);
+    const bruto =
+      criterio.tipo === 'porcentaje'
+        ? anterior * (1 + criterio.valor / 100)
+        : anterior + criterio.valor;
+    const nuevo = redondear(bruto, criterio.redondeo);
+
+    if (nuevo < 0) {
+      negativos.push({
+        id: Number(p.id),
+        nombre: p.nombre,
+        precio_anterior: anterior,
+        precio_nuevo: nuevo
+      });
+      continue;
+    }
+
+    data.push({
+      id: Number(p.id),
+      nombre: p.nombre,
+      codigo_sku: p.codigo_sku,
+      presentacion: p.presentacion,
+      precio_anterior: anterior,
+      precio_nuevo: nuevo,
+      diferencia: moneyRound(nuevo - anterior),
+      variacion_pct:
+        anterior > 0 ? moneyRound(((nuevo - anterior) / anterior) * 100) : null,
+      cambia: Math.abs(nuevo - anterior) >= 0.005
+    });
+  }
+
+  if (negativos.length) {
+    throw errorMasivo('El ajuste deja productos con precio negativo.', {
+      productos: negativos
+    });
+  }
+
+  return data;
+}
+
+// ===============================
+// POST /productos/precios/masivo  (?commit=1 aplica)
+// ===============================
+export const CR_ProductosPreciosMasivo_CTS = async (req, res) => {
+  const commit = String(req.query.commit || '') === '1';
+
+  let criterio;
+  try {
+    criterio = normalizarCriterio(req.body || {});
+  } catch (err) {
+    return res.status(400).json({
+      code: 'BAD_REQUEST',
+      mensajeError: err.message
+    });
+  }
+
+  const t = await db.transaction();
+  try {
+    // En commit se bloquean las filas: el diff aplicado es exactamente el que se calcula acá
+    const productos = await ProductosModel.findAll({
+      where: criterio.where,
+      attributes: ['id', 'nombre', 'codigo_sku', 'presentacion', 'pre_prod'],
+      order: [['nombre', 'ASC']],
+      raw: true,
+      transaction: t,
+      ...(commit ? { lock: t.LOCK.UPDATE } : {})
+    });
+
+    const data = calcularDiff(productos, criterio);
+    const cambian = data.filter((d) => d.cambia);
+    const lote = commit && cambian.length ? crypto.randomUUID() : null;
+
+    if (lote) {
+      const usuario_id = getUsuarioId(req);
+      for (const d of cambian) {
+        await ProductosModel.update(
+          { pre_prod: d.precio_nuevo },
+          { where: { id: d.id }, transaction: t }
+        );
+        await registrarHistorialPrecioProducto(
+          {
+            producto_id: d.id,
+            precio_anterior: d.precio_anterior,
+            precio_nuevo: d.precio_nuevo,
+            usuario_id,
+            lote,
+            motivo: criterio.motivo
+          },
+          t
+        );
+      }
+      await t.commit();
+    } else {
+      await t.rollback();
+    }
+
+    return res.status(lote ? 201 : 200).json({
+      modo: commit ? 'commit' : 'dry-run',
+      lote,
+      criterio: {
+        filtros: criterio.filtros,
+        tipo: criterio.tipo,
+        valor: criterio.valor,
+        redondeo: criterio.redondeo,
+        motivo: criterio.motivo
+      },
+      resumen: {
+        productos: data.length,
+        cambian: cambian.length,
+        sin_cambio: data.length - cambian.length
+      },
+      data
+    });
+  } catch (err) {
+    try {
+      if (!t.finished) await t.rollback();
+    } catch {}
+
+    if (err?.status === 400) {
+      return res.status(400).json({
+        code: 'BAD_REQUEST',
+        mensajeError: err.message,
+        ...(err.meta ? { meta: err.meta } : {})
+      });
+    }
+
+    console.error('CR_ProductosPreciosMasivo_CTS error:', err);
+    return res.status(500).json({
+      code: 'SERVER_ERROR',
+      mensajeError: 'No se pudo actualizar los precios.'
+    });
+  }
+};
+
+// ===============================
+// GET /productos/precios/masivo/:lote
+// ===============================
+export const OBR_ProductosPreciosLote_CTS = async (req, res) => {
+  try {
+    const lote = String(req.params.lote || '').trim();
+    if (!/^[0-9a-f-]{36}$/i.test(lote)) {
+      return res.status(400).json({
+        code: 'BAD_REQUEST',
+        mensajeError: 'Lote inválido.'
+      });
+    }
+
+    const filas = await ProductosPreciosHistorialModel.findAll({
+      where: { lote },
+      order: [['producto_id', 'ASC']],
+      raw: true
+    });
+    if (!filas.length) {
+      return res.status(404).json({
+        code: 'NOT_FOUND',
+        mensajeError: 'Lote no encontrado.'
+      });
+    }
+
+    const productos = await ProductosModel.findAll({
+      where: { id: { [Op.in]: filas.map((f) => f.producto_id) } },
+      attributes: ['id', 'nombre', 'codigo_sku', 'pre_prod'],
+      raw: true
+    });
+    const porId = new Map(productos.map((p) => [Number(p.id), p]));
+
+    return res.json({
+      lote,
+      aplicado_at: filas[0].created_at,
+      usuario_id: filas[0].usuario_id,
+      motivo: filas[0].motivo,
+      data: filas.map((f) => ({
+        producto_id: Number(f.producto_id),
+        nombre: porId.get(Number(f.producto_id))?.nombre ?? null,
+        codigo_sku: porId.get(Number(f.producto_id))?.codigo_sku ?? null,
+        precio_anterior:
+          f.precio_anterior == null ? null : Number(f.precio_anterior),
+        precio_nuevo: Number(f.precio_nuevo),
+        precio_actual: Number(porId.get(Number(f.producto_id))?.pre_prod ?? 0)
+      }))
+    });
+  } catch (err) {
+    console.error('OBR_ProductosPreciosLote_CTS error:', err);
+    return res.status(500).json({
+      code: 'SERVER_ERROR',
+      mensajeError: 'No se pudo obtener el lote.'
+    });
+  }
+};
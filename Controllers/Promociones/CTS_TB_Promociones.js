@@ -0,0 +1,553 @@
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 04 / 11 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ *  Promociones y descuentos de ventas.
+ *  - Motor (lo usa recalcVentaTotal):
+ *      1) Por línea: descuento manual (descuento_pct | descuento_monto) o, si no hay,
+ *         la mejor promo por línea vigente (porcentaje_linea, monto_linea, lleve_pague).
+ *      2) Por venta, sobre el neto de las líneas: descuento manual de la venta o la mejor
+ *         promo por venta (porcentaje_venta, monto_venta; las de cliente = fidelidad).
+ *         Se prorratea entre las líneas (ventas_detalle.descuento_venta).
+ *      Las promos no se acumulan entre sí dentro de un mismo nivel: gana la de mayor descuento.
+ *  - ABM:
+ *      GET  /promociones (?tipo=&estado=&producto_id=&cliente_id=&vigente_en=YYYY-MM-DD)
+ *      GET  /promociones/:id
+ *      POST /promociones
+ *      PUT  /promociones/:id
+ *      PATCH /promociones/:id/estado
+ *
+ * Tema: Promociones
+ * Capa: Backend - Controllers/Promociones
+ */
+
+import { Op } from 'sequelize';
+
+import {
+  PromocionesModel,
+  PROMOCIONES_TIPOS,
+  PROMOCIONES_TIPOS_LINEA,
+  PROMOCIONES_TIPOS_VENTA
+} from '../../Models/Promociones/MD_TB_Promociones.js';
+import { ProductosModel } from '../../Models/Productos/MD_TB_Productos.js';
+import { ClientesModel } from '../../Models/Clientes/MD_TB_Clientes.js';
+import { descuentosConfig } from '../../config/descuentos.config.js';
+
+const YMD_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+const moneyRound = (n) => Math.round((Number(n) + Number.EPSILON) * 100) / 100;
+
+const ymd = (d) =>
+  `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+
+const optNum = (v) =>
+  v === null || v === undefined || v === '' ? null : Number(v);
+
+const errorDescuento = (mensaje) => {
+  const e = new Error(mensaje);
+  e.status = 400;
+  return e;
+};
+
+// =====================================================================
+// Motor de descuentos
+// =====================================================================
+
+/**
+ * Descuento manual (línea o venta) ya normalizado: { descuento_pct, descuento_monto }.
+ * Solo uno de los dos; pct entre 0 y 100. El tope real se controla al calcular.
+ */
+export function normalizarDescuentoManual(obj = {}, etiqueta = 'Venta') {
+  const pct = optNum(obj.descuento_pct);
+  const monto = optNum(obj.descuento_monto);
+
+  if (pct !== null && (!Number.isFinite(pct) || pct < 0 || pct > 100)) {
+    throw errorDescuento(
+      `${etiqueta}: descuento_pct debe estar entre 0 y 100.`
+    );
+  }
+  if (monto !== null && (!Number.isFinite(monto) || monto < 0)) {
+    throw errorDescuento(`${etiqueta}: descuento_monto debe ser >= 0.`);
+  }
+  if (pct && monto) {
+    throw errorDescuento(
+      `${etiqueta}: use descuento_pct o descuento_monto, no ambos.`
+    );
+  }
+
+  return {
+    descuento_pct: pct ? moneyRound(pct) : null,
+    descuento_monto: monto ? moneyRound(monto) : null
+  };
+}
+
+// Promos activas a la fecha: generales + las del cliente (fidelidad)
+export async function cargarPromocionesVigentes({ fecha, cliente_id }, t) {
+  const f = ymd(fecha ? new Date(fecha) : new Date());
+  return PromocionesModel.findAll({
+    where: {
+      estado: 'activa',
+      vigente_desde: { [Op.lte]: f },
+      [Op.and]: [
+        {
+          [Op.or]: [{ vigente_hasta: null }, { vigente_hasta: { [Op.gte]: f } }]
+        },
+        {
+          [Op.or]: [
+            { cliente_id: null },
+            ...(cliente_id ? [{ cliente_id: Number(cliente_id) }] : [])
+          ]
+        }
+      ]
+    },
+    raw: true,
+    transaction: t
+  });
+}
+
+function descuentoPromoLinea(promo, ln, bruto) {
+  if (
+    promo.producto_id &&
+    Number(promo.producto_id) !== Number(ln.producto_id)
+  ) {
+    return 0;
+  }
+  const cantidad = Number(ln.cantidad);
+  if (promo.cantidad_minima && cantidad < Number(promo.cantidad_minima))
+    return 0;
+
+  switch (promo.tipo) {
+    case 'porcentaje_linea':
+      return (bruto * Number(promo.valor || 0)) / 100;
+    case 'monto_linea':
+      return Math.min(bruto, Number(promo.valor || 0) * cantidad);
+    case 'lleve_pague': {
+      const lleve = Number(promo.lleve);
+      const pague = Number(promo.pague);
+      if (!(lleve > pague) || !(pague > 0)) return 0;
+      return (
+        Math.floor(cantidad / lleve) * (lleve - pague) * Number(ln.precio_unit)
+      );
+    }
+    default:
+      return 0;
+  }
+}
+
+function descuentoPromoVenta(promo, base, totalBruto) {
+  if (promo.monto_minimo && totalBruto < Number(promo.monto_minimo)) return 0;
+  if (promo.tipo === 'porcentaje_venta') {
+    return (base * Number(promo.valor || 0)) / 100;
+  }
+  if (promo.tipo === 'monto_venta') return Number(promo.valor || 0);
+  return 0;
+}
+
+function descuentoManual({ descuento_pct, descuento_monto }, base, etiqueta) {
+  const d = descuento_pct
+    ? (base * Number(descuento_pct)) / 100
+    : Number(descuento_monto || 0);
+  const tope = Number(descuentosConfig.maxManualPct) || 0;
+  if (base > 0 && d - (base * tope) / 100 > 0.005) {
+    throw errorDescuento(
+      `${etiqueta}: el descuento manual supera el tope de ${tope}%.`
+    );
+  }
+  return d;
+}
+
+/**
+ * Calcula descuentos de una venta (función pura).
+ * lineas: [{ producto_id, cantidad, precio_unit, descuento_pct?, descuento_monto? }]
+ * venta:  { descuento_pct?, descuento_monto? }
+ * Devuelve { lineas (con promocion_id / descuento_linea / descuento_venta / importe_neto),
+ *            total_bruto, total_descuentos, total_neto, promocion_id }.
+ */
+export function calcularDescuentos({ lineas, venta = {}, promociones = [] }) {
+  const promosLinea = promociones.filter((p) =>
+    PROMOCIONES_TIPOS_LINEA.includes(p.tipo)
+  );
+  const promosVenta = promociones.filter((p) =>
+    PROMOCIONES_TIPOS_VENTA.includes(p.tipo)
+  );
+
+  // ---------- 1) Línea ----------
+  const salida = lineas.map((ln, idx) => {
+    const bruto = moneyRound(Number(ln.cantidad) * Number(ln.precio_unit));
+    let descuento = 0;
+    let promocion_id = null;
+
+    if (ln.descuento_pct || ln.descuento_monto) {
+      descuento = descuentoManual(ln, bruto, `Ítem #${idx + 1}`);
+    } else {
+      for (const p of promosLinea) {
+        const d = descuentoPromoLinea(p, ln, bruto);
+        if (d > descuento + 0.001) {
+          descuento = d;
+          promocion_id = Number(p.id);
+        }
+      }
+    }
+
+    const descuento_linea = moneyRound(Math.min(bruto, descuento));
+    return {
+      ...ln,
+      bruto,
+      promocion_id: descuento_linea > 0 ? promocion_id : null,
+      descuento_linea,
+      descuento_venta: 0,
+      importe_neto: moneyRound(bruto - descuento_linea)
+    };
+  });
+
+  const total_bruto = moneyRound(salida.reduce((a, l) => a + l.bruto, 0));
+  const base = moneyRound(salida.reduce((a, l) => a + l.importe_neto, 0));
+
+  // ---------- 2) Venta ----------
+  let descVenta = 0;
+  let promocionVentaId = null;
+  if (venta.descuento_pct || venta.descuento_monto) {
+    descVenta = descuentoManual(venta, base, 'Venta');
+  } else {
+    for (const p of promosVenta) {
+      const d = descuentoPromoVenta(p, base, total_bruto);
+      if (d > descVenta + 0.001) {
+        descVenta = d;
+        promocionVentaId = Number(p.id);
+      }
+    }
+  }
+  descVenta = moneyRound(Math.min(base, descVenta));
+
+  // Prorrateo por neto de línea; el residuo de redondeo va a la línea más grande
+  if (descVenta > 0 && base > 0) {
+    let asignado = 0;
+    let mayor = 0;
+    salida.forEach((l, i) => {
+      l.descuento_venta = moneyRound((descVenta * l.importe_neto) / base);
+      asignado += l.descuento_venta;
+      if (l.importe_neto > salida[mayor].importe_neto) mayor = i;
+    });
+    salida[mayor].descuento_venta = moneyRound(
+      salida[mayor].descuento_venta + (descVenta - asignado)
+    );
+    for (const l of salida) {
+      l.importe_neto = moneyRound(l.importe_neto - l.descuento_venta);
+    }
+  }
+
+  const total_neto = moneyRound(salida.reduce((a, l) => a + l.importe_neto, 0));
+  return {
+    lineas: salida,
+    total_bruto,
+    total_descuentos: moneyRound(total_bruto - total_neto),
+    total_neto,
+    promocion_id: descVenta > 0 ? promocionVentaId : null
+  };
+}
+
+// =====================================================================
+// ABM
+// =====================================================================
+
+const parsePagination = (req) => {
+  const page = Math.max(1, parseInt(req.query.page || '1', 10));
+  const limit = Math.min(
+    200,
+    Math.max(1, parseInt(req.query.limit || '50', 10))
+  );
+  return { page, limit, offset: (page - 1) * limit };
+};
+
+const incProducto = {
+  model: ProductosModel,
+  as: 'producto',
+  attributes: ['id', 'nombre', 'codigo_sku']
+};
+const incCliente = {
+  model: ClientesModel,
+  as: 'cliente',
+  attributes: ['id', 'nombre']
+};
+
+// Valida el estado final de la promo (alta o merge con la existente)
+async function validarPromocion(p) {
+  if (!String(p.nombre || '').trim()) return 'El nombre es obligatorio.';
+  if (!PROMOCIONES_TIPOS.includes(p.tipo)) {
+    return `tipo inválido (use ${PROMOCIONES_TIPOS.join(' | ')}).`;
+  }
+  if (!p.vigente_desde || !YMD_RE.test(String(p.vigente_desde))) {
+    return 'vigente_desde es obligatoria (YYYY-MM-DD).';
+  }
+  if (p.vigente_hasta) {
+    if (!YMD_RE.test(String(p.vigente_hasta))) {
+      return 'vigente_hasta debe ser YYYY-MM-DD.';
+    }
+    if (String(p.vigente_hasta) < String(p.vigente_desde)) {
+      return 'vigente_hasta no puede ser anterior a vigente_desde.';
+    }
+  }
+
+  if (p.tipo === 'lleve_pague') {
+    if (!p.producto_id) return "'lleve_pague' requiere producto_id.";
+    const lleve = Number(p.lleve);
+    const pague = Number(p.pague);
+    if (
+      !Number.isInteger(lleve) ||
+      !Number.isInteger(pague) ||
+      pague < 1 ||
+      lleve <= pague
+    ) {
+      return "'lleve_pague' requiere enteros lleve > pague >= 1 (ej: lleve 6 pague 5).";
+    }
+  } else {
+    const valor = Number(p.valor);
+    if (!Number.isFinite(valor) || valor <= 0) return 'valor debe ser > 0.';
+    if (p.tipo.startsWith('porcentaje') && valor > 100) {
+      return 'Un porcentaje no puede superar 100.';
+    }
+  }
+  if (PROMOCIONES_TIPOS_VENTA.includes(p.tipo) && p.producto_id) {
+    return 'Las promos por venta no llevan producto_id.';
+  }
+
+  if (p.producto_id && !(await ProductosModel.findByPk(p.producto_id))) {
+    return 'El producto no existe.';
+  }
+  if (p.cliente_id && !(await ClientesModel.findByPk(p.cliente_id))) {
+    return 'El cliente no existe.';
+  }
+  return null;
+}
+
+const CAMPOS = [
+  'nombre',
+  'tipo',
+  'producto_id',
+  'cliente_id',
+  'valor',
+  'lleve',
+  'pague',
+  'cantidad_minima',
+  'monto_minimo',
+  'vigente_desde',
+  'vigente_hasta',
+  'observaciones'
+];
+
+function tomarCampos(body = {}) {
+  const out = {};
+  for (const k of CAMPOS) {
+    if (!(k in body)) continue;
+    const v = body[k];
+    out[k] = v === '' || v === undefined ? null : v;
+  }
+  if (typeof out.nombre === 'string') out.nombre = out.nombre.trim();
+  return out;
+}
+
+// Campos que no aplican al tipo quedan en NULL (evita promos "mezcladas")
+function limpiarPorTipo(p) {
+  if (p.tipo === 'lleve_pague') {
+    p.valor = null;
+  } else {
+    p.lleve = null;
+    p.pague = null;
+  }
+  if (PROMOCIONES_TIPOS_VENTA.includes(p.tipo)) {
+    p.cantidad_minima = null;
+  } else {
+    p.monto_minimo = null;
+  }
+  return p;
+}
+
+// ===============================
+// GET /promociones
+// ===============================
+export const OBRS_Promociones_CTS = async (req, res) => {
+  try {
+    const { page, limit, offset } = parsePagination(req);
+    const { tipo, estado, producto_id, cliente_id, vigente_en } =
+      req.query || {};
+
+    const where = {};
+    if (PROMOCIONES_TIPOS.includes(String(tipo))) where.tipo = String(tipo);
+    if (['activa', 'inactiva'].includes(String(estado)))
+      where.estado = String(estado);
+    if (producto_id) where.producto_id = Number(producto_id);
+    if (cliente_id) where.cliente_id = Number(cliente_id);
+    if (vigente_en && YMD_RE.test(String(vigente_en))) {
+      where.vigente_desde = { [Op.lte]: String(vigente_en) };
+      where[Op.or] = [
+        { vigente_hasta: null },
+        { vigente_hasta: { [Op.gte]: String(vigente_en) } }
+      ];
+    }
+
+    const { rows, count } = await PromocionesModel.findAndCountAll({
+      where,
+      include: [incProducto, incCliente],
+      order: [
+        ['estado', 'ASC'],
+        ['vigente_desde', 'DESC'],
+        ['id', 'DESC']
+      ],
+      limit,
+      offset,
+      distinct: true
+    });
+
+    const totalPages = Math.max(1, Math.ceil(count / limit));
+    return res.json({
+      data: rows,
+      meta: {
+        total: count,
+        page,
+        limit,
+        totalPages,
+        hasPrev: page > 1,
+        hasNext: page < totalPages
+      }
+    });
+  } catch (err) {
+    console.error('OBRS_Promociones_CTS error:', err);
+    return res.status(500).json({
+      code: 'SERVER_ERROR',
+      mensajeError: 'No se pudieron listar las promociones.'
+    });
+  }
+};
+
+// ===============================
+// GET /promociones/:id
+// ===============================
+export const OBR_Promocion_CTS = async (req, res) => {
+  try {
+    const promo = await PromocionesModel.findByPk(Number(req.params.id), {
+      include: [incProducto, incCliente]
+    });
+    if (!promo) {
+      return res.status(404).json({
+        code: 'NOT_FOUND',
+        mensajeError: 'Promoción no encontrada.'
+      });
+    }
+    return res.json(promo);
+  } catch (err) {
+    console.error('OBR_Promocion_CTS error:', err);
+    return res.status(500).json({
+      code: 'SERVER_ERROR',
+      mensajeError: 'No se pudo obtener la promoción.'
+    });
+  }
+};
+
+// ===============================
+// POST /promociones
+// ===============================
+export const CR_Promocion_CTS = async (req, res) => {
+  try {
+    const payload = limpiarPorTipo(tomarCampos(req.body));
+    const error = await validarPromocion(payload);
+    if (error) {
+      return res.status(400).json({ code: 'BAD_REQUEST', mensajeError: error });
+    }
+
+    const promo = await PromocionesModel.create({
+      ...payload,
+      estado: 'activa'
+    });
+    return res.status(201).json(promo);
+  } catch (err) {
+    console.error('CR_Promocion_CTS error:', err);
+    if (err?.name === 'SequelizeValidationError') {
+      return res.status(400).json({
+        code: 'MODEL_VALIDATION',
+        mensajeError: 'Hay campos inválidos.',
+        tips: (err.errors || []).map((e) => e.message)
+      });
+    }
+    return res.status(500).json({
+      code: 'SERVER_ERROR',
+      mensajeError: 'No se pudo crear la promoción.'
+    });
+  }
+};
+
+// ===============================
+// PUT /promociones/:id
+// ===============================
+export const UR_Promocion_CTS = async (req, res) => {
+  try {
+    const promo = await PromocionesModel.findByPk(Number(req.params.id));
+    if (!promo) {
+      return res.status(404).json({
+        code: 'NOT_FOUND',
+        mensajeError: 'Promoción no encontrada.'
+      });
+    }
+
+    const payload = limpiarPorTipo({
+      ...promo.get({ plain: true }),
+      ...tomarCampos(req.body)
+    });
+    const error = await validarPromocion(payload);
+    if (error) {
+      return res.status(400).json({ code: 'BAD_REQUEST', mensajeError: error });
+    }
+
+    const patch = {};
+    for (const k of CAMPOS) patch[k] = payload[k];
+    await promo.update(patch);
+    return res.json(promo);
+  } catch (err) {
+    console.error('UR_Promocion_CTS error:', err);
+    if (err?.name === 'SequelizeValidationError') {
+      return res.status(400).json({
+        code: 'MODEL_VALIDATION',
+        mensajeError: 'Hay campos inválidos.',
+        tips: (err.errors || []).map((e) => e.message)
+      });
+    }
+    return res.status(500).json({
+      code: 'SERVER_ERROR',
+      mensajeError: 'No se pudo actualizar la promoción.'
+    });
+  }
+};
+
+// ===============================
+// PATCH /promociones/:id/estado  { estado: 'activa' | 'inactiva' }
+// ===============================
+export const UR_Promocion_Estado_CTS = async (req, res) => {
+  try {
+    const estado = String(req.body?.estado || '');
+    if (!['activa', 'inactiva'].includes(estado)) {
+      return res.status(400).json({
+        code: 'BAD_REQUEST',
+        mensajeError: "estado inválido (use 'activa' | 'inactiva')."
+      });
+    }
+
+    const [n] = await PromocionesModel.update(
+      { estado },
+      { where: { id: Number(req.params.id) } }
+    );
+    if (!n) {
+      return res.status(404).json({
+        code: 'NOT_FOUND',
+        mensajeError: 'Promoción no encontrada o sin cambios.'
+      });
+    }
+    return res.json({ id: Number(req.params.id), estado });
+  } catch (err) {
+    console.error('UR_Promocion_Estado_CTS error:', err);
+    return res.status(500).json({
+      code: 'SERVER_ERROR',
+      mensajeError: 'No se pudo cambiar el estado.'
+    });
+  }
+};
@@ -0,0 +1,465 @@
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 29 / 10 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ *  Hoja de ruta diaria de un reparto.
+ *  - Resuelve el/los turno(s) del día de la semana de "fecha" desde repartos_dias.
+ *  - Lista los clientes activos del reparto (reparto_clientes) en orden de numero_rango
+ *    con dirección, referencia, saldo CxC actual y última compra.
+ *  - Incluye el equipo del día (chofer / ayudante): titulares de repartos_usuarios
+ *    con los reemplazos temporales vigentes aplicados.
+ *  Salida JSON (default), HTML imprimible (?formato=html) o PDF (?formato=pdf).
+ *
+ * Endpoint:
+ *  GET /repartos/:id/hoja-ruta?fecha=YYYY-MM-DD&turno=maniana|tarde|noche&formato=json|html|pdf
+ *
+ * Tema: Repartos
+ * Capa: Backend - Controllers/Repartos
+ */
+
+import { Op, fn, literal } from 'sequelize';
+import db from '../../DataBase/db.js';
+
+import { RepartosModel } from '../../Models/Repartos/MD_TB_Repartos.js';
+import { RepartosDiasModel } from '../../Models/Repartos/MD_TB_RepartosDias.js';
+import { RepartoClientesModel } from '../../Models/Repartos/MD_TB_RepartoClientes.js';
+import { ClientesModel } from '../../Models/Clientes/MD_TB_Clientes.js';
+import { BarriosModel } from '../../Models/Geografia/MD_TB_Barrios.js';
+import { CxcMovimientosModel } from '../../Models/CuentasCorriente/MD_TB_CxcMovimientos.js';
+import { nowMs } from '../../Utils/authoritativeTime.js';
+import { resolverEquipoReparto } from './CTS_TB_RepartosReemplazos.js';
+
+import puppeteer from 'puppeteer';
+
+const DIAS_SEMANA = [
+  null,
+  'Lunes',
+  'Martes',
+  'Miércoles',
+  'Jueves',
+  'Viernes',
+  'Sábado',
+  'Domingo'
+];
+
+const TURNO_LABEL = {
+  maniana: 'Mañana',
+  tarde: 'Tarde',
+  noche: 'Noche'
+};
+
+const moneyAR = (n) =>
+  (Number(n) || 0).toLocaleString('es-AR', {
+    style: 'currency',
+    currency: 'ARS',
+    minimumFractionDigits: 2
+  });
+
+const escapeHtml = (s = '') =>
+  String(s ?? '')
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;')
+    .replaceAll('"', '&quot;')
+    .replaceAll("'", '&#039;');
+
+const fmtDMY = (d) =>
+  `${String(d.getDate()).padStart(2, '0')}/${String(d.getMonth() + 1).padStart(2, '0')}/${d.getFullYear()}`;
+
+const ymdLocal = (d) =>
+  `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+
+// "YYYY-MM-DD" → Date local (sin corrimiento UTC); vacío → hoy
+const parseFechaLocal = (v) => {
+  if (!v) {
+    const hoy = new Date(nowMs());
+    return new Date(hoy.getFullYear(), hoy.getMonth(), hoy.getDate());
+  }
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(v))) return null;
+  const [yy, mm, dd] = String(v).split('-').map(Number);
+  const d = new Date(yy, mm - 1, dd);
+  return d.getMonth() === mm - 1 ? d : null;
+};
+
+// getDay(): 0 = domingo → repartos_dias usa 1 = lunes ... 7 = domingo
+const diaSemanaISO = (d) => d.getDay() || 7;
+
+const errorHoja = (status, code, mensajeError) => {
+  const e = new Error(mensajeError);
+  e.status = status;
+  e.code = code;
+  return e;
+};
+
+/* ============================================================
+ * Datos de la hoja de ruta
+ * ============================================================ */
+async function obtenerHojaRutaDatos(params, query) {
+  const repartoId = Number(params?.id);
+  if (!Number.isInteger(repartoId) || repartoId <= 0) {
+    throw errorHoja(400, 'BAD_REQUEST', 'ID de reparto inválido.');
+  }
+
+  const fecha = parseFechaLocal(query?.fecha);
+  if (!fecha) {
+    throw errorHoja(400, 'BAD_REQUEST', 'fecha inválida (use YYYY-MM-DD).');
+  }
+
+  const turnoQ = query?.turno ? String(query.turno) : null;
+  if (turnoQ && !TURNO_LABEL[turnoQ]) {
+    throw errorHoja(
+      400,
+      'BAD_REQUEST',
+      "turno inválido (use 'maniana' | 'tarde' | 'noche')."
+    );
+  }
+
+  const reparto = await RepartosModel.findByPk(repartoId, {
+    attributes: ['id', 'nombre', 'ciudad_id', 'estado', 'rango_min', 'rango_max']
+  });
+  if (!reparto) {
+    throw errorHoja(404, 'NOT_FOUND', 'Reparto no encontrado.');
+  }
+  if (reparto.estado !== 'activo') {
+    throw errorHoja(409, 'REPARTO_INACTIVO', 'El reparto está inactivo.');
+  }
+
+  // 1) Turno(s) del día
+  const diaSemana = diaSemanaISO(fecha);
+  const dias = await RepartosDiasModel.findAll({
+    where: {
+      reparto_id: repartoId,
+      dia_semana: diaSemana,
+      ...(turnoQ ? { turno: turnoQ } : {})
+    },
+    order: [['turno', 'ASC']]
+  });
+
+  if (!dias.length) {
+    throw errorHoja(
+      409,
+      'REPARTO_SIN_RECORRIDO',
+      `El reparto no tiene recorrido el ${DIAS_SEMANA[diaSemana].toLowerCase()}${
+        turnoQ ? ` (turno ${TURNO_LABEL[turnoQ].toLowerCase()})` : ''
+      }.`
+    );
+  }
+
+  // 2) Equipo efectivo del día (titulares + reemplazos vigentes)
+  // Benjamin Orellana - 11-11-2026 - se resuelve con los reemplazos temporales
+  const equipo = await resolverEquipoReparto({
+    repartoId,
+    fecha: ymdLocal(fecha),
+    turno: turnoQ
+  });
+
+  // 3) Clientes activos en orden de recorrido
+  const asignaciones = await RepartoClientesModel.findAll({
+    where: { reparto_id: repartoId, estado: 'activo' },
+    include: [
+      {
+        model: ClientesModel,
+        as: 'cliente',
+        required: true,
+        where: { estado: 'activo' },
+        attributes: [
+          'id',
+          'nombre',
+          'documento',
+          'telefono',
+          'direccion_calle',
+          'direccion_numero',
+          'direccion_piso_dpto',
+          'referencia'
+        ],
+        include: [
+          { model: BarriosModel, as: 'barrio', attributes: ['id', 'nombre'] }
+        ]
+      }
+    ],
+    order: [
+      ['numero_rango', 'ASC'],
+      ['id', 'ASC']
+    ]
+  });
+
+  const clienteIds = asignaciones.map((a) => Number(a.cliente_id));
+
+  // 4) Saldo CxC actual por cliente (ledger)
+  const saldosByCliente = new Map();
+  // 5) Última compra (venta confirmada más reciente)
+  const ultimaCompraByCliente = new Map();
+
+  if (clienteIds.length) {
+    const saldosRows = await CxcMovimientosModel.unscoped().findAll({
+      where: { cliente_id: { [Op.in]: clienteIds } },
+      attributes: ['cliente_id', [fn('SUM', literal('signo * monto')), 'saldo']],
+      group: ['cliente_id'],
+      raw: true
+    });
+    for (const r of saldosRows) {
+      saldosByCliente.set(Number(r.cliente_id), Number(Number(r.saldo || 0).toFixed(2)));
+    }
+
+    const [ultimasRows] = await db.query(
+      `
+      SELECT v.cliente_id, v.id, v.fecha, v.tipo, v.total_neto
+      FROM ventas v
+      INNER JOIN (
+        SELECT cliente_id, MAX(fecha) AS fecha_max
+        FROM ventas
+        WHERE estado = 'confirmada' AND cliente_id IN (:clienteIds)
+        GROUP BY cliente_id
+      ) u ON u.cliente_id = v.cliente_id AND u.fecha_max = v.fecha
+      WHERE v.estado = 'confirmada'
+      ORDER BY v.id DESC
+      `,
+      { replacements: { clienteIds } }
+    );
+    for (const r of ultimasRows || []) {
+      const cid = Number(r.cliente_id);
+      if (ultimaCompraByCliente.has(cid)) continue;
+      ultimaCompraByCliente.set(cid, {
+        venta_id: Number(r.id),
+        fecha: r.fecha,
+        tipo: r.tipo,
+        total: Number(r.total_neto || 0)
+      });
+    }
+  }
+
+  const clientes = asignaciones.map((a, idx) => {
+    const c = a.cliente;
+    return {
+      orden: idx + 1,
+      numero_rango: a.numero_rango,
+      cliente_id: c.id,
+      nombre: c.nombre,
+      documento: c.documento,
+      telefono: c.telefono,
+      direccion: [c.direccion_calle, c.direccion_numero, c.direccion_piso_dpto]
+        .filter(Boolean)
+        .join(' '),
+      barrio: c.barrio?.nombre || null,
+      referencia: c.referencia || null,
+      saldo_cxc: saldosByCliente.get(Number(c.id)) || 0,
+      ultima_compra: ultimaCompraByCliente.get(Number(c.id)) || null
+    };
+  });
+
+  return {
+    reparto: {
+      id: reparto.id,
+      nombre: reparto.nombre,
+      rango_min: reparto.rango_min,
+      rango_max: reparto.rango_max
+    },
+    fecha: ymdLocal(fecha),
+    dia_semana: diaSemana,
+    dia_nombre: DIAS_SEMANA[diaSemana],
+    turnos: dias.map((d) => d.turno || null),
+    choferes: equipo.choferes,
+    ayudantes: equipo.ayudantes,
+    resumen: {
+      clientes: clientes.length,
+      con_deuda: clientes.filter((c) => c.saldo_cxc > 0.01).length,
+      saldo_total: Number(
+        clientes.reduce((acc, c) => acc + c.saldo_cxc, 0).toFixed(2)
+      )
+    },
+    clientes
+  };
+}
+
+/* ============================================================
+ * HTML imprimible
+ * ============================================================ */
+function buildHojaRutaHtml(data) {
+  const [yy, mm, dd] = data.fecha.split('-').map(Number);
+  const fechaTxt = fmtDMY(new Date(yy, mm - 1, dd));
+  const turnosTxt = data.turnos
+    .map((t) => (t ? TURNO_LABEL[t] : 'Sin turno'))
+    .join(' / ');
+  const nombres = (arr) =>
+    arr.length
+      ? arr
+          .map((x) => {
+            if (!x.reemplazo) return escapeHtml(x.nombre);
+            const quien = x.reemplazo.reemplaza_a?.nombre || 'titular';
+            return `${escapeHtml(x.nombre)} <span class="muted">(reemplaza a ${escapeHtml(quien)} · ${escapeHtml(x.reemplazo.motivo)})</span>`;
+          })
+          .join(', ')
+      : '—';
+
+  const filas = data.clientes
+    .map(
+      (c) => `
+        <tr>
+          <td class="td-num">${c.numero_rango ?? c.orden}</td>
+          <td>
+            <div class="cli-nombre">${escapeHtml(c.nombre)}</div>
+            <div class="muted">${escapeHtml(c.telefono || '')}</div>
+          </td>
+          <td>
+            ${escapeHtml(c.direccion || '—')}
+            ${c.barrio ? `<div class="muted">${escapeHtml(c.barrio)}</div>` : ''}
+            ${c.referencia ? `<div class="muted">Ref: ${escapeHtml(c.referencia)}</div>` : ''}
+          </td>
+          <td class="text-right ${c.saldo_cxc > 0.01 ? 'deuda' : ''}">${moneyAR(c.saldo_cxc)}</td>
+          <td>
+            ${
+              c.ultima_compra
+                ? `${fmtDMY(new Date(c.ultima_compra.fecha))}<div class="muted">${moneyAR(c.ultima_compra.total)}</div>`
+                : '—'
+            }
+          </td>
+          <td class="td-box"></td>
+          <td class="td-box"></td>
+        </tr>`
+    )
+    .join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="es">
+<head>
+<meta charset="utf-8" />
+<title>Hoja de ruta - ${escapeHtml(data.reparto.nombre)} - ${fechaTxt}</title>
+<style>
+  @page { size: A4; margin: 10mm; }
+  * { box-sizing: border-box; }
+  body {
+    margin: 0;
+    font-family: system-ui,-apple-system,BlinkMacSystemFont,"Segoe UI",sans-serif;
+    font-size: 10px;
+    color: #111827;
+  }
+  .header {
+    display: flex;
+    justify-content: space-between;
+    border-bottom: 1px solid #e5e7eb;
+    padding-bottom: 6px;
+    margin-bottom: 8px;
+  }
+  h1 { margin: 0 0 2px 0; font-size: 16px; }
+  .muted { color: #6b7280; font-size: 9px; }
+  .equipo { margin-bottom: 8px; line-height: 1.5; }
+  table { width: 100%; border-collapse: collapse; }
+  th {
+    text-align: left;
+    font-size: 9px;
+    text-transform: uppercase;
+    color: #6b7280;
+    border-bottom: 1px solid #d1d5db;
+    padding: 4px;
+  }
+  td { padding: 4px; border-bottom: 1px solid #e5e7eb; vertical-align: top; }
+  tr { page-break-inside: avoid; }
+  .td-num { width: 32px; font-weight: 600; }
+  .cli-nombre { font-weight: 600; }
+  .text-right { text-align: right; }
+  .deuda { color: #b91c1c; font-weight: 600; }
+  .td-box { width: 60px; border-left: 1px dashed #d1d5db; }
+  @media screen { body { padding: 16px; } }
+</style>
+</head>
+<body>
+  <div class="header">
+    <div>
+      <h1>Hoja de ruta · ${escapeHtml(data.reparto.nombre)}</h1>
+      <div class="muted">${escapeHtml(data.dia_nombre)} ${fechaTxt} · Turno: ${escapeHtml(turnosTxt)}</div>
+    </div>
+    <div class="muted text-right">
+      ${data.resumen.clientes} clientes · ${data.resumen.con_deuda} con deuda<br />
+      Saldo total: ${moneyAR(data.resumen.saldo_total)}
+    </div>
+  </div>
+
+  <div class="equipo">
+    <strong>Chofer:</strong> ${nombres(data.choferes)}
+    &nbsp;·&nbsp;
+    <strong>Ayudante:</strong> ${nombres(data.ayudantes)}
+  </div>
+
+  <table>
+    <thead>
+      <tr>
+        <th>#</th>
+        <th>Cliente</th>
+        <th>Dirección</th>
+        <th class="text-right">Saldo CxC</th>
+        <th>Última compra</th>
+        <th>Entrega</th>
+        <th>Cobro</th>
+      </tr>
+    </thead>
+    <tbody>
+      ${filas || '<tr><td colspan="7" class="muted">El reparto no tiene clientes activos.</td></tr>'}
+    </tbody>
+  </table>
+</body>
+</html>`;
+}
+
+/* ============================================================
+ * GET /repartos/:id/hoja-ruta
+ * ============================================================ */
+export const OBR_RepartoHojaRuta_CTS = async (req, res) => {
+  try {
+    const formato = String(req.query?.formato || 'json').toLowerCase();
+    if (!['json', 'html', 'pdf'].includes(formato)) {
+      return res.status(400).json({
+        code: 'BAD_REQUEST',
+        mensajeError: "formato inválido (use 'json' | 'html' | 'pdf')."
+      });
+    }
+
+    const data = await obtenerHojaRutaDatos(req.params, req.query);
+
+    if (formato === 'json') return res.json(data);
+
+    const html = buildHojaRutaHtml(data);
+    if (formato === 'html') {
+      res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      return res.send(html);
+    }
+
+    const browser = await puppeteer.launch({
+      headless: 'new',
+      args: ['--no-sandbox', '--disable-setuid-sandbox']
+    });
+
+    let pdfBuffer;
+    try {
+      const page = await browser.newPage();
+      await page.setContent(html, { waitUntil: 'networkidle0' });
+      pdfBuffer = await page.pdf({
+        format: 'A4',
+        printBackground: true,
+        margin: { top: '10mm', right: '10mm', bottom: '10mm', left: '10mm' }
+      });
+    } finally {
+      await browser.close();
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader(
+      'Content-Disposition',
+      `inline; filename="hoja-ruta_${data.reparto.id}_${data.fecha}.pdf"`
+    );
+    return res.send(pdfBuffer);
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({
+        code: err.code,
+        mensajeError: err.message
+      });
+    }
+    console.error('OBR_RepartoHojaRuta_CTS error:', err);
+    return res.status(500).json({
+      code: 'SERVER_ERROR',
+      mensajeError: 'No se pudo generar la hoja de ruta.'
+    });
+  }
+};
@@ -15,8 +15,12 @@
 import { RepartoClientesModel } from '../../Models/Repartos/MD_TB_RepartoClientes.js';
 import { RepartosModel } from '../../Models/Repartos/MD_TB_Repartos.js';
 import { ClientesModel } from '../../Models/Clientes/MD_TB_Clientes.js';
+import crypto from 'node:crypto';
 import { Op } from 'sequelize';
 import db from '../../DataBase/db.js';
+// Benjamin Orellana - 09-11-2026 - Historial de numero_rango en renumeraciones
+import { RepartoClientesHistorialModel } from '../../Models/Repartos/MD_TB_RepartoClientesHistorial.js';
+import { errorApi } from '../../Utils/errorApi.js';
 
 const stripEmpty = (obj = {}) => {
   const out = {};
@@ -632,6 +636,210 @@ export const CR_Reparto_AsignarClientesMasivo_CTS = async (req, res) => {
 };
 
 
+// Benjamin Orellana - 08-11-2026 - Renumeración de numero_rango en bloque (ruta optimizada)
+// Benjamin Orellana - 09-11-2026 - Se generaliza para POST /repartos/:id/renumerar: vista previa
+// sin escribir, reubicación de inactivas que estorban, firma del estado e historial por lote.
+// Todas las filas del reparto (activas e inactivas: todas ocupan número)
+export async function cargarAsignacionesReparto({
+  repartoId,
+  transaction,
+  lock = false
+}) {
+  return RepartoClientesModel.findAll({
+    where: { reparto_id: repartoId },
+    attributes: ['id', 'cliente_id', 'numero_rango', 'estado'],
+    order: [['numero_rango', 'ASC']],
+    transaction,
+    ...(lock && transaction ? { lock: transaction.LOCK.UPDATE } : {})
+  });
+}
+
+// Huella del estado de las asignaciones; cambia si alguien agrega, saca o
+// renumera clientes entre la vista previa y la confirmación.
+export const firmaAsignaciones = (filas) =>
+  crypto
+    .createHash('sha1')
+    .update(
+      filas
+        .map((f) => `${f.cliente_id}:${f.numero_rango}:${f.estado}`)
+        .sort()
+        .join('|')
+    )
+    .digest('hex');
+
+/**
+ * Reasigna numero_rango a los clientes ACTIVOS de un reparto según un orden nuevo.
+ *
+ * - ordenClienteIds: todos los cliente_id activos del reparto, en el orden de visita.
+ * - numeros: números a repartir en ese orden (default: los que ya tienen los activos,
+ *   de menor a mayor). Tienen que estar dentro del rango del reparto.
+ * - reubicarInactivos: si un número pedido lo tiene una fila inactiva, esa fila pasa
+ *   al primer número libre del rango (sin esto responde 409).
+ * - aplicar: false = solo calcula (vista previa), no escribe ni bloquea.
+ * - firma: si viene, tiene que coincidir con el estado actual (409 si no).
+ * - historial: { origen, estrategia?, motivo?, usuarioId? } → reparto_clientes_historial.
+ *
+ * uq_repcli_reparto_numero no admite intercambios directos: primero se corren las
+ * filas que cambian a números temporales por encima del máximo del reparto y
+ * después se les pone el definitivo. Con aplicar=true debe ir en una transacción.
+ */
+export async function reasignarNumerosRango({
+  repartoId,
+  ordenClienteIds,
+  numeros = null,
+  reubicarInactivos = false,
+  aplicar = true,
+  firma = null,
+  historial = { origen: 'renumerar' },
+  transaction
+}) {
+  const reparto = await RepartosModel.findByPk(repartoId, {
+    attributes: ['id', 'rango_min', 'rango_max'],
+    transaction
+  });
+  if (!reparto) {
+    throw errorApi(404, 'NOT_FOUND', 'Reparto no encontrado.');
+  }
+
+  const filas = await cargarAsignacionesReparto({
+    repartoId,
+    transaction,
+    lock: aplicar
+  });
+  const firmaActual = firmaAsignaciones(filas);
+  if (firma && String(firma) !== firmaActual) {
+    throw errorApi(
+      409,
+      'ORDEN_DESACTUALIZADO',
+      'Las asignaciones del reparto cambiaron desde la vista previa. Vuelva a calcularla.'
+    );
+  }
+
+  const activas = new Map();
+  const inactivasPorNumero = new Map();
+  let maxNumero = 0;
+  for (const f of filas) {
+    maxNumero = Math.max(maxNumero, Number(f.numero_rango));
+    if (f.estado === 'activo') activas.set(Number(f.cliente_id), f);
+    else inactivasPorNumero.set(Number(f.numero_rango), f);
+  }
+
+  const orden = (ordenClienteIds || []).map(Number);
+  const faltan = [...activas.keys()].filter((id) => !orden.includes(id));
+  const sobran = orden.filter((id) => !activas.has(id));
+  if (faltan.length || sobran.length || new Set(orden).size !== orden.length) {
+    throw errorApi(
+      400,
+      'ORDEN_INVALIDO',
+      'El orden tiene que incluir una sola vez a cada cliente activo del reparto.',
+      { faltan, sobran }
+    );
+  }
+
+  const destino = numeros
+    ? numeros.map(Number)
+    : [...activas.values()]
+        .map((f) => Number(f.numero_rango))
+        .sort((a, b) => a - b);
+
+  const rangoMin = Number(reparto.rango_min);
+  const rangoMax = Number(reparto.rango_max);
+  const enRango = (n) => Number.isInteger(n) && n >= rangoMin && n <= rangoMax;
+  const invalidos = destino.filter(
+    (n) => !enRango(n) || (!reubicarInactivos && inactivasPorNumero.has(n))
+  );
+  if (
+    destino.length !== orden.length ||
+    new Set(destino).size !== destino.length ||
+    invalidos.length
+  ) {
+    throw errorApi(
+      409,
+      'NUMERO_NO_DISPONIBLE',
+      reubicarInactivos
+        ? 'Los números a asignar tienen que ser únicos y estar dentro del rango del reparto.'
+        : 'Los números a asignar tienen que ser únicos, estar dentro del rango del reparto y no pertenecer a un cliente inactivo.',
+      { rango_min: rangoMin, rango_max: rangoMax, invalidos }
+    );
+  }
+
+  const cambios = [];
+  orden.forEach((clienteId, i) => {
+    const fila = activas.get(clienteId);
+    if (Number(fila.numero_rango) !== destino[i]) {
+      cambios.push({ fila, numero_nuevo: destino[i] });
+    }
+  });
+
+  // Inactivas que ocupan un número pedido → primeros libres del rango
+  const ocupados = new Set(destino);
+  const aReubicar = [];
+  for (const [n, fila] of inactivasPorNumero) {
+    if (ocupados.has(n)) aReubicar.push(fila);
+    else ocupados.add(n);
+  }
+  let libre = rangoMin;
+  for (const fila of aReubicar) {
+    while (libre <= rangoMax && ocupados.has(libre)) libre++;
+    if (libre > rangoMax) {
+      throw errorApi(
+        409,
+        'SIN_LUGAR_INACTIVOS',
+        'No quedan números libres en el rango para correr a los clientes inactivos.',
+        {
+          rango_min: rangoMin,
+          rango_max: rangoMax,
+          inactivos_a_reubicar: aReubicar.length
+        }
+      );
+    }
+    ocupados.add(libre);
+    cambios.push({ fila, numero_nuevo: libre });
+  }
+
+  const resultado = cambios.map(({ fila, numero_nuevo }) => ({
+    reparto_cliente_id: fila.id,
+    cliente_id: Number(fila.cliente_id),
+    estado: fila.estado,
+    numero_anterior: Number(fila.numero_rango),
+    numero_nuevo
+  }));
+
+  if (!aplicar || !cambios.length) {
+    return { lote: null, firma: firmaActual, cambios: resultado };
+  }
+
+  // Fase 1: fuera del rango ocupado
+  let temporal = Math.max(maxNumero, rangoMax) + 1;
+  for (const c of cambios) {
+    await c.fila.update({ numero_rango: temporal++ }, { transaction });
+  }
+  // Fase 2: número definitivo
+  for (const c of cambios) {
+    await c.fila.update({ numero_rango: c.numero_nuevo }, { transaction });
+  }
+
+  const lote = crypto.randomUUID();
+  await RepartoClientesHistorialModel.bulkCreate(
+    resultado.map((r) => ({
+      lote,
+      reparto_id: repartoId,
+      reparto_cliente_id: r.reparto_cliente_id,
+      cliente_id: r.cliente_id,
+      numero_anterior: r.numero_anterior,
+      numero_nuevo: r.numero_nuevo,
+      estado: r.estado,
+      origen: historial.origen,
+      estrategia: historial.estrategia ?? null,
+      motivo: historial.motivo ?? null,
+      usuario_id: historial.usuarioId ?? null
+    })),
+    { transaction }
+  );
+
+  return { lote, firma: firmaActual, cambios: resultado };
+}
+
 export default {
   OBRS_RepartoClientes_CTS,
   OBR_RepartoCliente_CTS,
@@ -0,0 +1,621 @@
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 30 / 10 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ *  Sesión (jornada) de reparto:
+ *  - POST  /reparto-sesiones                → el chofer abre reparto + fecha + turno.
+ *  - POST  /reparto-sesiones/:id/visitas    → check-in por cliente (visitado / vendido / ausente / rechazado).
+ *  - POST  /reparto-sesiones/:id/cerrar     → cierre con efectivo declarado; el server calcula lo esperado
+ *                                             (ventas contado + cobranzas de la sesión) y guarda la diferencia.
+ *  - GET   /reparto-sesiones, GET /reparto-sesiones/:id (supervisión: ?con_diferencia=1).
+ *  Ventas y cobranzas se vinculan enviando reparto_sesion_id en sus POST
+ *  (ver resolverSesionAbierta / registrarVisitaEnSesion).
+ *
+ * Tema: Repartos
+ * Capa: Backend - Controllers/Repartos
+ */
+
+import { Op } from 'sequelize';
+import db from '../../DataBase/db.js';
+
+import { RepartoSesionesModel } from '../../Models/Repartos/MD_TB_RepartoSesiones.js';
+import {
+  RepartoSesionVisitasModel,
+  VISITA_RESULTADOS,
+  VISITA_REQUIERE_MOTIVO
+} from '../../Models/Repartos/MD_TB_RepartoSesionVisitas.js';
+import { RepartosModel } from '../../Models/Repartos/MD_TB_Repartos.js';
+import { RepartoClientesModel } from '../../Models/Repartos/MD_TB_RepartoClientes.js';
+import { ClientesModel } from '../../Models/Clientes/MD_TB_Clientes.js';
+import { VentasModel } from '../../Models/Ventas/MD_TB_Ventas.js';
+import { CobranzasClientesModel } from '../../Models/Cobranzas/MD_TB_CobranzasClientes.js';
+import { UserModel } from '../../Models/MD_TB_Users.js';
+import { nowMs } from '../../Utils/authoritativeTime.js';
+import { getUsuarioId } from '../Stock/CTS_TB_Stock.js';
+
+const TURNOS = ['maniana', 'tarde', 'noche'];
+
+const moneyRound = (n) =>
+  Math.round((Number(n) + Number.EPSILON) * 100) / 100;
+
+const normInt = (v) => {
+  if (v === null || v === undefined || v === '') return NaN;
+  const n = Number(v);
+  return Number.isInteger(n) && n > 0 ? n : NaN;
+};
+
+const hoyYMD = () => {
+  const d = new Date(nowMs());
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+};
+
+const parsePagination = (req) => {
+  const page = Math.max(1, parseInt(req.query.page || '1', 10));
+  const limit = Math.min(
+    200,
+    Math.max(1, parseInt(req.query.limit || '50', 10))
+  );
+  const offset = (page - 1) * limit;
+  return { page, limit, offset };
+};
+
+const errorSesion = (code, status, meta) => {
+  const e = new Error(code);
+  e.status = status;
+  if (meta) e.meta = meta;
+  return e;
+};
+
+// Mapeo común de errores de sesión (también lo usan ventas y cobranzas)
+export const responderErrorSesion = (res, err) => {
+  switch (err?.message) {
+    case 'SESION_NO_ENCONTRADA':
+      return res.status(404).json({
+        code: 'NOT_FOUND',
+        mensajeError: 'Sesión de reparto no encontrada.'
+      });
+    case 'SESION_CERRADA':
+      return res.status(409).json({
+        code: 'SESION_CERRADA',
+        mensajeError: 'La sesión de reparto ya está cerrada.',
+        meta: err.meta
+      });
+    case 'SESION_OTRO_REPARTO':
+      return res.status(400).json({
+        code: 'BAD_REQUEST',
+        mensajeError: 'La sesión pertenece a otro reparto.',
+        meta: err.meta
+      });
+    default:
+      return null;
+  }
+};
+
+// ======================================================
+// Helpers exportados (ventas / cobranzas)
+// ======================================================
+
+/**
+ * Valida que la sesión exista y esté abierta (lock de lectura compartida
+ * para no cruzarse con un cierre concurrente). Si se indica reparto_id debe coincidir.
+ */
+export async function resolverSesionAbierta(sesionId, { reparto_id } = {}, transaction) {
+  const sesion = await RepartoSesionesModel.findByPk(sesionId, {
+    transaction,
+    lock: transaction ? transaction.LOCK.SHARE : undefined
+  });
+  if (!sesion) throw errorSesion('SESION_NO_ENCONTRADA', 404);
+  if (sesion.estado !== 'abierta') {
+    throw errorSesion('SESION_CERRADA', 409, { sesion_id: sesion.id });
+  }
+  if (reparto_id && Number(reparto_id) !== Number(sesion.reparto_id)) {
+    throw errorSesion('SESION_OTRO_REPARTO', 400, {
+      sesion_id: sesion.id,
+      reparto_id_sesion: sesion.reparto_id
+    });
+  }
+  return sesion;
+}
+
+/**
+ * Check-in por cliente (una fila por sesión + cliente).
+ * soloSiNoExiste: no pisa un resultado previo (ej. cobranza sobre un cliente ya 'vendido').
+ */
+export async function registrarVisitaEnSesion(
+  { sesion_id, cliente_id, resultado, motivo = null, venta_id = null, usuario_id = null },
+  transaction,
+  { soloSiNoExiste = false } = {}
+) {
+  const existente = await RepartoSesionVisitasModel.findOne({
+    where: { sesion_id, cliente_id },
+    transaction,
+    lock: transaction ? transaction.LOCK.UPDATE : undefined
+  });
+
+  const payload = {
+    resultado,
+    motivo,
+    venta_id,
+    usuario_id,
+    registrado_at: new Date(nowMs())
+  };
+
+  if (existente) {
+    if (soloSiNoExiste) return existente;
+    return existente.update(payload, { transaction });
+  }
+  return RepartoSesionVisitasModel.create(
+    { sesion_id, cliente_id, ...payload },
+    { transaction }
+  );
+}
+
+// Efectivo esperado: ventas contado confirmadas + cobranzas registradas en la sesión
+async function calcularCajaSesion(sesionId, transaction) {
+  const [ventasRow, cobranzasRow] = await Promise.all([
+    VentasModel.unscoped().findOne({
+      where: { reparto_sesion_id: sesionId, tipo: 'contado', estado: 'confirmada' },
+      attributes: [
+        [db.fn('COALESCE', db.fn('SUM', db.col('total_neto')), 0), 'total'],
+        [db.fn('COUNT', db.col('id')), 'cantidad']
+      ],
+      raw: true,
+      transaction
+    }),
+    CobranzasClientesModel.unscoped().findOne({
+      where: { reparto_sesion_id: sesionId },
+      attributes: [
+        [db.fn('COALESCE', db.fn('SUM', db.col('total_cobrado')), 0), 'total'],
+        [db.fn('COUNT', db.col('id')), 'cantidad']
+      ],
+      raw: true,
+      transaction
+    })
+  ]);
+
+  const ventas_contado_total = moneyRound(ventasRow?.total || 0);
+  const cobranzas_total = moneyRound(cobranzasRow?.total || 0);
+
+  return {
+    ventas_contado_total,
+    ventas_contado_cantidad: Number(ventasRow?.cantidad || 0),
+    cobranzas_total,
+    cobranzas_cantidad: Number(cobranzasRow?.cantidad || 0),
+    efectivo_esperado: moneyRound(ventas_contado_total + cobranzas_total)
+  };
+}
+
+const incReparto = {
+  model: RepartosModel,
+  as: 'reparto',
+  attributes: ['id', 'nombre', 'ciudad_id']
+};
+
+const incChofer = {
+  model: UserModel,
+  as: 'chofer',
+  attributes: ['id', 'nombre', 'email']
+};
+
+// ===============================
+// GET /reparto-sesiones
+// Query: reparto_id, estado, desde, hasta, con_diferencia=1, page, limit
+// ===============================
+export const OBRS_RepartoSesiones_CTS = async (req, res) => {
+  try {
+    const { page, limit, offset } = parsePagination(req);
+    const { reparto_id, estado, desde, hasta, con_diferencia } = req.query || {};
+
+    const where = {};
+    const repId = normInt(reparto_id);
+    if (Number.isFinite(repId)) where.reparto_id = repId;
+    if (['abierta', 'cerrada'].includes(String(estado))) where.estado = String(estado);
+    if (desde || hasta) {
+      where.fecha = {};
+      if (desde) where.fecha[Op.gte] = String(desde);
+      if (hasta) where.fecha[Op.lte] = String(hasta);
+    }
+    // Supervisor: solo cierres con faltante / sobrante
+    if (String(con_diferencia) === '1') {
+      where.resultado_caja = { [Op.in]: ['faltante', 'sobrante'] };
+    }
+
+    const { rows, count } = await RepartoSesionesModel.findAndCountAll({
+      where,
+      include: [incReparto, incChofer],
+      order: [
+        ['fecha', 'DESC'],
+        ['id', 'DESC']
+      ],
+      limit,
+      offset
+    });
+
+    const totalPages = Math.max(1, Math.ceil(count / limit));
+    return res.json({
+      data: rows,
+      meta: {
+        total: count,
+        page,
+        limit,
+        totalPages,
+        hasPrev: page > 1,
+        hasNext: page < totalPages
+      }
+    });
+  } catch (err) {
+    console.error('OBRS_RepartoSesiones_CTS error:', err);
+    return res.status(500).json({
+      code: 'SERVER_ERROR',
+      mensajeError: 'No se pudieron listar las sesiones de reparto.'
+    });
+  }
+};
+
+// ===============================
+// GET /reparto-sesiones/:id
+// Incluye visitas, clientes pendientes de visita y caja (en vivo si está abierta)
+// ===============================
+export const OBR_RepartoSesion_CTS = async (req, res) => {
+  try {
+    const id = normInt(req.params.id);
+    if (!Number.isFinite(id)) {
+      return res.status(400).json({
+        code: 'BAD_REQUEST',
+        mensajeError: 'ID inválido.'
+      });
+    }
+
+    const sesion = await RepartoSesionesModel.findByPk(id, {
+      include: [
+        incReparto,
+        incChofer,
+        {
+          model: RepartoSesionVisitasModel,
+          as: 'visitas',
+          include: [
+            { model: ClientesModel, as: 'cliente', attributes: ['id', 'nombre', 'documento'] }
+          ]
+        }
+      ],
+      order: [[{ model: RepartoSesionVisitasModel, as: 'visitas' }, 'registrado_at', 'ASC']]
+    });
+    if (!sesion) {
+      return res.status(404).json({
+        code: 'NOT_FOUND',
+        mensajeError: 'Sesión de reparto no encontrada.'
+      });
+    }
+
+    const visitados = new Set((sesion.visitas || []).map((v) => Number(v.cliente_id)));
+    const asignados = await RepartoClientesModel.findAll({
+      where: { reparto_id: sesion.reparto_id, estado: 'activo' },
+      include: [
+        {
+          model: ClientesModel,
+          as: 'cliente',
+          required: true,
+          where: { estado: 'activo' },
+          attributes: ['id', 'nombre', 'documento']
+        }
+      ],
+      order: [['numero_rango', 'ASC']]
+    });
+    const pendientes = asignados
+      .filter((a) => !visitados.has(Number(a.cliente_id)))
+      .map((a) => ({
+        cliente_id: a.cliente_id,
+        numero_rango: a.numero_rango,
+        nombre: a.cliente.nombre,
+        documento: a.cliente.documento
+      }));
+
+    const resumenVisitas = Object.fromEntries(VISITA_RESULTADOS.map((r) => [r, 0]));
+    for (const v of sesion.visitas || []) resumenVisitas[v.resultado] += 1;
+
+    const caja =
+      sesion.estado === 'abierta'
+        ? await calcularCajaSesion(sesion.id)
+        : {
+            ventas_contado_total: sesion.ventas_contado_total,
+            cobranzas_total: sesion.cobranzas_total,
+            efectivo_esperado: sesion.efectivo_esperado,
+            efectivo_declarado: sesion.efectivo_declarado,
+            diferencia: sesion.diferencia,
+            resultado_caja: sesion.resultado_caja
+          };
+
+    return res.json({
+      ...sesion.toJSON(),
+      resumen_visitas: { ...resumenVisitas, pendientes: pendientes.length },
+      pendientes,
+      caja
+    });
+  } catch (err) {
+    console.error('OBR_RepartoSesion_CTS error:', err);
+    return res.status(500).json({
+      code: 'SERVER_ERROR',
+      mensajeError: 'No se pudo obtener la sesión de reparto.'
+    });
+  }
+};
+
+// ===============================
+// POST /reparto-sesiones
+// body: { reparto_id, fecha? (YYYY-MM-DD, default hoy), turno?, observaciones? }
+// ===============================
+export const CR_RepartoSesion_CTS = async (req, res) => {
+  const { reparto_id, fecha, turno, observaciones } = req.body || {};
+
+  const repId = normInt(reparto_id);
+  if (!Number.isFinite(repId)) {
+    return res.status(400).json({
+      code: 'BAD_REQUEST',
+      mensajeError: 'reparto_id es obligatorio y numérico.'
+    });
+  }
+
+  const fechaSesion = fecha ? String(fecha) : hoyYMD();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(fechaSesion)) {
+    return res.status(400).json({
+      code: 'BAD_REQUEST',
+      mensajeError: 'fecha inválida (use YYYY-MM-DD).'
+    });
+  }
+
+  const turnoFinal = turno ? String(turno) : null;
+  if (turnoFinal && !TURNOS.includes(turnoFinal)) {
+    return res.status(400).json({
+      code: 'BAD_REQUEST',
+      mensajeError: "turno inválido (use 'maniana' | 'tarde' | 'noche')."
+    });
+  }
+
+  const t = await db.transaction();
+  try {
+    const rep = await RepartosModel.findByPk(repId, { transaction: t });
+    if (!rep) {
+      await t.rollback();
+      return res.status(404).json({
+        code: 'NOT_FOUND',
+        mensajeError: 'Reparto no encontrado.'
+      });
+    }
+    if (rep.estado !== 'activo') {
+      await t.rollback();
+      return res.status(400).json({
+        code: 'BAD_REQUEST',
+        mensajeError: 'El reparto está inactivo.'
+      });
+    }
+
+    // El UNIQUE no cubre turno NULL en MySQL: validamos explícitamente
+    const existente = await RepartoSesionesModel.findOne({
+      where: { reparto_id: repId, fecha: fechaSesion, turno: turnoFinal },
+      transaction: t,
+      lock: t.LOCK.UPDATE
+    });
+    if (existente) {
+      await t.rollback();
+      return res.status(409).json({
+        code: 'SESION_EXISTENTE',
+        mensajeError: 'Ya existe una sesión para ese reparto, fecha y turno.',
+        meta: { sesion_id: existente.id, estado: existente.estado }
+      });
+    }
+
+    const sesion = await RepartoSesionesModel.create(
+      {
+        reparto_id: repId,
+        fecha: fechaSesion,
+        turno: turnoFinal,
+        estado: 'abierta',
+        abierta_por: getUsuarioId(req),
+        abierta_at: new Date(nowMs()),
+        observaciones: observaciones?.trim?.() || null
+      },
+      { transaction: t }
+    );
+
+    await t.commit();
+    return res.status(201).json(sesion);
+  } catch (err) {
+    try {
+      if (!t.finished) await t.rollback();
+    } catch {}
+
+    if (err?.name === 'SequelizeUniqueConstraintError') {
+      return res.status(409).json({
+        code: 'SESION_EXISTENTE',
+        mensajeError: 'Ya existe una sesión para ese reparto, fecha y turno.'
+      });
+    }
+    console.error('CR_RepartoSesion_CTS error:', err);
+    return res.status(500).json({
+      code: 'SERVER_ERROR',
+      mensajeError: 'No se pudo abrir la sesión de reparto.'
+    });
+  }
+};
+
+// ===============================
+// POST /reparto-sesiones/:id/visitas
+// body: { cliente_id, resultado: visitado|vendido|ausente|rechazado, motivo?, venta_id? }
+// ===============================
+export const CR_RepartoSesionVisita_CTS = async (req, res) => {
+  const id = normInt(req.params.id);
+  const { cliente_id, resultado, motivo, venta_id } = req.body || {};
+
+  const cliId = normInt(cliente_id);
+  if (!Number.isFinite(id) || !Number.isFinite(cliId)) {
+    return res.status(400).json({
+      code: 'BAD_REQUEST',
+      mensajeError: 'ID de sesión y cliente_id son obligatorios y numéricos.'
+    });
+  }
+  if (!VISITA_RESULTADOS.includes(String(resultado))) {
+    return res.status(400).json({
+      code: 'BAD_REQUEST',
+      mensajeError: `resultado inválido (use ${VISITA_RESULTADOS.join(' | ')}).`
+    });
+  }
+  const motivoTxt = String(motivo || '').trim() || null;
+  if (VISITA_REQUIERE_MOTIVO.includes(resultado) && !motivoTxt) {
+    return res.status(400).json({
+      code: 'BAD_REQUEST',
+      mensajeError: `Indicá el motivo para un cliente ${resultado}.`
+    });
+  }
+
+  const t = await db.transaction();
+  try {
+    const sesion = await resolverSesionAbierta(id, {}, t);
+
+    const asignado = await RepartoClientesModel.findOne({
+      where: { reparto_id: sesion.reparto_id, cliente_id: cliId, estado: 'activo' },
+      transaction: t
+    });
+    if (!asignado) {
+      await t.rollback();
+      return res.status(400).json({
+        code: 'BAD_REQUEST',
+        mensajeError: 'El cliente no está asignado a este reparto.'
+      });
+    }
+
+    let ventaId = null;
+    if (venta_id) {
+      ventaId = normInt(venta_id);
+      const venta = Number.isFinite(ventaId)
+        ? await VentasModel.findByPk(ventaId, { transaction: t })
+        : null;
+      if (!venta || Number(venta.cliente_id) !== cliId) {
+        await t.rollback();
+        return res.status(400).json({
+          code: 'BAD_REQUEST',
+          mensajeError: 'La venta no existe o no pertenece al cliente.'
+        });
+      }
+    }
+
+    const visita = await registrarVisitaEnSesion(
+      {
+        sesion_id: sesion.id,
+        cliente_id: cliId,
+        resultado: String(resultado),
+        motivo: motivoTxt,
+        venta_id: ventaId,
+        usuario_id: getUsuarioId(req)
+      },
+      t
+    );
+
+    await t.commit();
+    return res.status(201).json(visita);
+  } catch (err) {
+    try {
+      if (!t.finished) await t.rollback();
+    } catch {}
+
+    const mapped = responderErrorSesion(res, err);
+    if (mapped) return mapped;
+
+    console.error('CR_RepartoSesionVisita_CTS error:', err);
+    return res.status(500).json({
+      code: 'SERVER_ERROR',
+      mensajeError: 'No se pudo registrar la visita.'
+    });
+  }
+};
+
+// ===============================
+// POST /reparto-sesiones/:id/cerrar
+// body: { efectivo_declarado, observaciones? }
+// ===============================
+export const UR_RepartoSesion_Cerrar_CTS = async (req, res) => {
+  const id = normInt(req.params.id);
+  if (!Number.isFinite(id)) {
+    return res.status(400).json({
+      code: 'BAD_REQUEST',
+      mensajeError: 'ID inválido.'
+    });
+  }
+
+  const { efectivo_declarado, observaciones } = req.body || {};
+  const declarado = moneyRound(efectivo_declarado);
+  if (
+    efectivo_declarado === undefined ||
+    efectivo_declarado === null ||
+    efectivo_declarado === '' ||
+    !Number.isFinite(declarado) ||
+    declarado < 0
+  ) {
+    return res.status(400).json({
+      code: 'BAD_REQUEST',
+      mensajeError: 'efectivo_declarado es obligatorio, numérico y >= 0.'
+    });
+  }
+
+  const t = await db.transaction();
+  try {
+    // Lock exclusivo: espera a ventas / cobranzas en curso sobre la sesión
+    const sesion = await RepartoSesionesModel.findByPk(id, {
+      transaction: t,
+      lock: t.LOCK.UPDATE
+    });
+    if (!sesion) throw errorSesion('SESION_NO_ENCONTRADA', 404);
+    if (sesion.estado !== 'abierta') {
+      throw errorSesion('SESION_CERRADA', 409, { sesion_id: sesion.id });
+    }
+
+    const caja = await calcularCajaSesion(sesion.id, t);
+    const diferencia = moneyRound(declarado - caja.efectivo_esperado);
+    const resultado_caja =
+      Math.abs(diferencia) <= 0.01
+        ? 'cuadrada'
+        : diferencia < 0
+          ? 'faltante'
+          : 'sobrante';
+
+    await sesion.update(
+      {
+        estado: 'cerrada',
+        cerrada_por: getUsuarioId(req),
+        cerrada_at: new Date(nowMs()),
+        ventas_contado_total: caja.ventas_contado_total,
+        cobranzas_total: caja.cobranzas_total,
+        efectivo_esperado: caja.efectivo_esperado,
+        efectivo_declarado: declarado,
+        diferencia,
+        resultado_caja,
+        observaciones:
+          [sesion.observaciones, observaciones?.trim?.()]
+            .filter(Boolean)
+            .join(' · ')
+            .slice(0, 255) || null
+      },
+      { transaction: t }
+    );
+
+    await t.commit();
+    return res.json({
+      ...sesion.toJSON(),
+      caja: { ...caja, efectivo_declarado: declarado, diferencia, resultado_caja }
+    });
+  } catch (err) {
+    try {
+      if (!t.finished) await t.rollback();
+    } catch {}
+
+    const mapped = responderErrorSesion(res, err);
+    if (mapped) return mapped;
+
+    console.error('UR_RepartoSesion_Cerrar_CTS error:', err);
+    return res.status(500).json({
+      code: 'SERVER_ERROR',
+      mensajeError: 'No se pudo cerrar la sesión de reparto.'
+    });
+  }
+};
@@ -22,10 +22,13 @@ import { Op } from 'sequelize';
 // Benjamin Orellana - 16-01-2026
 // Nuevo helper: valida solapamiento de rangos de forma GLOBAL (entre ciudades)
 // y considerando solo repartos ACTIVOS para no bloquear por históricos inactivos.
-async function existeRangoSolapadoGlobal({
+// Benjamin Orellana - 10-11-2026 - Se exporta para dividir / unir repartos: excluirId acepta
+// varios IDs y la consulta puede ir dentro de la transacción de la operación.
+export async function existeRangoSolapadoGlobal({
   rango_min,
   rango_max,
-  excluirId = null
+  excluirId = null,
+  transaction
 }) {
   const where = {
     estado: 'activo',
@@ -33,14 +36,16 @@ async function existeRangoSolapadoGlobal({
     rango_max: { [Op.gte]: rango_min }
   };
 
-  if (excluirId) {
-    where.id = { [Op.ne]: excluirId };
+  const excluidos = [].concat(excluirId ?? []).filter(Boolean);
+  if (excluidos.length) {
+    where.id = { [Op.notIn]: excluidos };
   }
 
   const conflict = await RepartosModel.findOne({
     where,
     // Intentamos traer ciudad para un error más descriptivo
-    include: [{ model: CiudadesModel, as: 'ciudad', required: false }]
+    include: [{ model: CiudadesModel, as: 'ciudad', required: false }],
+    transaction
   });
 
   return conflict;
@@ -48,9 +53,13 @@ async function existeRangoSolapadoGlobal({
 
 // Benjamin Orellana - 16-01-2026
 // Helpers: sugerencia inteligente del primer rango disponible (global) evitando "sugerencias encadenadas".
-async function obtenerIntervalosActivosGlobales({ excluirId = null } = {}) {
+async function obtenerIntervalosActivosGlobales({
+  excluirId = null,
+  transaction
+} = {}) {
   const where = { estado: 'activo' };
-  if (excluirId) where.id = { [Op.ne]: excluirId };
+  const excluidos = [].concat(excluirId ?? []).filter(Boolean);
+  if (excluidos.length) where.id = { [Op.notIn]: excluidos };
 
   const rows = await RepartosModel.findAll({
     where,
@@ -59,7 +68,8 @@ async function obtenerIntervalosActivosGlobales({ excluirId = null } = {}) {
       ['rango_min', 'ASC'],
       ['rango_max', 'ASC']
     ],
-    raw: true
+    raw: true,
+    transaction
   });
 
   // Merge de intervalos contiguos/solapados para tratarlo como "bloque ocupado"
@@ -141,16 +151,20 @@ function primerHuecoQueEntre(merged = [], start = 1, span = 0) {
 // Sugiere:
 // 1) primer hueco real "desde/hasta" (para orientar)
 // 2) primer rango que entra del mismo tamaño que el solicitado (si aplica)
-async function sugerirRangoDisponibleGlobal({
+export async function sugerirRangoDisponibleGlobal({
   rango_min,
   rango_max,
-  excluirId = null
+  excluirId = null,
+  transaction
 }) {
   const start = Number(rango_min);
   const end = Number(rango_max);
   const span = end - start; // mantiene el mismo "tamaño" (diferencia)
 
-  const merged = await obtenerIntervalosActivosGlobales({ excluirId });
+  const merged = await obtenerIntervalosActivosGlobales({
+    excluirId,
+    transaction
+  });
 
   const primer = primerHuecoDesde(merged, start);
 
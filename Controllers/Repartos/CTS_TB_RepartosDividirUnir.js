@@ -0,0 +1,714 @@
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 10 / 11 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ *  Dividir y unir repartos moviendo clientes, días y equipo en una sola transacción.
+ *  Por defecto las dos operaciones son vista previa (no tocan nada); ?commit=1 aplica.
+ *
+ *  - POST /repartos/:id/dividir
+ *      body: {
+ *        criterio: 'barrio' | 'rango',
+ *        barrio_ids?: [id, ...]            (criterio 'barrio')
+ *        desde?, hasta?                    (criterio 'rango': numero_rango actual)
+ *        nuevo: { nombre, rango_min?, rango_max?, capacidad?, observaciones? },
+ *        dias?: 'copiar' | 'ninguno'       (default copiar: mismo día / turno que el original)
+ *        usuario_ids?: [id, ...]           (equipo del reparto original que pasa al nuevo)
+ *      }
+ *      Sin rango explícito se usa el primer hueco global del tamaño pedido
+ *      (capacidad, default el del reparto original) a partir del final del original.
+ *
+ *  - POST /repartos/:id/unir   (":id" es el que queda)
+ *      body: { origen_id, ampliar_rango?: boolean }
+ *      Los clientes de origen_id se agregan después de los del destino, los días que el
+ *      destino no tenía pasan, el equipo pasa (sin duplicar usuarios) y origen_id queda inactivo.
+ *      Si no hay números libres en el rango del destino, con ampliar_rango se extiende
+ *      rango_max (siempre que no se superponga con otro reparto activo).
+ *
+ *  Los clientes migrados quedan inactivos en el reparto de origen (la fila conserva su
+ *  número, como en cualquier reasignación) y toman números libres en el destino, en el
+ *  mismo orden de visita que tenían.
+ *
+ * Tema: Repartos
+ * Capa: Backend - Controllers/Repartos
+ */
+
+import { Op } from 'sequelize';
+import db from '../../DataBase/db.js';
+
+import { RepartosModel } from '../../Models/Repartos/MD_TB_Repartos.js';
+import { RepartoClientesModel } from '../../Models/Repartos/MD_TB_RepartoClientes.js';
+import { RepartosDiasModel } from '../../Models/Repartos/MD_TB_RepartosDias.js';
+import { RepartosUsuariosModel } from '../../Models/Repartos/MD_TB_RepartosUsuarios.js';
+import { RepartoSesionesModel } from '../../Models/Repartos/MD_TB_RepartoSesiones.js';
+import { ClientesModel } from '../../Models/Clientes/MD_TB_Clientes.js';
+import {
+  existeRangoSolapadoGlobal,
+  sugerirRangoDisponibleGlobal
+} from './CTS_TB_Repartos.js';
+import { cargarAsignacionesReparto } from './CTS_TB_RepartoClientes.js';
+import { errorApi, responderError } from '../../Utils/errorApi.js';
+
+const CRITERIOS_DIVISION = ['barrio', 'rango'];
+
+const parseId = (v, campo) => {
+  const id = Number(v);
+  if (!Number.isInteger(id) || id <= 0) {
+    throw errorApi(400, 'BAD_REQUEST', `${campo} inválido.`);
+  }
+  return id;
+};
+
+const listaIds = (v) =>
+  [...new Set((Array.isArray(v) ? v : []).map(Number))].filter(
+    (n) => Number.isInteger(n) && n > 0
+  );
+
+const resumenReparto = (r) => ({
+  id: r.id ?? null,
+  nombre: r.nombre,
+  ciudad_id: r.ciudad_id,
+  rango_min: Number(r.rango_min),
+  rango_max: Number(r.rango_max),
+  estado: r.estado
+});
+
+const claveDia = (d) => `${d.dia_semana}|${d.turno ?? ''}`;
+
+async function cargarRepartoActivo(id, { transaction, lock }) {
+  const reparto = await RepartosModel.findByPk(id, {
+    transaction,
+    ...(lock ? { lock: transaction.LOCK.UPDATE } : {})
+  });
+  if (!reparto) {
+    throw errorApi(404, 'NOT_FOUND', `Reparto ${id} no encontrado.`);
+  }
+  if (reparto.estado !== 'activo') {
+    throw errorApi(
+      409,
+      'REPARTO_INACTIVO',
+      `El reparto "${reparto.nombre}" está inactivo.`
+    );
+  }
+  return reparto;
+}
+
+// Con la jornada abierta el chofer está en la calle con la lista vieja
+async function assertSinSesionAbierta(repartoIds, transaction) {
+  const abierta = await RepartoSesionesModel.findOne({
+    where: { reparto_id: { [Op.in]: repartoIds }, estado: 'abierta' },
+    attributes: ['id', 'reparto_id', 'fecha'],
+    transaction
+  });
+  if (abierta) {
+    throw errorApi(
+      409,
+      'SESION_ABIERTA',
+      'El reparto tiene una jornada abierta. Ciérrela antes de mover clientes.',
+      { reparto_id: abierta.reparto_id, sesion_id: abierta.id }
+    );
+  }
+}
+
+// Clientes activos del reparto en orden de visita, con nombre y barrio
+async function clientesActivosEnOrden(filas, transaction) {
+  const activas = filas.filter((f) => f.estado === 'activo');
+  const clientes = activas.length
+    ? await ClientesModel.findAll({
+        where: { id: { [Op.in]: activas.map((f) => f.cliente_id) } },
+        attributes: ['id', 'nombre', 'barrio_id'],
+        transaction
+      })
+    : [];
+  const porId = new Map(clientes.map((c) => [Number(c.id), c]));
+  return activas.map((f) => ({
+    fila: f,
+    cliente_id: Number(f.cliente_id),
+    nombre: porId.get(Number(f.cliente_id))?.nombre ?? null,
+    barrio_id: porId.get(Number(f.cliente_id))?.barrio_id ?? null,
+    numero_anterior: Number(f.numero_rango)
+  }));
+}
+
+/*
+ * Qué pasa con cada cliente que se mueve al destino: crear la fila, reactivar la
+ * histórica (uq_repcli_reparto_cliente) o nada si ya estaba activo allá.
+ * numeros: libres en el destino, en el orden en que se toman.
+ */
+function planClientes(movidos, filasDestino, numeros) {
+  const destinoPorCliente = new Map(
+    filasDestino.map((f) => [Number(f.cliente_id), f])
+  );
+  let i = 0;
+  return movidos.map((m) => {
+    const existente = destinoPorCliente.get(m.cliente_id);
+    if (existente?.estado === 'activo') {
+      return {
+        ...m,
+        accion: 'ya_activo',
+        numero_nuevo: Number(existente.numero_rango)
+      };
+    }
+    return {
+      ...m,
+      fila_destino: existente || null,
+      accion: existente ? 'reactivar' : 'crear',
+      numero_nuevo: numeros[i++]
+    };
+  });
+}
+
+async function aplicarPlanClientes(plan, destinoId, transaction) {
+  for (const p of plan) {
+    await p.fila.update({ estado: 'inactivo' }, { transaction });
+    if (p.accion === 'reactivar') {
+      await p.fila_destino.update(
+        { estado: 'activo', numero_rango: p.numero_nuevo },
+        { transaction }
+      );
+    } else if (p.accion === 'crear') {
+      await RepartoClientesModel.create(
+        {
+          reparto_id: destinoId,
+          cliente_id: p.cliente_id,
+          numero_rango: p.numero_nuevo,
+          estado: 'activo'
+        },
+        { transaction }
+      );
+    }
+  }
+}
+
+const salidaClientes = (plan) =>
+  plan.map((p) => ({
+    cliente_id: p.cliente_id,
+    nombre: p.nombre,
+    numero_anterior: p.numero_anterior,
+    numero_nuevo: p.numero_nuevo,
+    accion: p.accion
+  }));
+
+const errorSolapado = (conflict, rango, suggestion) =>
+  errorApi(
+    409,
+    'RANGO_SOLAPADO',
+    `El rango ${rango.min}–${rango.max} se superpone con el reparto activo ` +
+      `"${conflict.nombre}" (${conflict.rango_min}–${conflict.rango_max}).`,
+    suggestion ? { suggestion } : undefined
+  );
+
+/* ============================================================
+ * POST /repartos/:id/dividir
+ * ============================================================ */
+export const CR_RepartoDividir_CTS = async (req, res) => {
+  const commit = String(req.query.commit || '') === '1';
+  const body = req.body || {};
+
+  let t;
+  try {
+    const origenId = parseId(req.params.id, 'ID de reparto');
+
+    const criterio = String(body.criterio || '');
+    if (!CRITERIOS_DIVISION.includes(criterio)) {
+      throw errorApi(
+        400,
+        'BAD_REQUEST',
+        `criterio inválido (use ${CRITERIOS_DIVISION.join(' | ')}).`
+      );
+    }
+    const barrioIds = listaIds(body.barrio_ids);
+    if (criterio === 'barrio' && !barrioIds.length) {
+      throw errorApi(
+        400,
+        'BAD_REQUEST',
+        "Con criterio 'barrio' debe enviar barrio_ids."
+      );
+    }
+    const desde = Number(body.desde);
+    const hasta = Number(body.hasta);
+    if (
+      criterio === 'rango' &&
+      (!Number.isInteger(desde) || !Number.isInteger(hasta) || hasta < desde)
+    ) {
+      throw errorApi(
+        400,
+        'BAD_REQUEST',
+        "Con criterio 'rango' debe enviar desde y hasta (desde <= hasta)."
+      );
+    }
+
+    const nuevo = body.nuevo || {};
+    const nombre = String(nuevo.nombre ?? '').trim();
+    if (!nombre) {
+      throw errorApi(
+        400,
+        'BAD_REQUEST',
+        'Debe indicar el nombre del reparto nuevo.'
+      );
+    }
+    const dias = String(body.dias || 'copiar');
+    if (!['copiar', 'ninguno'].includes(dias)) {
+      throw errorApi(
+        400,
+        'BAD_REQUEST',
+        "dias inválido (use 'copiar' | 'ninguno')."
+      );
+    }
+    const usuarioIds = listaIds(body.usuario_ids);
+
+    t = await db.transaction();
+
+    const origen = await cargarRepartoActivo(origenId, {
+      transaction: t,
+      lock: commit
+    });
+    await assertSinSesionAbierta([origenId], t);
+
+    const duplicado = await RepartosModel.findOne({
+      where: { ciudad_id: origen.ciudad_id, nombre },
+      attributes: ['id'],
+      transaction: t
+    });
+    if (duplicado) {
+      throw errorApi(
+        409,
+        'DUPLICATE',
+        `Ya existe un reparto "${nombre}" en la ciudad.`
+      );
+    }
+
+    // 1) Clientes que se van
+    const filasOrigen = await cargarAsignacionesReparto({
+      repartoId: origenId,
+      transaction: t,
+      lock: commit
+    });
+    const activos = await clientesActivosEnOrden(filasOrigen, t);
+    const movidos = activos.filter((c) =>
+      criterio === 'barrio'
+        ? barrioIds.includes(Number(c.barrio_id))
+        : c.numero_anterior >= desde && c.numero_anterior <= hasta
+    );
+    if (!movidos.length) {
+      throw errorApi(
+        409,
+        'SIN_CLIENTES',
+        'Ningún cliente activo del reparto cumple el criterio de división.'
+      );
+    }
+
+    // 2) Rango del reparto nuevo
+    let rango;
+    let rangoSugerido = false;
+    if (nuevo.rango_min != null && nuevo.rango_max != null) {
+      rango = { min: Number(nuevo.rango_min), max: Number(nuevo.rango_max) };
+      if (
+        !Number.isInteger(rango.min) ||
+        !Number.isInteger(rango.max) ||
+        rango.min < 0 ||
+        rango.max < rango.min
+      ) {
+        throw errorApi(
+          400,
+          'BAD_REQUEST',
+          'Rango del reparto nuevo inválido.'
+        );
+      }
+      const conflict = await existeRangoSolapadoGlobal({
+        rango_min: rango.min,
+        rango_max: rango.max,
+        transaction: t
+      });
+      if (conflict) {
+        throw errorSolapado(
+          conflict,
+          rango,
+          await sugerirRangoDisponibleGlobal({
+            rango_min: rango.min,
+            rango_max: rango.max,
+            transaction: t
+          })
+        );
+      }
+    } else {
+      const capacidad = Math.max(
+        Number(nuevo.capacidad) ||
+          Number(origen.rango_max) - Number(origen.rango_min) + 1,
+        movidos.length
+      );
+      const inicio = Number(origen.rango_max) + 1;
+      const sugerencia = await sugerirRangoDisponibleGlobal({
+        rango_min: inicio,
+        rango_max: inicio + capacidad - 1,
+        transaction: t
+      });
+      rango = { ...sugerencia.sugerido_mismo_tamano };
+      rangoSugerido = true;
+    }
+    if (rango.max - rango.min + 1 < movidos.length) {
+      throw errorApi(
+        409,
+        'CAPACIDAD_INSUFICIENTE',
+        `El rango ${rango.min}–${rango.max} no alcanza para ${movidos.length} clientes.`
+      );
+    }
+
+    const plan = planClientes(
+      movidos,
+      [],
+      movidos.map((_, i) => rango.min + i)
+    );
+
+    // 3) Días y equipo
+    const diasOrigen = await RepartosDiasModel.findAll({
+      where: { reparto_id: origenId },
+      order: [
+        ['dia_semana', 'ASC'],
+        ['turno', 'ASC']
+      ],
+      transaction: t
+    });
+    const diasNuevo =
+      dias === 'copiar'
+        ? diasOrigen.map((d) => ({ dia_semana: d.dia_semana, turno: d.turno }))
+        : [];
+
+    const equipoOrigen = await RepartosUsuariosModel.findAll({
+      where: { reparto_id: origenId },
+      transaction: t
+    });
+    const equipoPorUsuario = new Map(
+      equipoOrigen.map((u) => [Number(u.usuario_id), u])
+    );
+    const ajenos = usuarioIds.filter((id) => !equipoPorUsuario.has(id));
+    if (ajenos.length) {
+      throw errorApi(
+        400,
+        'BAD_REQUEST',
+        'usuario_ids tiene usuarios que no están asignados al reparto original.',
+        { usuario_ids: ajenos }
+      );
+    }
+    const equipoMovido = usuarioIds.map((id) => equipoPorUsuario.get(id));
+
+    // 4) Aplicar
+    let creado = null;
+    if (commit) {
+      creado = await RepartosModel.create(
+        {
+          ciudad_id: origen.ciudad_id,
+          nombre,
+          rango_min: rango.min,
+          rango_max: rango.max,
+          estado: 'activo',
+          observaciones: nuevo.observaciones ?? `Dividido de "${origen.nombre}"`
+        },
+        { transaction: t }
+      );
+      await aplicarPlanClientes(plan, creado.id, t);
+      if (diasNuevo.length) {
+        await RepartosDiasModel.bulkCreate(
+          diasNuevo.map((d) => ({ ...d, reparto_id: creado.id })),
+          { transaction: t }
+        );
+      }
+      for (const u of equipoMovido) {
+        await u.update({ reparto_id: creado.id }, { transaction: t });
+      }
+      await t.commit();
+    } else {
+      await t.rollback();
+    }
+
+    return res.status(commit ? 201 : 200).json({
+      modo: commit ? 'commit' : 'dry-run',
+      origen: {
+        ...resumenReparto(origen),
+        clientes_antes: activos.length,
+        clientes_despues: activos.length - movidos.length
+      },
+      nuevo: {
+        ...resumenReparto(
+          creado || {
+            nombre,
+            ciudad_id: origen.ciudad_id,
+            rango_min: rango.min,
+            rango_max: rango.max,
+            estado: 'activo'
+          }
+        ),
+        rango_sugerido: rangoSugerido
+      },
+      criterio,
+      resumen: {
+        clientes: plan.length,
+        dias: diasNuevo.length,
+        usuarios: equipoMovido.length
+      },
+      clientes: salidaClientes(plan),
+      dias: diasNuevo,
+      usuarios: equipoMovido.map((u) => ({
+        usuario_id: Number(u.usuario_id),
+        rol: u.rol,
+        activo: !!u.activo
+      }))
+    });
+  } catch (err) {
+    try {
+      if (t && !t.finished) await t.rollback();
+    } catch {
+      /* nada */
+    }
+    return responderError(
+      res,
+      err,
+      'CR_RepartoDividir_CTS',
+      'No se pudo dividir el reparto.'
+    );
+  }
+};
+
+/* ============================================================
+ * POST /repartos/:id/unir
+ * ============================================================ */
+export const CR_RepartoUnir_CTS = async (req, res) => {
+  const commit = String(req.query.commit || '') === '1';
+  const body = req.body || {};
+
+  let t;
+  try {
+    const destinoId = parseId(req.params.id, 'ID de reparto');
+    const origenId = parseId(body.origen_id, 'origen_id');
+    if (origenId === destinoId) {
+      throw errorApi(
+        400,
+        'BAD_REQUEST',
+        'No se puede unir un reparto consigo mismo.'
+      );
+    }
+    const ampliarRango = [true, 'true', 1, '1'].includes(body.ampliar_rango);
+
+    t = await db.transaction();
+
+    // Siempre en el mismo orden para no cruzar bloqueos con otra unión
+    const [primero, segundo] = [origenId, destinoId].sort((a, b) => a - b);
+    const cargados = new Map();
+    for (const id of [primero, segundo]) {
+      cargados.set(
+        id,
+        await cargarRepartoActivo(id, { transaction: t, lock: commit })
+      );
+    }
+    const destino = cargados.get(destinoId);
+    const origen = cargados.get(origenId);
+
+    if (Number(origen.ciudad_id) !== Number(destino.ciudad_id)) {
+      throw errorApi(
+        409,
+        'CIUDAD_DISTINTA',
+        'Solo se pueden unir repartos de la misma ciudad.'
+      );
+    }
+    await assertSinSesionAbierta([origenId, destinoId], t);
+
+    // 1) Clientes
+    const filasOrigen = await cargarAsignacionesReparto({
+      repartoId: origenId,
+      transaction: t,
+      lock: commit
+    });
+    const filasDestino = await cargarAsignacionesReparto({
+      repartoId: destinoId,
+      transaction: t,
+      lock: commit
+    });
+    const movidos = await clientesActivosEnOrden(filasOrigen, t);
+
+    const activosDestino = new Set(
+      filasDestino
+        .filter((f) => f.estado === 'activo')
+        .map((f) => Number(f.cliente_id))
+    );
+    const necesarios = movidos.filter(
+      (m) => !activosDestino.has(m.cliente_id)
+    ).length;
+
+    // Números libres: primero después del último activo, después los huecos de abajo
+    const ocupados = new Set(filasDestino.map((f) => Number(f.numero_rango)));
+    const rangoMin = Number(destino.rango_min);
+    let rangoMax = Number(destino.rango_max);
+    const ultimoActivo = Math.max(
+      rangoMin - 1,
+      ...filasDestino
+        .filter((f) => f.estado === 'activo')
+        .map((f) => Number(f.numero_rango))
+    );
+    const libres = [];
+    for (let n = ultimoActivo + 1; n <= rangoMax; n++) {
+      if (!ocupados.has(n)) libres.push(n);
+    }
+    for (let n = rangoMin; n <= ultimoActivo; n++) {
+      if (!ocupados.has(n)) libres.push(n);
+    }
+
+    let rangoAmpliado = null;
+    if (libres.length < necesarios) {
+      if (!ampliarRango) {
+        throw errorApi(
+          409,
+          'CAPACIDAD_INSUFICIENTE',
+          `El reparto "${destino.nombre}" tiene ${libres.length} números libres y hacen falta ${necesarios}. ` +
+            'Envíe ampliar_rango: true o compacte primero con POST /repartos/:id/renumerar.',
+          { libres: libres.length, necesarios }
+        );
+      }
+      let n = rangoMax;
+      while (libres.length < necesarios) {
+        n++;
+        if (!ocupados.has(n)) libres.push(n);
+      }
+      rangoAmpliado = { min: rangoMin, max: n };
+      const conflict = await existeRangoSolapadoGlobal({
+        rango_min: rangoAmpliado.min,
+        rango_max: rangoAmpliado.max,
+        excluirId: [destinoId, origenId],
+        transaction: t
+      });
+      if (conflict) throw errorSolapado(conflict, rangoAmpliado);
+      rangoMax = rangoAmpliado.max;
+    }
+
+    const plan = planClientes(movidos, filasDestino, libres);
+
+    // 2) Días: pasan los que el destino no tenía
+    const diasDestino = await RepartosDiasModel.findAll({
+      where: { reparto_id: destinoId },
+      transaction: t
+    });
+    const diasOrigen = await RepartosDiasModel.findAll({
+      where: { reparto_id: origenId },
+      order: [
+        ['dia_semana', 'ASC'],
+        ['turno', 'ASC']
+      ],
+      transaction: t
+    });
+    const clavesDestino = new Set(diasDestino.map(claveDia));
+    const diasMovidos = diasOrigen.filter(
+      (d) => !clavesDestino.has(claveDia(d))
+    );
+    const diasRepetidos = diasOrigen.filter((d) =>
+      clavesDestino.has(claveDia(d))
+    );
+
+    // 3) Equipo: pasa sin duplicar (uq_repusr_reparto_usuario)
+    const equipoDestino = await RepartosUsuariosModel.findAll({
+      where: { reparto_id: destinoId },
+      transaction: t
+    });
+    const equipoOrigen = await RepartosUsuariosModel.findAll({
+      where: { reparto_id: origenId },
+      transaction: t
+    });
+    const destinoPorUsuario = new Map(
+      equipoDestino.map((u) => [Number(u.usuario_id), u])
+    );
+    const usuarios = equipoOrigen.map((u) => {
+      const ya = destinoPorUsuario.get(Number(u.usuario_id));
+      return {
+        fila: u,
+        fila_destino: ya || null,
+        usuario_id: Number(u.usuario_id),
+        rol: u.rol,
+        activo: !!u.activo,
+        accion: ya ? 'ya_asignado' : 'mover'
+      };
+    });
+
+    // 4) Aplicar
+    if (commit) {
+      if (rangoAmpliado) {
+        await destino.update({ rango_max: rangoMax }, { transaction: t });
+      }
+      await aplicarPlanClientes(plan, destinoId, t);
+
+      for (const d of diasMovidos) {
+        await d.update({ reparto_id: destinoId }, { transaction: t });
+      }
+      for (const d of diasRepetidos) {
+        await d.destroy({ transaction: t });
+      }
+
+      for (const u of usuarios) {
+        if (u.accion === 'mover') {
+          await u.fila.update({ reparto_id: destinoId }, { transaction: t });
+          continue;
+        }
+        if (u.activo && !u.fila_destino.activo) {
+          await u.fila_destino.update({ activo: true }, { transaction: t });
+        }
+        if (u.activo) {
+          await u.fila.update({ activo: false }, { transaction: t });
+        }
+      }
+
+      await origen.update(
+        {
+          estado: 'inactivo',
+          observaciones: `Unido a "${destino.nombre}"`
+        },
+        { transaction: t }
+      );
+      await t.commit();
+    } else {
+      await t.rollback();
+    }
+
+    return res.json({
+      modo: commit ? 'commit' : 'dry-run',
+      destino: {
+        ...resumenReparto(destino),
+        rango_max: rangoMax,
+        rango_ampliado: !!rangoAmpliado,
+        clientes_antes: activosDestino.size,
+        clientes_despues: activosDestino.size + necesarios
+      },
+      origen: {
+        ...resumenReparto(origen),
+        estado: commit ? 'inactivo' : origen.estado
+      },
+      resumen: {
+        clientes: plan.length,
+        dias_movidos: diasMovidos.length,
+        dias_repetidos: diasRepetidos.length,
+        usuarios: usuarios.length
+      },
+      clientes: salidaClientes(plan),
+      dias: {
+        movidos: diasMovidos.map((d) => ({
+          dia_semana: d.dia_semana,
+          turno: d.turno
+        })),
+        repetidos: diasRepetidos.map((d) => ({
+          dia_semana: d.dia_semana,
+          turno: d.turno
+        }))
+      },
+      usuarios: usuarios.map(({ fila, fila_destino, ...u }) => u)
+    });
+  } catch (err) {
+    try {
+      if (t && !t.finished) await t.rollback();
+    } catch {
+      /* nada */
+    }
+    return responderError(
+      res,
+      err,
+      'CR_RepartoUnir_CTS',
+      'No se pudieron unir los repartos.'
+    );
+  }
+};
@@ -0,0 +1,729 @@
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 11 / 11 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ *  Reemplazos temporales de chofer / ayudante ("Juan cubre el reparto 3 del 10 al 17").
+ *  - GET    /repartos-reemplazos?reparto_id=&usuario_id=&estado=&fecha=&desde=&hasta=&page=&limit=
+ *  - POST   /repartos-reemplazos
+ *           body: { reparto_id, usuario_id, reemplazado_usuario_id?, rol?, fecha_desde,
+ *                   fecha_hasta, turno?, motivo, observaciones? }
+ *  - PUT    /repartos-reemplazos/:id          (fechas, turno, motivo, observaciones)
+ *  - PATCH  /repartos-reemplazos/:id/anular
+ *  - GET    /repartos/:id/equipo?fecha=YYYY-MM-DD&turno=   (equipo efectivo del día)
+ *
+ *  Solo usuarios con es_reemplazante. Antes de grabar se controla que el reemplazante
+ *  no quede en dos repartos el mismo día y turno: ni con otro reemplazo, ni con un
+ *  reparto donde es titular y sale ese día (salvo que a él también lo cubran).
+ *  resolverEquipoReparto() es la fuente del chofer efectivo para hoja de ruta,
+ *  reportes y sync.
+ *
+ * Tema: Repartos
+ * Capa: Backend - Controllers/Repartos
+ */
+
+import { Op } from 'sequelize';
+import db from '../../DataBase/db.js';
+
+import {
+  RepartosReemplazosModel,
+  MOTIVOS_REEMPLAZO
+} from '../../Models/Repartos/MD_TB_RepartosReemplazos.js';
+import { RepartosModel } from '../../Models/Repartos/MD_TB_Repartos.js';
+import { RepartosUsuariosModel } from '../../Models/Repartos/MD_TB_RepartosUsuarios.js';
+import { RepartosDiasModel } from '../../Models/Repartos/MD_TB_RepartosDias.js';
+import { UserModel } from '../../Models/MD_TB_Users.js';
+import { getUsuarioId } from '../Stock/CTS_TB_Stock.js';
+import { nowMs } from '../../Utils/authoritativeTime.js';
+import { errorApi, responderError } from '../../Utils/errorApi.js';
+
+const ROLES = ['chofer', 'ayudante'];
+const TURNOS = ['maniana', 'tarde', 'noche'];
+// Un reemplazo más largo que esto es un cambio de titular (repartos_usuarios)
+const MAX_DIAS_REEMPLAZO = 92;
+
+const parseId = (v, campo) => {
+  const id = Number(v);
+  if (!Number.isInteger(id) || id <= 0) {
+    throw errorApi(400, 'BAD_REQUEST', `${campo} inválido.`);
+  }
+  return id;
+};
+
+// "YYYY-MM-DD" válido (sin corrimiento de zona: se opera en UTC)
+const parseYmd = (v, campo) => {
+  const s = String(v ?? '');
+  const m = s.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  const d = m ? new Date(Date.UTC(+m[1], +m[2] - 1, +m[3])) : null;
+  if (!d || d.getUTCMonth() !== +m[2] - 1) {
+    throw errorApi(
+      400,
+      'BAD_REQUEST',
+      `${campo} inválida (use YYYY-MM-DD).`
+    );
+  }
+  return s;
+};
+
+const parseTurno = (v) => {
+  if (v === undefined || v === null || v === '') return null;
+  if (!TURNOS.includes(String(v))) {
+    throw errorApi(
+      400,
+      'BAD_REQUEST',
+      `turno inválido (use ${TURNOS.join(' | ')}).`
+    );
+  }
+  return String(v);
+};
+
+const ymdUtc = (d) => d.toISOString().slice(0, 10);
+
+const hoyYmd = () => {
+  const d = new Date(nowMs());
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+};
+
+function fechasEntre(desde, hasta) {
+  const out = [];
+  const d = new Date(`${desde}T00:00:00Z`);
+  const fin = new Date(`${hasta}T00:00:00Z`);
+  while (d <= fin) {
+    out.push(ymdUtc(d));
+    d.setUTCDate(d.getUTCDate() + 1);
+  }
+  return out;
+}
+
+// 1 = lunes ... 7 = domingo (como repartos_dias)
+const diaSemanaISO = (ymd) => new Date(`${ymd}T00:00:00Z`).getUTCDay() || 7;
+
+// NULL = todos los turnos → se cruza con cualquiera
+const turnosSeCruzan = (a, b) => a == null || b == null || a === b;
+
+// Reemplazos activos que se superponen en fechas (y turno, si se indica)
+const whereSuperpuestos = ({ desde, hasta, turno }) => ({
+  estado: 'activo',
+  fecha_desde: { [Op.lte]: hasta },
+  fecha_hasta: { [Op.gte]: desde },
+  ...(turno ? { [Op.or]: [{ turno: null }, { turno }] } : {})
+});
+
+const nombreUsuario = (u, id) => u?.nombre || `Usuario #${id}`;
+
+/**
+ * Equipo efectivo (chofer / ayudante) de un reparto para una fecha.
+ * Parte de los titulares activos de repartos_usuarios y aplica los reemplazos
+ * vigentes: el que nombra a un titular lo saca a él; el que no nombra a nadie
+ * cubre a todos los titulares de su rol.
+ */
+export async function resolverEquipoReparto({
+  repartoId,
+  fecha,
+  turno = null,
+  transaction
+}) {
+  const titulares = await RepartosUsuariosModel.findAll({
+    where: {
+      reparto_id: repartoId,
+      activo: true,
+      rol: { [Op.in]: ROLES }
+    },
+    include: [
+      { model: UserModel, as: 'usuario', attributes: ['id', 'nombre'] }
+    ],
+    order: [
+      ['rol', 'ASC'],
+      ['id', 'ASC']
+    ],
+    transaction
+  });
+
+  const reemplazos = await RepartosReemplazosModel.findAll({
+    where: {
+      reparto_id: repartoId,
+      ...whereSuperpuestos({ desde: fecha, hasta: fecha, turno })
+    },
+    include: [
+      { model: UserModel, as: 'usuario', attributes: ['id', 'nombre'] },
+      { model: UserModel, as: 'reemplazado', attributes: ['id', 'nombre'] }
+    ],
+    order: [['id', 'ASC']],
+    transaction
+  });
+
+  const equipo = {};
+  for (const rol of ROLES) {
+    let lista = titulares
+      .filter((t) => t.rol === rol)
+      .map((t) => ({
+        usuario_id: Number(t.usuario_id),
+        nombre: nombreUsuario(t.usuario, t.usuario_id),
+        titular: true,
+        reemplazo: null
+      }));
+
+    for (const r of reemplazos.filter((x) => x.rol === rol)) {
+      const cubierto = r.reemplazado_usuario_id
+        ? Number(r.reemplazado_usuario_id)
+        : null;
+      lista = lista.filter(
+        (x) => !x.titular || (cubierto !== null && x.usuario_id !== cubierto)
+      );
+      if (lista.some((x) => x.usuario_id === Number(r.usuario_id))) continue;
+      lista.push({
+        usuario_id: Number(r.usuario_id),
+        nombre: nombreUsuario(r.usuario, r.usuario_id),
+        titular: false,
+        reemplazo: {
+          id: r.id,
+          motivo: r.motivo,
+          fecha_desde: r.fecha_desde,
+          fecha_hasta: r.fecha_hasta,
+          turno: r.turno,
+          reemplaza_a: cubierto
+            ? {
+                usuario_id: cubierto,
+                nombre: nombreUsuario(r.reemplazado, cubierto)
+              }
+            : null
+        }
+      });
+    }
+    equipo[rol] = lista;
+  }
+
+  return {
+    reparto_id: repartoId,
+    fecha,
+    turno,
+    choferes: equipo.chofer,
+    ayudantes: equipo.ayudante
+  };
+}
+
+/*
+ * Choques del reemplazante en [desde, hasta] / turno:
+ *  - otro reemplazo suyo que se superpone (en cualquier reparto)
+ *  - un reparto donde es titular y sale ese día / turno, salvo que lo cubran
+ *  - el mismo titular (o el rol completo) ya cubierto en este reparto
+ */
+async function buscarConflictos({
+  repartoId,
+  usuarioId,
+  reemplazadoId,
+  rol,
+  desde,
+  hasta,
+  turno,
+  excluirId = null,
+  transaction
+}) {
+  const conflictos = [];
+  const sinEste = excluirId ? { id: { [Op.ne]: excluirId } } : {};
+  const rango = whereSuperpuestos({ desde, hasta, turno });
+
+  const propios = await RepartosReemplazosModel.findAll({
+    where: { ...rango, ...sinEste, usuario_id: usuarioId },
+    include: [
+      { model: RepartosModel, as: 'reparto', attributes: ['id', 'nombre'] }
+    ],
+    transaction
+  });
+  for (const r of propios) {
+    conflictos.push({
+      tipo: 'reemplazo',
+      reemplazo_id: r.id,
+      reparto_id: r.reparto_id,
+      reparto: r.reparto?.nombre ?? null,
+      fecha_desde: r.fecha_desde,
+      fecha_hasta: r.fecha_hasta,
+      turno: r.turno
+    });
+  }
+
+  const cubiertos = await RepartosReemplazosModel.findAll({
+    where: {
+      ...rango,
+      ...sinEste,
+      reparto_id: repartoId,
+      rol,
+      ...(reemplazadoId
+        ? {
+            [Op.and]: [
+              {
+                [Op.or]: [
+                  { reemplazado_usuario_id: null },
+                  { reemplazado_usuario_id: reemplazadoId }
+                ]
+              }
+            ]
+          }
+        : {})
+    },
+    transaction
+  });
+  for (const r of cubiertos) {
+    if (Number(r.usuario_id) === usuarioId) continue; // ya informado arriba
+    conflictos.push({
+      tipo: 'cobertura_duplicada',
+      reemplazo_id: r.id,
+      reparto_id: r.reparto_id,
+      usuario_id: Number(r.usuario_id),
+      fecha_desde: r.fecha_desde,
+      fecha_hasta: r.fecha_hasta,
+      turno: r.turno
+    });
+  }
+
+  const titularidades = await RepartosUsuariosModel.findAll({
+    where: {
+      usuario_id: usuarioId,
+      activo: true,
+      reparto_id: { [Op.ne]: repartoId }
+    },
+    include: [
+      {
+        model: RepartosModel,
+        as: 'reparto',
+        attributes: ['id', 'nombre', 'estado'],
+        where: { estado: 'activo' }
+      }
+    ],
+    transaction
+  });
+  if (titularidades.length) {
+    const repIds = titularidades.map((t) => Number(t.reparto_id));
+    const dias = await RepartosDiasModel.findAll({
+      where: { reparto_id: { [Op.in]: repIds } },
+      transaction
+    });
+    // Días en que a él lo cubre otro en su propio reparto
+    const loCubren = await RepartosReemplazosModel.findAll({
+      where: {
+        ...whereSuperpuestos({ desde, hasta, turno: null }),
+        reparto_id: { [Op.in]: repIds },
+        reemplazado_usuario_id: usuarioId
+      },
+      transaction
+    });
+
+    const fechas = fechasEntre(desde, hasta);
+    for (const t of titularidades) {
+      const repId = Number(t.reparto_id);
+      const choques = [];
+      for (const f of fechas) {
+        const sale = dias.some(
+          (d) =>
+            Number(d.reparto_id) === repId &&
+            Number(d.dia_semana) === diaSemanaISO(f) &&
+            turnosSeCruzan(d.turno, turno)
+        );
+        if (!sale) continue;
+        const cubierto = loCubren.some(
+          (c) =>
+            Number(c.reparto_id) === repId &&
+            String(c.fecha_desde) <= f &&
+            String(c.fecha_hasta) >= f &&
+            (c.turno == null || c.turno === turno)
+        );
+        if (!cubierto) choques.push(f);
+      }
+      if (choques.length) {
+        conflictos.push({
+          tipo: 'titular',
+          reparto_id: repId,
+          reparto: t.reparto?.nombre ?? null,
+          rol: t.rol,
+          fechas: choques
+        });
+      }
+    }
+  }
+
+  return conflictos;
+}
+
+async function validarYBuscarConflictos(datos, transaction) {
+  const dias = fechasEntre(datos.fecha_desde, datos.fecha_hasta).length;
+  if (!dias) {
+    throw errorApi(
+      400,
+      'BAD_REQUEST',
+      'fecha_hasta no puede ser anterior a fecha_desde.'
+    );
+  }
+  if (dias > MAX_DIAS_REEMPLAZO) {
+    throw errorApi(
+      400,
+      'BAD_REQUEST',
+      `Un reemplazo no puede durar más de ${MAX_DIAS_REEMPLAZO} días; para un cambio permanente reasigne el equipo del reparto.`
+    );
+  }
+
+  const conflictos = await buscarConflictos({
+    repartoId: datos.reparto_id,
+    usuarioId: datos.usuario_id,
+    reemplazadoId: datos.reemplazado_usuario_id,
+    rol: datos.rol,
+    desde: datos.fecha_desde,
+    hasta: datos.fecha_hasta,
+    turno: datos.turno,
+    excluirId: datos.id ?? null,
+    transaction
+  });
+  if (conflictos.length) {
+    throw errorApi(
+      409,
+      'CONFLICTO_REEMPLAZO',
+      'El reemplazante ya tiene otro reparto asignado en esas fechas y turno, o ese titular ya está cubierto.',
+      { conflictos }
+    );
+  }
+}
+
+const incReemplazo = [
+  { model: RepartosModel, as: 'reparto', attributes: ['id', 'nombre'] },
+  { model: UserModel, as: 'usuario', attributes: ['id', 'nombre', 'email'] },
+  { model: UserModel, as: 'reemplazado', attributes: ['id', 'nombre', 'email'] }
+];
+
+// ===============================
+// GET /repartos-reemplazos
+// ===============================
+export const OBRS_RepartosReemplazos_CTS = async (req, res) => {
+  try {
+    const q = req.query || {};
+    const page = Math.max(Number.parseInt(q.page, 10) || 1, 1);
+    const limit = Math.min(
+      Math.max(Number.parseInt(q.limit, 10) || 20, 1),
+      100
+    );
+
+    const where = {};
+    if (q.reparto_id) where.reparto_id = parseId(q.reparto_id, 'reparto_id');
+    if (q.usuario_id) where.usuario_id = parseId(q.usuario_id, 'usuario_id');
+    if (q.estado !== 'todos') {
+      where.estado = q.estado === 'anulado' ? 'anulado' : 'activo';
+    }
+    if (q.fecha) {
+      const f = parseYmd(q.fecha, 'fecha');
+      where.fecha_desde = { [Op.lte]: f };
+      where.fecha_hasta = { [Op.gte]: f };
+    } else if (q.desde || q.hasta) {
+      if (q.hasta) where.fecha_desde = { [Op.lte]: parseYmd(q.hasta, 'hasta') };
+      if (q.desde) where.fecha_hasta = { [Op.gte]: parseYmd(q.desde, 'desde') };
+    }
+
+    const { rows, count } = await RepartosReemplazosModel.findAndCountAll({
+      where,
+      include: incReemplazo,
+      order: [
+        ['fecha_desde', 'DESC'],
+        ['id', 'DESC']
+      ],
+      limit,
+      offset: (page - 1) * limit,
+      distinct: true
+    });
+
+    return res.json({
+      data: rows,
+      meta: {
+        total: count,
+        page,
+        limit,
+        totalPages: Math.max(Math.ceil(count / limit), 1)
+      }
+    });
+  } catch (err) {
+    return responderError(
+      res,
+      err,
+      'OBRS_RepartosReemplazos_CTS',
+      'No se pudieron listar los reemplazos.'
+    );
+  }
+};
+
+// ===============================
+// POST /repartos-reemplazos
+// ===============================
+export const CR_RepartoReemplazo_CTS = async (req, res) => {
+  const body = req.body || {};
+  let t;
+  try {
+    const datos = {
+      reparto_id: parseId(body.reparto_id, 'reparto_id'),
+      usuario_id: parseId(body.usuario_id, 'usuario_id'),
+      reemplazado_usuario_id:
+        body.reemplazado_usuario_id == null ||
+        body.reemplazado_usuario_id === ''
+          ? null
+          : parseId(body.reemplazado_usuario_id, 'reemplazado_usuario_id'),
+      rol: String(body.rol || 'chofer'),
+      fecha_desde: parseYmd(body.fecha_desde, 'fecha_desde'),
+      fecha_hasta: parseYmd(body.fecha_hasta, 'fecha_hasta'),
+      turno: parseTurno(body.turno),
+      motivo: String(body.motivo || ''),
+      observaciones: body.observaciones
+        ? String(body.observaciones).trim().slice(0, 255)
+        : null
+    };
+    if (!ROLES.includes(datos.rol)) {
+      throw errorApi(
+        400,
+        'BAD_REQUEST',
+        `rol inválido (use ${ROLES.join(' | ')}).`
+      );
+    }
+    if (!MOTIVOS_REEMPLAZO.includes(datos.motivo)) {
+      throw errorApi(
+        400,
+        'BAD_REQUEST',
+        `motivo inválido (use ${MOTIVOS_REEMPLAZO.join(' | ')}).`
+      );
+    }
+    if (datos.reemplazado_usuario_id === datos.usuario_id) {
+      throw errorApi(
+        400,
+        'BAD_REQUEST',
+        'El reemplazante no puede ser el mismo usuario que reemplaza.'
+      );
+    }
+
+    t = await db.transaction();
+
+    const reparto = await RepartosModel.findByPk(datos.reparto_id, {
+      attributes: ['id', 'estado'],
+      transaction: t
+    });
+    if (!reparto) {
+      throw errorApi(404, 'NOT_FOUND', 'Reparto no encontrado.');
+    }
+    if (reparto.estado !== 'activo') {
+      throw errorApi(
+        409,
+        'REPARTO_INACTIVO',
+        'El reparto está inactivo.'
+      );
+    }
+
+    // Bloquea al reemplazante: dos altas simultáneas no pasan las dos el control
+    const usuario = await UserModel.findByPk(datos.usuario_id, {
+      attributes: ['id', 'nombre', 'es_reemplazante'],
+      transaction: t,
+      lock: t.LOCK.UPDATE
+    });
+    if (!usuario) {
+      throw errorApi(404, 'NOT_FOUND', 'Usuario no encontrado.');
+    }
+    if (!usuario.es_reemplazante) {
+      throw errorApi(
+        409,
+        'USUARIO_NO_REEMPLAZANTE',
+        `${usuario.nombre} no está habilitado como reemplazante.`
+      );
+    }
+
+    if (datos.reemplazado_usuario_id) {
+      const titular = await RepartosUsuariosModel.findOne({
+        where: {
+          reparto_id: datos.reparto_id,
+          usuario_id: datos.reemplazado_usuario_id,
+          rol: datos.rol,
+          activo: true
+        },
+        transaction: t
+      });
+      if (!titular) {
+        throw errorApi(
+          400,
+          'BAD_REQUEST',
+          `reemplazado_usuario_id no es ${datos.rol} activo de este reparto.`
+        );
+      }
+    }
+
+    await validarYBuscarConflictos(datos, t);
+
+    const creado = await RepartosReemplazosModel.create(
+      { ...datos, estado: 'activo', creado_por: getUsuarioId(req) },
+      { transaction: t }
+    );
+    await t.commit();
+
+    const conInc = await RepartosReemplazosModel.findByPk(creado.id, {
+      include: incReemplazo
+    });
+    return res.status(201).json(conInc);
+  } catch (err) {
+    try {
+      if (t && !t.finished) await t.rollback();
+    } catch {
+      /* nada */
+    }
+    return responderError(
+      res,
+      err,
+      'CR_RepartoReemplazo_CTS',
+      'No se pudo registrar el reemplazo.'
+    );
+  }
+};
+
+// ===============================
+// PUT /repartos-reemplazos/:id
+// ===============================
+export const UR_RepartoReemplazo_CTS = async (req, res) => {
+  const body = req.body || {};
+  let t;
+  try {
+    const id = parseId(req.params.id, 'ID');
+
+    t = await db.transaction();
+
+    const actual = await RepartosReemplazosModel.findByPk(id, {
+      transaction: t,
+      lock: t.LOCK.UPDATE
+    });
+    if (!actual) {
+      throw errorApi(404, 'NOT_FOUND', 'Reemplazo no encontrado.');
+    }
+    if (actual.estado !== 'activo') {
+      throw errorApi(
+        409,
+        'REEMPLAZO_ANULADO',
+        'El reemplazo está anulado.'
+      );
+    }
+
+    const cambios = {};
+    if (body.fecha_desde !== undefined) {
+      cambios.fecha_desde = parseYmd(body.fecha_desde, 'fecha_desde');
+    }
+    if (body.fecha_hasta !== undefined) {
+      cambios.fecha_hasta = parseYmd(body.fecha_hasta, 'fecha_hasta');
+    }
+    if (body.turno !== undefined) cambios.turno = parseTurno(body.turno);
+    if (body.motivo !== undefined) {
+      if (!MOTIVOS_REEMPLAZO.includes(String(body.motivo))) {
+        throw errorApi(
+          400,
+          'BAD_REQUEST',
+          `motivo inválido (use ${MOTIVOS_REEMPLAZO.join(' | ')}).`
+        );
+      }
+      cambios.motivo = String(body.motivo);
+    }
+    if (body.observaciones !== undefined) {
+      cambios.observaciones = body.observaciones
+        ? String(body.observaciones).trim().slice(0, 255)
+        : null;
+    }
+
+    await UserModel.findByPk(actual.usuario_id, {
+      attributes: ['id'],
+      transaction: t,
+      lock: t.LOCK.UPDATE
+    });
+
+    await validarYBuscarConflictos(
+      {
+        id,
+        reparto_id: Number(actual.reparto_id),
+        usuario_id: Number(actual.usuario_id),
+        reemplazado_usuario_id: actual.reemplazado_usuario_id
+          ? Number(actual.reemplazado_usuario_id)
+          : null,
+        rol: actual.rol,
+        fecha_desde: String(actual.fecha_desde),
+        fecha_hasta: String(actual.fecha_hasta),
+        turno: actual.turno ?? null,
+        ...cambios
+      },
+      t
+    );
+
+    await actual.update(cambios, { transaction: t });
+    await t.commit();
+
+    const conInc = await RepartosReemplazosModel.findByPk(id, {
+      include: incReemplazo
+    });
+    return res.json(conInc);
+  } catch (err) {
+    try {
+      if (t && !t.finished) await t.rollback();
+    } catch {
+      /* nada */
+    }
+    return responderError(
+      res,
+      err,
+      'UR_RepartoReemplazo_CTS',
+      'No se pudo actualizar el reemplazo.'
+    );
+  }
+};
+
+// ===============================
+// PATCH /repartos-reemplazos/:id/anular
+// ===============================
+export const UR_RepartoReemplazo_Anular_CTS = async (req, res) => {
+  try {
+    const id = parseId(req.params.id, 'ID');
+    const actual = await RepartosReemplazosModel.findByPk(id);
+    if (!actual) {
+      throw errorApi(404, 'NOT_FOUND', 'Reemplazo no encontrado.');
+    }
+    if (actual.estado === 'anulado') {
+      throw errorApi(
+        409,
+        'REEMPLAZO_ANULADO',
+        'El reemplazo ya estaba anulado.'
+      );
+    }
+
+    await actual.update({ estado: 'anulado' });
+    return res.json({ message: 'Reemplazo anulado', reemplazo: actual });
+  } catch (err) {
+    return responderError(
+      res,
+      err,
+      'UR_RepartoReemplazo_Anular_CTS',
+      'No se pudo anular el reemplazo.'
+    );
+  }
+};
+
+// ===============================
+// GET /repartos/:id/equipo?fecha=&turno=
+// ===============================
+export const OBR_RepartoEquipo_CTS = async (req, res) => {
+  try {
+    const repartoId = parseId(req.params.id, 'ID de reparto');
+    const fecha = req.query?.fecha
+      ? parseYmd(req.query.fecha, 'fecha')
+      : hoyYmd();
+    const turno = parseTurno(req.query?.turno);
+
+    const reparto = await RepartosModel.findByPk(repartoId, {
+      attributes: ['id', 'nombre']
+    });
+    if (!reparto) {
+      throw errorApi(404, 'NOT_FOUND', 'Reparto no encontrado.');
+    }
+
+    const equipo = await resolverEquipoReparto({ repartoId, fecha, turno });
+    return res.json({ ...equipo, reparto: reparto.nombre });
+  } catch (err) {
+    return responderError(
+      res,
+      err,
+      'OBR_RepartoEquipo_CTS',
+      'No se pudo obtener el equipo del reparto.'
+    );
+  }
+};
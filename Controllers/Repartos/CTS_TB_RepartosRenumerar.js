@@ -0,0 +1,395 @@
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 09 / 11 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ *  Renumeración / compactación de numero_rango dentro de un reparto.
+ *  Con el tiempo quedan huecos y filas inactivas que siguen siendo dueñas de su
+ *  número (uq_repcli_reparto_numero incluye las inactivas).
+ *
+ *  - POST /repartos/:id/renumerar            → vista previa (no toca nada)
+ *  - POST /repartos/:id/renumerar?commit=1   → aplica todo o nada en una transacción y
+ *    deja cada número viejo en reparto_clientes_historial con el mismo UUID de lote.
+ *  - GET  /repartos/:id/renumeraciones       → lotes aplicados (?lote= detalle de uno)
+ *
+ *  Body:
+ *  {
+ *    estrategia: 'compactar' | 'por_calle' | 'insertar' | 'orden',
+ *    orden?:      [cliente_id, ...]          (estrategia 'orden': todos los activos)
+ *    cliente_id?, despues_de?                (estrategia 'insertar'; despues_de null = al principio)
+ *    numeracion?: 'compacta' | 'conservar'   (default: compacta para 'compactar', conservar para el resto)
+ *    desde?:      primer número al compactar (default rango_min)
+ *    firma?:      la devuelta por la vista previa; si viene y el reparto cambió → 409
+ *    motivo?:     texto (queda en el historial)
+ *  }
+ *
+ *  'compacta' numera desde..desde+n-1 y corre a las inactivas que ocupen esos números
+ *  al primer libre del rango; 'conservar' reparte los mismos números que ya tienen.
+ *
+ * Tema: Repartos
+ * Capa: Backend - Controllers/Repartos
+ */
+
+import { Op, fn, col } from 'sequelize';
+import db from '../../DataBase/db.js';
+
+import { RepartosModel } from '../../Models/Repartos/MD_TB_Repartos.js';
+import { ClientesModel } from '../../Models/Clientes/MD_TB_Clientes.js';
+import { RepartoClientesHistorialModel } from '../../Models/Repartos/MD_TB_RepartoClientesHistorial.js';
+import {
+  reasignarNumerosRango,
+  cargarAsignacionesReparto
+} from './CTS_TB_RepartoClientes.js';
+import { getUsuarioId } from '../Stock/CTS_TB_Stock.js';
+import { errorApi, responderError } from '../../Utils/errorApi.js';
+
+const ESTRATEGIAS = ['compactar', 'por_calle', 'insertar', 'orden'];
+const NUMERACIONES = ['compacta', 'conservar'];
+
+const parseRepartoId = (params) => {
+  const id = Number(params?.id);
+  if (!Number.isInteger(id) || id <= 0) {
+    throw errorApi(400, 'BAD_REQUEST', 'ID de reparto inválido.');
+  }
+  return id;
+};
+
+const normalizarCalle = (s) =>
+  String(s ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase();
+
+const direccionCliente = (c) =>
+  c
+    ? [c.direccion_calle, c.direccion_numero].filter(Boolean).join(' ') || null
+    : null;
+
+// Orden de visita según la estrategia (ids de cliente activos)
+function ordenSegunEstrategia(estrategia, body, ordenActual, clientesPorId) {
+  if (estrategia === 'compactar') return [...ordenActual];
+
+  if (estrategia === 'orden') {
+    if (!Array.isArray(body.orden) || !body.orden.length) {
+      throw errorApi(
+        400,
+        'BAD_REQUEST',
+        "Con estrategia 'orden' debe enviar orden: [cliente_id, ...]."
+      );
+    }
+    return body.orden.map(Number);
+  }
+
+  if (estrategia === 'por_calle') {
+    const pos = new Map(ordenActual.map((id, i) => [id, i]));
+    const clave = (id) => {
+      const c = clientesPorId.get(id);
+      const numero = Number.parseInt(c?.direccion_numero, 10);
+      return {
+        calle: normalizarCalle(c?.direccion_calle),
+        numero: Number.isFinite(numero) ? numero : Infinity
+      };
+    };
+    // Sin calle al final, en su orden actual
+    return [...ordenActual].sort((a, b) => {
+      const ka = clave(a);
+      const kb = clave(b);
+      if (!ka.calle !== !kb.calle) return ka.calle ? -1 : 1;
+      return (
+        ka.calle.localeCompare(kb.calle, 'es') ||
+        ka.numero - kb.numero ||
+        pos.get(a) - pos.get(b)
+      );
+    });
+  }
+
+  // insertar
+  const clienteId = Number(body.cliente_id);
+  const despuesDe =
+    body.despues_de == null || Number(body.despues_de) === 0
+      ? null
+      : Number(body.despues_de);
+
+  if (!ordenActual.includes(clienteId)) {
+    throw errorApi(
+      400,
+      'BAD_REQUEST',
+      'cliente_id tiene que ser un cliente activo del reparto.'
+    );
+  }
+  if (despuesDe !== null && !ordenActual.includes(despuesDe)) {
+    throw errorApi(
+      400,
+      'BAD_REQUEST',
+      'despues_de tiene que ser un cliente activo del reparto (o null para ponerlo primero).'
+    );
+  }
+  if (despuesDe === clienteId) {
+    throw errorApi(
+      400,
+      'BAD_REQUEST',
+      'despues_de no puede ser el mismo cliente.'
+    );
+  }
+
+  const resto = ordenActual.filter((id) => id !== clienteId);
+  resto.splice(
+    despuesDe === null ? 0 : resto.indexOf(despuesDe) + 1,
+    0,
+    clienteId
+  );
+  return resto;
+}
+
+// ===============================
+// POST /repartos/:id/renumerar  (?commit=1 aplica)
+// ===============================
+export const CR_RepartoRenumerar_CTS = async (req, res) => {
+  const commit = String(req.query.commit || '') === '1';
+  const body = req.body || {};
+
+  let t;
+  try {
+    const repartoId = parseRepartoId(req.params);
+
+    const estrategia = String(body.estrategia || '');
+    if (!ESTRATEGIAS.includes(estrategia)) {
+      throw errorApi(
+        400,
+        'BAD_REQUEST',
+        `estrategia inválida (use ${ESTRATEGIAS.join(' | ')}).`
+      );
+    }
+    const numeracion = String(
+      body.numeracion || (estrategia === 'compactar' ? 'compacta' : 'conservar')
+    );
+    if (!NUMERACIONES.includes(numeracion)) {
+      throw errorApi(
+        400,
+        'BAD_REQUEST',
+        `numeracion inválida (use ${NUMERACIONES.join(' | ')}).`
+      );
+    }
+
+    t = await db.transaction();
+
+    const reparto = await RepartosModel.findByPk(repartoId, {
+      attributes: ['id', 'nombre', 'rango_min', 'rango_max'],
+      transaction: t
+    });
+    if (!reparto) {
+      throw errorApi(404, 'NOT_FOUND', 'Reparto no encontrado.');
+    }
+
+    // En commit se bloquean las filas: lo aplicado es exactamente lo que se calcula acá
+    const filas = await cargarAsignacionesReparto({
+      repartoId,
+      transaction: t,
+      lock: commit
+    });
+    const activas = filas.filter((f) => f.estado === 'activo');
+    if (!activas.length) {
+      throw errorApi(
+        409,
+        'REPARTO_SIN_CLIENTES',
+        'El reparto no tiene clientes activos para renumerar.'
+      );
+    }
+
+    const clientes = await ClientesModel.findAll({
+      where: { id: { [Op.in]: filas.map((f) => f.cliente_id) } },
+      attributes: ['id', 'nombre', 'direccion_calle', 'direccion_numero'],
+      transaction: t
+    });
+    const clientesPorId = new Map(clientes.map((c) => [Number(c.id), c]));
+
+    const ordenActual = activas.map((f) => Number(f.cliente_id));
+    const orden = ordenSegunEstrategia(
+      estrategia,
+      body,
+      ordenActual,
+      clientesPorId
+    );
+
+    let numeros = null;
+    if (numeracion === 'compacta') {
+      const desde =
+        body.desde == null || body.desde === ''
+          ? Number(reparto.rango_min)
+          : Number(body.desde);
+      if (!Number.isInteger(desde)) {
+        throw errorApi(400, 'BAD_REQUEST', 'desde inválido.');
+      }
+      numeros = orden.map((_, i) => desde + i);
+    }
+
+    const motivo = body.motivo ? String(body.motivo).slice(0, 255) : null;
+    const { lote, firma, cambios } = await reasignarNumerosRango({
+      repartoId,
+      ordenClienteIds: orden,
+      numeros,
+      reubicarInactivos: numeracion === 'compacta',
+      aplicar: commit,
+      firma: body.firma || null,
+      historial: {
+        origen: 'renumerar',
+        estrategia,
+        motivo,
+        usuarioId: getUsuarioId(req)
+      },
+      transaction: t
+    });
+
+    if (lote) await t.commit();
+    else await t.rollback();
+
+    const nuevoPorCliente = new Map(
+      cambios.map((c) => [c.cliente_id, c.numero_nuevo])
+    );
+    const actualPorCliente = new Map(
+      filas.map((f) => [Number(f.cliente_id), Number(f.numero_rango)])
+    );
+
+    const data = orden.map((clienteId, i) => {
+      const anterior = actualPorCliente.get(clienteId);
+      const nuevo = nuevoPorCliente.get(clienteId) ?? anterior;
+      const c = clientesPorId.get(clienteId);
+      return {
+        posicion: i + 1,
+        cliente_id: clienteId,
+        nombre: c?.nombre ?? null,
+        direccion: direccionCliente(c),
+        numero_anterior: anterior,
+        numero_nuevo: nuevo,
+        cambia: anterior !== nuevo
+      };
+    });
+    const inactivosReubicados = cambios
+      .filter((c) => c.estado !== 'activo')
+      .map((c) => ({
+        cliente_id: c.cliente_id,
+        nombre: clientesPorId.get(c.cliente_id)?.nombre ?? null,
+        numero_anterior: c.numero_anterior,
+        numero_nuevo: c.numero_nuevo
+      }));
+
+    return res.status(lote ? 201 : 200).json({
+      modo: commit ? 'commit' : 'dry-run',
+      lote,
+      firma,
+      reparto: {
+        id: reparto.id,
+        nombre: reparto.nombre,
+        rango_min: reparto.rango_min,
+        rango_max: reparto.rango_max
+      },
+      estrategia,
+      numeracion,
+      motivo,
+      resumen: {
+        activos: data.length,
+        cambian: data.filter((d) => d.cambia).length,
+        inactivos_reubicados: inactivosReubicados.length
+      },
+      orden,
+      data,
+      inactivos_reubicados: inactivosReubicados
+    });
+  } catch (err) {
+    try {
+      if (t && !t.finished) await t.rollback();
+    } catch {
+      /* nada */
+    }
+    return responderError(
+      res,
+      err,
+      'CR_RepartoRenumerar_CTS',
+      'No se pudo renumerar el reparto.'
+    );
+  }
+};
+
+// ===============================
+// GET /repartos/:id/renumeraciones  (?lote= detalle)
+// ===============================
+export const OBRS_RepartoRenumeraciones_CTS = async (req, res) => {
+  try {
+    const repartoId = parseRepartoId(req.params);
+    const lote = String(req.query.lote || '').trim();
+
+    if (!lote) {
+      const limit = Math.min(
+        Math.max(Number.parseInt(req.query.limit, 10) || 20, 1),
+        100
+      );
+      const lotes = await RepartoClientesHistorialModel.findAll({
+        where: { reparto_id: repartoId },
+        attributes: [
+          'lote',
+          'origen',
+          'estrategia',
+          'motivo',
+          'usuario_id',
+          [fn('MIN', col('created_at')), 'aplicado_at'],
+          [fn('COUNT', col('id')), 'cambios']
+        ],
+        group: ['lote', 'origen', 'estrategia', 'motivo', 'usuario_id'],
+        order: [[fn('MIN', col('created_at')), 'DESC']],
+        limit,
+        raw: true
+      });
+      return res.json({
+        reparto_id: repartoId,
+        data: lotes.map((l) => ({ ...l, cambios: Number(l.cambios) }))
+      });
+    }
+
+    if (!/^[0-9a-f-]{36}$/i.test(lote)) {
+      throw errorApi(400, 'BAD_REQUEST', 'Lote inválido.');
+    }
+
+    const filas = await RepartoClientesHistorialModel.findAll({
+      where: { reparto_id: repartoId, lote },
+      order: [['numero_nuevo', 'ASC']],
+      raw: true
+    });
+    if (!filas.length) {
+      throw errorApi(404, 'NOT_FOUND', 'Lote no encontrado.');
+    }
+
+    const clientes = await ClientesModel.findAll({
+      where: { id: { [Op.in]: filas.map((f) => f.cliente_id) } },
+      attributes: ['id', 'nombre'],
+      raw: true
+    });
+    const nombres = new Map(clientes.map((c) => [Number(c.id), c.nombre]));
+
+    return res.json({
+      reparto_id: repartoId,
+      lote,
+      origen: filas[0].origen,
+      estrategia: filas[0].estrategia,
+      motivo: filas[0].motivo,
+      usuario_id: filas[0].usuario_id,
+      aplicado_at: filas[0].created_at,
+      data: filas.map((f) => ({
+        cliente_id: Number(f.cliente_id),
+        nombre: nombres.get(Number(f.cliente_id)) ?? null,
+        estado: f.estado,
+        numero_anterior: Number(f.numero_anterior),
+        numero_nuevo: Number(f.numero_nuevo)
+      }))
+    });
+  } catch (err) {
+    return responderError(
+      res,
+      err,
+      'OBRS_RepartoRenumeraciones_CTS',
+      'No se pudo obtener el historial de renumeraciones.'
+    );
+  }
+};
@@ -0,0 +1,273 @@
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 08 / 11 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ *  Optimización del orden de visita de un reparto con las coordenadas de los clientes.
+ *  - GET  /repartos/:id/ruta-optimizada?local_id=&cerrada=1
+ *      Propuesta: vecino más cercano + 2-opt saliendo del local (depósito). No toca nada;
+ *      devuelve el numero_rango actual y el propuesto de cada cliente, las distancias
+ *      (actual vs propuesta, en línea recta) y una "firma" del estado de las asignaciones.
+ *      Los clientes sin ubicación quedan al final, en su orden actual.
+ *  - POST /repartos/:id/ruta-optimizada/aplicar   body: { orden: [cliente_id...], firma, motivo? }
+ *      El supervisor acepta (o retoca) la propuesta y se renumera numero_rango en una
+ *      sola transacción, reusando los mismos números. Si las asignaciones cambiaron
+ *      desde la propuesta (firma distinta) responde 409 y hay que volver a pedirla.
+ *
+ * Tema: Repartos
+ * Capa: Backend - Controllers/Repartos
+ */
+
+import db from '../../DataBase/db.js';
+
+import { RepartosModel } from '../../Models/Repartos/MD_TB_Repartos.js';
+import { RepartoClientesModel } from '../../Models/Repartos/MD_TB_RepartoClientes.js';
+import { ClientesModel } from '../../Models/Clientes/MD_TB_Clientes.js';
+import { LocalesModel } from '../../Models/MD_TB_Locales.js';
+import {
+  reasignarNumerosRango,
+  cargarAsignacionesReparto,
+  firmaAsignaciones
+} from './CTS_TB_RepartoClientes.js';
+import { getUsuarioId } from '../Stock/CTS_TB_Stock.js';
+import { rutasConfig } from '../../config/rutas.config.js';
+import {
+  optimizarRuta,
+  distanciaRecorrido,
+  tieneUbicacion
+} from '../../Utils/rutas.js';
+import { errorApi, responderError } from '../../Utils/errorApi.js';
+
+const parseRepartoId = (params) => {
+  const id = Number(params?.id);
+  if (!Number.isInteger(id) || id <= 0) {
+    throw errorApi(400, 'BAD_REQUEST', 'ID de reparto inválido.');
+  }
+  return id;
+};
+
+const esVerdadero = (v, def) =>
+  v === undefined || v === '' ? def : ['1', 'true', 'si'].includes(String(v));
+
+const direccionCliente = (c) =>
+  [c.direccion_calle, c.direccion_numero].filter(Boolean).join(' ') || null;
+
+async function obtenerDeposito(localIdQ) {
+  const localId = localIdQ ? Number(localIdQ) : rutasConfig.depositoLocalId;
+  if (!localId) return { deposito: null, local: null };
+  if (!Number.isInteger(localId) || localId <= 0) {
+    throw errorApi(400, 'BAD_REQUEST', 'local_id inválido.');
+  }
+
+  const local = await LocalesModel.findByPk(localId, {
+    attributes: ['id', 'nombre', 'direccion', 'latitud', 'longitud']
+  });
+  if (!local) throw errorApi(404, 'NOT_FOUND', 'Local no encontrado.');
+
+  return {
+    local,
+    deposito: tieneUbicacion(local)
+      ? { latitud: Number(local.latitud), longitud: Number(local.longitud) }
+      : null
+  };
+}
+
+/* ============================================================
+ * GET /repartos/:id/ruta-optimizada
+ * ============================================================ */
+export const OBR_RepartoRutaOptimizada_CTS = async (req, res) => {
+  try {
+    const repartoId = parseRepartoId(req.params);
+    const cerrada = esVerdadero(req.query?.cerrada, true);
+
+    const reparto = await RepartosModel.findByPk(repartoId, {
+      attributes: ['id', 'nombre', 'rango_min', 'rango_max']
+    });
+    if (!reparto) throw errorApi(404, 'NOT_FOUND', 'Reparto no encontrado.');
+
+    const { deposito, local } = await obtenerDeposito(req.query?.local_id);
+
+    const filas = await RepartoClientesModel.findAll({
+      where: { reparto_id: repartoId, estado: 'activo' },
+      include: [
+        {
+          model: ClientesModel,
+          as: 'cliente',
+          required: true,
+          attributes: [
+            'id',
+            'nombre',
+            'direccion_calle',
+            'direccion_numero',
+            'latitud',
+            'longitud'
+          ]
+        }
+      ],
+      order: [['numero_rango', 'ASC']]
+    });
+
+    const puntos = filas.map((f) => ({
+      id: Number(f.cliente_id),
+      latitud: f.cliente.latitud,
+      longitud: f.cliente.longitud,
+      fila: f
+    }));
+    const conUbicacion = puntos.filter(tieneUbicacion);
+    const sinUbicacion = puntos.filter((p) => !tieneUbicacion(p));
+
+    const { orden, distancia_m } = optimizarRuta({
+      deposito,
+      puntos: conUbicacion,
+      cerrada
+    });
+    const distanciaActual = distanciaRecorrido(conUbicacion, {
+      deposito,
+      cerrada
+    });
+
+    const porId = new Map(puntos.map((p) => [p.id, p]));
+    const propuesta = [...orden, ...sinUbicacion.map((p) => p.id)];
+    const numeros = filas.map((f) => Number(f.numero_rango));
+
+    const clientes = propuesta.map((clienteId, i) => {
+      const { fila } = porId.get(clienteId);
+      return {
+        posicion: i + 1,
+        cliente_id: clienteId,
+        nombre: fila.cliente.nombre,
+        direccion: direccionCliente(fila.cliente),
+        latitud: fila.cliente.latitud,
+        longitud: fila.cliente.longitud,
+        con_ubicacion: tieneUbicacion(porId.get(clienteId)),
+        numero_actual: Number(fila.numero_rango),
+        numero_propuesto: numeros[i]
+      };
+    });
+
+    const avisos = [];
+    if (!local) {
+      avisos.push(
+        'Sin local de salida (configure RUTAS_DEPOSITO_LOCAL_ID o envíe ?local_id=): el recorrido arranca en el primer cliente.'
+      );
+    } else if (!deposito) {
+      avisos.push(
+        `El local "${local.nombre}" no tiene coordenadas: el recorrido arranca en el primer cliente.`
+      );
+    }
+    if (sinUbicacion.length) {
+      avisos.push(
+        `${sinUbicacion.length} cliente(s) sin ubicación quedan al final en su orden actual.`
+      );
+    }
+
+    return res.json({
+      reparto: {
+        id: reparto.id,
+        nombre: reparto.nombre,
+        rango_min: reparto.rango_min,
+        rango_max: reparto.rango_max
+      },
+      deposito: local
+        ? {
+            local_id: local.id,
+            nombre: local.nombre,
+            direccion: local.direccion,
+            latitud: local.latitud,
+            longitud: local.longitud
+          }
+        : null,
+      cerrada,
+      distancia_actual_m: distanciaActual,
+      distancia_propuesta_m: distancia_m,
+      ahorro_m: distanciaActual - distancia_m,
+      ahorro_pct: distanciaActual
+        ? Math.round(
+            ((distanciaActual - distancia_m) / distanciaActual) * 1000
+          ) / 10
+        : 0,
+      cambios: clientes.filter((c) => c.numero_actual !== c.numero_propuesto)
+        .length,
+      sin_ubicacion: sinUbicacion.length,
+      avisos,
+      orden: propuesta,
+      firma: firmaAsignaciones(await cargarAsignacionesReparto({ repartoId })),
+      clientes
+    });
+  } catch (err) {
+    return responderError(
+      res,
+      err,
+      'OBR_RepartoRutaOptimizada_CTS',
+      'No se pudo calcular la ruta optimizada.'
+    );
+  }
+};
+
+/* ============================================================
+ * POST /repartos/:id/ruta-optimizada/aplicar
+ * ============================================================ */
+export const UR_RepartoRutaAplicar_CTS = async (req, res) => {
+  let t;
+  try {
+    const repartoId = parseRepartoId(req.params);
+    const { orden, firma } = req.body || {};
+
+    if (!Array.isArray(orden) || !orden.length) {
+      throw errorApi(
+        400,
+        'BAD_REQUEST',
+        'Debe enviar orden: [cliente_id, ...] con el recorrido aceptado.'
+      );
+    }
+    if (!firma) {
+      throw errorApi(
+        400,
+        'BAD_REQUEST',
+        'Debe enviar la firma devuelta por GET /repartos/:id/ruta-optimizada.'
+      );
+    }
+
+    t = await db.transaction();
+
+    // Benjamin Orellana - 09-11-2026 - La firma la valida el helper con las filas bloqueadas
+    // y el cambio queda en reparto_clientes_historial.
+    const { lote, cambios } = await reasignarNumerosRango({
+      repartoId,
+      ordenClienteIds: orden,
+      firma,
+      historial: {
+        origen: 'ruta_optimizada',
+        motivo: req.body?.motivo ? String(req.body.motivo).slice(0, 255) : null,
+        usuarioId: getUsuarioId(req)
+      },
+      transaction: t
+    });
+
+    await t.commit();
+
+    return res.json({
+      ok: true,
+      message: cambios.length
+        ? 'Orden de visita actualizado.'
+        : 'El reparto ya tenía ese orden.',
+      reparto_id: repartoId,
+      lote,
+      actualizados: cambios.length,
+      cambios
+    });
+  } catch (err) {
+    try {
+      if (t && !t.finished) await t.rollback();
+    } catch {
+      /* nada */
+    }
+    return responderError(
+      res,
+      err,
+      'UR_RepartoRutaAplicar_CTS',
+      'No se pudo aplicar el nuevo orden de visita.'
+    );
+  }
+};
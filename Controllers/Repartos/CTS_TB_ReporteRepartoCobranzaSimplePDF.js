@@ -5,7 +5,8 @@
  *
  * Descripción:
  *  PDF "Reporte Simple" (modelo tipo Excel) para Reparto & Cobranza:
- *  - SOLO 2 columnas: CLIENTE | SALDO TOTAL
+ *  - Columnas: CLIENTE | SALDO TOTAL | ENVASES
+ *    (Benjamin Orellana - 19-10-2026: se agrega ENVASES = vacíos a retirar)
  *  - Sin detalle de ventas / sin productos / sin observaciones.
  *
  * Tema: Ventas / Cobranzas
@@ -112,11 +113,13 @@ const buildHtmlReporteSimple = ({ reporte, meta }) => {
     .map((it) => {
       const nombre = it?.cliente?.nombre || '—';
       const saldo = Number(it?.deuda_total || 0);
+      const envases = Number(it?.envases_en_cliente?.total || 0);
 
       return `
         <tr>
           <td class="td td-left">${escapeHtml(nombre)}</td>
           <td class="td td-right">${escapeHtml(moneyAR(saldo))}</td>
+          <td class="td td-right">${envases}</td>
         </tr>
       `;
     })
@@ -253,8 +256,9 @@ const buildHtmlReporteSimple = ({ reporte, meta }) => {
       white-space: nowrap;
     }
 
-    colgroup col:first-child { width: 68%; }
-    colgroup col:last-child  { width: 32%; }
+    colgroup col:first-child { width: 58%; }
+    colgroup col:nth-child(2) { width: 27%; }
+    colgroup col:last-child  { width: 15%; }
   </style>
 </head>
 <body>
@@ -280,17 +284,19 @@ const buildHtmlReporteSimple = ({ reporte, meta }) => {
       <colgroup>
         <col />
         <col />
+        <col />
       </colgroup>
       <thead>
         <tr>
           <th>CLIENTE</th>
           <th>SALDO TOTAL</th>
+          <th>ENVASES</th>
         </tr>
       </thead>
       <tbody>
         ${
           tableRows ||
-          `<tr><td class="td-left" colspan="2">Sin datos para los filtros seleccionados.</td></tr>`
+          `<tr><td class="td-left" colspan="3">Sin datos para los filtros seleccionados.</td></tr>`
         }
       </tbody>
     </table>
@@ -0,0 +1,684 @@
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 28 / 10 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ *  Antigüedad de saldos (aging) de la Cuenta Corriente.
+ *  Cada saldo abierto se ubica en 0-30 / 31-60 / 61-90 / 90+ días según su fecha de origen:
+ *  - Ventas fiado / a cuenta: saldo tras las aplicaciones (FIFO de aplicarPagoFIFO o explícitas,
+ *    reflejadas en monto_a_cuenta / cobranza_aplicaciones) y las NC / ND vinculadas.
+ *  - Saldos previos: DEBE de saldo_previo menos lo aplicado a SALDO_PREVIO, consumido FIFO
+ *    (mismo criterio que la deuda por cliente).
+ *  - ND / ajustes (+) sin venta: por su fecha.
+ *  El crédito suelto (aplica_a CREDITO) y las NC / ajustes (-) sin venta cancelan primero
+ *  los saldos más antiguos.
+ *  Agrupable por cliente, reparto (reparto_clientes activos), vendedor preferido y ciudad.
+ *
+ * Endpoints:
+ *  GET  /reportes/antiguedad-saldos?agrupar=cliente|reparto|vendedor|ciudad
+ *  GET  /reportes/antiguedad-saldos/pdf
+ *  GET  /reportes/antiguedad-saldos/xlsx
+ *  Filtros: reparto_id, vendedor_id, ciudad_id, q, saldo_min
+ */
+
+import dotenv from 'dotenv';
+import XLSX from 'xlsx';
+import db from '../../DataBase/db.js';
+import { nowMs } from '../../Utils/authoritativeTime.js';
+
+import puppeteer from 'puppeteer';
+import { errorApi, responderError } from '../../Utils/errorApi.js';
+
+if (process.env.NODE_ENV !== 'production') {
+  dotenv.config();
+}
+
+/* ============================================================
+ * Helpers
+ * ============================================================ */
+
+const normInt = (v) => {
+  if (v === null || v === undefined || v === '') return NaN;
+  const n = Number(v);
+  return Number.isInteger(n) && n > 0 ? n : NaN;
+};
+
+const round2 = (n) => Number((Number(n) || 0).toFixed(2));
+
+function moneyAR(n) {
+  return (Number(n) || 0).toLocaleString('es-AR', {
+    style: 'currency',
+    currency: 'ARS',
+    minimumFractionDigits: 2
+  });
+}
+
+const escapeHtml = (s) =>
+  String(s ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const MS_DIA = 1000 * 60 * 60 * 24;
+
+const AGRUPACIONES = ['cliente', 'reparto', 'vendedor', 'ciudad'];
+
+export const TRAMOS_ANTIGUEDAD = [
+  { clave: 'd0_30', label: '0-30', hasta: 30 },
+  { clave: 'd31_60', label: '31-60', hasta: 60 },
+  { clave: 'd61_90', label: '61-90', hasta: 90 },
+  { clave: 'd90_mas', label: '90+', hasta: Infinity }
+];
+
+const tramosVacios = () => ({
+  d0_30: 0,
+  d31_60: 0,
+  d61_90: 0,
+  d90_mas: 0,
+  total: 0
+});
+
+const sumarTramos = (acc, t) => {
+  for (const k of Object.keys(tramosVacios())) {
+    acc[k] = round2(acc[k] + (t[k] || 0));
+  }
+  return acc;
+};
+
+// Partidas abiertas ordenadas por antigüedad; los créditos cancelan primero las más viejas
+function calcularTramosCliente(partidas, creditos, hoyMs) {
+  const ordenadas = partidas
+    .filter((p) => p.saldo > 0.01)
+    .sort((a, b) => new Date(a.fecha) - new Date(b.fecha));
+
+  let credito = round2(creditos);
+  const tramos = tramosVacios();
+  let diasMax = 0;
+
+  for (const p of ordenadas) {
+    let saldo = p.saldo;
+    if (credito > 0.01) {
+      const usado = Math.min(saldo, credito);
+      saldo = round2(saldo - usado);
+      credito = round2(credito - usado);
+    }
+    if (saldo <= 0.01) continue;
+
+    const dias = Math.max(
+      0,
+      Math.floor((hoyMs - new Date(p.fecha).getTime()) / MS_DIA)
+    );
+    const tramo = TRAMOS_ANTIGUEDAD.find((t) => dias <= t.hasta);
+    tramos[tramo.clave] = round2(tramos[tramo.clave] + saldo);
+    tramos.total = round2(tramos.total + saldo);
+    diasMax = Math.max(diasMax, dias);
+  }
+
+  return { tramos, dias_max: diasMax, credito_sin_aplicar: credito };
+}
+
+/* ============================================================
+ * 1) LÓGICA COMPARTIDA: arma el reporte
+ * ============================================================ */
+
+async function obtenerAntiguedadSaldosDatos(query) {
+  const { agrupar, reparto_id, vendedor_id, ciudad_id, q, saldo_min } =
+    query || {};
+
+  const agruparPor = agrupar ? String(agrupar) : 'cliente';
+  if (!AGRUPACIONES.includes(agruparPor)) {
+    throw errorApi(
+      400,
+      'BAD_REQUEST',
+      `agrupar inválido (use ${AGRUPACIONES.join(' | ')}).`
+    );
+  }
+
+  const repartoId = normInt(reparto_id);
+  const vendedorId = normInt(vendedor_id);
+  const ciudadId = normInt(ciudad_id);
+  const saldoMin = Number(saldo_min ?? 0.01);
+  const saldoThreshold = Number.isFinite(saldoMin) ? saldoMin : 0.01;
+
+  const hoyMs = nowMs();
+
+  // ------------------------------------------------------------
+  // a) Ventas con saldo (mismo cálculo que /ventas/deudores-fiado)
+  // ------------------------------------------------------------
+  const [ventasRows] = await db.query(`
+    SELECT
+      v.id,
+      v.cliente_id,
+      v.fecha,
+      ROUND(
+        (COALESCE(v.total_neto, 0) - GREATEST(COALESCE(v.monto_a_cuenta, 0), COALESCE(apps.total_aplicado, 0)) + COALESCE(nt.neto, 0)),
+        2
+      ) AS saldo
+    FROM ventas v
+    LEFT JOIN (
+      SELECT venta_id, SUM(monto_aplicado) AS total_aplicado
+      FROM cobranza_aplicaciones
+      WHERE venta_id IS NOT NULL
+      GROUP BY venta_id
+    ) apps ON apps.venta_id = v.id
+    LEFT JOIN (
+      SELECT venta_id, SUM(signo * monto) AS neto
+      FROM cxc_notas
+      WHERE venta_id IS NOT NULL AND estado = 'aprobada'
+      GROUP BY venta_id
+    ) nt ON nt.venta_id = v.id
+    WHERE v.estado = 'confirmada'
+      AND v.tipo IN ('fiado', 'a_cuenta')
+    HAVING saldo > 0.01
+  `);
+
+  // ------------------------------------------------------------
+  // b) Saldos previos (DEBE) + c) aplicaciones sin venta por destino
+  // ------------------------------------------------------------
+  const [saldosPrevRows] = await db.query(`
+    SELECT id, cliente_id, fecha, monto
+    FROM cxc_movimientos
+    WHERE origen_tipo = 'saldo_previo' AND signo = 1
+    ORDER BY cliente_id ASC, fecha ASC, id ASC
+  `);
+
+  const [aplicSinVentaRows] = await db.query(`
+    SELECT cc.cliente_id, ca.aplica_a, SUM(ca.monto_aplicado) AS total
+    FROM cobranza_aplicaciones ca
+    INNER JOIN cobranzas_clientes cc ON cc.id = ca.cobranza_id
+    WHERE ca.venta_id IS NULL
+    GROUP BY cc.cliente_id, ca.aplica_a
+  `);
+
+  // ------------------------------------------------------------
+  // d) Notas / ajustes aprobados sin venta
+  // ------------------------------------------------------------
+  const [notasRows] = await db.query(`
+    SELECT cliente_id, fecha, signo, monto
+    FROM cxc_notas
+    WHERE venta_id IS NULL AND estado = 'aprobada'
+  `);
+
+  // Partidas y créditos por cliente
+  const partidasPorCliente = new Map();
+  const creditosPorCliente = new Map();
+  const addPartida = (cid, fecha, saldo) => {
+    const arr = partidasPorCliente.get(cid) || [];
+    arr.push({ fecha, saldo: round2(saldo) });
+    partidasPorCliente.set(cid, arr);
+  };
+  const addCredito = (cid, monto) =>
+    creditosPorCliente.set(cid, round2((creditosPorCliente.get(cid) || 0) + monto));
+
+  for (const r of ventasRows || []) {
+    addPartida(Number(r.cliente_id), r.fecha, Number(r.saldo));
+  }
+
+  const aplicadoSaldoPrevio = new Map();
+  for (const r of aplicSinVentaRows || []) {
+    const cid = Number(r.cliente_id);
+    if (String(r.aplica_a).toUpperCase() === 'SALDO_PREVIO') {
+      aplicadoSaldoPrevio.set(cid, Number(r.total) || 0);
+    } else {
+      addCredito(cid, Number(r.total) || 0);
+    }
+  }
+
+  // FIFO sobre saldos previos (lo aplicado a SALDO_PREVIO cancela los más viejos)
+  for (const sp of saldosPrevRows || []) {
+    const cid = Number(sp.cliente_id);
+    let restante = aplicadoSaldoPrevio.get(cid) || 0;
+    const original = Number(sp.monto) || 0;
+    const usado = Math.min(original, restante);
+    restante = round2(restante - usado);
+    aplicadoSaldoPrevio.set(cid, restante);
+    addPartida(cid, sp.fecha, original - usado);
+  }
+
+  for (const n of notasRows || []) {
+    const cid = Number(n.cliente_id);
+    const monto = Number(n.monto) || 0;
+    if (Number(n.signo) === 1) addPartida(cid, n.fecha, monto);
+    else addCredito(cid, monto);
+  }
+
+  const clienteIds = Array.from(partidasPorCliente.keys());
+  const vacio = {
+    filtros: {
+      agrupar: agruparPor,
+      reparto_id: Number.isFinite(repartoId) ? repartoId : null,
+      vendedor_id: Number.isFinite(vendedorId) ? vendedorId : null,
+      ciudad_id: Number.isFinite(ciudadId) ? ciudadId : null,
+      q: q ? String(q).trim() : null,
+      saldo_min: saldoThreshold
+    },
+    tramos: TRAMOS_ANTIGUEDAD.map(({ clave, label }) => ({ clave, label })),
+    resumen: { clientes: 0, ...tramosVacios() },
+    grupos: [],
+    generado_at: new Date(hoyMs).toISOString()
+  };
+  if (!clienteIds.length) return vacio;
+
+  // ------------------------------------------------------------
+  // e) Datos del cliente (ciudad, vendedor preferido) + repartos activos
+  // ------------------------------------------------------------
+  const whereCli = ['c.id IN (:clienteIds)'];
+  const repl = { clienteIds };
+  if (Number.isFinite(vendedorId)) {
+    whereCli.push('c.vendedor_preferido_id = :vendedorId');
+    repl.vendedorId = vendedorId;
+  }
+  if (Number.isFinite(ciudadId)) {
+    whereCli.push('c.ciudad_id = :ciudadId');
+    repl.ciudadId = ciudadId;
+  }
+  if (q && String(q).trim()) {
+    whereCli.push('(c.nombre LIKE :q OR c.documento LIKE :q OR c.email LIKE :q)');
+    repl.q = `%${String(q).trim()}%`;
+  }
+
+  const [clientesRows] = await db.query(
+    `
+    SELECT
+      c.id, c.nombre, c.documento, c.telefono,
+      c.ciudad_id, ci.nombre AS ciudad_nombre,
+      c.vendedor_preferido_id AS vendedor_id, ve.nombre AS vendedor_nombre
+    FROM clientes c
+    LEFT JOIN ciudades ci ON ci.id = c.ciudad_id
+    LEFT JOIN vendedores ve ON ve.id = c.vendedor_preferido_id
+    WHERE ${whereCli.join(' AND ')}
+    `,
+    { replacements: repl }
+  );
+
+  const [repartosRows] = await db.query(
+    `
+    SELECT rc.cliente_id, r.id, r.nombre
+    FROM reparto_clientes rc
+    INNER JOIN repartos r ON r.id = rc.reparto_id
+    WHERE rc.estado = 'activo' AND rc.cliente_id IN (:clienteIds)
+    ORDER BY r.nombre ASC
+    `,
+    { replacements: { clienteIds } }
+  );
+
+  const repartosPorCliente = new Map();
+  for (const r of repartosRows || []) {
+    const cid = Number(r.cliente_id);
+    const arr = repartosPorCliente.get(cid) || [];
+    arr.push({ id: Number(r.id), nombre: r.nombre });
+    repartosPorCliente.set(cid, arr);
+  }
+
+  // ------------------------------------------------------------
+  // f) Tramos por cliente
+  // ------------------------------------------------------------
+  const clientes = [];
+  for (const c of clientesRows || []) {
+    const cid = Number(c.id);
+    const repartos = repartosPorCliente.get(cid) || [];
+    if (Number.isFinite(repartoId) && !repartos.some((r) => r.id === repartoId)) {
+      continue;
+    }
+
+    const { tramos, dias_max, credito_sin_aplicar } = calcularTramosCliente(
+      partidasPorCliente.get(cid) || [],
+      creditosPorCliente.get(cid) || 0,
+      hoyMs
+    );
+    if (tramos.total <= saldoThreshold) continue;
+
+    clientes.push({
+      cliente_id: cid,
+      nombre: c.nombre,
+      documento: c.documento,
+      telefono: c.telefono,
+      ciudad: c.ciudad_id ? { id: Number(c.ciudad_id), nombre: c.ciudad_nombre } : null,
+      vendedor: c.vendedor_id
+        ? { id: Number(c.vendedor_id), nombre: c.vendedor_nombre }
+        : null,
+      repartos,
+      ...tramos,
+      dias_max,
+      credito_sin_aplicar
+    });
+  }
+
+  clientes.sort((a, b) => b.total - a.total);
+
+  // ------------------------------------------------------------
+  // g) Agrupación (un cliente en varios repartos figura en cada uno)
+  // ------------------------------------------------------------
+  const claveGrupos = (c) => {
+    if (agruparPor === 'cliente') return [{ id: c.cliente_id, nombre: c.nombre }];
+    if (agruparPor === 'ciudad') return [c.ciudad || { id: null, nombre: 'Sin ciudad' }];
+    if (agruparPor === 'vendedor') {
+      return [c.vendedor || { id: null, nombre: 'Sin vendedor' }];
+    }
+    const reps = Number.isFinite(repartoId)
+      ? c.repartos.filter((r) => r.id === repartoId)
+      : c.repartos;
+    return reps.length ? reps : [{ id: null, nombre: 'Sin reparto' }];
+  };
+
+  const grupos = new Map();
+  const resumen = { clientes: clientes.length, ...tramosVacios() };
+
+  for (const c of clientes) {
+    sumarTramos(resumen, c);
+    for (const g of claveGrupos(c)) {
+      const key = g.id ?? 'null';
+      if (!grupos.has(key)) {
+        grupos.set(key, { id: g.id, nombre: g.nombre, ...tramosVacios(), clientes: [] });
+      }
+      const grupo = grupos.get(key);
+      sumarTramos(grupo, c);
+      grupo.clientes.push(c);
+    }
+  }
+
+  return {
+    ...vacio,
+    resumen,
+    grupos: Array.from(grupos.values()).sort((a, b) => b.total - a.total)
+  };
+}
+
+/* ============================================================
+ * 2) Endpoint JSON
+ * ============================================================ */
+export const OBR_ReporteAntiguedadSaldos_CTS = async (req, res) => {
+  try {
+    const data = await obtenerAntiguedadSaldosDatos(req.query || {});
+    return res.json(data);
+  } catch (err) {
+    return responderError(
+      res,
+      err,
+      'OBR_ReporteAntiguedadSaldos_CTS',
+      'No se pudo obtener la antigüedad de saldos.'
+    );
+  }
+};
+
+/* ============================================================
+ * 3) Builder HTML para PDF
+ * ============================================================ */
+
+const AGRUPAR_LABEL = {
+  cliente: 'Cliente',
+  reparto: 'Reparto',
+  vendedor: 'Vendedor',
+  ciudad: 'Ciudad'
+};
+
+function buildAntiguedadSaldosHtml(data) {
+  const { filtros, resumen, grupos } = data;
+  const porCliente = filtros.agrupar === 'cliente';
+
+  const ahora = new Date(data.generado_at).toLocaleString('es-AR', {
+    day: '2-digit',
+    month: '2-digit',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+
+  const celdas = (t) =>
+    TRAMOS_ANTIGUEDAD.map(
+      ({ clave }) => `<td class="text-right">${t[clave] ? moneyAR(t[clave]) : '—'}</td>`
+    ).join('') + `<td class="text-right total">${moneyAR(t.total)}</td>`;
+
+  const encabezadoTramos =
+    TRAMOS_ANTIGUEDAD.map(({ label }) => `<th class="text-right">${label} días</th>`).join('') +
+    '<th class="text-right">Total</th>';
+
+  const cuerpo = porCliente
+    ? `
+      <table>
+        <thead><tr><th>Cliente</th>${encabezadoTramos}</tr></thead>
+        <tbody>
+          ${grupos
+            .map(
+              (g) => `
+            <tr>
+              <td>${escapeHtml(g.nombre)}<div class="muted">${escapeHtml(g.clientes[0]?.documento || '')}</div></td>
+              ${celdas(g)}
+            </tr>`
+            )
+            .join('\n')}
+        </tbody>
+      </table>`
+    : grupos
+        .map(
+          (g) => `
+      <div class="grupo">
+        <div class="grupo-titulo">${escapeHtml(g.nombre)} · ${g.clientes.length} cliente(s)</div>
+        <table>
+          <thead><tr><th>Cliente</th>${encabezadoTramos}</tr></thead>
+          <tbody>
+            ${g.clientes
+              .map(
+                (c) => `
+              <tr>
+                <td>${escapeHtml(c.nombre)}<div class="muted">${escapeHtml(c.documento || '')}</div></td>
+                ${celdas(c)}
+              </tr>`
+              )
+              .join('\n')}
+            <tr class="fila-total"><td>Subtotal</td>${celdas(g)}</tr>
+          </tbody>
+        </table>
+      </div>`
+        )
+        .join('\n');
+
+  return `
+<!DOCTYPE html>
+<html lang="es">
+<head>
+<meta charset="utf-8" />
+<title>Antigüedad de saldos</title>
+<style>
+  @page {
+    size: A4;
+    margin: 12mm 10mm 18mm 10mm;
+  }
+  * { box-sizing: border-box; }
+  body {
+    margin: 0;
+    font-family: system-ui,-apple-system,BlinkMacSystemFont,"Segoe UI",sans-serif;
+    font-size: 10px;
+    color: #111827;
+    background: #ffffff;
+  }
+  .wrapper { padding: 10mm 4mm 12mm 4mm; }
+  .header {
+    display: flex;
+    justify-content: space-between;
+    align-items: flex-start;
+    margin-bottom: 12px;
+    padding-bottom: 8px;
+    border-bottom: 1px solid #e5e7eb;
+  }
+  .logo-small {
+    font-size: 9px;
+    letter-spacing: 0.18em;
+    text-transform: uppercase;
+    color: #6b7280;
+  }
+  h1 { margin: 2px 0 4px 0; font-size: 18px; }
+  .muted { color: #6b7280; font-size: 9px; }
+  .kpis { display: flex; gap: 6px; margin-bottom: 12px; }
+  .kpi {
+    flex: 1;
+    border: 1px solid #e5e7eb;
+    border-radius: 6px;
+    padding: 6px 8px;
+  }
+  .kpi-label { font-size: 9px; text-transform: uppercase; color: #6b7280; }
+  .kpi-valor { font-size: 12px; font-weight: 600; }
+  .grupo { margin-bottom: 14px; page-break-inside: avoid; }
+  .grupo-titulo { font-size: 12px; font-weight: 600; margin-bottom: 4px; }
+  table { width: 100%; border-collapse: collapse; }
+  th {
+    text-align: left;
+    font-size: 9px;
+    text-transform: uppercase;
+    color: #6b7280;
+    border-bottom: 1px solid #d1d5db;
+    padding: 4px;
+  }
+  td { padding: 4px; border-bottom: 1px solid #f3f4f6; vertical-align: top; }
+  tr { page-break-inside: avoid; }
+  .text-right { text-align: right; }
+  .total { font-weight: 600; }
+  .fila-total td { background: #f9fafb; font-weight: 600; }
+</style>
+</head>
+<body>
+  <div class="wrapper">
+    <div class="header">
+      <div>
+        <div class="logo-small">Cuenta corriente</div>
+        <h1>Antigüedad de saldos</h1>
+        <div class="muted">Agrupado por ${AGRUPAR_LABEL[filtros.agrupar].toLowerCase()} · ${resumen.clientes} cliente(s) con saldo</div>
+      </div>
+      <div class="muted">Emitido: ${ahora}</div>
+    </div>
+
+    <div class="kpis">
+      ${TRAMOS_ANTIGUEDAD.map(
+        ({ clave, label }) => `
+      <div class="kpi">
+        <div class="kpi-label">${label} días</div>
+        <div class="kpi-valor">${moneyAR(resumen[clave])}</div>
+      </div>`
+      ).join('')}
+      <div class="kpi">
+        <div class="kpi-label">Total</div>
+        <div class="kpi-valor">${moneyAR(resumen.total)}</div>
+      </div>
+    </div>
+
+    ${grupos.length ? cuerpo : '<div class="muted">No hay saldos abiertos para los filtros elegidos.</div>'}
+  </div>
+</body>
+</html>`;
+}
+
+/* ============================================================
+ * 4) Endpoint PDF
+ * ============================================================ */
+export const OBR_ReporteAntiguedadSaldosPDF_CTS = async (req, res) => {
+  try {
+    const data = await obtenerAntiguedadSaldosDatos(req.query || {});
+    const html = buildAntiguedadSaldosHtml(data);
+
+    const browser = await puppeteer.launch({
+      headless: 'new',
+      args: ['--no-sandbox', '--disable-setuid-sandbox']
+    });
+
+    let pdfBuffer;
+    try {
+      const page = await browser.newPage();
+      await page.setContent(html, { waitUntil: 'networkidle0' });
+
+      pdfBuffer = await page.pdf({
+        format: 'A4',
+        printBackground: true,
+        margin: { top: '12mm', bottom: '18mm', left: '10mm', right: '10mm' }
+      });
+    } finally {
+      await browser.close();
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader(
+      'Content-Disposition',
+      `inline; filename="antiguedad-saldos_${data.filtros.agrupar}.pdf"`
+    );
+    return res.send(pdfBuffer);
+  } catch (err) {
+    return responderError(
+      res,
+      err,
+      'OBR_ReporteAntiguedadSaldosPDF_CTS',
+      'No se pudo generar el PDF de antigüedad de saldos.'
+    );
+  }
+};
+
+/* ============================================================
+ * 5) Endpoint XLSX (una fila por cliente y grupo)
+ * ============================================================ */
+export const OBR_ReporteAntiguedadSaldosXLSX_CTS = async (req, res) => {
+  try {
+    const data = await obtenerAntiguedadSaldosDatos(req.query || {});
+    const { filtros, grupos, resumen } = data;
+    const porCliente = filtros.agrupar === 'cliente';
+
+    const encabezado = [
+      ...(porCliente ? [] : [AGRUPAR_LABEL[filtros.agrupar]]),
+      'Cliente',
+      'Documento',
+      ...TRAMOS_ANTIGUEDAD.map(({ label }) => `${label} días`),
+      'Total',
+      'Días máx.'
+    ];
+
+    const filas = [];
+    for (const g of grupos) {
+      for (const c of g.clientes) {
+        filas.push([
+          ...(porCliente ? [] : [g.nombre]),
+          c.nombre,
+          c.documento || '',
+          ...TRAMOS_ANTIGUEDAD.map(({ clave }) => c[clave]),
+          c.total,
+          c.dias_max
+        ]);
+      }
+    }
+
+    const ws = XLSX.utils.aoa_to_sheet([
+      encabezado,
+      ...filas,
+      [
+        ...(porCliente ? [] : ['']),
+        'Total',
+        '',
+        ...TRAMOS_ANTIGUEDAD.map(({ clave }) => resumen[clave]),
+        resumen.total,
+        ''
+      ]
+    ]);
+    ws['!cols'] = encabezado.map((h) => ({
+      wch: ['Cliente', 'Reparto', 'Vendedor', 'Ciudad'].includes(h) ? 30 : 14
+    }));
+
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(wb, ws, 'Antigüedad');
+    const buffer = XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' });
+
+    res.setHeader(
+      'Content-Type',
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+    );
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename="antiguedad-saldos_${filtros.agrupar}.xlsx"`
+    );
+    return res.send(buffer);
+  } catch (err) {
+    return responderError(
+      res,
+      err,
+      'OBR_ReporteAntiguedadSaldosXLSX_CTS',
+      'No se pudo generar el XLSX de antigüedad de saldos.'
+    );
+  }
+};
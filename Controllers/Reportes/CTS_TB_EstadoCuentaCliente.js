@@ -0,0 +1,515 @@
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 27 / 10 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ *  Estado de cuenta de un cliente sobre un rango de fechas (ledger cxc_movimientos).
+ *  - Saldo inicial (todo lo anterior a "desde").
+ *  - Cada movimiento (venta, cobranza, saldo previo, NC / ND / ajuste) en orden
+ *    cronológico con saldo acumulado.
+ *  - Saldo final y totales DEBE / HABER del período.
+ *  Exportable a PDF (mismo pipeline puppeteer que el reporte de reparto) y XLSX,
+ *  para entregar al cliente ante reclamos de deuda.
+ *
+ * Endpoints:
+ *  GET  /cxc/clientes/:id/estado-cuenta?desde=YYYY-MM-DD&hasta=YYYY-MM-DD
+ *  GET  /cxc/clientes/:id/estado-cuenta/pdf
+ *  GET  /cxc/clientes/:id/estado-cuenta/xlsx
+ */
+
+import dotenv from 'dotenv';
+import { Op, fn, literal } from 'sequelize';
+import XLSX from 'xlsx';
+
+import { ClientesModel } from '../../Models/Clientes/MD_TB_Clientes.js';
+import { CxcMovimientosModel } from '../../Models/CuentasCorriente/MD_TB_CxcMovimientos.js';
+import { nowMs } from '../../Utils/authoritativeTime.js';
+
+import puppeteer from 'puppeteer';
+import { errorApi, responderError } from '../../Utils/errorApi.js';
+
+if (process.env.NODE_ENV !== 'production') {
+  dotenv.config();
+}
+
+/* ============================================================
+ * Helpers
+ * ============================================================ */
+
+const parseDate = (v, endOfDay = false) => {
+  if (!v) return null;
+  const str = endOfDay ? `${v}T23:59:59` : `${v}T00:00:00`;
+  const d = new Date(str);
+  return Number.isNaN(d.getTime()) ? null : d;
+};
+
+const normInt = (v) => {
+  if (v === null || v === undefined || v === '') return NaN;
+  const n = Number(v);
+  return Number.isInteger(n) && n > 0 ? n : NaN;
+};
+
+const round2 = (n) => Number((Number(n) || 0).toFixed(2));
+
+function moneyAR(n) {
+  return (Number(n) || 0).toLocaleString('es-AR', {
+    style: 'currency',
+    currency: 'ARS',
+    minimumFractionDigits: 2
+  });
+}
+
+function fmtFecha(iso) {
+  if (!iso) return '—';
+  const d = new Date(iso);
+  if (Number.isNaN(d.getTime())) return iso;
+  return d.toLocaleDateString('es-AR', {
+    day: '2-digit',
+    month: '2-digit',
+    year: 'numeric'
+  });
+}
+
+// Descripciones cargadas a mano (motivos de notas, saldos previos) van al HTML
+const escapeHtml = (s) =>
+  String(s ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const ORIGEN_LABEL = {
+  venta: 'Venta',
+  cobranza: 'Cobranza',
+  saldo_previo: 'Saldo previo',
+  nota_credito: 'Nota de crédito',
+  nota_debito: 'Nota de débito',
+  ajuste: 'Ajuste',
+  envase_deposito: 'Depósito de envases'
+};
+
+/* ============================================================
+ * 1) LÓGICA COMPARTIDA: arma el estado de cuenta
+ * ============================================================ */
+
+async function obtenerEstadoCuentaDatos(params, query) {
+  const clienteId = normInt(params?.id);
+  if (!Number.isFinite(clienteId)) {
+    throw errorApi(400, 'BAD_REQUEST', 'ID de cliente inválido.');
+  }
+
+  const { desde, hasta } = query || {};
+  const fDesde = parseDate(desde);
+  const fHasta = parseDate(hasta, true);
+
+  if ((desde && !fDesde) || (hasta && !fHasta)) {
+    throw errorApi(400, 'BAD_REQUEST', 'Fechas inválidas (use YYYY-MM-DD).');
+  }
+  if (fDesde && fHasta && fDesde > fHasta) {
+    throw errorApi(400, 'BAD_REQUEST', '"desde" no puede ser posterior a "hasta".');
+  }
+
+  const cliente = await ClientesModel.findByPk(clienteId, {
+    attributes: [
+      'id',
+      'nombre',
+      'documento',
+      'telefono',
+      'email',
+      'direccion_calle',
+      'direccion_numero',
+      'direccion_piso_dpto'
+    ]
+  });
+  if (!cliente) {
+    throw errorApi(404, 'NOT_FOUND', 'Cliente no encontrado.');
+  }
+
+  // 1) Saldo inicial: todo lo registrado antes de "desde"
+  let saldoInicial = 0;
+  if (fDesde) {
+    const row = await CxcMovimientosModel.unscoped().findOne({
+      where: { cliente_id: clienteId, fecha: { [Op.lt]: fDesde } },
+      attributes: [[fn('SUM', literal('signo * monto')), 'saldo']],
+      raw: true
+    });
+    saldoInicial = round2(row?.saldo);
+  }
+
+  // 2) Movimientos del período, en orden cronológico
+  const whereFecha = {};
+  if (fDesde) whereFecha[Op.gte] = fDesde;
+  if (fHasta) whereFecha[Op.lte] = fHasta;
+
+  const movs = await CxcMovimientosModel.unscoped().findAll({
+    where: {
+      cliente_id: clienteId,
+      ...(fDesde || fHasta ? { fecha: whereFecha } : {})
+    },
+    order: [
+      ['fecha', 'ASC'],
+      ['id', 'ASC']
+    ]
+  });
+
+  // 3) Saldo acumulado
+  let saldo = saldoInicial;
+  let totalDebe = 0;
+  let totalHaber = 0;
+
+  const movimientos = movs.map((m) => {
+    const monto = Number(m.monto) || 0;
+    const debe = m.signo === 1 ? monto : 0;
+    const haber = m.signo === -1 ? monto : 0;
+
+    saldo = round2(saldo + debe - haber);
+    totalDebe += debe;
+    totalHaber += haber;
+
+    return {
+      id: m.id,
+      fecha: m.fecha,
+      origen_tipo: m.origen_tipo,
+      origen_id: m.origen_id,
+      concepto: ORIGEN_LABEL[m.origen_tipo] || m.origen_tipo,
+      descripcion: m.descripcion || null,
+      debe: round2(debe),
+      haber: round2(haber),
+      saldo
+    };
+  });
+
+  return {
+    cliente: cliente.toJSON(),
+    filtros: {
+      desde: desde || null,
+      hasta: hasta || null
+    },
+    saldo_inicial: saldoInicial,
+    total_debe: round2(totalDebe),
+    total_haber: round2(totalHaber),
+    saldo_final: saldo,
+    movimientos,
+    generado_at: new Date(nowMs()).toISOString()
+  };
+}
+
+const nombreArchivo = (data, ext) =>
+  [
+    'estado-cuenta',
+    data.cliente.id,
+    data.filtros.desde || 'inicio',
+    data.filtros.hasta || 'hoy'
+  ].join('_') + `.${ext}`;
+
+/* ============================================================
+ * 2) Endpoint JSON
+ * ============================================================ */
+export const OBR_EstadoCuentaCliente_CTS = async (req, res) => {
+  try {
+    const data = await obtenerEstadoCuentaDatos(req.params, req.query);
+    return res.json(data);
+  } catch (err) {
+    return responderError(
+      res,
+      err,
+      'OBR_EstadoCuentaCliente_CTS',
+      'No se pudo obtener el estado de cuenta.'
+    );
+  }
+};
+
+/* ============================================================
+ * 3) Builder HTML para PDF
+ * ============================================================ */
+
+function buildEstadoCuentaHtml(data) {
+  const { cliente, filtros, movimientos } = data;
+
+  const ahora = new Date(data.generado_at).toLocaleString('es-AR', {
+    day: '2-digit',
+    month: '2-digit',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+
+  const periodo = [
+    filtros.desde ? `Desde: ${fmtFecha(parseDate(filtros.desde))}` : 'Desde el inicio',
+    filtros.hasta ? `Hasta: ${fmtFecha(parseDate(filtros.hasta))}` : 'Hasta hoy'
+  ].join(' · ');
+
+  const direccion = [
+    cliente.direccion_calle,
+    cliente.direccion_numero,
+    cliente.direccion_piso_dpto
+  ]
+    .filter(Boolean)
+    .join(' ');
+
+  const filas = movimientos.length
+    ? movimientos
+        .map(
+          (m) => `
+          <tr>
+            <td>${fmtFecha(m.fecha)}</td>
+            <td>${escapeHtml(m.concepto)}${m.origen_id ? ` #${m.origen_id}` : ''}</td>
+            <td class="desc">${escapeHtml(m.descripcion || '')}</td>
+            <td class="text-right">${m.debe ? moneyAR(m.debe) : ''}</td>
+            <td class="text-right">${m.haber ? moneyAR(m.haber) : ''}</td>
+            <td class="text-right saldo">${moneyAR(m.saldo)}</td>
+          </tr>`
+        )
+        .join('\n')
+    : `<tr><td colspan="6" class="vacio">Sin movimientos en el período.</td></tr>`;
+
+  return `
+<!DOCTYPE html>
+<html lang="es">
+<head>
+<meta charset="utf-8" />
+<title>Estado de cuenta - ${escapeHtml(cliente.nombre)}</title>
+<style>
+  @page {
+    size: A4;
+    margin: 12mm 10mm 18mm 10mm;
+  }
+  * { box-sizing: border-box; }
+  body {
+    margin: 0;
+    font-family: system-ui,-apple-system,BlinkMacSystemFont,"Segoe UI",sans-serif;
+    font-size: 11px;
+    color: #111827;
+    background: #ffffff;
+  }
+  .wrapper { padding: 10mm 4mm 12mm 4mm; }
+  .header {
+    display: flex;
+    justify-content: space-between;
+    align-items: flex-start;
+    margin-bottom: 12px;
+    padding-bottom: 8px;
+    border-bottom: 1px solid #e5e7eb;
+  }
+  .logo-small {
+    font-size: 9px;
+    letter-spacing: 0.18em;
+    text-transform: uppercase;
+    color: #6b7280;
+  }
+  h1 { margin: 2px 0 4px 0; font-size: 18px; }
+  .muted { color: #6b7280; font-size: 10px; }
+  .cliente { margin-bottom: 10px; line-height: 1.5; }
+  .cliente-nombre { font-size: 13px; font-weight: 600; }
+  .kpis { display: flex; gap: 8px; margin-bottom: 12px; }
+  .kpi {
+    flex: 1;
+    border: 1px solid #e5e7eb;
+    border-radius: 6px;
+    padding: 6px 8px;
+  }
+  .kpi-label { font-size: 9px; text-transform: uppercase; color: #6b7280; }
+  .kpi-valor { font-size: 13px; font-weight: 600; }
+  table { width: 100%; border-collapse: collapse; }
+  th {
+    text-align: left;
+    font-size: 9px;
+    text-transform: uppercase;
+    color: #6b7280;
+    border-bottom: 1px solid #d1d5db;
+    padding: 4px;
+  }
+  td { padding: 4px; border-bottom: 1px solid #f3f4f6; vertical-align: top; }
+  tr { page-break-inside: avoid; }
+  .text-right { text-align: right; }
+  .desc { color: #374151; max-width: 220px; }
+  .saldo { font-weight: 600; }
+  .fila-saldo td { background: #f9fafb; font-weight: 600; }
+  .vacio { text-align: center; color: #6b7280; padding: 12px; }
+</style>
+</head>
+<body>
+  <div class="wrapper">
+    <div class="header">
+      <div>
+        <div class="logo-small">Cuenta corriente</div>
+        <h1>Estado de cuenta</h1>
+        <div class="muted">${periodo}</div>
+      </div>
+      <div class="muted">Emitido: ${ahora}</div>
+    </div>
+
+    <div class="cliente">
+      <div class="cliente-nombre">${escapeHtml(cliente.nombre || 'Cliente sin nombre')}</div>
+      <div>${cliente.documento ? `DNI/CUIT: ${escapeHtml(cliente.documento)}` : 'Sin documento'}</div>
+      ${direccion ? `<div>${escapeHtml(direccion)}</div>` : ''}
+      ${
+        cliente.telefono || cliente.email
+          ? `<div>${escapeHtml([cliente.telefono, cliente.email].filter(Boolean).join(' · '))}</div>`
+          : ''
+      }
+    </div>
+
+    <div class="kpis">
+      <div class="kpi">
+        <div class="kpi-label">Saldo inicial</div>
+        <div class="kpi-valor">${moneyAR(data.saldo_inicial)}</div>
+      </div>
+      <div class="kpi">
+        <div class="kpi-label">Debe</div>
+        <div class="kpi-valor">${moneyAR(data.total_debe)}</div>
+      </div>
+      <div class="kpi">
+        <div class="kpi-label">Haber</div>
+        <div class="kpi-valor">${moneyAR(data.total_haber)}</div>
+      </div>
+      <div class="kpi">
+        <div class="kpi-label">Saldo final</div>
+        <div class="kpi-valor">${moneyAR(data.saldo_final)}</div>
+      </div>
+    </div>
+
+    <table>
+      <thead>
+        <tr>
+          <th>Fecha</th>
+          <th>Concepto</th>
+          <th>Detalle</th>
+          <th class="text-right">Debe</th>
+          <th class="text-right">Haber</th>
+          <th class="text-right">Saldo</th>
+        </tr>
+      </thead>
+      <tbody>
+        <tr class="fila-saldo">
+          <td colspan="5">Saldo inicial</td>
+          <td class="text-right">${moneyAR(data.saldo_inicial)}</td>
+        </tr>
+        ${filas}
+        <tr class="fila-saldo">
+          <td colspan="3">Totales / saldo final</td>
+          <td class="text-right">${moneyAR(data.total_debe)}</td>
+          <td class="text-right">${moneyAR(data.total_haber)}</td>
+          <td class="text-right">${moneyAR(data.saldo_final)}</td>
+        </tr>
+      </tbody>
+    </table>
+  </div>
+</body>
+</html>`;
+}
+
+/* ============================================================
+ * 4) Endpoint PDF
+ * ============================================================ */
+export const OBR_EstadoCuentaClientePDF_CTS = async (req, res) => {
+  try {
+    const data = await obtenerEstadoCuentaDatos(req.params, req.query);
+    const html = buildEstadoCuentaHtml(data);
+
+    const browser = await puppeteer.launch({
+      headless: 'new',
+      args: ['--no-sandbox', '--disable-setuid-sandbox']
+    });
+
+    let pdfBuffer;
+    try {
+      const page = await browser.newPage();
+      await page.setContent(html, { waitUntil: 'networkidle0' });
+
+      pdfBuffer = await page.pdf({
+        format: 'A4',
+        printBackground: true,
+        margin: { top: '12mm', bottom: '18mm', left: '10mm', right: '10mm' }
+      });
+    } finally {
+      await browser.close();
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader(
+      'Content-Disposition',
+      `inline; filename="${nombreArchivo(data, 'pdf')}"`
+    );
+    return res.send(pdfBuffer);
+  } catch (err) {
+    return responderError(
+      res,
+      err,
+      'OBR_EstadoCuentaClientePDF_CTS',
+      'No se pudo generar el PDF del estado de cuenta.'
+    );
+  }
+};
+
+/* ============================================================
+ * 5) Endpoint XLSX
+ * ============================================================ */
+export const OBR_EstadoCuentaClienteXLSX_CTS = async (req, res) => {
+  try {
+    const data = await obtenerEstadoCuentaDatos(req.params, req.query);
+    const { cliente, filtros } = data;
+
+    const filas = [
+      ['Estado de cuenta'],
+      ['Cliente', cliente.nombre],
+      ['Documento', cliente.documento || ''],
+      ['Desde', filtros.desde || 'inicio'],
+      ['Hasta', filtros.hasta || 'hoy'],
+      [],
+      ['Fecha', 'Concepto', 'Nro', 'Detalle', 'Debe', 'Haber', 'Saldo'],
+      ['', 'Saldo inicial', '', '', '', '', data.saldo_inicial],
+      ...data.movimientos.map((m) => [
+        new Date(m.fecha),
+        m.concepto,
+        m.origen_id ?? '',
+        m.descripcion || '',
+        m.debe || '',
+        m.haber || '',
+        m.saldo
+      ]),
+      [
+        '',
+        'Totales / saldo final',
+        '',
+        '',
+        data.total_debe,
+        data.total_haber,
+        data.saldo_final
+      ]
+    ];
+
+    const ws = XLSX.utils.aoa_to_sheet(filas, { cellDates: true });
+    ws['!cols'] = [
+      { wch: 12 },
+      { wch: 18 },
+      { wch: 8 },
+      { wch: 48 },
+      { wch: 14 },
+      { wch: 14 },
+      { wch: 14 }
+    ];
+
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(wb, ws, 'Estado de cuenta');
+    const buffer = XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' });
+
+    res.setHeader(
+      'Content-Type',
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+    );
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename="${nombreArchivo(data, 'xlsx')}"`
+    );
+    return res.send(buffer);
+  } catch (err) {
+    return responderError(
+      res,
+      err,
+      'OBR_EstadoCuentaClienteXLSX_CTS',
+      'No se pudo generar el XLSX del estado de cuenta.'
+    );
+  }
+};
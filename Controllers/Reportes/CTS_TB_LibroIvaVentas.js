@@ -0,0 +1,319 @@
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 05 / 11 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ *  Libro IVA Ventas mensual para el contador.
+ *  Una fila por venta confirmada del mes: neto gravado e IVA por alícuota (ventas_iva),
+ *  no gravado / exento y total. Las alícuotas que aparecen en el mes arman las columnas.
+ *  Ventas anteriores al desglose de IVA (neto_gravado NULL) se listan aparte en
+ *  'sin_desglose' para que se recalculen (POST /ventas/:ventaId/recalcular).
+ *
+ * Endpoints:
+ *  GET  /reportes/libro-iva-ventas?anio=YYYY&mes=M
+ *  GET  /reportes/libro-iva-ventas/xlsx
+ *  GET  /reportes/libro-iva-ventas/csv   (separador ';', UTF-8 con BOM para Excel)
+ */
+
+import dotenv from 'dotenv';
+import XLSX from 'xlsx';
+import { Op } from 'sequelize';
+
+import { VentasModel } from '../../Models/Ventas/MD_TB_Ventas.js';
+import { VentasIvaModel } from '../../Models/Ventas/MD_TB_VentasIva.js';
+import { ClientesModel } from '../../Models/Clientes/MD_TB_Clientes.js';
+import { nowMs } from '../../Utils/authoritativeTime.js';
+import { errorApi, responderError } from '../../Utils/errorApi.js';
+
+if (process.env.NODE_ENV !== 'production') {
+  dotenv.config();
+}
+
+/* ============================================================
+ * Helpers
+ * ============================================================ */
+
+const round2 = (n) => Number((Number(n) || 0).toFixed(2));
+
+const pad2 = (n) => String(n).padStart(2, '0');
+
+const fmtFecha = (d) => {
+  const f = new Date(d);
+  return `${pad2(f.getDate())}/${pad2(f.getMonth() + 1)}/${f.getFullYear()}`;
+};
+
+const etiquetaAlicuota = (a) => `${String(a).replace('.', ',')}%`;
+
+function normalizarPeriodo(query = {}) {
+  const hoy = new Date(nowMs());
+  const anio = query.anio ? Number(query.anio) : hoy.getFullYear();
+  const mes = query.mes ? Number(query.mes) : hoy.getMonth() + 1;
+  if (!Number.isInteger(anio) || anio < 2000 || anio > 2100) {
+    throw errorApi(400, 'BAD_REQUEST', 'anio inválido.');
+  }
+  if (!Number.isInteger(mes) || mes < 1 || mes > 12) {
+    throw errorApi(400, 'BAD_REQUEST', 'mes inválido (1-12).');
+  }
+  return {
+    anio,
+    mes,
+    desde: new Date(anio, mes - 1, 1, 0, 0, 0),
+    hasta: new Date(anio, mes, 1, 0, 0, 0)
+  };
+}
+
+/* ============================================================
+ * 1) Datos
+ * ============================================================ */
+async function obtenerLibroIvaVentasDatos(query) {
+  const periodo = normalizarPeriodo(query);
+
+  const ventas = await VentasModel.findAll({
+    where: {
+      estado: 'confirmada',
+      fecha: { [Op.gte]: periodo.desde, [Op.lt]: periodo.hasta }
+    },
+    attributes: [
+      'id',
+      'fecha',
+      'cliente_id',
+      'tipo',
+      'total_neto',
+      'neto_gravado',
+      'neto_no_gravado',
+      'iva_total'
+    ],
+    include: [
+      {
+        model: ClientesModel,
+        as: 'cliente',
+        attributes: ['id', 'nombre', 'documento']
+      }
+    ],
+    order: [
+      ['fecha', 'ASC'],
+      ['id', 'ASC']
+    ]
+  });
+
+  const ids = ventas.map((v) => v.id);
+  const ivaRows = ids.length
+    ? await VentasIvaModel.findAll({
+        where: { venta_id: { [Op.in]: ids } },
+        raw: true
+      })
+    : [];
+
+  const ivaPorVenta = new Map();
+  const alicuotasSet = new Set();
+  for (const r of ivaRows) {
+    const a = Number(r.alicuota);
+    alicuotasSet.add(a);
+    if (!ivaPorVenta.has(r.venta_id)) ivaPorVenta.set(r.venta_id, {});
+    ivaPorVenta.get(r.venta_id)[a] = {
+      neto_gravado: round2(r.neto_gravado),
+      iva: round2(r.iva)
+    };
+  }
+  const alicuotas = [...alicuotasSet].sort((a, b) => a - b);
+
+  const vacioAlicuotas = () =>
+    Object.fromEntries(alicuotas.map((a) => [a, { neto_gravado: 0, iva: 0 }]));
+
+  const totales = {
+    por_alicuota: vacioAlicuotas(),
+    neto_gravado: 0,
+    neto_no_gravado: 0,
+    iva_total: 0,
+    total: 0
+  };
+  const filas = [];
+  const sinDesglose = [];
+
+  for (const v of ventas) {
+    if (v.neto_gravado === null) {
+      sinDesglose.push({
+        venta_id: v.id,
+        fecha: v.fecha,
+        total: round2(v.total_neto)
+      });
+      continue;
+    }
+
+    const porAlicuota = {
+      ...vacioAlicuotas(),
+      ...(ivaPorVenta.get(v.id) || {})
+    };
+    for (const a of alicuotas) {
+      totales.por_alicuota[a].neto_gravado = round2(
+        totales.por_alicuota[a].neto_gravado + porAlicuota[a].neto_gravado
+      );
+      totales.por_alicuota[a].iva = round2(
+        totales.por_alicuota[a].iva + porAlicuota[a].iva
+      );
+    }
+
+    const fila = {
+      venta_id: v.id,
+      fecha: v.fecha,
+      comprobante: `Venta #${v.id}`,
+      cliente: v.cliente?.nombre || '',
+      documento: v.cliente?.documento || '',
+      tipo: v.tipo,
+      por_alicuota: porAlicuota,
+      neto_gravado: round2(v.neto_gravado),
+      neto_no_gravado: round2(v.neto_no_gravado),
+      iva_total: round2(v.iva_total),
+      total: round2(v.total_neto)
+    };
+    filas.push(fila);
+
+    totales.neto_gravado = round2(totales.neto_gravado + fila.neto_gravado);
+    totales.neto_no_gravado = round2(
+      totales.neto_no_gravado + fila.neto_no_gravado
+    );
+    totales.iva_total = round2(totales.iva_total + fila.iva_total);
+    totales.total = round2(totales.total + fila.total);
+  }
+
+  return {
+    periodo: { anio: periodo.anio, mes: periodo.mes },
+    alicuotas,
+    filas,
+    totales,
+    sin_desglose: sinDesglose
+  };
+}
+
+// Matriz (encabezado + filas + total) compartida por XLSX y CSV
+function armarMatriz({ alicuotas, filas, totales }) {
+  const encabezado = [
+    'Fecha',
+    'Comprobante',
+    'Cliente',
+    'Documento',
+    ...alicuotas.flatMap((a) => [
+      `Neto gravado ${etiquetaAlicuota(a)}`,
+      `IVA ${etiquetaAlicuota(a)}`
+    ]),
+    'No gravado / Exento',
+    'Total IVA',
+    'Total'
+  ];
+
+  const cuerpo = filas.map((f) => [
+    fmtFecha(f.fecha),
+    f.comprobante,
+    f.cliente,
+    f.documento,
+    ...alicuotas.flatMap((a) => [
+      f.por_alicuota[a].neto_gravado,
+      f.por_alicuota[a].iva
+    ]),
+    f.neto_no_gravado,
+    f.iva_total,
+    f.total
+  ]);
+
+  const pie = [
+    'Total',
+    '',
+    '',
+    '',
+    ...alicuotas.flatMap((a) => [
+      totales.por_alicuota[a].neto_gravado,
+      totales.por_alicuota[a].iva
+    ]),
+    totales.neto_no_gravado,
+    totales.iva_total,
+    totales.total
+  ];
+
+  return [encabezado, ...cuerpo, pie];
+}
+
+const nombreArchivo = ({ anio, mes }, ext) =>
+  `libro-iva-ventas_${anio}-${pad2(mes)}.${ext}`;
+
+/* ============================================================
+ * 2) Endpoint JSON
+ * ============================================================ */
+export const OBR_LibroIvaVentas_CTS = async (req, res) => {
+  try {
+    const data = await obtenerLibroIvaVentasDatos(req.query || {});
+    return res.json(data);
+  } catch (err) {
+    return responderError(
+      res,
+      err,
+      'OBR_LibroIvaVentas_CTS',
+      'No se pudo obtener el libro IVA ventas.'
+    );
+  }
+};
+
+/* ============================================================
+ * 3) Endpoint XLSX
+ * ============================================================ */
+export const OBR_LibroIvaVentasXLSX_CTS = async (req, res) => {
+  try {
+    const data = await obtenerLibroIvaVentasDatos(req.query || {});
+    const matriz = armarMatriz(data);
+
+    const ws = XLSX.utils.aoa_to_sheet(matriz);
+    ws['!cols'] = matriz[0].map((h) => ({
+      wch: h === 'Cliente' ? 30 : h === 'Comprobante' ? 16 : 14
+    }));
+
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(
+      wb,
+      ws,
+      `IVA Ventas ${data.periodo.anio}-${pad2(data.periodo.mes)}`
+    );
+    const buffer = XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' });
+
+    res.setHeader(
+      'Content-Type',
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+    );
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename="${nombreArchivo(data.periodo, 'xlsx')}"`
+    );
+    return res.send(buffer);
+  } catch (err) {
+    return responderError(
+      res,
+      err,
+      'OBR_LibroIvaVentasXLSX_CTS',
+      'No se pudo generar el XLSX del libro IVA ventas.'
+    );
+  }
+};
+
+/* ============================================================
+ * 4) Endpoint CSV
+ * ============================================================ */
+export const OBR_LibroIvaVentasCSV_CTS = async (req, res) => {
+  try {
+    const data = await obtenerLibroIvaVentasDatos(req.query || {});
+    const ws = XLSX.utils.aoa_to_sheet(armarMatriz(data));
+    const csv = XLSX.utils.sheet_to_csv(ws, { FS: ';' });
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename="${nombreArchivo(data.periodo, 'csv')}"`
+    );
+    return res.send(`﻿${csv}`);
+  } catch (err) {
+    return responderError(
+      res,
+      err,
+      'OBR_LibroIvaVentasCSV_CTS',
+      'No se pudo generar el CSV del libro IVA ventas.'
+    );
+  }
+};
@@ -10,6 +10,7 @@
  *  - Calcula deuda actual por cliente (cxc_movimientos).
  *  - Calcula ventas fiado pendientes por cliente (ventas + cobranza_aplicaciones).
  *  - Sugiere productos habituales por cliente (ventas_detalle).
+ *  - Envases retornables en poder de cada cliente (envases_movimientos).
  *
  * Endpoints:
  *  GET  /reportes/reparto-cobranza
@@ -27,6 +28,9 @@ import { VentasModel } from '../../Models/Ventas/MD_TB_Ventas.js';
 import { VentasDetalleModel } from '../../Models/Ventas/MD_TB_VentasDetalle.js';
 import { ProductosModel } from '../../Models/Productos/MD_TB_Productos.js';
 import { CobranzaAplicacionesModel } from '../../Models/Cobranzas/MD_TB_CobranzaAplicaciones.js';
+import { obtenerSaldosEnvasesClientes } from '../Envases/CTS_TB_EnvasesMovimientos.js';
+import { obtenerNetoNotasPorVenta } from '../Cobranzas/CTS_TB_CxcNotas.js';
+import { resolverEquipoReparto } from '../Repartos/CTS_TB_RepartosReemplazos.js';
 
 import puppeteer from 'puppeteer';
 
@@ -249,6 +253,8 @@ async function obtenerReporteRepartoCobranzaDatos(query) {
 
   // 5) Aplicaciones de cobranza por venta
   let appsByVenta = new Map();
+  // Benjamin Orellana - 26-10-2026 - NC (-) / ND (+) aprobadas por venta
+  let notasByVenta = new Map();
 
   if (ventasCredito.length) {
     const ventasIds = ventasCredito.map((v) => v.id);
@@ -269,6 +275,8 @@ async function obtenerReporteRepartoCobranzaDatos(query) {
     appsByVenta = new Map(
       apps.map((row) => [Number(row.venta_id), Number(row.total_aplicado) || 0])
     );
+
+    notasByVenta = await obtenerNetoNotasPorVenta(ventasIds);
   }
 
   const ventasPendientesPorCliente = new Map();
@@ -289,7 +297,10 @@ async function obtenerReporteRepartoCobranzaDatos(query) {
     const aplicadoVenta = Number(v.monto_a_cuenta || 0);
     const aplicado = Math.max(aplicadoApps, aplicadoVenta);
 
-    const saldoVenta = Math.max(0, totalVenta - aplicado);
+    const saldoVenta = Math.max(
+      0,
+      totalVenta - aplicado + Number(notasByVenta.get(v.id) || 0)
+    );
 
     // ignoramos ventas totalmente cobradas
     if (saldoVenta <= 0.01) continue;
@@ -394,6 +405,13 @@ async function obtenerReporteRepartoCobranzaDatos(query) {
     productosSugeridosPorCliente.set(cliId, arr.slice(0, TOP_N_PRODUCTOS));
   }
 
+  // ======================================================
+  // Benjamin Orellana - 19-10-2026
+  // 6.b) Envases retornables en poder de cada cliente (para que el chofer
+  // sepa cuántos vacíos retirar). No depende del rango de fechas.
+  // ======================================================
+  const envasesByCliente = await obtenerSaldosEnvasesClientes(clienteIdList);
+
   // 7) Armar respuesta final
   const clientesResp = [];
   let deudaTotalZona = 0;
@@ -442,10 +460,26 @@ async function obtenerReporteRepartoCobranzaDatos(query) {
       deuda_ventas_pendientes: deudaVentasPend,
       resumen_fiado: resumenFiado,
       ventas_pendientes: ventasPend,
-      productos_sugeridos: productosSug
+      productos_sugeridos: productosSug,
+      envases_en_cliente: envasesByCliente.get(cliId) || {
+        total: 0,
+        por_producto: []
+      }
     });
   }
 
+  // ======================================================
+  // Benjamin Orellana - 11-11-2026
+  // Equipo efectivo (con reemplazos) al cierre del período consultado, o de hoy.
+  // ======================================================
+  const fechaEquipo = dHasta
+    ? fecha_hasta
+    : `${hoy.getFullYear()}-${String(hoy.getMonth() + 1).padStart(2, '0')}-${String(hoy.getDate()).padStart(2, '0')}`;
+  const equipo = await resolverEquipoReparto({
+    repartoId: repId,
+    fecha: fechaEquipo
+  });
+
   return {
     filtros: {
       reparto_id: repId,
@@ -461,6 +495,11 @@ async function obtenerReporteRepartoCobranzaDatos(query) {
       rango_max: reparto.rango_max,
       estado: reparto.estado
     },
+    equipo: {
+      fecha: equipo.fecha,
+      choferes: equipo.choferes,
+      ayudantes: equipo.ayudantes
+    },
     resumen: {
       total_clientes: clientesResp.length,
       deuda_total_zona: deudaTotalZona,
@@ -493,7 +532,7 @@ export const OBR_ReporteRepartoCobranza_CTS = async (req, res) => {
  * ============================================================ */
 
 function buildReporteRepartoCobranzaHtml(data) {
-  const { filtros, reparto, resumen, clientes } = data;
+  const { filtros, reparto, resumen, clientes, equipo } = data;
 
   // ======================================================
   // Benjamin Orellana - 25-02-2026
@@ -532,6 +571,15 @@ function buildReporteRepartoCobranzaHtml(data) {
 
   const filtrosTexto = [
     reparto?.nombre ? `Reparto: ${reparto.nombre}` : null,
+    equipo?.choferes?.length
+      ? `Chofer: ${equipo.choferes
+          .map((c) =>
+            c.reemplazo
+              ? `${c.nombre} (reemplazo${c.reemplazo.reemplaza_a ? ` de ${c.reemplazo.reemplaza_a.nombre}` : ''})`
+              : c.nombre
+          )
+          .join(', ')}`
+      : null,
     filtros.fecha_desde ? `Desde: ${fmtFecha(filtros.fecha_desde)}` : null,
     filtros.fecha_hasta ? `Hasta: ${fmtFecha(filtros.fecha_hasta)}` : null,
     filtros.solo_con_deuda ? 'Solo clientes con deuda' : 'Todos los clientes'
@@ -549,6 +597,7 @@ function buildReporteRepartoCobranzaHtml(data) {
       };
 
       const ventasPend = item.ventas_pendientes || [];
+      const envases = item.envases_en_cliente || { total: 0, por_producto: [] };
 
       // --------------------------
       // Ventas fiado pendientes
@@ -693,6 +742,16 @@ function buildReporteRepartoCobranzaHtml(data) {
                     )}</div>`
                   : ''
               }
+              <div class="deuda-resumen envases-resumen">
+                Envases a retirar: <strong>${Number(envases.total || 0)}</strong>
+                ${
+                  (envases.por_producto || []).length
+                    ? `(${envases.por_producto
+                        .map((e) => `${e.nombre}: ${e.saldo}`)
+                        .join(' · ')})`
+                    : ''
+                }
+              </div>
             </div>
           </div>
 
@@ -878,6 +937,10 @@ function buildReporteRepartoCobranzaHtml(data) {
     font-size: 9px;
     color: #4b5563;
   }
+  .envases-resumen {
+    margin-top: 2px;
+    color: #1d4ed8;
+  }
 
   .card-body {
     display: grid;
@@ -0,0 +1,594 @@
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 20 / 10 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ *  Cargas de camión por reparto (jornada).
+ *  - Apertura: se cargan productos en el camión → sale stock del depósito.
+ *  - Recarga: se suman productos a una carga abierta.
+ *  - Las ventas del reparto en la fecha descuentan del camión (ver CTS_TB_Stock.js).
+ *  - Cierre: se declara lo que volvió; vuelve al depósito y se calcula la diferencia
+ *    por producto (devuelta - (cargada - vendida)).
+ *
+ * Endpoints:
+ *  GET  /repartos-cargas
+ *  GET  /repartos-cargas/:id
+ *  POST /repartos-cargas
+ *  POST /repartos-cargas/:id/items
+ *  POST /repartos-cargas/:id/cerrar
+ *
+ * Tema: Stock / Repartos
+ * Capa: Backend - Controllers
+ */
+
+import dotenv from 'dotenv';
+import db from '../../DataBase/db.js';
+
+import { RepartosModel } from '../../Models/Repartos/MD_TB_Repartos.js';
+import { RepartosCargasModel } from '../../Models/Stock/MD_TB_RepartosCargas.js';
+import { RepartosCargasItemsModel } from '../../Models/Stock/MD_TB_RepartosCargasItems.js';
+import { StockMovimientosModel } from '../../Models/Stock/MD_TB_StockMovimientos.js';
+import { ProductosModel } from '../../Models/Productos/MD_TB_Productos.js';
+import { LocalesModel } from '../../Models/MD_TB_Locales.js';
+import { stockConfig } from '../../config/stock.config.js';
+import {
+  moverStockDeposito,
+  getUsuarioId,
+  toDateOnly
+} from './CTS_TB_Stock.js';
+
+if (process.env.NODE_ENV !== 'production') {
+  dotenv.config();
+}
+
+const normInt = (v) => {
+  if (v === null || v === undefined || v === '') return NaN;
+  const n = Number(v);
+  return Number.isInteger(n) && n >= 0 ? n : NaN;
+};
+
+const parsePagination = (req) => {
+  const page = Math.max(1, parseInt(req.query.page || '1', 10));
+  const limit = Math.min(
+    200,
+    Math.max(1, parseInt(req.query.limit || '50', 10))
+  );
+  const offset = (page - 1) * limit;
+  return { page, limit, offset };
+};
+
+const incItems = {
+  model: RepartosCargasItemsModel,
+  as: 'items',
+  include: [
+    {
+      model: ProductosModel,
+      as: 'producto',
+      attributes: ['id', 'nombre', 'codigo_sku']
+    }
+  ]
+};
+
+// Normaliza items [{ producto_id, cantidad }] agrupando repetidos
+const normalizarItemsCarga = (items) => {
+  if (!Array.isArray(items) || !items.length) {
+    const e = new Error('Debe enviar al menos un ítem { producto_id, cantidad }.');
+    e.status = 400;
+    throw e;
+  }
+
+  const porProducto = new Map();
+  items.forEach((it, idx) => {
+    const producto_id = normInt(it?.producto_id);
+    const cantidad = normInt(it?.cantidad);
+    if (!Number.isFinite(producto_id) || producto_id <= 0) {
+      const e = new Error(`Ítem #${idx + 1}: producto_id inválido.`);
+      e.status = 400;
+      throw e;
+    }
+    if (!Number.isFinite(cantidad) || cantidad <= 0) {
+      const e = new Error(`Ítem #${idx + 1}: cantidad debe ser un entero > 0.`);
+      e.status = 400;
+      throw e;
+    }
+    porProducto.set(producto_id, (porProducto.get(producto_id) || 0) + cantidad);
+  });
+
+  return Array.from(porProducto.entries()).map(([producto_id, cantidad]) => ({
+    producto_id,
+    cantidad
+  }));
+};
+
+// Carga ítems en el camión: descuenta depósito + suma cantidad_cargada + movimientos
+async function cargarItemsEnCamion({ carga, items, usuario_id, transaction }) {
+  const ahora = new Date();
+  const movs = [];
+
+  for (const it of items) {
+    const prod = await ProductosModel.findByPk(it.producto_id, {
+      attributes: ['id'],
+      transaction
+    });
+    if (!prod) {
+      const e = new Error(`Producto ${it.producto_id} no encontrado.`);
+      e.status = 400;
+      throw e;
+    }
+
+    await moverStockDeposito({
+      producto_id: it.producto_id,
+      local_id: carga.local_id,
+      delta: -it.cantidad,
+      transaction
+    });
+
+    const [item] = await RepartosCargasItemsModel.findOrCreate({
+      where: { carga_id: carga.id, producto_id: it.producto_id },
+      defaults: { carga_id: carga.id, producto_id: it.producto_id },
+      transaction
+    });
+    await item.update(
+      { cantidad_cargada: Number(item.cantidad_cargada) + it.cantidad },
+      { transaction }
+    );
+
+    // Sale del depósito...
+    movs.push({
+      producto_id: it.producto_id,
+      local_id: carga.local_id,
+      reparto_carga_id: null,
+      tipo: 'carga_reparto',
+      cantidad: -it.cantidad,
+      usuario_id,
+      fecha: ahora,
+      observaciones: `Carga #${carga.id} · Reparto ${carga.reparto_id}`
+    });
+    // ...y entra al camión
+    movs.push({
+      producto_id: it.producto_id,
+      local_id: null,
+      reparto_carga_id: carga.id,
+      tipo: 'carga_reparto',
+      cantidad: it.cantidad,
+      usuario_id,
+      fecha: ahora,
+      observaciones: `Carga #${carga.id} · Reparto ${carga.reparto_id}`
+    });
+  }
+
+  await StockMovimientosModel.bulkCreate(movs, { transaction });
+}
+
+const responderError = (res, err, ctx, defaultMsg) => {
+  if (err?.message === 'REPARTO_NO_ENCONTRADO') {
+    return res.status(404).json({
+      code: 'NOT_FOUND',
+      mensajeError: 'Reparto no encontrado.'
+    });
+  }
+  if (err?.message === 'LOCAL_NO_ENCONTRADO') {
+    return res.status(404).json({
+      code: 'NOT_FOUND',
+      mensajeError: 'Local no encontrado.'
+    });
+  }
+  if (err?.message === 'CARGA_NO_ENCONTRADA') {
+    return res.status(404).json({
+      code: 'NOT_FOUND',
+      mensajeError: 'Carga no encontrada.'
+    });
+  }
+  if (err?.message === 'CARGA_CERRADA') {
+    return res.status(409).json({
+      code: 'CARGA_CERRADA',
+      mensajeError: 'La carga ya está cerrada.'
+    });
+  }
+  if (err?.message === 'CARGA_EXISTENTE') {
+    return res.status(409).json({
+      code: 'CARGA_EXISTENTE',
+      mensajeError: 'Ya existe una carga para ese reparto en la fecha.',
+      tips: ['Usá POST /repartos-cargas/:id/items para recargar el camión.'],
+      meta: err.meta
+    });
+  }
+  if (err?.message === 'STOCK_INSUFICIENTE') {
+    return res.status(409).json({
+      code: 'STOCK_INSUFICIENTE',
+      mensajeError: 'No hay stock suficiente en el depósito para cargar el camión.',
+      meta: err.meta
+    });
+  }
+  if (err?.status === 400) {
+    return res.status(400).json({
+      code: 'BAD_REQUEST',
+      mensajeError: err.message
+    });
+  }
+
+  console.error(`${ctx} error:`, err);
+  return res.status(500).json({
+    code: 'SERVER_ERROR',
+    mensajeError: defaultMsg
+  });
+};
+
+// ===============================
+// LIST - GET /repartos-cargas?reparto_id=&fecha=&estado=
+// ===============================
+export const OBRS_RepartosCargas_CTS = async (req, res) => {
+  try {
+    const { page, limit, offset } = parsePagination(req);
+    const { reparto_id, fecha, estado } = req.query || {};
+
+    const where = {};
+    if (reparto_id) where.reparto_id = normInt(reparto_id);
+    if (fecha) where.fecha = String(fecha);
+    if (['abierta', 'cerrada'].includes(String(estado))) {
+      where.estado = String(estado);
+    }
+
+    const { rows, count } = await RepartosCargasModel.findAndCountAll({
+      where,
+      include: [
+        { model: RepartosModel, as: 'reparto', attributes: ['id', 'nombre'] },
+        { model: LocalesModel, as: 'local', attributes: ['id', 'nombre'] }
+      ],
+      order: [
+        ['fecha', 'DESC'],
+        ['id', 'DESC']
+      ],
+      limit,
+      offset
+    });
+
+    const totalPages = Math.max(1, Math.ceil(count / limit));
+    return res.json({
+      data: rows,
+      meta: {
+        total: count,
+        page,
+        limit,
+        totalPages,
+        hasPrev: page > 1,
+        hasNext: page < totalPages
+      }
+    });
+  } catch (err) {
+    console.error('OBRS_RepartosCargas_CTS error:', err);
+    return res.status(500).json({
+      code: 'SERVER_ERROR',
+      mensajeError: 'No se pudieron listar las cargas.'
+    });
+  }
+};
+
+// ===============================
+// GET /repartos-cargas/:id
+// ===============================
+export const OBR_RepartoCarga_CTS = async (req, res) => {
+  try {
+    const id = normInt(req.params.id);
+    if (!Number.isFinite(id)) {
+      return res.status(400).json({
+        code: 'BAD_REQUEST',
+        mensajeError: 'ID inválido.'
+      });
+    }
+
+    const carga = await RepartosCargasModel.findByPk(id, {
+      include: [
+        { model: RepartosModel, as: 'reparto', attributes: ['id', 'nombre'] },
+        { model: LocalesModel, as: 'local', attributes: ['id', 'nombre'] },
+        incItems
+      ]
+    });
+    if (!carga) {
+      return res.status(404).json({
+        code: 'NOT_FOUND',
+        mensajeError: 'Carga no encontrada.'
+      });
+    }
+
+    return res.json(carga);
+  } catch (err) {
+    console.error('OBR_RepartoCarga_CTS error:', err);
+    return res.status(500).json({
+      code: 'SERVER_ERROR',
+      mensajeError: 'No se pudo obtener la carga.'
+    });
+  }
+};
+
+// ===============================
+// CREATE - POST /repartos-cargas
+// Body: { reparto_id, fecha?, local_id?, observaciones?, items: [{ producto_id, cantidad }] }
+// ===============================
+export const CR_RepartoCarga_CTS = async (req, res) => {
+  const { reparto_id, fecha, local_id, observaciones, items } = req.body || {};
+
+  const repId = normInt(reparto_id);
+  const locId = normInt(local_id ?? stockConfig.localDefaultId);
+  if (!Number.isFinite(repId) || !Number.isFinite(locId)) {
+    return res.status(400).json({
+      code: 'BAD_REQUEST',
+      mensajeError: 'reparto_id y local_id deben ser numéricos.'
+    });
+  }
+
+  const fechaDT = fecha ? new Date(`${fecha}T00:00:00`) : new Date();
+  if (isNaN(fechaDT.getTime())) {
+    return res.status(400).json({
+      code: 'BAD_REQUEST',
+      mensajeError: 'Fecha inválida (YYYY-MM-DD).'
+    });
+  }
+  const fechaStr = toDateOnly(fechaDT);
+
+  const t = await db.transaction();
+  try {
+    const itemsNorm = normalizarItemsCarga(items);
+
+    const rep = await RepartosModel.findByPk(repId, { transaction: t });
+    if (!rep) throw new Error('REPARTO_NO_ENCONTRADO');
+    const local = await LocalesModel.findByPk(locId, { transaction: t });
+    if (!local) throw new Error('LOCAL_NO_ENCONTRADO');
+
+    const existente = await RepartosCargasModel.findOne({
+      where: { reparto_id: repId, fecha: fechaStr },
+      transaction: t,
+      lock: t.LOCK.UPDATE
+    });
+    if (existente) {
+      const e = new Error('CARGA_EXISTENTE');
+      e.meta = { carga_id: existente.id, estado: existente.estado };
+      throw e;
+    }
+
+    const usuarioId = getUsuarioId(req);
+    const carga = await RepartosCargasModel.create(
+      {
+        reparto_id: repId,
+        local_id: locId,
+        fecha: fechaStr,
+        estado: 'abierta',
+        usuario_apertura_id: usuarioId,
+        observaciones: observaciones?.trim?.() || null
+      },
+      { transaction: t }
+    );
+
+    await cargarItemsEnCamion({
+      carga,
+      items: itemsNorm,
+      usuario_id: usuarioId,
+      transaction: t
+    });
+
+    await t.commit();
+
+    const full = await RepartosCargasModel.findByPk(carga.id, {
+      include: [incItems]
+    });
+    return res.status(201).json(full || carga);
+  } catch (err) {
+    try {
+      if (!t.finished) await t.rollback();
+    } catch {}
+    return responderError(
+      res,
+      err,
+      'CR_RepartoCarga_CTS',
+      'No se pudo abrir la carga del reparto.'
+    );
+  }
+};
+
+// ===============================
+// POST /repartos-cargas/:id/items  (recarga del camión)
+// Body: { items: [{ producto_id, cantidad }] }
+// ===============================
+export const CR_RepartoCargaItems_CTS = async (req, res) => {
+  const id = normInt(req.params.id);
+  if (!Number.isFinite(id)) {
+    return res.status(400).json({
+      code: 'BAD_REQUEST',
+      mensajeError: 'ID inválido.'
+    });
+  }
+
+  const t = await db.transaction();
+  try {
+    const itemsNorm = normalizarItemsCarga(req.body?.items);
+
+    const carga = await RepartosCargasModel.findByPk(id, {
+      transaction: t,
+      lock: t.LOCK.UPDATE
+    });
+    if (!carga) throw new Error('CARGA_NO_ENCONTRADA');
+    if (carga.estado !== 'abierta') throw new Error('CARGA_CERRADA');
+
+    await cargarItemsEnCamion({
+      carga,
+      items: itemsNorm,
+      usuario_id: getUsuarioId(req),
+      transaction: t
+    });
+
+    await t.commit();
+
+    const full = await RepartosCargasModel.findByPk(id, { include: [incItems] });
+    return res.json(full);
+  } catch (err) {
+    try {
+      if (!t.finished) await t.rollback();
+    } catch {}
+    return responderError(
+      res,
+      err,
+      'CR_RepartoCargaItems_CTS',
+      'No se pudo recargar el camión.'
+    );
+  }
+};
+
+// ===============================
+// POST /repartos-cargas/:id/cerrar  (conciliación fin de jornada)
+// Body: { items: [{ producto_id, cantidad_devuelta }], observaciones? }
+// - Productos no informados se toman con cantidad_devuelta = 0.
+// - Lo devuelto vuelve al depósito de la carga.
+// ===============================
+export const UR_RepartoCarga_Cerrar_CTS = async (req, res) => {
+  const id = normInt(req.params.id);
+  if (!Number.isFinite(id)) {
+    return res.status(400).json({
+      code: 'BAD_REQUEST',
+      mensajeError: 'ID inválido.'
+    });
+  }
+
+  const { items, observaciones } = req.body || {};
+
+  const t = await db.transaction();
+  try {
+    const devueltas = new Map();
+    (Array.isArray(items) ? items : []).forEach((it, idx) => {
+      const producto_id = normInt(it?.producto_id);
+      const cant = normInt(it?.cantidad_devuelta);
+      if (!Number.isFinite(producto_id) || !Number.isFinite(cant)) {
+        const e = new Error(
+          `Ítem #${idx + 1}: producto_id y cantidad_devuelta (entero >= 0) son obligatorios.`
+        );
+        e.status = 400;
+        throw e;
+      }
+      devueltas.set(producto_id, (devueltas.get(producto_id) || 0) + cant);
+    });
+
+    const carga = await RepartosCargasModel.findByPk(id, {
+      transaction: t,
+      lock: t.LOCK.UPDATE
+    });
+    if (!carga) throw new Error('CARGA_NO_ENCONTRADA');
+    if (carga.estado !== 'abierta') throw new Error('CARGA_CERRADA');
+
+    const cargaItems = await RepartosCargasItemsModel.findAll({
+      where: { carga_id: id },
+      transaction: t,
+      lock: t.LOCK.UPDATE
+    });
+
+    const idsCarga = new Set(cargaItems.map((x) => Number(x.producto_id)));
+    for (const prodId of devueltas.keys()) {
+      if (!idsCarga.has(prodId)) {
+        const e = new Error(`El producto ${prodId} no figura en la carga.`);
+        e.status = 400;
+        throw e;
+      }
+    }
+
+    const usuarioId = getUsuarioId(req);
+    const ahora = new Date();
+    const movs = [];
+    const conciliacion = [];
+    let faltanteTotal = 0;
+    let sobranteTotal = 0;
+
+    for (const item of cargaItems) {
+      const prodId = Number(item.producto_id);
+      const cargada = Number(item.cantidad_cargada);
+      const vendida = Number(item.cantidad_vendida);
+      const devuelta = devueltas.get(prodId) || 0;
+      const esperado = cargada - vendida;
+      const diferencia = devuelta - esperado;
+
+      await item.update(
+        { cantidad_devuelta: devuelta, diferencia },
+        { transaction: t }
+      );
+
+      if (devuelta > 0) {
+        await moverStockDeposito({
+          producto_id: prodId,
+          local_id: carga.local_id,
+          delta: devuelta,
+          transaction: t
+        });
+
+        movs.push({
+          producto_id: prodId,
+          local_id: null,
+          reparto_carga_id: carga.id,
+          tipo: 'devolucion_reparto',
+          cantidad: -devuelta,
+          usuario_id: usuarioId,
+          fecha: ahora,
+          observaciones: `Cierre carga #${carga.id}`
+        });
+        movs.push({
+          producto_id: prodId,
+          local_id: carga.local_id,
+          reparto_carga_id: null,
+          tipo: 'devolucion_reparto',
+          cantidad: devuelta,
+          usuario_id: usuarioId,
+          fecha: ahora,
+          observaciones: `Cierre carga #${carga.id}`
+        });
+      }
+
+      if (diferencia < 0) faltanteTotal += Math.abs(diferencia);
+      if (diferencia > 0) sobranteTotal += diferencia;
+
+      conciliacion.push({
+        producto_id: prodId,
+        cantidad_cargada: cargada,
+        cantidad_vendida: vendida,
+        esperado_en_camion: esperado,
+        cantidad_devuelta: devuelta,
+        diferencia
+      });
+    }
+
+    if (movs.length) {
+      await StockMovimientosModel.bulkCreate(movs, { transaction: t });
+    }
+
+    await carga.update(
+      {
+        estado: 'cerrada',
+        cerrada_at: ahora,
+        usuario_cierre_id: usuarioId,
+        observaciones: observaciones?.trim?.() || carga.observaciones
+      },
+      { transaction: t }
+    );
+
+    await t.commit();
+
+    return res.json({
+      ok: true,
+      carga_id: carga.id,
+      reparto_id: carga.reparto_id,
+      fecha: carga.fecha,
+      resumen: {
+        faltante_total: faltanteTotal,
+        sobrante_total: sobranteTotal,
+        con_diferencias: conciliacion.filter((x) => x.diferencia !== 0).length
+      },
+      conciliacion
+    });
+  } catch (err) {
+    try {
+      if (!t.finished) await t.rollback();
+    } catch {}
+    return responderError(
+      res,
+      err,
+      'UR_RepartoCarga_Cerrar_CTS',
+      'No se pudo cerrar la carga.'
+    );
+  }
+};
@@ -0,0 +1,566 @@
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 20 / 10 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ *  Stock de depósito por local y libro de movimientos.
+ *  - Consulta de stock por local / producto (con filtro bajo mínimo).
+ *  - Movimientos manuales: ingreso, ajuste, merma.
+ *  - Helpers exportados para Ventas (descuento al confirmar / ajuste al editar ítems /
+ *    reposición al anular)
+ *    y para Cargas de reparto (salida del depósito / devolución al cierre).
+ *
+ * Reglas de descuento por venta:
+ *  - Si la venta tiene reparto_id y existe una carga ABIERTA de ese reparto en la fecha
+ *    de la venta → se descuenta del camión (repartos_cargas_items.cantidad_vendida).
+ *  - Si no → se descuenta del depósito stockConfig.localDefaultId.
+ *  - stockConfig.permitirNegativo = false → STOCK_INSUFICIENTE (409).
+ *
+ * Endpoints:
+ *  GET  /stock
+ *  GET  /stock/movimientos
+ *  POST /stock/movimientos
+ *
+ * Tema: Stock
+ * Capa: Backend - Controllers
+ */
+
+import dotenv from 'dotenv';
+import { Op } from 'sequelize';
+import db from '../../DataBase/db.js';
+
+import { StockModel } from '../../Models/Stock/MD_TB_Stock.js';
+import { StockMovimientosModel } from '../../Models/Stock/MD_TB_StockMovimientos.js';
+import { RepartosCargasModel } from '../../Models/Stock/MD_TB_RepartosCargas.js';
+import { RepartosCargasItemsModel } from '../../Models/Stock/MD_TB_RepartosCargasItems.js';
+import { ProductosModel } from '../../Models/Productos/MD_TB_Productos.js';
+import { LocalesModel } from '../../Models/MD_TB_Locales.js';
+import { stockConfig } from '../../config/stock.config.js';
+import { nowMs } from '../../Utils/authoritativeTime.js';
+
+if (process.env.NODE_ENV !== 'production') {
+  dotenv.config();
+}
+
+const normInt = (v) => {
+  if (v === null || v === undefined || v === '') return NaN;
+  const n = Number(v);
+  return Number.isInteger(n) ? n : NaN;
+};
+
+const parsePagination = (req) => {
+  const page = Math.max(1, parseInt(req.query.page || '1', 10));
+  const limit = Math.min(
+    200,
+    Math.max(1, parseInt(req.query.limit || '50', 10))
+  );
+  const offset = (page - 1) * limit;
+  return { page, limit, offset };
+};
+
+// Fecha local YYYY-MM-DD (para matchear repartos_cargas.fecha DATEONLY)
+export const toDateOnly = (d) => {
+  const x = d instanceof Date ? d : new Date(d);
+  const mm = String(x.getMonth() + 1).padStart(2, '0');
+  const dd = String(x.getDate()).padStart(2, '0');
+  return `${x.getFullYear()}-${mm}-${dd}`;
+};
+
+// Usuario que opera: JWT (req.user) o header X-User-Id que ya manda el front
+export const getUsuarioId = (req) => {
+  const fromJwt = Number(req?.user?.id);
+  if (Number.isInteger(fromJwt) && fromJwt > 0) return fromJwt;
+  const fromHeader = Number(req?.headers?.['x-user-id']);
+  return Number.isInteger(fromHeader) && fromHeader > 0 ? fromHeader : null;
+};
+
+const errorStockInsuficiente = (meta) => {
+  const e = new Error('STOCK_INSUFICIENTE');
+  e.status = 409;
+  e.meta = meta;
+  return e;
+};
+
+// ======================================================
+// Helper: mover stock de depósito (con lock de fila).
+// delta > 0 entra, delta < 0 sale. Crea la fila si no existe.
+// ======================================================
+export async function moverStockDeposito({
+  producto_id,
+  local_id,
+  delta,
+  transaction,
+  validarNegativo = !stockConfig.permitirNegativo
+}) {
+  let fila = await StockModel.findOne({
+    where: { producto_id, local_id },
+    transaction,
+    lock: transaction.LOCK.UPDATE
+  });
+
+  if (!fila) {
+    fila = await StockModel.create(
+      { producto_id, local_id, cantidad: 0 },
+      { transaction }
+    );
+  }
+
+  const nueva = Number(fila.cantidad) + Number(delta);
+  if (validarNegativo && delta < 0 && nueva < 0) {
+    throw errorStockInsuficiente({
+      producto_id,
+      local_id,
+      disponible: Number(fila.cantidad),
+      requerido: Math.abs(delta)
+    });
+  }
+
+  await fila.update({ cantidad: nueva }, { transaction });
+  return fila;
+}
+
+// Carga ABIERTA del reparto de la venta en su fecha (null = se opera sobre el depósito)
+async function cargaAbiertaDeVenta(venta, transaction) {
+  if (!venta.reparto_id) return null;
+  return RepartosCargasModel.findOne({
+    where: {
+      reparto_id: venta.reparto_id,
+      fecha: toDateOnly(venta.fecha),
+      estado: 'abierta'
+    },
+    transaction,
+    lock: transaction.LOCK.UPDATE
+  });
+}
+
+// ======================================================
+// Helper: descontar stock por venta confirmada (CR_Venta_CTS / Masiva).
+// detalles: filas creadas en ventas_detalle (con id, producto_id, cantidad).
+// ======================================================
+export async function descontarStockPorVenta(
+  { venta, detalles = [], usuario_id = null },
+  transaction
+) {
+  if (!venta || !Array.isArray(detalles) || !detalles.length) return;
+
+  await ajustarStockPorVenta(
+    {
+      venta,
+      deltas: detalles
+        .filter((det) => Number(det.cantidad) > 0)
+        .map((det) => ({
+          venta_detalle_id: det.id ?? null,
+          producto_id: det.producto_id,
+          cantidad: Number(det.cantidad)
+        })),
+      usuario_id,
+      fecha: venta.fecha
+    },
+    transaction
+  );
+}
+
+// ======================================================
+// Benjamin Orellana - 13-11-2026
+// Helper: mover stock por cambios en los ítems de una venta confirmada
+// (descontarStockPorVenta y CTS_TB_VentasDetalle: alta / edición / baja / reemplazo).
+// deltas: [{ venta_detalle_id, producto_id, cantidad }] con cantidad > 0 = sale
+// (se vendió más) y < 0 = vuelve (se vendió menos). Mismo destino que el alta:
+// camión si la carga del reparto sigue abierta, si no el depósito.
+// Se registra como movimiento 'venta' con signo: reponerStockPorVenta revierte el neto.
+// ======================================================
+export async function ajustarStockPorVenta(
+  { venta, deltas = [], usuario_id = null, fecha = null, observaciones = null },
+  transaction
+) {
+  if (!venta || !Array.isArray(deltas) || !deltas.length) return;
+
+  const carga = await cargaAbiertaDeVenta(venta, transaction);
+  const movs = [];
+
+  for (const d of deltas) {
+    const cantidad = Number(d.cantidad);
+    if (!cantidad) continue;
+
+    let item = null;
+    if (carga) {
+      item = await RepartosCargasItemsModel.findOne({
+        where: { carga_id: carga.id, producto_id: d.producto_id },
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+    }
+
+    // Devolución de algo que no figura en la carga: vuelve al depósito
+    const alCamion = carga && (cantidad > 0 || item);
+
+    if (alCamion) {
+      const disponible = item
+        ? Number(item.cantidad_cargada) - Number(item.cantidad_vendida)
+        : 0;
+
+      if (cantidad > 0 && !stockConfig.permitirNegativo && disponible < cantidad) {
+        throw errorStockInsuficiente({
+          producto_id: Number(d.producto_id),
+          reparto_carga_id: carga.id,
+          disponible,
+          requerido: cantidad
+        });
+      }
+
+      if (!item) {
+        // Se vendió algo que no figuraba en la carga: queda visible en la conciliación
+        item = await RepartosCargasItemsModel.create(
+          { carga_id: carga.id, producto_id: d.producto_id },
+          { transaction }
+        );
+      }
+
+      await item.update(
+        {
+          cantidad_vendida: Math.max(
+            0,
+            Number(item.cantidad_vendida) + cantidad
+          )
+        },
+        { transaction }
+      );
+    } else {
+      await moverStockDeposito({
+        producto_id: d.producto_id,
+        local_id: stockConfig.localDefaultId,
+        delta: -cantidad,
+        transaction
+      });
+    }
+
+    movs.push({
+      producto_id: d.producto_id,
+      local_id: alCamion ? null : stockConfig.localDefaultId,
+      reparto_carga_id: alCamion ? carga.id : null,
+      tipo: 'venta',
+      cantidad: -cantidad,
+      venta_id: venta.id,
+      venta_detalle_id: d.venta_detalle_id ?? null,
+      usuario_id,
+      fecha: fecha || new Date(nowMs()),
+      observaciones
+    });
+  }
+
+  if (movs.length) {
+    await StockMovimientosModel.bulkCreate(movs, { transaction });
+  }
+}
+
+// ======================================================
+// Helper: reponer stock al anular una venta (UR_Venta_Anular_CTS / ER_Venta_CTS).
+// Revierte cada movimiento 'venta':
+// - carga abierta → descuenta cantidad_vendida (vuelve al camión)
+// - carga cerrada → vuelve al depósito de la carga
+// - depósito → vuelve al mismo local
+// Idempotente: si ya hay anulacion_venta para la venta, no hace nada.
+// ======================================================
+export async function reponerStockPorVenta(venta, transaction, usuario_id = null) {
+  const ventaId = venta?.id;
+  if (!ventaId) return;
+
+  const yaRepuesto = await StockMovimientosModel.unscoped().count({
+    where: { venta_id: ventaId, tipo: 'anulacion_venta' },
+    transaction
+  });
+  if (yaRepuesto > 0) return;
+
+  const movsVenta = await StockMovimientosModel.unscoped().findAll({
+    where: { venta_id: ventaId, tipo: 'venta' },
+    transaction
+  });
+  if (!movsVenta.length) return;
+
+  const cargasCache = new Map();
+  const inversos = [];
+  const ahora = new Date(nowMs());
+
+  for (const mv of movsVenta) {
+    // Benjamin Orellana - 13-11-2026 - Con signo: un 'venta' positivo (ítem reducido
+    // después del alta) se revierte sacando stock
+    const cantidad = -Number(mv.cantidad);
+    if (!cantidad) continue;
+    let localDestino = mv.local_id;
+    let cargaDestino = null;
+
+    if (mv.reparto_carga_id) {
+      let carga = cargasCache.get(mv.reparto_carga_id);
+      if (!carga) {
+        carga = await RepartosCargasModel.findByPk(mv.reparto_carga_id, {
+          transaction,
+          lock: transaction.LOCK.UPDATE
+        });
+        cargasCache.set(mv.reparto_carga_id, carga);
+      }
+
+      if (carga && carga.estado === 'abierta') {
+        const item = await RepartosCargasItemsModel.findOne({
+          where: { carga_id: carga.id, producto_id: mv.producto_id },
+          transaction,
+          lock: transaction.LOCK.UPDATE
+        });
+        if (item) {
+          await item.update(
+            {
+              cantidad_vendida: Math.max(
+                0,
+                Number(item.cantidad_vendida) - cantidad
+              )
+            },
+            { transaction }
+          );
+        }
+        cargaDestino = carga.id;
+        localDestino = null;
+      } else {
+        localDestino = carga ? carga.local_id : stockConfig.localDefaultId;
+      }
+    }
+
+    if (localDestino) {
+      await moverStockDeposito({
+        producto_id: mv.producto_id,
+        local_id: localDestino,
+        delta: cantidad,
+        transaction,
+        ...(cantidad < 0 ? { validarNegativo: false } : {})
+      });
+    }
+
+    inversos.push({
+      producto_id: mv.producto_id,
+      local_id: localDestino,
+      reparto_carga_id: cargaDestino,
+      tipo: 'anulacion_venta',
+      cantidad,
+      venta_id: ventaId,
+      venta_detalle_id: mv.venta_detalle_id,
+      usuario_id,
+      fecha: ahora,
+      observaciones: `Anulación venta #${ventaId}`
+    });
+  }
+
+  if (inversos.length) {
+    await StockMovimientosModel.bulkCreate(inversos, { transaction });
+  }
+}
+
+// ===============================
+// LIST - GET /stock?local_id=&producto_id=&bajo_minimo=1
+// ===============================
+export const OBRS_Stock_CTS = async (req, res) => {
+  try {
+    const { page, limit, offset } = parsePagination(req);
+    const { local_id, producto_id, bajo_minimo } = req.query || {};
+
+    const where = {};
+    if (local_id) where.local_id = normInt(local_id);
+    if (producto_id) where.producto_id = normInt(producto_id);
+    if (String(bajo_minimo || '') === '1') {
+      where.cantidad = { [Op.lte]: db.col('stock_minimo') };
+    }
+
+    const { rows, count } = await StockModel.findAndCountAll({
+      where,
+      include: [
+        {
+          model: ProductosModel,
+          as: 'producto',
+          attributes: ['id', 'nombre', 'codigo_sku', 'presentacion']
+        },
+        { model: LocalesModel, as: 'local', attributes: ['id', 'nombre'] }
+      ],
+      order: [
+        ['local_id', 'ASC'],
+        ['producto_id', 'ASC']
+      ],
+      limit,
+      offset
+    });
+
+    const totalPages = Math.max(1, Math.ceil(count / limit));
+    return res.json({
+      data: rows,
+      meta: {
+        total: count,
+        page,
+        limit,
+        totalPages,
+        hasPrev: page > 1,
+        hasNext: page < totalPages
+      }
+    });
+  } catch (err) {
+    console.error('OBRS_Stock_CTS error:', err);
+    return res.status(500).json({
+      code: 'SERVER_ERROR',
+      mensajeError: 'No se pudo obtener el stock.'
+    });
+  }
+};
+
+// ===============================
+// LIST - GET /stock/movimientos?producto_id=&local_id=&reparto_carga_id=&venta_id=&tipo=
+// ===============================
+export const OBRS_StockMovimientos_CTS = async (req, res) => {
+  try {
+    const { page, limit, offset } = parsePagination(req);
+    const { producto_id, local_id, reparto_carga_id, venta_id, tipo } =
+      req.query || {};
+
+    const where = {};
+    if (producto_id) where.producto_id = normInt(producto_id);
+    if (local_id) where.local_id = normInt(local_id);
+    if (reparto_carga_id) where.reparto_carga_id = normInt(reparto_carga_id);
+    if (venta_id) where.venta_id = normInt(venta_id);
+    if (tipo) where.tipo = String(tipo);
+
+    const { rows, count } = await StockMovimientosModel.findAndCountAll({
+      where,
+      include: [
+        { model: ProductosModel, as: 'producto', attributes: ['id', 'nombre'] }
+      ],
+      limit,
+      offset
+    });
+
+    const totalPages = Math.max(1, Math.ceil(count / limit));
+    return res.json({
+      data: rows,
+      meta: {
+        total: count,
+        page,
+        limit,
+        totalPages,
+        hasPrev: page > 1,
+        hasNext: page < totalPages
+      }
+    });
+  } catch (err) {
+    console.error('OBRS_StockMovimientos_CTS error:', err);
+    return res.status(500).json({
+      code: 'SERVER_ERROR',
+      mensajeError: 'No se pudieron listar los movimientos de stock.'
+    });
+  }
+};
+
+// ===============================
+// CREATE - POST /stock/movimientos
+// Body: { producto_id, local_id, tipo: 'ingreso'|'ajuste'|'merma', cantidad, observaciones? }
+// - ingreso: cantidad > 0 (entra)
+// - merma:   cantidad > 0 (sale)
+// - ajuste:  cantidad con signo (+/-)
+// ===============================
+export const CR_StockMovimiento_CTS = async (req, res) => {
+  const { producto_id, local_id, tipo, cantidad, observaciones } =
+    req.body || {};
+
+  const prodId = normInt(producto_id);
+  const locId = normInt(local_id ?? stockConfig.localDefaultId);
+  const cant = normInt(cantidad);
+
+  if (!Number.isFinite(prodId) || !Number.isFinite(locId)) {
+    return res.status(400).json({
+      code: 'BAD_REQUEST',
+      mensajeError: 'producto_id y local_id son obligatorios y numéricos.'
+    });
+  }
+  if (!['ingreso', 'ajuste', 'merma'].includes(String(tipo))) {
+    return res.status(400).json({
+      code: 'BAD_REQUEST',
+      mensajeError: 'tipo inválido. Valores permitidos: ingreso, ajuste, merma.'
+    });
+  }
+  if (!Number.isFinite(cant) || cant === 0) {
+    return res.status(400).json({
+      code: 'BAD_REQUEST',
+      mensajeError: 'cantidad debe ser un entero distinto de 0.'
+    });
+  }
+  if (tipo !== 'ajuste' && cant < 0) {
+    return res.status(400).json({
+      code: 'BAD_REQUEST',
+      mensajeError: 'Para ingreso / merma la cantidad debe ser positiva.'
+    });
+  }
+
+  const delta = tipo === 'merma' ? -cant : cant;
+
+  const t = await db.transaction();
+  try {
+    const prod = await ProductosModel.findByPk(prodId, { transaction: t });
+    if (!prod) {
+      const e = new Error('PRODUCTO_NO_ENCONTRADO');
+      e.status = 404;
+      throw e;
+    }
+    const local = await LocalesModel.findByPk(locId, { transaction: t });
+    if (!local) {
+      const e = new Error('LOCAL_NO_ENCONTRADO');
+      e.status = 404;
+      throw e;
+    }
+
+    const fila = await moverStockDeposito({
+      producto_id: prodId,
+      local_id: locId,
+      delta,
+      transaction: t
+    });
+
+    const mov = await StockMovimientosModel.create(
+      {
+        producto_id: prodId,
+        local_id: locId,
+        tipo: String(tipo),
+        cantidad: delta,
+        usuario_id: getUsuarioId(req),
+        fecha: new Date(nowMs()),
+        observaciones: observaciones?.trim?.() || null
+      },
+      { transaction: t }
+    );
+
+    await t.commit();
+    return res.status(201).json({ movimiento: mov, stock: fila });
+  } catch (err) {
+    try {
+      if (!t.finished) await t.rollback();
+    } catch {}
+
+    if (err?.message === 'PRODUCTO_NO_ENCONTRADO') {
+      return res.status(404).json({
+        code: 'NOT_FOUND',
+        mensajeError: 'Producto no encontrado.'
+      });
+    }
+    if (err?.message === 'LOCAL_NO_ENCONTRADO') {
+      return res.status(404).json({
+        code: 'NOT_FOUND',
+        mensajeError: 'Local no encontrado.'
+      });
+    }
+    if (err?.message === 'STOCK_INSUFICIENTE') {
+      return res.status(409).json({
+        code: 'STOCK_INSUFICIENTE',
+        mensajeError: 'No hay stock suficiente en el depósito.',
+        meta: err.meta
+      });
+    }
+
+    console.error('CR_StockMovimiento_CTS error:', err);
+    return res.status(500).json({
+      code: 'SERVER_ERROR',
+      mensajeError: 'No se pudo registrar el movimiento de stock.'
+    });
+  }
+};
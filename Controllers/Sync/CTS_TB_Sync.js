@@ -0,0 +1,754 @@
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 31 / 10 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ *  Sincronización offline-first para choferes (se quedan sin señal en la calle).
+ *  - GET  /sync/repartos/:id?cursor=<ms>
+ *      Snapshot del reparto: clientes (orden de recorrido), productos + precio,
+ *      saldos CxC y sesión abierta. Con cursor devuelve solo lo que cambió
+ *      desde entonces (+ bajas). La respuesta trae el próximo cursor.
+ *      Los precios (listas / especiales por cliente) viajan siempre completos.
+ *  - POST /sync/push
+ *      Lote de ventas / cobranzas creadas offline, cada una con UUID del dispositivo
+ *      y device_at (ms epoch). Deduplica por UUID (sync_registros), rechaza lo que
+ *      supera timeConfig.maxOfflineMs y aplica el resto con los mismos handlers que
+ *      POST /ventas y POST /cobranzas-clientes. Devuelve un resultado por registro.
+ *
+ * Tema: Sincronización offline
+ * Capa: Backend - Controllers/Sync
+ */
+
+import { Op, fn, literal } from 'sequelize';
+
+import {
+  SyncRegistrosModel,
+  SYNC_TIPOS
+} from '../../Models/Sync/MD_TB_SyncRegistros.js';
+import { RepartosModel } from '../../Models/Repartos/MD_TB_Repartos.js';
+import { RepartoClientesModel } from '../../Models/Repartos/MD_TB_RepartoClientes.js';
+import { RepartosUsuariosModel } from '../../Models/Repartos/MD_TB_RepartosUsuarios.js';
+import { RepartosReemplazosModel } from '../../Models/Repartos/MD_TB_RepartosReemplazos.js';
+import { RepartoSesionesModel } from '../../Models/Repartos/MD_TB_RepartoSesiones.js';
+import { ClientesModel } from '../../Models/Clientes/MD_TB_Clientes.js';
+import { ProductosModel } from '../../Models/Productos/MD_TB_Productos.js';
+import { CxcMovimientosModel } from '../../Models/CuentasCorriente/MD_TB_CxcMovimientos.js';
+import { CR_Venta_CTS } from '../Ventas/CTS_TB_Ventas.js';
+import { CR_CobranzaCliente_CTS } from '../Cobranzas/CTS_TB_CobranzasClientes.js';
+import { timeConfig } from '../../config/time.config.js';
+import { syncConfig } from '../../config/sync.config.js';
+import { nowMs } from '../../Utils/authoritativeTime.js';
+import { resolverHoraAtestada } from '../../Utils/timeAttestation.js';
+import { cargarContextoPrecios } from '../Precios/CTS_TB_Precios.js';
+
+const UUID_RE =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const CLIENTE_ATTRS = [
+  'id',
+  'nombre',
+  'documento',
+  'telefono',
+  'direccion_calle',
+  'direccion_numero',
+  'direccion_piso_dpto',
+  'referencia',
+  'latitud',
+  'longitud',
+  'barrio_id',
+  'vendedor_preferido_id',
+  'estado',
+  'updated_at'
+];
+
+const PRODUCTO_ATTRS = [
+  'id',
+  'nombre',
+  'codigo_sku',
+  'presentacion',
+  'pack_cantidad',
+  'pre_prod',
+  'iva_porcentaje',
+  'es_retornable',
+  'estado',
+  'updated_at'
+];
+
+// Handler que aplica cada tipo de registro offline
+const HANDLERS = {
+  venta: CR_Venta_CTS,
+  cobranza: CR_CobranzaCliente_CTS
+};
+
+// Un vendedor solo sincroniza repartos donde está asignado (chofer / ayudante)
+// Benjamin Orellana - 11-11-2026 - o donde hoy cubre un reemplazo vigente
+// Benjamin Orellana - 13-11-2026 - el rol del JWT es 'vendedor' (no 'V'); se usa también en el push
+async function tieneAccesoReparto(req, repartoId) {
+  if (req.user?.rol !== 'vendedor') return true;
+  if (!repartoId) return false;
+  const asignado = await RepartosUsuariosModel.findOne({
+    where: { reparto_id: repartoId, usuario_id: req.user.id, activo: true }
+  });
+  if (asignado) return true;
+
+  const hoy = new Date(nowMs());
+  const ymd = `${hoy.getFullYear()}-${String(hoy.getMonth() + 1).padStart(2, '0')}-${String(hoy.getDate()).padStart(2, '0')}`;
+  const reemplaza = await RepartosReemplazosModel.findOne({
+    where: {
+      reparto_id: repartoId,
+      usuario_id: req.user.id,
+      estado: 'activo',
+      fecha_desde: { [Op.lte]: ymd },
+      fecha_hasta: { [Op.gte]: ymd }
+    }
+  });
+  return !!reemplaza;
+}
+
+async function assertAccesoReparto(req, repartoId) {
+  if (!(await tieneAccesoReparto(req, repartoId))) {
+    const e = new Error('SYNC_REPARTO_NO_ASIGNADO');
+    e.status = 403;
+    throw e;
+  }
+}
+
+// Reparto de un registro offline: reparto_id explícito o el de su sesión
+async function repartoDelRegistro(datos) {
+  const repartoId = Number(datos?.reparto_id);
+  if (Number.isInteger(repartoId) && repartoId > 0) return repartoId;
+  const sesionId = Number(datos?.reparto_sesion_id);
+  if (!Number.isInteger(sesionId) || sesionId <= 0) return null;
+  const sesion = await RepartoSesionesModel.findByPk(sesionId, {
+    attributes: ['id', 'reparto_id']
+  });
+  return sesion ? Number(sesion.reparto_id) : null;
+}
+
+async function saldosDeClientes(clienteIds) {
+  if (!clienteIds.length) return [];
+  const rows = await CxcMovimientosModel.unscoped().findAll({
+    where: { cliente_id: { [Op.in]: clienteIds } },
+    attributes: ['cliente_id', [fn('SUM', literal('signo * monto')), 'saldo']],
+    group: ['cliente_id'],
+    raw: true
+  });
+  const map = new Map(
+    rows.map((r) => [
+      Number(r.cliente_id),
+      Number(Number(r.saldo || 0).toFixed(2))
+    ])
+  );
+  // Clientes sin movimientos también viajan (saldo 0): el dispositivo pisa su valor local
+  return clienteIds.map((id) => ({ cliente_id: id, saldo: map.get(id) || 0 }));
+}
+
+// ===============================
+// GET /sync/repartos/:id?cursor=<ms epoch>
+// ===============================
+export const OBR_SyncRepartoPull_CTS = async (req, res) => {
+  try {
+    const repartoId = Number(req.params.id);
+    if (!Number.isInteger(repartoId) || repartoId <= 0) {
+      return res.status(400).json({
+        code: 'BAD_REQUEST',
+        mensajeError: 'ID de reparto inválido.'
+      });
+    }
+
+    let desde = null;
+    if (req.query.cursor !== undefined && req.query.cursor !== '') {
+      const c = Number(req.query.cursor);
+      if (!Number.isFinite(c) || c <= 0) {
+        return res.status(400).json({
+          code: 'BAD_REQUEST',
+          mensajeError:
+            'cursor inválido (use el valor devuelto por el último pull).'
+        });
+      }
+      desde = new Date(c - syncConfig.margenCursorMs);
+    }
+
+    // El cursor se toma ANTES de leer: lo que cambie durante el armado viaja en el próximo pull
+    const serverNow = nowMs();
+
+    const reparto = await RepartosModel.findByPk(repartoId, {
+      attributes: ['id', 'nombre', 'ciudad_id', 'estado']
+    });
+    if (!reparto) {
+      return res.status(404).json({
+        code: 'NOT_FOUND',
+        mensajeError: 'Reparto no encontrado.'
+      });
+    }
+    await assertAccesoReparto(req, repartoId);
+
+    // ---------- Clientes ----------
+    const whereAsig = { reparto_id: repartoId };
+    if (desde) {
+      whereAsig[Op.or] = [
+        { updated_at: { [Op.gt]: desde } },
+        { '$cliente.updated_at$': { [Op.gt]: desde } }
+      ];
+    } else {
+      whereAsig.estado = 'activo';
+    }
+
+    const asignaciones = await RepartoClientesModel.findAll({
+      where: whereAsig,
+      include: [
+        {
+          model: ClientesModel,
+          as: 'cliente',
+          required: true,
+          attributes: CLIENTE_ATTRS,
+          ...(desde ? {} : { where: { estado: 'activo' } })
+        }
+      ],
+      order: [['numero_rango', 'ASC']]
+    });
+
+    const clientes = [];
+    const clientesBaja = [];
+    for (const a of asignaciones) {
+      if (a.estado !== 'activo' || a.cliente.estado !== 'activo') {
+        clientesBaja.push(Number(a.cliente_id));
+        continue;
+      }
+      clientes.push({
+        ...a.cliente.toJSON(),
+        numero_rango: a.numero_rango
+      });
+    }
+
+    // ---------- Saldos ----------
+    let idsSaldo;
+    let idsActivos;
+    if (!desde) {
+      idsActivos = clientes.map((c) => Number(c.id));
+      idsSaldo = idsActivos;
+    } else {
+      const activos = await RepartoClientesModel.findAll({
+        where: { reparto_id: repartoId, estado: 'activo' },
+        attributes: ['cliente_id'],
+        raw: true
+      });
+      idsActivos = activos.map((a) => Number(a.cliente_id));
+      const conMovs = idsActivos.length
+        ? await CxcMovimientosModel.unscoped().findAll({
+            where: {
+              cliente_id: { [Op.in]: idsActivos },
+              created_at: { [Op.gt]: desde }
+            },
+            attributes: ['cliente_id'],
+            group: ['cliente_id'],
+            raw: true
+          })
+        : [];
+      idsSaldo = [
+        ...new Set([
+          ...conMovs.map((m) => Number(m.cliente_id)),
+          ...clientes.map((c) => Number(c.id))
+        ])
+      ];
+    }
+    const saldos = await saldosDeClientes(idsSaldo);
+
+    // ---------- Productos ----------
+    const productosRows = await ProductosModel.findAll({
+      where: desde ? { updated_at: { [Op.gt]: desde } } : { estado: 'activo' },
+      attributes: PRODUCTO_ATTRS,
+      order: [['nombre', 'ASC']]
+    });
+    const productos = [];
+    const productosBaja = [];
+    for (const p of productosRows) {
+      if (p.estado !== 'activo') {
+        productosBaja.push(Number(p.id));
+        continue;
+      }
+      const { pre_prod, ...resto } = p.toJSON();
+      productos.push({ ...resto, precio: Number(pre_prod || 0) });
+    }
+
+    // ---------- Precios ----------
+    // Benjamin Orellana - 02-11-2026 - Un cambio en una lista no toca productos ni clientes,
+    // así que la tabla de precios se manda completa en cada pull (es chica).
+    const idsProductosActivos = (
+      await ProductosModel.findAll({
+        where: { estado: 'activo' },
+        attributes: ['id'],
+        raw: true
+      })
+    ).map((p) => Number(p.id));
+    const ctxPrecios = await cargarContextoPrecios({
+      fecha: serverNow,
+      productoIds: idsProductosActivos,
+      clienteIds: idsActivos,
+      reparto_id: repartoId
+    });
+
+    // Precio del reparto por producto + solo las excepciones por cliente
+    const precios = [];
+    const preciosClientes = [];
+    const precioReparto = new Map();
+    for (const pid of idsProductosActivos) {
+      const r = ctxPrecios.resolver(pid);
+      if (!r) continue;
+      precioReparto.set(pid, r.precio);
+      precios.push({ producto_id: pid, precio: r.precio, origen: r.origen });
+    }
+    for (const p of productos) {
+      if (precioReparto.has(Number(p.id))) p.precio = precioReparto.get(Number(p.id));
+    }
+    for (const cid of idsActivos) {
+      for (const pid of idsProductosActivos) {
+        const r = ctxPrecios.resolver(pid, cid);
+        if (!r || Math.abs(r.precio - (precioReparto.get(pid) ?? 0)) < 0.005) continue;
+        preciosClientes.push({
+          cliente_id: cid,
+          producto_id: pid,
+          precio: r.precio,
+          origen: r.origen
+        });
+      }
+    }
+
+    // ---------- Sesión abierta (si el chofer ya la abrió con señal) ----------
+    const sesion = await RepartoSesionesModel.findOne({
+      where: { reparto_id: repartoId, estado: 'abierta' },
+      attributes: ['id', 'fecha', 'turno', 'abierta_at'],
+      order: [['abierta_at', 'DESC']]
+    });
+
+    return res.json({
+      reparto,
+      completo: !desde,
+      server_time: serverNow,
+      cursor: String(serverNow),
+      limites: {
+        max_offline_ms: timeConfig.maxOfflineMs,
+        tolerance_ms: timeConfig.toleranceMs,
+        max_registros_lote: syncConfig.maxRegistrosPorLote
+      },
+      sesion_abierta: sesion,
+      clientes,
+      clientes_baja: clientesBaja,
+      productos,
+      productos_baja: productosBaja,
+      precios,
+      precios_clientes: preciosClientes,
+      saldos
+    });
+  } catch (err) {
+    if (err?.message === 'SYNC_REPARTO_NO_ASIGNADO') {
+      return res.status(403).json({
+        code: 'FORBIDDEN',
+        mensajeError: 'No está asignado a este reparto.'
+      });
+    }
+    console.error('OBR_SyncRepartoPull_CTS error:', err);
+    return res.status(500).json({
+      code: 'SERVER_ERROR',
+      mensajeError: 'No se pudo armar el snapshot del reparto.'
+    });
+  }
+};
+
+// ======================================================
+// Push: helpers
+// ======================================================
+
+// Ejecuta un handler Express con otro body y captura status + json.
+// antesDeCommit(t, { id }) corre dentro de la transacción del handler, justo antes del commit.
+async function invocarHandler(handler, req, body, antesDeCommit) {
+  const subReq = Object.create(req);
+  subReq.body = body;
+  subReq.params = {};
+  subReq.query = {};
+  subReq.antesDeCommit = antesDeCommit;
+
+  const captura = { status: 200, body: null };
+  const subRes = {
+    status(s) {
+      captura.status = s;
+      return subRes;
+    },
+    json(b) {
+      captura.body = b;
+      return subRes;
+    },
+    set() {
+      return subRes;
+    }
+  };
+
+  await handler(subReq, subRes);
+  return captura;
+}
+
+/**
+ * Reserva el UUID en sync_registros.
+ * - Nuevo → fila 'en_proceso'.
+ * - Ya aplicado → resultado 'duplicado' (no se reprocesa).
+ * - Otro push procesándolo → 'en_proceso' (pasado syncConfig.enProcesoTimeoutMs se reclama).
+ * - Rechazado / conflicto previo → se reintenta (el dispositivo pudo corregirlo).
+ */
+async function reservarRegistro(datos) {
+  try {
+    const row = await SyncRegistrosModel.create({
+      ...datos,
+      estado: 'en_proceso'
+    });
+    return { row };
+  } catch (err) {
+    if (err?.name !== 'SequelizeUniqueConstraintError') throw err;
+  }
+
+  const existente = await SyncRegistrosModel.findOne({
+    where: { uuid: datos.uuid }
+  });
+  if (!existente) return { resultado: { estado: 'en_proceso' } };
+
+  if (existente.tipo !== datos.tipo) {
+    return {
+      resultado: {
+        estado: 'rechazado',
+        code: 'SYNC_UUID_REUTILIZADO',
+        mensajeError: 'El UUID ya se usó para un registro de otro tipo.'
+      }
+    };
+  }
+  if (existente.estado === 'aplicado') {
+    return {
+      resultado: { estado: 'duplicado', entidad_id: existente.entidad_id }
+    };
+  }
+  // Un 'en_proceso' viejo es de un push que se cayó antes del commit
+  // (el commit lo hubiera dejado 'aplicado' en la misma transacción): se puede reclamar
+  const vencido =
+    new Date(existente.recibido_at).getTime() <
+    datos.recibido_at.getTime() - syncConfig.enProcesoTimeoutMs;
+  if (existente.estado === 'en_proceso' && !vencido) {
+    return { resultado: { estado: 'en_proceso' } };
+  }
+
+  // Reintento: solo un push gana la fila
+  const [n] = await SyncRegistrosModel.update(
+    {
+      ...datos,
+      estado: 'en_proceso',
+      codigo: null,
+      detalle: null,
+      entidad_id: null
+    },
+    {
+      where: {
+        id: existente.id,
+        [Op.or]: [
+          { estado: { [Op.in]: ['rechazado', 'conflicto'] } },
+          {
+            estado: 'en_proceso',
+            recibido_at: {
+              [Op.lt]: new Date(
+                datos.recibido_at.getTime() - syncConfig.enProcesoTimeoutMs
+              )
+            }
+          }
+        ]
+      }
+    }
+  );
+  if (!n) return { resultado: { estado: 'en_proceso' } };
+  await existente.reload();
+  return { row: existente };
+}
+
+// ===============================
+// POST /sync/push
+// body: {
+//   device_id?,
+//   registros: [{ uuid, tipo: 'venta'|'cobranza', device_at: <ms epoch>, datos: {...} }]
+// }
+// datos = mismo body que POST /ventas o POST /cobranzas-clientes (sin fecha:
+// la fecha de negocio es device_at corregida por el desfase del reloj del dispositivo).
+// Opcional por registro: atestacion (token / cadena de /time/attestation) + elapsed_ms.
+// ===============================
+export const CR_SyncPush_CTS = async (req, res) => {
+  const { device_id, registros } = req.body || {};
+
+  if (!Array.isArray(registros) || registros.length === 0) {
+    return res.status(400).json({
+      code: 'BAD_REQUEST',
+      mensajeError: 'registros debe ser un array con al menos un elemento.'
+    });
+  }
+  if (registros.length > syncConfig.maxRegistrosPorLote) {
+    return res.status(400).json({
+      code: 'BAD_REQUEST',
+      mensajeError: `Máximo ${syncConfig.maxRegistrosPorLote} registros por lote.`
+    });
+  }
+
+  try {
+    const serverNow = nowMs();
+
+    // Desfase del reloj del dispositivo (x-client-reported-time, mismo header que timeGuard)
+    const clientReported = Number(req.headers['x-client-reported-time']);
+    const skewMs = Number.isFinite(clientReported)
+      ? serverNow - clientReported
+      : 0;
+
+    const deviceId = device_id ? String(device_id).slice(0, 100) : null;
+    const usuarioId = req.user?.id ?? null;
+
+    // Orden cronológico del dispositivo (la venta antes que su cobranza)
+    const ordenados = registros
+      .map((r, idx) => ({ r: r || {}, idx }))
+      .sort(
+        (a, b) =>
+          (Number(a.r.device_at) || 0) - (Number(b.r.device_at) || 0) ||
+          a.idx - b.idx
+      );
+
+    const resultados = new Array(registros.length);
+    const vistos = new Set();
+
+    for (const { r, idx } of ordenados) {
+      const uuid = String(r.uuid || '')
+        .trim()
+        .toLowerCase();
+      const tipo = String(r.tipo || '').trim();
+      const base = { indice: idx, uuid: uuid || null, tipo: tipo || null };
+      const rechazar = (code, mensajeError, meta) => {
+        resultados[idx] = {
+          ...base,
+          estado: 'rechazado',
+          code,
+          mensajeError,
+          ...(meta ? { meta } : {})
+        };
+      };
+
+      if (!UUID_RE.test(uuid)) {
+        rechazar(
+          'BAD_REQUEST',
+          'uuid inválido (se espera un UUID generado en el dispositivo).'
+        );
+        continue;
+      }
+      if (!SYNC_TIPOS.includes(tipo)) {
+        rechazar(
+          'BAD_REQUEST',
+          `tipo inválido (use ${SYNC_TIPOS.join(' | ')}).`
+        );
+        continue;
+      }
+      if (vistos.has(uuid)) {
+        resultados[idx] = {
+          ...base,
+          estado: 'duplicado',
+          mensajeError: 'UUID repetido dentro del lote.'
+        };
+        continue;
+      }
+      vistos.add(uuid);
+
+      const deviceMs = Number(r.device_at);
+      if (!Number.isFinite(deviceMs) || deviceMs <= 0) {
+        rechazar('BAD_REQUEST', 'device_at es obligatorio (ms epoch).');
+        continue;
+      }
+
+      // Hora real estimada del registro y antigüedad contra la hora oficial.
+      // Benjamin Orellana - 01-11-2026 - Con atestación firmada la hora sale del token
+      // (+ elapsed_ms monotónico) y no del reloj del teléfono; en modo 'attested' es obligatoria.
+      let atestada = null;
+      if (r.atestacion) {
+        atestada = resolverHoraAtestada({
+          atestacion: r.atestacion,
+          elapsedMs: r.elapsed_ms ?? 0
+        });
+      } else if (timeConfig.guardMode === 'attested') {
+        atestada = { ok: false, code: 'TIME_ATTESTATION_REQUIRED' };
+      }
+      const registroMs = atestada?.ok ? atestada.horaMs : deviceMs + skewMs;
+      const edadMs = serverNow - registroMs;
+
+      const { row, resultado } = await reservarRegistro({
+        uuid,
+        tipo,
+        usuario_id: usuarioId,
+        device_id: deviceId,
+        device_at: new Date(deviceMs),
+        recibido_at: new Date(serverNow)
+      });
+      if (resultado) {
+        resultados[idx] = { ...base, ...resultado };
+        continue;
+      }
+
+      const cerrar = async (estado, extra) => {
+        await row.update({
+          estado,
+          entidad_id: extra.entidad_id ?? null,
+          codigo: extra.code ?? null,
+          detalle: extra.detalle ?? null
+        });
+      };
+
+      if (atestada && !atestada.ok) {
+        const meta = atestada.detalles || null;
+        await cerrar('rechazado', { code: atestada.code, detalle: meta });
+        rechazar(
+          atestada.code,
+          'La atestación de hora del registro no es válida.',
+          meta
+        );
+        continue;
+      }
+
+      if (edadMs < -timeConfig.toleranceMs) {
+        const meta = { edad_ms: edadMs, skew_ms: skewMs };
+        await cerrar('rechazado', { code: 'SYNC_FECHA_FUTURA', detalle: meta });
+        rechazar(
+          'SYNC_FECHA_FUTURA',
+          'La hora del registro es posterior a la hora oficial.',
+          meta
+        );
+        continue;
+      }
+      if (edadMs > timeConfig.maxOfflineMs) {
+        const meta = {
+          edad_ms: edadMs,
+          max_offline_ms: timeConfig.maxOfflineMs
+        };
+        await cerrar('rechazado', {
+          code: 'SYNC_OFFLINE_EXCEDIDO',
+          detalle: meta
+        });
+        rechazar(
+          'SYNC_OFFLINE_EXCEDIDO',
+          'El registro superó el tiempo máximo offline; debe cargarlo un administrativo.',
+          meta
+        );
+        continue;
+      }
+
+      // Benjamin Orellana - 13-11-2026 - El vendedor solo empuja registros de sus repartos
+      if (!(await tieneAccesoReparto(req, await repartoDelRegistro(r.datos)))) {
+        await cerrar('rechazado', { code: 'SYNC_REPARTO_NO_ASIGNADO' });
+        rechazar(
+          'SYNC_REPARTO_NO_ASIGNADO',
+          'El registro no indica un reparto (reparto_id / reparto_sesion_id) asignado al usuario.'
+        );
+        continue;
+      }
+
+      // El registro queda 'aplicado' en la misma transacción que la venta / cobranza
+      const marcarAplicado = (t, { id }) =>
+        row.update(
+          {
+            estado: 'aplicado',
+            entidad_id: id ?? null,
+            codigo: null,
+            detalle: null
+          },
+          { transaction: t }
+        );
+
+      let captura;
+      try {
+        captura = await invocarHandler(
+          HANDLERS[tipo],
+          req,
+          {
+            ...(r.datos || {}),
+            fecha: new Date(registroMs).toISOString()
+          },
+          marcarAplicado
+        );
+      } catch (err) {
+        console.error('CR_SyncPush_CTS registro error:', err);
+        captura = { status: 500, body: { code: 'SERVER_ERROR' } };
+      }
+
+      const { status, body } = captura;
+
+      if (status >= 500) {
+        // Solo se libera el UUID si el handler no llegó a commitear; si el
+        // commit ocurrió (5xx posterior) la fila ya quedó 'aplicado' y se informa así
+        const liberado = await SyncRegistrosModel.destroy({
+          where: { id: row.id, estado: 'en_proceso' }
+        }).catch(() => 0);
+        const aplicado = liberado
+          ? null
+          : await SyncRegistrosModel.findOne({
+              where: { id: row.id, estado: 'aplicado' }
+            }).catch(() => null);
+        if (aplicado) {
+          resultados[idx] = {
+            ...base,
+            estado: 'aplicado',
+            entidad_id: aplicado.entidad_id ?? null
+          };
+          continue;
+        }
+        resultados[idx] = {
+          ...base,
+          estado: 'error',
+          code: body?.code || 'SERVER_ERROR',
+          mensajeError: 'Error del servidor; reintente el registro.'
+        };
+        continue;
+      }
+
+      if (status >= 200 && status < 300) {
+        resultados[idx] = {
+          ...base,
+          estado: 'aplicado',
+          entidad_id: row.entidad_id ?? body?.id ?? null
+        };
+        continue;
+      }
+
+      // 409 = conflicto con el estado del server (stock, sesión cerrada, período cerrado)
+      const estado = status === 409 ? 'conflicto' : 'rechazado';
+      await cerrar(estado, {
+        code: body?.code || 'BAD_REQUEST',
+        detalle: {
+          status,
+          mensajeError: body?.mensajeError ?? null,
+          meta: body?.meta ?? null
+        }
+      });
+      resultados[idx] = {
+        ...base,
+        estado,
+        code: body?.code || 'BAD_REQUEST',
+        mensajeError: body?.mensajeError,
+        ...(body?.tips ? { tips: body.tips } : {}),
+        ...(body?.meta ? { meta: body.meta } : {})
+      };
+    }
+
+    const resumen = resultados.reduce((acc, r) => {
+      acc[r.estado] = (acc[r.estado] || 0) + 1;
+      return acc;
+    }, {});
+
+    return res.json({
+      server_time: serverNow,
+      skew_ms: skewMs,
+      resumen,
+      resultados
+    });
+  } catch (err) {
+    console.error('CR_SyncPush_CTS error:', err);
+    return res.status(500).json({
+      code: 'SERVER_ERROR',
+      mensajeError: 'No se pudo procesar el lote de sincronización.'
+    });
+  }
+};
@@ -0,0 +1,592 @@
+// ===============================================
+// FILE: Controllers/Vendedores/CTS_TB_VendedoresComisiones.js
+// ===============================================
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 12 / 11 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ *  Reglas de comisión por vendedor y cálculo de comisiones.
+ *  - GET   /vendedores/:id/comisiones/reglas?estado=activo|inactivo|todas
+ *  - POST  /vendedores/:id/comisiones/reglas
+ *          body: { tipo: contado|cobranza|producto, porcentaje?, producto_id?,
+ *                  monto_unitario?, vigente_desde?, vigente_hasta?, observaciones? }
+ *  - PUT   /vendedores/:id/comisiones/reglas/:reglaId
+ *  - PATCH /vendedores/:id/comisiones/reglas/:reglaId/estado   body: { estado }
+ *
+ *  calcularComisionesVendedor(): líneas comisionables hasta fin de mes que todavía
+ *  no están en una liquidación no anulada (lo atrasado del mes anterior entra
+ *  como arrastre). Contado comisiona al vender; fiado / a cuenta al cobrarse, en
+ *  proporción a lo aplicado de cada cobranza sobre el total de la venta.
+ *
+ * Tema: Vendedores / Comisiones
+ * Capa: Backend - Controllers/Vendedores
+ */
+
+import { Op } from 'sequelize';
+import db from '../../DataBase/db.js';
+
+import VendedoresModel from '../../Models/Vendedores/MD_TB_Vendedores.js';
+import {
+  VendedoresComisionesReglasModel,
+  TIPOS_REGLA_COMISION
+} from '../../Models/Vendedores/MD_TB_VendedoresComisionesReglas.js';
+import { ProductosModel } from '../../Models/Productos/MD_TB_Productos.js';
+import { getUsuarioId } from '../Stock/CTS_TB_Stock.js';
+import { nowMs } from '../../Utils/authoritativeTime.js';
+import { errorApi, responderError } from '../../Utils/errorApi.js';
+
+const round2 = (n) => Math.round((Number(n) + Number.EPSILON) * 100) / 100;
+const round3 = (n) => Math.round((Number(n) + Number.EPSILON) * 1000) / 1000;
+
+const pad2 = (n) => String(n).padStart(2, '0');
+
+const ymdLocal = (d) =>
+  `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())}`;
+
+const parseId = (v, campo) => {
+  const id = Number(v);
+  if (!Number.isInteger(id) || id <= 0) {
+    throw errorApi(400, 'BAD_REQUEST', `${campo} inválido.`);
+  }
+  return id;
+};
+
+const parseYmd = (v, campo) => {
+  const s = String(v ?? '');
+  const m = s.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  const d = m ? new Date(+m[1], +m[2] - 1, +m[3]) : null;
+  if (!d || d.getMonth() !== +m[2] - 1) {
+    throw errorApi(
+      400,
+      'BAD_REQUEST',
+      `${campo} inválida (use YYYY-MM-DD).`
+    );
+  }
+  return s;
+};
+
+const parseMonto = (v, campo) => {
+  if (v === undefined || v === null || v === '') return null;
+  const n = Number(v);
+  if (!Number.isFinite(n) || n < 0) {
+    throw errorApi(400, 'BAD_REQUEST', `${campo} inválido.`);
+  }
+  return round2(n);
+};
+
+export function normalizarPeriodo({ anio, mes } = {}) {
+  const hoy = new Date(nowMs());
+  const a = anio ? Number(anio) : hoy.getFullYear();
+  const m = mes ? Number(mes) : hoy.getMonth() + 1;
+  if (!Number.isInteger(a) || a < 2000 || a > 2100) {
+    throw errorApi(400, 'BAD_REQUEST', 'anio inválido.');
+  }
+  if (!Number.isInteger(m) || m < 1 || m > 12) {
+    throw errorApi(400, 'BAD_REQUEST', 'mes inválido (1-12).');
+  }
+  return {
+    anio: a,
+    mes: m,
+    inicio: new Date(a, m - 1, 1, 0, 0, 0, 0),
+    fin: new Date(a, m, 1, 0, 0, 0, 0)
+  };
+}
+
+/* ============================================================
+ * Reglas
+ * ============================================================ */
+
+const vigenteEn = (regla, ymd) =>
+  String(regla.vigente_desde) <= ymd &&
+  (!regla.vigente_hasta || String(regla.vigente_hasta) >= ymd);
+
+// Regla aplicable a una línea: la del producto le gana a la general
+export function reglaParaLinea(reglas, { tipo, producto_id, fecha }) {
+  const ymd = ymdLocal(new Date(fecha));
+  return (
+    reglas.find(
+      (r) =>
+        r.tipo === 'producto' &&
+        Number(r.producto_id) === Number(producto_id) &&
+        vigenteEn(r, ymd)
+    ) ||
+    reglas.find((r) => r.tipo === tipo && vigenteEn(r, ymd)) ||
+    null
+  );
+}
+
+const comisionDeLinea = (regla, { base, cantidad }) =>
+  regla.porcentaje != null
+    ? round2((base * Number(regla.porcentaje)) / 100)
+    : round2(cantidad * Number(regla.monto_unitario));
+
+async function assertSinSuperposicion(datos, { excluirId = null } = {}) {
+  if (datos.estado === 'inactivo') return;
+  const otra = await VendedoresComisionesReglasModel.findOne({
+    where: {
+      vendedor_id: datos.vendedor_id,
+      tipo: datos.tipo,
+      estado: 'activo',
+      ...(datos.tipo === 'producto' ? { producto_id: datos.producto_id } : {}),
+      ...(excluirId ? { id: { [Op.ne]: excluirId } } : {}),
+      ...(datos.vigente_hasta
+        ? { vigente_desde: { [Op.lte]: datos.vigente_hasta } }
+        : {}),
+      [Op.or]: [
+        { vigente_hasta: null },
+        { vigente_hasta: { [Op.gte]: datos.vigente_desde } }
+      ]
+    }
+  });
+  if (otra) {
+    throw errorApi(
+      409,
+      'REGLA_SUPERPUESTA',
+      'Ya hay una regla activa del mismo tipo con vigencia superpuesta; cerrá su vigencia (vigente_hasta) antes de cargar la nueva.',
+      { regla_id: otra.id }
+    );
+  }
+}
+
+async function assertVendedor(id) {
+  const vendedor = await VendedoresModel.findByPk(id, {
+    attributes: ['id', 'nombre', 'estado']
+  });
+  if (!vendedor) {
+    throw errorApi(404, 'NOT_FOUND', 'Vendedor no encontrado.');
+  }
+  return vendedor;
+}
+
+const incProducto = [
+  { model: ProductosModel, as: 'producto', attributes: ['id', 'nombre'] }
+];
+
+// ===============================
+// GET /vendedores/:id/comisiones/reglas
+// ===============================
+export const OBRS_VendedorComisionesReglas_CTS = async (req, res) => {
+  try {
+    const vendedorId = parseId(req.params.id, 'ID de vendedor');
+    await assertVendedor(vendedorId);
+
+    const estado = String(req.query.estado || 'activo');
+    const reglas = await VendedoresComisionesReglasModel.findAll({
+      where: {
+        vendedor_id: vendedorId,
+        ...(estado === 'todas'
+          ? {}
+          : { estado: estado === 'inactivo' ? 'inactivo' : 'activo' })
+      },
+      include: incProducto
+    });
+    return res.json(reglas);
+  } catch (err) {
+    return responderError(
+      res,
+      err,
+      'OBRS_VendedorComisionesReglas_CTS',
+      'No se pudieron listar las reglas de comisión.'
+    );
+  }
+};
+
+// ===============================
+// POST /vendedores/:id/comisiones/reglas
+// ===============================
+export const CR_VendedorComisionRegla_CTS = async (req, res) => {
+  const body = req.body || {};
+  try {
+    const vendedorId = parseId(req.params.id, 'ID de vendedor');
+    await assertVendedor(vendedorId);
+
+    const tipo = String(body.tipo || '');
+    if (!TIPOS_REGLA_COMISION.includes(tipo)) {
+      throw errorApi(
+        400,
+        'BAD_REQUEST',
+        `tipo inválido (use ${TIPOS_REGLA_COMISION.join(' | ')}).`
+      );
+    }
+
+    const datos = {
+      vendedor_id: vendedorId,
+      tipo,
+      producto_id:
+        tipo === 'producto' ? parseId(body.producto_id, 'producto_id') : null,
+      porcentaje: parseMonto(body.porcentaje, 'porcentaje'),
+      monto_unitario: parseMonto(body.monto_unitario, 'monto_unitario'),
+      vigente_desde: body.vigente_desde
+        ? parseYmd(body.vigente_desde, 'vigente_desde')
+        : ymdLocal(new Date(nowMs())),
+      vigente_hasta: body.vigente_hasta
+        ? parseYmd(body.vigente_hasta, 'vigente_hasta')
+        : null,
+      estado: 'activo',
+      observaciones: body.observaciones
+        ? String(body.observaciones).trim().slice(0, 255)
+        : null,
+      creado_por: getUsuarioId(req)
+    };
+
+    if (datos.producto_id) {
+      const producto = await ProductosModel.findByPk(datos.producto_id, {
+        attributes: ['id']
+      });
+      if (!producto) {
+        throw errorApi(404, 'NOT_FOUND', 'Producto no encontrado.');
+      }
+    }
+
+    await assertSinSuperposicion(datos);
+
+    const regla = await VendedoresComisionesReglasModel.create(datos);
+    const conInc = await VendedoresComisionesReglasModel.findByPk(regla.id, {
+      include: incProducto
+    });
+    return res.status(201).json(conInc);
+  } catch (err) {
+    if (err?.name === 'SequelizeValidationError') {
+      return res.status(400).json({
+        code: 'BAD_REQUEST',
+        mensajeError: err.errors?.[0]?.message || err.message
+      });
+    }
+    return responderError(
+      res,
+      err,
+      'CR_VendedorComisionRegla_CTS',
+      'No se pudo crear la regla de comisión.'
+    );
+  }
+};
+
+async function buscarRegla(req) {
+  const vendedorId = parseId(req.params.id, 'ID de vendedor');
+  const reglaId = parseId(req.params.reglaId, 'ID de regla');
+  const regla = await VendedoresComisionesReglasModel.findOne({
+    where: { id: reglaId, vendedor_id: vendedorId }
+  });
+  if (!regla) {
+    throw errorApi(404, 'NOT_FOUND', 'Regla de comisión no encontrada.');
+  }
+  return regla;
+}
+
+// ===============================
+// PUT /vendedores/:id/comisiones/reglas/:reglaId
+// (tipo y producto no cambian: para eso se carga otra regla)
+// ===============================
+export const UR_VendedorComisionRegla_CTS = async (req, res) => {
+  const body = req.body || {};
+  try {
+    const regla = await buscarRegla(req);
+
+    const cambios = {};
+    if (body.porcentaje !== undefined) {
+      cambios.porcentaje = parseMonto(body.porcentaje, 'porcentaje');
+    }
+    if (body.monto_unitario !== undefined) {
+      cambios.monto_unitario = parseMonto(
+        body.monto_unitario,
+        'monto_unitario'
+      );
+    }
+    if (body.vigente_desde !== undefined) {
+      cambios.vigente_desde = parseYmd(body.vigente_desde, 'vigente_desde');
+    }
+    if (body.vigente_hasta !== undefined) {
+      cambios.vigente_hasta = body.vigente_hasta
+        ? parseYmd(body.vigente_hasta, 'vigente_hasta')
+        : null;
+    }
+    if (body.observaciones !== undefined) {
+      cambios.observaciones = body.observaciones
+        ? String(body.observaciones).trim().slice(0, 255)
+        : null;
+    }
+
+    await assertSinSuperposicion(
+      {
+        vendedor_id: regla.vendedor_id,
+        tipo: regla.tipo,
+        producto_id: regla.producto_id,
+        estado: regla.estado,
+        vigente_desde: String(regla.vigente_desde),
+        vigente_hasta: regla.vigente_hasta ? String(regla.vigente_hasta) : null,
+        ...cambios
+      },
+      { excluirId: regla.id }
+    );
+
+    await regla.update(cambios);
+    const conInc = await VendedoresComisionesReglasModel.findByPk(regla.id, {
+      include: incProducto
+    });
+    return res.json(conInc);
+  } catch (err) {
+    if (err?.name === 'SequelizeValidationError') {
+      return res.status(400).json({
+        code: 'BAD_REQUEST',
+        mensajeError: err.errors?.[0]?.message || err.message
+      });
+    }
+    return responderError(
+      res,
+      err,
+      'UR_VendedorComisionRegla_CTS',
+      'No se pudo actualizar la regla de comisión.'
+    );
+  }
+};
+
+// ===============================
+// PATCH /vendedores/:id/comisiones/reglas/:reglaId/estado
+// ===============================
+export const UR_VendedorComisionRegla_Estado_CTS = async (req, res) => {
+  try {
+    const regla = await buscarRegla(req);
+    const estado = String(req.body?.estado || '');
+    if (!['activo', 'inactivo'].includes(estado)) {
+      throw errorApi(
+        400,
+        'BAD_REQUEST',
+        "estado inválido (use 'activo' | 'inactivo')."
+      );
+    }
+
+    if (estado === 'activo') {
+      await assertSinSuperposicion(
+        {
+          vendedor_id: regla.vendedor_id,
+          tipo: regla.tipo,
+          producto_id: regla.producto_id,
+          estado,
+          vigente_desde: String(regla.vigente_desde),
+          vigente_hasta: regla.vigente_hasta
+            ? String(regla.vigente_hasta)
+            : null
+        },
+        { excluirId: regla.id }
+      );
+    }
+
+    await regla.update({ estado });
+    return res.json({ message: 'Estado actualizado', regla });
+  } catch (err) {
+    return responderError(
+      res,
+      err,
+      'UR_VendedorComisionRegla_Estado_CTS',
+      'No se pudo cambiar el estado de la regla.'
+    );
+  }
+};
+
+/* ============================================================
+ * Cálculo
+ * ============================================================ */
+
+// Líneas ya incluidas en una liquidación vigente (emitida o pagada)
+const SQL_YA_LIQUIDADO = (campo, columna) => `
+  NOT EXISTS (
+    SELECT 1
+    FROM vendedores_liquidaciones_detalle d
+    JOIN vendedores_liquidaciones l ON l.id = d.liquidacion_id
+    WHERE d.${campo} = ${columna}
+      AND d.origen = :origen_${campo}
+      AND l.estado <> 'anulada'
+  )`;
+
+/**
+ * Comisiones pendientes de liquidar de un vendedor hasta el fin del período.
+ * Devuelve { vendedor_id, periodo, lineas, totales }. Cada línea trae la regla
+ * aplicada y `arrastre: true` si es de un mes anterior que quedó sin liquidar.
+ */
+export async function calcularComisionesVendedor({
+  vendedorId,
+  anio,
+  mes,
+  transaction
+}) {
+  const periodo = normalizarPeriodo({ anio, mes });
+  const vacio = {
+    vendedor_id: vendedorId,
+    periodo: { anio: periodo.anio, mes: periodo.mes },
+    lineas: [],
+    totales: {
+      lineas: 0,
+      base_contado: 0,
+      base_cobranza: 0,
+      comision_contado: 0,
+      comision_cobranza: 0,
+      total_comision: 0
+    }
+  };
+
+  const reglas = await VendedoresComisionesReglasModel.findAll({
+    where: { vendedor_id: vendedorId, estado: 'activo' },
+    transaction
+  });
+  if (!reglas.length) return vacio;
+
+  // Nada anterior a la primera regla comisiona
+  const desde = new Date(
+    `${reglas.map((r) => String(r.vigente_desde)).sort()[0]}T00:00:00`
+  );
+  const replacements = {
+    vendedor_id: vendedorId,
+    desde,
+    fin: periodo.fin,
+    origen_venta_detalle_id: 'contado',
+    origen_aplicacion_id: 'cobranza'
+  };
+
+  // 1) Ventas de contado: cada línea comisiona entera
+  const [contado] = await db.query(
+    `
+    SELECT v.id AS venta_id, v.fecha, v.cliente_id, c.nombre AS cliente_nombre,
+           vd.id AS venta_detalle_id, vd.producto_id, p.nombre AS producto_nombre,
+           vd.cantidad, COALESCE(vd.importe_neto, vd.subtotal) AS base
+    FROM ventas v
+    JOIN ventas_detalle vd ON vd.venta_id = v.id
+    LEFT JOIN clientes c ON c.id = v.cliente_id
+    LEFT JOIN productos p ON p.id = vd.producto_id
+    WHERE v.vendedor_id = :vendedor_id
+      AND v.estado = 'confirmada'
+      AND v.tipo = 'contado'
+      AND v.fecha >= :desde AND v.fecha < :fin
+      AND ${SQL_YA_LIQUIDADO('venta_detalle_id', 'vd.id')}
+    ORDER BY v.fecha, v.id, vd.id
+    `,
+    { replacements, transaction }
+  );
+
+  // 2) Cobranzas aplicadas a ventas fiado / a cuenta del vendedor
+  const [aplicaciones] = await db.query(
+    `
+    SELECT ca.id AS aplicacion_id, ca.cobranza_id, ca.venta_id, ca.monto_aplicado,
+           cc.fecha, v.total_neto, v.cliente_id, c.nombre AS cliente_nombre
+    FROM cobranza_aplicaciones ca
+    JOIN cobranzas_clientes cc ON cc.id = ca.cobranza_id
+    JOIN ventas v ON v.id = ca.venta_id
+    LEFT JOIN clientes c ON c.id = v.cliente_id
+    WHERE v.vendedor_id = :vendedor_id
+      AND v.estado = 'confirmada'
+      AND v.tipo <> 'contado'
+      AND ca.monto_aplicado > 0
+      AND cc.fecha >= :desde AND cc.fecha < :fin
+      AND ${SQL_YA_LIQUIDADO('aplicacion_id', 'ca.id')}
+    ORDER BY cc.fecha, ca.id
+    `,
+    { replacements, transaction }
+  );
+
+  const ventaIds = [...new Set(aplicaciones.map((a) => Number(a.venta_id)))];
+  const [detalles] = ventaIds.length
+    ? await db.query(
+        `
+        SELECT vd.id, vd.venta_id, vd.producto_id, p.nombre AS producto_nombre,
+               vd.cantidad, COALESCE(vd.importe_neto, vd.subtotal) AS base
+        FROM ventas_detalle vd
+        LEFT JOIN productos p ON p.id = vd.producto_id
+        WHERE vd.venta_id IN (:ventaIds)
+        ORDER BY vd.id
+        `,
+        { replacements: { ventaIds }, transaction }
+      )
+    : [[]];
+  const detallesPorVenta = new Map();
+  for (const d of detalles) {
+    const k = Number(d.venta_id);
+    if (!detallesPorVenta.has(k)) detallesPorVenta.set(k, []);
+    detallesPorVenta.get(k).push(d);
+  }
+
+  const lineas = [];
+  const agregar = (linea, tipoRegla) => {
+    const regla = reglaParaLinea(reglas, {
+      tipo: tipoRegla,
+      producto_id: linea.producto_id,
+      fecha: linea.fecha
+    });
+    if (!regla) return; // sin regla vigente a esa fecha: no comisiona
+    lineas.push({
+      ...linea,
+      regla_id: regla.id,
+      regla_tipo: regla.tipo,
+      porcentaje: regla.porcentaje ?? null,
+      monto_unitario: regla.monto_unitario ?? null,
+      comision: comisionDeLinea(regla, linea),
+      arrastre: new Date(linea.fecha) < periodo.inicio
+    });
+  };
+
+  for (const r of contado) {
+    agregar(
+      {
+        origen: 'contado',
+        fecha: r.fecha,
+        venta_id: Number(r.venta_id),
+        venta_detalle_id: Number(r.venta_detalle_id),
+        cobranza_id: null,
+        aplicacion_id: null,
+        cliente_id: r.cliente_id ? Number(r.cliente_id) : null,
+        cliente_nombre: r.cliente_nombre ?? null,
+        producto_id: r.producto_id ? Number(r.producto_id) : null,
+        producto_nombre: r.producto_nombre ?? null,
+        cantidad: Number(r.cantidad),
+        base: round2(r.base)
+      },
+      'contado'
+    );
+  }
+
+  for (const a of aplicaciones) {
+    const items = detallesPorVenta.get(Number(a.venta_id)) || [];
+    const totalVenta = Number(a.total_neto);
+    if (!items.length || !(totalVenta > 0)) continue;
+
+    // Lo aplicado se reparte entre las líneas en proporción; el redondeo va a la última
+    const cobrado = round2(Math.min(Number(a.monto_aplicado), totalVenta));
+    const fraccion = cobrado / totalVenta;
+    let repartido = 0;
+    items.forEach((d, i) => {
+      const base =
+        i === items.length - 1
+          ? round2(cobrado - repartido)
+          : round2(Number(d.base) * fraccion);
+      repartido = round2(repartido + base);
+      agregar(
+        {
+          origen: 'cobranza',
+          fecha: a.fecha,
+          venta_id: Number(a.venta_id),
+          venta_detalle_id: Number(d.id),
+          cobranza_id: Number(a.cobranza_id),
+          aplicacion_id: Number(a.aplicacion_id),
+          cliente_id: a.cliente_id ? Number(a.cliente_id) : null,
+          cliente_nombre: a.cliente_nombre ?? null,
+          producto_id: d.producto_id ? Number(d.producto_id) : null,
+          producto_nombre: d.producto_nombre ?? null,
+          cantidad: round3(Number(d.cantidad) * fraccion),
+          base
+        },
+        'cobranza'
+      );
+    });
+  }
+
+  const totales = { ...vacio.totales, lineas: lineas.length };
+  for (const l of lineas) {
+    totales[`base_${l.origen}`] = round2(totales[`base_${l.origen}`] + l.base);
+    totales[`comision_${l.origen}`] = round2(
+      totales[`comision_${l.origen}`] + l.comision
+    );
+    totales.total_comision = round2(totales.total_comision + l.comision);
+  }
+
+  return { ...vacio, lineas, totales };
+}
@@ -0,0 +1,758 @@
+// ===============================================
+// FILE: Controllers/Vendedores/CTS_TB_VendedoresLiquidaciones.js
+// ===============================================
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 12 / 11 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ *  Liquidación mensual de comisiones de vendedores.
+ *  - POST  /vendedores-liquidaciones            → vista previa (no graba nada)
+ *  - POST  /vendedores-liquidaciones?commit=1   → emite y congela las liquidaciones
+ *          body: { anio, mes, vendedor_id?, observaciones? }
+ *          Sin vendedor_id liquida a todos los que tienen reglas activas.
+ *  - GET   /vendedores-liquidaciones?vendedor_id=&anio=&mes=&estado=&page=&limit=
+ *  - GET   /vendedores-liquidaciones/:id          (con detalle)
+ *  - PATCH /vendedores-liquidaciones/:id/pagar    body: { referencia?, observaciones? }
+ *  - PATCH /vendedores-liquidaciones/:id/anular   body: { motivo }
+ *  - GET   /vendedores-liquidaciones/:id/pdf
+ *  - GET   /vendedores-liquidaciones/:id/xlsx
+ *
+ *  Solo se emiten meses terminados. Una liquidación no anulada por vendedor y
+ *  período; al anularla sus líneas vuelven a quedar pendientes.
+ *
+ * Tema: Vendedores / Comisiones
+ * Capa: Backend - Controllers/Vendedores
+ */
+
+import dotenv from 'dotenv';
+import XLSX from 'xlsx';
+import { Op } from 'sequelize';
+import db from '../../DataBase/db.js';
+
+import VendedoresModel from '../../Models/Vendedores/MD_TB_Vendedores.js';
+import { VendedoresComisionesReglasModel } from '../../Models/Vendedores/MD_TB_VendedoresComisionesReglas.js';
+import { VendedoresLiquidacionesModel } from '../../Models/Vendedores/MD_TB_VendedoresLiquidaciones.js';
+import { VendedoresLiquidacionesDetalleModel } from '../../Models/Vendedores/MD_TB_VendedoresLiquidacionesDetalle.js';
+import {
+  calcularComisionesVendedor,
+  normalizarPeriodo
+} from './CTS_TB_VendedoresComisiones.js';
+import { getUsuarioId } from '../Stock/CTS_TB_Stock.js';
+import { nowMs } from '../../Utils/authoritativeTime.js';
+import { errorApi, responderError } from '../../Utils/errorApi.js';
+
+import puppeteer from 'puppeteer';
+
+if (process.env.NODE_ENV !== 'production') {
+  dotenv.config();
+}
+
+/* ============================================================
+ * Helpers
+ * ============================================================ */
+
+const pad2 = (n) => String(n).padStart(2, '0');
+
+const MESES = [
+  'Enero',
+  'Febrero',
+  'Marzo',
+  'Abril',
+  'Mayo',
+  'Junio',
+  'Julio',
+  'Agosto',
+  'Septiembre',
+  'Octubre',
+  'Noviembre',
+  'Diciembre'
+];
+
+const ORIGEN_LABEL = { contado: 'Contado', cobranza: 'Cobrado' };
+
+function moneyAR(n) {
+  return (Number(n) || 0).toLocaleString('es-AR', {
+    style: 'currency',
+    currency: 'ARS',
+    minimumFractionDigits: 2
+  });
+}
+
+function fmtFecha(iso) {
+  if (!iso) return '—';
+  const d = new Date(iso);
+  if (Number.isNaN(d.getTime())) return iso;
+  return d.toLocaleDateString('es-AR', {
+    day: '2-digit',
+    month: '2-digit',
+    year: 'numeric'
+  });
+}
+
+const escapeHtml = (s) =>
+  String(s ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const parseId = (v, campo) => {
+  const id = Number(v);
+  if (!Number.isInteger(id) || id <= 0) {
+    throw errorApi(400, 'BAD_REQUEST', `${campo} inválido.`);
+  }
+  return id;
+};
+
+const reglaTexto = (l) =>
+  l.porcentaje != null
+    ? `${String(l.porcentaje).replace('.', ',')}%`
+    : `${moneyAR(l.monto_unitario)} x u.`;
+
+const nombreArchivo = (liq, ext) =>
+  `liquidacion-comisiones_${liq.id}_${liq.anio}-${pad2(liq.mes)}.${ext}`;
+
+const incLiquidacion = [
+  { model: VendedoresModel, as: 'vendedor', attributes: ['id', 'nombre'] }
+];
+
+async function obtenerLiquidacion(id, { detalle = false } = {}) {
+  const liq = await VendedoresLiquidacionesModel.findByPk(id, {
+    include: [
+      ...incLiquidacion,
+      ...(detalle
+        ? [{ model: VendedoresLiquidacionesDetalleModel, as: 'detalle' }]
+        : [])
+    ],
+    order: detalle
+      ? [
+          [
+            { model: VendedoresLiquidacionesDetalleModel, as: 'detalle' },
+            'fecha',
+            'ASC'
+          ],
+          [
+            { model: VendedoresLiquidacionesDetalleModel, as: 'detalle' },
+            'id',
+            'ASC'
+          ]
+        ]
+      : undefined
+  });
+  if (!liq) {
+    throw errorApi(404, 'NOT_FOUND', 'Liquidación no encontrada.');
+  }
+  return liq;
+}
+
+/* ============================================================
+ * POST /vendedores-liquidaciones  (?commit=1 emite)
+ * ============================================================ */
+export const CR_VendedoresLiquidaciones_CTS = async (req, res) => {
+  const body = req.body || {};
+  const commit = String(req.query.commit || '') === '1';
+  let t;
+  try {
+    const periodo = normalizarPeriodo({ anio: body.anio, mes: body.mes });
+    if (commit && periodo.fin.getTime() > nowMs()) {
+      throw errorApi(
+        400,
+        'PERIODO_NO_FINALIZADO',
+        'Solo se pueden emitir liquidaciones de meses terminados (la vista previa sí admite el mes en curso).'
+      );
+    }
+
+    let vendedorIds;
+    if (body.vendedor_id != null && body.vendedor_id !== '') {
+      vendedorIds = [parseId(body.vendedor_id, 'vendedor_id')];
+      const existe = await VendedoresModel.findByPk(vendedorIds[0], {
+        attributes: ['id']
+      });
+      if (!existe) {
+        throw errorApi(404, 'NOT_FOUND', 'Vendedor no encontrado.');
+      }
+    } else {
+      const conReglas = await VendedoresComisionesReglasModel.findAll({
+        where: { estado: 'activo' },
+        attributes: ['vendedor_id'],
+        group: ['vendedor_id'],
+        raw: true
+      });
+      vendedorIds = conReglas.map((r) => Number(r.vendedor_id));
+    }
+    vendedorIds.sort((a, b) => a - b);
+
+    const observaciones = body.observaciones
+      ? String(body.observaciones).trim().slice(0, 255)
+      : null;
+
+    if (commit) t = await db.transaction();
+
+    const resultados = [];
+    for (const vendedorId of vendedorIds) {
+      // En commit se bloquea al vendedor: dos emisiones del mismo período no se pisan
+      const vendedor = await VendedoresModel.findByPk(vendedorId, {
+        attributes: ['id', 'nombre'],
+        transaction: t,
+        ...(commit ? { lock: t.LOCK.UPDATE } : {})
+      });
+
+      const existente = await VendedoresLiquidacionesModel.findOne({
+        where: {
+          vendedor_id: vendedorId,
+          anio: periodo.anio,
+          mes: periodo.mes,
+          estado: { [Op.ne]: 'anulada' }
+        },
+        attributes: ['id', 'estado'],
+        transaction: t
+      });
+      if (existente) {
+        resultados.push({
+          vendedor_id: vendedorId,
+          vendedor: vendedor?.nombre ?? null,
+          resultado: 'ya_liquidado',
+          liquidacion_id: existente.id,
+          estado: existente.estado
+        });
+        continue;
+      }
+
+      const calc = await calcularComisionesVendedor({
+        vendedorId,
+        anio: periodo.anio,
+        mes: periodo.mes,
+        transaction: t
+      });
+      if (!calc.lineas.length) {
+        resultados.push({
+          vendedor_id: vendedorId,
+          vendedor: vendedor?.nombre ?? null,
+          resultado: 'sin_comisiones',
+          totales: calc.totales
+        });
+        continue;
+      }
+
+      const item = {
+        vendedor_id: vendedorId,
+        vendedor: vendedor?.nombre ?? null,
+        resultado: commit ? 'emitida' : 'a_emitir',
+        totales: calc.totales,
+        lineas: calc.lineas
+      };
+
+      if (commit) {
+        const liq = await VendedoresLiquidacionesModel.create(
+          {
+            vendedor_id: vendedorId,
+            anio: periodo.anio,
+            mes: periodo.mes,
+            estado: 'emitida',
+            lineas: calc.totales.lineas,
+            base_contado: calc.totales.base_contado,
+            base_cobranza: calc.totales.base_cobranza,
+            comision_contado: calc.totales.comision_contado,
+            comision_cobranza: calc.totales.comision_cobranza,
+            total_comision: calc.totales.total_comision,
+            observaciones,
+            emitida_at: new Date(nowMs()),
+            emitida_por: getUsuarioId(req)
+          },
+          { transaction: t }
+        );
+        await VendedoresLiquidacionesDetalleModel.bulkCreate(
+          calc.lineas.map(({ arrastre, ...l }) => ({
+            ...l,
+            liquidacion_id: liq.id
+          })),
+          { transaction: t }
+        );
+        item.liquidacion_id = liq.id;
+      }
+      resultados.push(item);
+    }
+
+    if (commit) await t.commit();
+
+    const emitidas = resultados.filter((r) => r.resultado === 'emitida');
+    return res.status(commit && emitidas.length ? 201 : 200).json({
+      modo: commit ? 'commit' : 'dry-run',
+      periodo: { anio: periodo.anio, mes: periodo.mes },
+      resumen: {
+        vendedores: resultados.length,
+        liquidaciones: resultados.filter((r) => r.lineas).length,
+        total_comision: resultados.reduce(
+          (acc, r) =>
+            r.lineas
+              ? Math.round((acc + r.totales.total_comision) * 100) / 100
+              : acc,
+          0
+        )
+      },
+      resultados
+    });
+  } catch (err) {
+    try {
+      if (t && !t.finished) await t.rollback();
+    } catch {
+      /* nada */
+    }
+    return responderError(
+      res,
+      err,
+      'CR_VendedoresLiquidaciones_CTS',
+      'No se pudo liquidar las comisiones.'
+    );
+  }
+};
+
+/* ============================================================
+ * GET /vendedores-liquidaciones
+ * ============================================================ */
+export const OBRS_VendedoresLiquidaciones_CTS = async (req, res) => {
+  try {
+    const q = req.query || {};
+    const page = Math.max(Number.parseInt(q.page, 10) || 1, 1);
+    const limit = Math.min(
+      Math.max(Number.parseInt(q.limit, 10) || 20, 1),
+      100
+    );
+
+    const where = {};
+    if (q.vendedor_id)
+      where.vendedor_id = parseId(q.vendedor_id, 'vendedor_id');
+    if (q.anio) where.anio = parseId(q.anio, 'anio');
+    if (q.mes) where.mes = parseId(q.mes, 'mes');
+    if (['emitida', 'pagada', 'anulada'].includes(String(q.estado))) {
+      where.estado = String(q.estado);
+    }
+
+    const { rows, count } = await VendedoresLiquidacionesModel.findAndCountAll({
+      where,
+      include: incLiquidacion,
+      limit,
+      offset: (page - 1) * limit,
+      distinct: true
+    });
+
+    return res.json({
+      data: rows,
+      meta: {
+        total: count,
+        page,
+        limit,
+        totalPages: Math.max(Math.ceil(count / limit), 1)
+      }
+    });
+  } catch (err) {
+    return responderError(
+      res,
+      err,
+      'OBRS_VendedoresLiquidaciones_CTS',
+      'No se pudieron listar las liquidaciones.'
+    );
+  }
+};
+
+/* ============================================================
+ * GET /vendedores-liquidaciones/:id
+ * ============================================================ */
+export const OBR_VendedorLiquidacion_CTS = async (req, res) => {
+  try {
+    const liq = await obtenerLiquidacion(parseId(req.params.id, 'ID'), {
+      detalle: true
+    });
+    return res.json(liq);
+  } catch (err) {
+    return responderError(
+      res,
+      err,
+      'OBR_VendedorLiquidacion_CTS',
+      'No se pudo obtener la liquidación.'
+    );
+  }
+};
+
+/* ============================================================
+ * PATCH /vendedores-liquidaciones/:id/pagar
+ * ============================================================ */
+export const UR_VendedorLiquidacion_Pagar_CTS = async (req, res) => {
+  try {
+    const liq = await obtenerLiquidacion(parseId(req.params.id, 'ID'));
+    if (liq.estado !== 'emitida') {
+      throw errorApi(
+        409,
+        liq.estado === 'pagada' ? 'LIQUIDACION_PAGADA' : 'LIQUIDACION_ANULADA',
+        `La liquidación está ${liq.estado}.`
+      );
+    }
+
+    const body = req.body || {};
+    await liq.update({
+      estado: 'pagada',
+      pagada_at: new Date(nowMs()),
+      pagada_por: getUsuarioId(req),
+      pago_referencia: body.referencia
+        ? String(body.referencia).trim().slice(0, 80)
+        : null,
+      ...(body.observaciones
+        ? { observaciones: String(body.observaciones).trim().slice(0, 255) }
+        : {})
+    });
+    return res.json({ message: 'Liquidación pagada', liquidacion: liq });
+  } catch (err) {
+    return responderError(
+      res,
+      err,
+      'UR_VendedorLiquidacion_Pagar_CTS',
+      'No se pudo marcar la liquidación como pagada.'
+    );
+  }
+};
+
+/* ============================================================
+ * PATCH /vendedores-liquidaciones/:id/anular
+ * ============================================================ */
+export const UR_VendedorLiquidacion_Anular_CTS = async (req, res) => {
+  try {
+    const liq = await obtenerLiquidacion(parseId(req.params.id, 'ID'));
+    if (liq.estado !== 'emitida') {
+      throw errorApi(
+        409,
+        liq.estado === 'pagada' ? 'LIQUIDACION_PAGADA' : 'LIQUIDACION_ANULADA',
+        liq.estado === 'pagada'
+          ? 'Una liquidación pagada no se puede anular.'
+          : 'La liquidación ya estaba anulada.'
+      );
+    }
+
+    const motivo = String(req.body?.motivo || '').trim();
+    if (!motivo) {
+      throw errorApi(
+        400,
+        'BAD_REQUEST',
+        'El motivo de la anulación es obligatorio.'
+      );
+    }
+
+    await liq.update({
+      estado: 'anulada',
+      anulada_at: new Date(nowMs()),
+      anulada_por: getUsuarioId(req),
+      anulacion_motivo: motivo.slice(0, 255)
+    });
+    return res.json({ message: 'Liquidación anulada', liquidacion: liq });
+  } catch (err) {
+    return responderError(
+      res,
+      err,
+      'UR_VendedorLiquidacion_Anular_CTS',
+      'No se pudo anular la liquidación.'
+    );
+  }
+};
+
+/* ============================================================
+ * Builder HTML para PDF
+ * ============================================================ */
+function buildLiquidacionHtml(liq) {
+  const periodoTxt = `${MESES[liq.mes - 1]} ${liq.anio}`;
+  const emitida = new Date(liq.emitida_at).toLocaleString('es-AR', {
+    day: '2-digit',
+    month: '2-digit',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+
+  const estadoTxt =
+    liq.estado === 'pagada'
+      ? `Pagada el ${fmtFecha(liq.pagada_at)}${liq.pago_referencia ? ` · Ref. ${escapeHtml(liq.pago_referencia)}` : ''}`
+      : liq.estado === 'anulada'
+        ? `ANULADA · ${escapeHtml(liq.anulacion_motivo || '')}`
+        : 'Emitida · pendiente de pago';
+
+  const filas = (liq.detalle || [])
+    .map(
+      (l) => `
+        <tr>
+          <td>${fmtFecha(l.fecha)}</td>
+          <td>${ORIGEN_LABEL[l.origen]}</td>
+          <td>#${l.venta_id}${l.cobranza_id ? ` <span class="muted">(cob. #${l.cobranza_id})</span>` : ''}</td>
+          <td>${escapeHtml(l.cliente_nombre || '')}</td>
+          <td>${escapeHtml(l.producto_nombre || '')}</td>
+          <td class="text-right">${Number(l.cantidad).toLocaleString('es-AR')}</td>
+          <td class="text-right">${moneyAR(l.base)}</td>
+          <td class="text-right">${reglaTexto(l)}</td>
+          <td class="text-right">${moneyAR(l.comision)}</td>
+        </tr>`
+    )
+    .join('\n');
+
+  return `
+<!DOCTYPE html>
+<html lang="es">
+<head>
+<meta charset="utf-8" />
+<title>Liquidación de comisiones #${liq.id}</title>
+<style>
+  @page { size: A4; margin: 12mm 10mm 18mm 10mm; }
+  * { box-sizing: border-box; }
+  body {
+    margin: 0;
+    font-family: system-ui,-apple-system,BlinkMacSystemFont,"Segoe UI",sans-serif;
+    font-size: 10px;
+    color: #111827;
+  }
+  .wrapper { padding: 10mm 4mm 12mm 4mm; }
+  .header {
+    display: flex;
+    justify-content: space-between;
+    align-items: flex-start;
+    margin-bottom: 12px;
+    padding-bottom: 8px;
+    border-bottom: 1px solid #e5e7eb;
+  }
+  .logo-small {
+    font-size: 9px;
+    letter-spacing: 0.18em;
+    text-transform: uppercase;
+    color: #6b7280;
+  }
+  h1 { margin: 2px 0 4px 0; font-size: 18px; }
+  .muted { color: #6b7280; font-size: 9px; }
+  .anulada { color: #b91c1c; font-weight: 600; }
+  .kpis { display: flex; gap: 8px; margin-bottom: 12px; }
+  .kpi { flex: 1; border: 1px solid #e5e7eb; border-radius: 6px; padding: 6px 8px; }
+  .kpi-label { font-size: 9px; text-transform: uppercase; color: #6b7280; }
+  .kpi-valor { font-size: 13px; font-weight: 600; }
+  table { width: 100%; border-collapse: collapse; }
+  th {
+    text-align: left;
+    font-size: 8px;
+    text-transform: uppercase;
+    color: #6b7280;
+    border-bottom: 1px solid #d1d5db;
+    padding: 4px;
+  }
+  td { padding: 3px 4px; border-bottom: 1px solid #f3f4f6; vertical-align: top; }
+  tr { page-break-inside: avoid; }
+  .text-right { text-align: right; }
+  .fila-total td { background: #f9fafb; font-weight: 600; }
+  .firmas { display: flex; gap: 40px; margin-top: 40px; }
+  .firma { flex: 1; border-top: 1px solid #9ca3af; padding-top: 4px; text-align: center; color: #6b7280; }
+</style>
+</head>
+<body>
+  <div class="wrapper">
+    <div class="header">
+      <div>
+        <div class="logo-small">Comisiones</div>
+        <h1>Liquidación #${liq.id} · ${escapeHtml(liq.vendedor?.nombre || `Vendedor #${liq.vendedor_id}`)}</h1>
+        <div class="muted">Período: ${periodoTxt} · Emitida: ${emitida}</div>
+      </div>
+      <div class="${liq.estado === 'anulada' ? 'anulada' : 'muted'}">${estadoTxt}</div>
+    </div>
+
+    <div class="kpis">
+      <div class="kpi">
+        <div class="kpi-label">Contado (base / comisión)</div>
+        <div class="kpi-valor">${moneyAR(liq.base_contado)} / ${moneyAR(liq.comision_contado)}</div>
+      </div>
+      <div class="kpi">
+        <div class="kpi-label">Cobrado (base / comisión)</div>
+        <div class="kpi-valor">${moneyAR(liq.base_cobranza)} / ${moneyAR(liq.comision_cobranza)}</div>
+      </div>
+      <div class="kpi">
+        <div class="kpi-label">Total a pagar</div>
+        <div class="kpi-valor">${moneyAR(liq.total_comision)}</div>
+      </div>
+    </div>
+
+    <table>
+      <thead>
+        <tr>
+          <th>Fecha</th>
+          <th>Origen</th>
+          <th>Venta</th>
+          <th>Cliente</th>
+          <th>Producto</th>
+          <th class="text-right">Cant.</th>
+          <th class="text-right">Base</th>
+          <th class="text-right">Regla</th>
+          <th class="text-right">Comisión</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${filas}
+        <tr class="fila-total">
+          <td colspan="6">Total (${liq.lineas} líneas)</td>
+          <td class="text-right">${moneyAR(Number(liq.base_contado) + Number(liq.base_cobranza))}</td>
+          <td></td>
+          <td class="text-right">${moneyAR(liq.total_comision)}</td>
+        </tr>
+      </tbody>
+    </table>
+
+    ${liq.observaciones ? `<p class="muted">Observaciones: ${escapeHtml(liq.observaciones)}</p>` : ''}
+
+    <div class="firmas">
+      <div class="firma">Firma vendedor</div>
+      <div class="firma">Firma responsable</div>
+    </div>
+  </div>
+</body>
+</html>`;
+}
+
+/* ============================================================
+ * GET /vendedores-liquidaciones/:id/pdf
+ * ============================================================ */
+export const OBR_VendedorLiquidacionPDF_CTS = async (req, res) => {
+  try {
+    const liq = await obtenerLiquidacion(parseId(req.params.id, 'ID'), {
+      detalle: true
+    });
+    const html = buildLiquidacionHtml(liq);
+
+    const browser = await puppeteer.launch({
+      headless: 'new',
+      args: ['--no-sandbox', '--disable-setuid-sandbox']
+    });
+
+    let pdfBuffer;
+    try {
+      const page = await browser.newPage();
+      await page.setContent(html, { waitUntil: 'networkidle0' });
+
+      pdfBuffer = await page.pdf({
+        format: 'A4',
+        printBackground: true,
+        margin: { top: '12mm', bottom: '18mm', left: '10mm', right: '10mm' }
+      });
+    } finally {
+      await browser.close();
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader(
+      'Content-Disposition',
+      `inline; filename="${nombreArchivo(liq, 'pdf')}"`
+    );
+    return res.send(pdfBuffer);
+  } catch (err) {
+    return responderError(
+      res,
+      err,
+      'OBR_VendedorLiquidacionPDF_CTS',
+      'No se pudo generar el PDF de la liquidación.'
+    );
+  }
+};
+
+/* ============================================================
+ * GET /vendedores-liquidaciones/:id/xlsx
+ * ============================================================ */
+export const OBR_VendedorLiquidacionXLSX_CTS = async (req, res) => {
+  try {
+    const liq = await obtenerLiquidacion(parseId(req.params.id, 'ID'), {
+      detalle: true
+    });
+
+    const filas = [
+      [`Liquidación de comisiones #${liq.id}`],
+      ['Vendedor', liq.vendedor?.nombre || `#${liq.vendedor_id}`],
+      ['Período', `${MESES[liq.mes - 1]} ${liq.anio}`],
+      ['Estado', liq.estado],
+      [],
+      [
+        'Fecha',
+        'Origen',
+        'Venta',
+        'Cobranza',
+        'Cliente',
+        'Producto',
+        'Cantidad',
+        'Base',
+        'Regla',
+        '%',
+        'Monto x u.',
+        'Comisión'
+      ],
+      ...(liq.detalle || []).map((l) => [
+        new Date(l.fecha),
+        ORIGEN_LABEL[l.origen],
+        l.venta_id,
+        l.cobranza_id ?? '',
+        l.cliente_nombre || '',
+        l.producto_nombre || '',
+        l.cantidad,
+        l.base,
+        l.regla_tipo,
+        l.porcentaje ?? '',
+        l.monto_unitario ?? '',
+        l.comision
+      ]),
+      [],
+      [
+        'Base contado',
+        liq.base_contado,
+        '',
+        'Comisión contado',
+        liq.comision_contado
+      ],
+      [
+        'Base cobrado',
+        liq.base_cobranza,
+        '',
+        'Comisión cobrado',
+        liq.comision_cobranza
+      ],
+      ['', '', '', 'Total a pagar', liq.total_comision]
+    ];
+
+    const ws = XLSX.utils.aoa_to_sheet(filas, { cellDates: true });
+    ws['!cols'] = [
+      { wch: 12 },
+      { wch: 10 },
+      { wch: 8 },
+      { wch: 9 },
+      { wch: 28 },
+      { wch: 24 },
+      { wch: 9 },
+      { wch: 12 },
+      { wch: 10 },
+      { wch: 6 },
+      { wch: 10 },
+      { wch: 12 }
+    ];
+
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(
+      wb,
+      ws,
+      `Comisiones ${liq.anio}-${pad2(liq.mes)}`
+    );
+    const buffer = XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' });
+
+    res.setHeader(
+      'Content-Type',
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+    );
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename="${nombreArchivo(liq, 'xlsx')}"`
+    );
+    return res.send(buffer);
+  } catch (err) {
+    return responderError(
+      res,
+      err,
+      'OBR_VendedorLiquidacionXLSX_CTS',
+      'No se pudo generar el XLSX de la liquidación.'
+    );
+  }
+};
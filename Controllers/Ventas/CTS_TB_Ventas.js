@@ -30,6 +30,9 @@ import db from '../../DataBase/db.js';
 
 import VentasModel from '../../Models/Ventas/MD_TB_Ventas.js';
 import VentasDetalleModel from '../../Models/Ventas/MD_TB_VentasDetalle.js';
+import { VentasIvaModel } from '../../Models/Ventas/MD_TB_VentasIva.js';
+import { ProductosModel } from '../../Models/Productos/MD_TB_Productos.js';
+import { calcularIva } from '../../Utils/iva.js';
 
 import ClientesModel from '../../Models/Clientes/MD_TB_Clientes.js';
 import { VendedoresModel } from '../../Models/Vendedores/MD_TB_Vendedores.js';
@@ -41,6 +44,41 @@ import CxcMovimientosModel from '../../Models/CuentasCorriente/MD_TB_CxcMovimien
 import { CobranzaAplicacionesModel } from '../../Models/Cobranzas/MD_TB_CobranzaAplicaciones.js';
 import { RepartosModel } from '../../Models/Repartos/MD_TB_Repartos.js';
 import { registrarCobranzaACuentaPorVenta } from '../Cobranzas/CTS_TB_CobranzasClientes.js';
+import { registrarEnvasesPorVenta } from '../Envases/CTS_TB_EnvasesMovimientos.js';
+import {
+  descontarStockPorVenta,
+  reponerStockPorVenta,
+  getUsuarioId
+} from '../Stock/CTS_TB_Stock.js';
+import {
+  registrarAuditoria,
+  snapshotVenta
+} from '../Auditoria/CTS_TB_Auditoria.js';
+import {
+  obtenerUltimoCierreCxC,
+  fechaCorteCxC,
+  responderPeriodoCxcCerrado
+} from '../Cobranzas/CTS_TB_CxcCierres.js';
+import {
+  resolverSesionAbierta,
+  registrarVisitaEnSesion,
+  responderErrorSesion
+} from '../Repartos/CTS_TB_RepartoSesiones.js';
+import {
+  aplicarPreciosALineas,
+  responderPrecioFueraTolerancia
+} from '../Precios/CTS_TB_Precios.js';
+import {
+  calcularDescuentos,
+  cargarPromocionesVigentes,
+  normalizarDescuentoManual
+} from '../Promociones/CTS_TB_Promociones.js';
+import {
+  assertVentaNoFacturada,
+  responderVentaFacturada
+} from '../Facturacion/CTS_TB_Facturacion.js';
+import { VentasComprobantesModel } from '../../Models/Ventas/MD_TB_VentasComprobantes.js';
+import { CxcNotasModel } from '../../Models/CuentasCorriente/MD_TB_CxcNotas.js';
 // -------- includes (cliente con geo) + vendedor + items opcionales --------
 const incClienteGeo = {
   model: ClientesModel,
@@ -86,7 +124,22 @@ const incVendedor = {
 const incItems = {
   model: VentasDetalleModel,
   as: 'items',
-  attributes: ['id', 'producto_id', 'cantidad', 'precio_unit', 'subtotal']
+  attributes: [
+    'id',
+    'producto_id',
+    'cantidad',
+    'precio_unit',
+    'subtotal',
+    // Benjamin Orellana - 04-11-2026 - Bruto (subtotal) vs neto con descuentos
+    'promocion_id',
+    'descuento_linea',
+    'descuento_venta',
+    'importe_neto',
+    // Benjamin Orellana - 05-11-2026 - IVA por línea
+    'iva_porcentaje',
+    'neto_gravado',
+    'iva_monto'
+  ]
 };
 
 // -------- utils --------
@@ -115,10 +168,13 @@ const coerceTipo = (x) =>
   ['contado', 'fiado', 'a_cuenta'].includes(String(x)) ? String(x) : 'fiado';
 
 // Validar ítem para creación (cuando POST /ventas viene con items[])
+// Benjamin Orellana - 02-11-2026 - precio_unit opcional: si no viene lo resuelve aplicarPreciosALineas
 const validarItemForCreate = (it, idx = 0) => {
   const producto_id = normInt(it.producto_id);
   const cantidad = Number(it.cantidad);
-  const precio_unit = Number(it.precio_unit);
+  const sinPrecio =
+    it.precio_unit === undefined || it.precio_unit === null || it.precio_unit === '';
+  const precio_unit = sinPrecio ? null : Number(it.precio_unit);
 
   if (!Number.isFinite(producto_id) || producto_id <= 0) {
     const e = new Error(`Ítem #${idx + 1}: producto_id inválido.`);
@@ -130,13 +186,19 @@ const validarItemForCreate = (it, idx = 0) => {
     e.status = 400;
     throw e;
   }
-  if (!Number.isFinite(precio_unit) || precio_unit < 0) {
+  if (!sinPrecio && (!Number.isFinite(precio_unit) || precio_unit < 0)) {
     const e = new Error(`Ítem #${idx + 1}: precio_unit debe ser ≥ 0.`);
     e.status = 400;
     throw e;
   }
 
-  return { producto_id, cantidad, precio_unit };
+  return {
+    producto_id,
+    cantidad,
+    precio_unit,
+    // Benjamin Orellana - 04-11-2026 - Descuento manual de la línea (opcional)
+    ...normalizarDescuentoManual(it, `Ítem #${idx + 1}`)
+  };
 };
 
 // -------- validaciones de entidades --------
@@ -200,29 +262,85 @@ async function registrarCxcPorVenta(venta, t, descripcionExtra = '') {
 
 
 // Recalcula total_neto sumando subtotales del detalle (ROUND por línea)
-export async function recalcVentaTotal(ventaId, t) {
+// Benjamin Orellana - 04-11-2026 - Aplica descuentos manuales y promociones vigentes a la fecha
+// de la venta; deja el desglose en cada línea y total_bruto / total_descuentos en la cabecera.
+// Si el que llama ya tiene la instancia de la venta la pasa en opts.venta (queda actualizada).
+// Benjamin Orellana - 05-11-2026 - También desglosa IVA por línea y por alícuota (ventas_iva).
+export async function recalcVentaTotal(ventaId, t, { venta = null } = {}) {
   const items = await VentasDetalleModel.findAll({
     where: { venta_id: ventaId },
     transaction: t,
     raw: true
   });
 
-  const total = moneyRound(
-    items.reduce(
-      (acc, it) =>
-        acc + moneyRound(Number(it.cantidad) * Number(it.precio_unit)),
-      0
-    )
-  );
-
-  const v = await VentasModel.findByPk(ventaId, { transaction: t });
+  const v = venta || (await VentasModel.findByPk(ventaId, { transaction: t }));
   if (!v) {
     const e = new Error('VENTA_NO_ENCONTRADA');
     e.status = 404;
     throw e;
   }
 
-  await v.update({ total_neto: total }, { transaction: t });
+  const promociones = await cargarPromocionesVigentes(
+    { fecha: v.fecha, cliente_id: v.cliente_id },
+    t
+  );
+  const r = calcularDescuentos({ lineas: items, venta: v, promociones });
+
+  // Alícuota: la que quedó fijada en la línea o, si es nueva, la actual del producto
+  const sinAlicuota = r.lineas.filter((ln) => ln.iva_porcentaje == null);
+  if (sinAlicuota.length) {
+    const prods = await ProductosModel.findAll({
+      where: { id: { [Op.in]: sinAlicuota.map((ln) => ln.producto_id) } },
+      attributes: ['id', 'iva_porcentaje'],
+      raw: true,
+      transaction: t
+    });
+    const ivaPorProducto = new Map(
+      prods.map((p) => [Number(p.id), Number(p.iva_porcentaje ?? 0)])
+    );
+    for (const ln of sinAlicuota) {
+      ln.iva_porcentaje = ivaPorProducto.get(Number(ln.producto_id)) ?? 0;
+    }
+  }
+  const fiscal = calcularIva(r.lineas);
+
+  for (const ln of fiscal.lineas) {
+    await VentasDetalleModel.update(
+      {
+        promocion_id: ln.promocion_id,
+        descuento_linea: ln.descuento_linea,
+        descuento_venta: ln.descuento_venta,
+        importe_neto: ln.importe_neto,
+        iva_porcentaje: ln.iva_porcentaje,
+        neto_gravado: ln.neto_gravado,
+        iva_monto: ln.iva_monto
+      },
+      { where: { id: ln.id }, transaction: t }
+    );
+  }
+
+  await VentasIvaModel.destroy({ where: { venta_id: ventaId }, transaction: t });
+  if (fiscal.alicuotas.length) {
+    await VentasIvaModel.bulkCreate(
+      fiscal.alicuotas.map((a) => ({ ...a, venta_id: ventaId })),
+      { transaction: t }
+    );
+  }
+
+  // Con precios IVA incluido fiscal.total === r.total_neto; si no, total_neto suma el IVA
+  const total = fiscal.total;
+  await v.update(
+    {
+      total_bruto: r.total_bruto,
+      total_descuentos: r.total_descuentos,
+      total_neto: total,
+      promocion_id: r.promocion_id,
+      neto_gravado: fiscal.neto_gravado,
+      neto_no_gravado: fiscal.neto_no_gravado,
+      iva_total: fiscal.iva_total
+    },
+    { transaction: t }
+  );
   return total;
 }
 
@@ -437,7 +555,28 @@ export const OBR_Venta_CTS = async (req, res) => {
     }
 
     const venta = await VentasModel.findByPk(id, {
-      include: [incClienteGeo, incVendedor, incItems]
+      include: [
+        incClienteGeo,
+        incVendedor,
+        incItems,
+        // Benjamin Orellana - 06-11-2026 - Factura emitida (null si no se facturó)
+        {
+          model: VentasComprobantesModel,
+          as: 'comprobante',
+          attributes: [
+            'id',
+            'letra',
+            'cbte_tipo',
+            'punto_venta',
+            'numero',
+            'fecha_emision',
+            'cae',
+            'cae_vencimiento'
+          ],
+          where: { estado: 'autorizado' },
+          required: false
+        }
+      ]
     });
 
     if (!venta) {
@@ -476,7 +615,12 @@ export const CR_Venta_CTS = async (req, res) => {
     // Benjamin Orellana - 17-01-2026
     // Nuevo: reparto_id (snapshot para filtrar por reparto)
     // ======================================================
-    reparto_id
+    reparto_id,
+    // Benjamin Orellana - 30-10-2026 - Sesión de reparto (jornada del chofer)
+    reparto_sesion_id,
+    // Benjamin Orellana - 04-11-2026 - Descuento manual sobre toda la venta
+    descuento_pct,
+    descuento_monto
   } = req.body || {};
 
   const cliId = normInt(cliente_id);
@@ -486,7 +630,7 @@ export const CR_Venta_CTS = async (req, res) => {
   // Benjamin Orellana - 17-01-2026
   // Normalizamos reparto_id (si viene)
   // ======================================================
-  const repartoIdIn =
+  let repartoIdIn =
     reparto_id === null || reparto_id === undefined || reparto_id === ''
       ? null
       : Number(reparto_id);
@@ -500,6 +644,19 @@ export const CR_Venta_CTS = async (req, res) => {
     }
   }
 
+  const sesionIdIn = normOptInt(reparto_sesion_id);
+  if (
+    reparto_sesion_id !== undefined &&
+    reparto_sesion_id !== null &&
+    reparto_sesion_id !== '' &&
+    !sesionIdIn
+  ) {
+    return res.status(400).json({
+      code: 'BAD_REQUEST',
+      mensajeError: 'reparto_sesion_id debe ser numérico.'
+    });
+  }
+
   if (!Number.isFinite(cliId) || !Number.isFinite(vendId)) {
     return res.status(400).json({
       code: 'BAD_REQUEST',
@@ -515,6 +672,16 @@ export const CR_Venta_CTS = async (req, res) => {
     });
   }
 
+  let descuentoVenta;
+  try {
+    descuentoVenta = normalizarDescuentoManual({ descuento_pct, descuento_monto });
+  } catch (err) {
+    return res.status(400).json({
+      code: 'BAD_REQUEST',
+      mensajeError: err.message
+    });
+  }
+
   // ======================================================
   // Benjamin Orellana - 17-01-2026
   // Normalizamos a cuenta entrante (si viene)
@@ -532,6 +699,16 @@ export const CR_Venta_CTS = async (req, res) => {
     await validarCliente(cliId, t);
     await validarVendedorActivo(vendId, t);
 
+    // Benjamin Orellana - 30-10-2026 - La sesión debe estar abierta; si no vino reparto_id se toma de la sesión
+    if (sesionIdIn) {
+      const sesion = await resolverSesionAbierta(
+        sesionIdIn,
+        { reparto_id: repartoIdIn },
+        t
+      );
+      repartoIdIn = sesion.reparto_id;
+    }
+
     // ======================================================
     // Benjamin Orellana - 17-01-2026
     // Validar reparto si vino (existencia + estado)
@@ -563,8 +740,10 @@ export const CR_Venta_CTS = async (req, res) => {
         // Persistimos reparto_id en venta (snapshot)
         // ======================================================
         reparto_id: repartoIdIn,
+        reparto_sesion_id: sesionIdIn,
         fecha: fechaDT,
         tipo: tipoFinal,
+        ...descuentoVenta,
         total_neto: 0,
         // IMPORTANTE: arrancamos en 0; el aCuenta real lo aplicará registrarCobranzaACuentaPorVenta
         monto_a_cuenta: 0,
@@ -578,21 +757,36 @@ export const CR_Venta_CTS = async (req, res) => {
     let total = 0;
 
     if (Array.isArray(items) && items.length > 0) {
-      const rows = items.map((it, i) => ({
-        ...validarItemForCreate(it, i),
-        venta_id: venta.id
-      }));
+      // Benjamin Orellana - 02-11-2026 - Precio resuelto por lista/cliente y control de desvío
+      const lineas = await aplicarPreciosALineas(
+        items.map((it, i) => validarItemForCreate(it, i)),
+        { cliente_id: cliId, reparto_id: repartoIdIn, fecha: fechaDT },
+        t
+      );
+      const rows = lineas.map((ln) => ({ ...ln, venta_id: venta.id }));
+
+      const detallesCreados = await VentasDetalleModel.bulkCreate(rows, {
+        transaction: t
+      });
 
-      await VentasDetalleModel.bulkCreate(rows, { transaction: t });
+      // ======================================================
+      // Benjamin Orellana - 19-10-2026
+      // Libro de envases: por cada línea retornable registramos entregados
+      // (default = cantidad) y devueltos (items[].envases_devueltos).
+      // ======================================================
+      await registrarEnvasesPorVenta(
+        { venta, lineas: items, detalles: detallesCreados },
+        t
+      );
 
-      total = rows.reduce(
-        (acc, r) =>
-          acc + moneyRound(Number(r.cantidad) * Number(r.precio_unit)),
-        0
+      // Benjamin Orellana - 20-10-2026 - Descuento de stock (camión del reparto o depósito)
+      await descontarStockPorVenta(
+        { venta, detalles: detallesCreados, usuario_id: getUsuarioId(req) },
+        t
       );
-      total = moneyRound(total);
 
-      await venta.update({ total_neto: total }, { transaction: t });
+      // Benjamin Orellana - 04-11-2026 - Total con descuentos / promociones
+      total = await recalcVentaTotal(venta.id, t, { venta });
 
       // ======================================================
       // Benjamin Orellana - 18-01-2026
@@ -633,12 +827,43 @@ export const CR_Venta_CTS = async (req, res) => {
           fecha: fechaDT,
           montoACuenta: aCuentaIn,
           venta_id: venta.id,
-          observacionesExtra: `Pago inicial a cuenta · Venta #${venta.id}`
+          observacionesExtra: `Pago inicial a cuenta · Venta #${venta.id}`,
+          reparto_sesion_id: sesionIdIn
         },
         t
       );
     }
 
+    // Benjamin Orellana - 30-10-2026 - Check-in automático del cliente en la sesión
+    if (sesionIdIn) {
+      await registrarVisitaEnSesion(
+        {
+          sesion_id: sesionIdIn,
+          cliente_id: cliId,
+          resultado: 'vendido',
+          venta_id: venta.id,
+          usuario_id: getUsuarioId(req)
+        },
+        t
+      );
+    }
+
+    // Benjamin Orellana - 23-10-2026 - Auditoría (misma transacción)
+    await registrarAuditoria(
+      {
+        req,
+        accion: 'crear',
+        entidad: 'venta',
+        entidad_id: venta.id,
+        despues: await snapshotVenta(venta.id, t)
+      },
+      t
+    );
+
+    // Benjamin Orellana - 13-11-2026 - Hook del push offline (marca el registro de
+    // sync como aplicado) y de Idempotency-Key, dentro de esta misma transacción
+    if (req.antesDeCommit) await req.antesDeCommit(t, { id: venta.id });
+
     await t.commit();
 
     const full = await VentasModel.findByPk(venta.id, {
@@ -667,6 +892,22 @@ export const CR_Venta_CTS = async (req, res) => {
         mensajeError: 'El reparto está inactivo.'
       });
     }
+    if (err?.message === 'STOCK_INSUFICIENTE') {
+      return res.status(409).json({
+        code: 'STOCK_INSUFICIENTE',
+        mensajeError: 'No hay stock suficiente para confirmar la venta.',
+        meta: err.meta
+      });
+    }
+
+    // Benjamin Orellana - 30-10-2026 - Sesión de reparto inexistente / cerrada / de otro reparto
+    const errSesion = responderErrorSesion(res, err);
+    if (errSesion) return errSesion;
+
+    // Benjamin Orellana - 02-11-2026 - Precio fuera de tolerancia (modo 'rechazar')
+    if (err?.message === 'PRECIO_FUERA_TOLERANCIA') {
+      return responderPrecioFueraTolerancia(res, err);
+    }
 
     if (err?.status === 400) {
       return res.status(400).json({
@@ -675,6 +916,10 @@ export const CR_Venta_CTS = async (req, res) => {
       });
     }
 
+    // Benjamin Orellana - 25-10-2026 - Movimiento CxC con fecha dentro de un mes cerrado
+    const errCierre = responderPeriodoCxcCerrado(res, err);
+    if (errCierre) return errCierre;
+
     console.error('CR_Venta_CTS error:', err);
     return res.status(500).json({
       code: 'SERVER_ERROR',
@@ -734,15 +979,6 @@ export const UR_Venta_CTS = async (req, res) => {
     fechaDT = f;
   }
 
-  if (estado !== undefined) {
-    if (!['confirmada', 'anulada'].includes(String(estado))) {
-      return res.status(400).json({
-        code: 'BAD_REQUEST',
-        mensajeError: "Estado inválido (use 'confirmada'|'anulada')."
-      });
-    }
-  }
-
   const t = await db.transaction();
   try {
     const venta = await VentasModel.findByPk(id, { transaction: t });
@@ -752,6 +988,23 @@ export const UR_Venta_CTS = async (req, res) => {
       throw e;
     }
 
+    // Benjamin Orellana - 13-11-2026 - El estado no se edita por PUT: anular repone
+    // stock (PATCH /ventas/:id/anular) y una venta anulada no se reactiva.
+    // Se tolera reenviar el estado actual (formularios que mandan la cabecera completa).
+    if (estado !== undefined && String(estado) !== venta.estado) {
+      const e = new Error('ESTADO_NO_EDITABLE');
+      e.status = 400;
+      throw e;
+    }
+
+    // Benjamin Orellana - 06-11-2026 - Con factura emitida no cambian cliente ni fecha
+    if (cliId !== null || fechaDT !== null) {
+      await assertVentaNoFacturada(id, t);
+    }
+
+    // Benjamin Orellana - 23-10-2026 - Foto previa para auditoría
+    const antes = await snapshotVenta(id, t);
+
     const patch = {};
 
     if (cliId !== null) {
@@ -769,11 +1022,20 @@ export const UR_Venta_CTS = async (req, res) => {
     if (observaciones !== undefined) {
       patch.observaciones = observaciones?.trim?.() || null;
     }
-    if (estado !== undefined) {
-      patch.estado = String(estado);
-    }
-
     await venta.update(patch, { transaction: t });
+
+    await registrarAuditoria(
+      {
+        req,
+        accion: 'modificar',
+        entidad: 'venta',
+        entidad_id: id,
+        antes,
+        despues: await snapshotVenta(id, t)
+      },
+      t
+    );
+
     await t.commit();
 
     const full = await VentasModel.findByPk(id, {
@@ -810,6 +1072,16 @@ export const UR_Venta_CTS = async (req, res) => {
         mensajeError: 'Venta no encontrada.'
       });
     }
+    if (err?.message === 'VENTA_FACTURADA') {
+      return responderVentaFacturada(res, err);
+    }
+    if (err?.message === 'ESTADO_NO_EDITABLE') {
+      return res.status(400).json({
+        code: 'BAD_REQUEST',
+        mensajeError:
+          'El estado no se modifica por PUT. Para anular use PATCH /ventas/:id/anular.'
+      });
+    }
 
     console.error('UR_Venta_CTS error:', err);
     return res.status(500).json({
@@ -823,17 +1095,23 @@ export const UR_Venta_CTS = async (req, res) => {
 // PATCH /ventas/:id/anular
 // ===============================
 export const UR_Venta_Anular_CTS = async (req, res) => {
-  try {
-    const id = normInt(req.params.id);
-    if (!Number.isFinite(id)) {
-      return res.status(400).json({
-        code: 'BAD_REQUEST',
-        mensajeError: 'ID inválido.'
-      });
-    }
+  const id = normInt(req.params.id);
+  if (!Number.isFinite(id)) {
+    return res.status(400).json({
+      code: 'BAD_REQUEST',
+      mensajeError: 'ID inválido.'
+    });
+  }
 
-    const venta = await VentasModel.findByPk(id);
+  // Benjamin Orellana - 20-10-2026 - Transaccional: anula + repone stock en bloque
+  const t = await db.transaction();
+  try {
+    const venta = await VentasModel.findByPk(id, {
+      transaction: t,
+      lock: t.LOCK.UPDATE
+    });
     if (!venta) {
+      await t.rollback();
       return res.status(404).json({
         code: 'NOT_FOUND',
         mensajeError: 'Venta no encontrada.'
@@ -842,10 +1120,32 @@ export const UR_Venta_Anular_CTS = async (req, res) => {
 
     if (venta.estado === 'anulada') {
       // Idempotente
+      await t.rollback();
       return res.json(venta);
     }
 
-    await venta.update({ estado: 'anulada' });
+    // Benjamin Orellana - 06-11-2026 - Venta facturada: se revierte con nota de crédito
+    await assertVentaNoFacturada(id, t);
+
+    const antes = await snapshotVenta(id, t);
+
+    await venta.update({ estado: 'anulada' }, { transaction: t });
+    await reponerStockPorVenta(venta, t, getUsuarioId(req));
+
+    // Benjamin Orellana - 23-10-2026 - Auditoría de la anulación
+    await registrarAuditoria(
+      {
+        req,
+        accion: 'anular',
+        entidad: 'venta',
+        entidad_id: id,
+        antes,
+        despues: await snapshotVenta(id, t)
+      },
+      t
+    );
+
+    await t.commit();
 
     const full = await VentasModel.findByPk(id, {
       include: [incClienteGeo, incVendedor, incItems]
@@ -853,6 +1153,12 @@ export const UR_Venta_Anular_CTS = async (req, res) => {
 
     return res.json(full || venta);
   } catch (err) {
+    try {
+      if (!t.finished) await t.rollback();
+    } catch {}
+    if (err?.message === 'VENTA_FACTURADA') {
+      return responderVentaFacturada(res, err);
+    }
     console.error('UR_Venta_Anular_CTS error:', err);
     return res.status(500).json({
       code: 'SERVER_ERROR',
@@ -877,19 +1183,62 @@ export const ER_Venta_CTS = async (req, res) => {
 
   const t = await db.transaction();
   try {
-    const venta = await VentasModel.findByPk(id, { transaction: t });
+    const venta = await VentasModel.findByPk(id, {
+      transaction: t,
+      lock: t.LOCK.UPDATE
+    });
     if (!venta) {
       const e = new Error('VENTA_NO_ENCONTRADA');
       e.status = 404;
       throw e;
     }
 
+    // Benjamin Orellana - 06-11-2026 - Venta facturada: ni anulación ni baja física
+    await assertVentaNoFacturada(id, t);
+
+    // Benjamin Orellana - 13-11-2026 - La baja física dejaría las notas CxC vinculadas
+    // sin venta (FK ON DELETE SET NULL) y su movimiento CxC sin respaldo.
+    if (hard) {
+      const notas = await CxcNotasModel.unscoped().findAll({
+        where: { venta_id: id, estado: { [Op.in]: ['pendiente', 'aprobada'] } },
+        attributes: ['id', 'tipo', 'numero', 'estado'],
+        transaction: t,
+        raw: true
+      });
+      if (notas.length) {
+        const e = new Error('VENTA_CON_NOTAS');
+        e.status = 409;
+        e.meta = { notas };
+        throw e;
+      }
+    }
+
+    // Benjamin Orellana - 23-10-2026 - Foto previa para auditoría
+    const antes = await snapshotVenta(id, t);
+
+    // Benjamin Orellana - 20-10-2026 - Reposición de stock (idempotente si ya estaba anulada)
+    if (venta.estado !== 'anulada') {
+      await reponerStockPorVenta(venta, t, getUsuarioId(req));
+    }
+
     if (!hard) {
       await venta.update({ estado: 'anulada' }, { transaction: t });
     } else {
       await venta.destroy({ transaction: t }); // detalle ON DELETE CASCADE
     }
 
+    await registrarAuditoria(
+      {
+        req,
+        accion: hard ? 'eliminar' : 'anular',
+        entidad: 'venta',
+        entidad_id: id,
+        antes,
+        despues: hard ? null : await snapshotVenta(id, t)
+      },
+      t
+    );
+
     await t.commit();
     return hard ? res.status(204).send() : res.json(venta);
   } catch (err) {
@@ -904,6 +1253,19 @@ export const ER_Venta_CTS = async (req, res) => {
       });
     }
 
+    if (err?.message === 'VENTA_FACTURADA') {
+      return responderVentaFacturada(res, err);
+    }
+
+    if (err?.message === 'VENTA_CON_NOTAS') {
+      return res.status(409).json({
+        code: 'VENTA_CON_NOTAS',
+        mensajeError:
+          'La venta tiene notas de crédito / débito vinculadas; anúlela en lugar de eliminarla.',
+        meta: err.meta
+      });
+    }
+
     console.error('ER_Venta_CTS error:', err);
     return res.status(500).json({
       code: 'SERVER_ERROR',
@@ -926,7 +1288,25 @@ export const UR_Venta_RecalcularTotal_CTS = async (req, res) => {
 
   const t = await db.transaction();
   try {
+    // Benjamin Orellana - 06-11-2026 - Los importes facturados quedan fijos
+    await assertVentaNoFacturada(ventaId, t);
+
+    const antes = await snapshotVenta(ventaId, t);
     const total = await recalcVentaTotal(ventaId, t);
+
+    // Benjamin Orellana - 23-10-2026 - Auditoría del recálculo (cambia total_neto)
+    await registrarAuditoria(
+      {
+        req,
+        accion: 'modificar',
+        entidad: 'venta',
+        entidad_id: ventaId,
+        antes,
+        despues: await snapshotVenta(ventaId, t)
+      },
+      t
+    );
+
     await t.commit();
     return res.json({ ok: true, total_neto: total });
   } catch (err) {
@@ -934,6 +1314,10 @@ export const UR_Venta_RecalcularTotal_CTS = async (req, res) => {
       if (!t.finished) await t.rollback();
     } catch {}
 
+    if (err?.message === 'VENTA_FACTURADA') {
+      return responderVentaFacturada(res, err);
+    }
+
     const st = err?.status || 500;
     const code =
       st === 404
@@ -952,8 +1336,15 @@ export const UR_Venta_RecalcularTotal_CTS = async (req, res) => {
   }
 };
 export const CR_VentasReparto_Masiva_CTS = async (req, res) => {
-  const { reparto_id, fecha, tipo, vendedor_id, observaciones, items } =
-    req.body || {};
+  const {
+    reparto_id,
+    fecha,
+    tipo,
+    vendedor_id,
+    observaciones,
+    items,
+    reparto_sesion_id // Benjamin Orellana - 30-10-2026 - Sesión de reparto (opcional)
+  } = req.body || {};
 
   console.log(
     '[REPARTO-MASIVA] INICIO handler',
@@ -966,7 +1357,8 @@ export const CR_VentasReparto_Masiva_CTS = async (req, res) => {
   );
 
   const vendId = normInt(vendedor_id);
-  const repId = normInt(reparto_id, null);
+  let repId = normInt(reparto_id, null);
+  const sesionIdIn = normOptInt(reparto_sesion_id);
 
   // Validaciones básicas
   if (!Number.isFinite(vendId)) {
@@ -976,6 +1368,18 @@ export const CR_VentasReparto_Masiva_CTS = async (req, res) => {
     });
   }
 
+  if (
+    reparto_sesion_id !== undefined &&
+    reparto_sesion_id !== null &&
+    reparto_sesion_id !== '' &&
+    !sesionIdIn
+  ) {
+    return res.status(400).json({
+      code: 'BAD_REQUEST',
+      mensajeError: 'reparto_sesion_id debe ser numérico.'
+    });
+  }
+
   if (!Array.isArray(items) || items.length === 0) {
     return res.status(400).json({
       code: 'BAD_REQUEST',
@@ -1001,6 +1405,16 @@ export const CR_VentasReparto_Masiva_CTS = async (req, res) => {
     // Validamos vendedor una sola vez
     await validarVendedorActivo(vendId, t);
 
+    // Benjamin Orellana - 30-10-2026 - Sesión abierta; reparto_id por defecto desde la sesión
+    if (sesionIdIn) {
+      const sesion = await resolverSesionAbierta(
+        sesionIdIn,
+        { reparto_id: repId },
+        t
+      );
+      repId = sesion.reparto_id;
+    }
+
     // -----------------------------
     // 1) Normalizar items + validar
     // -----------------------------
@@ -1041,13 +1455,21 @@ export const CR_VentasReparto_Masiva_CTS = async (req, res) => {
       const lineasNorm = item.lineas.map((ln, idxLinea) =>
         validarItemForCreate(ln, idxLinea)
       );
+      // Benjamin Orellana - 04-11-2026 - Descuento manual por cliente (sobre su venta)
+      const descuento = normalizarDescuentoManual(
+        item,
+        `Cliente #${idxCliente + 1}`
+      );
 
       clientesIds.add(cliId);
 
       return {
         cliente_id: cliId,
         monto_a_cuenta: montoACuentaNum, // nombre interno
-        lineas: lineasNorm
+        lineas: lineasNorm,
+        descuento,
+        // Benjamin Orellana - 19-10-2026 - líneas originales (envases_entregados / envases_devueltos)
+        lineasRaw: item.lineas
       };
     });
 
@@ -1063,7 +1485,13 @@ export const CR_VentasReparto_Masiva_CTS = async (req, res) => {
     let totalGeneral = 0;
 
     for (const group of itemsNormalizados) {
-      const { cliente_id: cliId, lineas, monto_a_cuenta } = group;
+      const {
+        cliente_id: cliId,
+        lineas,
+        lineasRaw,
+        monto_a_cuenta,
+        descuento
+      } = group;
 
       // Cabecera inicial
       const venta = await VentasModel.create(
@@ -1071,8 +1499,10 @@ export const CR_VentasReparto_Masiva_CTS = async (req, res) => {
           cliente_id: cliId,
           vendedor_id: vendId,
           reparto_id: repId,
+          reparto_sesion_id: sesionIdIn,
           fecha: fechaDT,
           tipo: tipoVenta, // en este flujo, normalmente "fiado"
+          ...descuento,
           total_neto: 0,
           monto_a_cuenta: 0,
           observaciones: obsGlobal,
@@ -1082,22 +1512,44 @@ export const CR_VentasReparto_Masiva_CTS = async (req, res) => {
       );
 
       // Detalle
-      const rowsDetalle = lineas.map((ln) => ({
+      // Benjamin Orellana - 02-11-2026 - Precio resuelto por lista/cliente y control de desvío
+      const lineasPrecio = await aplicarPreciosALineas(
+        lineas,
+        { cliente_id: cliId, reparto_id: repId, fecha: fechaDT },
+        t
+      );
+      const rowsDetalle = lineasPrecio.map((ln) => ({
         venta_id: venta.id,
         producto_id: ln.producto_id,
         cantidad: ln.cantidad,
-        precio_unit: ln.precio_unit
+        precio_unit: ln.precio_unit,
+        precio_lista: ln.precio_lista,
+        precio_origen: ln.precio_origen,
+        lista_precio_id: ln.lista_precio_id,
+        precio_fuera_tolerancia: ln.precio_fuera_tolerancia,
+        descuento_pct: ln.descuento_pct,
+        descuento_monto: ln.descuento_monto
       }));
 
-      await VentasDetalleModel.bulkCreate(rowsDetalle, { transaction: t });
+      const detallesCreados = await VentasDetalleModel.bulkCreate(rowsDetalle, {
+        transaction: t
+      });
+
+      // Benjamin Orellana - 19-10-2026 - Envases entregados / devueltos en la jornada
+      await registrarEnvasesPorVenta(
+        { venta, lineas: lineasRaw, detalles: detallesCreados },
+        t
+      );
 
-      // Total mercadería
-      let totalCli = rowsDetalle.reduce(
-        (acc, r) =>
-          acc + moneyRound(Number(r.cantidad) * Number(r.precio_unit)),
-        0
+      // Benjamin Orellana - 20-10-2026 - Descuento de stock del camión (carga abierta del reparto)
+      await descontarStockPorVenta(
+        { venta, detalles: detallesCreados, usuario_id: getUsuarioId(req) },
+        t
       );
-      totalCli = moneyRound(totalCli);
+
+      // Total mercadería
+      // Benjamin Orellana - 04-11-2026 - Neto con descuentos / promociones (deja total_neto en la venta)
+      const totalCli = await recalcVentaTotal(venta.id, t, { venta });
 
       // Monto a cuenta no puede superar el total
       let montoACuentaCli = Number(monto_a_cuenta || 0);
@@ -1140,12 +1592,39 @@ export const CR_VentasReparto_Masiva_CTS = async (req, res) => {
             fecha: fechaDT,
             montoACuenta: montoACuentaCli,
             venta_id: venta.id,
-            observacionesExtra: `${descExtra} · A cuenta en misma jornada`
+            observacionesExtra: `${descExtra} · A cuenta en misma jornada`,
+            reparto_sesion_id: sesionIdIn
           },
           t
         );
       }
 
+      // Benjamin Orellana - 30-10-2026 - Check-in 'vendido' del cliente en la sesión
+      if (sesionIdIn) {
+        await registrarVisitaEnSesion(
+          {
+            sesion_id: sesionIdIn,
+            cliente_id: cliId,
+            resultado: 'vendido',
+            venta_id: venta.id,
+            usuario_id: getUsuarioId(req)
+          },
+          t
+        );
+      }
+
+      // Benjamin Orellana - 23-10-2026 - Auditoría por venta generada
+      await registrarAuditoria(
+        {
+          req,
+          accion: 'crear',
+          entidad: 'venta',
+          entidad_id: venta.id,
+          despues: await snapshotVenta(venta.id, t)
+        },
+        t
+      );
+
       ventasCreadas.push({
         id: venta.id,
         cliente_id: cliId,
@@ -1159,15 +1638,7 @@ export const CR_VentasReparto_Masiva_CTS = async (req, res) => {
 
     totalGeneral = moneyRound(totalGeneral);
 
-    await t.commit();
-
-    console.log(
-      '[REPARTO-MASIVA] FIN handler',
-      'ventasCreadasIds=',
-      ventasCreadas.map((v) => v.id)
-    );
-
-    return res.status(201).json({
+    const respuesta = {
       ok: true,
       mensaje: `Se generaron ${ventasCreadas.length} venta(s) para el reparto.`,
       meta: {
@@ -1176,7 +1647,21 @@ export const CR_VentasReparto_Masiva_CTS = async (req, res) => {
         reparto_id: repId || null
       },
       ventas: ventasCreadas
-    });
+    };
+
+    // Benjamin Orellana - 13-11-2026 - Hook de Idempotency-Key: guarda la respuesta
+    // dentro de esta misma transacción
+    if (req.antesDeCommit) await req.antesDeCommit(t, { respuesta });
+
+    await t.commit();
+
+    console.log(
+      '[REPARTO-MASIVA] FIN handler',
+      'ventasCreadasIds=',
+      ventasCreadas.map((v) => v.id)
+    );
+
+    return res.status(201).json(respuesta);
   } catch (err) {
     try {
       if (!t.finished) await t.rollback();
@@ -1200,6 +1685,22 @@ export const CR_VentasReparto_Masiva_CTS = async (req, res) => {
         mensajeError: 'El vendedor está inactivo.'
       });
     }
+    if (err?.message === 'STOCK_INSUFICIENTE') {
+      return res.status(409).json({
+        code: 'STOCK_INSUFICIENTE',
+        mensajeError: 'No hay stock suficiente en el camión para generar las ventas.',
+        meta: err.meta
+      });
+    }
+    // Benjamin Orellana - 30-10-2026 - Sesión de reparto inexistente / cerrada / de otro reparto
+    const errSesion = responderErrorSesion(res, err);
+    if (errSesion) return errSesion;
+
+    // Benjamin Orellana - 02-11-2026 - Precio fuera de tolerancia (modo 'rechazar')
+    if (err?.message === 'PRECIO_FUERA_TOLERANCIA') {
+      return responderPrecioFueraTolerancia(res, err);
+    }
+
     if (err?.status === 400) {
       return res.status(400).json({
         code: 'MODEL_VALIDATION',
@@ -1207,6 +1708,10 @@ export const CR_VentasReparto_Masiva_CTS = async (req, res) => {
       });
     }
 
+    // Benjamin Orellana - 25-10-2026 - Movimiento CxC con fecha dentro de un mes cerrado
+    const errCierre = responderPeriodoCxcCerrado(res, err);
+    if (errCierre) return errCierre;
+
     console.error('CR_VentasReparto_Masiva_CTS error:', err);
     return res.status(500).json({
       code: 'SERVER_ERROR',
@@ -1279,7 +1784,19 @@ export const OBRS_VentasDeudoresFiado_CTS = async (req, res) => {
       whereCob.push('cc.fecha <= :c_hasta');
     }
 
+    // Benjamin Orellana - 26-10-2026 - Notas / ajustes CxC aprobados sin venta
+    const whereNotas = [...whereCliente];
+    if (desde) {
+      repl.n_desde = new Date(`${desde}T00:00:00`);
+      whereNotas.push('n.fecha >= :n_desde');
+    }
+    if (hasta) {
+      repl.n_hasta = new Date(`${hasta}T23:59:59`);
+      whereNotas.push('n.fecha <= :n_hasta');
+    }
+
     const whereVentasSql = whereVentas.length ? `AND ${whereVentas.join(' AND ')}` : '';
+    const whereNotasSql = whereNotas.length ? `AND ${whereNotas.join(' AND ')}` : '';
     const whereMovSql = whereMov.length ? `AND ${whereMov.join(' AND ')}` : '';
     const whereCobSql = whereCob.length ? `AND ${whereCob.join(' AND ')}` : '';
 
@@ -1288,6 +1805,7 @@ export const OBRS_VentasDeudoresFiado_CTS = async (req, res) => {
     // 1) Ventas pendientes (fiado / a_cuenta) con saldo calculado.
     // - Compat: usamos GREATEST(monto_a_cuenta, apps_agg) para evitar doble conteo en data vieja.
     // - Devolvemos ventas[] en el formato que usa el modal.
+    // Benjamin Orellana - 26-10-2026 - El saldo incluye NC (-) / ND (+) aprobadas de la venta.
     // ======================================================
     const sqlVentasPend = `
       SELECT
@@ -1303,8 +1821,10 @@ export const OBRS_VentasDeudoresFiado_CTS = async (req, res) => {
           COALESCE(apps.total_aplicado, 0)
         ) AS cobrado,
 
+        COALESCE(nt.neto, 0) AS notas_neto,
+
         ROUND(
-          (COALESCE(v.total_neto, 0) - GREATEST(COALESCE(v.monto_a_cuenta, 0), COALESCE(apps.total_aplicado, 0))),
+          (COALESCE(v.total_neto, 0) - GREATEST(COALESCE(v.monto_a_cuenta, 0), COALESCE(apps.total_aplicado, 0)) + COALESCE(nt.neto, 0)),
           2
         ) AS saldo,
 
@@ -1325,6 +1845,16 @@ export const OBRS_VentasDeudoresFiado_CTS = async (req, res) => {
         GROUP BY venta_id
       ) apps ON apps.venta_id = v.id
 
+      LEFT JOIN (
+        SELECT
+          venta_id,
+          SUM(signo * monto) AS neto
+        FROM cxc_notas
+        WHERE venta_id IS NOT NULL
+          AND estado = 'aprobada'
+        GROUP BY venta_id
+      ) nt ON nt.venta_id = v.id
+
       WHERE v.estado = 'confirmada'
         AND v.tipo IN ('fiado', 'a_cuenta')
         ${whereVentasSql}
@@ -1365,6 +1895,7 @@ export const OBRS_VentasDeudoresFiado_CTS = async (req, res) => {
 
           total_pendiente: 0,
           saldo_previo_total: 0,
+          notas_ajustes_total: 0,
 
           dias_max_atraso: dias_atraso,
           ventas: []
@@ -1387,6 +1918,7 @@ export const OBRS_VentasDeudoresFiado_CTS = async (req, res) => {
 
         // Benjamin Orellana - 25-02-2026 - Campos extra no rompen el front; útiles para UX futura
         cobrado: Number(r.cobrado || 0),
+        notas_neto: Number(r.notas_neto || 0),
         saldo: saldo,
         dias_atraso
       });
@@ -1441,10 +1973,35 @@ export const OBRS_VentasDeudoresFiado_CTS = async (req, res) => {
       mapAplic.set(cid, Number(r.aplicado_total || 0));
     }
 
-    // Union de clientes: los que tienen ventas pendientes + los que tienen saldo previo pendiente
+    // ======================================================
+    // Benjamin Orellana - 26-10-2026
+    // 3) Notas / ajustes aprobados sin venta (neto con signo)
+    // ======================================================
+    const sqlNotasSinVenta = `
+      SELECT
+        n.cliente_id,
+        ROUND(SUM(n.signo * n.monto), 2) AS neto
+      FROM cxc_notas n
+      INNER JOIN clientes c ON c.id = n.cliente_id
+      WHERE n.venta_id IS NULL
+        AND n.estado = 'aprobada'
+        ${whereNotasSql}
+      GROUP BY n.cliente_id
+    `;
+    const [rowsNotas] = await db.query(sqlNotasSinVenta, { replacements: repl });
+
+    const mapNotas = new Map();
+    for (const r of Array.isArray(rowsNotas) ? rowsNotas : []) {
+      const cid = Number(r.cliente_id);
+      if (!Number.isFinite(cid)) continue;
+      mapNotas.set(cid, Number(r.neto || 0));
+    }
+
+    // Union de clientes: ventas pendientes + saldo previo pendiente + notas sin venta
     const allClienteIds = new Set([
       ...Array.from(mapDeudores.keys()),
-      ...Array.from(mapDebe.keys())
+      ...Array.from(mapDebe.keys()),
+      ...Array.from(mapNotas.keys())
     ]);
 
     const out = [];
@@ -1481,6 +2038,7 @@ export const OBRS_VentasDeudoresFiado_CTS = async (req, res) => {
 
           total_pendiente: 0,
           saldo_previo_total: 0,
+          notas_ajustes_total: 0,
           dias_max_atraso: 0,
           ventas: []
         };
@@ -1490,6 +2048,11 @@ export const OBRS_VentasDeudoresFiado_CTS = async (req, res) => {
       d.saldo_previo_total = saldoPrevPend;
       d.total_pendiente = Number((Number(d.total_pendiente || 0) + saldoPrevPend).toFixed(2));
 
+      // Benjamin Orellana - 26-10-2026 - Notas / ajustes sin venta
+      const notasNeto = Number(mapNotas.get(cid) || 0);
+      d.notas_ajustes_total = notasNeto;
+      d.total_pendiente = Number((Number(d.total_pendiente || 0) + notasNeto).toFixed(2));
+
       // dias_max_atraso también considera saldo previo por fecha mínima si no hay ventas
       if ((!d.ventas || !d.ventas.length) && saldoPrevPend > 0.01) {
         const fmin = mapFechaMin.get(cid);
@@ -1528,14 +2091,18 @@ export const OBRS_VentasDeudoresFiado_CTS = async (req, res) => {
 const moneyRoundLocal = (n) => Math.round((Number(n) + Number.EPSILON) * 100) / 100;
 
 // Benjamin Orellana - 24/02/2026 - Helper interno para registrar saldo previo en CxC sin crear una venta.
-async function registrarSaldoPrevioCxC(
+// Benjamin Orellana - 21-10-2026 - Exportado para la importación masiva (POST /import/saldos_previos).
+export async function registrarSaldoPrevioCxC(
   {
     cliente_id,
     fecha,
     monto,
     vendedor_id = null,
     reparto_id = null,
-    descripcion = null
+    descripcion = null,
+    // Benjamin Orellana - 23-10-2026 - Contexto para auditoría (req o usuario_id explícito)
+    req = null,
+    usuario_id = null
   },
   transaction
 ) {
@@ -1596,6 +2163,18 @@ async function registrarSaldoPrevioCxC(
     { transaction }
   );
 
+  await registrarAuditoria(
+    {
+      req,
+      usuario_id,
+      accion: 'crear',
+      entidad: 'saldo_previo',
+      entidad_id: mov.id,
+      despues: mov
+    },
+    transaction
+  );
+
   return mov;
 }
 
@@ -1659,7 +2238,8 @@ export const CR_SaldoPrevioCliente_CTS = async (req, res) => {
         monto,
         vendedor_id,
         reparto_id,
-        descripcion
+        descripcion,
+        req
       },
       t
     );
@@ -1713,6 +2293,10 @@ export const CR_SaldoPrevioCliente_CTS = async (req, res) => {
       });
     }
 
+    // Benjamin Orellana - 25-10-2026 - Movimiento CxC con fecha dentro de un mes cerrado
+    const errCierre = responderPeriodoCxcCerrado(res, err);
+    if (errCierre) return errCierre;
+
     console.error('CR_SaldoPrevioCliente_CTS error:', err);
     return res.status(500).json({
       code: 'SERVER_ERROR',
@@ -1785,7 +2369,8 @@ export const CR_SaldosPrevios_Masiva_CTS = async (req, res) => {
           monto: it.monto,
           vendedor_id: vendId,
           reparto_id: repId,
-          descripcion: it.descripcion
+          descripcion: it.descripcion,
+          req
         },
         t
       );
@@ -1847,6 +2432,10 @@ export const CR_SaldosPrevios_Masiva_CTS = async (req, res) => {
       });
     }
 
+    // Benjamin Orellana - 25-10-2026 - Movimiento CxC con fecha dentro de un mes cerrado
+    const errCierre = responderPeriodoCxcCerrado(res, err);
+    if (errCierre) return errCierre;
+
     console.error('CR_SaldosPrevios_Masiva_CTS error:', err);
     return res.status(500).json({
       code: 'SERVER_ERROR',
@@ -1908,7 +2497,43 @@ export const OBRS_CxC_Deudas_CTS = async (req, res) => {
       repl.hasta = new Date(`${hasta}T23:59:59`);
     }
 
-    const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+    // ======================================================
+    // Benjamin Orellana - 25-10-2026
+    // Sin rango de fechas y con meses cerrados: se parte del saldo congelado del
+    // último cierre (cxc_saldos_mensuales) + movimientos posteriores al corte,
+    // en vez de re-sumar todo el ledger. En ese modo los desgloses
+    // (saldo_previo_total, ventas_total, pagos_total) cubren solo lo posterior al cierre.
+    // ======================================================
+    const ultimoCierre =
+      desde || hasta ? null : await obtenerUltimoCierreCxC();
+
+    let fromSql;
+    let saldoExpr;
+    let movWhere = where;
+
+    if (ultimoCierre) {
+      repl.cierreAnio = ultimoCierre.anio;
+      repl.cierreMes = ultimoCierre.mes;
+      repl.corte = fechaCorteCxC(ultimoCierre);
+
+      fromSql = `
+      FROM clientes c
+      LEFT JOIN cxc_saldos_mensuales s
+        ON s.cliente_id = c.id AND s.anio = :cierreAnio AND s.mes = :cierreMes
+      LEFT JOIN cxc_movimientos m
+        ON m.cliente_id = c.id AND m.fecha >= :corte`;
+      saldoExpr =
+        'ROUND(COALESCE(MAX(s.saldo_final), 0) + COALESCE(SUM(CASE WHEN m.signo = 1 THEN m.monto WHEN m.signo = -1 THEN -m.monto ELSE 0 END), 0), 2)';
+      movWhere = ['(s.id IS NOT NULL OR m.id IS NOT NULL)', ...where];
+    } else {
+      fromSql = `
+      FROM cxc_movimientos m
+      INNER JOIN clientes c ON c.id = m.cliente_id`;
+      saldoExpr =
+        'ROUND(SUM(CASE WHEN m.signo = 1 THEN m.monto ELSE -m.monto END), 2)';
+    }
+
+    const whereSql = movWhere.length ? `WHERE ${movWhere.join(' AND ')}` : '';
 
     // Benjamin Orellana - 25/02/2026 - Query principal: saldo total por cliente usando ledger CxC (signo).
     const sql = `
@@ -1920,15 +2545,17 @@ export const OBRS_CxC_Deudas_CTS = async (req, res) => {
         c.telefono,
         c.ciudad_id,
 
-        ROUND(SUM(CASE WHEN m.signo = 1 THEN m.monto ELSE -m.monto END), 2) AS saldo_total,
+        ${saldoExpr} AS saldo_total,
+        ${ultimoCierre ? 'ROUND(COALESCE(MAX(s.saldo_final), 0), 2)' : 'NULL'} AS saldo_cierre,
 
         ROUND(SUM(CASE WHEN m.origen_tipo = 'saldo_previo' AND m.signo = 1 THEN m.monto ELSE 0 END), 2) AS saldo_previo_total,
         ROUND(SUM(CASE WHEN m.origen_tipo = 'venta' AND m.signo = 1 THEN m.monto ELSE 0 END), 2) AS ventas_total,
-        ROUND(SUM(CASE WHEN m.signo = -1 THEN m.monto ELSE 0 END), 2) AS pagos_total,
+        ROUND(SUM(CASE WHEN m.signo = -1 AND m.origen_tipo NOT IN ('nota_credito', 'nota_debito', 'ajuste') THEN m.monto ELSE 0 END), 2) AS pagos_total,
+        -- Benjamin Orellana - 26-10-2026 - NC / ND / ajustes aprobados (neto con signo)
+        ROUND(SUM(CASE WHEN m.origen_tipo IN ('nota_credito', 'nota_debito', 'ajuste') THEN m.signo * m.monto ELSE 0 END), 2) AS notas_ajustes_total,
 
         MAX(m.fecha) AS ultima_fecha_mov
-      FROM cxc_movimientos m
-      INNER JOIN clientes c ON c.id = m.cliente_id
+      ${fromSql}
       ${whereSql}
       GROUP BY c.id
       HAVING saldo_total > :saldoThreshold
@@ -1941,11 +2568,10 @@ export const OBRS_CxC_Deudas_CTS = async (req, res) => {
       SELECT COUNT(*) AS total
       FROM (
         SELECT c.id
-        FROM cxc_movimientos m
-        INNER JOIN clientes c ON c.id = m.cliente_id
+        ${fromSql}
         ${whereSql}
         GROUP BY c.id
-        HAVING ROUND(SUM(CASE WHEN m.signo = 1 THEN m.monto ELSE -m.monto END), 2) > :saldoThreshold
+        HAVING ${saldoExpr} > :saldoThreshold
       ) t;
     `;
 
@@ -1961,7 +2587,11 @@ export const OBRS_CxC_Deudas_CTS = async (req, res) => {
         limit,
         totalPages: Math.ceil(total / limit),
         hasPrev: page > 1,
-        hasNext: offset + (rows?.length || 0) < total
+        hasNext: offset + (rows?.length || 0) < total,
+        // Benjamin Orellana - 25-10-2026 - Cierre usado como punto de partida (null = ledger completo)
+        desde_cierre: ultimoCierre
+          ? { anio: ultimoCierre.anio, mes: ultimoCierre.mes }
+          : null
       }
     });
   } catch (err) {
@@ -5,16 +5,73 @@ import db from '../../DataBase/db.js';
 import VentasModel from '../../Models/Ventas/MD_TB_Ventas.js';
 import VentasDetalleModel from '../../Models/Ventas/MD_TB_VentasDetalle.js';
 import { recalcVentaTotal } from './CTS_TB_Ventas.js'; // usamos el helper exportado
+import {
+  registrarAuditoria,
+  snapshotVenta
+} from '../Auditoria/CTS_TB_Auditoria.js';
+import {
+  aplicarPreciosALineas,
+  responderPrecioFueraTolerancia
+} from '../Precios/CTS_TB_Precios.js';
+import { normalizarDescuentoManual } from '../Promociones/CTS_TB_Promociones.js';
+import {
+  assertVentaNoFacturada,
+  responderVentaFacturada
+} from '../Facturacion/CTS_TB_Facturacion.js';
+import { ajustarStockPorVenta, getUsuarioId } from '../Stock/CTS_TB_Stock.js';
+import {
+  anularEnvasesDeVenta,
+  registrarEnvasesPorVenta,
+  resincronizarEnvasesDetalle
+} from '../Envases/CTS_TB_EnvasesMovimientos.js';
+
+// Benjamin Orellana - 23-10-2026 - Cambios de detalle se auditan como modificación de la venta
+async function auditarCambioDetalle(req, ventaId, antes, t) {
+  await registrarAuditoria(
+    {
+      req,
+      accion: 'modificar',
+      entidad: 'venta',
+      entidad_id: ventaId,
+      antes,
+      despues: await snapshotVenta(ventaId, t)
+    },
+    t
+  );
+}
+
+// Benjamin Orellana - 13-11-2026 - El stock acompaña los cambios de ítems (misma transacción).
+// deltas: [{ venta_detalle_id, producto_id, cantidad }] (> 0 sale, < 0 vuelve)
+async function moverStockDetalle(req, venta, deltas, t) {
+  await ajustarStockPorVenta(
+    {
+      venta,
+      deltas,
+      usuario_id: getUsuarioId(req),
+      observaciones: `Edición de ítems venta #${venta.id}`
+    },
+    t
+  );
+}
+
+const deltaDetalle = (det, signo) => ({
+  venta_detalle_id: det.id,
+  producto_id: det.producto_id,
+  cantidad: signo * Number(det.cantidad)
+});
 
 // -------- utils --------
 const normInt = (v, d = NaN) =>
   Number.isFinite(Number(v)) ? Number(v) : d;
 
 // Valida forma de un ítem (sin tocar DB)
+// Benjamin Orellana - 02-11-2026 - precio_unit opcional (null = precio de lista de la venta)
 function validarItemShape(it, idx = 0) {
   const producto_id = normInt(it.producto_id);
   const cantidad = Number(it.cantidad);
-  const precio_unit = Number(it.precio_unit);
+  const sinPrecio =
+    it.precio_unit === undefined || it.precio_unit === null || it.precio_unit === '';
+  const precio_unit = sinPrecio ? null : Number(it.precio_unit);
 
   if (!Number.isFinite(producto_id) || producto_id <= 0) {
     const e = new Error(`Ítem #${idx + 1}: producto_id inválido.`);
@@ -26,16 +83,22 @@ function validarItemShape(it, idx = 0) {
     e.status = 400;
     throw e;
   }
-  if (!Number.isFinite(precio_unit) || precio_unit < 0) {
+  if (!sinPrecio && (!Number.isFinite(precio_unit) || precio_unit < 0)) {
     const e = new Error(`Ítem #${idx + 1}: precio_unit debe ser ≥ 0.`);
     e.status = 400;
     throw e;
   }
 
-  return { producto_id, cantidad, precio_unit };
+  return {
+    producto_id,
+    cantidad,
+    precio_unit,
+    // Benjamin Orellana - 04-11-2026 - Descuento manual de la línea (opcional)
+    ...normalizarDescuentoManual(it, `Ítem #${idx + 1}`)
+  };
 }
 
-// Valida que la venta exista y NO esté anulada
+// Valida que la venta exista, NO esté anulada y NO tenga factura emitida
 async function assertVentaEditable(ventaId, t) {
   const v = await VentasModel.findByPk(ventaId, { transaction: t });
   if (!v) {
@@ -49,11 +112,39 @@ async function assertVentaEditable(ventaId, t) {
     e.msg = 'La venta está anulada.';
     throw e;
   }
+  // Benjamin Orellana - 06-11-2026 - Los ítems facturados no se tocan
+  await assertVentaNoFacturada(ventaId, t);
   return v;
 }
 
+// Benjamin Orellana - 02-11-2026 - Precios con el contexto de la venta (cliente, reparto y fecha)
+const preciosDeVenta = (venta, rows, t) =>
+  aplicarPreciosALineas(
+    rows,
+    {
+      cliente_id: venta.cliente_id,
+      reparto_id: venta.reparto_id,
+      fecha: venta.fecha
+    },
+    t
+  );
+
 // Helper para mapear errores a response consistente
 function buildDetalleError(res, err, defaultMsg) {
+  if (err?.message === 'PRECIO_FUERA_TOLERANCIA') {
+    return responderPrecioFueraTolerancia(res, err);
+  }
+  if (err?.message === 'VENTA_FACTURADA') {
+    return responderVentaFacturada(res, err);
+  }
+  if (err?.message === 'STOCK_INSUFICIENTE') {
+    return res.status(409).json({
+      code: 'STOCK_INSUFICIENTE',
+      mensajeError: 'No hay stock suficiente para los ítems de la venta.',
+      meta: err.meta
+    });
+  }
+
   const st = err?.status || 500;
   let code;
   let msg = defaultMsg;
@@ -146,13 +237,29 @@ export const CR_VentasItems_CTS = async (req, res) => {
   const t = await db.transaction();
   try {
     // Validar que la venta exista y sea editable
-    await assertVentaEditable(ventaId, t);
+    const venta = await assertVentaEditable(ventaId, t);
+    const antes = await snapshotVenta(ventaId, t);
 
     // Insertar items
-    await VentasDetalleModel.bulkCreate(rows, { transaction: t });
+    rows = await preciosDeVenta(venta, rows, t);
+    const creados = await VentasDetalleModel.bulkCreate(rows, {
+      transaction: t
+    });
+    await moverStockDetalle(
+      req,
+      venta,
+      creados.map((det) => deltaDetalle(det, 1)),
+      t
+    );
+    // Benjamin Orellana - 13-11-2026 - Envases de los ítems nuevos (mismo criterio que el alta)
+    await registrarEnvasesPorVenta(
+      { venta, lineas: rawPayload, detalles: creados },
+      t
+    );
 
     // Recalcular total
     await recalcVentaTotal(ventaId, t);
+    await auditarCambioDetalle(req, ventaId, antes, t);
 
     await t.commit();
 
@@ -188,7 +295,8 @@ export const UR_VentasItem_CTS = async (req, res) => {
 
   const t = await db.transaction();
   try {
-    await assertVentaEditable(ventaId, t);
+    const venta = await assertVentaEditable(ventaId, t);
+    const antes = await snapshotVenta(ventaId, t);
 
     const item = await VentasDetalleModel.findOne({
       where: { id: itemId, venta_id: ventaId },
@@ -203,6 +311,9 @@ export const UR_VentasItem_CTS = async (req, res) => {
 
     // Construir el nuevo estado del ítem (merge actual + body) y validarlo
     const current = item.toJSON();
+    const tocaDescuento =
+      req.body.descuento_pct !== undefined ||
+      req.body.descuento_monto !== undefined;
     const candidate = {
       producto_id:
         req.body.producto_id !== undefined
@@ -215,21 +326,66 @@ export const UR_VentasItem_CTS = async (req, res) => {
       precio_unit:
         req.body.precio_unit !== undefined
           ? req.body.precio_unit
-          : current.precio_unit
+          : current.precio_unit,
+      // Si el body trae alguno de los dos, reemplaza el descuento manual completo
+      descuento_pct: tocaDescuento
+        ? req.body.descuento_pct
+        : current.descuento_pct,
+      descuento_monto: tocaDescuento
+        ? req.body.descuento_monto
+        : current.descuento_monto
     };
 
-    const normalized = validarItemShape(candidate, 0);
+    const [normalized] = await preciosDeVenta(
+      venta,
+      [validarItemShape(candidate, 0)],
+      t
+    );
 
     await item.update(
       {
         producto_id: normalized.producto_id,
         cantidad: normalized.cantidad,
-        precio_unit: normalized.precio_unit
+        precio_unit: normalized.precio_unit,
+        precio_lista: normalized.precio_lista,
+        precio_origen: normalized.precio_origen,
+        lista_precio_id: normalized.lista_precio_id,
+        precio_fuera_tolerancia: normalized.precio_fuera_tolerancia,
+        descuento_pct: normalized.descuento_pct,
+        descuento_monto: normalized.descuento_monto,
+        // Benjamin Orellana - 05-11-2026 - Otro producto → recalcVentaTotal toma su alícuota
+        ...(Number(normalized.producto_id) !== Number(current.producto_id)
+          ? { iva_porcentaje: null }
+          : {})
       },
       { transaction: t }
     );
 
+    // Otro producto: vuelve el anterior y sale el nuevo; mismo producto: solo la diferencia
+    const mismoProducto =
+      Number(normalized.producto_id) === Number(current.producto_id);
+    await moverStockDetalle(
+      req,
+      venta,
+      mismoProducto
+        ? [
+            {
+              venta_detalle_id: item.id,
+              producto_id: item.producto_id,
+              cantidad: Number(normalized.cantidad) - Number(current.cantidad)
+            }
+          ]
+        : [deltaDetalle(current, -1), deltaDetalle(item, 1)],
+      t
+    );
+    // Benjamin Orellana - 13-11-2026 - El libro de envases sigue al ítem editado
+    await resincronizarEnvasesDetalle(
+      { venta, detalle: item, anterior: current, linea: req.body || {} },
+      t
+    );
+
     await recalcVentaTotal(ventaId, t);
+    await auditarCambioDetalle(req, ventaId, antes, t);
     await t.commit();
 
     const items = await VentasDetalleModel.findAll({
@@ -264,7 +420,8 @@ export const ER_VentasItem_CTS = async (req, res) => {
 
   const t = await db.transaction();
   try {
-    await assertVentaEditable(ventaId, t);
+    const venta = await assertVentaEditable(ventaId, t);
+    const antes = await snapshotVenta(ventaId, t);
 
     const item = await VentasDetalleModel.findOne({
       where: { id: itemId, venta_id: ventaId },
@@ -277,8 +434,15 @@ export const ER_VentasItem_CTS = async (req, res) => {
       throw e;
     }
 
+    await moverStockDetalle(req, venta, [deltaDetalle(item, -1)], t);
+    // Benjamin Orellana - 13-11-2026 - Sin ítem no hay envases entregados por él
+    await anularEnvasesDeVenta(
+      { venta_id: ventaId, detalleIds: [item.id] },
+      t
+    );
     await item.destroy({ transaction: t });
     await recalcVentaTotal(ventaId, t);
+    await auditarCambioDetalle(req, ventaId, antes, t);
     await t.commit();
 
     return res.status(204).send();
@@ -325,16 +489,45 @@ export const RP_VentasItems_CTS = async (req, res) => {
 
   const t = await db.transaction();
   try {
-    await assertVentaEditable(ventaId, t);
+    const venta = await assertVentaEditable(ventaId, t);
+    const antes = await snapshotVenta(ventaId, t);
+
+    // Primero vuelve lo del detalle anterior, después sale lo del nuevo
+    const anteriores = await VentasDetalleModel.findAll({
+      where: { venta_id: ventaId },
+      transaction: t
+    });
+    await moverStockDetalle(
+      req,
+      venta,
+      anteriores.map((det) => deltaDetalle(det, -1)),
+      t
+    );
+    // Benjamin Orellana - 13-11-2026 - El libro de envases se rehace con el detalle nuevo
+    await anularEnvasesDeVenta({ venta_id: ventaId }, t);
 
     await VentasDetalleModel.destroy({
       where: { venta_id: ventaId },
       transaction: t
     });
 
-    await VentasDetalleModel.bulkCreate(rows, { transaction: t });
+    rows = await preciosDeVenta(venta, rows, t);
+    const creados = await VentasDetalleModel.bulkCreate(rows, {
+      transaction: t
+    });
+    await moverStockDetalle(
+      req,
+      venta,
+      creados.map((det) => deltaDetalle(det, 1)),
+      t
+    );
+    await registrarEnvasesPorVenta(
+      { venta, lineas: rawPayload, detalles: creados },
+      t
+    );
 
     await recalcVentaTotal(ventaId, t);
+    await auditarCambioDetalle(req, ventaId, antes, t);
     await t.commit();
 
     const items = await VentasDetalleModel.findAll({
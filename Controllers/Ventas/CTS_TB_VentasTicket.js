@@ -0,0 +1,577 @@
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 07 / 11 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ *  Ticket / remito de una venta para impresora térmica (58 u 80 mm).
+ *  - Ítems con descuentos, total y, si la venta está facturada, letra / número / CAE.
+ *  - Resumen de cuenta corriente: saldo anterior, esta venta, pago a cuenta, saldo nuevo.
+ *  - Envases de la venta (entregados / devueltos) y los que quedan en poder del cliente.
+ *  - Código de barras CODE128 con el id de la venta.
+ *
+ *  Saldo anterior = movimientos CxC del cliente previos a la venta (los registrados antes
+ *  que el DEBE de la venta; en contado, hasta su alta). Pago a cuenta = la cobranza inicial
+ *  registrada junto con la venta (el HABER que sigue a su DEBE en CxC; en contado, el total).
+ *  No se usa monto_a_cuenta porque crece con cobranzas posteriores y la reimpresión cambiaría.
+ *
+ * Endpoint:
+ *  GET /ventas/:id/ticket?formato=pdf|escpos&ancho=58|80&local_id=
+ *  - pdf (default): página del ancho del rollo, alto según el contenido.
+ *  - escpos: bytes crudos (application/octet-stream) para mandar directo a la impresora.
+ *  El nombre de impresora del local (locales.printer_nombre) viaja en X-Printer-Nombre.
+ */
+
+import dotenv from 'dotenv';
+import bwipjs from 'bwip-js';
+import puppeteer from 'puppeteer';
+import { Op } from 'sequelize';
+import db from '../../DataBase/db.js';
+
+import { VentasModel } from '../../Models/Ventas/MD_TB_Ventas.js';
+import { VentasDetalleModel } from '../../Models/Ventas/MD_TB_VentasDetalle.js';
+import { VentasComprobantesModel } from '../../Models/Ventas/MD_TB_VentasComprobantes.js';
+import { ClientesModel } from '../../Models/Clientes/MD_TB_Clientes.js';
+import { VendedoresModel } from '../../Models/Vendedores/MD_TB_Vendedores.js';
+import { ProductosModel } from '../../Models/Productos/MD_TB_Productos.js';
+import { CxcMovimientosModel } from '../../Models/CuentasCorriente/MD_TB_CxcMovimientos.js';
+import { CobranzaAplicacionesModel } from '../../Models/Cobranzas/MD_TB_CobranzaAplicaciones.js';
+import { EnvasesMovimientosModel } from '../../Models/Envases/MD_TB_EnvasesMovimientos.js';
+import { LocalesModel } from '../../Models/MD_TB_Locales.js';
+import { obtenerSaldosEnvasesClientes } from '../Envases/CTS_TB_EnvasesMovimientos.js';
+import { ticketConfig } from '../../config/ticket.config.js';
+import { crearEscPos } from '../../Utils/escpos.js';
+import { errorApi, responderError } from '../../Utils/errorApi.js';
+
+if (process.env.NODE_ENV !== 'production') {
+  dotenv.config();
+}
+
+/* ============================================================
+ * Helpers
+ * ============================================================ */
+
+const normInt = (v) => {
+  if (v === null || v === undefined || v === '') return NaN;
+  const n = Number(v);
+  return Number.isInteger(n) && n > 0 ? n : NaN;
+};
+
+const round2 = (n) => Math.round((Number(n) + Number.EPSILON) * 100) / 100;
+
+const pad2 = (n) => String(n).padStart(2, '0');
+
+function moneyAR(n) {
+  return (Number(n) || 0).toLocaleString('es-AR', {
+    style: 'currency',
+    currency: 'ARS',
+    minimumFractionDigits: 2
+  });
+}
+
+const fmtFechaHora = (d) => {
+  const f = new Date(d);
+  return `${pad2(f.getDate())}/${pad2(f.getMonth() + 1)}/${f.getFullYear()} ${pad2(f.getHours())}:${pad2(f.getMinutes())}`;
+};
+
+const escapeHtml = (s) =>
+  String(s ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// Caracteres por línea en Font A
+const COLUMNAS = { 58: 32, 80: 48 };
+
+const TIPO_LABEL = {
+  contado: 'Contado',
+  fiado: 'Fiado',
+  a_cuenta: 'A cuenta'
+};
+
+const codigoVenta = (id) => String(id).padStart(8, '0');
+
+/* ============================================================
+ * 1) Datos
+ * ============================================================ */
+
+const movimientoVentaCxC = (venta) =>
+  CxcMovimientosModel.findOne({
+    where: { origen_tipo: 'venta', origen_id: venta.id },
+    attributes: ['id'],
+    raw: true
+  });
+
+// Saldo del cliente justo antes de la venta (ver cabecera)
+async function saldoAnteriorCxC(venta, movVenta) {
+  const where = { cliente_id: venta.cliente_id };
+  if (movVenta) where.id = { [Op.lt]: movVenta.id };
+  else where.created_at = { [Op.lte]: venta.created_at };
+
+  const [row] = await CxcMovimientosModel.findAll({
+    attributes: [
+      [
+        db.literal(
+          'ROUND(SUM(CASE WHEN signo = 1 THEN monto ELSE -monto END), 2)'
+        ),
+        'saldo'
+      ]
+    ],
+    where,
+    raw: true
+  });
+
+  return round2(row?.saldo ?? 0);
+}
+
+// Pago a cuenta registrado en el alta de la venta (ver cabecera): la cobranza cuyo HABER
+// es el movimiento siguiente al DEBE de la venta y que se aplicó a esta venta.
+async function pagoInicialCxC(venta, movVenta) {
+  if (!movVenta) return 0;
+
+  const siguiente = await CxcMovimientosModel.findOne({
+    where: { cliente_id: venta.cliente_id, id: { [Op.gt]: movVenta.id } },
+    attributes: ['origen_tipo', 'origen_id'],
+    order: [['id', 'ASC']],
+    raw: true
+  });
+  if (!siguiente || siguiente.origen_tipo !== 'cobranza') return 0;
+
+  const aplicacion = await CobranzaAplicacionesModel.findOne({
+    where: { cobranza_id: siguiente.origen_id, venta_id: venta.id },
+    attributes: ['monto_aplicado'],
+    raw: true
+  });
+
+  return round2(aplicacion?.monto_aplicado ?? 0);
+}
+
+async function obtenerTicketDatos(ventaId, query = {}) {
+  const venta = await VentasModel.findByPk(ventaId, {
+    include: [
+      {
+        model: ClientesModel,
+        as: 'cliente',
+        attributes: [
+          'id',
+          'nombre',
+          'documento',
+          'direccion_calle',
+          'direccion_numero',
+          'direccion_piso_dpto'
+        ]
+      },
+      { model: VendedoresModel, as: 'vendedor', attributes: ['id', 'nombre'] },
+      {
+        model: VentasComprobantesModel,
+        as: 'comprobante',
+        attributes: [
+          'letra',
+          'punto_venta',
+          'numero',
+          'cae',
+          'cae_vencimiento'
+        ],
+        where: { estado: 'autorizado' },
+        required: false
+      }
+    ]
+  });
+  if (!venta) throw errorApi(404, 'NOT_FOUND', 'Venta no encontrada.');
+
+  const localId = query.local_id
+    ? normInt(query.local_id)
+    : ticketConfig.localId;
+  if (query.local_id && !Number.isFinite(localId)) {
+    throw errorApi(400, 'BAD_REQUEST', 'local_id inválido.');
+  }
+  const local = localId
+    ? await LocalesModel.findByPk(localId, {
+        attributes: [
+          'id',
+          'nombre',
+          'direccion',
+          'ciudad',
+          'telefono',
+          'printer_nombre'
+        ]
+      })
+    : null;
+
+  const items = await VentasDetalleModel.findAll({
+    where: { venta_id: ventaId },
+    include: [
+      { model: ProductosModel, as: 'producto', attributes: ['id', 'nombre'] }
+    ],
+    order: [['id', 'ASC']]
+  });
+
+  const envasesVenta = await EnvasesMovimientosModel.findAll({
+    where: {
+      venta_id: ventaId,
+      tipo: { [Op.in]: ['entregado', 'devuelto'] }
+    },
+    include: [
+      { model: ProductosModel, as: 'producto', attributes: ['id', 'nombre'] }
+    ],
+    order: [['id', 'ASC']]
+  });
+  const saldosEnvases = await obtenerSaldosEnvasesClientes([venta.cliente_id]);
+  const enPoder =
+    saldosEnvases.get(Number(venta.cliente_id))?.por_producto || [];
+
+  const porEnvase = new Map();
+  for (const m of envasesVenta) {
+    const k = Number(m.producto_id);
+    const acc = porEnvase.get(k) || {
+      producto_id: k,
+      nombre: m.producto?.nombre || `Producto #${k}`,
+      entregados: 0,
+      devueltos: 0,
+      en_poder: 0
+    };
+    if (m.tipo === 'entregado') acc.entregados += Number(m.cantidad) || 0;
+    else acc.devueltos += Number(m.cantidad) || 0;
+    porEnvase.set(k, acc);
+  }
+  for (const s of enPoder) {
+    if (porEnvase.has(s.producto_id))
+      porEnvase.get(s.producto_id).en_poder = s.saldo;
+  }
+
+  const total = round2(venta.total_neto);
+  const anulada = venta.estado === 'anulada';
+  const contado = venta.tipo === 'contado';
+  const movVenta = await movimientoVentaCxC(venta);
+  const saldoAnterior = await saldoAnteriorCxC(venta, movVenta);
+  const pago = anulada
+    ? 0
+    : contado
+      ? total
+      : await pagoInicialCxC(venta, movVenta);
+
+  return {
+    venta: {
+      id: venta.id,
+      codigo: codigoVenta(venta.id),
+      fecha: venta.fecha,
+      tipo: venta.tipo,
+      estado: venta.estado,
+      observaciones: venta.observaciones
+    },
+    local: local ? local.toJSON() : null,
+    cliente: venta.cliente ? venta.cliente.toJSON() : null,
+    vendedor: venta.vendedor?.nombre || null,
+    comprobante: venta.comprobante ? venta.comprobante.toJSON() : null,
+    items: items.map((it) => ({
+      descripcion: it.producto?.nombre || `Producto #${it.producto_id}`,
+      cantidad: Number(it.cantidad),
+      precio_unit: round2(it.precio_unit),
+      subtotal: round2(it.subtotal),
+      descuento: round2(
+        Number(it.descuento_linea ?? 0) + Number(it.descuento_venta ?? 0)
+      ),
+      importe: round2(it.importe_neto ?? it.subtotal)
+    })),
+    totales: {
+      bruto: round2(venta.total_bruto ?? total),
+      descuentos: round2(venta.total_descuentos ?? 0),
+      total
+    },
+    cuenta_corriente: {
+      saldo_anterior: saldoAnterior,
+      esta_venta: anulada ? 0 : total,
+      pago_a_cuenta: pago,
+      saldo_nuevo: round2(saldoAnterior + (anulada ? 0 : total) - pago)
+    },
+    envases: [...porEnvase.values()]
+  };
+}
+
+/* ============================================================
+ * 2) ESC/POS
+ * ============================================================ */
+function buildTicketEscPos(data, columnas) {
+  const t = crearEscPos({ columnas });
+  const {
+    venta,
+    local,
+    cliente,
+    comprobante,
+    totales,
+    cuenta_corriente: cc
+  } = data;
+
+  t.centrar();
+  if (local) {
+    t.negrita(true)
+      .dobleAlto(true)
+      .linea(local.nombre)
+      .dobleAlto(false)
+      .negrita(false);
+    if (local.direccion)
+      t.linea([local.direccion, local.ciudad].filter(Boolean).join(', '));
+    if (local.telefono) t.linea(`Tel. ${local.telefono}`);
+  }
+  t.negrita(true).linea(`REMITO Nº ${venta.codigo}`).negrita(false);
+  if (venta.estado === 'anulada')
+    t.negrita(true).linea('*** ANULADA ***').negrita(false);
+  t.izquierda().separador();
+
+  t.linea(`Fecha: ${fmtFechaHora(venta.fecha)}`);
+  t.linea(`Cliente: ${cliente?.nombre || '—'}`);
+  const dir = [
+    cliente?.direccion_calle,
+    cliente?.direccion_numero,
+    cliente?.direccion_piso_dpto
+  ]
+    .filter(Boolean)
+    .join(' ');
+  if (dir) t.linea(`Dirección: ${dir}`);
+  if (data.vendedor) t.linea(`Vendedor: ${data.vendedor}`);
+  t.linea(`Condición: ${TIPO_LABEL[venta.tipo] || venta.tipo}`);
+  t.separador();
+
+  for (const it of data.items) {
+    t.linea(it.descripcion);
+    t.par(
+      `  ${it.cantidad} x ${moneyAR(it.precio_unit)}`,
+      moneyAR(it.subtotal)
+    );
+    if (it.descuento) t.par('  Descuento', `-${moneyAR(it.descuento)}`);
+  }
+  t.separador();
+  if (totales.descuentos) {
+    t.par('Subtotal', moneyAR(totales.bruto));
+    t.par('Descuentos', `-${moneyAR(totales.descuentos)}`);
+  }
+  t.negrita(true).par('TOTAL', moneyAR(totales.total)).negrita(false);
+  t.separador();
+
+  t.negrita(true).linea('Cuenta corriente').negrita(false);
+  t.par('Saldo anterior', moneyAR(cc.saldo_anterior));
+  t.par('Esta venta', moneyAR(cc.esta_venta));
+  t.par('Pago a cuenta', `-${moneyAR(cc.pago_a_cuenta)}`);
+  t.negrita(true).par('Saldo nuevo', moneyAR(cc.saldo_nuevo)).negrita(false);
+
+  if (data.envases.length) {
+    t.separador();
+    t.negrita(true).linea('Envases').negrita(false);
+    for (const e of data.envases) {
+      t.linea(e.nombre);
+      t.par(
+        `  Entregados ${e.entregados} / Devueltos ${e.devueltos}`,
+        `En su poder ${e.en_poder}`
+      );
+    }
+  }
+
+  t.separador();
+  if (comprobante) {
+    t.linea(
+      `Factura ${comprobante.letra} ${String(comprobante.punto_venta).padStart(5, '0')}-${String(comprobante.numero).padStart(8, '0')}`
+    );
+    t.linea(`CAE ${comprobante.cae}`);
+  } else {
+    t.centrar().linea('Documento no válido como factura').izquierda();
+  }
+  if (venta.observaciones) t.linea(`Obs.: ${venta.observaciones}`);
+
+  t.centrar()
+    .avanzar(1)
+    .codigoBarras(venta.codigo, { ancho: columnas <= 32 ? 2 : 3 });
+  t.izquierda().cortar();
+
+  return t.buffer();
+}
+
+/* ============================================================
+ * 3) HTML para PDF
+ * ============================================================ */
+function buildTicketHtml(data, anchoMm, barcodePng) {
+  const {
+    venta,
+    local,
+    cliente,
+    comprobante,
+    totales,
+    cuenta_corriente: cc
+  } = data;
+  const fila = (izq, der, cls = '') =>
+    `<div class="par ${cls}"><span>${escapeHtml(izq)}</span><span>${escapeHtml(der)}</span></div>`;
+
+  const dir = [
+    cliente?.direccion_calle,
+    cliente?.direccion_numero,
+    cliente?.direccion_piso_dpto
+  ]
+    .filter(Boolean)
+    .join(' ');
+
+  return `<!DOCTYPE html>
+<html lang="es">
+<head>
+  <meta charset="utf-8" />
+  <style>
+    body { width: ${anchoMm - 6}mm; margin: 0 3mm; font-family: 'DejaVu Sans Mono', 'Courier New', monospace;
+      font-size: ${anchoMm <= 58 ? 9 : 11}px; color: #000; }
+    .centro { text-align: center; }
+    .negrita { font-weight: bold; }
+    .grande { font-size: 1.4em; }
+    .sep { border-top: 1px dashed #000; margin: 4px 0; }
+    .par { display: flex; justify-content: space-between; gap: 4px; }
+    .item { margin-top: 2px; }
+    .sangria { padding-left: 8px; }
+    img { max-width: 100%; }
+  </style>
+</head>
+<body>
+  <div class="centro">
+    ${
+      local
+        ? `<div class="negrita grande">${escapeHtml(local.nombre)}</div>
+    ${local.direccion ? `<div>${escapeHtml([local.direccion, local.ciudad].filter(Boolean).join(', '))}</div>` : ''}
+    ${local.telefono ? `<div>Tel. ${escapeHtml(local.telefono)}</div>` : ''}`
+        : ''
+    }
+    <div class="negrita">REMITO Nº ${venta.codigo}</div>
+    ${venta.estado === 'anulada' ? '<div class="negrita">*** ANULADA ***</div>' : ''}
+  </div>
+  <div class="sep"></div>
+  <div>Fecha: ${fmtFechaHora(venta.fecha)}</div>
+  <div>Cliente: ${escapeHtml(cliente?.nombre || '—')}</div>
+  ${dir ? `<div>Dirección: ${escapeHtml(dir)}</div>` : ''}
+  ${data.vendedor ? `<div>Vendedor: ${escapeHtml(data.vendedor)}</div>` : ''}
+  <div>Condición: ${escapeHtml(TIPO_LABEL[venta.tipo] || venta.tipo)}</div>
+  <div class="sep"></div>
+  ${data.items
+    .map(
+      (it) => `
+  <div class="item">${escapeHtml(it.descripcion)}</div>
+  ${fila(`${it.cantidad} x ${moneyAR(it.precio_unit)}`, moneyAR(it.subtotal), 'sangria')}
+  ${it.descuento ? fila('Descuento', `-${moneyAR(it.descuento)}`, 'sangria') : ''}`
+    )
+    .join('')}
+  <div class="sep"></div>
+  ${totales.descuentos ? fila('Subtotal', moneyAR(totales.bruto)) + fila('Descuentos', `-${moneyAR(totales.descuentos)}`) : ''}
+  ${fila('TOTAL', moneyAR(totales.total), 'negrita grande')}
+  <div class="sep"></div>
+  <div class="negrita">Cuenta corriente</div>
+  ${fila('Saldo anterior', moneyAR(cc.saldo_anterior))}
+  ${fila('Esta venta', moneyAR(cc.esta_venta))}
+  ${fila('Pago a cuenta', `-${moneyAR(cc.pago_a_cuenta)}`)}
+  ${fila('Saldo nuevo', moneyAR(cc.saldo_nuevo), 'negrita')}
+  ${
+    data.envases.length
+      ? `<div class="sep"></div><div class="negrita">Envases</div>
+  ${data.envases
+    .map(
+      (e) => `<div class="item">${escapeHtml(e.nombre)}</div>
+  ${fila(`Entregados ${e.entregados} / Devueltos ${e.devueltos}`, `En su poder ${e.en_poder}`, 'sangria')}`
+    )
+    .join('')}`
+      : ''
+  }
+  <div class="sep"></div>
+  ${
+    comprobante
+      ? `<div>Factura ${comprobante.letra} ${String(comprobante.punto_venta).padStart(5, '0')}-${String(comprobante.numero).padStart(8, '0')}</div>
+  <div>CAE ${escapeHtml(comprobante.cae)}</div>`
+      : '<div class="centro">Documento no válido como factura</div>'
+  }
+  ${venta.observaciones ? `<div>Obs.: ${escapeHtml(venta.observaciones)}</div>` : ''}
+  <div class="centro" style="margin-top: 6px">
+    <img src="data:image/png;base64,${barcodePng.toString('base64')}" alt="${venta.codigo}" />
+  </div>
+</body>
+</html>`;
+}
+
+/* ============================================================
+ * 4) Endpoint
+ * ============================================================ */
+export const OBR_VentaTicket_CTS = async (req, res) => {
+  try {
+    const id = normInt(req.params.id);
+    if (!Number.isFinite(id)) {
+      throw errorApi(400, 'BAD_REQUEST', 'ID inválido.');
+    }
+
+    const formato = String(req.query.formato || 'pdf').toLowerCase();
+    if (!['pdf', 'escpos'].includes(formato)) {
+      throw errorApi(
+        400,
+        'BAD_REQUEST',
+        "formato inválido (use 'pdf' | 'escpos')."
+      );
+    }
+    const ancho = req.query.ancho
+      ? Number(req.query.ancho)
+      : ticketConfig.anchoMm;
+    if (!COLUMNAS[ancho]) {
+      throw errorApi(400, 'BAD_REQUEST', 'ancho inválido (use 58 | 80).');
+    }
+
+    const data = await obtenerTicketDatos(id, req.query || {});
+    if (data.local?.printer_nombre) {
+      res.setHeader('X-Printer-Nombre', data.local.printer_nombre);
+    }
+
+    if (formato === 'escpos') {
+      const bytes = buildTicketEscPos(data, COLUMNAS[ancho]);
+      res.setHeader('Content-Type', 'application/octet-stream');
+      res.setHeader(
+        'Content-Disposition',
+        `attachment; filename="ticket-venta-${data.venta.codigo}.bin"`
+      );
+      return res.send(bytes);
+    }
+
+    const barcodePng = await bwipjs.toBuffer({
+      bcid: 'code128',
+      text: data.venta.codigo,
+      scale: 2,
+      height: 10,
+      includetext: true,
+      textxalign: 'center'
+    });
+    const html = buildTicketHtml(data, ancho, barcodePng);
+
+    const browser = await puppeteer.launch({
+      headless: 'new',
+      args: ['--no-sandbox', '--disable-setuid-sandbox']
+    });
+
+    let pdfBuffer;
+    try {
+      const page = await browser.newPage();
+      await page.setContent(html, { waitUntil: 'networkidle0' });
+
+      // Rollo continuo: el alto de la página es el del contenido
+      const altoPx = await page.evaluate(() => document.body.scrollHeight);
+      pdfBuffer = await page.pdf({
+        width: `${ancho}mm`,
+        height: `${Math.ceil(altoPx) + 24}px`,
+        printBackground: true,
+        margin: { top: '3mm', bottom: '3mm', left: '0', right: '0' }
+      });
+    } finally {
+      await browser.close();
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader(
+      'Content-Disposition',
+      `inline; filename="ticket-venta-${data.venta.codigo}.pdf"`
+    );
+    return res.send(pdfBuffer);
+  } catch (err) {
+    return responderError(
+      res,
+      err,
+      'OBR_VentaTicket_CTS',
+      'No se pudo generar el ticket de la venta.'
+    );
+  }
+};
@@ -0,0 +1,222 @@
+// Middlewares/idempotencia.js
+import crypto from 'node:crypto';
+import { Op } from 'sequelize';
+
+import { IdempotenciaClavesModel } from '../Models/Idempotencia/MD_TB_IdempotenciaClaves.js';
+import { idempotenciaConfig } from '../config/idempotencia.config.js';
+import { nowMs } from '../Utils/authoritativeTime.js';
+
+// JSON con claves ordenadas: { a:1, b:2 } y { b:2, a:1 } son el mismo body
+const stableStringify = (v) => {
+  if (Array.isArray(v)) return `[${v.map(stableStringify).join(',')}]`;
+  if (v && typeof v === 'object') {
+    return `{${Object.keys(v)
+      .sort()
+      .map((k) => `${JSON.stringify(k)}:${stableStringify(v[k])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(v ?? null);
+};
+
+const hashBody = (body) =>
+  crypto.createHash('sha256').update(stableStringify(body ?? {})).digest('hex');
+
+const enProcesoTimeoutMs = () => idempotenciaConfig.enProcesoTimeoutSeg * 1000;
+
+// 'en_proceso' más vieja que el timeout: el request original murió sin liberar la clave
+const enProcesoVencida = (row, ahora) =>
+  row.estado === 'en_proceso' &&
+  new Date(row.created_at).getTime() < ahora - enProcesoTimeoutMs();
+
+const responderExistente = (row, bodyHash, res) => {
+  if (row.body_hash !== bodyHash) {
+    return res.status(422).json({
+      code: 'IDEMPOTENCY_KEY_MISMATCH',
+      mensajeError:
+        'La Idempotency-Key ya se usó con un contenido distinto. Generá una clave nueva para esta operación.'
+    });
+  }
+  if (row.estado !== 'completada') {
+    res.set('Retry-After', '2');
+    return res.status(409).json({
+      code: 'IDEMPOTENCY_IN_PROGRESS',
+      mensajeError:
+        'La operación con esta Idempotency-Key todavía se está procesando. Reintentá en unos segundos.'
+    });
+  }
+  res.set('Idempotent-Replayed', 'true');
+  return res.status(row.status_code).json(row.respuesta);
+};
+
+/**
+ * idempotencia: respeta el header Idempotency-Key en POSTs que generan dinero
+ * (ventas, cobranzas). Sin header, el request pasa igual que antes.
+ * - Misma clave + mismo body → reenvía la respuesta original (header Idempotent-Replayed).
+ * - Misma clave + body distinto → 422.
+ * - Primer request aún corriendo → 409 con Retry-After; pasado
+ *   idempotenciaConfig.enProcesoTimeoutSeg la clave colgada se reclama.
+ * - Las claves son por usuario (usuario_id + clave + método + ruta).
+ * - Solo se guardan respuestas 2xx; ante error la clave se libera para reintentar.
+ * - La clave se marca 'completada' dentro de la transacción del handler
+ *   (req.antesDeCommit, con { id } o la respuesta ya armada): si luego falla el
+ *   guardado de la respuesta completa, el reintento recibe { id } y no duplica.
+ * Se monta a nivel ruta, DESPUÉS de autorizar (usa req.user).
+ */
+export async function idempotencia(req, res, next) {
+  const clave = String(req.headers['idempotency-key'] || '').trim();
+  if (!clave) return next();
+
+  if (clave.length > idempotenciaConfig.maxLargoClave) {
+    return res.status(400).json({
+      code: 'BAD_REQUEST',
+      mensajeError: `Idempotency-Key inválida (máx. ${idempotenciaConfig.maxLargoClave} caracteres).`
+    });
+  }
+
+  const metodo = req.method;
+  const ruta = `${req.baseUrl || ''}${req.route?.path || req.path}`;
+  const bodyHash = hashBody(req.body);
+  const ahora = nowMs();
+  // Benjamin Orellana - 13-11-2026 - La clave es por usuario: otro usuario con la
+  // misma Idempotency-Key no choca ni recibe la respuesta ajena
+  const usuarioId = Number(req.user?.id) || 0;
+  const where = { usuario_id: usuarioId, clave, metodo, ruta };
+
+  let row;
+  try {
+    const existente = await IdempotenciaClavesModel.findOne({ where });
+
+    if (
+      existente &&
+      new Date(existente.expira_at).getTime() > ahora &&
+      !enProcesoVencida(existente, ahora)
+    ) {
+      return responderExistente(existente, bodyHash, res);
+    }
+    // Vencida (o 'en_proceso' colgada): se descarta y la clave vuelve a estar disponible.
+    // Condicional: si otro reintento ya la reclamó, el create choca con el UNIQUE.
+    if (existente) {
+      await IdempotenciaClavesModel.destroy({
+        where: {
+          id: existente.id,
+          [Op.or]: [
+            { expira_at: { [Op.lte]: new Date(ahora) } },
+            {
+              estado: 'en_proceso',
+              created_at: { [Op.lt]: new Date(ahora - enProcesoTimeoutMs()) }
+            }
+          ]
+        }
+      });
+    }
+
+    row = await IdempotenciaClavesModel.create({
+      clave,
+      metodo,
+      ruta,
+      usuario_id: usuarioId,
+      body_hash: bodyHash,
+      estado: 'en_proceso',
+      expira_at: new Date(ahora + idempotenciaConfig.ttlHoras * 3600 * 1000),
+      created_at: new Date(ahora)
+    });
+  } catch (err) {
+    // Dos reintentos simultáneos: el segundo choca con el UNIQUE
+    if (err?.name === 'SequelizeUniqueConstraintError') {
+      const otro = await IdempotenciaClavesModel.findOne({ where }).catch(
+        () => null
+      );
+      if (otro) return responderExistente(otro, bodyHash, res);
+    }
+    console.error('[idempotencia] error:', err);
+    return res.status(500).json({
+      code: 'SERVER_ERROR',
+      mensajeError: 'No se pudo validar la Idempotency-Key.'
+    });
+  }
+
+  let resuelto = false;
+  // true cuando la transacción del handler ya dejó la clave 'completada'
+  let completadaEnTx = false;
+
+  const liberar = async () => {
+    resuelto = true;
+    await row.destroy().catch((e) =>
+      console.error('[idempotencia] no se pudo liberar la clave:', e)
+    );
+  };
+
+  // Benjamin Orellana - 13-11-2026 - Corre dentro de la transacción del handler, justo
+  // antes del commit: el alta y la clave 'completada' se confirman juntas.
+  // Se encadena con un hook previo (push offline).
+  const hookPrevio = req.antesDeCommit;
+  req.antesDeCommit = async (t, info = {}) => {
+    if (hookPrevio) await hookPrevio(t, info);
+    const respuesta = info.respuesta ?? { id: info.id };
+    await row.update(
+      {
+        estado: 'completada',
+        status_code: 201,
+        respuesta: JSON.parse(JSON.stringify(respuesta))
+      },
+      { transaction: t }
+    );
+    t.afterCommit(() => {
+      completadaEnTx = true;
+    });
+  };
+
+  // Guardamos la respuesta ANTES de enviarla: un reintento posterior ya la encuentra completa
+  const jsonOriginal = res.json.bind(res);
+  res.json = (payload) => {
+    res.json = jsonOriginal;
+    const status = res.statusCode;
+
+    let guardar;
+    if (status >= 200 && status < 300) {
+      resuelto = true;
+      guardar = row
+        .update({
+          estado: 'completada',
+          status_code: status,
+          respuesta: payload == null ? null : JSON.parse(JSON.stringify(payload))
+        })
+        .catch((e) =>
+          // La clave no se libera: si quedó completada en la transacción el reintento
+          // recibe esa respuesta; si no, sigue en proceso hasta vencer
+          console.error('[idempotencia] no se pudo guardar la respuesta:', e)
+        );
+    } else if (completadaEnTx) {
+      // El alta ya se confirmó y falló algo posterior: liberar la clave duplicaría
+      resuelto = true;
+      guardar = Promise.resolve();
+    } else {
+      guardar = liberar();
+    }
+
+    guardar.finally(() => jsonOriginal(payload));
+    return res;
+  };
+
+  // Respuesta enviada sin pasar por res.json (send, 204): liberar la clave.
+  // Si el cliente cortó la conexión el handler sigue corriendo y su res.json guarda el resultado.
+  res.on('close', () => {
+    if (!resuelto && !completadaEnTx && res.writableEnded) liberar();
+  });
+
+  return next();
+}
+
+// Limpieza periódica (app.js → node-cron)
+export async function purgarIdempotenciaVencida() {
+  try {
+    const n = await IdempotenciaClavesModel.destroy({
+      where: { expira_at: { [Op.lt]: new Date(nowMs()) } }
+    });
+    if (n) {
+      console.log(JSON.stringify({ msg: 'idempotencia_purga', eliminadas: n }));
+    }
+  } catch (err) {
+    console.error('[idempotencia] error en purga:', err);
+  }
+}
@@ -0,0 +1,74 @@
+// Middlewares/permisos.js
+import jwt from 'jsonwebtoken';
+import { JWT_SECRET } from '../Security/auth.js';
+import { permisosConfig } from '../config/permisos.config.js';
+
+/**
+ * autorizar: valida JWT + rol contra la matriz de config/permisos.config.js.
+ * - permiso: string ('ventas.crear') o función (req) => string
+ *   (útil para ?hard=1, ver permisoSegunHard).
+ * - Deja el payload del token en req.user ({ id, rol, local_id, es_reemplazante }).
+ * - Modo observe: nunca bloquea, solo loguea (para habilitar de a poco en el front).
+ */
+export function autorizar(permiso) {
+  return function (req, res, next) {
+    const modo = permisosConfig.modo;
+    const clave = typeof permiso === 'function' ? permiso(req) : permiso;
+    const roles = permisosConfig.matriz[clave];
+
+    const denegar = (status, code, mensajeError) => {
+      console.log(
+        JSON.stringify({
+          msg: 'permiso_denegado',
+          modo,
+          permiso: clave,
+          rol: req.user?.rol ?? null,
+          usuario_id: req.user?.id ?? null,
+          method: req.method,
+          path: req.path
+        })
+      );
+      if (modo === 'observe') return next();
+      return res.status(status).json({ code, mensajeError });
+    };
+
+    if (!roles) {
+      // Error de configuración: mejor cerrar que abrir
+      console.error(`[permisos] permiso no definido en la matriz: ${clave}`);
+      return res.status(500).json({
+        code: 'SERVER_ERROR',
+        mensajeError: 'Permiso no configurado.'
+      });
+    }
+
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1]; // formato: Bearer TOKEN
+    if (!token) {
+      return denegar(401, 'UNAUTHORIZED', 'Debe iniciar sesión.');
+    }
+
+    jwt.verify(token, JWT_SECRET, (err, user) => {
+      if (err) {
+        return denegar(401, 'UNAUTHORIZED', 'Sesión inválida o vencida.');
+      }
+      req.user = user;
+
+      if (!roles.includes(user?.rol)) {
+        return denegar(
+          403,
+          'FORBIDDEN',
+          'No tiene permisos para realizar esta acción.'
+        );
+      }
+      return next();
+    });
+  };
+}
+
+// ?hard=1 (mismo criterio que los controladores: 1 / true / si / sí)
+export const esHard = (req) =>
+  ['1', 'true', 'si', 'sí'].includes(String(req.query?.hard || '').toLowerCase());
+
+// Elige permiso según ?hard=1
+export const permisoSegunHard = (permisoBase) => (req) =>
+  esHard(req) ? `${permisoBase}_hard` : permisoBase;
@@ -1,12 +1,54 @@
 // Middlewares/timeGuard.js
 import { timeConfig } from '../config/time.config.js';
 import { nowMs } from '../Utils/authoritativeTime.js';
+import { resolverHoraAtestada } from '../Utils/timeAttestation.js';
+
+const METODOS_ESCRITURA = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+const MENSAJES_ATESTACION = {
+  TIME_ATTESTATION_REQUIRED:
+    'Se requiere una atestación de hora del servidor (x-time-attestation). Pídala en POST /time/attestation.',
+  TIME_ATTESTATION_INVALID: 'La atestación de hora no es válida.',
+  TIME_ATTESTATION_EXPIRED:
+    'La atestación de hora venció. Pida una nueva o envíe x-time-elapsed-ms si está offline.',
+  TIME_ATTESTATION_CHAIN_BROKEN: 'La cadena de atestaciones está rota.',
+  TIME_ATTESTATION_ELAPSED_INVALID: 'x-time-elapsed-ms inválido.',
+  TIME_ATTESTATION_OFFLINE_EXCEEDED:
+    'Se superó el tiempo máximo offline desde la última atestación.',
+  TIME_ATTESTATION_NOT_CONFIGURED:
+    'El servidor no tiene configurada la firma de atestaciones.',
+  TIME_FECHA_NO_ATESTADA:
+    'La fecha enviada no coincide con la hora atestada por el servidor.'
+};
+
+const ymdLocal = (ms) => {
+  const d = new Date(ms);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+};
+
+// body.fecha (si viene) debe caer en la hora atestada: mismo día si es YYYY-MM-DD, ± tolerancia si trae hora
+const fechaCoincide = (fecha, horaMs, tolerance) => {
+  const txt = String(fecha);
+  if (/^\d{4}-\d{2}-\d{2}$/.test(txt)) return txt === ymdLocal(horaMs);
+  const f = new Date(txt).getTime();
+  if (Number.isNaN(f)) return true; // el controlador responde 'Fecha inválida'
+  return Math.abs(f - horaMs) <= tolerance;
+};
+
+// Alta = POST a una colección (/ventas, /cobranzas-clientes, /ventas/saldo-previo...),
+// no a un recurso existente (/ventas/:id/...)
+const esAlta = (req) =>
+  req.method === 'POST' && !/\/\d+(\/|$)/.test(req.path);
 
 /**
  * timeGuard: defensa en profundidad contra manipulación de reloj del cliente.
  * - NO requiere headers del cliente. Actúa solo si se envían (opcional).
  * - Verifica skew entre "tiempo reportado por el cliente" y hora del servidor.
- * - Modos: observe | soft | strict
+ * - Modos: observe | soft | strict | attested
+ * - attested (Benjamin Orellana - 01-11-2026): en escrituras exige una atestación firmada
+ *   por el server (x-time-attestation, ver Utils/timeAttestation.js); offline se acepta el
+ *   último token + x-time-elapsed-ms. La hora atestada queda en res.locals.attestedNowMs
+ *   y, si el body trae fecha, debe coincidir con ella.
  *
  * Headers opcionales que el frontend podría enviar:
  *   - x-client-reported-time: ms epoch reportados por el cliente (Number)
@@ -29,6 +71,59 @@ export function timeGuard(protectedPrefixes = []) {
       if (!hitProtected) return next();
     }
 
+    if (mode === 'attested') {
+      if (!METODOS_ESCRITURA.includes(req.method)) return next();
+
+      const r = resolverHoraAtestada({
+        atestacion: req.headers['x-time-attestation'],
+        elapsedMs: req.headers['x-time-elapsed-ms']
+      });
+
+      let codigo = r.ok ? null : r.code;
+      if (r.ok && req.body?.fecha && !fechaCoincide(req.body.fecha, r.horaMs, tolerance)) {
+        codigo = 'TIME_FECHA_NO_ATESTADA';
+      }
+
+      console.log(
+        JSON.stringify({
+          msg: 'time_guard_attested',
+          path: req.path,
+          method: req.method,
+          ok: !codigo,
+          codigo,
+          offline: r.ok ? r.offline : null,
+          attestedNowMs: r.ok ? r.horaMs : null,
+          ip: req.ip,
+          ua: req.headers['user-agent']
+        })
+      );
+
+      if (codigo) {
+        return res.status(r.ok ? 428 : r.status).json({
+          codigo,
+          mensaje: MENSAJES_ATESTACION[codigo],
+          detalles: { ...(r.detalles || {}), toleranceMs: tolerance }
+        });
+      }
+
+      // Offline sin fecha explícita: la operación queda fechada a la hora atestada.
+      // Benjamin Orellana - 13-11-2026 - Solo en altas (POST sin :id en la ruta); en
+      // PUT /ventas/:id o acciones sobre un recurso existente no se inventa una fecha nueva
+      if (
+        r.offline &&
+        esAlta(req) &&
+        req.body &&
+        typeof req.body === 'object' &&
+        !req.body.fecha
+      ) {
+        req.body.fecha = new Date(r.horaMs).toISOString();
+      }
+
+      res.locals.serverNowMs = nowMs();
+      res.locals.attestedNowMs = r.horaMs;
+      return next();
+    }
+
     const clientReportedRaw = req.headers['x-client-reported-time'];
     const clientReason = req.headers['x-time-guard-reason'] || undefined;
 
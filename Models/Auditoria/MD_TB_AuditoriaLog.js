@@ -0,0 +1,124 @@
+// ===============================
+// FILE: Models/Auditoria/MD_TB_AuditoriaLog.js
+// ===============================
+/*
+ * Programador: Benjamin Orellana
+ * Fecha: 23 / 10 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ * Modelo Sequelize para la tabla 'auditoria_log' (rastro de cambios sobre registros financieros).
+ * - Quién (usuario_id del JWT / X-User-Id), qué (accion + entidad + entidad_id),
+ *   cómo estaba y cómo quedó (antes / despues en JSON) y cuándo (fecha desde nowMs()).
+ * - Solo inserción: no se edita ni se borra desde la API.
+ */
+
+import dotenv from 'dotenv';
+import db from '../../DataBase/db.js';
+import { DataTypes } from 'sequelize';
+
+if (process.env.NODE_ENV !== 'production') {
+  dotenv.config();
+}
+
+export const AUDITORIA_ACCIONES = ['crear', 'modificar', 'anular', 'eliminar'];
+export const AUDITORIA_ENTIDADES = [
+  'venta',
+  'cobranza',
+  'cxc_movimiento',
+  'saldo_previo',
+  'nota_cxc', // Benjamin Orellana - 26-10-2026 - notas de crédito / débito / ajustes CxC
+  'envase_movimiento' // Benjamin Orellana - 13-11-2026 - movimientos manuales de envases
+];
+
+export const AuditoriaLogModel = db.define(
+  'auditoria_log',
+  {
+    id: {
+      type: DataTypes.BIGINT.UNSIGNED,
+      allowNull: false,
+      autoIncrement: true,
+      primaryKey: true
+    },
+
+    // Usuario que ejecutó la acción (null si el request no vino autenticado)
+    usuario_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+
+    accion: {
+      type: DataTypes.ENUM(...AUDITORIA_ACCIONES),
+      allowNull: false
+    },
+
+    entidad: {
+      type: DataTypes.ENUM(...AUDITORIA_ENTIDADES),
+      allowNull: false
+    },
+
+    entidad_id: {
+      type: DataTypes.BIGINT.UNSIGNED,
+      allowNull: true
+    },
+
+    // Snapshots (null en alta / baja respectivamente)
+    antes: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    despues: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+
+    // Contexto del request (método + ruta, IP)
+    ruta: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    ip: {
+      type: DataTypes.STRING(64),
+      allowNull: true
+    },
+
+    // Hora autoritativa (Utils/authoritativeTime.js → nowMs), no la del reloj local
+    fecha: {
+      type: DataTypes.DATE(3),
+      allowNull: false
+    }
+  },
+  {
+    tableName: 'auditoria_log',
+    timestamps: false,
+    underscored: true,
+
+    defaultScope: {
+      order: [
+        ['fecha', 'DESC'],
+        ['id', 'DESC']
+      ]
+    },
+    scopes: {
+      deEntidad(entidad, entidadId) {
+        return {
+          where:
+            entidadId == null
+              ? { entidad }
+              : { entidad, entidad_id: entidadId }
+        };
+      },
+      deUsuario(usuarioId) {
+        return { where: { usuario_id: usuarioId } };
+      }
+    },
+
+    indexes: [
+      { name: 'idx_audit_entidad', fields: ['entidad', 'entidad_id'] },
+      { name: 'idx_audit_usuario_fecha', fields: ['usuario_id', 'fecha'] },
+      { name: 'idx_audit_fecha', fields: ['fecha'] }
+    ]
+  }
+);
+
+export default AuditoriaLogModel;
@@ -47,6 +47,17 @@ export const ClientesModel = db.define(
         len: { args: [0, 20], msg: 'Documento: máximo 20 caracteres.' }
       }
     },
+    // Benjamin Orellana - 06-11-2026 - Condición frente al IVA: define la letra de la factura (A/B/C)
+    condicion_iva: {
+      type: DataTypes.ENUM(
+        'consumidor_final',
+        'responsable_inscripto',
+        'monotributo',
+        'exento'
+      ),
+      allowNull: false,
+      defaultValue: 'consumidor_final'
+    },
     telefono: {
       type: DataTypes.STRING(30),
       allowNull: true,
@@ -71,6 +82,42 @@ export const ClientesModel = db.define(
       allowNull: true
     },
 
+    // Benjamin Orellana - 02-11-2026 - Lista de precios asignada (mayorista, especial...); null = según ciudad/reparto/general
+    lista_precio_id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: true
+    },
+
+    // Benjamin Orellana - 08-11-2026 - Ubicación tomada con el GPS del teléfono del chofer (optimización de recorrido)
+    latitud: {
+      type: DataTypes.DECIMAL(10, 7),
+      allowNull: true,
+      validate: {
+        min: { args: [-90], msg: 'Latitud fuera de rango.' },
+        max: { args: [90], msg: 'Latitud fuera de rango.' }
+      }
+    },
+    longitud: {
+      type: DataTypes.DECIMAL(10, 7),
+      allowNull: true,
+      validate: {
+        min: { args: [-180], msg: 'Longitud fuera de rango.' },
+        max: { args: [180], msg: 'Longitud fuera de rango.' }
+      }
+    },
+    ubicacion_precision_m: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: true
+    },
+    ubicacion_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    ubicacion_usuario_id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: true
+    },
+
     // FK → barrios (asociaciones se definirán por fuera)
     barrio_id: {
       type: DataTypes.INTEGER.UNSIGNED,
@@ -39,6 +39,12 @@ export const CobranzasClientesModel = db.define(
       allowNull: true
     },
 
+    // Benjamin Orellana - 30-10-2026 - Sesión (jornada) de reparto en la que se cobró
+    reparto_sesion_id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: true
+    },
+
     fecha: {
       type: DataTypes.DATE, // DATETIME
       allowNull: false
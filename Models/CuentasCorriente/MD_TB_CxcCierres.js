@@ -0,0 +1,98 @@
+// ===============================
+// FILE: Models/CuentasCorriente/MD_TB_CxcCierres.js
+// ===============================
+/*
+ * Programador: Benjamin Orellana
+ * Fecha: 25 / 10 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ * Modelo Sequelize para la tabla 'cxc_cierres' (períodos mensuales de CxC cerrados).
+ * - Una fila por año/mes cerrado; los saldos por cliente quedan en cxc_saldos_mensuales.
+ * - Los cierres son correlativos: el último cierre define la fecha de corte
+ *   (no se admiten movimientos CxC con fecha anterior al mes siguiente).
+ */
+
+import dotenv from 'dotenv';
+import db from '../../DataBase/db.js';
+import { DataTypes } from 'sequelize';
+
+if (process.env.NODE_ENV !== 'production') {
+  dotenv.config();
+}
+
+export const CxcCierresModel = db.define(
+  'cxc_cierres',
+  {
+    id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: false,
+      autoIncrement: true,
+      primaryKey: true
+    },
+
+    anio: {
+      type: DataTypes.SMALLINT,
+      allowNull: false
+    },
+
+    mes: {
+      type: DataTypes.TINYINT,
+      allowNull: false,
+      validate: {
+        min: { args: [1], msg: 'mes debe estar entre 1 y 12.' },
+        max: { args: [12], msg: 'mes debe estar entre 1 y 12.' }
+      }
+    },
+
+    // Resumen del cierre
+    clientes: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: false,
+      defaultValue: 0
+    },
+    saldo_total: {
+      type: DataTypes.DECIMAL(14, 2),
+      allowNull: false,
+      defaultValue: 0,
+      get() {
+        const v = this.getDataValue('saldo_total');
+        return v == null ? v : Number(v);
+      }
+    },
+
+    // Quién / cómo se cerró
+    usuario_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    origen: {
+      type: DataTypes.ENUM('manual', 'automatico'),
+      allowNull: false,
+      defaultValue: 'manual'
+    },
+
+    cerrado_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    }
+  },
+  {
+    tableName: 'cxc_cierres',
+    timestamps: false,
+    underscored: true,
+
+    defaultScope: {
+      order: [
+        ['anio', 'DESC'],
+        ['mes', 'DESC']
+      ]
+    },
+
+    indexes: [
+      { name: 'uq_cxccierre_periodo', unique: true, fields: ['anio', 'mes'] }
+    ]
+  }
+);
+
+export default CxcCierresModel;
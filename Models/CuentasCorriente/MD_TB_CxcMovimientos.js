@@ -77,7 +77,8 @@ export const CxcMovimientosModel = db.define(
         'ajuste',
         'nota_credito',
         'nota_debito',
-        'saldo_previo' // Benjamin Orellana - 24-02-2026 se adiciona “cargar saldo previo”
+        'saldo_previo', // Benjamin Orellana - 24-02-2026 se adiciona “cargar saldo previo”
+        'envase_deposito' // Benjamin Orellana - 13-11-2026 - depósito de envases manual
       ),
       allowNull: false
     },
@@ -0,0 +1,184 @@
+// ===============================
+// FILE: Models/CuentasCorriente/MD_TB_CxcNotas.js
+// ===============================
+/*
+ * Programador: Benjamin Orellana
+ * Fecha: 26 / 10 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ * Modelo Sequelize para la tabla 'cxc_notas' (notas de crédito, notas de débito y ajustes de CxC).
+ * - Numeración correlativa por tipo (NC-00000001, ND-..., AJ-...).
+ * - Circuito: pendiente → aprobada (socio; recién ahí impacta cxc_movimientos) | rechazada.
+ * - signo: 1 = aumenta deuda (ND / ajuste a favor nuestro) ; -1 = reduce (NC / ajuste a favor del cliente).
+ * - venta_id opcional: la nota ajusta el saldo pendiente de esa venta.
+ */
+
+import dotenv from 'dotenv';
+import db from '../../DataBase/db.js';
+import { DataTypes } from 'sequelize';
+
+if (process.env.NODE_ENV !== 'production') {
+  dotenv.config();
+}
+
+export const NOTAS_PREFIJO = {
+  nota_credito: 'NC',
+  nota_debito: 'ND',
+  ajuste: 'AJ'
+};
+
+export const formatearComprobanteNota = (tipo, numero) =>
+  `${NOTAS_PREFIJO[tipo] || '??'}-${String(numero ?? 0).padStart(8, '0')}`;
+
+export const CxcNotasModel = db.define(
+  'cxc_notas',
+  {
+    id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: false,
+      autoIncrement: true,
+      primaryKey: true
+    },
+
+    tipo: {
+      type: DataTypes.ENUM('nota_credito', 'nota_debito', 'ajuste'),
+      allowNull: false
+    },
+
+    // Correlativo por tipo
+    numero: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: false
+    },
+
+    // "NC-00000012" (no persistido)
+    comprobante: {
+      type: DataTypes.VIRTUAL,
+      get() {
+        return formatearComprobanteNota(
+          this.getDataValue('tipo'),
+          this.getDataValue('numero')
+        );
+      }
+    },
+
+    // FK → clientes
+    cliente_id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: false
+    },
+
+    // FK → ventas (opcional)
+    venta_id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: true
+    },
+
+    fecha: {
+      type: DataTypes.DATE, // DATETIME (fecha contable del movimiento CxC)
+      allowNull: false
+    },
+
+    signo: {
+      type: DataTypes.TINYINT,
+      allowNull: false,
+      validate: {
+        isIn: { args: [[1, -1]], msg: 'signo debe ser 1 o -1.' }
+      },
+      get() {
+        const v = this.getDataValue('signo');
+        return v == null ? v : Number(v);
+      }
+    },
+
+    monto: {
+      type: DataTypes.DECIMAL(14, 2),
+      allowNull: false,
+      validate: {
+        isDecimal: { args: true, msg: 'monto debe ser decimal.' },
+        min: { args: [0.01], msg: 'monto debe ser mayor a 0.' }
+      },
+      get() {
+        const v = this.getDataValue('monto');
+        return v == null ? v : Number(v);
+      }
+    },
+
+    motivo: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      validate: {
+        notEmpty: { msg: 'El motivo es obligatorio.' },
+        len: { args: [3, 255], msg: 'Motivo: entre 3 y 255 caracteres.' }
+      }
+    },
+
+    estado: {
+      type: DataTypes.ENUM('pendiente', 'aprobada', 'rechazada'),
+      allowNull: false,
+      defaultValue: 'pendiente'
+    },
+
+    // Quién la cargó / quién la resolvió
+    usuario_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    resuelto_por: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    resuelto_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    motivo_rechazo: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+
+    // Movimiento generado al aprobar
+    cxc_movimiento_id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: true
+    },
+
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: db.Sequelize.literal('CURRENT_TIMESTAMP')
+    }
+  },
+  {
+    tableName: 'cxc_notas',
+    timestamps: false,
+    underscored: true,
+
+    defaultScope: {
+      order: [
+        ['fecha', 'DESC'],
+        ['id', 'DESC']
+      ]
+    },
+    scopes: {
+      deCliente(clienteId) {
+        return { where: { cliente_id: clienteId } };
+      },
+      aprobadas: { where: { estado: 'aprobada' } },
+      pendientes: { where: { estado: 'pendiente' } }
+    },
+
+    indexes: [
+      {
+        name: 'uq_cxcnota_tipo_numero',
+        unique: true,
+        fields: ['tipo', 'numero']
+      },
+      { name: 'idx_cxcnota_cliente', fields: ['cliente_id', 'estado'] },
+      { name: 'idx_cxcnota_venta', fields: ['venta_id'] }
+    ]
+  }
+);
+
+export default CxcNotasModel;
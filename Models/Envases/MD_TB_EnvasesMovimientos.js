@@ -0,0 +1,144 @@
+// ===============================
+// FILE: Models/Envases/MD_TB_EnvasesMovimientos.js
+// ===============================
+/*
+ * Programador: Benjamin Orellana
+ * Fecha: 19 / 10 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ * Modelo Sequelize para la tabla 'envases_movimientos' (libro de envases retornables).
+ * - Registra bidones/sifones entregados, devueltos, perdidos y depósitos cobrados por cliente.
+ * - Saldo en poder del cliente = entregado - devuelto - perdido (el depósito no mueve unidades).
+ * - Scopes útiles (deCliente, deVenta, porTipo) y orden por fecha DESC.
+ */
+
+import dotenv from 'dotenv';
+import db from '../../DataBase/db.js';
+import { DataTypes } from 'sequelize';
+
+if (process.env.NODE_ENV !== 'production') {
+  dotenv.config();
+}
+
+export const EnvasesMovimientosModel = db.define(
+  'envases_movimientos',
+  {
+    id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: false,
+      autoIncrement: true,
+      primaryKey: true
+    },
+
+    // FK → clientes
+    cliente_id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: false
+    },
+
+    // FK → productos (tipo de envase: bidón 20L, sifón, etc.)
+    producto_id: {
+      type: DataTypes.BIGINT.UNSIGNED,
+      allowNull: false
+    },
+
+    // Origen opcional: línea de venta que generó el movimiento
+    venta_id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: true
+    },
+    venta_detalle_id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: true
+    },
+
+    // Snapshot de reparto (para reportes de recolección)
+    reparto_id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: true
+    },
+
+    fecha: {
+      type: DataTypes.DATE, // DATETIME
+      allowNull: false
+    },
+
+    tipo: {
+      type: DataTypes.ENUM('entregado', 'devuelto', 'perdido', 'deposito'),
+      allowNull: false,
+      comment:
+        'entregado (+ en cliente) / devuelto (-) / perdido (-) / deposito (sin unidades, solo monto)'
+    },
+
+    cantidad: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: false,
+      defaultValue: 0,
+      validate: {
+        isInt: { args: true, msg: 'cantidad debe ser un entero.' },
+        min: { args: [0], msg: 'cantidad no puede ser negativa.' }
+      }
+    },
+
+    // Monto cobrado en concepto de depósito / reposición (solo deposito o perdido)
+    monto: {
+      type: DataTypes.DECIMAL(14, 2),
+      allowNull: false,
+      defaultValue: 0,
+      validate: {
+        isDecimal: { args: true, msg: 'monto debe ser decimal.' },
+        min: { args: [0], msg: 'monto no puede ser negativo.' }
+      },
+      get() {
+        const v = this.getDataValue('monto');
+        return v == null ? v : Number(v);
+      }
+    },
+
+    observaciones: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+      validate: {
+        len: { args: [0, 255], msg: 'Observaciones: máx. 255 caracteres.' }
+      }
+    },
+
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: db.Sequelize.literal('CURRENT_TIMESTAMP')
+    }
+  },
+  {
+    tableName: 'envases_movimientos',
+    timestamps: false, // Solo created_at en DDL
+    underscored: true,
+
+    defaultScope: {
+      order: [
+        ['fecha', 'DESC'],
+        ['id', 'DESC']
+      ]
+    },
+    scopes: {
+      deCliente(clienteId) {
+        return { where: { cliente_id: clienteId } };
+      },
+      deVenta(ventaId) {
+        return { where: { venta_id: ventaId } };
+      },
+      porTipo(tipo) {
+        return { where: { tipo } };
+      }
+    },
+
+    indexes: [
+      { name: 'idx_envmov_cliente_fecha', fields: ['cliente_id', 'fecha'] },
+      { name: 'idx_envmov_cliente_producto', fields: ['cliente_id', 'producto_id'] },
+      { name: 'idx_envmov_venta', fields: ['venta_id'] }
+    ]
+  }
+);
+
+export default EnvasesMovimientosModel;
@@ -0,0 +1,107 @@
+// ===============================
+// FILE: Models/Idempotencia/MD_TB_IdempotenciaClaves.js
+// ===============================
+/*
+ * Programador: Benjamin Orellana
+ * Fecha: 24 / 10 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ * Modelo Sequelize para la tabla 'idempotencia_claves' (header Idempotency-Key).
+ * - Una fila por usuario + clave + método + ruta, con el hash del body original.
+ * - estado 'en_proceso' mientras corre el primer request; 'completada' guarda
+ *   status + respuesta para reenviarla tal cual en los reintentos.
+ * - expira_at define la ventana de validez (config/idempotencia.config.js).
+ */
+
+import dotenv from 'dotenv';
+import db from '../../DataBase/db.js';
+import { DataTypes } from 'sequelize';
+
+if (process.env.NODE_ENV !== 'production') {
+  dotenv.config();
+}
+
+export const IdempotenciaClavesModel = db.define(
+  'idempotencia_claves',
+  {
+    id: {
+      type: DataTypes.BIGINT.UNSIGNED,
+      allowNull: false,
+      autoIncrement: true,
+      primaryKey: true
+    },
+
+    clave: {
+      type: DataTypes.STRING(128),
+      allowNull: false
+    },
+
+    metodo: {
+      type: DataTypes.STRING(10),
+      allowNull: false
+    },
+
+    // Ruta "plantilla" del endpoint (ej: /ventas/reparto-masiva), sin query string
+    ruta: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+
+    // Benjamin Orellana - 13-11-2026 - Parte de la clave (0 = sin usuario)
+    usuario_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+
+    // SHA-256 del body normalizado (claves ordenadas)
+    body_hash: {
+      type: DataTypes.CHAR(64),
+      allowNull: false
+    },
+
+    estado: {
+      type: DataTypes.ENUM('en_proceso', 'completada'),
+      allowNull: false,
+      defaultValue: 'en_proceso'
+    },
+
+    status_code: {
+      type: DataTypes.SMALLINT.UNSIGNED,
+      allowNull: true
+    },
+
+    respuesta: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+
+    expira_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: db.Sequelize.literal('CURRENT_TIMESTAMP')
+    }
+  },
+  {
+    tableName: 'idempotencia_claves',
+    timestamps: false,
+    underscored: true,
+
+    indexes: [
+      {
+        name: 'uq_idem_usuario_clave_metodo_ruta',
+        unique: true,
+        fields: ['usuario_id', 'clave', 'metodo', 'ruta']
+      },
+      { name: 'idx_idem_expira', fields: ['expira_at'] }
+    ]
+  }
+);
+
+export default IdempotenciaClavesModel;
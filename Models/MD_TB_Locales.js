@@ -77,6 +77,15 @@ export const LocalesModel = db.define(
       allowNull: true,
       defaultValue: '18:00:00'
     },
+    // Benjamin Orellana - 08-11-2026 - Coordenadas del local (depósito de salida de los repartos)
+    latitud: {
+      type: DataTypes.DECIMAL(10, 7),
+      allowNull: true
+    },
+    longitud: {
+      type: DataTypes.DECIMAL(10, 7),
+      allowNull: true
+    },
     printer_nombre: {
       type: DataTypes.STRING(100),
       allowNull: true
@@ -0,0 +1,85 @@
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 02 / 11 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ *  Modelo Sequelize para la tabla 'clientes_precios'.
+ *  Precio especial de un producto para un cliente (pisa cualquier lista).
+ *  Versionado igual que listas_precios_items.
+ *
+ * Tema: Modelos - Precios
+ * Capa: Backend
+ */
+
+import dotenv from 'dotenv';
+import db from '../../DataBase/db.js';
+import { DataTypes } from 'sequelize';
+
+if (process.env.NODE_ENV !== 'production') {
+  dotenv.config();
+}
+
+export const ClientesPreciosModel = db.define(
+  'clientes_precios',
+  {
+    id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      autoIncrement: true,
+      primaryKey: true
+    },
+    cliente_id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: false
+    },
+    producto_id: {
+      type: DataTypes.BIGINT.UNSIGNED,
+      allowNull: false
+    },
+    precio: {
+      type: DataTypes.DECIMAL(14, 2),
+      allowNull: false,
+      validate: {
+        min: { args: [0], msg: 'precio no puede ser negativo.' }
+      },
+      get() {
+        const v = this.getDataValue('precio');
+        return v == null ? v : Number(v);
+      }
+    },
+    vigente_desde: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    vigente_hasta: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    motivo: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    usuario_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    }
+  },
+  {
+    tableName: 'clientes_precios',
+    timestamps: false,
+    underscored: true,
+    indexes: [
+      {
+        name: 'idx_clip_cliente_producto',
+        fields: ['cliente_id', 'producto_id', 'vigente_desde']
+      }
+    ]
+  }
+);
+
+export default ClientesPreciosModel;
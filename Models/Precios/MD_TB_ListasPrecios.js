@@ -0,0 +1,95 @@
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 02 / 11 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ *  Modelo Sequelize para la tabla 'listas_precios' (cabecera).
+ *  - tipo general | mayorista | ciudad (ciudad_id) | reparto (reparto_id).
+ *  - Vigencia por fechas (vigente_hasta NULL = sin vencimiento).
+ *  - Las mayoristas se asignan al cliente (clientes.lista_precio_id).
+ *
+ * Tema: Modelos - Precios
+ * Capa: Backend
+ */
+
+import dotenv from 'dotenv';
+import db from '../../DataBase/db.js';
+import { DataTypes } from 'sequelize';
+
+if (process.env.NODE_ENV !== 'production') {
+  dotenv.config();
+}
+
+export const LISTAS_PRECIOS_TIPOS = [
+  'general',
+  'mayorista',
+  'ciudad',
+  'reparto'
+];
+
+export const ListasPreciosModel = db.define(
+  'listas_precios',
+  {
+    id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      autoIncrement: true,
+      primaryKey: true
+    },
+    nombre: {
+      type: DataTypes.STRING(120),
+      allowNull: false,
+      validate: {
+        notEmpty: { msg: 'El nombre es requerido' }
+      }
+    },
+    tipo: {
+      type: DataTypes.ENUM(...LISTAS_PRECIOS_TIPOS),
+      allowNull: false
+    },
+    // Solo tipo 'ciudad'
+    ciudad_id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: true
+    },
+    // Solo tipo 'reparto'
+    reparto_id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: true
+    },
+    vigente_desde: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    vigente_hasta: {
+      type: DataTypes.DATEONLY,
+      allowNull: true
+    },
+    estado: {
+      type: DataTypes.ENUM('activa', 'inactiva'),
+      allowNull: false,
+      defaultValue: 'activa'
+    },
+    observaciones: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    }
+  },
+  {
+    tableName: 'listas_precios',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    underscored: true,
+    indexes: [
+      { name: 'idx_listas_tipo', fields: ['tipo', 'estado', 'vigente_desde'] },
+      { name: 'idx_listas_ciudad', fields: ['ciudad_id'] },
+      { name: 'idx_listas_reparto', fields: ['reparto_id'] }
+    ],
+    scopes: {
+      activas: { where: { estado: 'activa' } }
+    }
+  }
+);
+
+export default ListasPreciosModel;
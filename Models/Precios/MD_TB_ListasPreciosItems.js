@@ -0,0 +1,84 @@
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 02 / 11 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ *  Modelo Sequelize para la tabla 'listas_precios_items'.
+ *  Precio de un producto dentro de una lista, versionado: cada cambio cierra
+ *  la fila vigente (vigente_hasta) y abre otra. Las filas cerradas son el
+ *  historial ("cuánto valía el bidón en marzo").
+ *
+ * Tema: Modelos - Precios
+ * Capa: Backend
+ */
+
+import dotenv from 'dotenv';
+import db from '../../DataBase/db.js';
+import { DataTypes } from 'sequelize';
+
+if (process.env.NODE_ENV !== 'production') {
+  dotenv.config();
+}
+
+export const ListasPreciosItemsModel = db.define(
+  'listas_precios_items',
+  {
+    id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      autoIncrement: true,
+      primaryKey: true
+    },
+    lista_id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: false
+    },
+    producto_id: {
+      type: DataTypes.BIGINT.UNSIGNED,
+      allowNull: false
+    },
+    precio: {
+      type: DataTypes.DECIMAL(14, 2),
+      allowNull: false,
+      validate: {
+        min: { args: [0], msg: 'precio no puede ser negativo.' }
+      },
+      get() {
+        const v = this.getDataValue('precio');
+        return v == null ? v : Number(v);
+      }
+    },
+    vigente_desde: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    // NULL = versión vigente
+    vigente_hasta: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    usuario_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    }
+  },
+  {
+    tableName: 'listas_precios_items',
+    timestamps: false,
+    underscored: true,
+    indexes: [
+      {
+        name: 'idx_lpi_lista_producto',
+        fields: ['lista_id', 'producto_id', 'vigente_desde']
+      },
+      { name: 'idx_lpi_producto', fields: ['producto_id'] }
+    ]
+  }
+);
+
+export default ListasPreciosItemsModel;
@@ -0,0 +1,82 @@
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 02 / 11 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ *  Modelo Sequelize para la tabla 'productos_precios_historial'.
+ *  Un registro por cada cambio de productos.pre_prod (precio base, último
+ *  recurso cuando ninguna lista tiene el producto).
+ *
+ * Tema: Modelos - Precios
+ * Capa: Backend
+ */
+
+import dotenv from 'dotenv';
+import db from '../../DataBase/db.js';
+import { DataTypes } from 'sequelize';
+
+if (process.env.NODE_ENV !== 'production') {
+  dotenv.config();
+}
+
+const decimalGetter = (campo) =>
+  function () {
+    const v = this.getDataValue(campo);
+    return v == null ? v : Number(v);
+  };
+
+export const ProductosPreciosHistorialModel = db.define(
+  'productos_precios_historial',
+  {
+    id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      autoIncrement: true,
+      primaryKey: true
+    },
+    producto_id: {
+      type: DataTypes.BIGINT.UNSIGNED,
+      allowNull: false
+    },
+    // NULL en el alta del producto
+    precio_anterior: {
+      type: DataTypes.DECIMAL(18, 2),
+      allowNull: true,
+      get: decimalGetter('precio_anterior')
+    },
+    precio_nuevo: {
+      type: DataTypes.DECIMAL(18, 2),
+      allowNull: false,
+      get: decimalGetter('precio_nuevo')
+    },
+    usuario_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    // Benjamin Orellana - 03-11-2026 - Actualización masiva: todas las filas del lote comparten UUID
+    lote: {
+      type: DataTypes.STRING(36),
+      allowNull: true
+    },
+    motivo: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    }
+  },
+  {
+    tableName: 'productos_precios_historial',
+    timestamps: false,
+    underscored: true,
+    indexes: [
+      { name: 'idx_pph_producto', fields: ['producto_id', 'created_at'] },
+      { name: 'idx_pph_lote', fields: ['lote'] }
+    ]
+  }
+);
+
+export default ProductosPreciosHistorialModel;
@@ -0,0 +1,85 @@
+// ===============================================
+// FILE: Models/Precios/relacionesPrecios.js
+// ===============================================
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 02 / 11 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ *  Asociaciones del módulo de Precios:
+ *  - ListasPrecios 1..N ListasPreciosItems (versiones por producto)
+ *  - ListasPrecios → Ciudad / Reparto (según tipo)
+ *  - Clientes 1..N ClientesPrecios (precios especiales versionados)
+ *  - Clientes → ListasPrecios (lista asignada)
+ *  - Items / precios especiales / historial → Producto
+ *
+ * Tema: Relaciones - Precios
+ * Capa: Backend
+ */
+
+import { ProductosModel } from '../Productos/MD_TB_Productos.js';
+import { ClientesModel } from '../Clientes/MD_TB_Clientes.js';
+import { CiudadesModel } from '../Geografia/MD_TB_Ciudades.js';
+import { RepartosModel } from '../Repartos/MD_TB_Repartos.js';
+
+import { ListasPreciosModel } from './MD_TB_ListasPrecios.js';
+import { ListasPreciosItemsModel } from './MD_TB_ListasPreciosItems.js';
+import { ClientesPreciosModel } from './MD_TB_ClientesPrecios.js';
+import { ProductosPreciosHistorialModel } from './MD_TB_ProductosPreciosHistorial.js';
+
+export function initRelacionesPrecios() {
+  // ===============================
+  // Listas
+  // ===============================
+  ListasPreciosModel.hasMany(ListasPreciosItemsModel, {
+    as: 'items',
+    foreignKey: 'lista_id'
+  });
+  ListasPreciosItemsModel.belongsTo(ListasPreciosModel, {
+    as: 'lista',
+    foreignKey: 'lista_id'
+  });
+  ListasPreciosItemsModel.belongsTo(ProductosModel, {
+    as: 'producto',
+    foreignKey: 'producto_id'
+  });
+  ListasPreciosModel.belongsTo(CiudadesModel, {
+    as: 'ciudad',
+    foreignKey: 'ciudad_id'
+  });
+  ListasPreciosModel.belongsTo(RepartosModel, {
+    as: 'reparto',
+    foreignKey: 'reparto_id'
+  });
+
+  // ===============================
+  // Clientes
+  // ===============================
+  ClientesModel.belongsTo(ListasPreciosModel, {
+    as: 'lista_precio',
+    foreignKey: 'lista_precio_id'
+  });
+  ClientesModel.hasMany(ClientesPreciosModel, {
+    as: 'precios_especiales',
+    foreignKey: 'cliente_id'
+  });
+  ClientesPreciosModel.belongsTo(ClientesModel, {
+    as: 'cliente',
+    foreignKey: 'cliente_id'
+  });
+  ClientesPreciosModel.belongsTo(ProductosModel, {
+    as: 'producto',
+    foreignKey: 'producto_id'
+  });
+
+  // ===============================
+  // Historial de precio base
+  // ===============================
+  ProductosPreciosHistorialModel.belongsTo(ProductosModel, {
+    as: 'producto',
+    foreignKey: 'producto_id'
+  });
+}
+
+export default initRelacionesPrecios;
@@ -93,6 +93,13 @@ export const ProductosModel = db.define(
       allowNull: false,
       defaultValue: 21.0
     },
+    // Benjamin Orellana - 19-10-2026 - Marca productos con envase retornable (bidón 20L, sifón)
+    // para llevar el libro de envases por cliente (envases_movimientos).
+    es_retornable: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
     estado: {
       type: DataTypes.ENUM('activo', 'inactivo'),
       allowNull: false,
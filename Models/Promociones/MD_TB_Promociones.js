@@ -0,0 +1,126 @@
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 04 / 11 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ *  Modelo Sequelize para la tabla 'promociones'.
+ *  - Por línea: porcentaje_linea (valor = %), monto_linea (valor = $ por unidad),
+ *    lleve_pague ("lleve 6 pague 5": lleve / pague, requiere producto_id).
+ *  - Por venta: porcentaje_venta (valor = %), monto_venta (valor = $ fijo).
+ *  - producto_id NULL = cualquier producto (solo promos por línea).
+ *  - cliente_id NULL = todos; con cliente = descuento de fidelidad de ese cliente.
+ *  - cantidad_minima (por línea) / monto_minimo (por venta, sobre el bruto).
+ *
+ * Tema: Modelos - Promociones
+ * Capa: Backend
+ */
+
+import dotenv from 'dotenv';
+import db from '../../DataBase/db.js';
+import { DataTypes } from 'sequelize';
+
+if (process.env.NODE_ENV !== 'production') {
+  dotenv.config();
+}
+
+export const PROMOCIONES_TIPOS_LINEA = [
+  'porcentaje_linea',
+  'monto_linea',
+  'lleve_pague'
+];
+export const PROMOCIONES_TIPOS_VENTA = ['porcentaje_venta', 'monto_venta'];
+export const PROMOCIONES_TIPOS = [
+  ...PROMOCIONES_TIPOS_LINEA,
+  ...PROMOCIONES_TIPOS_VENTA
+];
+
+const decimalGetter = (campo) =>
+  function () {
+    const v = this.getDataValue(campo);
+    return v == null ? v : Number(v);
+  };
+
+export const PromocionesModel = db.define(
+  'promociones',
+  {
+    id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      autoIncrement: true,
+      primaryKey: true
+    },
+    nombre: {
+      type: DataTypes.STRING(120),
+      allowNull: false,
+      validate: {
+        notEmpty: { msg: 'El nombre es requerido' }
+      }
+    },
+    tipo: {
+      type: DataTypes.ENUM(...PROMOCIONES_TIPOS),
+      allowNull: false
+    },
+    producto_id: {
+      type: DataTypes.BIGINT.UNSIGNED,
+      allowNull: true
+    },
+    cliente_id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: true
+    },
+    // % o $ según tipo (no aplica a lleve_pague)
+    valor: {
+      type: DataTypes.DECIMAL(14, 2),
+      allowNull: true,
+      get: decimalGetter('valor')
+    },
+    lleve: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: true
+    },
+    pague: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: true
+    },
+    cantidad_minima: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: true
+    },
+    monto_minimo: {
+      type: DataTypes.DECIMAL(14, 2),
+      allowNull: true,
+      get: decimalGetter('monto_minimo')
+    },
+    vigente_desde: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    vigente_hasta: {
+      type: DataTypes.DATEONLY,
+      allowNull: true
+    },
+    estado: {
+      type: DataTypes.ENUM('activa', 'inactiva'),
+      allowNull: false,
+      defaultValue: 'activa'
+    },
+    observaciones: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    }
+  },
+  {
+    tableName: 'promociones',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    underscored: true,
+    indexes: [
+      { name: 'idx_promo_vigencia', fields: ['estado', 'vigente_desde'] },
+      { name: 'idx_promo_producto', fields: ['producto_id'] },
+      { name: 'idx_promo_cliente', fields: ['cliente_id'] }
+    ]
+  }
+);
+
+export default PromocionesModel;
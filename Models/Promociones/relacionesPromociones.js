@@ -0,0 +1,45 @@
+// ===============================================
+// FILE: Models/Promociones/relacionesPromociones.js
+// ===============================================
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 04 / 11 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ *  Asociaciones del módulo de Promociones:
+ *  - Promociones → Producto (promos por línea) / Cliente (fidelidad)
+ *  - Ventas / VentasDetalle → Promoción aplicada
+ *
+ * Tema: Relaciones - Promociones
+ * Capa: Backend
+ */
+
+import { ProductosModel } from '../Productos/MD_TB_Productos.js';
+import { ClientesModel } from '../Clientes/MD_TB_Clientes.js';
+import { VentasModel } from '../Ventas/MD_TB_Ventas.js';
+import { VentasDetalleModel } from '../Ventas/MD_TB_VentasDetalle.js';
+
+import { PromocionesModel } from './MD_TB_Promociones.js';
+
+export function initRelacionesPromociones() {
+  PromocionesModel.belongsTo(ProductosModel, {
+    as: 'producto',
+    foreignKey: 'producto_id'
+  });
+  PromocionesModel.belongsTo(ClientesModel, {
+    as: 'cliente',
+    foreignKey: 'cliente_id'
+  });
+
+  VentasModel.belongsTo(PromocionesModel, {
+    as: 'promocion',
+    foreignKey: 'promocion_id'
+  });
+  VentasDetalleModel.belongsTo(PromocionesModel, {
+    as: 'promocion',
+    foreignKey: 'promocion_id'
+  });
+}
+
+export default initRelacionesPromociones;
@@ -0,0 +1,99 @@
+// ===============================================
+// FILE: Models/Repartos/MD_TB_RepartoClientesHistorial.js
+// ===============================================
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 09 / 11 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ *  Modelo Sequelize para la tabla 'reparto_clientes_historial'.
+ *  Una fila por cada numero_rango que cambia en una renumeración del reparto
+ *  (POST /repartos/:id/renumerar o ruta optimizada). Todas las filas de la
+ *  misma operación comparten el UUID de lote.
+ *
+ * Tema: Modelos - Repartos
+ * Capa: Backend
+ */
+
+import dotenv from 'dotenv';
+import db from '../../DataBase/db.js';
+import { DataTypes } from 'sequelize';
+
+if (process.env.NODE_ENV !== 'production') {
+  dotenv.config();
+}
+
+export const RepartoClientesHistorialModel = db.define(
+  'reparto_clientes_historial',
+  {
+    id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      autoIncrement: true,
+      primaryKey: true
+    },
+    lote: {
+      type: DataTypes.STRING(36),
+      allowNull: false
+    },
+    reparto_id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: false
+    },
+    reparto_cliente_id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: false
+    },
+    cliente_id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: false
+    },
+    numero_anterior: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: false
+    },
+    numero_nuevo: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: false
+    },
+    // Estado de la asignación al renumerar (las inactivas se corren si estorban)
+    estado: {
+      type: DataTypes.ENUM('activo', 'inactivo'),
+      allowNull: false
+    },
+    // renumerar | ruta_optimizada
+    origen: {
+      type: DataTypes.STRING(30),
+      allowNull: false
+    },
+    estrategia: {
+      type: DataTypes.STRING(30),
+      allowNull: true
+    },
+    motivo: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    usuario_id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: true
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    }
+  },
+  {
+    tableName: 'reparto_clientes_historial',
+    timestamps: false,
+    underscored: true,
+    indexes: [
+      { name: 'idx_rch_reparto', fields: ['reparto_id', 'created_at'] },
+      { name: 'idx_rch_lote', fields: ['lote'] },
+      { name: 'idx_rch_cliente', fields: ['cliente_id'] }
+    ]
+  }
+);
+
+export default RepartoClientesHistorialModel;
@@ -0,0 +1,89 @@
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 30 / 10 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ *  Modelo Sequelize para la tabla 'reparto_sesion_visitas'.
+ *  Check-in del chofer por cliente dentro de una sesión de reparto:
+ *  visitado | vendido | ausente | rechazado (con motivo).
+ *  Una fila por sesión + cliente (el último check-in pisa al anterior).
+ *
+ * Tema: Modelos - Repartos
+ * Capa: Backend
+ */
+
+import dotenv from 'dotenv';
+import db from '../../DataBase/db.js';
+import { DataTypes } from 'sequelize';
+
+if (process.env.NODE_ENV !== 'production') {
+  dotenv.config();
+}
+
+export const VISITA_RESULTADOS = ['visitado', 'vendido', 'ausente', 'rechazado'];
+
+// Resultados que exigen motivo
+export const VISITA_REQUIERE_MOTIVO = ['ausente', 'rechazado'];
+
+export const RepartoSesionVisitasModel = db.define(
+  'reparto_sesion_visitas',
+  {
+    id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      autoIncrement: true,
+      primaryKey: true
+    },
+    sesion_id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: false,
+      comment: 'FK → reparto_sesiones.id'
+    },
+    cliente_id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: false,
+      comment: 'FK → clientes.id'
+    },
+    resultado: {
+      type: DataTypes.ENUM(...VISITA_RESULTADOS),
+      allowNull: false
+    },
+    motivo: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+      validate: {
+        len: { args: [0, 255], msg: 'Motivo: máx. 255 caracteres.' }
+      }
+    },
+    // Venta generada en la visita (resultado 'vendido')
+    venta_id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: true
+    },
+    usuario_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    registrado_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    }
+  },
+  {
+    tableName: 'reparto_sesion_visitas',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    underscored: true,
+    indexes: [
+      {
+        name: 'uq_repvis_sesion_cliente',
+        unique: true,
+        fields: ['sesion_id', 'cliente_id']
+      },
+      { name: 'idx_repvis_cliente', fields: ['cliente_id'] }
+    ]
+  }
+);
+
+export default RepartoSesionVisitasModel;
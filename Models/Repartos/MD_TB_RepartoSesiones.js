@@ -0,0 +1,140 @@
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 30 / 10 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ *  Modelo Sequelize para la tabla 'reparto_sesiones' (jornada de reparto).
+ *  Una sesión = reparto + fecha + turno. El chofer la abre, registra las visitas
+ *  y la cierra declarando el efectivo. Al cerrar se congelan los totales
+ *  (ventas contado + cobranzas de la sesión) y la diferencia de caja.
+ *
+ * Tema: Modelos - Repartos
+ * Capa: Backend
+ */
+
+import dotenv from 'dotenv';
+import db from '../../DataBase/db.js';
+import { DataTypes } from 'sequelize';
+
+if (process.env.NODE_ENV !== 'production') {
+  dotenv.config();
+}
+
+const decimalGetter = (campo) =>
+  function () {
+    const v = this.getDataValue(campo);
+    return v == null ? v : Number(v);
+  };
+
+export const RepartoSesionesModel = db.define(
+  'reparto_sesiones',
+  {
+    id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      autoIncrement: true,
+      primaryKey: true
+    },
+    reparto_id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: false,
+      comment: 'FK → repartos.id'
+    },
+    fecha: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    turno: {
+      type: DataTypes.ENUM('maniana', 'tarde', 'noche'),
+      allowNull: true,
+      comment: 'NULL si el reparto no distingue turno'
+    },
+    estado: {
+      type: DataTypes.ENUM('abierta', 'cerrada'),
+      allowNull: false,
+      defaultValue: 'abierta'
+    },
+
+    // Apertura
+    abierta_por: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'FK → usuarios.id (chofer que abrió la sesión)'
+    },
+    abierta_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+
+    // Cierre / arqueo (se completan al cerrar)
+    cerrada_por: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    cerrada_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    ventas_contado_total: {
+      type: DataTypes.DECIMAL(14, 2),
+      allowNull: true,
+      get: decimalGetter('ventas_contado_total')
+    },
+    cobranzas_total: {
+      type: DataTypes.DECIMAL(14, 2),
+      allowNull: true,
+      get: decimalGetter('cobranzas_total')
+    },
+    efectivo_esperado: {
+      type: DataTypes.DECIMAL(14, 2),
+      allowNull: true,
+      get: decimalGetter('efectivo_esperado')
+    },
+    efectivo_declarado: {
+      type: DataTypes.DECIMAL(14, 2),
+      allowNull: true,
+      validate: {
+        min: { args: [0], msg: 'efectivo_declarado no puede ser negativo.' }
+      },
+      get: decimalGetter('efectivo_declarado')
+    },
+    // declarado - esperado (negativo = faltante)
+    diferencia: {
+      type: DataTypes.DECIMAL(14, 2),
+      allowNull: true,
+      get: decimalGetter('diferencia')
+    },
+    resultado_caja: {
+      type: DataTypes.ENUM('cuadrada', 'faltante', 'sobrante'),
+      allowNull: true
+    },
+    observaciones: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+      validate: {
+        len: { args: [0, 255], msg: 'Observaciones: máx. 255 caracteres.' }
+      }
+    }
+  },
+  {
+    tableName: 'reparto_sesiones',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    underscored: true,
+    indexes: [
+      {
+        name: 'uq_repses_reparto_fecha_turno',
+        unique: true,
+        fields: ['reparto_id', 'fecha', 'turno']
+      },
+      { name: 'idx_repses_estado', fields: ['estado', 'fecha'] }
+    ],
+    scopes: {
+      abiertas: { where: { estado: 'abierta' } },
+      cerradas: { where: { estado: 'cerrada' } }
+    }
+  }
+);
+
+export default RepartoSesionesModel;
@@ -0,0 +1,123 @@
+// ===============================================
+// FILE: Models/Repartos/MD_TB_RepartosReemplazos.js
+// ===============================================
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 11 / 11 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ *  Modelo Sequelize para la tabla 'repartos_reemplazos'.
+ *  Asignación temporal de un reemplazante (users.es_reemplazante) a un reparto
+ *  entre dos fechas, con motivo. Si indica reemplazado_usuario_id cubre a ese
+ *  titular; si no, cubre a todos los titulares del rol en el reparto.
+ *  turno NULL = todos los turnos del reparto.
+ *
+ * Tema: Modelos - Repartos
+ * Capa: Backend
+ */
+
+import dotenv from 'dotenv';
+import db from '../../DataBase/db.js';
+import { DataTypes } from 'sequelize';
+
+if (process.env.NODE_ENV !== 'production') {
+  dotenv.config();
+}
+
+export const MOTIVOS_REEMPLAZO = [
+  'vacaciones',
+  'enfermedad',
+  'licencia',
+  'otro'
+];
+
+export const RepartosReemplazosModel = db.define(
+  'repartos_reemplazos',
+  {
+    id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      autoIncrement: true,
+      primaryKey: true
+    },
+    reparto_id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: false,
+      comment: 'FK → repartos.id'
+    },
+    usuario_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: 'FK → usuarios.id (reemplazante)'
+    },
+    reemplazado_usuario_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'FK → usuarios.id (titular cubierto; NULL = todos los del rol)'
+    },
+    rol: {
+      type: DataTypes.ENUM('chofer', 'ayudante'),
+      allowNull: false,
+      defaultValue: 'chofer'
+    },
+    fecha_desde: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    fecha_hasta: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    turno: {
+      type: DataTypes.ENUM('maniana', 'tarde', 'noche'),
+      allowNull: true
+    },
+    motivo: {
+      type: DataTypes.ENUM(...MOTIVOS_REEMPLAZO),
+      allowNull: false,
+      defaultValue: 'otro'
+    },
+    observaciones: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    estado: {
+      type: DataTypes.ENUM('activo', 'anulado'),
+      allowNull: false,
+      defaultValue: 'activo'
+    },
+    creado_por: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    }
+  },
+  {
+    tableName: 'repartos_reemplazos',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    underscored: true,
+    indexes: [
+      {
+        name: 'idx_represp_reparto_fechas',
+        fields: ['reparto_id', 'fecha_desde', 'fecha_hasta']
+      },
+      {
+        name: 'idx_represp_usuario_fechas',
+        fields: ['usuario_id', 'fecha_desde', 'fecha_hasta']
+      }
+    ],
+    validate: {
+      rangoFechas() {
+        if (String(this.fecha_hasta) < String(this.fecha_desde)) {
+          throw new Error('fecha_hasta no puede ser anterior a fecha_desde.');
+        }
+      }
+    },
+    scopes: {
+      activos: { where: { estado: 'activo' } }
+    }
+  }
+);
+
+export default { RepartosReemplazosModel };
@@ -24,6 +24,14 @@
  *  Repartos ↔ Días:
  *  - Repartos 1..N RepartosDias (repartos_dias.reparto_id)
  *
+ *  Repartos ↔ Sesiones (jornadas):
+ *  - Repartos 1..N RepartoSesiones (reparto_sesiones.reparto_id)
+ *  - RepartoSesiones 1..N RepartoSesionVisitas (check-in por cliente)
+ *
+ *  Repartos ↔ Reemplazos (coberturas temporales con fechas):
+ *  - Repartos 1..N RepartosReemplazos (repartos_reemplazos.reparto_id)
+ *  - Usuarios 1..N RepartosReemplazos (reemplazante / reemplazado)
+ *
  * Tema: Relaciones - Repartos
  * Capa: Backend
  */
@@ -36,6 +44,9 @@ import { RepartosModel } from './MD_TB_Repartos.js';
 import { RepartoClientesModel } from './MD_TB_RepartoClientes.js';
 import { RepartosUsuariosModel } from './MD_TB_RepartosUsuarios.js';
 import { RepartosDiasModel } from './MD_TB_RepartosDias.js';
+import { RepartoSesionesModel } from './MD_TB_RepartoSesiones.js';
+import { RepartoSesionVisitasModel } from './MD_TB_RepartoSesionVisitas.js';
+import { RepartosReemplazosModel } from './MD_TB_RepartosReemplazos.js';
 
 export function initRelacionesRepartos() {
   // ===============================
@@ -128,6 +139,64 @@ export function initRelacionesRepartos() {
     as: 'reparto',
     foreignKey: 'reparto_id'
   });
+
+  // ===============================
+  // Benjamin Orellana - 30-10-2026
+  // Repartos ↔ Sesiones (jornada) ↔ Visitas
+  // ===============================
+  RepartosModel.hasMany(RepartoSesionesModel, {
+    as: 'sesiones',
+    foreignKey: 'reparto_id'
+  });
+
+  RepartoSesionesModel.belongsTo(RepartosModel, {
+    as: 'reparto',
+    foreignKey: 'reparto_id'
+  });
+
+  RepartoSesionesModel.belongsTo(UserModel, {
+    as: 'chofer',
+    foreignKey: 'abierta_por'
+  });
+
+  RepartoSesionesModel.hasMany(RepartoSesionVisitasModel, {
+    as: 'visitas',
+    foreignKey: 'sesion_id'
+  });
+
+  RepartoSesionVisitasModel.belongsTo(RepartoSesionesModel, {
+    as: 'sesion',
+    foreignKey: 'sesion_id'
+  });
+
+  RepartoSesionVisitasModel.belongsTo(ClientesModel, {
+    as: 'cliente',
+    foreignKey: 'cliente_id'
+  });
+
+  // ===============================
+  // Benjamin Orellana - 11-11-2026
+  // Repartos ↔ Reemplazos temporales de chofer / ayudante
+  // ===============================
+  RepartosModel.hasMany(RepartosReemplazosModel, {
+    as: 'reemplazos',
+    foreignKey: 'reparto_id'
+  });
+
+  RepartosReemplazosModel.belongsTo(RepartosModel, {
+    as: 'reparto',
+    foreignKey: 'reparto_id'
+  });
+
+  RepartosReemplazosModel.belongsTo(UserModel, {
+    as: 'usuario',
+    foreignKey: 'usuario_id'
+  });
+
+  RepartosReemplazosModel.belongsTo(UserModel, {
+    as: 'reemplazado',
+    foreignKey: 'reemplazado_usuario_id'
+  });
 }
 
 
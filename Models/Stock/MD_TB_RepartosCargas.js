@@ -0,0 +1,102 @@
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 20 / 10 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ *  Modelo Sequelize para la tabla 'repartos_cargas'.
+ *  Carga del camión de un reparto para una fecha: se abre al inicio de la jornada
+ *  (sale mercadería del depósito local_id) y se cierra con la conciliación de lo que volvió.
+ *
+ * Tema: Modelos - Stock / Repartos
+ * Capa: Backend
+ */
+
+import dotenv from 'dotenv';
+import db from '../../DataBase/db.js';
+import { DataTypes } from 'sequelize';
+
+if (process.env.NODE_ENV !== 'production') {
+  dotenv.config();
+}
+
+export const RepartosCargasModel = db.define(
+  'repartos_cargas',
+  {
+    id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      autoIncrement: true,
+      primaryKey: true
+    },
+    reparto_id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: false,
+      comment: 'FK → repartos.id',
+      validate: {
+        notNull: { msg: 'El reparto es requerido' },
+        isInt: { msg: 'El campo reparto_id debe ser numérico' }
+      }
+    },
+    local_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: 'FK → locales.id (depósito de origen)',
+      validate: {
+        notNull: { msg: 'El local es requerido' },
+        isInt: { msg: 'El campo local_id debe ser numérico' }
+      }
+    },
+    fecha: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+      validate: {
+        isDate: { args: true, msg: 'Fecha inválida' }
+      }
+    },
+    estado: {
+      type: DataTypes.ENUM('abierta', 'cerrada'),
+      allowNull: false,
+      defaultValue: 'abierta'
+    },
+    usuario_apertura_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    usuario_cierre_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    cerrada_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    observaciones: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+      validate: {
+        len: { args: [0, 255], msg: 'Observaciones: máx. 255 caracteres.' }
+      }
+    }
+  },
+  {
+    tableName: 'repartos_cargas',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    underscored: true,
+    indexes: [
+      {
+        name: 'uq_repcarga_reparto_fecha',
+        unique: true,
+        fields: ['reparto_id', 'fecha']
+      },
+      { name: 'idx_repcarga_estado', fields: ['estado'] }
+    ],
+    scopes: {
+      abiertas: { where: { estado: 'abierta' } },
+      cerradas: { where: { estado: 'cerrada' } }
+    }
+  }
+);
+
+export default RepartosCargasModel;
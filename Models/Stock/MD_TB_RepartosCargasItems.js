@@ -0,0 +1,77 @@
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 20 / 10 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ *  Modelo Sequelize para la tabla 'repartos_cargas_items'.
+ *  Una fila por producto cargado en el camión:
+ *  - cantidad_cargada: salió del depósito.
+ *  - cantidad_vendida: se acumula con cada venta confirmada del reparto en la fecha.
+ *  - cantidad_devuelta / diferencia: se completan al cerrar (conciliación).
+ *    diferencia = devuelta - (cargada - vendida)  → negativo = faltante, positivo = sobrante.
+ *
+ * Tema: Modelos - Stock / Repartos
+ * Capa: Backend
+ */
+
+import dotenv from 'dotenv';
+import db from '../../DataBase/db.js';
+import { DataTypes } from 'sequelize';
+
+if (process.env.NODE_ENV !== 'production') {
+  dotenv.config();
+}
+
+export const RepartosCargasItemsModel = db.define(
+  'repartos_cargas_items',
+  {
+    id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      autoIncrement: true,
+      primaryKey: true
+    },
+    carga_id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: false
+    },
+    producto_id: {
+      type: DataTypes.BIGINT.UNSIGNED,
+      allowNull: false
+    },
+    cantidad_cargada: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: false,
+      defaultValue: 0
+    },
+    cantidad_vendida: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: false,
+      defaultValue: 0
+    },
+    cantidad_devuelta: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: true
+    },
+    diferencia: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    }
+  },
+  {
+    tableName: 'repartos_cargas_items',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    underscored: true,
+    indexes: [
+      {
+        name: 'uq_repcargaitem_carga_producto',
+        unique: true,
+        fields: ['carga_id', 'producto_id']
+      }
+    ]
+  }
+);
+
+export default RepartosCargasItemsModel;
@@ -0,0 +1,82 @@
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 20 / 10 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ *  Modelo Sequelize para la tabla 'stock'.
+ *  Stock de depósito por producto y local (una fila por producto_id + local_id).
+ *  Los movimientos se registran en 'stock_movimientos'; esta tabla guarda el saldo actual.
+ *
+ * Tema: Modelos - Stock
+ * Capa: Backend
+ */
+
+import dotenv from 'dotenv';
+import db from '../../DataBase/db.js';
+import { DataTypes } from 'sequelize';
+
+if (process.env.NODE_ENV !== 'production') {
+  dotenv.config();
+}
+
+export const StockModel = db.define(
+  'stock',
+  {
+    id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      autoIncrement: true,
+      primaryKey: true
+    },
+    producto_id: {
+      type: DataTypes.BIGINT.UNSIGNED,
+      allowNull: false,
+      comment: 'FK → productos.id',
+      validate: {
+        notNull: { msg: 'El producto es requerido' },
+        isInt: { msg: 'El campo producto_id debe ser numérico' }
+      }
+    },
+    local_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: 'FK → locales.id (depósito)',
+      validate: {
+        notNull: { msg: 'El local es requerido' },
+        isInt: { msg: 'El campo local_id debe ser numérico' }
+      }
+    },
+    cantidad: {
+      // Puede quedar negativo si stockConfig.permitirNegativo = true
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      validate: {
+        isInt: { msg: 'La cantidad debe ser un entero' }
+      }
+    },
+    stock_minimo: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Umbral para alertas de reposición'
+    }
+  },
+  {
+    tableName: 'stock',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    underscored: true,
+    indexes: [
+      {
+        name: 'uq_stock_producto_local',
+        unique: true,
+        fields: ['producto_id', 'local_id']
+      },
+      { name: 'idx_stock_local', fields: ['local_id'] }
+    ]
+  }
+);
+
+export default StockModel;
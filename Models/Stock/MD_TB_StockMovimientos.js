@@ -0,0 +1,121 @@
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 20 / 10 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ *  Modelo Sequelize para la tabla 'stock_movimientos' (libro de stock).
+ *  - cantidad con signo: + entra al destino (depósito o camión), - sale.
+ *  - Cada movimiento afecta un depósito (local_id) o un camión (reparto_carga_id).
+ *  - Los de tipo venta / anulacion_venta quedan atados a la venta y su línea.
+ *
+ * Tema: Modelos - Stock
+ * Capa: Backend
+ */
+
+import dotenv from 'dotenv';
+import db from '../../DataBase/db.js';
+import { DataTypes } from 'sequelize';
+
+if (process.env.NODE_ENV !== 'production') {
+  dotenv.config();
+}
+
+export const StockMovimientosModel = db.define(
+  'stock_movimientos',
+  {
+    id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      autoIncrement: true,
+      primaryKey: true
+    },
+    producto_id: {
+      type: DataTypes.BIGINT.UNSIGNED,
+      allowNull: false
+    },
+    // Depósito afectado (NULL si el movimiento es sobre el camión)
+    local_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    // Camión afectado (NULL si el movimiento es sobre el depósito)
+    reparto_carga_id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: true
+    },
+    tipo: {
+      type: DataTypes.ENUM(
+        'ingreso',
+        'ajuste',
+        'merma',
+        'carga_reparto',
+        'venta',
+        'anulacion_venta',
+        'devolucion_reparto'
+      ),
+      allowNull: false
+    },
+    cantidad: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        isInt: { msg: 'La cantidad debe ser un entero' }
+      }
+    },
+    venta_id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: true
+    },
+    venta_detalle_id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: true
+    },
+    usuario_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    fecha: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    observaciones: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+      validate: {
+        len: { args: [0, 255], msg: 'Observaciones: máx. 255 caracteres.' }
+      }
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: db.Sequelize.literal('CURRENT_TIMESTAMP')
+    }
+  },
+  {
+    tableName: 'stock_movimientos',
+    timestamps: false, // Solo created_at en DDL
+    underscored: true,
+    defaultScope: {
+      order: [
+        ['fecha', 'DESC'],
+        ['id', 'DESC']
+      ]
+    },
+    scopes: {
+      deVenta(ventaId) {
+        return { where: { venta_id: ventaId } };
+      },
+      deCarga(cargaId) {
+        return { where: { reparto_carga_id: cargaId } };
+      }
+    },
+    indexes: [
+      { name: 'idx_stkmov_producto_fecha', fields: ['producto_id', 'fecha'] },
+      { name: 'idx_stkmov_local', fields: ['local_id'] },
+      { name: 'idx_stkmov_carga', fields: ['reparto_carga_id'] },
+      { name: 'idx_stkmov_venta', fields: ['venta_id'] }
+    ]
+  }
+);
+
+export default StockMovimientosModel;
@@ -0,0 +1,109 @@
+// ===============================================
+// FILE: Models/Stock/relacionesStock.js
+// ===============================================
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 20 / 10 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ *  Asociaciones del módulo de Stock:
+ *  - Productos 1..N Stock / Locales 1..N Stock
+ *  - Repartos 1..N RepartosCargas (una por fecha)
+ *  - RepartosCargas 1..N RepartosCargasItems
+ *  - StockMovimientos → Producto / Local / Carga / Venta
+ *
+ * Tema: Relaciones - Stock
+ * Capa: Backend
+ */
+
+import { ProductosModel } from '../Productos/MD_TB_Productos.js';
+import { LocalesModel } from '../MD_TB_Locales.js';
+import { RepartosModel } from '../Repartos/MD_TB_Repartos.js';
+import { VentasModel } from '../Ventas/MD_TB_Ventas.js';
+
+import { StockModel } from './MD_TB_Stock.js';
+import { StockMovimientosModel } from './MD_TB_StockMovimientos.js';
+import { RepartosCargasModel } from './MD_TB_RepartosCargas.js';
+import { RepartosCargasItemsModel } from './MD_TB_RepartosCargasItems.js';
+
+export function initRelacionesStock() {
+  // ===============================
+  // Stock de depósito
+  // ===============================
+  ProductosModel.hasMany(StockModel, {
+    as: 'stock',
+    foreignKey: 'producto_id'
+  });
+  StockModel.belongsTo(ProductosModel, {
+    as: 'producto',
+    foreignKey: 'producto_id'
+  });
+
+  LocalesModel.hasMany(StockModel, {
+    as: 'stock',
+    foreignKey: 'local_id'
+  });
+  StockModel.belongsTo(LocalesModel, {
+    as: 'local',
+    foreignKey: 'local_id'
+  });
+
+  // ===============================
+  // Cargas de camión por reparto
+  // ===============================
+  RepartosModel.hasMany(RepartosCargasModel, {
+    as: 'cargas',
+    foreignKey: 'reparto_id'
+  });
+  RepartosCargasModel.belongsTo(RepartosModel, {
+    as: 'reparto',
+    foreignKey: 'reparto_id'
+  });
+
+  RepartosCargasModel.belongsTo(LocalesModel, {
+    as: 'local',
+    foreignKey: 'local_id'
+  });
+
+  RepartosCargasModel.hasMany(RepartosCargasItemsModel, {
+    as: 'items',
+    foreignKey: 'carga_id',
+    onDelete: 'CASCADE'
+  });
+  RepartosCargasItemsModel.belongsTo(RepartosCargasModel, {
+    as: 'carga',
+    foreignKey: 'carga_id'
+  });
+
+  RepartosCargasItemsModel.belongsTo(ProductosModel, {
+    as: 'producto',
+    foreignKey: 'producto_id'
+  });
+
+  // ===============================
+  // Libro de movimientos
+  // ===============================
+  StockMovimientosModel.belongsTo(ProductosModel, {
+    as: 'producto',
+    foreignKey: 'producto_id'
+  });
+  StockMovimientosModel.belongsTo(LocalesModel, {
+    as: 'local',
+    foreignKey: 'local_id'
+  });
+  StockMovimientosModel.belongsTo(RepartosCargasModel, {
+    as: 'carga',
+    foreignKey: 'reparto_carga_id'
+  });
+  StockMovimientosModel.belongsTo(VentasModel, {
+    as: 'venta',
+    foreignKey: 'venta_id'
+  });
+  VentasModel.hasMany(StockMovimientosModel, {
+    as: 'stock_movimientos',
+    foreignKey: 'venta_id'
+  });
+}
+
+export default initRelacionesStock;
@@ -0,0 +1,119 @@
+// ===============================
+// FILE: Models/Sync/MD_TB_SyncRegistros.js
+// ===============================
+/*
+ * Programador: Benjamin Orellana
+ * Fecha: 31 / 10 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ * Modelo Sequelize para la tabla 'sync_registros' (sincronización offline de choferes).
+ * - Una fila por UUID generado en el dispositivo (venta o cobranza creada sin señal).
+ * - Deduplica reenvíos: un UUID 'aplicado' nunca se vuelve a procesar.
+ * - Guarda la hora del dispositivo, la hora de recepción y el resultado
+ *   (entidad creada o código de rechazo / conflicto).
+ */
+
+import dotenv from 'dotenv';
+import db from '../../DataBase/db.js';
+import { DataTypes } from 'sequelize';
+
+if (process.env.NODE_ENV !== 'production') {
+  dotenv.config();
+}
+
+export const SYNC_TIPOS = ['venta', 'cobranza'];
+
+export const SyncRegistrosModel = db.define(
+  'sync_registros',
+  {
+    id: {
+      type: DataTypes.BIGINT.UNSIGNED,
+      allowNull: false,
+      autoIncrement: true,
+      primaryKey: true
+    },
+
+    // UUID generado por el dispositivo
+    uuid: {
+      type: DataTypes.CHAR(36),
+      allowNull: false
+    },
+
+    tipo: {
+      type: DataTypes.ENUM(...SYNC_TIPOS),
+      allowNull: false
+    },
+
+    usuario_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+
+    device_id: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+
+    // Hora del dispositivo al crear el registro offline
+    device_at: {
+      type: DataTypes.DATE(3),
+      allowNull: false
+    },
+
+    recibido_at: {
+      type: DataTypes.DATE(3),
+      allowNull: false
+    },
+
+    estado: {
+      type: DataTypes.ENUM('en_proceso', 'aplicado', 'rechazado', 'conflicto'),
+      allowNull: false,
+      defaultValue: 'en_proceso'
+    },
+
+    // ventas.id / cobranzas_clientes.id cuando quedó aplicado
+    entidad_id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: true
+    },
+
+    // Código de rechazo / conflicto (OFFLINE_EXCEDIDO, STOCK_INSUFICIENTE, ...)
+    codigo: {
+      type: DataTypes.STRING(60),
+      allowNull: true
+    },
+
+    detalle: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: db.Sequelize.literal('CURRENT_TIMESTAMP')
+    },
+
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: db.Sequelize.literal('CURRENT_TIMESTAMP')
+    }
+  },
+  {
+    tableName: 'sync_registros',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    underscored: true,
+
+    indexes: [
+      { name: 'uq_sync_uuid', unique: true, fields: ['uuid'] },
+      { name: 'idx_sync_usuario', fields: ['usuario_id', 'recibido_at'] },
+      { name: 'idx_sync_estado', fields: ['estado'] }
+    ]
+  }
+);
+
+export default SyncRegistrosModel;
@@ -0,0 +1,152 @@
+// ===============================================
+// FILE: Models/Vendedores/MD_TB_VendedoresComisionesReglas.js
+// ===============================================
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 12 / 11 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ * Modelo Sequelize para la tabla 'vendedores_comisiones_reglas'.
+ * - tipo 'contado': % sobre las ventas de contado del vendedor.
+ * - tipo 'cobranza': % sobre lo cobrado de sus ventas fiado / a cuenta
+ *   (cobranza_aplicaciones): el fiado comisiona recién cuando se cobra.
+ * - tipo 'producto': % o monto fijo por unidad para un producto; reemplaza a la
+ *   regla general en las líneas de ese producto (contado y cobrado).
+ * - Vigencia por fechas: se aplica la regla vigente a la fecha de la venta / cobranza.
+ */
+
+import dotenv from 'dotenv';
+import db from '../../DataBase/db.js';
+import { DataTypes } from 'sequelize';
+
+if (process.env.NODE_ENV !== 'production') {
+  dotenv.config();
+}
+
+export const TIPOS_REGLA_COMISION = ['contado', 'cobranza', 'producto'];
+
+export const VendedoresComisionesReglasModel = db.define(
+  'vendedores_comisiones_reglas',
+  {
+    id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: false,
+      autoIncrement: true,
+      primaryKey: true
+    },
+    vendedor_id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: false
+    },
+    tipo: {
+      type: DataTypes.ENUM(...TIPOS_REGLA_COMISION),
+      allowNull: false
+    },
+    producto_id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: true // solo tipo 'producto'
+    },
+    porcentaje: {
+      type: DataTypes.DECIMAL(5, 2),
+      allowNull: true,
+      validate: {
+        min: { args: [0], msg: 'porcentaje no puede ser negativo.' },
+        max: { args: [100], msg: 'porcentaje no puede superar 100.' }
+      },
+      get() {
+        const v = this.getDataValue('porcentaje');
+        return v == null ? v : Number(v);
+      }
+    },
+    // Solo tipo 'producto': monto fijo por unidad vendida (alternativa al %)
+    monto_unitario: {
+      type: DataTypes.DECIMAL(14, 2),
+      allowNull: true,
+      validate: {
+        min: { args: [0], msg: 'monto_unitario no puede ser negativo.' }
+      },
+      get() {
+        const v = this.getDataValue('monto_unitario');
+        return v == null ? v : Number(v);
+      }
+    },
+    vigente_desde: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    vigente_hasta: {
+      type: DataTypes.DATEONLY,
+      allowNull: true
+    },
+    estado: {
+      type: DataTypes.ENUM('activo', 'inactivo'),
+      allowNull: false,
+      defaultValue: 'activo'
+    },
+    observaciones: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    creado_por: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    }
+  },
+  {
+    tableName: 'vendedores_comisiones_reglas',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    underscored: true,
+
+    defaultScope: {
+      order: [
+        ['tipo', 'ASC'],
+        ['vigente_desde', 'DESC'],
+        ['id', 'DESC']
+      ]
+    },
+    scopes: {
+      activas: { where: { estado: 'activo' } }
+    },
+
+    validate: {
+      formaDeCalculo() {
+        const pct = this.porcentaje != null;
+        const fijo = this.monto_unitario != null;
+        if (this.tipo === 'producto') {
+          if (!this.producto_id) {
+            throw new Error('La regla por producto requiere producto_id.');
+          }
+          if (pct === fijo) {
+            throw new Error(
+              'La regla por producto lleva porcentaje o monto_unitario (uno solo).'
+            );
+          }
+        } else if (!pct || fijo || this.producto_id) {
+          throw new Error(
+            `La regla '${this.tipo}' lleva solo porcentaje (sin producto ni monto_unitario).`
+          );
+        }
+      },
+      rangoVigencia() {
+        if (
+          this.vigente_hasta &&
+          String(this.vigente_hasta) < String(this.vigente_desde)
+        ) {
+          throw new Error(
+            'vigente_hasta no puede ser anterior a vigente_desde.'
+          );
+        }
+      }
+    },
+
+    indexes: [
+      { name: 'idx_vcr_vendedor', fields: ['vendedor_id', 'tipo', 'estado'] },
+      { name: 'idx_vcr_producto', fields: ['producto_id'] }
+    ]
+  }
+);
+
+export default VendedoresComisionesReglasModel;
@@ -0,0 +1,140 @@
+// ===============================================
+// FILE: Models/Vendedores/MD_TB_VendedoresLiquidaciones.js
+// ===============================================
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 12 / 11 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ * Modelo Sequelize para la tabla 'vendedores_liquidaciones'.
+ * - Liquidación mensual de comisiones de un vendedor. Se congela al emitirse:
+ *   el detalle (vendedores_liquidaciones_detalle) guarda base, regla y comisión
+ *   de cada línea, aunque después cambien las reglas o los precios.
+ * - emitida → pagada; solo una emitida se puede anular (libera sus líneas para
+ *   volver a liquidarlas). Una sola liquidación no anulada por vendedor y período.
+ */
+
+import dotenv from 'dotenv';
+import db from '../../DataBase/db.js';
+import { DataTypes } from 'sequelize';
+
+if (process.env.NODE_ENV !== 'production') {
+  dotenv.config();
+}
+
+const decimal = (campo) => ({
+  type: DataTypes.DECIMAL(14, 2),
+  allowNull: false,
+  defaultValue: 0,
+  get() {
+    const v = this.getDataValue(campo);
+    return v == null ? v : Number(v);
+  }
+});
+
+export const VendedoresLiquidacionesModel = db.define(
+  'vendedores_liquidaciones',
+  {
+    id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: false,
+      autoIncrement: true,
+      primaryKey: true
+    },
+    vendedor_id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: false
+    },
+    anio: {
+      type: DataTypes.SMALLINT,
+      allowNull: false
+    },
+    mes: {
+      type: DataTypes.TINYINT,
+      allowNull: false,
+      validate: {
+        min: { args: [1], msg: 'mes debe estar entre 1 y 12.' },
+        max: { args: [12], msg: 'mes debe estar entre 1 y 12.' }
+      }
+    },
+    estado: {
+      type: DataTypes.ENUM('emitida', 'pagada', 'anulada'),
+      allowNull: false,
+      defaultValue: 'emitida'
+    },
+
+    // Resumen congelado
+    lineas: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: false,
+      defaultValue: 0
+    },
+    base_contado: decimal('base_contado'),
+    base_cobranza: decimal('base_cobranza'),
+    comision_contado: decimal('comision_contado'),
+    comision_cobranza: decimal('comision_cobranza'),
+    total_comision: decimal('total_comision'),
+
+    observaciones: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+
+    emitida_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    emitida_por: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    pagada_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    pagada_por: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    pago_referencia: {
+      type: DataTypes.STRING(80),
+      allowNull: true
+    },
+    anulada_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    anulada_por: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    anulacion_motivo: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    }
+  },
+  {
+    tableName: 'vendedores_liquidaciones',
+    timestamps: false,
+    underscored: true,
+
+    defaultScope: {
+      order: [
+        ['anio', 'DESC'],
+        ['mes', 'DESC'],
+        ['id', 'DESC']
+      ]
+    },
+
+    indexes: [
+      {
+        name: 'idx_vliq_vendedor_periodo',
+        fields: ['vendedor_id', 'anio', 'mes']
+      },
+      { name: 'idx_vliq_estado', fields: ['estado'] }
+    ]
+  }
+);
+
+export default VendedoresLiquidacionesModel;
@@ -0,0 +1,139 @@
+// ===============================================
+// FILE: Models/Vendedores/MD_TB_VendedoresLiquidacionesDetalle.js
+// ===============================================
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 12 / 11 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ * Modelo Sequelize para la tabla 'vendedores_liquidaciones_detalle'.
+ * - Una fila por línea de venta comisionada:
+ *   origen 'contado'  → línea de una venta de contado (venta_detalle_id).
+ *   origen 'cobranza' → parte cobrada de una línea fiado / a cuenta (aplicacion_id).
+ * - Base, regla y comisión quedan fijas, con nombre de cliente y producto al emitir.
+ * - Una línea de contado o una aplicación no se repiten en dos liquidaciones
+ *   no anuladas (lo controla el cálculo, no un índice).
+ */
+
+import dotenv from 'dotenv';
+import db from '../../DataBase/db.js';
+import { DataTypes } from 'sequelize';
+
+if (process.env.NODE_ENV !== 'production') {
+  dotenv.config();
+}
+
+const decimal = (campo, allowNull = false) => ({
+  type: DataTypes.DECIMAL(14, 2),
+  allowNull,
+  get() {
+    const v = this.getDataValue(campo);
+    return v == null ? v : Number(v);
+  }
+});
+
+export const VendedoresLiquidacionesDetalleModel = db.define(
+  'vendedores_liquidaciones_detalle',
+  {
+    id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: false,
+      autoIncrement: true,
+      primaryKey: true
+    },
+    liquidacion_id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: false
+    },
+    origen: {
+      type: DataTypes.ENUM('contado', 'cobranza'),
+      allowNull: false
+    },
+    // Fecha de la venta (contado) o de la cobranza (cobrado)
+    fecha: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    venta_id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: false
+    },
+    venta_detalle_id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: false
+    },
+    cobranza_id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: true
+    },
+    aplicacion_id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: true
+    },
+    cliente_id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: true
+    },
+    cliente_nombre: {
+      type: DataTypes.STRING(120),
+      allowNull: true
+    },
+    producto_id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: true
+    },
+    producto_nombre: {
+      type: DataTypes.STRING(120),
+      allowNull: true
+    },
+    // En cobranzas parciales es la parte proporcional de la línea
+    cantidad: {
+      type: DataTypes.DECIMAL(14, 3),
+      allowNull: false,
+      get() {
+        const v = this.getDataValue('cantidad');
+        return v == null ? v : Number(v);
+      }
+    },
+    base: decimal('base'),
+    regla_id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: false
+    },
+    regla_tipo: {
+      type: DataTypes.ENUM('contado', 'cobranza', 'producto'),
+      allowNull: false
+    },
+    porcentaje: {
+      type: DataTypes.DECIMAL(5, 2),
+      allowNull: true,
+      get() {
+        const v = this.getDataValue('porcentaje');
+        return v == null ? v : Number(v);
+      }
+    },
+    monto_unitario: decimal('monto_unitario', true),
+    comision: decimal('comision')
+  },
+  {
+    tableName: 'vendedores_liquidaciones_detalle',
+    timestamps: false,
+    underscored: true,
+
+    defaultScope: {
+      order: [
+        ['fecha', 'ASC'],
+        ['id', 'ASC']
+      ]
+    },
+
+    indexes: [
+      { name: 'idx_vliqd_liquidacion', fields: ['liquidacion_id'] },
+      { name: 'idx_vliqd_venta_detalle', fields: ['venta_detalle_id'] },
+      { name: 'idx_vliqd_aplicacion', fields: ['aplicacion_id'] }
+    ]
+  }
+);
+
+export default VendedoresLiquidacionesDetalleModel;
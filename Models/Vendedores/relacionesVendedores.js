@@ -9,12 +9,18 @@
  * Concentra las asociaciones del módulo Vendedores:
  * - Vendedores 1..N VendedorBarrio
  * - VendedorBarrio N..1 Barrios
+ * - Vendedores 1..N reglas de comisión (regla por producto N..1 Productos)
+ * - Vendedores 1..N liquidaciones de comisiones, liquidación 1..N detalle
  *
  */
 
 import VendedoresModel from './MD_TB_Vendedores.js';
 import VendedorBarrioModel from './MD_TB_VendedorBarrios.js';
 import { BarriosModel } from '../Geografia/MD_TB_Barrios.js';
+import VendedoresComisionesReglasModel from './MD_TB_VendedoresComisionesReglas.js';
+import VendedoresLiquidacionesModel from './MD_TB_VendedoresLiquidaciones.js';
+import VendedoresLiquidacionesDetalleModel from './MD_TB_VendedoresLiquidacionesDetalle.js';
+import { ProductosModel } from '../Productos/MD_TB_Productos.js';
 
 export function initVendedoresRelations() {
   // Vendedor → asignaciones
@@ -39,6 +45,42 @@ export function initVendedoresRelations() {
     as: 'asignaciones',
     foreignKey: 'barrio_id'
   });
+
+  // Benjamin Orellana - 12-11-2026 - Comisiones: reglas y liquidaciones
+  VendedoresModel.hasMany(VendedoresComisionesReglasModel, {
+    as: 'comisiones_reglas',
+    foreignKey: 'vendedor_id'
+  });
+
+  VendedoresComisionesReglasModel.belongsTo(VendedoresModel, {
+    as: 'vendedor',
+    foreignKey: 'vendedor_id'
+  });
+
+  VendedoresComisionesReglasModel.belongsTo(ProductosModel, {
+    as: 'producto',
+    foreignKey: 'producto_id'
+  });
+
+  VendedoresModel.hasMany(VendedoresLiquidacionesModel, {
+    as: 'liquidaciones',
+    foreignKey: 'vendedor_id'
+  });
+
+  VendedoresLiquidacionesModel.belongsTo(VendedoresModel, {
+    as: 'vendedor',
+    foreignKey: 'vendedor_id'
+  });
+
+  VendedoresLiquidacionesModel.hasMany(VendedoresLiquidacionesDetalleModel, {
+    as: 'detalle',
+    foreignKey: 'liquidacion_id'
+  });
+
+  VendedoresLiquidacionesDetalleModel.belongsTo(VendedoresLiquidacionesModel, {
+    as: 'liquidacion',
+    foreignKey: 'liquidacion_id'
+  });
 }
 
 export default initVendedoresRelations;
@@ -48,6 +48,12 @@ export const VentasModel = db.define(
       allowNull: true
     },
 
+    // Benjamin Orellana - 30-10-2026 - Sesión (jornada) de reparto en la que se vendió
+    reparto_sesion_id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: true
+    },
+
     fecha: {
       type: DataTypes.DATE, // DATETIME
       allowNull: false
@@ -68,6 +74,43 @@ export const VentasModel = db.define(
       }
     },
 
+    // Benjamin Orellana - 04-11-2026 - Descuentos: total_neto = total_bruto - total_descuentos
+    total_bruto: {
+      type: DataTypes.DECIMAL(18, 2),
+      allowNull: true
+    },
+    total_descuentos: {
+      type: DataTypes.DECIMAL(18, 2),
+      allowNull: false,
+      defaultValue: 0
+    },
+    // Benjamin Orellana - 05-11-2026 - Totales fiscales (detalle por alícuota en ventas_iva)
+    neto_gravado: {
+      type: DataTypes.DECIMAL(18, 2),
+      allowNull: true
+    },
+    neto_no_gravado: {
+      type: DataTypes.DECIMAL(18, 2),
+      allowNull: true
+    },
+    iva_total: {
+      type: DataTypes.DECIMAL(18, 2),
+      allowNull: true
+    },
+    // Descuento manual sobre toda la venta (entrada) y promo por venta aplicada
+    descuento_pct: {
+      type: DataTypes.DECIMAL(5, 2),
+      allowNull: true
+    },
+    descuento_monto: {
+      type: DataTypes.DECIMAL(14, 2),
+      allowNull: true
+    },
+    promocion_id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: true
+    },
+
     monto_a_cuenta: {
       type: DataTypes.DECIMAL(14, 2),
       allowNull: false,
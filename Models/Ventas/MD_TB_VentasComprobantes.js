@@ -0,0 +1,142 @@
+// ===============================
+// FILE: Models/Ventas/MD_TB_VentasComprobantes.js
+// ===============================
+/*
+ * Programador: Benjamin Orellana
+ * Fecha: 06 / 11 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ * Modelo Sequelize para la tabla 'ventas_comprobantes'.
+ * - Comprobante fiscal autorizado (CAE) de una venta: letra, punto de venta y número.
+ * - Una venta tiene a lo sumo un comprobante. 'pendiente' reserva el número mientras se
+ *   pide el CAE (sin cae); 'autorizado' es el comprobante emitido.
+ * - Los importes son los informados al web service (quedan fijos aunque cambie la venta).
+ */
+
+import dotenv from 'dotenv';
+import db from '../../DataBase/db.js';
+import { DataTypes } from 'sequelize';
+
+if (process.env.NODE_ENV !== 'production') {
+  dotenv.config();
+}
+
+const decimal = (campo) => ({
+  type: DataTypes.DECIMAL(18, 2),
+  allowNull: false,
+  defaultValue: 0,
+  get() {
+    const v = this.getDataValue(campo);
+    return v == null ? v : Number(v);
+  }
+});
+
+export const VentasComprobantesModel = db.define(
+  'ventas_comprobantes',
+  {
+    id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      autoIncrement: true,
+      primaryKey: true
+    },
+    venta_id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: false
+    },
+    // Benjamin Orellana - 13-11-2026 - Reserva de número antes de llamar al web service
+    estado: {
+      type: DataTypes.ENUM('pendiente', 'autorizado'),
+      allowNull: false,
+      defaultValue: 'autorizado'
+    },
+    letra: {
+      type: DataTypes.ENUM('A', 'B', 'C'),
+      allowNull: false
+    },
+    // Código de comprobante AFIP (1 = Factura A, 6 = Factura B, 11 = Factura C)
+    cbte_tipo: {
+      type: DataTypes.SMALLINT.UNSIGNED,
+      allowNull: false
+    },
+    punto_venta: {
+      type: DataTypes.SMALLINT.UNSIGNED,
+      allowNull: false
+    },
+    numero: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: false
+    },
+    fecha_emision: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+
+    // Receptor (80 = CUIT, 96 = DNI, 99 = sin identificar)
+    doc_tipo: {
+      type: DataTypes.SMALLINT.UNSIGNED,
+      allowNull: false
+    },
+    doc_nro: {
+      type: DataTypes.STRING(20),
+      allowNull: false
+    },
+    condicion_iva_receptor: {
+      type: DataTypes.STRING(30),
+      allowNull: false
+    },
+
+    imp_total: decimal('imp_total'),
+    imp_neto: decimal('imp_neto'),
+    imp_op_ex: decimal('imp_op_ex'),
+    imp_iva: decimal('imp_iva'),
+
+    // NULL mientras está 'pendiente'
+    cae: {
+      type: DataTypes.STRING(14),
+      allowNull: true
+    },
+    cae_vencimiento: {
+      type: DataTypes.DATEONLY,
+      allowNull: true
+    },
+
+    // Trazabilidad: qué adaptador / ambiente lo autorizó y observaciones del WS
+    adapter: {
+      type: DataTypes.STRING(20),
+      allowNull: false
+    },
+    ambiente: {
+      type: DataTypes.STRING(20),
+      allowNull: false
+    },
+    observaciones: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    usuario_id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: true
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    }
+  },
+  {
+    tableName: 'ventas_comprobantes',
+    timestamps: false,
+    underscored: true,
+    indexes: [
+      { name: 'uq_vcbte_venta', unique: true, fields: ['venta_id'] },
+      {
+        name: 'uq_vcbte_numero',
+        unique: true,
+        fields: ['punto_venta', 'cbte_tipo', 'numero']
+      }
+    ]
+  }
+);
+
+export default VentasComprobantesModel;
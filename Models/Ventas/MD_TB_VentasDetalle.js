@@ -62,6 +62,105 @@ export const VentasDetalleModel = db.define(
       }
     },
 
+    // Benjamin Orellana - 02-11-2026 - Precio resuelto por el server al momento de la venta (auditoría de desvíos)
+    precio_lista: {
+      type: DataTypes.DECIMAL(14, 2),
+      allowNull: true,
+      get() {
+        const v = this.getDataValue('precio_lista');
+        return v == null ? v : Number(v);
+      }
+    },
+    precio_origen: {
+      type: DataTypes.STRING(20),
+      allowNull: true
+    },
+    lista_precio_id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: true
+    },
+    precio_fuera_tolerancia: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+
+    // Benjamin Orellana - 04-11-2026 - Descuentos: subtotal sigue siendo el bruto de la línea.
+    // descuento_pct / descuento_monto = manual (entrada); el resto lo calcula recalcVentaTotal.
+    descuento_pct: {
+      type: DataTypes.DECIMAL(5, 2),
+      allowNull: true,
+      get() {
+        const v = this.getDataValue('descuento_pct');
+        return v == null ? v : Number(v);
+      }
+    },
+    descuento_monto: {
+      type: DataTypes.DECIMAL(14, 2),
+      allowNull: true,
+      get() {
+        const v = this.getDataValue('descuento_monto');
+        return v == null ? v : Number(v);
+      }
+    },
+    promocion_id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: true
+    },
+    descuento_linea: {
+      type: DataTypes.DECIMAL(14, 2),
+      allowNull: false,
+      defaultValue: 0,
+      get() {
+        const v = this.getDataValue('descuento_linea');
+        return v == null ? v : Number(v);
+      }
+    },
+    // Parte prorrateada del descuento de la venta
+    descuento_venta: {
+      type: DataTypes.DECIMAL(14, 2),
+      allowNull: false,
+      defaultValue: 0,
+      get() {
+        const v = this.getDataValue('descuento_venta');
+        return v == null ? v : Number(v);
+      }
+    },
+    importe_neto: {
+      type: DataTypes.DECIMAL(14, 2),
+      allowNull: true,
+      get() {
+        const v = this.getDataValue('importe_neto');
+        return v == null ? v : Number(v);
+      }
+    },
+
+    // Benjamin Orellana - 05-11-2026 - IVA: alícuota del producto al vender y desglose del importe_neto
+    iva_porcentaje: {
+      type: DataTypes.DECIMAL(5, 2),
+      allowNull: true,
+      get() {
+        const v = this.getDataValue('iva_porcentaje');
+        return v == null ? v : Number(v);
+      }
+    },
+    neto_gravado: {
+      type: DataTypes.DECIMAL(14, 2),
+      allowNull: true,
+      get() {
+        const v = this.getDataValue('neto_gravado');
+        return v == null ? v : Number(v);
+      }
+    },
+    iva_monto: {
+      type: DataTypes.DECIMAL(14, 2),
+      allowNull: true,
+      get() {
+        const v = this.getDataValue('iva_monto');
+        return v == null ? v : Number(v);
+      }
+    },
+
     // Columna generada en MySQL: ROUND(cantidad * precio_unit, 2)
     // La definimos como DECIMAL para poder leerla en SELECTs; no se debe setear manualmente.
     subtotal: {
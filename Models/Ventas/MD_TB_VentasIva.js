@@ -0,0 +1,74 @@
+// ===============================
+// FILE: Models/Ventas/MD_TB_VentasIva.js
+// ===============================
+/*
+ * Programador: Benjamin Orellana
+ * Fecha: 05 / 11 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ * Modelo Sequelize para la tabla 'ventas_iva'.
+ * - Una fila por venta y alícuota (> 0): neto gravado + IVA.
+ * - La mantiene recalcVentaTotal; lo exento (0%) va en ventas.neto_no_gravado.
+ */
+
+import dotenv from 'dotenv';
+import db from '../../DataBase/db.js';
+import { DataTypes } from 'sequelize';
+
+if (process.env.NODE_ENV !== 'production') {
+  dotenv.config();
+}
+
+export const VentasIvaModel = db.define(
+  'ventas_iva',
+  {
+    id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      autoIncrement: true,
+      primaryKey: true
+    },
+    venta_id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: false
+    },
+    alicuota: {
+      type: DataTypes.DECIMAL(5, 2),
+      allowNull: false,
+      get() {
+        const v = this.getDataValue('alicuota');
+        return v == null ? v : Number(v);
+      }
+    },
+    neto_gravado: {
+      type: DataTypes.DECIMAL(18, 2),
+      allowNull: false,
+      get() {
+        const v = this.getDataValue('neto_gravado');
+        return v == null ? v : Number(v);
+      }
+    },
+    iva: {
+      type: DataTypes.DECIMAL(18, 2),
+      allowNull: false,
+      get() {
+        const v = this.getDataValue('iva');
+        return v == null ? v : Number(v);
+      }
+    }
+  },
+  {
+    tableName: 'ventas_iva',
+    timestamps: false,
+    underscored: true,
+    indexes: [
+      {
+        name: 'uq_ventas_iva_venta_alicuota',
+        unique: true,
+        fields: ['venta_id', 'alicuota']
+      }
+    ]
+  }
+);
+
+export default VentasIvaModel;
@@ -16,6 +16,8 @@
  * - Vendedores 1..N Ventas (ventas.vendedor_id)
  * - Ventas 1..N VentasDetalle (ventas_detalle.venta_id)
  * - Productos 1..N VentasDetalle (ventas_detalle.producto_id)
+ * - Ventas 1..N VentasIva (ventas_iva.venta_id) [Benjamin Orellana - 05-11-2026 - una por alícuota]
+ * - Ventas 1..1 VentasComprobantes (ventas_comprobantes.venta_id) [Benjamin Orellana - 06-11-2026 - factura con CAE]
  *
  * Cobranzas:
  * - Clientes 1..N CobranzasClientes (cobranzas_clientes.cliente_id)
@@ -26,6 +28,12 @@
  * Cuenta Corriente:
  * - Clientes 1..N CxcMovimientos (cxc_movimientos.cliente_id)
  * - Clientes 1..N CxcSaldosMensuales (cxc_saldos_mensuales.cliente_id)
+ * - Clientes 1..N CxcNotas / Ventas 1..N CxcNotas (cxc_notas.venta_id opcional)
+ *
+ * Envases retornables (Benjamin Orellana - 19-10-2026):
+ * - Clientes 1..N EnvasesMovimientos (envases_movimientos.cliente_id)
+ * - Productos 1..N EnvasesMovimientos (envases_movimientos.producto_id)
+ * - Ventas 1..N EnvasesMovimientos (envases_movimientos.venta_id) [NULL → movimiento manual]
  *
  * Nota vendedor por cobertura:
  * - La sugerencia de vendedor por zona se toma del histórico vendedor_barrios vigente a la fecha (se arma en otro archivo).
@@ -34,6 +42,8 @@
 import { ClientesModel } from './Clientes/MD_TB_Clientes.js';
 import { VentasModel } from './Ventas/MD_TB_Ventas.js';
 import { VentasDetalleModel } from './Ventas/MD_TB_VentasDetalle.js';
+import { VentasIvaModel } from './Ventas/MD_TB_VentasIva.js';
+import { VentasComprobantesModel } from './Ventas/MD_TB_VentasComprobantes.js';
 import { CobranzasClientesModel } from './Cobranzas/MD_TB_CobranzasClientes.js';
 import { CobranzaAplicacionesModel } from './Cobranzas/MD_TB_CobranzaAplicaciones.js';
 import { CxcMovimientosModel } from './CuentasCorriente/MD_TB_CxcMovimientos.js';
@@ -44,6 +54,8 @@ import { BarriosModel } from './Geografia/MD_TB_Barrios.js';
 import { ProductosModel } from './Productos/MD_TB_Productos.js';
 
 import { RepartosModel } from './Repartos/MD_TB_Repartos.js';
+import { EnvasesMovimientosModel } from './Envases/MD_TB_EnvasesMovimientos.js';
+import { CxcNotasModel } from './CuentasCorriente/MD_TB_CxcNotas.js';
 
 export function initRelacionesVentasCxC() {
   // ===============================
@@ -92,6 +104,27 @@ export function initRelacionesVentasCxC() {
     foreignKey: 'venta_id'
   });
 
+  // Benjamin Orellana - 05-11-2026 - Desglose de IVA por alícuota
+  VentasModel.hasMany(VentasIvaModel, {
+    as: 'iva',
+    foreignKey: 'venta_id',
+    onDelete: 'CASCADE'
+  });
+  VentasIvaModel.belongsTo(VentasModel, {
+    as: 'venta',
+    foreignKey: 'venta_id'
+  });
+
+  // Benjamin Orellana - 06-11-2026 - Comprobante fiscal (CAE) de la venta
+  VentasModel.hasOne(VentasComprobantesModel, {
+    as: 'comprobante',
+    foreignKey: 'venta_id'
+  });
+  VentasComprobantesModel.belongsTo(VentasModel, {
+    as: 'venta',
+    foreignKey: 'venta_id'
+  });
+
   // Producto ↔ Detalle de Venta (si el módulo de productos está presente)
   if (ProductosModel) {
     ProductosModel.hasMany(VentasDetalleModel, {
@@ -164,6 +197,56 @@ export function initRelacionesVentasCxC() {
     as: 'cliente',
     foreignKey: 'cliente_id'
   });
+
+  // Benjamin Orellana - 26-10-2026 - Notas de crédito / débito / ajustes
+  ClientesModel.hasMany(CxcNotasModel, {
+    as: 'cxc_notas',
+    foreignKey: 'cliente_id'
+  });
+  CxcNotasModel.belongsTo(ClientesModel, {
+    as: 'cliente',
+    foreignKey: 'cliente_id'
+  });
+
+  VentasModel.hasMany(CxcNotasModel, {
+    as: 'notas_cxc',
+    foreignKey: 'venta_id'
+  });
+  CxcNotasModel.belongsTo(VentasModel, {
+    as: 'venta',
+    foreignKey: 'venta_id'
+  });
+
+  // ===============================
+  // Envases retornables
+  // ===============================
+  ClientesModel.hasMany(EnvasesMovimientosModel, {
+    as: 'envases_movimientos',
+    foreignKey: 'cliente_id'
+  });
+  EnvasesMovimientosModel.belongsTo(ClientesModel, {
+    as: 'cliente',
+    foreignKey: 'cliente_id'
+  });
+
+  ProductosModel.hasMany(EnvasesMovimientosModel, {
+    as: 'envases_movimientos',
+    foreignKey: 'producto_id'
+  });
+  EnvasesMovimientosModel.belongsTo(ProductosModel, {
+    as: 'producto',
+    foreignKey: 'producto_id'
+  });
+
+  VentasModel.hasMany(EnvasesMovimientosModel, {
+    as: 'envases_movimientos',
+    foreignKey: 'venta_id',
+    onDelete: 'CASCADE'
+  });
+  EnvasesMovimientosModel.belongsTo(VentasModel, {
+    as: 'venta',
+    foreignKey: 'venta_id'
+  });
 }
 
 ClientesModel.belongsTo(VendedoresModel, {
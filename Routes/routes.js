@@ -12,7 +12,13 @@
 
 import express from 'express'; // Importar la librería de Express
 const router = express.Router(); // Inicializar el router
-import { authenticateToken } from '../Security/auth.js'; // Importar las funciones del archivo auth.js
+// Benjamin Orellana - 22-10-2026 - Autorización por rol en todas las rutas (reemplaza authenticateToken)
+import {
+  autorizar,
+  permisoSegunHard
+} from '../Middlewares/permisos.js'; // Matriz en config/permisos.config.js
+// Benjamin Orellana - 24-10-2026 - Idempotency-Key en POSTs que generan ventas / cobranzas
+import { idempotencia } from '../Middlewares/idempotencia.js';
 
 // Importar controladores de locales inicio
 import {
@@ -95,6 +101,23 @@ import {
   UR_VB_Estado_CTS,
   ER_VB_CTS
 } from '../Controllers/Vendedores/CTS_TB_VendedorBarrios.js';
+
+import {
+  OBRS_VendedorComisionesReglas_CTS,
+  CR_VendedorComisionRegla_CTS,
+  UR_VendedorComisionRegla_CTS,
+  UR_VendedorComisionRegla_Estado_CTS
+} from '../Controllers/Vendedores/CTS_TB_VendedoresComisiones.js';
+
+import {
+  CR_VendedoresLiquidaciones_CTS,
+  OBRS_VendedoresLiquidaciones_CTS,
+  OBR_VendedorLiquidacion_CTS,
+  UR_VendedorLiquidacion_Pagar_CTS,
+  UR_VendedorLiquidacion_Anular_CTS,
+  OBR_VendedorLiquidacionPDF_CTS,
+  OBR_VendedorLiquidacionXLSX_CTS
+} from '../Controllers/Vendedores/CTS_TB_VendedoresLiquidaciones.js';
 // Importar controladores de vendedores fin
 
 // Importar controladores de clientes inicio
@@ -104,6 +127,7 @@ import {
   CR_Cliente_CTS, // POST   /clientes
   UR_Cliente_CTS, // PUT    /clientes/:id
   UR_Cliente_Estado_CTS, // PATCH  /clientes/:id/estado
+  UR_Cliente_Ubicacion_CTS, // PATCH  /clientes/:id/ubicacion
   ER_Cliente_CTS // DELETE /clientes/:id?hard=1
 } from '../Controllers/Clientes/CTS_TB_Clientes.js';
 // Importar controladores de clientes fin
@@ -144,6 +168,31 @@ import {
   UR_Reparto_Estado_CTS
 } from '../Controllers/Repartos/CTS_TB_Repartos.js';
 
+import { OBR_RepartoHojaRuta_CTS } from '../Controllers/Repartos/CTS_TB_HojaRuta.js';
+
+import {
+  OBR_RepartoRutaOptimizada_CTS,
+  UR_RepartoRutaAplicar_CTS
+} from '../Controllers/Repartos/CTS_TB_RepartosRuta.js';
+
+import {
+  CR_RepartoRenumerar_CTS,
+  OBRS_RepartoRenumeraciones_CTS
+} from '../Controllers/Repartos/CTS_TB_RepartosRenumerar.js';
+
+import {
+  CR_RepartoDividir_CTS,
+  CR_RepartoUnir_CTS
+} from '../Controllers/Repartos/CTS_TB_RepartosDividirUnir.js';
+
+import {
+  OBRS_RepartosReemplazos_CTS,
+  CR_RepartoReemplazo_CTS,
+  UR_RepartoReemplazo_CTS,
+  UR_RepartoReemplazo_Anular_CTS,
+  OBR_RepartoEquipo_CTS
+} from '../Controllers/Repartos/CTS_TB_RepartosReemplazos.js';
+
 import {
   OBRS_RepartoClientes_CTS,
   OBR_RepartoCliente_CTS,
@@ -185,6 +234,69 @@ import {
 // CxC / Deuda de clientes
 // ----------------------------------------------------------------
 import { OBR_CxcDeudaCliente_CTS } from '../Controllers/Cobranzas/CTS_TB_CxcClientes.js';
+import {
+  CR_CxcCierreMes_CTS,
+  OBRS_CxcCierres_CTS,
+  OBR_CxcCierreMes_CTS
+} from '../Controllers/Cobranzas/CTS_TB_CxcCierres.js';
+import {
+  OBRS_CxcNotas_CTS,
+  OBR_CxcNota_CTS,
+  CR_CxcNota_CTS,
+  UR_CxcNota_Aprobar_CTS,
+  UR_CxcNota_Rechazar_CTS
+} from '../Controllers/Cobranzas/CTS_TB_CxcNotas.js';
+
+// ----------------------------------------------------------------
+// Envases retornables (bidones / sifones)
+// ----------------------------------------------------------------
+import {
+  OBRS_EnvasesMovimientos_CTS,
+  CR_EnvaseMovimiento_CTS,
+  ER_EnvaseMovimiento_CTS,
+  OBR_EnvasesSaldoCliente_CTS
+} from '../Controllers/Envases/CTS_TB_EnvasesMovimientos.js';
+
+// ----------------------------------------------------------------
+// Stock (depósito) y cargas de camión por reparto
+// ----------------------------------------------------------------
+import {
+  OBRS_Stock_CTS,
+  OBRS_StockMovimientos_CTS,
+  CR_StockMovimiento_CTS
+} from '../Controllers/Stock/CTS_TB_Stock.js';
+import {
+  OBRS_RepartosCargas_CTS,
+  OBR_RepartoCarga_CTS,
+  CR_RepartoCarga_CTS,
+  CR_RepartoCargaItems_CTS,
+  UR_RepartoCarga_Cerrar_CTS
+} from '../Controllers/Stock/CTS_TB_RepartosCargas.js';
+import {
+  OBRS_RepartoSesiones_CTS,
+  OBR_RepartoSesion_CTS,
+  CR_RepartoSesion_CTS,
+  CR_RepartoSesionVisita_CTS,
+  UR_RepartoSesion_Cerrar_CTS
+} from '../Controllers/Repartos/CTS_TB_RepartoSesiones.js';
+import {
+  OBR_SyncRepartoPull_CTS,
+  CR_SyncPush_CTS
+} from '../Controllers/Sync/CTS_TB_Sync.js';
+
+// ----------------------------------------------------------------
+// Importación masiva XLSX / CSV (config/importConfig.js)
+// ----------------------------------------------------------------
+import {
+  uploadImport,
+  OBRS_ImportEntidades_CTS,
+  CR_Import_CTS
+} from '../Controllers/Import/CTS_TB_Import.js';
+
+// ----------------------------------------------------------------
+// Auditoría de registros financieros
+// ----------------------------------------------------------------
+import { OBRS_Auditoria_CTS } from '../Controllers/Auditoria/CTS_TB_Auditoria.js';
 
 // ----------------------------------------------------------------
 // Reportes Reparto & Cobranzas
@@ -194,202 +306,354 @@ import {
   OBR_ReporteRepartoCobranzaPDF_CTS
 } from '../Controllers/Reportes/CTS_TB_ReportesReparto.js';
 
+// ----------------------------------------------------------------
+// Estado de cuenta por cliente (JSON / PDF / XLSX)
+// ----------------------------------------------------------------
+import {
+  OBR_EstadoCuentaCliente_CTS,
+  OBR_EstadoCuentaClientePDF_CTS,
+  OBR_EstadoCuentaClienteXLSX_CTS
+} from '../Controllers/Reportes/CTS_TB_EstadoCuentaCliente.js';
+
+// ----------------------------------------------------------------
+// Antigüedad de saldos (aging) CxC
+// ----------------------------------------------------------------
+import {
+  OBR_ReporteAntiguedadSaldos_CTS,
+  OBR_ReporteAntiguedadSaldosPDF_CTS,
+  OBR_ReporteAntiguedadSaldosXLSX_CTS
+} from '../Controllers/Reportes/CTS_TB_AntiguedadSaldos.js';
+
+// ----------------------------------------------------------------
+// Libro IVA ventas (contador)
+// ----------------------------------------------------------------
+import {
+  OBR_LibroIvaVentas_CTS,
+  OBR_LibroIvaVentasXLSX_CTS,
+  OBR_LibroIvaVentasCSV_CTS
+} from '../Controllers/Reportes/CTS_TB_LibroIvaVentas.js';
+
+// ----------------------------------------------------------------
+// Factura electrónica (AFIP / ARCA)
+// ----------------------------------------------------------------
+import {
+  CR_Venta_Facturar_CTS,
+  OBR_Venta_Comprobante_CTS,
+  OBR_Venta_FacturaPDF_CTS
+} from '../Controllers/Facturacion/CTS_TB_Facturacion.js';
+
+// Ticket / remito de venta para impresora térmica
+import { OBR_VentaTicket_CTS } from '../Controllers/Ventas/CTS_TB_VentasTicket.js';
+
+// ----------------------------------------------------------------
+// Listas de precios / precios especiales por cliente
+// ----------------------------------------------------------------
+import {
+  OBRS_ListasPrecios_CTS,
+  OBR_ListaPrecios_CTS,
+  CR_ListaPrecios_CTS,
+  UR_ListaPrecios_CTS,
+  CR_ListaPreciosItems_CTS,
+  ER_ListaPreciosItem_CTS,
+  OBRS_ClientePrecios_CTS,
+  CR_ClientePrecio_CTS,
+  ER_ClientePrecio_CTS,
+  UR_ClienteListaPrecios_CTS
+} from '../Controllers/Precios/CTS_TB_ListasPrecios.js';
+import {
+  OBR_PreciosResolver_CTS,
+  OBRS_ProductoPreciosHistorial_CTS
+} from '../Controllers/Precios/CTS_TB_Precios.js';
+import {
+  CR_ProductosPreciosMasivo_CTS,
+  OBR_ProductosPreciosLote_CTS
+} from '../Controllers/Productos/CTS_TB_ProductosPreciosMasivo.js';
+
+// ----------------------------------------------------------------
+// Promociones (descuentos por línea / por venta / fidelidad)
+// ----------------------------------------------------------------
+import {
+  OBRS_Promociones_CTS,
+  OBR_Promocion_CTS,
+  CR_Promocion_CTS,
+  UR_Promocion_CTS,
+  UR_Promocion_Estado_CTS
+} from '../Controllers/Promociones/CTS_TB_Promociones.js';
+
 // ----------------------------------------------------------------
 // Rutas para operaciones CRUD en la tabla 'locales'
 // ----------------------------------------------------------------
 
 // Obtener todos los locales
-router.get('/locales', OBRS_Locales_CTS);
+router.get('/locales', autorizar('locales.leer'), OBRS_Locales_CTS);
 
 // Obtener un solo local por ID
-router.get('/locales/:id', OBR_Local_CTS);
+router.get('/locales/:id', autorizar('locales.leer'), OBR_Local_CTS);
 
 // Crear un nuevo local
-router.post('/locales', CR_Local_CTS);
+router.post('/locales', autorizar('locales.escribir'), CR_Local_CTS);
 
 // Eliminar un local por ID
-router.delete('/locales/:id', ER_Local_CTS);
+router.delete('/locales/:id', autorizar('locales.eliminar'), ER_Local_CTS);
 
 // Actualizar un local por ID
-router.put('/locales/:id', UR_Local_CTS);
+router.put('/locales/:id', autorizar('locales.escribir'), UR_Local_CTS);
 
 // ----------------------------------------------------------------
 // Rutas para operaciones CRUD en la tabla 'usuarios'
 // ----------------------------------------------------------------
 
-router.post('/usuarios', authenticateToken, CR_Usuario_CTS);
-router.get('/usr@@soft', OBRS_Usuarios_CTS);
-router.put('/usuarios/:id', authenticateToken, UR_Usuario_CTS);
-router.delete('/usuarios/:id', authenticateToken, ER_Usuario_CTS);
-router.get('/usuarios', authenticateToken, OBRS_Usuarios_CTS);
+router.post('/usuarios', autorizar('usuarios.escribir'), CR_Usuario_CTS);
+router.get('/usr@@soft', autorizar('usuarios.leer'), OBRS_Usuarios_CTS);
+router.put('/usuarios/:id', autorizar('usuarios.escribir'), UR_Usuario_CTS);
+router.delete('/usuarios/:id', autorizar('usuarios.eliminar'), ER_Usuario_CTS);
+router.get('/usuarios', autorizar('usuarios.leer'), OBRS_Usuarios_CTS);
 
 // ----------------------------------------------------------------
 // Rutas para operaciones CRUD en la tabla 'productos'
 // ----------------------------------------------------------------
 // Listado con paginación flexible
 // GET /productos?q=&estado=&presentacion=&page=&pageSize=&limit=&offset=&mode=keyset&last_id=&orderBy=&orderDir=&count=0
-router.get('/productos', OBRS_Productos_CTS);
+router.get('/productos', autorizar('productos.leer'), OBRS_Productos_CTS);
 
 // Detalle
-router.get('/productos/:id', OBR_Producto_CTS);
+router.get('/productos/:id', autorizar('productos.leer'), OBR_Producto_CTS);
 
 // Alta
-router.post('/productos', CR_Producto_CTS);
+router.post('/productos', autorizar('productos.escribir'), CR_Producto_CTS);
 
 // Update
-router.put('/productos/:id', UR_Producto_CTS);
+router.put('/productos/:id', autorizar('productos.escribir'), UR_Producto_CTS);
 
 // Baja (lógica por defecto; hard con ?hard=1)
-router.delete('/productos/:id', ER_Producto_CTS);
+router.delete('/productos/:id', autorizar(permisoSegunHard('productos.eliminar')), ER_Producto_CTS);
 
 // Cambiar estado directo (útil para activar/inactivar desde el listado)
-router.patch('/productos/:id/estado', UR_Producto_Estado_CTS);
+router.patch('/productos/:id/estado', autorizar('productos.escribir'), UR_Producto_Estado_CTS);
+
+// Actualización masiva de precio base: dry-run por defecto, ?commit=1 aplica (todo o nada)
+router.post('/productos/precios/masivo', autorizar('productos.escribir'), CR_ProductosPreciosMasivo_CTS);
+
+// Detalle de un lote aplicado (historial con el mismo UUID)
+router.get('/productos/precios/masivo/:lote', autorizar('productos.leer'), OBR_ProductosPreciosLote_CTS);
 
 // ----------------------------------------------------------------
 // Rutas para operaciones CRUD en la tabla 'ciudades'
 // ----------------------------------------------------------------
-router.get('/geo/ciudades', OBRS_Ciudades_CTS);
-router.get('/geo/ciudades/:id', OBR_Ciudad_CTS);
-router.post('/geo/ciudades', CR_Ciudad_CTS);
-router.put('/geo/ciudades/:id', UR_Ciudad_CTS);
-router.patch('/geo/ciudades/:id/estado', PR_Ciudad_Estado_CTS);
-router.delete('/geo/ciudades/:id', ER_Ciudad_CTS);
+router.get('/geo/ciudades', autorizar('geo.leer'), OBRS_Ciudades_CTS);
+router.get('/geo/ciudades/:id', autorizar('geo.leer'), OBR_Ciudad_CTS);
+router.post('/geo/ciudades', autorizar('geo.escribir'), CR_Ciudad_CTS);
+router.put('/geo/ciudades/:id', autorizar('geo.escribir'), UR_Ciudad_CTS);
+router.patch('/geo/ciudades/:id/estado', autorizar('geo.escribir'), PR_Ciudad_Estado_CTS);
+router.delete('/geo/ciudades/:id', autorizar('geo.eliminar'), ER_Ciudad_CTS);
 
 // ----------------------------------------------------------------
 // Rutas para operaciones CRUD en la tabla 'localidades'
 // ----------------------------------------------------------------
-router.get('/geo/localidades', OBRS_Localidades_CTS);
-router.get('/geo/localidades/:id', OBR_Localidad_CTS);
-router.post('/geo/localidades', CR_Localidad_CTS);
-router.post('/geo/localidades/bulk', CR_Bulk_Localidades_CTS);
-router.put('/geo/localidades/:id', UR_Localidad_CTS);
-router.patch('/geo/localidades/:id/estado', PR_Localidad_Estado_CTS);
-router.delete('/geo/localidades/:id', ER_Localidad_CTS);
+router.get('/geo/localidades', autorizar('geo.leer'), OBRS_Localidades_CTS);
+router.get('/geo/localidades/:id', autorizar('geo.leer'), OBR_Localidad_CTS);
+router.post('/geo/localidades', autorizar('geo.escribir'), CR_Localidad_CTS);
+router.post('/geo/localidades/bulk', autorizar('geo.escribir'), CR_Bulk_Localidades_CTS);
+router.put('/geo/localidades/:id', autorizar('geo.escribir'), UR_Localidad_CTS);
+router.patch('/geo/localidades/:id/estado', autorizar('geo.escribir'), PR_Localidad_Estado_CTS);
+router.delete('/geo/localidades/:id', autorizar('geo.eliminar'), ER_Localidad_CTS);
 
 // ----------------------------------------------------------------
 // Rutas para operaciones CRUD en la tabla 'barrios'
 // ----------------------------------------------------------------
-router.get('/geo/barrios', OBRS_Barrios_CTS);
-router.get('/geo/barrios/:id', OBR_Barrio_CTS);
-router.post('/geo/barrios', CR_Barrio_CTS);
-router.post('/geo/barrios/bulk', CR_Bulk_Barrios_CTS);
-router.put('/geo/barrios/:id', UR_Barrio_CTS);
-router.patch('/geo/barrios/:id/estado', PR_Barrio_Estado_CTS);
-router.delete('/geo/barrios/:id', ER_Barrio_CTS);
+router.get('/geo/barrios', autorizar('geo.leer'), OBRS_Barrios_CTS);
+router.get('/geo/barrios/:id', autorizar('geo.leer'), OBR_Barrio_CTS);
+router.post('/geo/barrios', autorizar('geo.escribir'), CR_Barrio_CTS);
+router.post('/geo/barrios/bulk', autorizar('geo.escribir'), CR_Bulk_Barrios_CTS);
+router.put('/geo/barrios/:id', autorizar('geo.escribir'), UR_Barrio_CTS);
+router.patch('/geo/barrios/:id/estado', autorizar('geo.escribir'), PR_Barrio_Estado_CTS);
+router.delete('/geo/barrios/:id', autorizar('geo.eliminar'), ER_Barrio_CTS);
 
 // ----------------------------------------------------------------
 // Rutas para operaciones CRUD en la tabla 'vendedores'
 // ----------------------------------------------------------------
-router.get('/vendedores', OBRS_Vendedores_CTS);
-router.get('/vendedores/:id', OBR_Vendedor_CTS);
-router.post('/vendedores', CR_Vendedor_CTS);
-router.put('/vendedores/:id', UR_Vendedor_CTS);
-router.patch('/vendedores/:id/estado', UR_Vendedor_Estado_CTS);
-router.delete('/vendedores/:id', ER_Vendedor_CTS);
+router.get('/vendedores', autorizar('vendedores.leer'), OBRS_Vendedores_CTS);
+router.get('/vendedores/:id', autorizar('vendedores.leer'), OBR_Vendedor_CTS);
+router.post('/vendedores', autorizar('vendedores.escribir'), CR_Vendedor_CTS);
+router.put('/vendedores/:id', autorizar('vendedores.escribir'), UR_Vendedor_CTS);
+router.patch('/vendedores/:id/estado', autorizar('vendedores.escribir'), UR_Vendedor_Estado_CTS);
+router.delete('/vendedores/:id', autorizar(permisoSegunHard('vendedores.eliminar')), ER_Vendedor_CTS);
 
 // ----------------------------------------------------------------
 // Rutas para operaciones CRUD en la tabla 'vendedores_barrios'
 // ----------------------------------------------------------------
 // Global
-router.get('/vendedor_barrios', OBRS_VB_CTS);
+router.get('/vendedor_barrios', autorizar('vendedor_barrios.leer'), OBRS_VB_CTS);
 
 // Por vendedor
-router.get('/vendedores/:id/barrios', OBRS_VB_PorVendedor_CTS);
-router.post('/vendedores/:id/barrios', CR_VB_Asigna_CTS); // body: { barrio_id, asignado_desde?, asignado_hasta?, estado?, autoClose? }
-router.post('/vendedor_barrios/bulk', CR_VB_BulkAsignar_CTS);
-router.patch('/vendedores/:id/barrios/:asigId/cerrar', UR_VB_Cerrar_CTS); // body: { hasta? }
-router.patch('/vendedores/:id/barrios/:asigId/estado', UR_VB_Estado_CTS); // body: { estado }
-router.delete('/vendedores/:id/barrios/:asigId', ER_VB_CTS); // ?hard=1 para borrar vigente
+router.get('/vendedores/:id/barrios', autorizar('vendedor_barrios.leer'), OBRS_VB_PorVendedor_CTS);
+router.post('/vendedores/:id/barrios', autorizar('vendedor_barrios.escribir'), CR_VB_Asigna_CTS); // body: { barrio_id, asignado_desde?, asignado_hasta?, estado?, autoClose? }
+router.post('/vendedor_barrios/bulk', autorizar('vendedor_barrios.escribir'), CR_VB_BulkAsignar_CTS);
+router.patch('/vendedores/:id/barrios/:asigId/cerrar', autorizar('vendedor_barrios.escribir'), UR_VB_Cerrar_CTS); // body: { hasta? }
+router.patch('/vendedores/:id/barrios/:asigId/estado', autorizar('vendedor_barrios.escribir'), UR_VB_Estado_CTS); // body: { estado }
+router.delete('/vendedores/:id/barrios/:asigId', autorizar(permisoSegunHard('vendedor_barrios.eliminar')), ER_VB_CTS); // ?hard=1 para borrar vigente
+
+// ----------------------------------------------------------------
+// Comisiones de vendedores: reglas y liquidación mensual
+// ----------------------------------------------------------------
+// GET /vendedores/:id/comisiones/reglas?estado=activo|inactivo|todas
+router.get('/vendedores/:id/comisiones/reglas', autorizar('comisiones.leer'), OBRS_VendedorComisionesReglas_CTS);
+// POST /vendedores/:id/comisiones/reglas  body: { tipo: contado|cobranza|producto, porcentaje?, producto_id?, monto_unitario?, vigente_desde?, vigente_hasta? }
+router.post('/vendedores/:id/comisiones/reglas', autorizar('comisiones.escribir'), CR_VendedorComisionRegla_CTS);
+router.put('/vendedores/:id/comisiones/reglas/:reglaId', autorizar('comisiones.escribir'), UR_VendedorComisionRegla_CTS);
+router.patch('/vendedores/:id/comisiones/reglas/:reglaId/estado', autorizar('comisiones.escribir'), UR_VendedorComisionRegla_Estado_CTS); // body: { estado }
+
+// POST /vendedores-liquidaciones  body: { anio, mes, vendedor_id?, observaciones? }  (vista previa por defecto, ?commit=1 emite)
+router.post('/vendedores-liquidaciones', autorizar('comisiones.escribir'), CR_VendedoresLiquidaciones_CTS);
+// GET /vendedores-liquidaciones?vendedor_id=&anio=&mes=&estado=&page=&limit=
+router.get('/vendedores-liquidaciones', autorizar('comisiones.leer'), OBRS_VendedoresLiquidaciones_CTS);
+router.get('/vendedores-liquidaciones/:id', autorizar('comisiones.leer'), OBR_VendedorLiquidacion_CTS);
+router.get('/vendedores-liquidaciones/:id/pdf', autorizar('comisiones.leer'), OBR_VendedorLiquidacionPDF_CTS);
+router.get('/vendedores-liquidaciones/:id/xlsx', autorizar('comisiones.leer'), OBR_VendedorLiquidacionXLSX_CTS);
+router.patch('/vendedores-liquidaciones/:id/pagar', autorizar('comisiones.pagar'), UR_VendedorLiquidacion_Pagar_CTS); // body: { referencia?, observaciones? }
+router.patch('/vendedores-liquidaciones/:id/anular', autorizar('comisiones.escribir'), UR_VendedorLiquidacion_Anular_CTS); // body: { motivo }
 
 // ----------------------------------------------------------------
 // Rutas para operaciones CRUD en la tabla 'clientes'
 // ----------------------------------------------------------------
 // Listado con filtros/paginación
-router.get('/clientes', OBRS_Clientes_CTS);
+router.get('/clientes', autorizar('clientes.leer'), OBRS_Clientes_CTS);
 
 // Detalle por ID (incluye geografía)
-router.get('/clientes/:id', OBR_Cliente_CTS);
+router.get('/clientes/:id', autorizar('clientes.leer'), OBR_Cliente_CTS);
 
 // Crear cliente
-router.post('/clientes', CR_Cliente_CTS);
+router.post('/clientes', autorizar('clientes.crear'), CR_Cliente_CTS);
 
 // Actualizar cliente
-router.put('/clientes/:id', UR_Cliente_CTS);
+router.put('/clientes/:id', autorizar('clientes.escribir'), UR_Cliente_CTS);
 
 // Cambiar estado (activo/inactivo)
-router.patch('/clientes/:id/estado', UR_Cliente_Estado_CTS);
+router.patch('/clientes/:id/estado', autorizar('clientes.escribir'), UR_Cliente_Estado_CTS);
+
+// PATCH /clientes/:id/ubicacion  body: { latitud, longitud, precision_m? }
+router.patch('/clientes/:id/ubicacion', autorizar('clientes.ubicacion'), UR_Cliente_Ubicacion_CTS);
 
 // Eliminar (soft por defecto, hard con ?hard=1)
-router.delete('/clientes/:id', ER_Cliente_CTS);
+router.delete('/clientes/:id', autorizar(permisoSegunHard('clientes.eliminar')), ER_Cliente_CTS);
 
 // ----------------------------------------------------------------
 // Rutas para operaciones CRUD en la tabla 'ventas'
 // ----------------------------------------------------------------
 // Benjamin Orellana - 25/02/2026 - Resumen de deuda por cliente desde CxC (incluye saldo_previo)
-router.get('/cxc/deudas', OBRS_CxC_Deudas_CTS);
+router.get('/cxc/deudas', autorizar('cxc.leer'), OBRS_CxC_Deudas_CTS);
 // Benjamin Orellana - 24/02/2026 - Endpoints para carga de saldos previos de CxC desde venta individual y venta masiva.
-router.post('/ventas/saldo-previo', CR_SaldoPrevioCliente_CTS);
-router.post('/ventas/saldos-previos-masiva', CR_SaldosPrevios_Masiva_CTS);
-router.get('/ventas/deudores-fiado', OBRS_VentasDeudoresFiado_CTS);
-router.get('/ventas', OBRS_Ventas_CTS);
-router.get('/ventas/:id', OBR_Venta_CTS);
-router.post('/ventas', CR_Venta_CTS);
-router.put('/ventas/:id', UR_Venta_CTS);
-router.patch('/ventas/:id/anular', UR_Venta_Anular_CTS);
-router.delete('/ventas/:id', ER_Venta_CTS);
-router.post('/ventas/:ventaId/recalcular', UR_Venta_RecalcularTotal_CTS);
-router.post('/ventas/reparto-masiva', CR_VentasReparto_Masiva_CTS);
+router.post('/ventas/saldo-previo', autorizar('cxc.escribir'), CR_SaldoPrevioCliente_CTS);
+router.post('/ventas/saldos-previos-masiva', autorizar('cxc.escribir'), CR_SaldosPrevios_Masiva_CTS);
+router.get('/ventas/deudores-fiado', autorizar('cxc.leer'), OBRS_VentasDeudoresFiado_CTS);
+router.get('/ventas', autorizar('ventas.leer'), OBRS_Ventas_CTS);
+router.get('/ventas/:id', autorizar('ventas.leer'), OBR_Venta_CTS);
+router.post('/ventas', autorizar('ventas.crear'), idempotencia, CR_Venta_CTS);
+router.put('/ventas/:id', autorizar('ventas.escribir'), UR_Venta_CTS);
+router.patch('/ventas/:id/anular', autorizar('ventas.anular'), UR_Venta_Anular_CTS);
+router.delete('/ventas/:id', autorizar('ventas.eliminar'), ER_Venta_CTS);
+router.post('/ventas/:ventaId/recalcular', autorizar('ventas.escribir'), UR_Venta_RecalcularTotal_CTS);
+
+// Benjamin Orellana - 06-11-2026 - Factura electrónica (CAE) y PDF con QR
+router.post('/ventas/:id/facturar', autorizar('ventas.facturar'), CR_Venta_Facturar_CTS);
+router.get('/ventas/:id/comprobante', autorizar('ventas.leer'), OBR_Venta_Comprobante_CTS);
+router.get('/ventas/:id/factura/pdf', autorizar('ventas.leer'), OBR_Venta_FacturaPDF_CTS);
+
+// Benjamin Orellana - 07-11-2026 - Ticket / remito térmico: ?formato=pdf|escpos&ancho=58|80&local_id=
+router.get('/ventas/:id/ticket', autorizar('ventas.leer'), OBR_VentaTicket_CTS);
+router.post(
+  '/ventas/reparto-masiva',
+  autorizar('ventas.crear'),
+  idempotencia,
+  CR_VentasReparto_Masiva_CTS
+);
 // ----------------------------------------------------------------
 // Rutas para operaciones CRUD en la tabla 'clientes'
 // ----------------------------------------------------------------
-router.get('/ventas/:ventaId/items', OBRS_VentasItems_CTS);
-router.post('/ventas/:ventaId/items', CR_VentasItems_CTS); // 1 o n ítems
-router.put('/ventas/:ventaId/items/:itemId', UR_VentasItem_CTS);
-router.delete('/ventas/:ventaId/items/:itemId', ER_VentasItem_CTS);
-router.post('/ventas/:ventaId/items/replace', RP_VentasItems_CTS); // reemplazo total
+router.get('/ventas/:ventaId/items', autorizar('ventas.leer'), OBRS_VentasItems_CTS);
+router.post('/ventas/:ventaId/items', autorizar('ventas.escribir'), CR_VentasItems_CTS); // 1 o n ítems
+router.put('/ventas/:ventaId/items/:itemId', autorizar('ventas.escribir'), UR_VentasItem_CTS);
+router.delete('/ventas/:ventaId/items/:itemId', autorizar('ventas.escribir'), ER_VentasItem_CTS);
+router.post('/ventas/:ventaId/items/replace', autorizar('ventas.escribir'), RP_VentasItems_CTS); // reemplazo total
 
 // ----------------------------------------------------------------
 // Rutas para operaciones CRUD en la tabla 'repartos'
 // ----------------------------------------------------------------
 // GET /repartos?q=&ciudad_id=&estado=&page=&pageSize=&limit=&offset=&mode=keyset&last_id=&orderBy=&orderDir=&count=0&withCiudad=1
-router.get('/repartos', OBRS_Repartos_CTS);
+router.get('/repartos', autorizar('repartos.leer'), OBRS_Repartos_CTS);
 
 // Detalle
 // GET /repartos/:id?withCiudad=1
-router.get('/repartos/:id', OBR_Reparto_CTS);
+router.get('/repartos/:id', autorizar('repartos.leer'), OBR_Reparto_CTS);
 
 // Alta (con rango explícito o capacidad)
-router.post('/repartos', CR_Reparto_CTS);
+router.post('/repartos', autorizar('repartos.escribir'), CR_Reparto_CTS);
 
 // Update
-router.put('/repartos/:id', UR_Reparto_CTS);
+router.put('/repartos/:id', autorizar('repartos.escribir'), UR_Reparto_CTS);
 
 // Baja (lógica por defecto; hard con ?soft=0 para hard, etc.)
-router.delete('/repartos/:id', ER_Reparto_CTS);
+router.delete('/repartos/:id', autorizar('repartos.eliminar'), ER_Reparto_CTS);
 
 // Cambiar estado directo
-router.patch('/repartos/:id/estado', UR_Reparto_Estado_CTS);
+router.patch('/repartos/:id/estado', autorizar('repartos.escribir'), UR_Reparto_Estado_CTS);
+
+// Hoja de ruta del día (turno según repartos_dias, clientes por numero_rango)
+// GET /repartos/:id/hoja-ruta?fecha=YYYY-MM-DD&turno=maniana|tarde|noche&formato=json|html|pdf
+router.get('/repartos/:id/hoja-ruta', autorizar('repartos.leer'), OBR_RepartoHojaRuta_CTS);
+
+// Orden de visita optimizado con las coordenadas de los clientes (propuesta + aplicar)
+// GET  /repartos/:id/ruta-optimizada?local_id=&cerrada=1
+router.get('/repartos/:id/ruta-optimizada', autorizar('repartos.leer'), OBR_RepartoRutaOptimizada_CTS);
+// POST /repartos/:id/ruta-optimizada/aplicar  body: { orden: [cliente_id...], firma, motivo? }
+router.post('/repartos/:id/ruta-optimizada/aplicar', autorizar('repartos.escribir'), UR_RepartoRutaAplicar_CTS);
+
+// Renumerar / compactar numero_rango (vista previa por defecto, ?commit=1 aplica)
+// POST /repartos/:id/renumerar  body: { estrategia: compactar|por_calle|insertar|orden, orden?, cliente_id?, despues_de?, numeracion?, desde?, firma?, motivo? }
+router.post('/repartos/:id/renumerar', autorizar('repartos.escribir'), CR_RepartoRenumerar_CTS);
+// GET /repartos/:id/renumeraciones?lote=&limit=
+router.get('/repartos/:id/renumeraciones', autorizar('repartos.leer'), OBRS_RepartoRenumeraciones_CTS);
+
+// Dividir / unir repartos con clientes, días y equipo (vista previa por defecto, ?commit=1 aplica)
+// POST /repartos/:id/dividir  body: { criterio: barrio|rango, barrio_ids?, desde?, hasta?, nuevo: { nombre, rango_min?, rango_max?, capacidad? }, dias?, usuario_ids? }
+router.post('/repartos/:id/dividir', autorizar('repartos.escribir'), CR_RepartoDividir_CTS);
+// POST /repartos/:id/unir  body: { origen_id, ampliar_rango? }  (":id" es el reparto que queda)
+router.post('/repartos/:id/unir', autorizar('repartos.escribir'), CR_RepartoUnir_CTS);
+
+// Equipo efectivo del día (titulares + reemplazos vigentes)
+// GET /repartos/:id/equipo?fecha=YYYY-MM-DD&turno=
+router.get('/repartos/:id/equipo', autorizar('repartos.leer'), OBR_RepartoEquipo_CTS);
+
+// ----------------------------------------------------------------
+// Reemplazos temporales de chofer / ayudante (repartos_reemplazos)
+// ----------------------------------------------------------------
+// GET /repartos-reemplazos?reparto_id=&usuario_id=&estado=activo|anulado|todos&fecha=&desde=&hasta=&page=&limit=
+router.get('/repartos-reemplazos', autorizar('repartos_reemplazos.leer'), OBRS_RepartosReemplazos_CTS);
+// POST /repartos-reemplazos  body: { reparto_id, usuario_id, reemplazado_usuario_id?, rol?, fecha_desde, fecha_hasta, turno?, motivo, observaciones? }
+router.post('/repartos-reemplazos', autorizar('repartos_reemplazos.escribir'), CR_RepartoReemplazo_CTS);
+router.put('/repartos-reemplazos/:id', autorizar('repartos_reemplazos.escribir'), UR_RepartoReemplazo_CTS);
+router.patch('/repartos-reemplazos/:id/anular', autorizar('repartos_reemplazos.escribir'), UR_RepartoReemplazo_Anular_CTS);
 
 // ----------------------------------------------------------------
 // Rutas para asignación de clientes a repartos (reparto_clientes)
 // ----------------------------------------------------------------
 // GET /repartos-clientes?reparto_id=&cliente_id=&estado=&page=&pageSize=&orderBy=&orderDir=&withReparto=1&withCliente=1
-router.get('/repartos-clientes', OBRS_RepartoClientes_CTS);
+router.get('/repartos-clientes', autorizar('repartos.leer'), OBRS_RepartoClientes_CTS);
 
 // Detalle
-router.get('/repartos-clientes/:id', OBR_RepartoCliente_CTS);
+router.get('/repartos-clientes/:id', autorizar('repartos.leer'), OBR_RepartoCliente_CTS);
 
 // Alta (si no se manda numero_rango, se asigna automático)
-router.post('/repartos-clientes', CR_RepartoCliente_CTS);
+router.post('/repartos-clientes', autorizar('repartos.escribir'), CR_RepartoCliente_CTS);
 
 // Update
-router.put('/repartos-clientes/:id', UR_RepartoCliente_CTS);
+router.put('/repartos-clientes/:id', autorizar('repartos.escribir'), UR_RepartoCliente_CTS);
 
 // Baja (lógica con ?soft=1, hard por defecto)
-router.delete('/repartos-clientes/:id', ER_RepartoCliente_CTS);
+router.delete('/repartos-clientes/:id', autorizar('repartos.eliminar'), ER_RepartoCliente_CTS);
 
 // Cambiar estado
-router.patch('/repartos-clientes/:id/estado', UR_RepartoCliente_Estado_CTS);
+router.patch('/repartos-clientes/:id/estado', autorizar('repartos.escribir'), UR_RepartoCliente_Estado_CTS);
 
 // ----------------------------------------------------------------
 // Asignación masiva de clientes a un reparto
@@ -398,6 +662,7 @@ router.patch('/repartos-clientes/:id/estado', UR_RepartoCliente_Estado_CTS);
 // ----------------------------------------------------------------
 router.post(
   '/repartos/:id/asignar-clientes',
+  autorizar('repartos.escribir'),
   CR_Reparto_AsignarClientesMasivo_CTS
 );
 
@@ -405,69 +670,230 @@ router.post(
 // Rutas para asignación de usuarios a repartos (repartos_usuarios)
 // ----------------------------------------------------------------
 // GET /repartos-usuarios?reparto_id=&usuario_id=&rol=&activo=&page=&pageSize=&orderBy=&orderDir=&withReparto=1&withUsuario=1
-router.get('/repartos-usuarios', OBRS_RepartosUsuarios_CTS);
+router.get('/repartos-usuarios', autorizar('repartos.leer'), OBRS_RepartosUsuarios_CTS);
 
 // Detalle
-router.get('/repartos-usuarios/:id', OBR_RepartoUsuario_CTS);
+router.get('/repartos-usuarios/:id', autorizar('repartos.leer'), OBR_RepartoUsuario_CTS);
 
 // Alta
-router.post('/repartos-usuarios', CR_RepartoUsuario_CTS);
+router.post('/repartos-usuarios', autorizar('repartos.escribir'), CR_RepartoUsuario_CTS);
 
 // Update
-router.put('/repartos-usuarios/:id', UR_RepartoUsuario_CTS);
+router.put('/repartos-usuarios/:id', autorizar('repartos.escribir'), UR_RepartoUsuario_CTS);
 
 // Baja (soft con ?soft=1 → activo=false, hard por defecto)
-router.delete('/repartos-usuarios/:id', ER_RepartoUsuario_CTS);
+router.delete('/repartos-usuarios/:id', autorizar('repartos.eliminar'), ER_RepartoUsuario_CTS);
 
 // Cambiar flag activo directo
-router.patch('/repartos-usuarios/:id/activo', UR_RepartoUsuario_Activo_CTS);
+router.patch('/repartos-usuarios/:id/activo', autorizar('repartos.escribir'), UR_RepartoUsuario_Activo_CTS);
 
 // ----------------------------------------------------------------
 // Rutas para días y turnos de reparto (repartos_dias)
 // ----------------------------------------------------------------
 // GET /repartos-dias?reparto_id=&dia_semana=&turno=&page=&pageSize=&orderBy=&orderDir=&withReparto=1
-router.get('/repartos-dias', OBRS_RepartosDias_CTS);
+router.get('/repartos-dias', autorizar('repartos.leer'), OBRS_RepartosDias_CTS);
 
 // Detalle
-router.get('/repartos-dias/:id', OBR_RepartoDia_CTS);
+router.get('/repartos-dias/:id', autorizar('repartos.leer'), OBR_RepartoDia_CTS);
 
 // Alta
-router.post('/repartos-dias', CR_RepartoDia_CTS);
+router.post('/repartos-dias', autorizar('repartos.escribir'), CR_RepartoDia_CTS);
 
 // Update
-router.put('/repartos-dias/:id', UR_RepartoDia_CTS);
+router.put('/repartos-dias/:id', autorizar('repartos.escribir'), UR_RepartoDia_CTS);
 
 // Baja (hard delete)
-router.delete('/repartos-dias/:id', ER_RepartoDia_CTS);
+router.delete('/repartos-dias/:id', autorizar('repartos.eliminar'), ER_RepartoDia_CTS);
 
 // ===============================
 // Rutas Cobranzas a Clientes
 // ===============================
-router.get('/cobranzas-clientes', OBRS_CobranzasClientes_CTS);
+router.get('/cobranzas-clientes', autorizar('cobranzas.leer'), OBRS_CobranzasClientes_CTS);
 
-router.get('/cobranzas-clientes/:id', OBR_CobranzaCliente_CTS);
+router.get('/cobranzas-clientes/:id', autorizar('cobranzas.leer'), OBR_CobranzaCliente_CTS);
 
-router.post('/cobranzas-clientes', CR_CobranzaCliente_CTS);
+router.post(
+  '/cobranzas-clientes',
+  autorizar('cobranzas.crear'),
+  idempotencia,
+  CR_CobranzaCliente_CTS
+);
 
 // Usar con cuidado (ver comentario en controlador)
-router.delete('/cobranzas-clientes/:id', ER_CobranzaCliente_CTS);
+router.delete('/cobranzas-clientes/:id', autorizar('cobranzas.eliminar'), ER_CobranzaCliente_CTS);
 
 // ===============================
 // CxC - Deuda por cliente
 // ===============================
-router.get('/cxc/clientes/:id/deuda', OBR_CxcDeudaCliente_CTS);
+router.get('/cxc/clientes/:id/deuda', autorizar('cxc.leer'), OBR_CxcDeudaCliente_CTS);
+
+// ===============================
+// CxC - Estado de cuenta (saldo inicial + movimientos con saldo acumulado)
+// ?desde=YYYY-MM-DD&hasta=YYYY-MM-DD
+// ===============================
+router.get('/cxc/clientes/:id/estado-cuenta', autorizar('cxc.leer'), OBR_EstadoCuentaCliente_CTS);
+router.get('/cxc/clientes/:id/estado-cuenta/pdf', autorizar('cxc.leer'), OBR_EstadoCuentaClientePDF_CTS);
+router.get('/cxc/clientes/:id/estado-cuenta/xlsx', autorizar('cxc.leer'), OBR_EstadoCuentaClienteXLSX_CTS);
+
+// ===============================
+// CxC - Cierres mensuales (saldos congelados en cxc_saldos_mensuales)
+// ===============================
+router.get('/cxc/cierres', autorizar('cxc.leer'), OBRS_CxcCierres_CTS);
+router.get('/cxc/cierres/:anio/:mes', autorizar('cxc.leer'), OBR_CxcCierreMes_CTS);
+router.post('/cxc/cierres/:anio/:mes', autorizar('cxc.cerrar'), CR_CxcCierreMes_CTS);
+
+// ===============================
+// CxC - Notas de crédito / débito / ajustes (aprobación del socio)
+// ===============================
+router.get('/cxc/notas', autorizar('cxc_notas.leer'), OBRS_CxcNotas_CTS);
+router.get('/cxc/notas/:id', autorizar('cxc_notas.leer'), OBR_CxcNota_CTS);
+router.post('/cxc/notas', autorizar('cxc_notas.crear'), CR_CxcNota_CTS);
+router.patch('/cxc/notas/:id/aprobar', autorizar('cxc_notas.aprobar'), UR_CxcNota_Aprobar_CTS);
+router.patch('/cxc/notas/:id/rechazar', autorizar('cxc_notas.aprobar'), UR_CxcNota_Rechazar_CTS);
+
+// ===============================
+// Envases retornables
+// ===============================
+// Saldo de envases en poder del cliente (junto a la deuda)
+router.get('/cxc/clientes/:id/envases', autorizar('envases.leer'), OBR_EnvasesSaldoCliente_CTS);
+
+// GET /envases-movimientos?cliente_id=&producto_id=&venta_id=&reparto_id=&tipo=&desde=&hasta=&page=&limit=
+router.get('/envases-movimientos', autorizar('envases.leer'), OBRS_EnvasesMovimientos_CTS);
+
+// Movimiento manual (devuelto / perdido / deposito / entregado en comodato)
+router.post('/envases-movimientos', autorizar('envases.crear'), CR_EnvaseMovimiento_CTS);
+
+// Solo movimientos manuales (los de venta se revierten anulando la venta)
+router.delete('/envases-movimientos/:id', autorizar('envases.eliminar'), ER_EnvaseMovimiento_CTS);
+
+// ===============================
+// STOCK
+// ===============================
+// GET /stock?local_id=&producto_id=&bajo_minimo=1&page=&limit=
+router.get('/stock', autorizar('stock.leer'), OBRS_Stock_CTS);
+
+// GET /stock/movimientos?producto_id=&local_id=&reparto_carga_id=&venta_id=&tipo=
+router.get('/stock/movimientos', autorizar('stock.leer'), OBRS_StockMovimientos_CTS);
+
+// Ingreso / ajuste / merma manual de depósito
+router.post('/stock/movimientos', autorizar('stock.escribir'), CR_StockMovimiento_CTS);
+
+// ===============================
+// CARGAS DE CAMIÓN (jornada de reparto)
+// ===============================
+// GET /repartos-cargas?reparto_id=&fecha=&estado=
+router.get('/repartos-cargas', autorizar('repartos_cargas.leer'), OBRS_RepartosCargas_CTS);
+
+router.get('/repartos-cargas/:id', autorizar('repartos_cargas.leer'), OBR_RepartoCarga_CTS);
+
+// Apertura: sale del depósito y entra al camión
+router.post('/repartos-cargas', autorizar('repartos_cargas.escribir'), CR_RepartoCarga_CTS);
+
+// Recarga del camión durante la jornada
+router.post('/repartos-cargas/:id/items', autorizar('repartos_cargas.escribir'), CR_RepartoCargaItems_CTS);
+
+// Cierre + conciliación de lo que volvió
+router.post('/repartos-cargas/:id/cerrar', autorizar('repartos_cargas.escribir'), UR_RepartoCarga_Cerrar_CTS);
+
+// ===============================
+// SESIONES DE REPARTO (jornada del chofer)
+// ===============================
+// GET /reparto-sesiones?reparto_id=&estado=&desde=&hasta=&con_diferencia=1
+router.get('/reparto-sesiones', autorizar('reparto_sesiones.leer'), OBRS_RepartoSesiones_CTS);
+
+// Detalle: visitas, clientes pendientes y caja
+router.get('/reparto-sesiones/:id', autorizar('reparto_sesiones.leer'), OBR_RepartoSesion_CTS);
+
+// Apertura: reparto + fecha + turno
+router.post('/reparto-sesiones', autorizar('reparto_sesiones.operar'), CR_RepartoSesion_CTS);
+
+// Check-in por cliente (visitado / vendido / ausente / rechazado)
+router.post('/reparto-sesiones/:id/visitas', autorizar('reparto_sesiones.operar'), CR_RepartoSesionVisita_CTS);
+
+// Cierre con arqueo de efectivo
+router.post('/reparto-sesiones/:id/cerrar', autorizar('reparto_sesiones.operar'), UR_RepartoSesion_Cerrar_CTS);
+
+// ===============================
+// SINCRONIZACIÓN OFFLINE (choferes)
+// ===============================
+// GET /sync/repartos/:id?cursor=<ms>  (sin cursor = snapshot completo)
+router.get('/sync/repartos/:id', autorizar('sync.operar'), OBR_SyncRepartoPull_CTS);
+
+// Lote de ventas / cobranzas creadas offline (UUID + device_at por registro)
+router.post('/sync/push', autorizar('sync.operar'), CR_SyncPush_CTS);
+
+// ===============================
+// PRECIOS (listas con vigencia + especiales por cliente)
+// ===============================
+// GET /listas-precios?tipo=general|mayorista|ciudad|reparto&estado=&q=&vigente_en=YYYY-MM-DD
+router.get('/listas-precios', autorizar('precios.leer'), OBRS_ListasPrecios_CTS);
+router.get('/listas-precios/:id', autorizar('precios.leer'), OBR_ListaPrecios_CTS);
+router.post('/listas-precios', autorizar('precios.escribir'), CR_ListaPrecios_CTS);
+router.put('/listas-precios/:id', autorizar('precios.escribir'), UR_ListaPrecios_CTS);
+
+// Precios de la lista: cada carga versiona (vigente_desde >= hoy, nunca retroactivo)
+router.post('/listas-precios/:id/items', autorizar('precios.escribir'), CR_ListaPreciosItems_CTS);
+router.delete('/listas-precios/:id/items/:productoId', autorizar('precios.escribir'), ER_ListaPreciosItem_CTS);
+
+// Precios especiales del cliente y lista asignada
+router.get('/clientes/:id/precios', autorizar('precios.leer'), OBRS_ClientePrecios_CTS);
+router.post('/clientes/:id/precios', autorizar('precios.escribir'), CR_ClientePrecio_CTS);
+router.delete('/clientes/:id/precios/:productoId', autorizar('precios.escribir'), ER_ClientePrecio_CTS);
+router.patch('/clientes/:id/lista-precios', autorizar('precios.escribir'), UR_ClienteListaPrecios_CTS);
+
+// GET /precios/resolver?producto_id=1,2&cliente_id=&reparto_id=&fecha=YYYY-MM-DD
+router.get('/precios/resolver', autorizar('precios.leer'), OBR_PreciosResolver_CTS);
+
+// "¿Cuánto costaba el bidón en marzo?": GET /productos/:id/precios-historial?cliente_id=&desde=&hasta=
+router.get('/productos/:id/precios-historial', autorizar('precios.leer'), OBRS_ProductoPreciosHistorial_CTS);
+
+// ===============================
+// PROMOCIONES
+// ===============================
+// GET /promociones?tipo=&estado=&producto_id=&cliente_id=&vigente_en=YYYY-MM-DD
+router.get('/promociones', autorizar('promociones.leer'), OBRS_Promociones_CTS);
+router.get('/promociones/:id', autorizar('promociones.leer'), OBR_Promocion_CTS);
+router.post('/promociones', autorizar('promociones.escribir'), CR_Promocion_CTS);
+router.put('/promociones/:id', autorizar('promociones.escribir'), UR_Promocion_CTS);
+router.patch('/promociones/:id/estado', autorizar('promociones.escribir'), UR_Promocion_Estado_CTS);
+
+// ===============================
+// IMPORTACIÓN
+// ===============================
+// Entidades disponibles y columnas esperadas
+router.get('/import', autorizar('import.ejecutar'), OBRS_ImportEntidades_CTS);
+
+// POST /import/:entity  (multipart "archivo") → dry-run por defecto; ?commit=1 importa; ?omitir_errores=1
+router.post('/import/:entity', autorizar('import.ejecutar'), uploadImport, CR_Import_CTS);
+
+// ===============================
+// AUDITORÍA
+// ===============================
+// GET /auditoria?entidad=venta|cobranza|cxc_movimiento|saldo_previo|nota_cxc&entidad_id=&usuario_id=&accion=&desde=YYYY-MM-DD&hasta=YYYY-MM-DD&page=&limit=
+router.get('/auditoria', autorizar('auditoria.leer'), OBRS_Auditoria_CTS);
 
 // ===============================
 // REPORTES
 // ===============================
-router.get('/reportes/reparto-cobranza', OBR_ReporteRepartoCobranza_CTS);
+router.get('/reportes/reparto-cobranza', autorizar('reportes.leer'), OBR_ReporteRepartoCobranza_CTS);
+
+router.get('/reportes/reparto-cobranza/pdf', autorizar('reportes.leer'), OBR_ReporteRepartoCobranzaPDF_CTS);
+
+// Antigüedad de saldos: ?agrupar=cliente|reparto|vendedor|ciudad&reparto_id=&vendedor_id=&ciudad_id=&q=&saldo_min=
+router.get('/reportes/antiguedad-saldos', autorizar('reportes.leer'), OBR_ReporteAntiguedadSaldos_CTS);
+router.get('/reportes/antiguedad-saldos/pdf', autorizar('reportes.leer'), OBR_ReporteAntiguedadSaldosPDF_CTS);
+router.get('/reportes/antiguedad-saldos/xlsx', autorizar('reportes.leer'), OBR_ReporteAntiguedadSaldosXLSX_CTS);
 
-router.get('/reportes/reparto-cobranza/pdf', OBR_ReporteRepartoCobranzaPDF_CTS);
+// Benjamin Orellana - 05-11-2026 - Libro IVA ventas: ?anio=&mes=
+router.get('/reportes/libro-iva-ventas', autorizar('libro_iva.leer'), OBR_LibroIvaVentas_CTS);
+router.get('/reportes/libro-iva-ventas/xlsx', autorizar('libro_iva.leer'), OBR_LibroIvaVentasXLSX_CTS);
+router.get('/reportes/libro-iva-ventas/csv', autorizar('libro_iva.leer'), OBR_LibroIvaVentasCSV_CTS);
 
 import { exportReporteRepartoCobranzaSimplePDF } from '../Controllers/Repartos/CTS_TB_ReporteRepartoCobranzaSimplePDF.js';
 
 router.get(
   '/reportes/reparto-cobranza-simple/pdf',
+  autorizar('reportes.leer'),
   exportReporteRepartoCobranzaSimplePDF
 );
 
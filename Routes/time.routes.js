@@ -1,8 +1,12 @@
 // Routes/time.routes.js
 import { Router } from 'express';
-import crypto from 'node:crypto';
 import { timeConfig } from '../config/time.config.js';
 import { nowMs, getOffsetMs, getSource, refreshNow } from '../Utils/authoritativeTime.js';
+import {
+  atestacionHabilitada,
+  emitirAtestacion,
+  verificarAtestacion
+} from '../Utils/timeAttestation.js';
 
 export const timeRouter = Router();
 
@@ -14,16 +18,19 @@ function buildServerTimePayload() {
     maxOfflineMs: timeConfig.maxOfflineMs
   };
 
-  if (timeConfig.attestationSecret) {
-    const exp = Math.floor(serverUnixMs / 1000) + timeConfig.attestationTtlSec;
-    const toSign = `${serverUnixMs}.${exp}`;
-    const sig = crypto.createHmac('sha256', timeConfig.attestationSecret)
-      .update(toSign).digest('base64url');
-    payload.attestation = `${toSign}.${sig}`;
+  if (atestacionHabilitada()) {
+    payload.attestation = emitirAtestacion().token;
   }
   return payload;
 }
 
+const NO_CACHE = {
+  'Cache-Control': 'no-store, no-cache, must-revalidate, proxy-revalidate',
+  'Pragma': 'no-cache',
+  'Expires': '0',
+  'Surrogate-Control': 'no-store'
+};
+
 // Routes/time.routes.js
 timeRouter.get('/time', async (req, res) => {
   try {
@@ -32,12 +39,7 @@ timeRouter.get('/time', async (req, res) => {
 
     const data = buildServerTimePayload();
 
-    res.set({
-      'Cache-Control': 'no-store, no-cache, must-revalidate, proxy-revalidate',
-      'Pragma': 'no-cache',
-      'Expires': '0',
-      'Surrogate-Control': 'no-store'
-    });
+    res.set(NO_CACHE);
 
     // DESCOMENTAR PARA SEGUIMIENTO
     // console.log(JSON.stringify({
@@ -55,6 +57,39 @@ timeRouter.get('/time', async (req, res) => {
   }
 });
 
+// Benjamin Orellana - 01-11-2026 - Atestación firmada para timeGuard (modo 'attested')
+// body opcional: { prev: <último token> } → el nuevo queda encadenado (dispositivos offline)
+timeRouter.post('/time/attestation', (req, res) => {
+  res.set(NO_CACHE);
+
+  if (!atestacionHabilitada()) {
+    return res.status(503).json({
+      codigo: 'TIME_ATTESTATION_NOT_CONFIGURED',
+      mensaje: 'El servidor no tiene configurado TIME_ATTESTATION_SECRET.'
+    });
+  }
+
+  const prev = req.body?.prev ? String(req.body.prev) : null;
+  if (prev) {
+    const r = verificarAtestacion(prev, { permitirVencida: true });
+    if (!r.ok) {
+      return res.status(400).json({
+        codigo: r.code,
+        mensaje: 'La atestación anterior no es válida.'
+      });
+    }
+  }
+
+  const { token, serverUnixMs, exp } = emitirAtestacion({ prev });
+  return res.status(200).json({
+    attestation: token,
+    serverUnixMs,
+    expiresAt: exp * 1000,
+    ttlSec: timeConfig.attestationTtlSec,
+    maxOfflineMs: timeConfig.maxOfflineMs,
+    encadenada: !!prev
+  });
+});
 
 timeRouter.get('/time/debug', (req, res) => {
   const localNow = Date.now();
@@ -10,6 +10,9 @@ import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
 import { UserModel } from '../Models/MD_TB_Users.js';
 
+// Benjamin Orellana - 22-10-2026 - Se centraliza el secreto para reutilizarlo en Middlewares/permisos.js
+export const JWT_SECRET = 'softfusion';
+
 export const login = async (req, res) => {
   const { email, password } = req.body;
 
@@ -34,7 +37,7 @@ export const login = async (req, res) => {
         local_id: user.local_id,
         es_reemplazante: !!user.es_reemplazante
       },
-      'softfusion',
+      JWT_SECRET,
       {
         expiresIn: '1h'
       }
@@ -66,7 +69,7 @@ export const authenticateToken = (req, res, next) => {
 
   if (!token) return res.sendStatus(401); // No autorizado
 
-  jwt.verify(token, 'softfusion', (err, user) => {
+  jwt.verify(token, JWT_SECRET, (err, user) => {
     if (err) return res.sendStatus(403); // Token inválido
     req.user = user;
     next();
@@ -0,0 +1,33 @@
+// ./Utils/errorApi.js
+
+/**
+ * Errores de negocio de los controladores.
+ *
+ * errorApi arma el error con el status HTTP, el code y el mensaje para el cliente
+ * (meta opcional con el detalle). responderError lo devuelve como
+ * { code, mensajeError, meta? }; un error sin statusCode es inesperado: se loguea con
+ * el contexto y responde 500 con el mensaje por defecto.
+ *
+ *   throw errorApi(409, 'RANGO_SOLAPADO', 'El rango se superpone...', { suggestion });
+ *   ...
+ *   } catch (err) {
+ *     return responderError(res, err, 'CR_Algo_CTS', 'No se pudo registrar.');
+ *   }
+ */
+
+export const errorApi = (statusCode, code, message, meta) => {
+  const e = new Error(message);
+  e.statusCode = statusCode;
+  e.code = code;
+  if (meta) e.meta = meta;
+  return e;
+};
+
+export const responderError = (res, err, ctx, fallback) => {
+  if (!err.statusCode) console.error(`${ctx} error:`, err);
+  return res.status(err.statusCode || 500).json({
+    code: err.code || 'SERVER_ERROR',
+    mensajeError: err.statusCode ? err.message : fallback,
+    ...(err.statusCode && err.meta ? { meta: err.meta } : {})
+  });
+};
@@ -0,0 +1,137 @@
+// ./Utils/escpos.js
+
+/**
+ * Builder mínimo de ESC/POS para impresoras térmicas (58 / 80 mm).
+ *
+ * Texto en la página de códigos PC850 (ESC t 2): cubre acentos, ñ, ° y ¿¡ del castellano;
+ * lo que no tiene equivalente sale como '?'. Los códigos de barras los dibuja la impresora
+ * (GS k, CODE128), no hace falta rasterizar imágenes.
+ *
+ *   const t = crearEscPos({ columnas: 48 });
+ *   t.centrar().negrita(true).linea('REMITO').negrita(false).izquierda();
+ *   t.par('Total', '$ 1.500,00').separador().codigoBarras('00000042').cortar();
+ *   const bytes = t.buffer();
+ */
+
+const ESC = 0x1b;
+const GS = 0x1d;
+
+// Unicode → PC850 (solo lo que no es ASCII)
+const CP850 = {
+  á: 0xa0,
+  é: 0x82,
+  í: 0xa1,
+  ó: 0xa2,
+  ú: 0xa3,
+  ñ: 0xa4,
+  Ñ: 0xa5,
+  Á: 0xb5,
+  É: 0x90,
+  Í: 0xd6,
+  Ó: 0xe0,
+  Ú: 0xe9,
+  ü: 0x81,
+  Ü: 0x9a,
+  '°': 0xf8,
+  º: 0xa7,
+  ª: 0xa6,
+  '¿': 0xa8,
+  '¡': 0xad,
+  '·': 0xfa,
+  // Espacios duros (toLocaleString de moneda los usa)
+  '\u00a0': 0x20,
+  '\u202f': 0x20
+};
+
+export function codificarCp850(texto) {
+  const out = [];
+  for (const ch of String(texto ?? '')) {
+    const code = ch.charCodeAt(0);
+    if (code >= 0x20 && code < 0x7f) out.push(code);
+    else if (ch === '\n') out.push(0x0a);
+    else out.push(CP850[ch] ?? 0x3f);
+  }
+  return out;
+}
+
+export function crearEscPos({ columnas = 48 } = {}) {
+  const bytes = [ESC, 0x40, ESC, 0x74, 2]; // init + PC850
+
+  const api = {
+    columnas,
+
+    raw(...b) {
+      bytes.push(...b);
+      return api;
+    },
+
+    texto(s) {
+      bytes.push(...codificarCp850(s));
+      return api;
+    },
+
+    // Corta en palabras a lo ancho del papel
+    linea(s = '') {
+      const palabras = String(s).split(/\s+/).filter(Boolean);
+      let actual = '';
+      for (const p of palabras) {
+        if (!actual) actual = p.slice(0, columnas);
+        else if (actual.length + 1 + p.length <= columnas) actual += ` ${p}`;
+        else {
+          api.texto(actual).raw(0x0a);
+          actual = p.slice(0, columnas);
+        }
+      }
+      return api.texto(actual).raw(0x0a);
+    },
+
+    // Izquierda / derecha en la misma línea (concepto ..... importe)
+    par(izq, der) {
+      const d = String(der ?? '');
+      const i = String(izq ?? '').slice(
+        0,
+        Math.max(0, columnas - d.length - 1)
+      );
+      return api
+        .texto(i + ' '.repeat(Math.max(1, columnas - i.length - d.length)) + d)
+        .raw(0x0a);
+    },
+
+    separador(ch = '-') {
+      return api.texto(ch.repeat(columnas)).raw(0x0a);
+    },
+
+    izquierda() {
+      return api.raw(ESC, 0x61, 0);
+    },
+    centrar() {
+      return api.raw(ESC, 0x61, 1);
+    },
+    negrita(on = true) {
+      return api.raw(ESC, 0x45, on ? 1 : 0);
+    },
+    dobleAlto(on = true) {
+      return api.raw(GS, 0x21, on ? 0x01 : 0x00);
+    },
+    avanzar(n = 1) {
+      return api.raw(ESC, 0x64, n);
+    },
+
+    // CODE128 (juego B) con el texto legible debajo
+    codigoBarras(data, { alto = 80, ancho = 2 } = {}) {
+      const payload = [0x7b, 0x42, ...codificarCp850(data)];
+      const config = [GS, 0x68, alto, GS, 0x77, ancho, GS, 0x48, 2];
+      return api.raw(...config, GS, 0x6b, 73, payload.length, ...payload, 0x0a);
+    },
+
+    cortar() {
+      return api.avanzar(3).raw(GS, 0x56, 0x42, 0);
+    },
+
+    buffer() {
+      return Buffer.from(bytes);
+    }
+  };
+
+  return api;
+}
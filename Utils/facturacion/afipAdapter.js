@@ -0,0 +1,288 @@
+// ./Utils/facturacion/afipAdapter.js
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { spawn } from 'node:child_process';
+import axios from 'axios';
+
+/**
+ * Adaptador AFIP / ARCA: WSAA (ticket de acceso) + WSFEv1 (CAE).
+ *
+ * - El TRA se firma con openssl (CMS / PKCS#7) usando el certificado y la clave
+ *   del CUIT emisor; no hace falta ninguna dependencia extra.
+ * - El ticket (token + sign) dura ~12 h: se cachea en memoria y en un archivo
+ *   temporal, porque WSAA rechaza pedir otro mientras el anterior siga vigente.
+ * - SOAP armado a mano y respuestas leídas por tag: los dos servicios devuelven
+ *   estructuras planas y fijas.
+ */
+
+const URLS = {
+  homologacion: {
+    wsaa: 'https://wsaahomo.afip.gov.ar/ws/services/LoginCms',
+    wsfe: 'https://wswhomo.afip.gov.ar/wsfev1/service.asmx'
+  },
+  produccion: {
+    wsaa: 'https://wsaa.afip.gov.ar/ws/services/LoginCms',
+    wsfe: 'https://servicios1.afip.gov.ar/wsfev1/service.asmx'
+  }
+};
+
+const NS_WSFE = 'http://ar.gov.afip.dif.FEV1/';
+
+// Margen antes del vencimiento del ticket para pedir uno nuevo
+const MARGEN_TA_MS = 5 * 60 * 1000;
+
+const desescapar = (s) =>
+  String(s)
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+
+// Contenido del primer <tag> (ignora prefijos de namespace)
+const leerTag = (xml, tag) => {
+  const m = String(xml).match(
+    new RegExp(`<(?:\\w+:)?${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:\\w+:)?${tag}>`)
+  );
+  return m ? m[1].trim() : null;
+};
+
+const leerTodos = (xml, tag) =>
+  [
+    ...String(xml).matchAll(
+      new RegExp(
+        `<(?:\\w+:)?${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:\\w+:)?${tag}>`,
+        'g'
+      )
+    )
+  ].map((m) => m[1]);
+
+const codigosYMensajes = (xml, tag) =>
+  leerTodos(xml, tag).map((b) => ({
+    code: Number(leerTag(b, 'Code')),
+    msg: leerTag(b, 'Msg')
+  }));
+
+const yyyymmdd = (fecha) => String(fecha).slice(0, 10).replace(/-/g, '');
+
+const isoDesdeYyyymmdd = (s) =>
+  s ? `${s.slice(0, 4)}-${s.slice(4, 6)}-${s.slice(6, 8)}` : null;
+
+function errorAfip(message, meta) {
+  const e = new Error(message);
+  e.code = 'AFIP_ERROR';
+  if (meta) e.meta = meta;
+  return e;
+}
+
+function firmarTra(tra, { certPath, keyPath }) {
+  return new Promise((resolve, reject) => {
+    const p = spawn('openssl', [
+      'cms',
+      '-sign',
+      '-signer',
+      certPath,
+      '-inkey',
+      keyPath,
+      '-nodetach',
+      '-outform',
+      'DER',
+      '-binary'
+    ]);
+    const out = [];
+    const err = [];
+    p.stdout.on('data', (c) => out.push(c));
+    p.stderr.on('data', (c) => err.push(c));
+    p.on('error', reject);
+    p.on('close', (code) => {
+      if (code !== 0) {
+        return reject(
+          errorAfip('No se pudo firmar el TRA con openssl.', {
+            stderr: Buffer.concat(err).toString()
+          })
+        );
+      }
+      resolve(Buffer.concat(out).toString('base64'));
+    });
+    p.stdin.end(tra);
+  });
+}
+
+export function crearAfipAdapter(config) {
+  const urls = URLS[config.ambiente];
+  if (!urls) {
+    throw new Error(
+      `FACTURACION_AMBIENTE inválido: '${config.ambiente}' (use homologacion | produccion).`
+    );
+  }
+
+  const cacheTaPath = path.join(
+    os.tmpdir(),
+    `afip-ta-wsfe-${config.cuit}-${config.ambiente}.json`
+  );
+  let ta = null;
+
+  const post = (url, body, soapAction) =>
+    axios.post(url, body, {
+      headers: {
+        'Content-Type': 'text/xml; charset=utf-8',
+        SOAPAction: soapAction
+      },
+      timeout: config.timeoutMs,
+      // Los SOAP Fault vienen con 500: se leen igual para informar el motivo
+      validateStatus: () => true,
+      responseType: 'text'
+    });
+
+  async function pedirTicket() {
+    if (!config.cuit || !config.certPath || !config.keyPath) {
+      throw errorAfip(
+        'Faltan FACTURACION_CUIT, FACTURACION_CERT_PATH o FACTURACION_KEY_PATH.'
+      );
+    }
+
+    const ahora = Date.now();
+    const tra =
+      '<?xml version="1.0" encoding="UTF-8"?>' +
+      '<loginTicketRequest version="1.0"><header>' +
+      `<uniqueId>${Math.floor(ahora / 1000)}</uniqueId>` +
+      `<generationTime>${new Date(ahora - 10 * 60 * 1000).toISOString()}</generationTime>` +
+      `<expirationTime>${new Date(ahora + 10 * 60 * 1000).toISOString()}</expirationTime>` +
+      '</header><service>wsfe</service></loginTicketRequest>';
+
+    const cms = await firmarTra(tra, config);
+    const resp = await post(
+      urls.wsaa,
+      '<soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/" ' +
+        'xmlns:wsaa="http://wsaa.view.sua.dvadac.desein.afip.gov">' +
+        '<soapenv:Header/><soapenv:Body><wsaa:loginCms>' +
+        `<wsaa:in0>${cms}</wsaa:in0>` +
+        '</wsaa:loginCms></soapenv:Body></soapenv:Envelope>',
+      ''
+    );
+
+    const retorno = leerTag(resp.data, 'loginCmsReturn');
+    if (!retorno) {
+      throw errorAfip('WSAA no devolvió un ticket de acceso.', {
+        fault: leerTag(resp.data, 'faultstring')
+      });
+    }
+    const xml = desescapar(retorno);
+    return {
+      token: leerTag(xml, 'token'),
+      sign: leerTag(xml, 'sign'),
+      vence: new Date(leerTag(xml, 'expirationTime')).getTime()
+    };
+  }
+
+  async function ticket() {
+    const vigente = (x) => x && x.vence - MARGEN_TA_MS > Date.now();
+    if (vigente(ta)) return ta;
+
+    try {
+      const guardado = JSON.parse(await fs.readFile(cacheTaPath, 'utf8'));
+      if (vigente(guardado)) {
+        ta = guardado;
+        return ta;
+      }
+    } catch {
+      /* sin cache en disco */
+    }
+
+    ta = await pedirTicket();
+    try {
+      await fs.writeFile(cacheTaPath, JSON.stringify(ta), { mode: 0o600 });
+    } catch {
+      /* el cache en disco es opcional */
+    }
+    return ta;
+  }
+
+  async function llamarWsfe(metodo, cuerpo) {
+    const { token, sign } = await ticket();
+    const resp = await post(
+      urls.wsfe,
+      '<soap:Envelope xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/" ' +
+        `xmlns:ar="${NS_WSFE}"><soap:Header/><soap:Body>` +
+        `<ar:${metodo}>` +
+        `<ar:Auth><ar:Token>${token}</ar:Token><ar:Sign>${sign}</ar:Sign>` +
+        `<ar:Cuit>${config.cuit}</ar:Cuit></ar:Auth>` +
+        cuerpo +
+        `</ar:${metodo}></soap:Body></soap:Envelope>`,
+      `${NS_WSFE}${metodo}`
+    );
+
+    const fault = leerTag(resp.data, 'faultstring');
+    if (fault) throw errorAfip(`WSFEv1 ${metodo}: ${fault}`);
+    return String(resp.data);
+  }
+
+  async function ultimoAutorizado({ puntoVenta, cbteTipo }) {
+    const xml = await llamarWsfe(
+      'FECompUltimoAutorizado',
+      `<ar:PtoVta>${puntoVenta}</ar:PtoVta><ar:CbteTipo>${cbteTipo}</ar:CbteTipo>`
+    );
+    const errores = codigosYMensajes(xml, 'Err');
+    if (errores.length) {
+      throw errorAfip('WSFEv1 rechazó la consulta del último comprobante.', {
+        errores
+      });
+    }
+    return Number(leerTag(xml, 'CbteNro')) || 0;
+  }
+
+  async function solicitarCae(cbte) {
+    const iva = cbte.iva.length
+      ? '<ar:Iva>' +
+        cbte.iva
+          .map(
+            (a) =>
+              `<ar:AlicIva><ar:Id>${a.id}</ar:Id><ar:BaseImp>${a.baseImp.toFixed(2)}</ar:BaseImp>` +
+              `<ar:Importe>${a.importe.toFixed(2)}</ar:Importe></ar:AlicIva>`
+          )
+          .join('') +
+        '</ar:Iva>'
+      : '';
+
+    const xml = await llamarWsfe(
+      'FECAESolicitar',
+      '<ar:FeCAEReq><ar:FeCabReq><ar:CantReg>1</ar:CantReg>' +
+        `<ar:PtoVta>${cbte.puntoVenta}</ar:PtoVta><ar:CbteTipo>${cbte.cbteTipo}</ar:CbteTipo>` +
+        '</ar:FeCabReq><ar:FeDetReq><ar:FECAEDetRequest>' +
+        '<ar:Concepto>1</ar:Concepto>' +
+        `<ar:DocTipo>${cbte.docTipo}</ar:DocTipo><ar:DocNro>${cbte.docNro}</ar:DocNro>` +
+        `<ar:CbteDesde>${cbte.numero}</ar:CbteDesde><ar:CbteHasta>${cbte.numero}</ar:CbteHasta>` +
+        `<ar:CbteFch>${yyyymmdd(cbte.fecha)}</ar:CbteFch>` +
+        `<ar:ImpTotal>${cbte.impTotal.toFixed(2)}</ar:ImpTotal>` +
+        '<ar:ImpTotConc>0.00</ar:ImpTotConc>' +
+        `<ar:ImpNeto>${cbte.impNeto.toFixed(2)}</ar:ImpNeto>` +
+        `<ar:ImpOpEx>${cbte.impOpEx.toFixed(2)}</ar:ImpOpEx>` +
+        '<ar:ImpTrib>0.00</ar:ImpTrib>' +
+        `<ar:ImpIVA>${cbte.impIva.toFixed(2)}</ar:ImpIVA>` +
+        '<ar:MonId>PES</ar:MonId><ar:MonCotiz>1</ar:MonCotiz>' +
+        `<ar:CondicionIVAReceptorId>${cbte.condicionIvaReceptorId}</ar:CondicionIVAReceptorId>` +
+        iva +
+        '</ar:FECAEDetRequest></ar:FeDetReq></ar:FeCAEReq>'
+    );
+
+    const det = leerTag(xml, 'FECAEDetResponse') || '';
+    const resultado = leerTag(det, 'Resultado') || leerTag(xml, 'Resultado');
+    const cae = leerTag(det, 'CAE');
+
+    return {
+      resultado: resultado === 'A' && cae ? 'A' : 'R',
+      cae: cae || null,
+      cae_vencimiento: isoDesdeYyyymmdd(leerTag(det, 'CAEFchVto')),
+      observaciones: codigosYMensajes(det, 'Obs'),
+      errores: codigosYMensajes(xml, 'Err')
+    };
+  }
+
+  return {
+    nombre: 'afip',
+    ambiente: config.ambiente,
+    ultimoAutorizado,
+    solicitarCae
+  };
+}
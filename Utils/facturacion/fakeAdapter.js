@@ -0,0 +1,91 @@
+// ./Utils/facturacion/fakeAdapter.js
+import crypto from 'node:crypto';
+import { VentasComprobantesModel } from '../../Models/Ventas/MD_TB_VentasComprobantes.js';
+
+/**
+ * Adaptador local: no sale a la red.
+ * La numeración arranca en lo ya emitido con este adaptador y el CAE es aleatorio
+ * (14 dígitos, vence a los 10 días). Replica los rechazos de WSFEv1 que más
+ * aparecen (número no correlativo, totales que no cierran, factura A sin CUIT)
+ * para ejercitar el flujo completo sin homologación.
+ */
+const round2 = (n) => Math.round((Number(n) + Number.EPSILON) * 100) / 100;
+
+export function crearFakeAdapter() {
+  const ultimos = new Map();
+
+  const clave = (puntoVenta, cbteTipo) => `${puntoVenta}-${cbteTipo}`;
+
+  async function ultimoAutorizado({ puntoVenta, cbteTipo }) {
+    const k = clave(puntoVenta, cbteTipo);
+    if (!ultimos.has(k)) {
+      const max = await VentasComprobantesModel.max('numero', {
+        where: {
+          punto_venta: puntoVenta,
+          cbte_tipo: cbteTipo,
+          adapter: 'fake',
+          estado: 'autorizado'
+        }
+      });
+      ultimos.set(k, Number(max) || 0);
+    }
+    return ultimos.get(k);
+  }
+
+  async function solicitarCae(cbte) {
+    const errores = [];
+    const ultimo = await ultimoAutorizado(cbte);
+
+    if (cbte.numero !== ultimo + 1) {
+      errores.push({
+        code: 10016,
+        msg: `El número de comprobante debe ser ${ultimo + 1}.`
+      });
+    }
+    if (
+      round2(cbte.impNeto + cbte.impOpEx + cbte.impIva) !==
+      round2(cbte.impTotal)
+    ) {
+      errores.push({
+        code: 10048,
+        msg: 'ImpTotal debe ser igual a ImpNeto + ImpOpEx + ImpIVA.'
+      });
+    }
+    if (cbte.cbteTipo === 1 && cbte.docTipo !== 80) {
+      errores.push({
+        code: 10013,
+        msg: 'Para comprobantes clase A el receptor debe identificarse con CUIT.'
+      });
+    }
+
+    if (errores.length) {
+      return {
+        resultado: 'R',
+        cae: null,
+        cae_vencimiento: null,
+        observaciones: [],
+        errores
+      };
+    }
+
+    ultimos.set(clave(cbte.puntoVenta, cbte.cbteTipo), cbte.numero);
+
+    const vence = new Date(`${cbte.fecha}T12:00:00`);
+    vence.setDate(vence.getDate() + 10);
+
+    return {
+      resultado: 'A',
+      cae: String(crypto.randomInt(10 ** 13, 10 ** 14)),
+      cae_vencimiento: vence.toISOString().slice(0, 10),
+      observaciones: [],
+      errores: []
+    };
+  }
+
+  return {
+    nombre: 'fake',
+    ambiente: 'local',
+    ultimoAutorizado,
+    solicitarCae
+  };
+}
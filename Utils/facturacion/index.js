@@ -0,0 +1,94 @@
+// ./Utils/facturacion/index.js
+import { facturacionConfig } from '../../config/facturacion.config.js';
+import { crearFakeAdapter } from './fakeAdapter.js';
+import { crearAfipAdapter } from './afipAdapter.js';
+
+/**
+ * Adaptadores de factura electrónica.
+ *
+ * Todo adaptador expone la misma interfaz (lo que usa el controlador de facturación):
+ *
+ *   nombre: string
+ *   ambiente: string
+ *   ultimoAutorizado({ puntoVenta, cbteTipo }) => Promise<number>
+ *   solicitarCae(cbte) => Promise<{
+ *     resultado: 'A' | 'R',
+ *     cae: string | null,
+ *     cae_vencimiento: 'YYYY-MM-DD' | null,
+ *     observaciones: [{ code, msg }],
+ *     errores: [{ code, msg }]
+ *   }>
+ *
+ * cbte es el comprobante ya armado (ver armarComprobante en el controlador):
+ * { cbteTipo, puntoVenta, numero, fecha 'YYYY-MM-DD', docTipo, docNro,
+ *   condicionIvaReceptorId, impTotal, impNeto, impOpEx, impIva,
+ *   iva: [{ id, baseImp, importe }] }
+ *
+ * FACTURACION_ADAPTER es obligatorio. Para probar sin AFIP se usa 'fake' (nunca con
+ * NODE_ENV=production); registrarAdapter permite inyectar otro.
+ */
+
+const FABRICAS = {
+  fake: crearFakeAdapter,
+  afip: crearAfipAdapter
+};
+
+let actual = null;
+
+const errorConfiguracion = (message) => {
+  const e = new Error(message);
+  e.statusCode = 503;
+  e.code = 'FACTURACION_NO_CONFIGURADA';
+  return e;
+};
+
+export function getFacturacionAdapter() {
+  if (actual) return actual;
+  const { adapter } = facturacionConfig;
+  if (!adapter) {
+    throw errorConfiguracion(
+      `FACTURACION_ADAPTER no está configurado (use ${Object.keys(FABRICAS).join(' | ')}).`
+    );
+  }
+  const fabrica = FABRICAS[adapter];
+  if (!fabrica) {
+    throw errorConfiguracion(
+      `FACTURACION_ADAPTER inválido: '${adapter}' (use ${Object.keys(FABRICAS).join(' | ')}).`
+    );
+  }
+  if (adapter === 'fake' && process.env.NODE_ENV === 'production') {
+    throw errorConfiguracion(
+      "FACTURACION_ADAPTER='fake' no está permitido en producción (emite CAE simulados)."
+    );
+  }
+  actual = fabrica(facturacionConfig);
+  return actual;
+}
+
+// Reemplaza el adaptador en uso (pruebas / integraciones); null vuelve al configurado
+export function registrarAdapter(adapter) {
+  actual = adapter;
+}
+
+// Códigos de tabla AFIP que comparten adaptadores, controlador y PDF
+export const CBTE_TIPO = { A: 1, B: 6, C: 11 };
+
+export const DOC_TIPO = { CUIT: 80, DNI: 96, SIN_IDENTIFICAR: 99 };
+
+// RG 5616: condición frente al IVA del receptor
+export const CONDICION_IVA_RECEPTOR = {
+  responsable_inscripto: 1,
+  exento: 4,
+  consumidor_final: 5,
+  monotributo: 6
+};
+
+// Id de alícuota WSFEv1 por porcentaje
+export const ALICUOTA_ID = {
+  0: 3,
+  2.5: 9,
+  5: 8,
+  10.5: 4,
+  21: 5,
+  27: 6
+};
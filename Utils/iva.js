@@ -0,0 +1,75 @@
+// ./Utils/iva.js
+import { ivaConfig } from '../config/iva.config.js';
+
+/**
+ * Desglose de IVA de una venta (función pura).
+ *
+ * lineas: [{ importe_neto, iva_porcentaje }] — importe_neto ya con descuentos.
+ * Por línea devuelve neto_gravado / iva_monto / total; por venta el resumen por alícuota.
+ * Lo que va a alícuota 0 se informa como no gravado / exento.
+ *
+ * Con precios IVA incluido: neto = importe / (1 + alícuota) redondeado y el IVA es
+ * la diferencia, así la suma de las líneas siempre da el importe cobrado.
+ */
+const round2 = (n) => Math.round((Number(n) + Number.EPSILON) * 100) / 100;
+
+export function calcularIva(
+  lineas,
+  { preciosIncluyenIva = ivaConfig.preciosIncluyenIva } = {}
+) {
+  const porAlicuota = new Map();
+  let neto_gravado = 0;
+  let neto_no_gravado = 0;
+  let iva_total = 0;
+  let total = 0;
+
+  const salida = lineas.map((ln) => {
+    const importe = round2(ln.importe_neto ?? 0);
+    const alicuota = round2(ln.iva_porcentaje ?? 0);
+
+    let neto;
+    let iva;
+    if (preciosIncluyenIva) {
+      neto = round2(importe / (1 + alicuota / 100));
+      iva = round2(importe - neto);
+    } else {
+      neto = importe;
+      iva = round2((importe * alicuota) / 100);
+    }
+
+    if (alicuota > 0) {
+      const acc = porAlicuota.get(alicuota) || {
+        alicuota,
+        neto_gravado: 0,
+        iva: 0
+      };
+      acc.neto_gravado = round2(acc.neto_gravado + neto);
+      acc.iva = round2(acc.iva + iva);
+      porAlicuota.set(alicuota, acc);
+      neto_gravado += neto;
+    } else {
+      neto_no_gravado += neto;
+    }
+    iva_total += iva;
+    total += neto + iva;
+
+    return {
+      ...ln,
+      iva_porcentaje: alicuota,
+      neto_gravado: neto,
+      iva_monto: iva,
+      total_linea: round2(neto + iva)
+    };
+  });
+
+  return {
+    lineas: salida,
+    alicuotas: [...porAlicuota.values()].sort(
+      (a, b) => a.alicuota - b.alicuota
+    ),
+    neto_gravado: round2(neto_gravado),
+    neto_no_gravado: round2(neto_no_gravado),
+    iva_total: round2(iva_total),
+    total: round2(total)
+  };
+}
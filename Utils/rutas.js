@@ -0,0 +1,152 @@
+// ./Utils/rutas.js
+import { rutasConfig } from '../config/rutas.config.js';
+
+/**
+ * Optimizador de recorrido offline (funciones puras, sin red ni mapas).
+ *
+ * Distancias en línea recta (haversine); el orden se arma con vecino más cercano
+ * desde el depósito y se mejora con 2-opt hasta que no haya cruces que sacar o se
+ * llegue al tope de pasadas. Con `cerrada` el recorrido vuelve al depósito.
+ *
+ *   optimizarRuta({
+ *     deposito: { latitud, longitud },          // puede ser null
+ *     puntos: [{ id, latitud, longitud }, ...],
+ *     cerrada: true
+ *   }) → { orden: [id, ...], distancia_m }
+ */
+
+const RADIO_TIERRA_M = 6371000;
+const rad = (g) => (g * Math.PI) / 180;
+
+export function tieneUbicacion(p) {
+  if (!p || p.latitud == null || p.longitud == null) return false;
+  const lat = Number(p.latitud);
+  const lng = Number(p.longitud);
+  return (
+    Number.isFinite(lat) &&
+    Number.isFinite(lng) &&
+    Math.abs(lat) <= 90 &&
+    Math.abs(lng) <= 180 &&
+    !(lat === 0 && lng === 0)
+  );
+}
+
+export function distanciaMetros(a, b) {
+  const dLat = rad(Number(b.latitud) - Number(a.latitud));
+  const dLng = rad(Number(b.longitud) - Number(a.longitud));
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(rad(Number(a.latitud))) *
+      Math.cos(rad(Number(b.latitud))) *
+      Math.sin(dLng / 2) ** 2;
+  return 2 * RADIO_TIERRA_M * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+// Largo de un recorrido (puntos en orden) saliendo / volviendo al depósito
+export function distanciaRecorrido(puntos, { deposito = null, cerrada } = {}) {
+  const tramo = deposito ? [deposito, ...puntos] : [...puntos];
+  if (deposito && cerrada) tramo.push(deposito);
+  let total = 0;
+  for (let i = 1; i < tramo.length; i++) {
+    total += distanciaMetros(tramo[i - 1], tramo[i]);
+  }
+  return Math.round(total);
+}
+
+// Matriz de distancias; el índice 0 es el depósito (si hay)
+function matriz(nodos) {
+  const n = nodos.length;
+  const d = Array.from({ length: n }, () => new Float64Array(n));
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      d[i][j] = d[j][i] = distanciaMetros(nodos[i], nodos[j]);
+    }
+  }
+  return d;
+}
+
+function vecinoMasCercano(d, inicio, nodosLibres) {
+  const libres = new Set(nodosLibres);
+  const ruta = [];
+  let actual = inicio;
+  while (libres.size) {
+    let mejor = null;
+    for (const j of libres) {
+      if (mejor === null || d[actual][j] < d[actual][mejor]) mejor = j;
+    }
+    ruta.push(mejor);
+    libres.delete(mejor);
+    actual = mejor;
+  }
+  return ruta;
+}
+
+/*
+ * 2-opt con la primera posición fija (depósito, o el primer cliente si no hay).
+ * Invertir el tramo [i..k] cambia las aristas (i-1,i) y (k,k+1) por (i-1,k) y
+ * (i,k+1); si la ruta es abierta la última arista no existe.
+ */
+function dosOpt(d, seq, { cerrada, maxPasadas }) {
+  const n = seq.length;
+  const arista = (a, b) => (a == null || b == null ? 0 : d[a][b]);
+  const siguiente = (k) => (k + 1 < n ? seq[k + 1] : cerrada ? seq[0] : null);
+
+  for (let pasada = 0; pasada < maxPasadas; pasada++) {
+    let mejoro = false;
+    for (let i = 1; i < n - 1; i++) {
+      for (let k = i + 1; k < n; k++) {
+        const a = seq[i - 1];
+        const b = seq[i];
+        const c = seq[k];
+        const e = siguiente(k);
+        const delta = arista(a, c) + arista(b, e) - arista(a, b) - arista(c, e);
+        if (delta < -1e-6) {
+          for (let x = i, y = k; x < y; x++, y--) {
+            [seq[x], seq[y]] = [seq[y], seq[x]];
+          }
+          mejoro = true;
+        }
+      }
+    }
+    if (!mejoro) break;
+  }
+  return seq;
+}
+
+export function optimizarRuta({
+  deposito = null,
+  puntos = [],
+  cerrada = true,
+  maxPasadas = rutasConfig.maxPasadas2Opt
+} = {}) {
+  const conDeposito = tieneUbicacion(deposito);
+  const nodos = conDeposito ? [deposito, ...puntos] : [...puntos];
+  if (!puntos.length) return { orden: [], distancia_m: 0 };
+
+  const d = matriz(nodos);
+  const offset = conDeposito ? 1 : 0;
+  const indices = puntos.map((_, i) => i + offset);
+
+  // Sin depósito se arranca por el primero del orden actual
+  let seq;
+  if (conDeposito) {
+    seq = [0, ...vecinoMasCercano(d, 0, indices)];
+  } else {
+    const [primero, ...resto] = indices;
+    seq = [primero, ...vecinoMasCercano(d, primero, resto)];
+  }
+
+  dosOpt(d, seq, {
+    cerrada: conDeposito && cerrada,
+    maxPasadas
+  });
+
+  const ordenPuntos = seq.slice(offset).map((i) => nodos[i]);
+  return {
+    orden: ordenPuntos.map((p) => p.id),
+    distancia_m: distanciaRecorrido(ordenPuntos, {
+      deposito: conDeposito ? deposito : null,
+      cerrada
+    })
+  };
+}
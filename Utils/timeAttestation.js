@@ -0,0 +1,188 @@
+// ./Utils/timeAttestation.js
+import crypto from 'node:crypto';
+import { timeConfig } from '../config/time.config.js';
+import { nowMs } from './authoritativeTime.js';
+
+/**
+ * Atestaciones de hora firmadas (HMAC-SHA256 con timeConfig.attestationSecret).
+ *
+ * Token: `${serverUnixMs}.${expSec}.${eslabon}.${firma}`
+ *  - serverUnixMs: hora oficial (nowMs) al emitir.
+ *  - expSec: vencimiento (epoch en segundos) = emisión + attestationTtlSec.
+ *  - eslabon: '0' o hash del token anterior (cadena para dispositivos offline).
+ *  - firma: base64url(HMAC(`${serverUnixMs}.${expSec}.${eslabon}`)).
+ *
+ * Uso desde el cliente:
+ *  - Online: x-time-attestation: <token vigente>.
+ *  - Offline: x-time-attestation: <último token (o cadena "t1,t2,...")>
+ *             x-time-elapsed-ms: ms transcurridos desde que lo recibió, medidos con
+ *             reloj monotónico (performance.now), que no cambia al tocar la hora del teléfono.
+ *    La hora del registro = hora del token + elapsed, acotada por timeConfig.maxOfflineMs.
+ */
+
+const hashToken = (token) =>
+  crypto.createHash('sha256').update(String(token)).digest('base64url').slice(0, 22);
+
+const firmar = (datos) =>
+  crypto
+    .createHmac('sha256', timeConfig.attestationSecret)
+    .update(datos)
+    .digest('base64url');
+
+const firmaValida = (datos, firma) => {
+  const esperada = Buffer.from(firmar(datos));
+  const recibida = Buffer.from(String(firma));
+  return (
+    esperada.length === recibida.length &&
+    crypto.timingSafeEqual(esperada, recibida)
+  );
+};
+
+const fallo = (code, status = 428, detalles) => ({
+  ok: false,
+  code,
+  status,
+  ...(detalles ? { detalles } : {})
+});
+
+export const atestacionHabilitada = () => !!timeConfig.attestationSecret;
+
+/**
+ * Emite un token. Si viene prev (token anterior válido, aunque esté vencido)
+ * el nuevo queda encadenado a él.
+ */
+export function emitirAtestacion({ prev = null } = {}) {
+  const serverUnixMs = nowMs();
+  const exp = Math.floor(serverUnixMs / 1000) + timeConfig.attestationTtlSec;
+  const eslabon = prev ? hashToken(prev) : '0';
+  const datos = `${serverUnixMs}.${exp}.${eslabon}`;
+  return {
+    token: `${datos}.${firmar(datos)}`,
+    serverUnixMs,
+    exp
+  };
+}
+
+/**
+ * Verifica firma y (salvo permitirVencida) vigencia de un token.
+ * Devuelve { ok, serverUnixMs, exp, eslabon } o { ok:false, code }.
+ */
+export function verificarAtestacion(token, { permitirVencida = false } = {}) {
+  if (!atestacionHabilitada()) {
+    return fallo('TIME_ATTESTATION_NOT_CONFIGURED', 500);
+  }
+
+  const partes = String(token || '').trim().split('.');
+  if (partes.length !== 4) return fallo('TIME_ATTESTATION_INVALID');
+
+  const [msRaw, expRaw, eslabon, firma] = partes;
+  const serverUnixMs = Number(msRaw);
+  const exp = Number(expRaw);
+  if (!Number.isFinite(serverUnixMs) || !Number.isFinite(exp)) {
+    return fallo('TIME_ATTESTATION_INVALID');
+  }
+  if (!firmaValida(`${msRaw}.${expRaw}.${eslabon}`, firma)) {
+    return fallo('TIME_ATTESTATION_INVALID');
+  }
+  // Un token "del futuro" solo puede venir de otro server con el reloj adelantado
+  if (serverUnixMs - nowMs() > timeConfig.toleranceMs) {
+    return fallo('TIME_ATTESTATION_INVALID');
+  }
+  if (!permitirVencida && exp * 1000 < nowMs()) {
+    return fallo('TIME_ATTESTATION_EXPIRED', 428, { exp });
+  }
+
+  return { ok: true, token: String(token).trim(), serverUnixMs, exp, eslabon };
+}
+
+/**
+ * Cadena "t1,t2,...,tn" (de más vieja a más nueva): cada token firmado,
+ * encadenado al anterior y con hora creciente. El ancla es el último.
+ */
+export function verificarCadena(cadena, { permitirVencida = false } = {}) {
+  const tokens = (Array.isArray(cadena) ? cadena : String(cadena || '').split(','))
+    .map((x) => String(x).trim())
+    .filter(Boolean);
+  if (!tokens.length) return fallo('TIME_ATTESTATION_REQUIRED');
+
+  let anterior = null;
+  for (let i = 0; i < tokens.length; i++) {
+    const esAncla = i === tokens.length - 1;
+    const r = verificarAtestacion(tokens[i], {
+      permitirVencida: esAncla ? permitirVencida : true
+    });
+    if (!r.ok) return r;
+
+    if (anterior) {
+      if (r.eslabon !== hashToken(anterior.token)) {
+        return fallo('TIME_ATTESTATION_CHAIN_BROKEN', 428, { indice: i });
+      }
+      if (r.serverUnixMs < anterior.serverUnixMs) {
+        return fallo('TIME_ATTESTATION_CHAIN_BROKEN', 428, { indice: i });
+      }
+    }
+    anterior = r;
+  }
+
+  return { ...anterior, eslabones: tokens.length };
+}
+
+/**
+ * Hora atestada de una operación.
+ * - Sin elapsed: el ancla debe estar vigente; la hora es la oficial (nowMs).
+ * - Con elapsed (offline): ancla vencida permitida; hora = ancla + elapsed,
+ *   con elapsed <= maxOfflineMs y sin pasar la hora oficial.
+ *   Benjamin Orellana - 13-11-2026 - El ancla tampoco puede tener más de maxOfflineMs
+ *   (un token viejo + elapsed 0 permitiría fechar hacia atrás sin límite) y la hora
+ *   resultante no puede ser anterior a nowMs() - maxOfflineMs.
+ */
+export function resolverHoraAtestada({ atestacion, elapsedMs } = {}) {
+  if (!atestacion) return fallo('TIME_ATTESTATION_REQUIRED');
+
+  const offline =
+    elapsedMs !== undefined && elapsedMs !== null && elapsedMs !== '';
+  const ancla = verificarCadena(atestacion, { permitirVencida: offline });
+  if (!ancla.ok) return ancla;
+
+  const ahora = nowMs();
+  if (!offline) {
+    return { ok: true, horaMs: ahora, ancla, offline: false };
+  }
+
+  const edadAnclaMs = ahora - ancla.serverUnixMs;
+  if (edadAnclaMs > timeConfig.maxOfflineMs) {
+    return fallo('TIME_ATTESTATION_OFFLINE_EXCEEDED', 428, {
+      edadAnclaMs,
+      maxOfflineMs: timeConfig.maxOfflineMs
+    });
+  }
+
+  const elapsed = Number(elapsedMs);
+  if (!Number.isInteger(elapsed) || elapsed < 0) {
+    return fallo('TIME_ATTESTATION_ELAPSED_INVALID', 428, { elapsedMs });
+  }
+  if (elapsed > timeConfig.maxOfflineMs) {
+    return fallo('TIME_ATTESTATION_OFFLINE_EXCEEDED', 428, {
+      elapsedMs: elapsed,
+      maxOfflineMs: timeConfig.maxOfflineMs
+    });
+  }
+
+  const horaMs = ancla.serverUnixMs + elapsed;
+  if (horaMs - ahora > timeConfig.toleranceMs) {
+    return fallo('TIME_ATTESTATION_ELAPSED_INVALID', 428, {
+      elapsedMs: elapsed,
+      excesoMs: horaMs - ahora
+    });
+  }
+
+  if (horaMs < ahora - timeConfig.maxOfflineMs) {
+    return fallo('TIME_ATTESTATION_OFFLINE_EXCEEDED', 428, {
+      elapsedMs: elapsed,
+      atrasoMs: ahora - horaMs,
+      maxOfflineMs: timeConfig.maxOfflineMs
+    });
+  }
+
+  return { ok: true, horaMs, ancla, offline: true };
+}
@@ -20,6 +20,8 @@ const BASE_UPLOAD_DIR = path.join(process.cwd(), 'uploads');
 import { timeRouter } from './Routes/time.routes.js';
 import { timeGuard } from './Middlewares/timeGuard.js';
 import { initAuthoritativeTime } from './Utils/authoritativeTime.js';
+import { purgarIdempotenciaVencida } from './Middlewares/idempotencia.js';
+import { idempotenciaConfig } from './config/idempotencia.config.js';
 // ...
 await initAuthoritativeTime?.(); // si tu Node permite top-level await
 // o:
@@ -33,10 +35,23 @@ import './Models/Geografia/relacionesGeografia.js';
 import initVendedoresRelations from './Models/Vendedores/relacionesVendedores.js';
 import initRelacionesVentasCxC from './Models/relacionesVentasCxC.js';
 import initRelacionesRepartos from './Models/Repartos/relacionesRepartos.js';
+import initRelacionesStock from './Models/Stock/relacionesStock.js';
+import initRelacionesPrecios from './Models/Precios/relacionesPrecios.js';
+import initRelacionesPromociones from './Models/Promociones/relacionesPromociones.js';
+import {
+  initBloqueoCierresCxC,
+  cierreAutomaticoCxC
+} from './Controllers/Cobranzas/CTS_TB_CxcCierres.js';
+import { cxcConfig } from './config/cxc.config.js';
 
 initVendedoresRelations();
 initRelacionesVentasCxC();
 initRelacionesRepartos();
+initRelacionesStock();
+initRelacionesPrecios();
+initRelacionesPromociones();
+// Benjamin Orellana - 25-10-2026 - Bloquea movimientos CxC dentro de meses cerrados
+initBloqueoCierresCxC();
 
 // const PORT = process.env.PORT || 3000;
 
@@ -69,8 +84,13 @@ const corsOptions = {
     'Idempotency-Key',
     'idempotency-key',
     'x-client-reported-time',
-    'x-time-guard-reason'
+    'x-time-guard-reason',
+    // Benjamin Orellana - 13-11-2026 - atestación de hora (timeGuard en modo attested)
+    'x-time-attestation',
+    'x-time-elapsed-ms'
   ],
+  // Benjamin Orellana - 24-10-2026 - el front distingue reenvíos idempotentes
+  exposedHeaders: ['Idempotent-Replayed', 'Retry-After'],
   optionsSuccessStatus: 204
 };
 
@@ -84,7 +104,9 @@ app.use(timeRouter); // <-- NUEVO
 
 app.use(
   timeGuard([
-    '/ventas' // ej: POST /ventas, GET
+    '/ventas', // ej: POST /ventas, GET
+    '/cobranzas-clientes', // Benjamin Orellana - 01-11-2026 - cobros en la calle (modo attested)
+    '/sync' // Benjamin Orellana - 31-10-2026 - push offline: el desfase del dispositivo corrige device_at
   ])
 );
 app.use('/', GetRoutes);
@@ -122,6 +144,14 @@ const pool = mysql.createPool({
   }
 })();
 
+// Benjamin Orellana - 24-10-2026 - Limpieza de Idempotency-Key vencidas
+cron.schedule(idempotenciaConfig.cronPurga, purgarIdempotenciaVencida);
+
+// Benjamin Orellana - 25-10-2026 - Cierre mensual de CxC (también POST /cxc/cierres/:anio/:mes)
+if (cxcConfig.cierreAutomatico) {
+  cron.schedule(cxcConfig.cronCierre, cierreAutomaticoCxC);
+}
+
 // Ruta de login
 app.post('/login', login);
 
@@ -0,0 +1,12 @@
+import dotenv from 'dotenv';
+dotenv.config();
+
+export const cxcConfig = {
+  // Cierre mensual automático (node-cron), apagado salvo CXC_CIERRE_AUTOMATICO=true.
+  // Sin él, solo POST /cxc/cierres/:anio/:mes
+  cierreAutomatico: (process.env.CXC_CIERRE_AUTOMATICO ?? 'false') === 'true',
+  // Corre todos los días; cierra el mes anterior recién cuando pasaron los días de gracia
+  cronCierre: process.env.CXC_CIERRE_CRON || '0 3 * * *',
+  // Días del mes siguiente para cargar movimientos atrasados antes del cierre automático
+  diasGracia: parseInt(process.env.CXC_CIERRE_DIAS_GRACIA ?? '5', 10)
+};
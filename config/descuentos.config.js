@@ -0,0 +1,7 @@
+import dotenv from 'dotenv';
+dotenv.config();
+
+export const descuentosConfig = {
+  // Tope (%) para descuentos manuales por línea o por venta cargados por el vendedor
+  maxManualPct: Number(process.env.DESCUENTOS_MAX_MANUAL_PCT ?? '20')
+};
@@ -0,0 +1,28 @@
+import dotenv from 'dotenv';
+dotenv.config();
+
+export const facturacionConfig = {
+  // 'fake' = adaptador local (numera y genera CAE simulados) | 'afip' = WSAA + WSFEv1
+  // Benjamin Orellana - 13-11-2026 - Sin default: un deploy sin configurar no debe emitir
+  // CAE simulados; 'fake' se rechaza con NODE_ENV=production (ver Utils/facturacion)
+  adapter: (process.env.FACTURACION_ADAPTER || '').trim().toLowerCase(),
+  // 'homologacion' | 'produccion' (solo aplica al adaptador afip)
+  ambiente: (process.env.FACTURACION_AMBIENTE || 'homologacion').toLowerCase(),
+
+  // Datos del emisor
+  cuit: String(process.env.FACTURACION_CUIT || '').replace(/\D/g, ''),
+  puntoVenta: parseInt(process.env.FACTURACION_PUNTO_VENTA ?? '1', 10),
+  // 'responsable_inscripto' emite A/B; 'monotributo' y 'exento' emiten C
+  condicionIva: (
+    process.env.FACTURACION_CONDICION_IVA || 'responsable_inscripto'
+  ).toLowerCase(),
+  razonSocial: process.env.FACTURACION_RAZON_SOCIAL || '',
+  domicilio: process.env.FACTURACION_DOMICILIO || '',
+  iibb: process.env.FACTURACION_IIBB || '',
+  inicioActividades: process.env.FACTURACION_INICIO_ACTIVIDADES || '',
+
+  // Certificado y clave privada del CUIT (PEM) para firmar el TRA de WSAA
+  certPath: process.env.FACTURACION_CERT_PATH || null,
+  keyPath: process.env.FACTURACION_KEY_PATH || null,
+  timeoutMs: parseInt(process.env.FACTURACION_TIMEOUT_MS ?? '30000', 10)
+};
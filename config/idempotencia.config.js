@@ -0,0 +1,17 @@
+import dotenv from 'dotenv';
+dotenv.config();
+
+export const idempotenciaConfig = {
+  // Ventana de validez de una Idempotency-Key (el cliente reintenta dentro de este plazo)
+  ttlHoras: parseInt(process.env.IDEMPOTENCY_TTL_HORAS ?? '24', 10),
+  // Segundos tras los que una clave 'en_proceso' se considera colgada (el request murió
+  // sin liberarla) y un reintento puede reclamarla. Mayor que el request más lento.
+  enProcesoTimeoutSeg: parseInt(
+    process.env.IDEMPOTENCY_EN_PROCESO_TIMEOUT_SEG ?? '300',
+    10
+  ),
+  // Largo máximo aceptado para la clave (UUID v4 = 36)
+  maxLargoClave: parseInt(process.env.IDEMPOTENCY_MAX_KEY_LENGTH ?? '128', 10),
+  // Limpieza de claves vencidas (expresión node-cron)
+  cronPurga: process.env.IDEMPOTENCY_PURGE_CRON || '15 * * * *'
+};
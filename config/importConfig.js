@@ -1,53 +1,367 @@
 // config/importConfig.js
-import { CategoriasModel } from '../Models/Stock/MD_TB_Categorias.js';
-import { ProductosModel } from '../Models/Stock/MD_TB_Productos.js';
+// ======================================================
+// Benjamin Orellana - 21-10-2026
+// Se reescribe la configuración (apuntaba a modelos de Stock de otro proyecto que no existen acá)
+// y se conecta a POST /import/:entity (Controllers/Import/CTS_TB_Import.js).
+//
+// Cada entidad define:
+// - model:    modelo Sequelize para validar la fila (build + validate). null = sin validación de modelo.
+// - required: columnas obligatorias del archivo (encabezados normalizados: minúsculas, sin tildes, _ por espacios).
+// - optional: columnas opcionales reconocidas.
+// - transform(row, ctx): arma los valores a persistir. Puede resolver FKs por nombre.
+//                        Lanza Error con mensaje claro si la fila es inválida.
+// - persist(values, ctx): (opcional) alta real. Por defecto model.create(values).
+// ctx = { transaction } (persist recibe además usuario_id, para auditoría)
+// ======================================================
+import { Op } from 'sequelize';
+
+import { ClientesModel } from '../Models/Clientes/MD_TB_Clientes.js';
+import { ProductosModel } from '../Models/Productos/MD_TB_Productos.js';
+import { CiudadesModel } from '../Models/Geografia/MD_TB_Ciudades.js';
+import { LocalidadesModel } from '../Models/Geografia/MD_TB_Localidades.js';
+import { BarriosModel } from '../Models/Geografia/MD_TB_Barrios.js';
+import { RepartosModel } from '../Models/Repartos/MD_TB_Repartos.js';
 import { StockModel } from '../Models/Stock/MD_TB_Stock.js';
+import { StockMovimientosModel } from '../Models/Stock/MD_TB_StockMovimientos.js';
+
+import { asignarClienteAReparto } from '../Controllers/Clientes/CTS_TB_Clientes.js';
+import { registrarSaldoPrevioCxC } from '../Controllers/Ventas/CTS_TB_Ventas.js';
+import { moverStockDeposito } from '../Controllers/Stock/CTS_TB_Stock.js';
+
+const str = (v) => (v === undefined || v === null ? '' : String(v).trim());
+const strOrNull = (v) => str(v) || null;
+
+const intOrNull = (v) => {
+  if (str(v) === '') return null;
+  const n = Number(v);
+  return Number.isInteger(n) ? n : NaN;
+};
+
+const numOrNull = (v) => {
+  if (str(v) === '') return null;
+  // Acepta "1.234,50" (formato AR) y "1234.50"
+  const s = str(v);
+  const n = Number(s.includes(',') ? s.replace(/\./g, '').replace(',', '.') : s);
+  return Number.isFinite(n) ? n : NaN;
+};
+
+const boolOf = (v) =>
+  ['1', 'si', 'sí', 'true', 'x', 'verdadero'].includes(str(v).toLowerCase());
+
+const filaError = (msg) => {
+  const e = new Error(msg);
+  e.status = 400;
+  return e;
+};
+
+// Busca por nombre exacto (case-insensitive por collation de MySQL)
+async function buscarPorNombre(model, nombre, where, transaction, etiqueta) {
+  const rows = await model.findAll({
+    where: { ...where, nombre },
+    attributes: ['id'],
+    limit: 2,
+    transaction
+  });
+  if (!rows.length) throw filaError(`${etiqueta} "${nombre}" no encontrado/a.`);
+  if (rows.length > 1)
+    throw filaError(`${etiqueta} "${nombre}" es ambiguo/a (hay más de uno).`);
+  return rows[0].id;
+}
+
+// Cliente por id, documento o nombre exacto (en ese orden)
+async function resolverCliente(row, transaction) {
+  const id = intOrNull(row.cliente_id);
+  if (Number.isNaN(id)) throw filaError('cliente_id inválido.');
+  if (id) {
+    const cli = await ClientesModel.findByPk(id, { transaction });
+    if (!cli) throw filaError(`Cliente ${id} no encontrado.`);
+    return cli.id;
+  }
+
+  const doc = str(row.documento);
+  if (doc) {
+    const cli = await ClientesModel.findOne({
+      where: { documento: doc },
+      transaction
+    });
+    if (!cli) throw filaError(`Cliente con documento ${doc} no encontrado.`);
+    return cli.id;
+  }
+
+  const nombre = str(row.cliente);
+  if (!nombre)
+    throw filaError('Indicá cliente_id, documento o cliente (nombre).');
+  return buscarPorNombre(ClientesModel, nombre, {}, transaction, 'Cliente');
+}
 
 export default {
-  categorias: {
-    model: CategoriasModel,
-    required: ['nombre'],
-    optional: ['descripcion', 'estado'],
-    transform: (row) => ({
-      nombre: row.nombre,
-      descripcion: row.descripcion || null,
-      estado: row.estado?.toLowerCase() === 'inactivo' ? 'inactivo' : 'activo'
-    })
+  // --------------------------------------------------
+  // Clientes: geografía por nombre + asignación de reparto
+  // --------------------------------------------------
+  clientes: {
+    model: ClientesModel,
+    required: ['nombre', 'ciudad', 'reparto'],
+    optional: [
+      'documento',
+      'telefono',
+      'email',
+      'localidad',
+      'barrio',
+      'direccion_calle',
+      'direccion_numero',
+      'direccion_piso_dpto',
+      'referencia',
+      'estado'
+    ],
+    transform: async (row, { transaction }) => {
+      const ciudad_id = await buscarPorNombre(
+        CiudadesModel,
+        str(row.ciudad),
+        {},
+        transaction,
+        'Ciudad'
+      );
+
+      // Barrio requiere localidad (unique localidad_id + nombre)
+      let barrio_id = null;
+      if (str(row.barrio)) {
+        if (!str(row.localidad))
+          throw filaError('Para indicar barrio también hay que indicar localidad.');
+        const localidad_id = await buscarPorNombre(
+          LocalidadesModel,
+          str(row.localidad),
+          { ciudad_id },
+          transaction,
+          'Localidad'
+        );
+        barrio_id = await buscarPorNombre(
+          BarriosModel,
+          str(row.barrio),
+          { localidad_id },
+          transaction,
+          'Barrio'
+        );
+      }
+
+      // Reparto por id numérico o por nombre dentro de la ciudad
+      const repNum = intOrNull(row.reparto);
+      const reparto_id =
+        repNum && !Number.isNaN(repNum)
+          ? repNum
+          : await buscarPorNombre(
+              RepartosModel,
+              str(row.reparto),
+              { ciudad_id },
+              transaction,
+              'Reparto'
+            );
+
+      const documento = strOrNull(row.documento);
+      if (documento) {
+        const dup = await ClientesModel.findOne({
+          where: { documento },
+          attributes: ['id'],
+          transaction
+        });
+        if (dup)
+          throw filaError(`Ya existe un cliente con documento ${documento}.`);
+      }
+
+      const estado = str(row.estado).toLowerCase();
+
+      return {
+        nombre: str(row.nombre),
+        documento,
+        telefono: strOrNull(row.telefono),
+        email: strOrNull(row.email),
+        ciudad_id,
+        barrio_id,
+        direccion_calle: strOrNull(row.direccion_calle),
+        direccion_numero: strOrNull(row.direccion_numero),
+        direccion_piso_dpto: strOrNull(row.direccion_piso_dpto),
+        referencia: strOrNull(row.referencia),
+        estado: estado === 'inactivo' ? 'inactivo' : 'activo',
+        reparto_id
+      };
+    },
+    persist: async ({ reparto_id, ...values }, { transaction }) => {
+      const nuevo = await ClientesModel.create(values, { transaction });
+      const r = await asignarClienteAReparto({
+        cliente_id: nuevo.id,
+        reparto_id,
+        ciudad_id: values.ciudad_id,
+        transaction
+      });
+      if (!r.ok) {
+        throw filaError(
+          `El reparto ${reparto_id} no tiene números de rango disponibles.`
+        );
+      }
+      return { id: nuevo.id, numero_rango: r.numero_rango };
+    }
   },
 
+  // --------------------------------------------------
+  // Productos
+  // --------------------------------------------------
   productos: {
     model: ProductosModel,
-    required: ['nombre', 'precio'],
-    optional: ['descripcion', 'imagen_url', 'estado', 'categoria_id'],
-    transform: (row) => ({
-      nombre: row.nombre,
-      descripcion: row.descripcion || null,
-      precio: parseFloat(row.precio) || 0,
-      imagen_url: row.imagen_url || null,
-      estado: row.estado?.toLowerCase() === 'inactivo' ? 'inactivo' : 'activo',
-      categoria_id: row.categoria_id || null
-    })
+    required: ['nombre', 'codigo_sku'],
+    optional: [
+      'presentacion',
+      'pack_cantidad',
+      'unidad_medida',
+      'contenido',
+      'barra_ean13',
+      'pre_prod',
+      'precio',
+      'iva_porcentaje',
+      'es_retornable',
+      'estado',
+      'notas'
+    ],
+    transform: async (row, { transaction }) => {
+      const codigo_sku = str(row.codigo_sku).toUpperCase();
+      const dup = await ProductosModel.findOne({
+        where: {
+          [Op.or]: [
+            { codigo_sku },
+            ...(str(row.barra_ean13) ? [{ barra_ean13: str(row.barra_ean13) }] : [])
+          ]
+        },
+        attributes: ['id'],
+        transaction
+      });
+      if (dup) throw filaError(`Ya existe un producto con SKU ${codigo_sku} o ese EAN.`);
+
+      const presentacion = str(row.presentacion).toLowerCase() === 'pack' ? 'pack' : 'unidad';
+      const pack = intOrNull(row.pack_cantidad);
+      const precio = numOrNull(row.pre_prod ?? row.precio);
+      const iva = numOrNull(row.iva_porcentaje);
+      const contenido = numOrNull(row.contenido);
+
+      if (Number.isNaN(pack)) throw filaError('pack_cantidad debe ser entero.');
+      if (Number.isNaN(precio)) throw filaError('pre_prod / precio inválido.');
+      if (Number.isNaN(iva)) throw filaError('iva_porcentaje inválido.');
+      if (Number.isNaN(contenido)) throw filaError('contenido inválido.');
+
+      return {
+        nombre: str(row.nombre),
+        codigo_sku,
+        presentacion,
+        pack_cantidad: pack ?? (presentacion === 'pack' ? 12 : 1),
+        unidad_medida: strOrNull(row.unidad_medida)?.toLowerCase() || 'u',
+        contenido,
+        barra_ean13: strOrNull(row.barra_ean13),
+        pre_prod: precio ?? 0,
+        iva_porcentaje: iva ?? 21,
+        es_retornable: boolOf(row.es_retornable),
+        estado: str(row.estado).toLowerCase() === 'inactivo' ? 'inactivo' : 'activo',
+        notas: strOrNull(row.notas)
+      };
+    }
   },
 
-  stock: {
-    model: StockModel,
-    required: ['producto_id', 'local_id', 'cantidad'],
+  // --------------------------------------------------
+  // Saldos previos (deuda histórica → CxC origen 'saldo_previo')
+  // --------------------------------------------------
+  saldos_previos: {
+    model: null, // valida registrarSaldoPrevioCxC
+    required: ['monto'],
     optional: [
-      'talle_id',
-      'lugar_id',
-      'estado_id',
-      'en_perchero',
-      'codigo_sku'
+      'cliente_id',
+      'documento',
+      'cliente',
+      'fecha',
+      'descripcion',
+      'vendedor_id',
+      'reparto_id'
     ],
-    transform: (row) => ({
-      producto_id: row.producto_id,
-      local_id: row.local_id,
-      cantidad: parseInt(row.cantidad) || 0,
-      talle_id: row.talle_id || null,
-      lugar_id: row.lugar_id || null,
-      estado_id: row.estado_id || null,
-      en_perchero: row.en_perchero === 0 ? 0 : 1,
-      codigo_sku: row.codigo_sku || null
-    })
+    transform: async (row, { transaction }) => {
+      const cliente_id = await resolverCliente(row, transaction);
+      const monto = numOrNull(row.monto);
+      if (!monto || Number.isNaN(monto) || monto <= 0)
+        throw filaError('monto debe ser numérico y mayor a 0.');
+
+      let fecha = null;
+      if (row.fecha instanceof Date) fecha = row.fecha;
+      else if (str(row.fecha)) {
+        fecha = new Date(str(row.fecha));
+        if (Number.isNaN(fecha.getTime())) throw filaError('Fecha inválida.');
+      }
+
+      return {
+        cliente_id,
+        monto,
+        fecha,
+        descripcion: strOrNull(row.descripcion) || 'Saldo previo importado',
+        vendedor_id: intOrNull(row.vendedor_id),
+        reparto_id: intOrNull(row.reparto_id)
+      };
+    },
+    persist: async (values, { transaction, usuario_id }) => {
+      const mov = await registrarSaldoPrevioCxC(
+        { ...values, usuario_id },
+        transaction
+      );
+      return { id: mov.id };
+    }
+  },
+
+  // --------------------------------------------------
+  // Stock inicial de depósito (ajuste sobre el saldo actual)
+  // --------------------------------------------------
+  stock: {
+    model: StockModel,
+    required: ['codigo_sku', 'local_id', 'cantidad'],
+    optional: ['observaciones'],
+    transform: async (row, { transaction }) => {
+      const codigo_sku = str(row.codigo_sku).toUpperCase();
+      const prod = await ProductosModel.findOne({
+        where: { codigo_sku },
+        attributes: ['id'],
+        transaction
+      });
+      if (!prod) throw filaError(`Producto con SKU ${codigo_sku} no encontrado.`);
+
+      const cantidad = intOrNull(row.cantidad);
+      if (cantidad === null || Number.isNaN(cantidad) || cantidad < 0)
+        throw filaError('cantidad debe ser un entero >= 0.');
+
+      return {
+        producto_id: prod.id,
+        local_id: intOrNull(row.local_id),
+        cantidad,
+        observaciones: strOrNull(row.observaciones)
+      };
+    },
+    persist: async ({ producto_id, local_id, cantidad, observaciones }, { transaction }) => {
+      const actual = await StockModel.findOne({
+        where: { producto_id, local_id },
+        transaction
+      });
+      const delta = cantidad - Number(actual?.cantidad || 0);
+      const fila = await moverStockDeposito({
+        producto_id,
+        local_id,
+        delta,
+        transaction,
+        validarNegativo: false
+      });
+      if (delta !== 0) {
+        await StockMovimientosModel.create(
+          {
+            producto_id,
+            local_id,
+            tipo: 'ajuste',
+            cantidad: delta,
+            fecha: new Date(),
+            observaciones: observaciones || 'Stock inicial importado'
+          },
+          { transaction }
+        );
+      }
+      return { id: fila.id };
+    }
   }
 };
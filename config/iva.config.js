@@ -0,0 +1,9 @@
+import dotenv from 'dotenv';
+dotenv.config();
+
+export const ivaConfig = {
+  // true = precio_unit es precio final (IVA incluido): el IVA se desglosa del importe.
+  // false = precio_unit es neto: el IVA se suma y total_neto pasa a ser neto + IVA.
+  preciosIncluyenIva:
+    String(process.env.IVA_PRECIOS_INCLUYEN ?? 'true').toLowerCase() !== 'false'
+};
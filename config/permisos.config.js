@@ -0,0 +1,129 @@
+import dotenv from 'dotenv';
+dotenv.config();
+
+// ======================================================
+// Benjamin Orellana - 22-10-2026
+// Matriz de permisos por rol (rol viaja en el JWT).
+// Clave: "<módulo>.<acción>" → roles habilitados.
+// Se aplica en Routes/routes.js con el middleware autorizar('<permiso>').
+// ======================================================
+const S = 'socio';
+const A = 'administrativo';
+const V = 'vendedor';
+const C = 'contador';
+
+const TODOS = [S, A, V, C];
+const GESTION = [S, A];
+const SOLO_SOCIO = [S];
+
+export const permisosConfig = {
+  // strict: bloquea (401/403) | observe: solo loguea y deja pasar (para el rollout del front)
+  modo: (process.env.PERMISOS_MODO || 'strict').toLowerCase(),
+
+  matriz: {
+    'locales.leer': TODOS,
+    'locales.escribir': GESTION,
+    'locales.eliminar': SOLO_SOCIO,
+
+    'usuarios.leer': GESTION,
+    'usuarios.escribir': GESTION,
+    'usuarios.eliminar': SOLO_SOCIO,
+
+    'productos.leer': TODOS,
+    'productos.escribir': GESTION,
+    'productos.eliminar': GESTION,
+    'productos.eliminar_hard': SOLO_SOCIO,
+
+    'geo.leer': TODOS,
+    'geo.escribir': GESTION,
+    'geo.eliminar': GESTION,
+
+    'vendedores.leer': TODOS,
+    'vendedores.escribir': GESTION,
+    'vendedores.eliminar': GESTION,
+    'vendedores.eliminar_hard': SOLO_SOCIO,
+
+    'vendedor_barrios.leer': TODOS,
+    'vendedor_barrios.escribir': GESTION,
+    'vendedor_barrios.eliminar': GESTION,
+    'vendedor_barrios.eliminar_hard': SOLO_SOCIO,
+
+    // Benjamin Orellana - 12-11-2026 - Comisiones: reglas, liquidación y pago
+    'comisiones.leer': [S, A, C],
+    'comisiones.escribir': GESTION,
+    'comisiones.pagar': SOLO_SOCIO,
+
+    'clientes.leer': TODOS,
+    'clientes.crear': [S, A, V],
+    'clientes.escribir': GESTION,
+    'clientes.eliminar': GESTION,
+    'clientes.eliminar_hard': SOLO_SOCIO,
+    // Coordenadas del cliente: las carga el chofer desde el teléfono en la puerta
+    'clientes.ubicacion': [S, A, V],
+
+    // Vendedor crea ventas pero no las edita / anula / borra
+    'ventas.leer': TODOS,
+    'ventas.crear': [S, A, V],
+    'ventas.escribir': GESTION,
+    'ventas.anular': GESTION,
+    'ventas.eliminar': SOLO_SOCIO,
+    // Benjamin Orellana - 06-11-2026 - Factura electrónica (pide CAE)
+    'ventas.facturar': GESTION,
+
+    'cobranzas.leer': TODOS,
+    'cobranzas.crear': [S, A, V],
+    'cobranzas.eliminar': GESTION,
+
+    'cxc.leer': TODOS,
+    'cxc.escribir': GESTION,
+    'cxc.cerrar': SOLO_SOCIO, // Benjamin Orellana - 25-10-2026 - cierre mensual (contador: solo lectura)
+    // Benjamin Orellana - 26-10-2026 - notas de crédito / débito / ajustes
+    'cxc_notas.leer': [S, A, C],
+    'cxc_notas.crear': GESTION,
+    'cxc_notas.aprobar': SOLO_SOCIO,
+
+    'repartos.leer': TODOS,
+    'repartos.escribir': GESTION,
+    'repartos.eliminar': GESTION,
+
+    // Reemplazos temporales de chofer / ayudante (vacaciones, enfermedad...)
+    'repartos_reemplazos.leer': TODOS,
+    'repartos_reemplazos.escribir': GESTION,
+
+    'envases.leer': TODOS,
+    'envases.crear': [S, A, V],
+    'envases.eliminar': GESTION,
+
+    'stock.leer': TODOS,
+    'stock.escribir': GESTION,
+
+    // Listas de precios, precios especiales por cliente e historial
+    'precios.leer': TODOS,
+    'precios.escribir': GESTION,
+
+    // Promociones / descuentos automáticos (los manuales van con la venta)
+    'promociones.leer': TODOS,
+    'promociones.escribir': GESTION,
+
+    // Carga / recarga / cierre del camión lo puede hacer el vendedor del reparto
+    'repartos_cargas.leer': TODOS,
+    'repartos_cargas.escribir': [S, A, V],
+
+    // Sesión de reparto: apertura, check-in por cliente y cierre de caja (chofer)
+    'reparto_sesiones.leer': TODOS,
+    'reparto_sesiones.operar': [S, A, V],
+
+    // Sincronización offline del chofer (pull del reparto + push de ventas / cobranzas)
+    'sync.operar': [S, A, V],
+
+    'import.ejecutar': GESTION,
+
+    'reportes.leer': TODOS,
+
+    // Benjamin Orellana - 23-10-2026 - Rastro de auditoría financiera
+    'auditoria.leer': [S, C],
+
+    // Benjamin Orellana - 05-11-2026 - Libro IVA ventas (contador)
+    'libro_iva.leer': [S, A, C]
+  }
+};
@@ -0,0 +1,9 @@
+import dotenv from 'dotenv';
+dotenv.config();
+
+export const preciosConfig = {
+  // Desvío máximo (%) entre precio_unit enviado y el precio resuelto por listas
+  toleranciaPct: Number(process.env.PRECIOS_TOLERANCIA_PCT ?? '2'),
+  // 'marcar' = se guarda la línea con precio_fuera_tolerancia; 'rechazar' = 409
+  modoDesvio: (process.env.PRECIOS_MODO_DESVIO || 'marcar').toLowerCase()
+};
@@ -0,0 +1,11 @@
+import dotenv from 'dotenv';
+dotenv.config();
+
+export const rutasConfig = {
+  // Local desde el que salen los camiones (depósito); ?local_id= lo reemplaza
+  depositoLocalId: process.env.RUTAS_DEPOSITO_LOCAL_ID
+    ? parseInt(process.env.RUTAS_DEPOSITO_LOCAL_ID, 10)
+    : null,
+  // Tope de pasadas completas de 2-opt (cada pasada es O(n²))
+  maxPasadas2Opt: parseInt(process.env.RUTAS_MAX_PASADAS_2OPT ?? '50', 10)
+};
@@ -0,0 +1,9 @@
+import dotenv from 'dotenv';
+dotenv.config();
+
+export const stockConfig = {
+  // Depósito usado cuando la venta no sale de un camión con carga abierta
+  localDefaultId: parseInt(process.env.STOCK_LOCAL_ID_DEFAULT ?? '1', 10),
+  // true: la venta se registra aunque el stock quede negativo (no frena la operación)
+  permitirNegativo: (process.env.STOCK_PERMITIR_NEGATIVO ?? 'true') !== 'false'
+};
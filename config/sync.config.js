@@ -0,0 +1,17 @@
+import dotenv from 'dotenv';
+dotenv.config();
+
+export const syncConfig = {
+  // Máximo de registros offline por POST /sync/push
+  maxRegistrosPorLote: parseInt(
+    process.env.SYNC_MAX_REGISTROS_LOTE ?? '200',
+    10
+  ),
+  // Margen que se resta al cursor del pull (cambios commiteados mientras se armaba el snapshot anterior)
+  margenCursorMs: parseInt(process.env.SYNC_MARGEN_CURSOR_MS ?? '5000', 10),
+  // Un registro 'en_proceso' más viejo que esto se considera de un push caído y se reclama
+  enProcesoTimeoutMs: parseInt(
+    process.env.SYNC_EN_PROCESO_TIMEOUT_MS ?? '120000',
+    10
+  )
+};
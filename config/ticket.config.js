@@ -0,0 +1,11 @@
+import dotenv from 'dotenv';
+dotenv.config();
+
+export const ticketConfig = {
+  // Ancho del papel por defecto (58 | 80 mm); se puede pedir otro con ?ancho=
+  anchoMm: parseInt(process.env.TICKET_ANCHO_MM ?? '80', 10),
+  // Local cuyo nombre / dirección / impresora encabezan el ticket (?local_id= lo reemplaza)
+  localId: process.env.TICKET_LOCAL_ID
+    ? parseInt(process.env.TICKET_LOCAL_ID, 10)
+    : null
+};
@@ -4,7 +4,7 @@ dotenv.config();
 export const timeConfig = {
   toleranceMs: parseInt(process.env.TIME_TOLERANCE_MS ?? '60000', 10),
   maxOfflineMs: parseInt(process.env.TIME_MAX_OFFLINE_MS ?? '1800000', 10),
-  guardMode: process.env.TIME_GUARD_MODE ?? 'observe',
+  guardMode: process.env.TIME_GUARD_MODE ?? 'observe', // observe | soft | strict | attested
   attestationSecret: process.env.TIME_ATTESTATION_SECRET || null,
   attestationTtlSec: parseInt(process.env.TIME_ATTESTATION_TTL_SEC ?? '60', 10),
 
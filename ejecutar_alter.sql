@@ -63,3 +63,733 @@ ALTER TABLE ventas
     FOREIGN KEY (reparto_id) REFERENCES repartos(id)
     ON UPDATE CASCADE
     ON DELETE SET NULL;
+
+-- ======================================================
+-- Benjamin Orellana - 19-10-2026
+-- Envases retornables (bidones 20L / sifones)
+-- - productos.es_retornable marca los productos con envase
+-- - envases_movimientos: libro por cliente (entregado / devuelto / perdido / deposito)
+-- ======================================================
+
+ALTER TABLE productos
+  ADD COLUMN es_retornable TINYINT(1) NOT NULL DEFAULT 0 AFTER iva_porcentaje;
+
+CREATE TABLE envases_movimientos (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  cliente_id INT UNSIGNED NOT NULL,
+  producto_id BIGINT UNSIGNED NOT NULL,
+  venta_id INT UNSIGNED NULL,
+  venta_detalle_id INT UNSIGNED NULL,
+  reparto_id INT UNSIGNED NULL,
+  fecha DATETIME NOT NULL,
+  tipo ENUM('entregado','devuelto','perdido','deposito') NOT NULL,
+  cantidad INT UNSIGNED NOT NULL DEFAULT 0,
+  monto DECIMAL(14,2) NOT NULL DEFAULT 0.00,
+  observaciones VARCHAR(255) NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_envmov_cliente_fecha (cliente_id, fecha),
+  KEY idx_envmov_cliente_producto (cliente_id, producto_id),
+  KEY idx_envmov_venta (venta_id),
+  CONSTRAINT fk_envmov_cliente FOREIGN KEY (cliente_id) REFERENCES clientes(id),
+  CONSTRAINT fk_envmov_producto FOREIGN KEY (producto_id) REFERENCES productos(id),
+  CONSTRAINT fk_envmov_venta FOREIGN KEY (venta_id) REFERENCES ventas(id)
+    ON UPDATE CASCADE
+    ON DELETE CASCADE,
+  CONSTRAINT fk_envmov_detalle FOREIGN KEY (venta_detalle_id) REFERENCES ventas_detalle(id)
+    ON UPDATE CASCADE
+    ON DELETE SET NULL,
+  CONSTRAINT fk_envmov_reparto FOREIGN KEY (reparto_id) REFERENCES repartos(id)
+    ON UPDATE CASCADE
+    ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- ======================================================
+-- Benjamin Orellana - 20-10-2026
+-- Stock: depósito por local, cargas de camión por reparto y libro de movimientos
+-- ======================================================
+
+CREATE TABLE stock (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  producto_id BIGINT UNSIGNED NOT NULL,
+  local_id INT NOT NULL,
+  cantidad INT NOT NULL DEFAULT 0,
+  stock_minimo INT UNSIGNED NOT NULL DEFAULT 0,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_stock_producto_local (producto_id, local_id),
+  KEY idx_stock_local (local_id),
+  CONSTRAINT fk_stock_producto FOREIGN KEY (producto_id) REFERENCES productos(id),
+  CONSTRAINT fk_stock_local FOREIGN KEY (local_id) REFERENCES locales(id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+CREATE TABLE repartos_cargas (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  reparto_id INT UNSIGNED NOT NULL,
+  local_id INT NOT NULL,
+  fecha DATE NOT NULL,
+  estado ENUM('abierta','cerrada') NOT NULL DEFAULT 'abierta',
+  usuario_apertura_id INT NULL,
+  usuario_cierre_id INT NULL,
+  cerrada_at DATETIME NULL,
+  observaciones VARCHAR(255) NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_repcarga_reparto_fecha (reparto_id, fecha),
+  KEY idx_repcarga_estado (estado),
+  CONSTRAINT fk_repcarga_reparto FOREIGN KEY (reparto_id) REFERENCES repartos(id),
+  CONSTRAINT fk_repcarga_local FOREIGN KEY (local_id) REFERENCES locales(id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+CREATE TABLE repartos_cargas_items (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  carga_id INT UNSIGNED NOT NULL,
+  producto_id BIGINT UNSIGNED NOT NULL,
+  cantidad_cargada INT UNSIGNED NOT NULL DEFAULT 0,
+  cantidad_vendida INT UNSIGNED NOT NULL DEFAULT 0,
+  cantidad_devuelta INT UNSIGNED NULL,
+  diferencia INT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_repcargaitem_carga_producto (carga_id, producto_id),
+  CONSTRAINT fk_repcargaitem_carga FOREIGN KEY (carga_id) REFERENCES repartos_cargas(id)
+    ON DELETE CASCADE,
+  CONSTRAINT fk_repcargaitem_producto FOREIGN KEY (producto_id) REFERENCES productos(id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+CREATE TABLE stock_movimientos (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  producto_id BIGINT UNSIGNED NOT NULL,
+  local_id INT NULL,
+  reparto_carga_id INT UNSIGNED NULL,
+  tipo ENUM('ingreso','ajuste','merma','carga_reparto','venta','anulacion_venta','devolucion_reparto') NOT NULL,
+  cantidad INT NOT NULL,
+  venta_id INT UNSIGNED NULL,
+  venta_detalle_id INT UNSIGNED NULL,
+  usuario_id INT NULL,
+  fecha DATETIME NOT NULL,
+  observaciones VARCHAR(255) NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_stkmov_producto_fecha (producto_id, fecha),
+  KEY idx_stkmov_local (local_id),
+  KEY idx_stkmov_carga (reparto_carga_id),
+  KEY idx_stkmov_venta (venta_id),
+  CONSTRAINT fk_stkmov_producto FOREIGN KEY (producto_id) REFERENCES productos(id),
+  CONSTRAINT fk_stkmov_local FOREIGN KEY (local_id) REFERENCES locales(id),
+  CONSTRAINT fk_stkmov_carga FOREIGN KEY (reparto_carga_id) REFERENCES repartos_cargas(id),
+  CONSTRAINT fk_stkmov_venta FOREIGN KEY (venta_id) REFERENCES ventas(id)
+    ON UPDATE CASCADE
+    ON DELETE SET NULL,
+  CONSTRAINT fk_stkmov_detalle FOREIGN KEY (venta_detalle_id) REFERENCES ventas_detalle(id)
+    ON UPDATE CASCADE
+    ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- ======================================================
+-- Benjamin Orellana - 23-10-2026
+-- Rastro de auditoría de ventas, cobranzas, CxC y saldos previos
+-- (quién, qué, antes/después, hora autoritativa)
+-- ======================================================
+CREATE TABLE auditoria_log (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  usuario_id INT NULL,
+  accion ENUM('crear','modificar','anular','eliminar') NOT NULL,
+  entidad ENUM('venta','cobranza','cxc_movimiento','saldo_previo') NOT NULL,
+  entidad_id BIGINT UNSIGNED NULL,
+  antes JSON NULL,
+  despues JSON NULL,
+  ruta VARCHAR(255) NULL,
+  ip VARCHAR(64) NULL,
+  fecha DATETIME(3) NOT NULL,
+  PRIMARY KEY (id),
+  KEY idx_audit_entidad (entidad, entidad_id),
+  KEY idx_audit_usuario_fecha (usuario_id, fecha),
+  KEY idx_audit_fecha (fecha)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- ======================================================
+-- Benjamin Orellana - 24-10-2026
+-- Idempotency-Key: reintentos de POST /ventas, /ventas/reparto-masiva
+-- y /cobranzas-clientes reenvían la respuesta original
+-- ======================================================
+CREATE TABLE idempotencia_claves (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  clave VARCHAR(128) NOT NULL,
+  metodo VARCHAR(10) NOT NULL,
+  ruta VARCHAR(255) NOT NULL,
+  usuario_id INT NULL,
+  body_hash CHAR(64) NOT NULL,
+  estado ENUM('en_proceso','completada') NOT NULL DEFAULT 'en_proceso',
+  status_code SMALLINT UNSIGNED NULL,
+  respuesta JSON NULL,
+  expira_at DATETIME NOT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_idem_clave_metodo_ruta (clave, metodo, ruta),
+  KEY idx_idem_expira (expira_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- ======================================================
+-- Benjamin Orellana - 25-10-2026
+-- Cierre mensual de CxC: períodos cerrados (los saldos por cliente
+-- se congelan en cxc_saldos_mensuales)
+-- ======================================================
+CREATE TABLE cxc_cierres (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  anio SMALLINT NOT NULL,
+  mes TINYINT NOT NULL,
+  clientes INT UNSIGNED NOT NULL DEFAULT 0,
+  saldo_total DECIMAL(14,2) NOT NULL DEFAULT 0,
+  usuario_id INT NULL,
+  origen ENUM('manual','automatico') NOT NULL DEFAULT 'manual',
+  cerrado_at DATETIME NOT NULL,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_cxccierre_periodo (anio, mes)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- ======================================================
+-- Benjamin Orellana - 26-10-2026
+-- Notas de crédito / débito y ajustes manuales de CxC.
+-- Quedan 'pendiente' hasta que un socio las aprueba; recién ahí
+-- generan el movimiento en cxc_movimientos.
+-- ======================================================
+CREATE TABLE cxc_notas (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  tipo ENUM('nota_credito','nota_debito','ajuste') NOT NULL,
+  numero INT UNSIGNED NOT NULL,
+  cliente_id INT UNSIGNED NOT NULL,
+  venta_id INT UNSIGNED NULL,
+  fecha DATETIME NOT NULL,
+  signo TINYINT NOT NULL,
+  monto DECIMAL(14,2) NOT NULL,
+  motivo VARCHAR(255) NOT NULL,
+  estado ENUM('pendiente','aprobada','rechazada') NOT NULL DEFAULT 'pendiente',
+  usuario_id INT NULL,
+  resuelto_por INT NULL,
+  resuelto_at DATETIME NULL,
+  motivo_rechazo VARCHAR(255) NULL,
+  cxc_movimiento_id INT UNSIGNED NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_cxcnota_tipo_numero (tipo, numero),
+  KEY idx_cxcnota_cliente (cliente_id, estado),
+  KEY idx_cxcnota_venta (venta_id),
+  CONSTRAINT fk_cxcnota_cliente FOREIGN KEY (cliente_id) REFERENCES clientes(id),
+  CONSTRAINT fk_cxcnota_venta FOREIGN KEY (venta_id) REFERENCES ventas(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+ALTER TABLE auditoria_log
+MODIFY COLUMN entidad ENUM('venta','cobranza','cxc_movimiento','saldo_previo','nota_cxc') NOT NULL;
+
+-- ======================================================
+-- Benjamin Orellana - 30-10-2026
+-- Sesiones de reparto (jornada del chofer): apertura, check-in por
+-- cliente y cierre con arqueo de efectivo. Ventas y cobranzas hechas
+-- en la calle quedan vinculadas a la sesión.
+-- ======================================================
+CREATE TABLE reparto_sesiones (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  reparto_id INT UNSIGNED NOT NULL,
+  fecha DATE NOT NULL,
+  turno ENUM('maniana','tarde','noche') NULL,
+  estado ENUM('abierta','cerrada') NOT NULL DEFAULT 'abierta',
+  abierta_por INT NULL,
+  abierta_at DATETIME NOT NULL,
+  cerrada_por INT NULL,
+  cerrada_at DATETIME NULL,
+  ventas_contado_total DECIMAL(14,2) NULL,
+  cobranzas_total DECIMAL(14,2) NULL,
+  efectivo_esperado DECIMAL(14,2) NULL,
+  efectivo_declarado DECIMAL(14,2) NULL,
+  diferencia DECIMAL(14,2) NULL,
+  resultado_caja ENUM('cuadrada','faltante','sobrante') NULL,
+  observaciones VARCHAR(255) NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_repses_reparto_fecha_turno (reparto_id, fecha, turno),
+  KEY idx_repses_estado (estado, fecha),
+  CONSTRAINT fk_repses_reparto FOREIGN KEY (reparto_id) REFERENCES repartos(id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+CREATE TABLE reparto_sesion_visitas (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  sesion_id INT UNSIGNED NOT NULL,
+  cliente_id INT UNSIGNED NOT NULL,
+  resultado ENUM('visitado','vendido','ausente','rechazado') NOT NULL,
+  motivo VARCHAR(255) NULL,
+  venta_id INT UNSIGNED NULL,
+  usuario_id INT NULL,
+  registrado_at DATETIME NOT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_repvis_sesion_cliente (sesion_id, cliente_id),
+  KEY idx_repvis_cliente (cliente_id),
+  CONSTRAINT fk_repvis_sesion FOREIGN KEY (sesion_id) REFERENCES reparto_sesiones(id) ON DELETE CASCADE,
+  CONSTRAINT fk_repvis_cliente FOREIGN KEY (cliente_id) REFERENCES clientes(id),
+  CONSTRAINT fk_repvis_venta FOREIGN KEY (venta_id) REFERENCES ventas(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+ALTER TABLE ventas
+  ADD COLUMN reparto_sesion_id INT UNSIGNED NULL AFTER reparto_id,
+  ADD KEY idx_ventas_reparto_sesion (reparto_sesion_id),
+  ADD CONSTRAINT fk_ventas_reparto_sesion FOREIGN KEY (reparto_sesion_id) REFERENCES reparto_sesiones(id);
+
+ALTER TABLE cobranzas_clientes
+  ADD COLUMN reparto_sesion_id INT UNSIGNED NULL AFTER vendedor_id,
+  ADD KEY idx_cobcli_reparto_sesion (reparto_sesion_id),
+  ADD CONSTRAINT fk_cobcli_reparto_sesion FOREIGN KEY (reparto_sesion_id) REFERENCES reparto_sesiones(id);
+
+-- ======================================================
+-- Benjamin Orellana - 31-10-2026
+-- Sincronización offline de choferes: un registro por UUID generado
+-- en el dispositivo (deduplica reenvíos del POST /sync/push).
+-- ======================================================
+CREATE TABLE sync_registros (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  uuid CHAR(36) NOT NULL,
+  tipo ENUM('venta','cobranza') NOT NULL,
+  usuario_id INT NULL,
+  device_id VARCHAR(100) NULL,
+  device_at DATETIME(3) NOT NULL,
+  recibido_at DATETIME(3) NOT NULL,
+  estado ENUM('en_proceso','aplicado','rechazado','conflicto') NOT NULL DEFAULT 'en_proceso',
+  entidad_id INT UNSIGNED NULL,
+  codigo VARCHAR(60) NULL,
+  detalle JSON NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_sync_uuid (uuid),
+  KEY idx_sync_usuario (usuario_id, recibido_at),
+  KEY idx_sync_estado (estado)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- ======================================================
+-- Benjamin Orellana - 02-11-2026
+-- Listas de precios con vigencia (general / mayorista / ciudad / reparto),
+-- precios especiales por cliente e historial del precio base.
+-- Los precios se versionan (vigente_desde / vigente_hasta); nunca se pisan.
+-- ======================================================
+CREATE TABLE listas_precios (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  nombre VARCHAR(120) NOT NULL,
+  tipo ENUM('general','mayorista','ciudad','reparto') NOT NULL,
+  ciudad_id INT UNSIGNED NULL,
+  reparto_id INT UNSIGNED NULL,
+  vigente_desde DATE NOT NULL,
+  vigente_hasta DATE NULL,
+  estado ENUM('activa','inactiva') NOT NULL DEFAULT 'activa',
+  observaciones VARCHAR(255) NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_listas_tipo (tipo, estado, vigente_desde),
+  KEY idx_listas_ciudad (ciudad_id),
+  KEY idx_listas_reparto (reparto_id),
+  CONSTRAINT fk_listas_ciudad FOREIGN KEY (ciudad_id) REFERENCES ciudades(id),
+  CONSTRAINT fk_listas_reparto FOREIGN KEY (reparto_id) REFERENCES repartos(id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+CREATE TABLE listas_precios_items (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  lista_id INT UNSIGNED NOT NULL,
+  producto_id BIGINT UNSIGNED NOT NULL,
+  precio DECIMAL(14,2) NOT NULL,
+  vigente_desde DATETIME NOT NULL,
+  vigente_hasta DATETIME NULL,
+  usuario_id INT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_lpi_lista_producto (lista_id, producto_id, vigente_desde),
+  KEY idx_lpi_producto (producto_id),
+  CONSTRAINT fk_lpi_lista FOREIGN KEY (lista_id) REFERENCES listas_precios(id),
+  CONSTRAINT fk_lpi_producto FOREIGN KEY (producto_id) REFERENCES productos(id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+CREATE TABLE clientes_precios (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  cliente_id INT UNSIGNED NOT NULL,
+  producto_id BIGINT UNSIGNED NOT NULL,
+  precio DECIMAL(14,2) NOT NULL,
+  vigente_desde DATETIME NOT NULL,
+  vigente_hasta DATETIME NULL,
+  motivo VARCHAR(255) NULL,
+  usuario_id INT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_clip_cliente_producto (cliente_id, producto_id, vigente_desde),
+  CONSTRAINT fk_clip_cliente FOREIGN KEY (cliente_id) REFERENCES clientes(id),
+  CONSTRAINT fk_clip_producto FOREIGN KEY (producto_id) REFERENCES productos(id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+CREATE TABLE productos_precios_historial (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  producto_id BIGINT UNSIGNED NOT NULL,
+  precio_anterior DECIMAL(18,2) NULL,
+  precio_nuevo DECIMAL(18,2) NOT NULL,
+  usuario_id INT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_pph_producto (producto_id, created_at),
+  CONSTRAINT fk_pph_producto FOREIGN KEY (producto_id) REFERENCES productos(id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- Historial arranca con el precio vigente hoy
+INSERT INTO productos_precios_historial (producto_id, precio_anterior, precio_nuevo, created_at)
+SELECT id, NULL, pre_prod, NOW() FROM productos WHERE pre_prod IS NOT NULL;
+
+ALTER TABLE clientes
+  ADD COLUMN lista_precio_id INT UNSIGNED NULL AFTER ciudad_id,
+  ADD KEY idx_clientes_lista_precio (lista_precio_id),
+  ADD CONSTRAINT fk_clientes_lista_precio FOREIGN KEY (lista_precio_id) REFERENCES listas_precios(id);
+
+ALTER TABLE ventas_detalle
+  ADD COLUMN precio_lista DECIMAL(14,2) NULL AFTER precio_unit,
+  ADD COLUMN precio_origen VARCHAR(20) NULL AFTER precio_lista,
+  ADD COLUMN lista_precio_id INT UNSIGNED NULL AFTER precio_origen,
+  ADD COLUMN precio_fuera_tolerancia TINYINT(1) NOT NULL DEFAULT 0 AFTER lista_precio_id,
+  ADD KEY idx_vdet_fuera_tolerancia (precio_fuera_tolerancia);
+
+-- ======================================================
+-- Benjamin Orellana - 03-11-2026
+-- Actualización masiva de precios: lote (UUID) y motivo en el historial
+-- ======================================================
+ALTER TABLE productos_precios_historial
+  ADD COLUMN lote CHAR(36) NULL AFTER usuario_id,
+  ADD COLUMN motivo VARCHAR(255) NULL AFTER lote,
+  ADD KEY idx_pph_lote (lote);
+
+-- ======================================================
+-- Benjamin Orellana - 04-11-2026
+-- Promociones y descuentos: por línea (%, $ por unidad, lleve X pague Y),
+-- por venta (%, $) y de fidelidad (promo con cliente_id).
+-- ventas_detalle.subtotal sigue siendo el bruto; el neto queda en importe_neto.
+-- ======================================================
+CREATE TABLE promociones (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  nombre VARCHAR(120) NOT NULL,
+  tipo ENUM('porcentaje_linea','monto_linea','lleve_pague','porcentaje_venta','monto_venta') NOT NULL,
+  producto_id BIGINT UNSIGNED NULL,
+  cliente_id INT UNSIGNED NULL,
+  valor DECIMAL(14,2) NULL,
+  lleve INT UNSIGNED NULL,
+  pague INT UNSIGNED NULL,
+  cantidad_minima INT UNSIGNED NULL,
+  monto_minimo DECIMAL(14,2) NULL,
+  vigente_desde DATE NOT NULL,
+  vigente_hasta DATE NULL,
+  estado ENUM('activa','inactiva') NOT NULL DEFAULT 'activa',
+  observaciones VARCHAR(255) NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_promo_vigencia (estado, vigente_desde),
+  KEY idx_promo_producto (producto_id),
+  KEY idx_promo_cliente (cliente_id),
+  CONSTRAINT fk_promo_producto FOREIGN KEY (producto_id) REFERENCES productos(id),
+  CONSTRAINT fk_promo_cliente FOREIGN KEY (cliente_id) REFERENCES clientes(id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+ALTER TABLE ventas_detalle
+  ADD COLUMN descuento_pct DECIMAL(5,2) NULL AFTER precio_fuera_tolerancia,
+  ADD COLUMN descuento_monto DECIMAL(14,2) NULL AFTER descuento_pct,
+  ADD COLUMN promocion_id INT UNSIGNED NULL AFTER descuento_monto,
+  ADD COLUMN descuento_linea DECIMAL(14,2) NOT NULL DEFAULT 0.00 AFTER promocion_id,
+  ADD COLUMN descuento_venta DECIMAL(14,2) NOT NULL DEFAULT 0.00 AFTER descuento_linea,
+  ADD COLUMN importe_neto DECIMAL(14,2) NULL AFTER descuento_venta,
+  ADD CONSTRAINT fk_vdet_promocion FOREIGN KEY (promocion_id) REFERENCES promociones(id);
+
+ALTER TABLE ventas
+  ADD COLUMN total_bruto DECIMAL(18,2) NULL AFTER total_neto,
+  ADD COLUMN total_descuentos DECIMAL(18,2) NOT NULL DEFAULT 0.00 AFTER total_bruto,
+  ADD COLUMN descuento_pct DECIMAL(5,2) NULL AFTER total_descuentos,
+  ADD COLUMN descuento_monto DECIMAL(14,2) NULL AFTER descuento_pct,
+  ADD COLUMN promocion_id INT UNSIGNED NULL AFTER descuento_monto,
+  ADD CONSTRAINT fk_ventas_promocion FOREIGN KEY (promocion_id) REFERENCES promociones(id);
+
+-- Ventas anteriores: sin descuentos (bruto = neto)
+UPDATE ventas_detalle SET importe_neto = ROUND(cantidad * precio_unit, 2) WHERE importe_neto IS NULL;
+UPDATE ventas SET total_bruto = total_neto WHERE total_bruto IS NULL;
+
+-- ======================================================
+-- Benjamin Orellana - 05-11-2026
+-- IVA por línea y por alícuota en ventas + totales fiscales.
+-- La alícuota se toma de productos.iva_porcentaje al calcular y queda congelada en la línea.
+-- ======================================================
+CREATE TABLE ventas_iva (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  venta_id INT UNSIGNED NOT NULL,
+  alicuota DECIMAL(5,2) NOT NULL,
+  neto_gravado DECIMAL(18,2) NOT NULL,
+  iva DECIMAL(18,2) NOT NULL,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_ventas_iva_venta_alicuota (venta_id, alicuota),
+  CONSTRAINT fk_ventas_iva_venta FOREIGN KEY (venta_id) REFERENCES ventas(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+ALTER TABLE ventas_detalle
+  ADD COLUMN iva_porcentaje DECIMAL(5,2) NULL AFTER importe_neto,
+  ADD COLUMN neto_gravado DECIMAL(14,2) NULL AFTER iva_porcentaje,
+  ADD COLUMN iva_monto DECIMAL(14,2) NULL AFTER neto_gravado;
+
+ALTER TABLE ventas
+  ADD COLUMN neto_gravado DECIMAL(18,2) NULL AFTER total_descuentos,
+  ADD COLUMN neto_no_gravado DECIMAL(18,2) NULL AFTER neto_gravado,
+  ADD COLUMN iva_total DECIMAL(18,2) NULL AFTER neto_no_gravado;
+
+-- Ventas anteriores: precios con IVA incluido (IVA_PRECIOS_INCLUYEN por defecto)
+UPDATE ventas_detalle d
+  JOIN productos p ON p.id = d.producto_id
+   SET d.iva_porcentaje = COALESCE(p.iva_porcentaje, 0)
+ WHERE d.iva_porcentaje IS NULL;
+
+UPDATE ventas_detalle
+   SET neto_gravado = ROUND(importe_neto / (1 + iva_porcentaje / 100), 2),
+       iva_monto = importe_neto - ROUND(importe_neto / (1 + iva_porcentaje / 100), 2)
+ WHERE neto_gravado IS NULL AND iva_porcentaje > 0;
+
+UPDATE ventas_detalle
+   SET neto_gravado = importe_neto, iva_monto = 0.00
+ WHERE neto_gravado IS NULL AND iva_porcentaje = 0;
+
+INSERT INTO ventas_iva (venta_id, alicuota, neto_gravado, iva)
+SELECT venta_id, iva_porcentaje, SUM(neto_gravado), SUM(iva_monto)
+  FROM ventas_detalle
+ WHERE iva_porcentaje > 0
+ GROUP BY venta_id, iva_porcentaje;
+
+UPDATE ventas v
+  JOIN (
+    SELECT venta_id,
+           SUM(CASE WHEN iva_porcentaje > 0 THEN neto_gravado ELSE 0 END) AS gravado,
+           SUM(CASE WHEN iva_porcentaje = 0 THEN neto_gravado ELSE 0 END) AS no_gravado,
+           SUM(iva_monto) AS iva
+      FROM ventas_detalle
+     GROUP BY venta_id
+  ) x ON x.venta_id = v.id
+   SET v.neto_gravado = x.gravado,
+       v.neto_no_gravado = x.no_gravado,
+       v.iva_total = x.iva
+ WHERE v.neto_gravado IS NULL;
+
+-- ======================================================
+-- Benjamin Orellana - 06-11-2026
+-- Factura electrónica (WSFEv1): condición IVA del cliente y comprobante con CAE por venta
+-- ======================================================
+ALTER TABLE clientes
+  ADD COLUMN condicion_iva ENUM('consumidor_final','responsable_inscripto','monotributo','exento')
+    NOT NULL DEFAULT 'consumidor_final' AFTER documento;
+
+CREATE TABLE ventas_comprobantes (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  venta_id INT UNSIGNED NOT NULL,
+  letra ENUM('A','B','C') NOT NULL,
+  cbte_tipo SMALLINT UNSIGNED NOT NULL,
+  punto_venta SMALLINT UNSIGNED NOT NULL,
+  numero INT UNSIGNED NOT NULL,
+  fecha_emision DATE NOT NULL,
+  doc_tipo SMALLINT UNSIGNED NOT NULL,
+  doc_nro VARCHAR(20) NOT NULL,
+  condicion_iva_receptor VARCHAR(30) NOT NULL,
+  imp_total DECIMAL(18,2) NOT NULL DEFAULT 0.00,
+  imp_neto DECIMAL(18,2) NOT NULL DEFAULT 0.00,
+  imp_op_ex DECIMAL(18,2) NOT NULL DEFAULT 0.00,
+  imp_iva DECIMAL(18,2) NOT NULL DEFAULT 0.00,
+  cae VARCHAR(14) NOT NULL,
+  cae_vencimiento DATE NOT NULL,
+  adapter VARCHAR(20) NOT NULL,
+  ambiente VARCHAR(20) NOT NULL,
+  observaciones JSON NULL,
+  usuario_id INT UNSIGNED NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_vcbte_venta (venta_id),
+  UNIQUE KEY uq_vcbte_numero (punto_venta, cbte_tipo, numero),
+  CONSTRAINT fk_vcbte_venta FOREIGN KEY (venta_id) REFERENCES ventas(id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- ======================================================
+-- Benjamin Orellana - 08-11-2026
+-- Ubicación de clientes / locales y optimización del recorrido de repartos
+-- ======================================================
+ALTER TABLE clientes
+  ADD COLUMN latitud DECIMAL(10,7) NULL AFTER lista_precio_id,
+  ADD COLUMN longitud DECIMAL(10,7) NULL AFTER latitud,
+  ADD COLUMN ubicacion_precision_m INT UNSIGNED NULL AFTER longitud,
+  ADD COLUMN ubicacion_at DATETIME NULL AFTER ubicacion_precision_m,
+  ADD COLUMN ubicacion_usuario_id INT UNSIGNED NULL AFTER ubicacion_at;
+
+ALTER TABLE locales
+  ADD COLUMN latitud DECIMAL(10,7) NULL AFTER horario_cierre,
+  ADD COLUMN longitud DECIMAL(10,7) NULL AFTER latitud;
+
+-- ======================================================
+-- Benjamin Orellana - 09-11-2026
+-- Historial de numero_rango en renumeraciones de repartos (POST /repartos/:id/renumerar)
+-- ======================================================
+CREATE TABLE reparto_clientes_historial (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  lote VARCHAR(36) NOT NULL,
+  reparto_id INT UNSIGNED NOT NULL,
+  reparto_cliente_id INT UNSIGNED NOT NULL,
+  cliente_id INT UNSIGNED NOT NULL,
+  numero_anterior INT UNSIGNED NOT NULL,
+  numero_nuevo INT UNSIGNED NOT NULL,
+  estado ENUM('activo','inactivo') NOT NULL,
+  origen VARCHAR(30) NOT NULL,
+  estrategia VARCHAR(30) NULL,
+  motivo VARCHAR(255) NULL,
+  usuario_id INT UNSIGNED NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_rch_reparto (reparto_id, created_at),
+  KEY idx_rch_lote (lote),
+  KEY idx_rch_cliente (cliente_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- ======================================================
+-- Benjamin Orellana - 11-11-2026
+-- Reemplazos temporales de chofer / ayudante por reparto (vacaciones, enfermedad, licencia)
+-- ======================================================
+CREATE TABLE repartos_reemplazos (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  reparto_id INT UNSIGNED NOT NULL,
+  usuario_id INT NOT NULL,
+  reemplazado_usuario_id INT NULL,
+  rol ENUM('chofer','ayudante') NOT NULL DEFAULT 'chofer',
+  fecha_desde DATE NOT NULL,
+  fecha_hasta DATE NOT NULL,
+  turno ENUM('maniana','tarde','noche') NULL,
+  motivo ENUM('vacaciones','enfermedad','licencia','otro') NOT NULL DEFAULT 'otro',
+  observaciones VARCHAR(255) NULL,
+  estado ENUM('activo','anulado') NOT NULL DEFAULT 'activo',
+  creado_por INT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_represp_reparto_fechas (reparto_id, fecha_desde, fecha_hasta),
+  KEY idx_represp_usuario_fechas (usuario_id, fecha_desde, fecha_hasta)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- ======================================================
+-- Benjamin Orellana - 12-11-2026
+-- Comisiones de vendedores: reglas (contado / cobrado / producto) y liquidaciones mensuales
+-- ======================================================
+CREATE TABLE vendedores_comisiones_reglas (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  vendedor_id INT UNSIGNED NOT NULL,
+  tipo ENUM('contado','cobranza','producto') NOT NULL,
+  producto_id INT UNSIGNED NULL,
+  porcentaje DECIMAL(5,2) NULL,
+  monto_unitario DECIMAL(14,2) NULL,
+  vigente_desde DATE NOT NULL,
+  vigente_hasta DATE NULL,
+  estado ENUM('activo','inactivo') NOT NULL DEFAULT 'activo',
+  observaciones VARCHAR(255) NULL,
+  creado_por INT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_vcr_vendedor (vendedor_id, tipo, estado),
+  KEY idx_vcr_producto (producto_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+CREATE TABLE vendedores_liquidaciones (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  vendedor_id INT UNSIGNED NOT NULL,
+  anio SMALLINT NOT NULL,
+  mes TINYINT NOT NULL,
+  estado ENUM('emitida','pagada','anulada') NOT NULL DEFAULT 'emitida',
+  lineas INT UNSIGNED NOT NULL DEFAULT 0,
+  base_contado DECIMAL(14,2) NOT NULL DEFAULT 0,
+  base_cobranza DECIMAL(14,2) NOT NULL DEFAULT 0,
+  comision_contado DECIMAL(14,2) NOT NULL DEFAULT 0,
+  comision_cobranza DECIMAL(14,2) NOT NULL DEFAULT 0,
+  total_comision DECIMAL(14,2) NOT NULL DEFAULT 0,
+  observaciones VARCHAR(255) NULL,
+  emitida_at DATETIME NOT NULL,
+  emitida_por INT NULL,
+  pagada_at DATETIME NULL,
+  pagada_por INT NULL,
+  pago_referencia VARCHAR(80) NULL,
+  anulada_at DATETIME NULL,
+  anulada_por INT NULL,
+  anulacion_motivo VARCHAR(255) NULL,
+  PRIMARY KEY (id),
+  KEY idx_vliq_vendedor_periodo (vendedor_id, anio, mes),
+  KEY idx_vliq_estado (estado)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+CREATE TABLE vendedores_liquidaciones_detalle (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  liquidacion_id INT UNSIGNED NOT NULL,
+  origen ENUM('contado','cobranza') NOT NULL,
+  fecha DATETIME NOT NULL,
+  venta_id INT UNSIGNED NOT NULL,
+  venta_detalle_id INT UNSIGNED NOT NULL,
+  cobranza_id INT UNSIGNED NULL,
+  aplicacion_id INT UNSIGNED NULL,
+  cliente_id INT UNSIGNED NULL,
+  cliente_nombre VARCHAR(120) NULL,
+  producto_id INT UNSIGNED NULL,
+  producto_nombre VARCHAR(120) NULL,
+  cantidad DECIMAL(14,3) NOT NULL,
+  base DECIMAL(14,2) NOT NULL,
+  regla_id INT UNSIGNED NOT NULL,
+  regla_tipo ENUM('contado','cobranza','producto') NOT NULL,
+  porcentaje DECIMAL(5,2) NULL,
+  monto_unitario DECIMAL(14,2) NULL,
+  comision DECIMAL(14,2) NOT NULL,
+  PRIMARY KEY (id),
+  KEY idx_vliqd_liquidacion (liquidacion_id),
+  KEY idx_vliqd_venta_detalle (venta_detalle_id),
+  KEY idx_vliqd_aplicacion (aplicacion_id),
+  CONSTRAINT fk_vliqd_liquidacion FOREIGN KEY (liquidacion_id) REFERENCES vendedores_liquidaciones (id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- ======================================================
+-- Benjamin Orellana - 13-11-2026
+-- Idempotency-Key por usuario: la clave única incluye usuario_id
+-- (0 = sin usuario) para que dos usuarios no compartan respuestas
+-- ======================================================
+UPDATE idempotencia_claves SET usuario_id = 0 WHERE usuario_id IS NULL;
+
+ALTER TABLE idempotencia_claves
+  MODIFY usuario_id INT NOT NULL DEFAULT 0,
+  DROP INDEX uq_idem_clave_metodo_ruta,
+  ADD UNIQUE KEY uq_idem_usuario_clave_metodo_ruta (usuario_id, clave, metodo, ruta);
+
+-- ======================================================
+-- Benjamin Orellana - 13-11-2026
+-- Facturación: el número se reserva con una fila 'pendiente' (sin CAE)
+-- antes de llamar al web service y se confirma con el CAE
+-- ======================================================
+ALTER TABLE ventas_comprobantes
+  ADD COLUMN estado ENUM('pendiente','autorizado') NOT NULL DEFAULT 'autorizado' AFTER venta_id,
+  MODIFY cae VARCHAR(14) NULL,
+  MODIFY cae_vencimiento DATE NULL;
+
+-- ======================================================
+-- Benjamin Orellana - 13-11-2026
+-- Depósito manual de envases: se carga en la CxC del cliente y
+-- los movimientos manuales de envases quedan auditados
+-- ======================================================
+ALTER TABLE cxc_movimientos
+MODIFY COLUMN origen_tipo ENUM(
+  'venta',
+  'cobranza',
+  'ajuste',
+  'nota_credito',
+  'nota_debito',
+  'saldo_previo',
+  'envase_deposito'
+) NOT NULL;
+
+ALTER TABLE auditoria_log
+MODIFY COLUMN entidad ENUM('venta','cobranza','cxc_movimiento','saldo_previo','nota_cxc','envase_movimiento') NOT NULL;